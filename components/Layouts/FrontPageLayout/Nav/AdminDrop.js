@@ -17,6 +17,7 @@
  */
 import ProfessionalSection from "./Admindropcomponents/ProfessionalSection";
 import SchoolDropdown from './Admindropcomponents/SchoolDropdown';
+import SchoolSwitcher from './Admindropcomponents/SchoolSwitcher';
 
 const AdminDrop = ({ user = { name: "User" }, userRoles = [] }) => {
   const { name } = user;
@@ -47,6 +48,9 @@ const AdminDrop = ({ user = { name: "User" }, userRoles = [] }) => {
               />
             </div>
 
+            {/* School switcher */}
+            <SchoolSwitcher />
+
             {/* Schools Section */}
             <div className="space-y-2">
               <SchoolDropdown user={user} />
@@ -1,5 +1,6 @@
 import { useState } from "react";
 import Link from "next/link";
+import SchoolSwitcher from "./Admindropcomponents/SchoolSwitcher";
 
 const AdminDropdown = ({ userRoles = [] }) => {
   const isAdmin = Array.isArray(userRoles) && userRoles.includes("Admin");
@@ -21,31 +22,8 @@ const AdminDropdown = ({ userRoles = [] }) => {
              { /* <SearchIcon className="absolute right-4 top-1/2 transform -translate-y-1/2 text-gray-500" /> */}
             </div>
 
-            {/* Schools Section */}
-<div className="space-y-2">
-<h3 className="flex items-center text-sm font-semibold text-gray-500">
-  <svg
-    xmlns="http://www.w3.org/2000/svg"
-    fill="none"
-    viewBox="0 0 24 24"
-    strokeWidth={1.5}
-    stroke="currentColor"
-    className="w-5 h-5 mr-2"
-  >
-    <path
-      strokeLinecap="round"
-      strokeLinejoin="round"
-      d="M12 21v-8.25M15.75 21v-8.25M8.25 21v-8.25M3 9l9-6 9 6m-1.5 12V10.332A48.36 48.36 0 0 0 12 9.75c-2.551 0-5.056.2-7.5.582V21M3 21h18M12 6.75h.008v.008H12V6.75Z"
-    />
-  </svg>
-  Schools
-</h3>
-<div className="flex items-center space-x-2">
- 
-  <span className="text-gray-700">Schools</span>
-</div>
-</div>
-
+            {/* School switcher */}
+            <SchoolSwitcher />
 
             {/* Professional Section */}
             <div>
@@ -1,5 +1,6 @@
 import { useState, useEffect } from "react";
 import Link from "next/link";
+import { railsApi } from "../../../../adminPage/services/api";
 
 export default function ProfessionalSection({ user }) {
   const [isExpanded, setIsExpanded] = useState(false);
@@ -20,13 +21,7 @@ export default function ProfessionalSection({ user }) {
       setError(null);
 
       try {
-        const response = await fetch(
-          `http://localhost:4000/api/v1/admin_users/schools_for_admin?email=${encodeURIComponent(user.email)}`
-        );
-
-        if (!response.ok) throw new Error("Failed to fetch approved schools");
-
-        const data = await response.json();
+        const data = await railsApi.get("admin_users/schools_for_admin", { query: { email: user.email } });
         setApprovedSchools(data.schools || []);
       } catch (err) {
         console.error("Error fetching schools:", err);
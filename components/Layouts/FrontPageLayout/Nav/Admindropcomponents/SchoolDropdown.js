@@ -1,4 +1,5 @@
 import { useState, useEffect } from "react";
+import { railsApi } from "../../../../adminPage/services/api";
 
 const SchoolDropdown = ({ user }) => {
   const [isExpanded, setIsExpanded] = useState(false);
@@ -13,15 +14,7 @@ const SchoolDropdown = ({ user }) => {
       if (!user?.email) return;
 
       try {
-        const response = await fetch(
-          `http://localhost:4000/api/v1/request_accesses/approved_schools?user[email]=${encodeURIComponent(user.email)}`
-        );
-
-        if (!response.ok) {
-          throw new Error("Failed to fetch approved schools");
-        }
-
-        const data = await response.json();
+        const data = await railsApi.get("request_accesses/approved_schools", { query: { "user[email]": user.email } });
         setApprovedSchools(data.data);
       } catch (error) {
         setError(error.message);
@@ -0,0 +1,54 @@
+import { useRouter } from "next/router";
+import { useSchoolContext, schoolIdOf } from "../../../../context/SchoolContext";
+
+/**
+ * Lists the schools the user belongs to and opens the one they pick.
+ * Admin pages show the open school's data only, so outside the admin page picking a
+ * school also goes there.
+ */
+const SchoolSwitcher = () => {
+  const router = useRouter();
+  const { schools, schoolId, loading, switchSchool } = useSchoolContext();
+
+  const openSchool = (school) => {
+    if (router.pathname === "/admin") {
+      switchSchool(school);
+    } else {
+      router.push({ pathname: "/admin", query: { school: schoolIdOf(school) } });
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <h3 className="text-sm font-semibold text-gray-500">Your schools</h3>
+      <ul className="space-y-1 max-h-48 overflow-y-auto">
+        {loading ? (
+          <li className="text-sm text-gray-500">Loading...</li>
+        ) : schools.length === 0 ? (
+          <li className="text-sm text-gray-500">You don't belong to a school yet.</li>
+        ) : (
+          schools.map((school) => {
+            const isOpen = schoolIdOf(school) === schoolId;
+            return (
+              <li key={schoolIdOf(school)}>
+                <button
+                  type="button"
+                  onClick={() => openSchool(school)}
+                  aria-current={isOpen ? "true" : undefined}
+                  className={`w-full flex items-center justify-between px-2 py-1 rounded text-left text-sm ${
+                    isOpen ? "bg-blue-50 text-blue-700 font-medium" : "text-gray-700 hover:bg-gray-100"
+                  }`}
+                >
+                  <span className="truncate">{school.schoolName}</span>
+                  {isOpen && <span className="ml-2 text-xs">Open</span>}
+                </button>
+              </li>
+            );
+          })
+        )}
+      </ul>
+    </div>
+  );
+};
+
+export default SchoolSwitcher;
@@ -6,6 +6,7 @@ import FileUpload from '../FileUpload';
 import GoogleMapReact from 'google-map-react';
 import Marker from '../Marker';
 import LoadingSpinner from '../LoadingSpinner';
+import { railsApi, appApi } from '../adminPage/services/api';
 
 /**
  * CreateSchoolForm Component
@@ -72,68 +73,8 @@ const CreateSchoolForm = ({ onSchoolCreated, onClose, handleSchoolCreated, searc
     selectedLocation
   });
 
-  // ==================== AUTH0 ACCESS TOKEN FUNCTION ====================
-
-  /**
-   * Fetches Auth0 management API access token
-   * @returns {Promise<string>} Access token for Auth0 Management API
-   */
-  const getAccessToken = async () => {
-    console.log('🔐 Requesting Auth0 access token...');
-    
-    try {
-      const response = await fetch('/api/getAccessToken', {
-        method: 'POST',
-      });
-
-      console.log('📡 Access token response status:', response.status);
-
-      if (!response.ok) {
-        console.error('❌ Failed to fetch access token:', response.statusText);
-        throw new Error('Failed to fetch access token');
-      }
-
-      const data = await response.json();
-      console.log('✅ Access token retrieved successfully');
-      console.log('🔑 Token data:', { ...data, accessToken: data.accessToken ? '[REDACTED]' : 'null' });
-      
-      return data.accessToken;
-    } catch (error) {
-      console.error('💥 Error in getAccessToken:', error);
-      throw error;
-    }
-  };
-
   // ==================== EFFECT HOOKS ====================
 
-  /**
-   * Effect: Handle user authentication and token retrieval
-   * Runs when the user prop changes
-   */
-  useEffect(() => {
-    console.log('🔄 User effect triggered, user:', user);
-    
-    if (user) {
-      console.log('👤 User authenticated, fetching access token...');
-      
-      const fetchData = async () => {
-        try {
-          const token = await getAccessToken();
-          console.log('✅ Token fetched successfully in user effect');
-          
-        } catch (err) {
-          console.error('❌ Error fetching token in user effect:', err.message);
-          // Note: setError is not defined in the original code, commenting out
-          // setError(err.message);
-        }
-      };
-
-      fetchData();
-    } else {
-      console.log('👤 No user authenticated');
-    }
-  }, [user]);
-
   /**
    * Effect: Get user's current geolocation
    * Runs once on component mount
@@ -357,20 +298,7 @@ const CreateSchoolForm = ({ onSchoolCreated, onClose, handleSchoolCreated, searc
 
       console.log('📦 School payload:', schoolPayload);
 
-      const schoolResponse = await fetch('http://localhost:4000/api/v1/schools', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(schoolPayload),
-      });
-
-      console.log('📡 School creation response status:', schoolResponse.status);
-
-      if (!schoolResponse.ok) {
-        console.error('❌ School creation failed:', schoolResponse.statusText);
-        throw new Error('Error submitting form data');
-      }
-
-      const schoolData = await schoolResponse.json();
+      const schoolData = await railsApi.post('schools', schoolPayload);
       console.log('✅ School created successfully');
       console.log('🏫 Full school response:', schoolData);
 
@@ -402,75 +330,35 @@ const CreateSchoolForm = ({ onSchoolCreated, onClose, handleSchoolCreated, searc
 
       console.log('✅ School ID extracted successfully:', schoolId);
 
-      // ==================== AUTH0 ROLE ASSIGNMENT ====================
-      console.log('👑 Assigning Admin role in Auth0...');
-      
       const userId = encodeURIComponent(user.sub);
-      console.log('👤 Encoded user ID:', userId);
-      console.log('🔑 Auth0 user sub:', user.sub);
-
-      const accessToken = await getAccessToken();
-      console.log('🔐 Access token retrieved for role assignment');
-
-      const roleUpdateResponse = await fetch(`https://dev-t0o26rre86m7t8lo.us.auth0.com/api/v2/users/${userId}/roles`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${accessToken}`,
-        },
-        body: JSON.stringify({ roles: ['rol_a6KrxwaZ1CguNPXS'] }),
-      });
-
-      console.log('📡 Auth0 role update response status:', roleUpdateResponse.status);
-
-      if (!roleUpdateResponse.ok) {
-        console.error('❌ Auth0 role assignment failed:', roleUpdateResponse.statusText);
-        const errorText = await roleUpdateResponse.text();
-        console.error('💥 Auth0 error details:', errorText);
-        throw new Error('Error updating user role in Auth0');
-      }
-
-      console.log('✅ Auth0 role assigned successfully');
-
-      // ==================== BACKEND ROLE SYNCHRONIZATION ====================
-      console.log('🔄 Synchronizing role in backend...');
-
-      const backendResponse = await fetch(`http://localhost:4000/api/v1/users/${userId}/update_roles`, {
-        method: 'PATCH',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ roles: ['Admin'] }),
-      });
-
-      console.log('📡 Backend role sync response status:', backendResponse.status);
-
-      if (!backendResponse.ok) {
-        console.error('❌ Backend role synchronization failed:', backendResponse.statusText);
-        const errorText = await backendResponse.text();
-        console.error('💥 Backend error details:', errorText);
-        throw new Error('Error updating user role in backend');
-      }
-
-      console.log('✅ Backend role synchronized successfully');
 
       // ==================== USER COLLECTION UPDATE ====================
       console.log('➕ Adding school to user\'s schools array...');
 
-      const addSchoolResponse = await fetch(`http://localhost:4000/api/v1/users/${userId}/add_school`, {
-        method: 'PATCH',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ schoolId }), // or { school: schoolId } based on your backend
-      });
+      await railsApi.patch(`users/${userId}/add_school`, { schoolId });
 
-      console.log('📡 Add school response status:', addSchoolResponse.status);
+      console.log('✅ School added to user successfully');
 
-      if (!addSchoolResponse.ok) {
-        console.error('❌ Failed to add school to user:', addSchoolResponse.statusText);
-        const errorText = await addSchoolResponse.text();
-        console.error('💥 Backend error details:', errorText);
-        throw new Error('Error adding school to user in backend');
+      // ==================== ADMIN ROLES ====================
+      // The server gives the creator and the admins entered in step 3 the Admin role,
+      // creating Auth0 accounts for admins who don't have one yet
+      console.log('👑 Assigning Admin roles...');
+
+      const admins = [
+        { name: adminUser1Name, email: adminUser1Email },
+        { name: adminUser2Name, email: adminUser2Email },
+      ].filter((admin) => admin.email.trim());
+
+      // The API may send the ID as a BSON { $oid }
+      const schoolKey = String(schoolId.$oid || schoolId);
+      const { results } = await appApi.post(`schools/${encodeURIComponent(schoolKey)}/admins`, { admins });
+      const failed = results.filter((result) => result.error);
+      if (failed.length > 0) {
+        console.error('❌ Some admins could not be added:', failed);
+        alert(`The school was created, but these admins could not be added: ${failed.map((result) => result.email).join(', ')}`);
       }
 
-      console.log('✅ School added to user successfully');
+      console.log('✅ Admin roles assigned successfully');
 
 
       // ==================== SUCCESS HANDLING ====================
@@ -478,9 +366,8 @@ const CreateSchoolForm = ({ onSchoolCreated, onClose, handleSchoolCreated, searc
       console.log('📊 Final summary:', {
         schoolCreated: true,
         schoolId: schoolId,
-        roleAssigned: true,
-        roleSynchronized: true,
-        userCollectionUpdated: true
+        userCollectionUpdated: true,
+        adminRolesAssigned: true
       });
 
       alert('School, Admin Users, Roles, and User Collection updated successfully!');
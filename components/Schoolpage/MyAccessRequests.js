@@ -0,0 +1,92 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { fetchMyAccessRequests, replyToAccessRequest } from '../adminPage/services/accessRequestService';
+
+const STATUS_STYLES = {
+  pending: { label: 'Pending approval', className: 'bg-yellow-100 text-yellow-800' },
+  info_requested: { label: 'More information needed', className: 'bg-blue-100 text-blue-800' },
+  approved: { label: 'Approved', className: 'bg-green-100 text-green-800' },
+  rejected: { label: 'Declined', className: 'bg-red-100 text-red-800' },
+  expired: { label: 'Expired', className: 'bg-gray-100 text-gray-600' }
+};
+
+// The signed-in user's requests to join schools, with a reply box when an admin asks for more information
+const MyAccessRequests = ({ user }) => {
+  const [requests, setRequests] = useState([]);
+  const [replies, setReplies] = useState({});
+  const [sendingId, setSendingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadRequests = useCallback(async () => {
+    if (!user) return;
+    try {
+      setRequests(await fetchMyAccessRequests());
+    } catch (err) {
+      setError('Failed to load your access requests.');
+    }
+  }, [user?.sub]);
+
+  useEffect(() => {
+    loadRequests();
+  }, [loadRequests]);
+
+  const handleReply = async (e, request) => {
+    e.preventDefault();
+    const note = (replies[request._id] || '').trim();
+    if (!note) return;
+
+    setSendingId(request._id);
+    setError(null);
+    try {
+      await replyToAccessRequest(request._id, note);
+      setReplies(prev => ({ ...prev, [request._id]: '' }));
+      await loadRequests();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSendingId(null);
+    }
+  };
+
+  if (requests.length === 0 && !error) return null;
+
+  return (
+    <div className="mb-6 bg-white rounded-lg shadow p-4 space-y-3">
+      <h3 className="text-lg font-semibold text-gray-900">Your access requests</h3>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {requests.map(request => {
+        const status = STATUS_STYLES[request.status] || STATUS_STYLES.pending;
+        return (
+          <div key={request._id} className="border border-gray-200 rounded-md p-3 space-y-2">
+            <div className="flex items-center justify-between">
+              <span className="text-sm font-medium text-gray-900">{request.schoolName}</span>
+              <span className={`px-2 py-0.5 rounded text-xs font-medium ${status.className}`}>{status.label}</span>
+            </div>
+            {request.note && request.status !== 'pending' && (
+              <p className="text-sm text-gray-600">The admin said: {request.note}</p>
+            )}
+            {request.status === 'info_requested' && (
+              <form onSubmit={(e) => handleReply(e, request)} className="flex gap-2">
+                <input
+                  type="text"
+                  value={replies[request._id] || ''}
+                  onChange={(e) => setReplies({ ...replies, [request._id]: e.target.value })}
+                  placeholder="Your answer"
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm"
+                />
+                <button
+                  type="submit"
+                  disabled={sendingId === request._id || !(replies[request._id] || '').trim()}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-md text-sm font-semibold hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {sendingId === request._id ? 'Sending...' : 'Reply'}
+                </button>
+              </form>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default MyAccessRequests;
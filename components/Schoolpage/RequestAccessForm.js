@@ -1,7 +1,8 @@
 import React, { useState } from 'react';
+import { submitAccessRequest } from '../adminPage/services/accessRequestService';
 
-const RequestAccessForm = ({ schoolName, loggedInUserEmail, onRequestClose, onSuccess }) => {
-  const [email, setEmail] = useState(loggedInUserEmail); // Initialize email state with logged-in user's email
+// Asks to join a school as the signed-in user; the school's admins answer in their access requests inbox
+const RequestAccessForm = ({ schoolId, schoolName, loggedInUserEmail, onRequestClose, onSuccess }) => {
   const [reason, setReason] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -13,30 +14,18 @@ const RequestAccessForm = ({ schoolName, loggedInUserEmail, onRequestClose, onSu
     setLoading(true);
     setError(null);
     try {
-      // Perform validation if needed
-      // Submit the access request to your backend
-      const response = await fetch('https://data.mongodb-api.com/app/tasktracker-uuloe/endpoint/requestaccess', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ schoolName, reason, loggedInUserEmail }), // Include loggedInUserEmail in the payload
-      });
-
-      if (!response.ok) {
-        throw new Error('Request failed');
-      }
+      await submitAccessRequest({ schoolId, schoolName, reason });
 
       setSuccess(true);
       setShowPending(true); // Show pending status immediately
       onSuccess(schoolName); // Call the success callback to update the parent component
 
       // Reset form fields after successful submission
-      setEmail('');
       setReason('');
 
     } catch (error) {
-      setError('Error submitting request. Please try again later.');
+      // The API's message says why, e.g. an open request already exists
+      setError(error.status ? error.message : 'Error submitting request. Please try again later.');
     } finally {
       setLoading(false);
     }
@@ -54,19 +43,10 @@ const RequestAccessForm = ({ schoolName, loggedInUserEmail, onRequestClose, onSu
             <p className="text-green-600">Request submitted successfully. Please wait for approval.</p>
           ) : (
             <form onSubmit={handleSubmit} className="space-y-4">
-              <div>
-                <label htmlFor="email" className="block text-sm font-medium text-gray-700">
-                  Your Email
-                </label>
-                <input
-                  type="email"
-                  id="email"
-                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
-                  value={email}
-                  onChange={(e) => setEmail(e.target.value)}
-                  required
-                />
-              </div>
+              <p className="text-sm text-gray-600">
+                Requesting as <span className="font-medium">{loggedInUserEmail}</span>. The school's admins will
+                email you their answer.
+              </p>
               <div>
                 <label htmlFor="reason" className="block text-sm font-medium text-gray-700">
                   Reason for Access
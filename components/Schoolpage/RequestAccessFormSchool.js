@@ -1,7 +1,8 @@
 import React, { useState, forwardRef, useImperativeHandle } from 'react';
+import { submitAccessRequest } from '../adminPage/services/accessRequestService';
 
-const RequestAccessFormSchool = forwardRef(({ schoolName, loggedInUserEmail, onRequestClose, onSuccess }, ref) => {
-  const [email, setEmail] = useState(loggedInUserEmail);
+// Asks to join a school as the signed-in user; the school's admins answer in their access requests inbox
+const RequestAccessFormSchool = forwardRef(({ schoolId, schoolName, loggedInUserEmail, onRequestClose, onSuccess }, ref) => {
   const [reason, setReason] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -20,39 +21,20 @@ const RequestAccessFormSchool = forwardRef(({ schoolName, loggedInUserEmail, onR
     setError(null);
   
     // Validate inputs before making the request
-    if (!schoolName || !reason || !email) {
-      setError("School Name, Reason, and Email are required");
+    if (!schoolId || !reason.trim()) {
+      setError("A school and a reason are required");
       setLoading(false);
       return;
     }
   
     try {
-      // Construct the request body
-      const requestBody = {
-        schoolName, // Provided from props
-        reason, // State value for reason
-        loggedInUserEmail: email, // State value for email
-      };
-  
-      const response = await fetch('https://data.mongodb-api.com/app/tasktracker-uuloe/endpoint/requestaccess', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestBody),
-      });
-  
-      if (!response.ok) {
-        const errorResponse = await response.json();
-        throw new Error(errorResponse.message || 'Request failed');
-      }
+      await submitAccessRequest({ schoolId, schoolName, reason });
   
       setSuccess(true);
       setShowPending(true);
       onSuccess(schoolName);
   
       // Clear form after success
-      setEmail('');
       setReason('');
     } catch (error) {
       setError(`Error submitting request: ${error.message}`);
@@ -74,19 +56,10 @@ const RequestAccessFormSchool = forwardRef(({ schoolName, loggedInUserEmail, onR
             <p className="text-green-600">Request submitted successfully. Please wait for approval.</p>
           ) : (
             <form onSubmit={handleSubmit} className="space-y-4">
-              <div>
-                <label htmlFor="email" className="block text-sm font-medium text-gray-700">
-                  Your Email
-                </label>
-                <input
-                  type="email"
-                  id="email"
-                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
-                  value={email}
-                  onChange={(e) => setEmail(e.target.value)}
-                  required
-                />
-              </div>
+              <p className="text-sm text-gray-600">
+                Requesting as <span className="font-medium">{loggedInUserEmail}</span>. The school's admins will
+                email you their answer.
+              </p>
               <div>
                 <label htmlFor="reason" className="block text-sm font-medium text-gray-700">
                   Reason for Access
@@ -131,62 +104,3 @@ const RequestAccessFormSchool = forwardRef(({ schoolName, loggedInUserEmail, onR
 });
 
 export default RequestAccessFormSchool;
-
-{/* 
-old backedn requaest access function
-
-  exports = async function({ body }) {
-  const requestData = JSON.parse(body.text());
-  
-  const { schoolName, reason, loggedInUserEmail } = requestData;
-
-  // Access the MongoDB Atlas database
-  const schoolsCollection = context.services.get("mongodb-atlas").db("tracker").collection("School");
-  const requestsCollection = context.services.get("mongodb-atlas").db("tracker").collection("RequestAccess");
-
-  try {
-    // Basic input validation
-    if (!schoolName || !reason || !loggedInUserEmail) {
-      throw new Error('Invalid request: schoolName, reason, and loggedInUserEmail are required');
-    }
-
-    // Find the school document
-    const school = await schoolsCollection.findOne({ schoolName });
-
-    if (!school) {
-      throw new Error('School not found');
-    }
-
-    // Check if the user has already requested access
-    const existingRequest = await requestsCollection.findOne({
-      schoolName,
-      loggedInUserEmail,
-    });
-
-    if (existingRequest) {
-      throw new Error('Access request already exists for this user');
-    }
-
-    // Insert the access request into the RequestAccess collection
-    const insertResult = await requestsCollection.insertOne({
-      schoolId: school._id,
-      schoolName,
-      loggedInUserEmail,
-      reason,
-      requestedAt: new Date(),
-      status: "Pending"
-    });
-
-    if (!insertResult.insertedId) {
-      throw new Error('Failed to insert access request');
-    }
-
-    // Return success message
-    return { status: "success", message: "Access request submitted successfully" };
-
-  } catch (error) {
-    return { status: "error", message: error.message };
-  }
-};
-
-  */}
\ No newline at end of file
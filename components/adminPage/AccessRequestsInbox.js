@@ -0,0 +1,181 @@
+import React, { useState } from 'react';
+import { FiUserPlus, FiCheck, FiX, FiHelpCircle, FiAlertCircle, FiClock } from 'react-icons/fi';
+import { fetchPendingRequest } from '../hooks/Adminhooks/fetchPendingRequest';
+import { reviewAccessRequest } from './services/accessRequestService';
+import { useSchoolContext } from '../context/SchoolContext';
+import useUserRoles from '../../hooks/useUserRoles';
+import { PERMISSIONS, SCHOOL_ROLES } from '../../lib/auth/permissions';
+
+const STATUS_LABELS = {
+  pending: 'Waiting for you',
+  info_requested: 'Waiting for the requester'
+};
+
+const HISTORY_LABELS = {
+  request: 'Asked',
+  request_info: 'You asked',
+  reply: 'Replied'
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-ZA');
+
+/**
+ * The open school's access requests: people asking to join it. Admins approve a request
+ * with a role they hold themselves, reject it, or ask the requester for more information.
+ */
+const AccessRequestsInbox = () => {
+  const { school, schoolId } = useSchoolContext();
+  const { roles, permissions, loading: rolesLoading } = useUserRoles();
+  const { loading, error, pendingRequests, reload } = fetchPendingRequest(schoolId);
+  const [drafts, setDrafts] = useState({});
+  const [busyId, setBusyId] = useState(null);
+  const [actionError, setActionError] = useState(null);
+
+  const grantableRoles = SCHOOL_ROLES.filter(role => roles.includes(role));
+  const requests = pendingRequests || [];
+
+  const draftFor = (id) => drafts[id] || { role: grantableRoles[0] || '', note: '' };
+  const setDraft = (id, changes) => setDrafts(prev => ({ ...prev, [id]: { ...draftFor(id), ...changes } }));
+
+  const handleReview = async (request, action) => {
+    const { role, note } = draftFor(request._id);
+    if (action === 'request_info' && !note.trim()) {
+      setActionError('Say what information you need in the note.');
+      return;
+    }
+    if (action === 'reject' && !window.confirm(`Decline ${request.requester.name}'s request?`)) return;
+
+    setBusyId(request._id);
+    setActionError(null);
+    try {
+      await reviewAccessRequest(request._id, { action, role: action === 'approve' ? role : null, note: note.trim() || null });
+      setDrafts(prev => ({ ...prev, [request._id]: undefined }));
+      await reload();
+    } catch (err) {
+      setActionError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (!rolesLoading && !permissions.includes(PERMISSIONS.adminsManage)) {
+    return (
+      <div className="bg-white shadow rounded-lg p-6 text-sm text-gray-500">
+        Only the school's admins can answer access requests.
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white shadow rounded-lg">
+      <div className="px-4 py-5 sm:p-6">
+        <div className="mb-4">
+          <h3 className="text-xl leading-6 font-semibold text-gray-900 flex items-center">
+            <FiUserPlus className="mr-2 h-5 w-5 text-gray-500" />
+            Access requests
+          </h3>
+          <p className="mt-1 text-sm text-gray-500">
+            People asking to join {school?.schoolName || 'your school'}. The requester is emailed whatever you
+            decide; requests nobody answers expire on the date shown.
+          </p>
+        </div>
+
+        {(error || actionError) && (
+          <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-3 flex items-center text-sm text-red-700">
+            <FiAlertCircle className="mr-2 h-4 w-4" />
+            {actionError || error}
+          </div>
+        )}
+
+        <div className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+          {requests.map(request => {
+            const draft = draftFor(request._id);
+            const busy = busyId === request._id;
+            const waitingOnRequester = request.status === 'info_requested';
+            return (
+              <div key={request._id} className="p-4 space-y-3">
+                <div className="flex items-start justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {request.requester.name}
+                      {request.requester.email && request.requester.email !== request.requester.name && (
+                        <span className="ml-2 font-normal text-gray-500">{request.requester.email}</span>
+                      )}
+                    </p>
+                    <p className="mt-1 text-sm text-gray-700 whitespace-pre-line">{request.reason}</p>
+                  </div>
+                  <span className="ml-4 inline-flex items-center text-xs text-gray-500 whitespace-nowrap">
+                    <FiClock className="mr-1 h-3 w-3" />
+                    {STATUS_LABELS[request.status]} · expires {formatDate(request.expiresAt)}
+                  </span>
+                </div>
+
+                {request.history.filter(entry => entry.note && HISTORY_LABELS[entry.action]).map(entry => (
+                  <p key={`${entry.action}-${entry.at}`} className="text-xs text-gray-600 bg-gray-50 rounded p-2">
+                    <span className="font-medium">{HISTORY_LABELS[entry.action]} {formatDate(entry.at)}:</span> {entry.note}
+                  </p>
+                ))}
+
+                <div className="grid grid-cols-1 sm:grid-cols-4 gap-2">
+                  <input
+                    type="text"
+                    value={draft.note}
+                    onChange={(e) => setDraft(request._id, { note: e.target.value })}
+                    placeholder="Note to the requester (required to ask for more information)"
+                    className="sm:col-span-3 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                  />
+                  <select
+                    value={draft.role}
+                    onChange={(e) => setDraft(request._id, { role: e.target.value })}
+                    aria-label="Role to give"
+                    className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                  >
+                    {grantableRoles.map(role => (
+                      <option key={role} value={role}>{role}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="flex justify-end space-x-2">
+                  {!waitingOnRequester && (
+                    <button
+                      onClick={() => handleReview(request, 'request_info')}
+                      disabled={busy}
+                      className="inline-flex items-center px-3 py-1.5 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      <FiHelpCircle className="mr-1 h-4 w-4" />
+                      Ask for more info
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleReview(request, 'reject')}
+                    disabled={busy}
+                    className="inline-flex items-center px-3 py-1.5 border border-red-300 text-sm font-medium rounded-md text-red-700 bg-white hover:bg-red-50 disabled:opacity-50"
+                  >
+                    <FiX className="mr-1 h-4 w-4" />
+                    Reject
+                  </button>
+                  <button
+                    onClick={() => handleReview(request, 'approve')}
+                    disabled={busy || !draft.role}
+                    className="inline-flex items-center px-3 py-1.5 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    <FiCheck className="mr-1 h-4 w-4" />
+                    {busy ? 'Saving...' : 'Approve'}
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+          {requests.length === 0 && (
+            <div className="px-3 py-6 text-center text-sm text-gray-500">
+              {loading ? 'Loading access requests...' : 'Nobody is waiting for access.'}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AccessRequestsInbox;
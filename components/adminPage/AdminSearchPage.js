@@ -1,5 +1,7 @@
 import React, { useState } from "react";
 import CreateSchoolForm from "../Schoolpage/CreateSchoolForm";
+import MyAccessRequests from "../Schoolpage/MyAccessRequests";
+import { railsApi } from "./services/api";
 
 const SchoolSearchPage = ({ user }) => {
   const [searchTerm, setSearchTerm] = useState("");
@@ -21,16 +23,8 @@ const SchoolSearchPage = ({ user }) => {
     setSchoolAvailable(null);
 
     try {
-      const response = await fetch(
-        `http://localhost:4000/api/v1/schools/search?query=${encodeURIComponent(searchTerm)}`,
-        {
-          method: "GET",
-          headers: { "Content-Type": "application/json" },
-        }
-      );
-
-      const data = await response.json();
-      if (response.ok && data.success) {
+      const data = await railsApi.get("schools/search", { query: { query: searchTerm } });
+      if (data.success) {
         setSchoolAvailable(data.isAvailable);
         setMessage(data.message);
 
@@ -39,7 +33,8 @@ const SchoolSearchPage = ({ user }) => {
         setMessage(data.message || "Error checking school availability.");
       }
     } catch (error) {
-      setMessage("Failed to fetch school name availability.");
+      // An error response carries the API's message; status 0 means it never arrived
+      setMessage(error.status ? error.message : "Failed to fetch school name availability.");
     } finally {
       setIsLoading(false);
     }
@@ -53,6 +48,7 @@ const SchoolSearchPage = ({ user }) => {
       {/* Step 1: Search */}
       {step === 0 && (
         <div className="container mx-auto py-6 px-4 md:px-10">
+          <MyAccessRequests user={user} />
           <div className="flex items-center justify-center">
             <input
               type="text"
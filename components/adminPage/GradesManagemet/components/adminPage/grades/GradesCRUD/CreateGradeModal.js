@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react';
 // Removed react-icons/fi as it's causing a resolution error.
 // We will use inline SVG for the icons instead.
-import axios from 'axios';
+import { railsApi } from '../../../../../services/api';
+import { schoolIdOf } from '../../../../../../context/SchoolContext';
 
 const CreateGradeModal = ({ isOpen, onClose, selectedSchool, schools, onGradeCreated }) => {
   // Log the schools prop to the console
@@ -101,15 +102,9 @@ const CreateGradeModal = ({ isOpen, onClose, selectedSchool, schools, onGradeCre
       return;
     }
 
-    // Get the school ID - handle both array and single object cases
-    let schoolId;
-    if (Array.isArray(schools) && schools.length > 0) {
-      schoolId = schools[0].id;
-    } else if (schools && schools.id) {
-      schoolId = schools.id;
-    } else if (selectedSchool && selectedSchool.id) {
-      schoolId = selectedSchool.id;
-    } else {
+    // Grades are created in the school open in the workspace
+    const schoolId = schoolIdOf(selectedSchool);
+    if (!schoolId) {
       setErrors({ submit: 'No school selected or school ID not found' });
       return;
     }
@@ -134,19 +129,10 @@ const CreateGradeModal = ({ isOpen, onClose, selectedSchool, schools, onGradeCre
         }
       };
 
-      const response = await axios.post(
-        `http://localhost:4000/api/v1/schools/${schoolId}/grades`,
-        payload,
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${localStorage.getItem('authToken')}`
-          }
-        }
-      );
+      const grade = await railsApi.post(`schools/${schoolId}/grades`, payload);
 
       if (onGradeCreated) {
-        onGradeCreated(response.data);
+        onGradeCreated(grade);
       }
 
       // Reset form
@@ -167,12 +153,8 @@ const CreateGradeModal = ({ isOpen, onClose, selectedSchool, schools, onGradeCre
     } catch (error) {
       console.error('Error creating grade:', error);
       
-      if (error.response && error.response.data) {
-        if (error.response.data.errors) {
-          setErrors(error.response.data.errors);
-        } else {
-          setErrors({ submit: error.response.data.message || 'Failed to create grade' });
-        }
+      if (error.errors) {
+        setErrors(error.errors);
       } else {
         setErrors({ submit: error.message || 'Failed to create grade' });
       }
@@ -195,7 +177,7 @@ const CreateGradeModal = ({ isOpen, onClose, selectedSchool, schools, onGradeCre
           <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
             <div className="flex items-center justify-between mb-4">
               <h3 className="text-lg leading-6 font-medium text-gray-900">
-                Create New Grade for {selectedSchool?.schoolName || (Array.isArray(schools) ? schools[0]?.schoolName : schools?.schoolName) || 'School'}
+                Create New Grade for {selectedSchool?.schoolName || 'School'}
               </h3>
               <button
                 onClick={onClose}
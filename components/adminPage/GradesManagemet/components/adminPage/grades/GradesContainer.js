@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { FiPlus, FiEdit, FiTrash2, FiUsers, FiMail, FiSettings, FiX } from 'react-icons/fi';
 import { FaGraduationCap } from 'react-icons/fa';
-import axios from 'axios';
+import { railsApi } from '../../../../services/api';
+import { schoolIdOf } from '../../../../../context/SchoolContext';
 import CreateGradeModal from './GradesCRUD/CreateGradeModal';
 import EditGradeModal from './GradesCRUD/EditGradeModal';
 import DeleteGradeModal from './GradesCRUD/DeleteGradeModal';
@@ -13,6 +14,8 @@ import TemplateManager from './Invitations/TemplateManager';
 import InvitationComposer from './Invitations/InvitationComposer/InvitationComposer';
 import StatusTracker from './Invitations/StatusTracker';
 import CreditSystem from './Invitations/CreditSystem';
+import OptOutManager from './Invitations/OptOutManager';
+import MessagingBudget from './Invitations/MessagingBudget';
 
 const GradesContainer = ({ selectedSchool, user, schools }) => {
   const [activeTab, setActiveTab] = useState('overview');
@@ -27,28 +30,21 @@ const GradesContainer = ({ selectedSchool, user, schools }) => {
   const [grades, setGrades] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const schoolId = schoolIdOf(selectedSchool);
 
   // Load grades when selectedSchool changes
   useEffect(() => {
-    if (selectedSchool?.id) {
+    if (schoolId) {
       fetchGrades();
     }
-  }, [selectedSchool]);
+  }, [schoolId]);
 
   const fetchGrades = async () => {
     setLoading(true);
     setError(null);
     try {
-      const token = localStorage.getItem('authToken');
-      const response = await axios.get(
-        `http://localhost:4000/api/v1/schools/${selectedSchool.id}/grades`,
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
-        }
-      );
-      setGrades(response.data.data.grades);
+      const response = await railsApi.get(`schools/${schoolId}/grades`);
+      setGrades(response.data.grades);
     } catch (err) {
       console.error('Error fetching grades:', err);
       setError('Failed to load grades. Please try again.');
@@ -59,19 +55,7 @@ const GradesContainer = ({ selectedSchool, user, schools }) => {
 
   const handleCreateGrade = async (newGrade) => {
     try {
-      const token = localStorage.getItem('authToken');
-      await axios.post(
-        `http://localhost:4000/api/v1/schools/${selectedSchool.id}/grades`,
-        {
-          grade: newGrade
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      await railsApi.post(`schools/${schoolId}/grades`, { grade: newGrade });
       fetchGrades(); // Refresh the list
       setShowCreateModal(false);
     } catch (err) {
@@ -82,19 +66,7 @@ const GradesContainer = ({ selectedSchool, user, schools }) => {
 
   const handleUpdateGrade = async (updatedGrade) => {
     try {
-      const token = localStorage.getItem('authToken');
-      await axios.patch(
-        `http://localhost:4000/api/v1/grades/${selectedGrade.id}`,
-        {
-          grade: updatedGrade
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      await railsApi.patch(`grades/${selectedGrade.id}`, { grade: updatedGrade });
       fetchGrades(); // Refresh the list
       setShowEditModal(false);
     } catch (err) {
@@ -105,15 +77,7 @@ const GradesContainer = ({ selectedSchool, user, schools }) => {
 
   const handleDeleteGrade = async () => {
     try {
-      const token = localStorage.getItem('authToken');
-      await axios.delete(
-        `http://localhost:4000/api/v1/grades/${selectedGrade.id}`,
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
-        }
-      );
+      await railsApi.delete(`grades/${selectedGrade.id}`);
       fetchGrades(); // Refresh the list
       setShowDeleteModal(false);
     } catch (err) {
@@ -355,6 +319,7 @@ const GradesContainer = ({ selectedSchool, user, schools }) => {
 
             <LearnersFilters selectedGrade={selectedGrade} />
             <LearnersTable 
+              schoolId={schoolId}
               selectedGrade={selectedGrade} 
               onSelectLearner={setSelectedLearner}
               onOpenInvitationModal={handleOpenInvitationModal}
@@ -374,15 +339,17 @@ const GradesContainer = ({ selectedSchool, user, schools }) => {
 
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
               <div className="space-y-6">
-                <TemplateManager />
+                <TemplateManager selectedSchool={selectedSchool} user={user} />
                 <InvitationComposer    user={user} 
               schools={schools} 
               selectedSchool={selectedSchool} 
               selectedGrade={selectedGradeForInvite}/>
               </div>
               <div className="space-y-6">
-                <StatusTracker user={user} />
-                <CreditSystem user={user}/>
+                <StatusTracker user={user} selectedSchool={selectedSchool} />
+                <CreditSystem user={user} selectedSchool={selectedSchool} />
+                <MessagingBudget selectedSchool={selectedSchool} />
+                <OptOutManager user={user} selectedSchool={selectedSchool} />
               </div>
             </div>
           </div>
@@ -465,6 +432,7 @@ const GradesContainer = ({ selectedSchool, user, schools }) => {
           selectedGrade={selectedGrade}
           user={user}
           schools={schools}
+          selectedSchool={selectedSchool}
         />
       )}
 
@@ -473,6 +441,7 @@ const GradesContainer = ({ selectedSchool, user, schools }) => {
           isOpen={!!selectedLearner}
           onClose={() => setSelectedLearner(null)}
           learner={selectedLearner}
+          schoolId={schoolId}
         />
       )}
 
@@ -1,11 +1,21 @@
 import React, { useState, useEffect } from 'react';
-import { FiMail, FiMessageSquare, FiSmartphone, FiCheckCircle, FiDollarSign, FiTrendingUp, FiUsers, FiZap, FiClock, FiStar, FiShield, FiGlobe, FiHeart } from 'react-icons/fi';
+import { FiMail, FiMessageSquare, FiSmartphone, FiCheckCircle, FiDollarSign, FiTrendingUp, FiUsers, FiZap, FiClock, FiStar, FiShield, FiGlobe, FiHeart, FiArrowUp, FiArrowDown, FiCornerDownRight } from 'react-icons/fi';
+import { DEFAULT_PRICING, estimateChannelCost } from '../../../../services/invitation/pricing';
+import { FALLBACK_WAIT_OPTIONS, buildFallback, describeFallback, formatFallbackWait } from '../../../../services/invitation/fallback';
 
 /**
  * Enhanced ChannelSelector Component
  * 
  * Professional channel selection with WhatsApp prioritization, real-time cost analysis,
  * and compelling value propositions designed for maximum conversion.
+ * Costs come from the pricing module, so they match the credits the server charges:
+ * `pricing` is the config from invitationService.getPricing, `message` is priced per SMS
+ * segment and `whatsappCategory` is the chosen template's category (null for free text).
+ *
+ * With two or more channels the admin can switch to a fallback: each guardian is sent the
+ * channels one at a time, in the order shown, moving on when a step fails or isn't delivered
+ * within its wait. `fallback` is the cascade from buildFallback, or null to send on every
+ * channel at once; the selected channels are kept in cascade order.
  */
 const ChannelSelector = ({ 
   selectedChannels = [], 
@@ -13,11 +23,22 @@ const ChannelSelector = ({
   user = {},
   selectedSchool = {},
   costAnalysis = {},
-  pricing = {},
-  recipientCount = 0
+  pricing = DEFAULT_PRICING,
+  recipientCount = 0,
+  message = '',
+  whatsappCategory = null,
+  fallback = null,
+  onFallbackChange
 }) => {
   const [hoveredChannel, setHoveredChannel] = useState(null);
   const [showComparison, setShowComparison] = useState(false);
+
+  const estimates = {
+    whatsapp: estimateChannelCost('whatsapp', { recipientCount, whatsappCategory }, pricing),
+    sms: estimateChannelCost('sms', { recipientCount, message }, pricing),
+    email: estimateChannelCost('email', { recipientCount }, pricing)
+  };
+  const costBadge = ({ perMessage }) => (perMessage > 0 ? `R${perMessage.toFixed(3)} per msg` : 'FREE');
   
   const channels = [
     { 
@@ -38,11 +59,11 @@ const ChannelSelector = ({
       ],
       features: ['Free Forever', 'Instant Delivery', 'Rich Media', 'Two-way Chat'],
       color: 'green',
-      cost: 0,
+      cost: estimates.whatsapp.perMessage,
       engagement: 98,
       deliveryTime: 'Instant',
       reliability: 99.9,
-      badge: 'FREE',
+      badge: costBadge(estimates.whatsapp),
       badgeColor: 'green',
       gradient: 'from-green-400 to-green-600',
       savings: 'Save R8.50 per 100 messages vs SMS'
@@ -65,11 +86,11 @@ const ChannelSelector = ({
       ],
       features: ['Universal Access', 'No Internet Required', 'Instant Alerts', 'Professional'],
       color: 'blue',
-      cost: pricing.sms?.standard || 0.085,
+      cost: estimates.sms.perMessage,
       engagement: 94,
       deliveryTime: '<30sec',
       reliability: 99.5,
-      badge: `R${(pricing.sms?.standard || 0.085).toFixed(3)} per msg`,
+      badge: costBadge(estimates.sms),
       badgeColor: 'blue',
       gradient: 'from-blue-400 to-blue-600',
       savings: null
@@ -92,11 +113,11 @@ const ChannelSelector = ({
       ],
       features: ['Rich Content', 'Attachments', 'Professional', 'Archivable'],
       color: 'purple',
-      cost: pricing.email?.standard || 0.045,
+      cost: estimates.email.perMessage,
       engagement: 85,
       deliveryTime: '<5min',
       reliability: 98.5,
-      badge: `R${(pricing.email?.standard || 0.045).toFixed(3)} per msg`,
+      badge: costBadge(estimates.email),
       badgeColor: 'purple',
       gradient: 'from-purple-400 to-purple-600',
       savings: null
@@ -104,22 +125,17 @@ const ChannelSelector = ({
   ];
 
   // Calculate real-time costs and savings
-  const calculateChannelCost = (channel) => {
-    if (channel.id === 'whatsapp') return 0;
-    return channel.cost * recipientCount;
-  };
+  const calculateChannelCost = (channel) => estimates[channel.id].cost;
 
   const calculateSavings = () => {
     if (!selectedChannels.includes('whatsapp')) return 0;
-    const smsChannel = channels.find(c => c.id === 'sms');
-    const emailChannel = channels.find(c => c.id === 'email');
-    
+
     let savings = 0;
     if (selectedChannels.includes('sms')) {
-      savings += smsChannel.cost * recipientCount;
+      savings += estimates.sms.cost;
     }
     if (selectedChannels.includes('email')) {
-      savings += emailChannel.cost * recipientCount;
+      savings += estimates.email.cost;
     }
     
     return savings;
@@ -132,6 +148,12 @@ const ChannelSelector = ({
 
   const totalSavings = calculateSavings();
 
+  const updateFallback = (newChannels, enabled = Boolean(fallback)) => {
+    if (typeof onFallbackChange === 'function') {
+      onFallbackChange(enabled && newChannels.length >= 2 ? buildFallback(newChannels, fallback || []) : null);
+    }
+  };
+
   const handleChannelToggle = (channelId) => {
     let newChannels;
     
@@ -146,6 +168,24 @@ const ChannelSelector = ({
     if (typeof onChange === 'function') {
       onChange(newChannels);
     }
+    updateFallback(newChannels);
+  };
+
+  // Moves a channel earlier or later in the cascade
+  const handleFallbackMove = (index, offset) => {
+    const newChannels = [...selectedChannels];
+    const [channelId] = newChannels.splice(index, 1);
+    newChannels.splice(index + offset, 0, channelId);
+    if (typeof onChange === 'function') {
+      onChange(newChannels);
+    }
+    updateFallback(newChannels);
+  };
+
+  const handleFallbackWait = (index, waitMinutes) => {
+    if (typeof onFallbackChange === 'function') {
+      onFallbackChange(fallback.map((step, i) => (i === index ? { ...step, waitMinutes } : step)));
+    }
   };
 
   const getChannelCardStyle = (channel) => {
@@ -197,7 +237,7 @@ const ChannelSelector = ({
                 R{totalCost.toFixed(2)}
               </div>
               <div className="text-sm text-blue-100">
-                Total cost for {recipientCount} recipients
+                {fallback ? `At most, for ${recipientCount} recipients` : `Total cost for ${recipientCount} recipients`}
               </div>
               {totalSavings > 0 && (
                 <div className="text-green-300 text-sm font-bold mt-1">
@@ -363,7 +403,7 @@ const ChannelSelector = ({
                           <div>
                             <div className="font-bold">FREE for {recipientCount} recipients!</div>
                             <div className="text-sm">
-                              You're saving R{(channels.find(c => c.id === 'sms')?.cost * recipientCount || 0).toFixed(2)} vs SMS
+                              You're saving R{estimates.sms.cost.toFixed(2)} vs SMS
                             </div>
                           </div>
                         </div>
@@ -390,6 +430,82 @@ const ChannelSelector = ({
         })}
       </div>
 
+      {/* Fallback Cascade */}
+      {selectedChannels.length >= 2 && typeof onFallbackChange === 'function' && (
+        <div className="bg-white border-2 border-gray-200 rounded-2xl p-6">
+          <label className="flex items-start cursor-pointer">
+            <input
+              type="checkbox"
+              checked={Boolean(fallback)}
+              onChange={(e) => updateFallback(selectedChannels, e.target.checked)}
+              className="mt-1 rounded h-5 w-5 text-blue-600 focus:ring-blue-500"
+            />
+            <span className="ml-3">
+              <span className="block font-bold text-gray-900">Fall back channel by channel for each guardian</span>
+              <span className="block text-sm text-gray-600">
+                Instead of sending on every channel at once, try one channel per guardian and only move on when
+                it fails or isn't delivered in time. Credits for every step are held and unused steps are refunded.
+              </span>
+            </span>
+          </label>
+
+          {fallback && (
+            <div className="mt-4 space-y-2">
+              {fallback.map((step, index) => {
+                const channel = channels.find(c => c.id === step.channel);
+                const IconComponent = channel?.icon || FiMail;
+                return (
+                  <div key={step.channel} className="flex items-center justify-between bg-gray-50 rounded-xl p-3">
+                    <div className="flex items-center space-x-3">
+                      {index > 0 && <FiCornerDownRight className="h-4 w-4 text-gray-400" />}
+                      <span className="text-sm font-bold text-gray-500">{index + 1}.</span>
+                      <IconComponent className={`h-5 w-5 text-${channel?.color || 'gray'}-600`} />
+                      <span className="font-medium text-gray-900">{channel?.name || step.channel}</span>
+                      {index > 0 && (
+                        <span className="flex items-center text-sm text-gray-600">
+                          <FiClock className="mr-1 h-4 w-4" />
+                          if not delivered within
+                          <select
+                            value={step.waitMinutes}
+                            onChange={(e) => handleFallbackWait(index, Number(e.target.value))}
+                            className="ml-2 border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500"
+                          >
+                            {[...new Set([...FALLBACK_WAIT_OPTIONS, step.waitMinutes])].sort((a, b) => a - b).map(minutes => (
+                              <option key={minutes} value={minutes}>{formatFallbackWait(minutes)}</option>
+                            ))}
+                          </select>
+                        </span>
+                      )}
+                    </div>
+                    <div className="flex space-x-1">
+                      <button
+                        type="button"
+                        onClick={() => handleFallbackMove(index, -1)}
+                        disabled={index === 0}
+                        aria-label={`Try ${channel?.name || step.channel} earlier`}
+                        className="p-1 rounded text-gray-500 hover:bg-gray-200 disabled:opacity-30"
+                      >
+                        <FiArrowUp className="h-4 w-4" />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleFallbackMove(index, 1)}
+                        disabled={index === fallback.length - 1}
+                        aria-label={`Try ${channel?.name || step.channel} later`}
+                        className="p-1 rounded text-gray-500 hover:bg-gray-200 disabled:opacity-30"
+                      >
+                        <FiArrowDown className="h-4 w-4" />
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+              <p className="text-sm text-gray-600">{describeFallback(fallback)}.</p>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Selection Feedback */}
       {selectedChannels.length === 0 && (
         <div className="bg-gradient-to-r from-amber-50 to-orange-50 border-2 border-amber-200 rounded-2xl p-6">
@@ -418,7 +534,7 @@ const ChannelSelector = ({
       )}
 
       {/* Multi-channel Success Message */}
-      {selectedChannels.length > 1 && (
+      {selectedChannels.length > 1 && !fallback && (
         <div className="bg-gradient-to-r from-blue-50 to-indigo-50 border-2 border-blue-200 rounded-2xl p-6">
           <div className="flex items-center">
             <div className="flex-shrink-0">
@@ -467,7 +583,11 @@ const ChannelSelector = ({
                 </div>
                 <div className="flex items-center">
                   <FiDollarSign className="mr-2 h-4 w-4" />
-                  <span>R0.00 cost (FREE forever)</span>
+                  <span>
+                    {estimates.whatsapp.cost > 0
+                      ? `R${estimates.whatsapp.cost.toFixed(2)} cost (${estimates.whatsapp.category} template)`
+                      : 'R0.00 cost (FREE forever)'}
+                  </span>
                 </div>
                 <div className="flex items-center">
                   <FiZap className="mr-2 h-4 w-4" />
@@ -479,7 +599,7 @@ const ChannelSelector = ({
                 </div>
               </div>
               <p className="mt-3 text-green-600 font-medium">
-                💰 You're saving R{(channels.find(c => c.id === 'sms')?.cost * recipientCount || 0).toFixed(2)} compared to SMS!
+                💰 You're saving R{estimates.sms.cost.toFixed(2)} compared to SMS!
               </p>
             </div>
           </div>
@@ -537,13 +657,13 @@ const ChannelSelector = ({
                         </div>
                       </td>
                       <td className="text-center py-4 px-4">
-                        <span className={`font-bold ${channel.id === 'whatsapp' ? 'text-green-600' : 'text-gray-900'}`}>
-                          {channel.id === 'whatsapp' ? 'FREE' : `R${channel.cost.toFixed(3)}`}
+                        <span className={`font-bold ${channel.cost === 0 ? 'text-green-600' : 'text-gray-900'}`}>
+                          {channel.cost === 0 ? 'FREE' : `R${channel.cost.toFixed(3)}`}
                         </span>
                       </td>
                       <td className="text-center py-4 px-4">
-                        <span className={`font-bold text-lg ${channel.id === 'whatsapp' ? 'text-green-600' : 'text-gray-900'}`}>
-                          {channel.id === 'whatsapp' ? 'R0.00' : `R${totalCost.toFixed(2)}`}
+                        <span className={`font-bold text-lg ${totalCost === 0 ? 'text-green-600' : 'text-gray-900'}`}>
+                          R{totalCost.toFixed(2)}
                         </span>
                       </td>
                       <td className="text-center py-4 px-4">
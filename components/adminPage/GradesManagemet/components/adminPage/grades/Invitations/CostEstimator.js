@@ -1,49 +1,74 @@
 import React from 'react';
 import { Calculator, MessageCircle, Smartphone, Mail, AlertTriangle } from 'lucide-react';
+import { DEFAULT_PRICING, estimateChannelCost } from '../../../../services/invitation/pricing';
 
-const CostEstimator = ({ channels, recipientCount, smsSupplier, onCostChange }) => {
-  const supplierRates = {
-    twilio: 0.30,
-    winsms: 0.25,
-    bulksms: 0.20
+/**
+ * CostEstimator Component
+ *
+ * Prices a send with the same rates and segment counting the server charges credits by.
+ *
+ * @param {Object} props
+ * @param {Object} props.channels - { whatsapp, sms, email } flags
+ * @param {number} props.recipientCount - Recipients per channel
+ * @param {string} props.smsSupplier - SMS supplier, defaults to the configured one
+ * @param {string} props.message - Message text; SMS is priced per segment of it
+ * @param {string|null} props.whatsappCategory - Category of the WhatsApp template, null for free text
+ * @param {Object} props.pricing - Pricing config from invitationService.getPricing
+ * @param {Function} props.onCostChange - Called with { whatsapp, sms, email, total, credits }
+ */
+const CostEstimator = ({
+  channels,
+  recipientCount,
+  smsSupplier,
+  message = '',
+  whatsappCategory = null,
+  pricing = DEFAULT_PRICING,
+  onCostChange
+}) => {
+  const supplier = smsSupplier || pricing.sms.defaultSupplier;
+  const estimates = {
+    whatsapp: estimateChannelCost('whatsapp', { recipientCount, whatsappCategory }, pricing),
+    sms: estimateChannelCost('sms', { recipientCount, message, supplier }, pricing),
+    email: estimateChannelCost('email', { recipientCount }, pricing)
   };
 
-  const currentSmsRate = supplierRates[smsSupplier] || 0.30;
-  
-  // Calculate costs
+  const enabledChannels = Object.keys(channels).filter(ch => channels[ch]);
   const costs = {
-    whatsapp: 0, // Always free
-    sms: channels.sms ? recipientCount * currentSmsRate : 0,
-    email: 0, // Always free
-    total: 0
+    whatsapp: channels.whatsapp ? estimates.whatsapp.cost : 0,
+    sms: channels.sms ? estimates.sms.cost : 0,
+    email: channels.email ? estimates.email.cost : 0,
+    total: enabledChannels.reduce((sum, ch) => sum + estimates[ch].cost, 0),
+    credits: enabledChannels.reduce((sum, ch) => sum + estimates[ch].credits, 0)
   };
-  costs.total = costs.whatsapp + costs.sms + costs.email;
+
+  const formatRate = (rate) => (rate > 0 ? `R${rate.toFixed(2)}` : 'Free');
+  const smsUnits = estimates.sms.units / Math.max(recipientCount, 1);
 
   // Notify parent component of cost changes
   React.useEffect(() => {
     if (onCostChange) {
       onCostChange(costs);
     }
-  }, [channels.sms, recipientCount, smsSupplier]);
+  }, [channels.whatsapp, channels.sms, channels.email, recipientCount, supplier, message, whatsappCategory, pricing]);
 
   const costLines = [
     {
       key: 'whatsapp',
       icon: MessageCircle,
       iconColor: 'text-green-500',
-      label: 'WhatsApp:',
-      cost: 'R0.00',
-      details: `${recipientCount} messages`,
+      label: `WhatsApp (${estimates.whatsapp.category}):`,
+      cost: `R${costs.whatsapp.toFixed(2)}`,
+      details: `${recipientCount} × ${formatRate(estimates.whatsapp.rate)}`,
       visible: channels.whatsapp,
-      costColor: 'text-green-600'
+      costColor: costs.whatsapp > 0 ? 'text-yellow-600' : 'text-green-600'
     },
     {
       key: 'sms',
       icon: Smartphone,
       iconColor: 'text-blue-500',
-      label: `SMS (${smsSupplier}):`,
+      label: `SMS (${estimates.sms.supplier}):`,
       cost: `R${costs.sms.toFixed(2)}`,
-      details: `${recipientCount} × R${currentSmsRate.toFixed(2)}`,
+      details: `${recipientCount} × ${smsUnits} ${estimates.sms.encoding} segment${smsUnits === 1 ? '' : 's'} × R${estimates.sms.rate.toFixed(2)}`,
       visible: channels.sms,
       costColor: 'text-yellow-600'
     },
@@ -52,14 +77,13 @@ const CostEstimator = ({ channels, recipientCount, smsSupplier, onCostChange })
       icon: Mail,
       iconColor: 'text-purple-500',
       label: 'Email:',
-      cost: 'R0.00',
-      details: `${recipientCount} messages`,
+      cost: `R${costs.email.toFixed(2)}`,
+      details: `${recipientCount} × ${formatRate(estimates.email.rate)}`,
       visible: channels.email,
-      costColor: 'text-green-600'
+      costColor: costs.email > 0 ? 'text-yellow-600' : 'text-green-600'
     }
   ];
 
-  const enabledChannels = Object.keys(channels).filter(ch => channels[ch]);
   const totalBreakdown = enabledChannels.join(' + ') + ' only';
   const showBudgetAlert = costs.total > 20; // Show alert if cost exceeds R20
 
@@ -98,7 +122,7 @@ const CostEstimator = ({ channels, recipientCount, smsSupplier, onCostChange })
             <span className="font-semibold text-gray-900">Total Cost:</span>
             <div className="text-right">
               <div className="text-xl font-bold text-gray-900">R{costs.total.toFixed(2)}</div>
-              <div className="text-xs text-gray-500">{totalBreakdown}</div>
+              <div className="text-xs text-gray-500">{costs.credits} credits • {totalBreakdown}</div>
             </div>
           </div>
         </div>
@@ -107,18 +131,18 @@ const CostEstimator = ({ channels, recipientCount, smsSupplier, onCostChange })
         <div className="bg-gray-50 rounded-lg p-3">
           <div className="text-xs text-gray-600 space-y-1">
             <div className="flex justify-between">
-              <span>WhatsApp rate:</span>
-              <span className="text-green-600 font-medium">Free</span>
+              <span>WhatsApp rate ({estimates.whatsapp.category}):</span>
+              <span className="text-green-600 font-medium">{formatRate(estimates.whatsapp.rate)}</span>
             </div>
             {channels.sms && (
               <div className="flex justify-between">
-                <span>SMS rate ({smsSupplier}):</span>
-                <span className="text-yellow-600 font-medium">R{currentSmsRate.toFixed(2)}</span>
+                <span>SMS rate ({estimates.sms.supplier}, per segment):</span>
+                <span className="text-yellow-600 font-medium">R{estimates.sms.rate.toFixed(2)}</span>
               </div>
             )}
             <div className="flex justify-between">
-              <span>Email rate:</span>
-              <span className="text-green-600 font-medium">Free</span>
+              <span>Email rate ({recipientCount} emails):</span>
+              <span className="text-green-600 font-medium">{formatRate(estimates.email.rate)}</span>
             </div>
           </div>
         </div>
@@ -1,71 +1,73 @@
-import React, { useState } from 'react';
-import { FiDollarSign, FiCreditCard, FiShoppingCart, FiTrendingUp, FiInfo, FiPlus } from 'react-icons/fi';
+import React, { useState, useEffect } from 'react';
+import { FiDollarSign, FiCreditCard, FiShoppingCart, FiTrendingUp, FiInfo, FiPlus, FiChevronLeft, FiChevronRight } from 'react-icons/fi';
+import { invitationService } from '../../../../services/invitation/invitationService';
+import { CREDIT_PACKAGES } from '../../../../services/invitation/credits';
+import { appApi } from '../../../../../services/api';
 
-const CreditSystem = () => {
+const HISTORY_PAGE_SIZE = 10;
+
+/**
+ * How each ledger transaction type changes what the school can spend
+ */
+const TRANSACTION_DISPLAY = {
+  purchase: { sign: '+', label: 'Purchased', dot: 'bg-green-400', text: 'text-green-600' },
+  reservation: { sign: '-', label: 'Reserved', dot: 'bg-yellow-400', text: 'text-yellow-700' },
+  capture: { sign: '', label: 'Charged', dot: 'bg-blue-400', text: 'text-gray-700' },
+  refund: { sign: '+', label: 'Refunded', dot: 'bg-green-300', text: 'text-green-600' }
+};
+
+/**
+ * CreditSystem Component
+ *
+ * Shows a school's credit balances and ledger history. Sending an invitation reserves
+ * credits, each delivery the provider accepts is charged from the reservation, and
+ * deliveries that fail are refunded.
+ *
+ * @param {Object} props
+ * @param {Object} props.selectedSchool - School whose credits are shown
+ */
+const CreditSystem = ({ selectedSchool }) => {
+  const schoolId = selectedSchool?._id || selectedSchool?.id;
   const [showPurchaseModal, setShowPurchaseModal] = useState(false);
   const [selectedPackage, setSelectedPackage] = useState(null);
+  const [balance, setBalance] = useState({ available: 0, reserved: 0, spent: 0, purchased: 0 });
+  const [history, setHistory] = useState({ transactions: [], page: 1, totalPages: 0, total: 0 });
+  const [historyPage, setHistoryPage] = useState(1);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
 
-  // Mock data for credit system
-  const creditBalance = 150;
-  const monthlyUsage = 45;
-  const lastPurchase = '2024-01-10';
+  const creditBalance = balance.available;
 
-  const creditPackages = [
-    {
-      id: 1,
-      name: 'Starter Pack',
-      credits: 100,
-      price: 29.99,
-      pricePerCredit: 0.30,
-      popular: false,
-      description: 'Perfect for small schools'
-    },
-    {
-      id: 2,
-      name: 'Professional Pack',
-      credits: 500,
-      price: 99.99,
-      pricePerCredit: 0.20,
-      popular: true,
-      description: 'Most popular choice'
-    },
-    {
-      id: 3,
-      name: 'Enterprise Pack',
-      credits: 1000,
-      price: 149.99,
-      pricePerCredit: 0.15,
-      popular: false,
-      description: 'Best value for large schools'
-    }
-  ];
 
-  const usageHistory = [
-    { date: '2024-01-16', description: 'Welcome emails sent', credits: 12, type: 'usage' },
-    { date: '2024-01-15', description: 'Grade assignment notifications', credits: 8, type: 'usage' },
-    { date: '2024-01-10', description: 'Professional Pack purchased', credits: 500, type: 'purchase' },
-    { date: '2024-01-08', description: 'Parent portal invitations', credits: 25, type: 'usage' },
-    { date: '2024-01-05', description: 'Bulk invitation campaign', credits: 35, type: 'usage' }
-  ];
+  useEffect(() => {
+    if (!schoolId) return;
+    setIsLoading(true);
+    setError(null);
+    Promise.all([
+      invitationService.getInvitationCredits(schoolId),
+      invitationService.getCreditHistory(schoolId, { page: historyPage, limit: HISTORY_PAGE_SIZE })
+    ])
+      .then(([credits, transactions]) => {
+        setBalance(credits);
+        setHistory(transactions);
+      })
+      .catch(() => setError('Failed to load credits'))
+      .finally(() => setIsLoading(false));
+  }, [schoolId, historyPage]);
 
   const handlePurchaseCredits = (packageData) => {
     setSelectedPackage(packageData);
     setShowPurchaseModal(true);
   };
 
+  // PayFast sends the admin back to /success; credits are added once its notification is verified
   const handleConfirmPurchase = async () => {
     try {
-      // Simulate payment processing
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      console.log('Purchasing credits:', selectedPackage);
-      alert(`Successfully purchased ${selectedPackage.credits} credits!`);
-      
-      setShowPurchaseModal(false);
-      setSelectedPackage(null);
+      const data = await appApi.post('create-payment', { schoolId, packageId: selectedPackage.id });
+      window.location.href = data.paymentUrl;
     } catch (error) {
       console.error('Error purchasing credits:', error);
-      alert('Error processing payment. Please try again.');
+      alert(`Error processing payment: ${error.message}`);
     }
   };
 
@@ -106,6 +108,13 @@ const CreditSystem = () => {
           </button>
         </div>
 
+        {!schoolId && (
+          <p className="mb-4 text-sm text-gray-500">Select a school to see its credits.</p>
+        )}
+        {error && (
+          <p className="mb-4 text-sm text-red-600">{error}</p>
+        )}
+
         {/* Credit Balance Overview */}
         <div className={`rounded-lg border p-4 mb-6 ${getCreditStatusBg()}`}>
           <div className="flex items-center justify-between">
@@ -115,17 +124,21 @@ const CreditSystem = () => {
                 <h4 className="text-lg font-semibold text-gray-900">Current Balance</h4>
               </div>
               <p className={`text-3xl font-bold ${getCreditStatusColor()}`}>
-                {creditBalance} credits
+                {isLoading ? '...' : `${creditBalance} credits`}
               </p>
               <p className="text-sm text-gray-600 mt-1">
-                Last purchase: {formatDate(lastPurchase)}
+                Available to send with
               </p>
             </div>
-            <div className="text-right">
-              <div className="text-sm text-gray-600">This month's usage</div>
-              <div className="text-xl font-semibold text-gray-900">{monthlyUsage} credits</div>
+            <div className="text-right space-y-1">
+              <div className="text-sm text-gray-600">
+                Reserved for queued invitations: <span className="font-semibold text-gray-900">{balance.reserved}</span>
+              </div>
+              <div className="text-sm text-gray-600">
+                Spent: <span className="font-semibold text-gray-900">{balance.spent}</span>
+              </div>
               <div className="text-sm text-gray-500">
-                Estimated {Math.ceil(monthlyUsage * 12 / 12)} credits/month
+                Purchased to date: {balance.purchased}
               </div>
             </div>
           </div>
@@ -135,7 +148,7 @@ const CreditSystem = () => {
         <div className="mb-6">
           <h4 className="text-sm font-medium text-gray-900 mb-3">Available Credit Packages</h4>
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-            {creditPackages.map((pkg) => (
+            {CREDIT_PACKAGES.map((pkg) => (
               <div
                 key={pkg.id}
                 className={`relative border rounded-lg p-4 hover:shadow-md transition-shadow ${
@@ -190,50 +203,74 @@ const CreditSystem = () => {
               </h3>
               <div className="mt-2 text-sm text-blue-700">
                 <ul className="list-disc list-inside space-y-1">
-                  <li>1 credit = 1 email invitation sent</li>
+                  <li>Each message costs what its channel charges: SMS per segment, WhatsApp by template category, email by volume</li>
+                  <li>The cost is rounded up to whole credits; free-form WhatsApp messages use none</li>
                   <li>Credits never expire</li>
-                  <li>Bulk uploads use 1 credit per recipient</li>
+                  <li>Sending or scheduling reserves the credits the invitation needs</li>
+                  <li>Credits are charged when the provider accepts each message</li>
                   <li>Failed deliveries are automatically refunded</li>
-                  <li>View detailed usage in your account dashboard</li>
                 </ul>
               </div>
             </div>
           </div>
         </div>
 
-        {/* Usage History */}
+        {/* Ledger History */}
         <div>
           <div className="flex items-center justify-between mb-3">
-            <h4 className="text-sm font-medium text-gray-900">Recent Activity</h4>
-            <button className="text-sm text-blue-600 hover:text-blue-900">
-              View All History
-            </button>
+            <h4 className="text-sm font-medium text-gray-900">Credit History</h4>
+            {history.totalPages > 1 && (
+              <div className="flex items-center space-x-2 text-sm text-gray-600">
+                <button
+                  onClick={() => setHistoryPage(page => Math.max(1, page - 1))}
+                  disabled={historyPage <= 1}
+                  className="p-1 rounded hover:bg-gray-100 disabled:opacity-50"
+                >
+                  <FiChevronLeft className="h-4 w-4" />
+                </button>
+                <span>Page {history.page} of {history.totalPages}</span>
+                <button
+                  onClick={() => setHistoryPage(page => Math.min(history.totalPages, page + 1))}
+                  disabled={historyPage >= history.totalPages}
+                  className="p-1 rounded hover:bg-gray-100 disabled:opacity-50"
+                >
+                  <FiChevronRight className="h-4 w-4" />
+                </button>
+              </div>
+            )}
           </div>
-          
+
+          {history.transactions.length === 0 && !isLoading && (
+            <p className="text-sm text-gray-500">No credit activity yet.</p>
+          )}
+
           <div className="space-y-3">
-            {usageHistory.slice(0, 5).map((item, index) => (
-              <div key={index} className="flex items-center justify-between py-2 border-b border-gray-100 last:border-b-0">
-                <div className="flex items-center">
-                  <div className={`flex-shrink-0 w-2 h-2 rounded-full mr-3 ${
-                    item.type === 'purchase' ? 'bg-green-400' : 'bg-blue-400'
-                  }`}></div>
-                  <div>
-                    <p className="text-sm font-medium text-gray-900">{item.description}</p>
-                    <p className="text-xs text-gray-500">{formatDate(item.date)}</p>
+            {history.transactions.map((transaction) => {
+              const display = TRANSACTION_DISPLAY[transaction.type] || TRANSACTION_DISPLAY.capture;
+              return (
+                <div key={transaction._id} className="flex items-center justify-between py-2 border-b border-gray-100 last:border-b-0">
+                  <div className="flex items-center">
+                    <div className={`flex-shrink-0 w-2 h-2 rounded-full mr-3 ${display.dot}`}></div>
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">{transaction.description || display.label}</p>
+                      <p className="text-xs text-gray-500">
+                        {formatDate(transaction.createdAt)} • {transaction.entries
+                          .map(entry => `${entry.account} ${entry.amount > 0 ? '+' : ''}${entry.amount}`)
+                          .join(' / ')}
+                      </p>
+                    </div>
+                  </div>
+                  <div className={`text-sm font-medium ${display.text}`}>
+                    {display.label} {display.sign}{transaction.amount}
                   </div>
                 </div>
-                <div className={`text-sm font-medium ${
-                  item.type === 'purchase' ? 'text-green-600' : 'text-red-600'
-                }`}>
-                  {item.type === 'purchase' ? '+' : '-'}{item.credits} credits
-                </div>
-              </div>
-            ))}
+              );
+            })}
           </div>
         </div>
 
         {/* Low Credit Warning */}
-        {creditBalance < 50 && (
+        {schoolId && !isLoading && creditBalance < 50 && (
           <div className="mt-6 bg-yellow-50 border border-yellow-200 rounded-md p-4">
             <div className="flex">
               <div className="flex-shrink-0">
@@ -306,7 +343,7 @@ const CreditSystem = () => {
                   </div>
                 ) : (
                   <div className="grid grid-cols-1 gap-4">
-                    {creditPackages.map((pkg) => (
+                    {CREDIT_PACKAGES.map((pkg) => (
                       <button
                         key={pkg.id}
                         onClick={() => setSelectedPackage(pkg)}
@@ -333,7 +370,8 @@ const CreditSystem = () => {
                   <>
                     <button
                       onClick={handleConfirmPurchase}
-                      className="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-blue-600 text-base font-medium text-white hover:bg-blue-700 sm:ml-3 sm:w-auto sm:text-sm"
+                      disabled={!schoolId}
+                      className="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-blue-600 text-base font-medium text-white hover:bg-blue-700 disabled:opacity-50 sm:ml-3 sm:w-auto sm:text-sm"
                     >
                       <FiCreditCard className="mr-2 h-4 w-4" />
                       Complete Purchase
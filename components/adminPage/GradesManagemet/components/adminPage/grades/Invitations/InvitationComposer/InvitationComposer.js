@@ -7,16 +7,25 @@ import {
   Users,
   CheckCircle,
   ArrowLeft,
-  ArrowRight
+  ArrowRight,
+  Coins,
+  ShieldAlert
 } from 'lucide-react';
 import RecipientSelector from './RecipientSelector';
 import MessageEditor from './MessageEditor';
 import SchedulingOptions from './SchedulingOptions';
 import PreviewPanel from './PreviewPanel';
 import SendingControls from './SendingControls';
+import RsvpOptions from './RsvpOptions';
 import WhatsAppMessageTester from './WhatsAppMessageTester';
 import VideoRecordingStudio from './VideoRecordingStudio';
+import ChannelSelector from '../ChannelSelector';
 import { invitationService } from '../../../../../services/invitation/invitationService';
+import { DEFAULT_LANGUAGE } from '../../../../../services/invitation/languages';
+import { DEFAULT_PRICING, estimateInvitationCost } from '../../../../../services/invitation/pricing';
+import { evaluateBudget } from '../../../../../services/invitation/budgets';
+import { validateRsvpSettings } from '../../../../../services/invitation/rsvp';
+import { schoolIdOf } from '../../../../../../../context/SchoolContext';
 
 /**
  * Main InvitationComposer component that orchestrates the invitation creation process
@@ -35,7 +44,13 @@ const InvitationComposer = ({
     recipients: [],
     subject: '',
     message: '',
+    language: DEFAULT_LANGUAGE,
+    translations: {},
     template: null,
+    whatsappTemplate: null,
+    channels: ['whatsapp'],
+    fallback: null,
+    rsvp: null,
     scheduledDate: null,
     sendImmediately: true
   });
@@ -49,8 +64,63 @@ const InvitationComposer = ({
   const [recordingType, setRecordingType] = useState('messaging');
   const [bulkSendResults, setBulkSendResults] = useState([]);
   const [isSendingBulk, setIsSendingBulk] = useState(false);
+  const [credits, setCredits] = useState(null);
+  const [pricing, setPricing] = useState(DEFAULT_PRICING);
+  const [budget, setBudget] = useState(null);
 
-  const currentSchoolName = selectedSchool?.schoolName || schools[0]?.schoolName || 'Your School';
+  // Only the open school's name: another school's would suggest sending on its behalf
+  const currentSchoolName = selectedSchool?.schoolName || 'Your School';
+  const currentSchoolId = schoolIdOf(selectedSchool);
+
+  // The message is written in the school's default language; translations are optional
+  useEffect(() => {
+    if (!currentSchoolId) return;
+    invitationService.getInvitationPreferences(currentSchoolId)
+      .then(({ defaultLanguage }) => updateInvitationData('language', defaultLanguage))
+      .catch(() => {});
+  }, [currentSchoolId]);
+
+  // Estimates use the server's rates so they match the credits reserved on send
+  useEffect(() => {
+    invitationService.getPricing()
+      .then(setPricing)
+      .catch(() => {});
+  }, []);
+
+  const loadCredits = () => {
+    if (!currentSchoolId) return;
+    invitationService.getInvitationCredits(currentSchoolId)
+      .then(setCredits)
+      .catch(() => setCredits(null));
+    invitationService.getMessagingBudget(currentSchoolId)
+      .then(setBudget)
+      .catch(() => setBudget(null));
+  };
+
+  // Re-read when reaching the send step; other admins may have spent credits meanwhile
+  useEffect(() => {
+    if (currentStep === 3) loadCredits();
+  }, [currentSchoolId, currentStep]);
+
+  const estimate = estimateInvitationCost(invitationData, {
+    config: pricing,
+    whatsappCategory: invitationData.whatsappTemplate?.category || null
+  });
+  const requiredCredits = estimate.credits;
+  const hasEnoughCredits = !credits || requiredCredits <= credits.available;
+  const creditShortfall = hasEnoughCredits
+    ? null
+    : `This send needs ${requiredCredits} credits but only ${credits.available} are available. Buy more credits to continue.`;
+  // The server makes the final call; this warns before a send is held for approval
+  const budgetReview = budget && evaluateBudget({
+    cost: estimate.cost,
+    budget: budget.budget,
+    usage: {
+      spent: budget.usage.spent,
+      userSpent: budget.usage.users.find(u => u.userId === user?.sub)?.spent || 0
+    },
+    userId: user?.sub || null
+  });
 
   const steps = [
     { id: 1, name: 'Select Grade', icon: <GraduationCap size={16} />, color: 'blue' },
@@ -78,6 +148,10 @@ const InvitationComposer = ({
   // Validate invitation data
   const validateInvitation = () => {
     const newErrors = {};
+
+    if (!hasEnoughCredits) {
+      newErrors.general = creditShortfall;
+    }
     
     if (!invitationData.recipients.length && !selectedGrade) {
       newErrors.recipients = 'Please select at least one recipient or grade';
@@ -90,6 +164,14 @@ const InvitationComposer = ({
     if (!invitationData.message.trim()) {
       newErrors.message = 'Message content is required';
     }
+
+    if (invitationData.whatsappTemplate && !invitationData.whatsappTemplate.name) {
+      newErrors.whatsappTemplate = 'Choose an approved WhatsApp template';
+    }
+
+    if (invitationData.rsvp && !validateRsvpSettings(invitationData.rsvp).isValid) {
+      newErrors.rsvp = 'Finish the RSVP questions';
+    }
     
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -105,7 +187,8 @@ const InvitationComposer = ({
     try {
       const result = await invitationService.sendInvitation({
         ...invitationData,
-        gradeId: gradeId || selectedGrade?.id
+        gradeId: gradeId || selectedGrade?.id,
+        schoolId: currentSchoolId
       });
       
       onInvitationSent?.(result);
@@ -113,16 +196,27 @@ const InvitationComposer = ({
       setErrors({ general: error.message });
     } finally {
       setIsLoading(false);
+      loadCredits();
     }
   };
 
   // Handle bulk send
   const handleBulkSend = async (sendOptions) => {
+    if (!hasEnoughCredits) {
+      setErrors({ general: creditShortfall });
+      return;
+    }
+    if (invitationData.rsvp && !validateRsvpSettings(invitationData.rsvp).isValid) {
+      setErrors({ rsvp: 'Finish the RSVP questions' });
+      return;
+    }
+
     setIsSendingBulk(true);
     try {
       const results = await invitationService.bulkSendInvitations({
         ...invitationData,
         gradeId: selectedGrade?.id,
+        schoolId: currentSchoolId,
         ...sendOptions
       });
       setBulkSendResults(results);
@@ -131,6 +225,7 @@ const InvitationComposer = ({
       setErrors({ general: error.message });
     } finally {
       setIsSendingBulk(false);
+      loadCredits();
     }
   };
 
@@ -219,6 +314,7 @@ const InvitationComposer = ({
                 grades={grades}
                 selectedGrade={selectedGrade}
                 selectedRecipients={invitationData.recipients}
+                schoolId={currentSchoolId}
                 onGradeSelect={(grade) => {
                   setSelectedGrade(grade);
                   setCurrentStep(2);
@@ -234,10 +330,16 @@ const InvitationComposer = ({
                 schoolName={currentSchoolName}
                 subject={invitationData.subject}
                 message={invitationData.message}
+                language={invitationData.language}
+                translations={invitationData.translations}
+                onTranslationsChange={(translations) => updateInvitationData('translations', translations)}
                 template={invitationData.template}
                 onSubjectChange={(subject) => updateInvitationData('subject', subject)}
                 onMessageChange={(message) => updateInvitationData('message', message)}
                 onTemplateChange={(template) => updateInvitationData('template', template)}
+                schoolId={currentSchoolId}
+                whatsappTemplate={invitationData.whatsappTemplate}
+                onWhatsAppTemplateChange={(whatsappTemplate) => updateInvitationData('whatsappTemplate', whatsappTemplate)}
                 onBack={() => setCurrentStep(1)}
                 onNext={() => setCurrentStep(3)}
                 onShowVideoRecorder={(type) => {
@@ -245,27 +347,71 @@ const InvitationComposer = ({
                   setShowVideoRecorder(true);
                 }}
                 onShowTemplateManager={() => setShowTemplateManager(true)}
-                errors={{ subject: errors.subject, message: errors.message }}
+                errors={{ subject: errors.subject, message: errors.message, whatsappTemplate: errors.whatsappTemplate }}
               />
             )}
             
             {currentStep === 3 && (
-              <SchedulingOptions
-                selectedGrade={selectedGrade}
-                sendImmediately={invitationData.sendImmediately}
-                scheduledDate={invitationData.scheduledDate}
-                onSendImmediatelyChange={(immediate) => updateInvitationData('sendImmediately', immediate)}
-                onScheduledDateChange={(date) => updateInvitationData('scheduledDate', date)}
-                onBack={() => setCurrentStep(2)}
-                onSend={handleBulkSend}
-                isSending={isSendingBulk}
-              />
+              <div className="space-y-8">
+                <PreviewPanel invitation={invitationData} />
+                <ChannelSelector
+                  selectedChannels={invitationData.channels}
+                  onChange={(channels) => updateInvitationData('channels', channels)}
+                  fallback={invitationData.fallback}
+                  onFallbackChange={(fallback) => updateInvitationData('fallback', fallback)}
+                  user={user}
+                  selectedSchool={selectedSchool || {}}
+                  pricing={pricing}
+                  recipientCount={invitationData.recipients.length || selectedGrade?.studentCount || 0}
+                  message={invitationData.message}
+                  whatsappCategory={invitationData.whatsappTemplate?.category || null}
+                />
+                {credits && (
+                  <div className={`flex items-center space-x-2 p-3 rounded-lg border text-sm ${
+                    hasEnoughCredits ? 'bg-blue-50 border-blue-200 text-blue-800' : 'bg-red-50 border-red-200 text-red-800'
+                  }`}>
+                    <Coins size={16} />
+                    <span>
+                      This send needs <strong>{requiredCredits}</strong> credits (R{estimate.cost.toFixed(2)}); <strong>{credits.available}</strong> available.
+                      {invitationData.fallback && ' Fallback steps that turn out not to be needed are refunded.'}
+                      {!hasEnoughCredits && ' Buy more credits before sending.'}
+                    </span>
+                  </div>
+                )}
+                {budgetReview?.requiresApproval && (
+                  <div className="flex items-start space-x-2 p-3 rounded-lg border text-sm bg-yellow-50 border-yellow-200 text-yellow-800">
+                    <ShieldAlert size={16} className="mt-0.5" />
+                    <div>
+                      <p>This send will wait for a principal's approval before it goes out:</p>
+                      <ul className="mt-1 list-disc list-inside">
+                        {budgetReview.reasons.map(reason => <li key={reason}>{reason}</li>)}
+                      </ul>
+                    </div>
+                  </div>
+                )}
+                <RsvpOptions
+                  rsvp={invitationData.rsvp}
+                  onChange={(rsvp) => updateInvitationData('rsvp', rsvp)}
+                  error={errors.rsvp}
+                />
+                <SchedulingOptions
+                  selectedGrade={selectedGrade}
+                  sendImmediately={invitationData.sendImmediately}
+                  scheduledDate={invitationData.scheduledDate}
+                  onSendImmediatelyChange={(immediate) => updateInvitationData('sendImmediately', immediate)}
+                  onScheduledDateChange={(date) => updateInvitationData('scheduledDate', date)}
+                  onBack={() => setCurrentStep(2)}
+                  onSend={handleBulkSend}
+                  isSending={isSendingBulk}
+                />
+              </div>
             )}
             
             {currentStep === 4 && (
               <PreviewPanel
+                mode="results"
                 results={bulkSendResults}
-                invitationData={invitationData}
+                invitation={invitationData}
                 recipientCount={invitationData.recipients.length || selectedGrade?.studentCount || 0}
                 onBack={() => setCurrentStep(3)}
               />
@@ -298,6 +444,7 @@ const InvitationComposer = ({
               </button>
             ) : (
               <SendingControls
+                schoolId={currentSchoolId}
                 currentStep={currentStep}
                 onStartOver={() => {
                   setCurrentStep(1);
@@ -307,7 +454,13 @@ const InvitationComposer = ({
                     recipients: [],
                     subject: '',
                     message: '',
+                    language: invitationData.language,
+                    translations: {},
                     template: null,
+                    whatsappTemplate: null,
+                    channels: ['whatsapp'],
+                    fallback: null,
+                    rsvp: null,
                     scheduledDate: null,
                     sendImmediately: true
                   });
@@ -10,6 +10,8 @@ import {
   Send,
   FileText
 } from 'lucide-react';
+import WhatsAppTemplatePicker from './WhatsAppTemplatePicker';
+import { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } from '../../../../../services/invitation/languages';
 
 // Mock WhatsApp Message Tester component
 const WhatsAppMessageTester = ({ selectedGrade, schoolName, testMessage, onMessageUpdate }) => {
@@ -64,10 +66,16 @@ const MessageEditor = ({
   schoolName,
   subject = '', 
   message = '', 
+  language = DEFAULT_LANGUAGE,
+  translations = {},
+  onTranslationsChange,
   template = null, 
   onSubjectChange,
   onMessageChange, 
   onTemplateChange,
+  schoolId,
+  whatsappTemplate = null,
+  onWhatsAppTemplateChange,
   onBack,
   onNext,
   onShowVideoRecorder,
@@ -97,6 +105,12 @@ const MessageEditor = ({
 
   const [activeTab, setActiveTab] = useState('compose');
   const [testMessage, setTestMessage] = useState('');
+  const [editingLanguage, setEditingLanguage] = useState(language);
+
+  // Follow the school default once it has loaded
+  useEffect(() => {
+    setEditingLanguage(language);
+  }, [language]);
 
   // Initialize message template based on selected grade and school
   useEffect(() => {
@@ -134,6 +148,9 @@ const MessageEditor = ({
       
       onSubjectChange?.(populatedSubject);
       onMessageChange?.(populatedContent);
+      onTranslationsChange?.(Object.fromEntries(
+        Object.entries(selectedTemplate.translations || {}).map(([code, text]) => [code, { subject: text.subject, message: text.content }])
+      ));
       setTestMessage(populatedContent);
     }
   };
@@ -143,6 +160,18 @@ const MessageEditor = ({
     setTestMessage(value);
   };
 
+  // The school default is edited in subject and message; other languages in translations
+  const isTranslating = editingLanguage !== language;
+  const shownSubject = isTranslating ? translations[editingLanguage]?.subject || '' : subject;
+  const shownMessage = isTranslating ? translations[editingLanguage]?.message || '' : message;
+
+  const updateTranslation = (field, value) => {
+    onTranslationsChange?.({
+      ...translations,
+      [editingLanguage]: { subject: '', message: '', ...translations[editingLanguage], [field]: value }
+    });
+  };
+
   const tabs = [
     { id: 'compose', name: 'Compose Message', icon: <FileText size={16} /> },
     { id: 'test', name: 'Test WhatsApp', icon: <MessageCircle size={16} /> },
@@ -231,6 +260,36 @@ const MessageEditor = ({
                 </select>
               </div>
 
+              {/* Language */}
+              <div>
+                <div className="flex flex-wrap gap-2">
+                  {SUPPORTED_LANGUAGES.map(({ code, label }) => {
+                    const hasText = code === language ? Boolean(message.trim()) : Boolean(translations[code]?.message?.trim());
+                    return (
+                      <button
+                        key={code}
+                        type="button"
+                        onClick={() => setEditingLanguage(code)}
+                        className={`px-3 py-1 text-sm rounded-full border transition-colors ${
+                          editingLanguage === code
+                            ? 'bg-blue-600 border-blue-600 text-white'
+                            : 'bg-white border-gray-300 text-gray-700 hover:border-blue-400'
+                        }`}
+                      >
+                        {label}
+                        {code === language && ' (default)'}
+                        {hasText && code !== language && ' ✓'}
+                      </button>
+                    );
+                  })}
+                </div>
+                <p className="mt-1 text-xs text-gray-500">
+                  {isTranslating
+                    ? 'Guardians who prefer this language get this version. Leave it empty to send them the default.'
+                    : 'Guardians without a translation in their language get this version.'}
+                </p>
+              </div>
+
               {/* Subject Field */}
               <div>
                 <label htmlFor="subject" className="block text-sm font-medium text-gray-700 mb-2">
@@ -239,8 +298,8 @@ const MessageEditor = ({
                 <input
                   type="text"
                   id="subject"
-                  value={subject}
-                  onChange={(e) => onSubjectChange?.(e.target.value)}
+                  value={shownSubject}
+                  onChange={(e) => isTranslating ? updateTranslation('subject', e.target.value) : onSubjectChange?.(e.target.value)}
                   placeholder="Enter message subject..."
                   className={`block w-full px-3 py-2 border rounded-lg shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
                     errors.subject ? 'border-red-300' : 'border-gray-300'
@@ -251,7 +310,7 @@ const MessageEditor = ({
                   <p className="mt-1 text-sm text-red-600">{errors.subject}</p>
                 )}
                 <p className="mt-1 text-xs text-gray-500">
-                  {subject.length}/200 characters
+                  {shownSubject.length}/200 characters
                 </p>
               </div>
 
@@ -263,8 +322,8 @@ const MessageEditor = ({
                 <textarea
                   id="message"
                   rows={12}
-                  value={message}
-                  onChange={(e) => handleMessageChange(e.target.value)}
+                  value={shownMessage}
+                  onChange={(e) => isTranslating ? updateTranslation('message', e.target.value) : handleMessageChange(e.target.value)}
                   placeholder="Compose your invitation message..."
                   className={`block w-full px-3 py-2 border rounded-lg shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 resize-none ${
                     errors.message ? 'border-red-300' : 'border-gray-300'
@@ -274,10 +333,22 @@ const MessageEditor = ({
                   <p className="mt-1 text-sm text-red-600">{errors.message}</p>
                 )}
                 <div className="mt-1 flex justify-between text-xs text-gray-500">
-                  <span>{message.split(/\s+/).filter(Boolean).length} words</span>
-                  <span>{message.length} characters</span>
+                  <span>{shownMessage.split(/\s+/).filter(Boolean).length} words</span>
+                  <span>{shownMessage.length} characters</span>
                 </div>
               </div>
+
+              {/* WhatsApp Business Template */}
+              <div>
+                <WhatsAppTemplatePicker
+                  schoolId={schoolId}
+                  value={whatsappTemplate}
+                  onChange={onWhatsAppTemplateChange}
+                />
+                {errors.whatsappTemplate && (
+                  <p className="mt-1 text-sm text-red-600">{errors.whatsappTemplate}</p>
+                )}
+              </div>
             </div>
 
             {/* Message Guidelines */}
@@ -1,5 +1,39 @@
 import React from 'react';
-import { CheckCircle, ChevronLeft, AlertCircle, Users, Clock, Mail } from 'lucide-react';
+import { CheckCircle, ChevronLeft, AlertCircle, Users, Clock, Mail, UserX } from 'lucide-react';
+import { compileTemplate } from '../../../../../services/invitation/templateEngine';
+import { selectTranslation, findMissingTranslations, languageLabel } from '../../../../../services/invitation/languages';
+
+/**
+ * Render the subject and message for the first recipient, the way the pipeline will,
+ * in the recipient's language when there is a translation
+ * @param {Object} invitation - Invitation being composed
+ * @returns {Object} { subject, message, language, missing, error }
+ */
+const renderForFirstRecipient = (invitation) => {
+  const recipient = invitation?.recipients?.[0] || {};
+  const { subject: subjectSource, message: messageSource, language } = selectTranslation(invitation || {}, recipient);
+  const data = {
+    ...invitation?.variables,
+    ...recipient,
+    parentName: recipient.name,
+    parent_name: recipient.name,
+    learnerName: recipient.studentName,
+    siblings: recipient.siblings || []
+  };
+  try {
+    const subject = compileTemplate(subjectSource).renderWithReport(data, { missing: 'keep' });
+    const message = compileTemplate(messageSource).renderWithReport(data, { missing: 'keep' });
+    return {
+      subject: subject.output,
+      message: message.output,
+      language,
+      missing: [...new Set([...subject.missing, ...message.missing])],
+      error: null
+    };
+  } catch (error) {
+    return { subject: subjectSource, message: messageSource, language, missing: [], error: error.message };
+  }
+};
 
 const PreviewPanel = ({ 
   invitation, 
@@ -24,8 +58,21 @@ const PreviewPanel = ({
           </button>
         </div>
 
+        {results?.status === 'pending_approval' && (
+          <div className="bg-yellow-50 border border-yellow-200 p-4 rounded-lg text-sm text-yellow-800">
+            <div className="flex items-center font-medium">
+              <Clock className="mr-2" size={16} />
+              Waiting for a principal to approve this send
+            </div>
+            <p className="mt-1">Nothing has been sent yet. It goes out once a principal approves it.</p>
+            <ul className="mt-2 list-disc list-inside">
+              {(results.approval?.reasons || []).map(reason => <li key={reason}>{reason}</li>)}
+            </ul>
+          </div>
+        )}
+
         {/* Results Summary */}
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
           <div className="bg-green-50 border border-green-200 p-4 rounded-lg">
             <div className="flex items-center">
               <CheckCircle className="text-green-600 mr-2" size={20} />
@@ -46,6 +93,16 @@ const PreviewPanel = ({
             </div>
           </div>
 
+          <div className="bg-gray-50 border border-gray-200 p-4 rounded-lg">
+            <div className="flex items-center">
+              <UserX className="text-gray-600 mr-2" size={20} />
+              <div>
+                <p className="text-sm font-medium text-gray-800">Skipped (opted out)</p>
+                <p className="text-2xl font-bold text-gray-900">{results?.optedOut || 0}</p>
+              </div>
+            </div>
+          </div>
+
           <div className="bg-blue-50 border border-blue-200 p-4 rounded-lg">
             <div className="flex items-center">
               <Users className="text-blue-600 mr-2" size={20} />
@@ -101,6 +158,9 @@ const PreviewPanel = ({
   }
 
   // Preview mode
+  const rendered = renderForFirstRecipient(invitation);
+  const missingTranslations = findMissingTranslations(invitation || {});
+
   return (
     <div className="space-y-6">
       <div>
@@ -111,16 +171,51 @@ const PreviewPanel = ({
         <p className="text-sm text-gray-500">How your invitation will appear</p>
       </div>
 
+      {rendered.error && (
+        <div className="bg-red-50 p-4 rounded-lg border border-red-200">
+          <h4 className="text-sm font-medium text-red-800 flex items-center mb-1">
+            <AlertCircle className="mr-2" size={14} />
+            Template error
+          </h4>
+          <p className="text-sm text-red-700">{rendered.error}</p>
+        </div>
+      )}
+
+      {missingTranslations.length > 0 && (
+        <div className="bg-orange-50 p-4 rounded-lg border border-orange-200">
+          <h4 className="text-sm font-medium text-orange-800 flex items-center mb-1">
+            <AlertCircle className="mr-2" size={14} />
+            Missing translations
+          </h4>
+          <ul className="text-sm text-orange-700 space-y-1">
+            {missingTranslations.map(({ language, label, recipients, missing }) => (
+              <li key={language}>
+                {recipients} guardian{recipients !== 1 ? 's prefer' : ' prefers'} {label}, but there is no {label} {missing.join(' or ')}.
+                {' '}They will get the {languageLabel(invitation.language)} {missing[0] === 'message' ? 'version' : 'subject'}.
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Message Preview */}
       <div className="border rounded-lg p-4 bg-white shadow-sm">
-        <div className="border-b pb-3 mb-4">
+        <div className="border-b pb-3 mb-4 flex justify-between items-start">
           <h4 className="font-medium text-gray-900">
-            {invitation?.subject || '(No subject)'}
+            {rendered.subject || '(No subject)'}
           </h4>
+          {rendered.language && (
+            <span className="text-xs text-gray-500">{languageLabel(rendered.language)}</span>
+          )}
         </div>
         <div className="text-sm text-gray-700 whitespace-pre-line">
-          {invitation?.message || 'Your message content will appear here...'}
+          {rendered.message || 'Your message content will appear here...'}
         </div>
+        {rendered.missing.length > 0 && (
+          <p className="mt-3 text-xs text-orange-600">
+            No value for {rendered.missing.map(name => `{{${name}}}`).join(', ')} for this recipient. Add a fallback, e.g. {'{{'}{rendered.missing[0]} | default:"..."{'}}'}
+          </p>
+        )}
       </div>
 
       {/* Invitation Details */}
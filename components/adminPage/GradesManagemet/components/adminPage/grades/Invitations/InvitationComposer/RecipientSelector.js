@@ -1,11 +1,16 @@
 import React, { useState, useEffect } from 'react';
-import { GraduationCap, MessageCircle, Users, Search, Filter } from 'lucide-react';
+import { GraduationCap, MessageCircle, Users, Search, Home, AlertTriangle, Filter } from 'lucide-react';
+import { invitationService } from '../../../../../services/invitation/invitationService';
+import { SUPPORTED_LANGUAGES } from '../../../../../services/invitation/languages';
+import { RECIPIENT_MODES } from '../../../../../services/learners/guardians';
+import SegmentBuilder from './SegmentBuilder';
 
 const RecipientSelector = ({ 
   gradeId, 
   grades = [], 
   selectedGrade, 
   selectedRecipients = [], 
+  schoolId,
   onGradeSelect, 
   onRecipientsChange, 
   error 
@@ -13,52 +18,43 @@ const RecipientSelector = ({
   const [recipients, setRecipients] = useState([]);
   const [filtered, setFiltered] = useState([]);
   const [search, setSearch] = useState('');
-  const [statusFilter, setStatusFilter] = useState('all');
+  const [mode, setMode] = useState(RECIPIENT_MODES.household);
+  const [unreachable, setUnreachable] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [errorState, setErrorState] = useState(null);
   const [showRecipientDetails, setShowRecipientDetails] = useState(false);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [source, setSource] = useState('grade');
 
-  // Fetch recipients when a grade is selected
+  // Fetch recipients when a grade is selected or the addressing changes
   useEffect(() => {
-    if (selectedGrade || gradeId) {
+    if ((selectedGrade || gradeId) && schoolId) {
       fetchRecipients();
     } else {
       setRecipients([]);
       setFiltered([]);
+      setUnreachable([]);
     }
-  }, [selectedGrade?.id, gradeId]);
+  }, [selectedGrade?.id, gradeId, schoolId, mode]);
 
-  // Filter recipients based on search and status
+  // Filter recipients by guardian name, email or child
   useEffect(() => {
-    let results = recipients;
-    if (search) {
-      results = results.filter(r => 
-        r.name.toLowerCase().includes(search.toLowerCase()) || 
-        r.email.toLowerCase().includes(search.toLowerCase())
-      );
-    }
-    if (statusFilter !== 'all') {
-      results = results.filter(r => 
-        statusFilter === 'invited' ? r.status === 'invited' : r.status !== 'invited'
-      );
-    }
+    const term = search.toLowerCase();
+    const results = !term ? recipients : recipients.filter(r =>
+      r.name.toLowerCase().includes(term) ||
+      (r.email || '').toLowerCase().includes(term) ||
+      [r.studentName, ...(r.siblings || []).map(s => s.name)].some(name => (name || '').toLowerCase().includes(term))
+    );
     setFiltered(results);
-  }, [recipients, search, statusFilter]);
+  }, [recipients, search]);
 
   const fetchRecipients = async () => {
     try {
       setIsLoading(true);
-      // Simulate API call - replace with actual service call
-      const mockRecipients = Array.from({ length: 25 }, (_, i) => ({
-        id: `recipient-${i}`,
-        name: `Parent ${i + 1}`,
-        email: `parent${i + 1}@example.com`,
-        phone: `+27 ${String(Math.floor(Math.random() * 900000000) + 100000000)}`,
-        status: Math.random() > 0.7 ? 'invited' : 'not-invited',
-        studentName: `Student ${i + 1}`
-      }));
-      setRecipients(mockRecipients);
-      setFiltered(mockRecipients);
+      const result = await invitationService.getAvailableRecipients(selectedGrade?.id || gradeId, { schoolId, mode });
+      setRecipients(result.recipients);
+      setFiltered(result.recipients);
+      setUnreachable(result.unreachable);
       setErrorState(null);
     } catch (err) {
       setErrorState('Failed to load recipients');
@@ -67,6 +63,38 @@ const RecipientSelector = ({
     }
   };
 
+  // Learners added outside an import get their guardians from the roster's parent details
+  const syncGuardians = async () => {
+    try {
+      setIsSyncing(true);
+      await invitationService.syncGuardians(schoolId, selectedGrade?.id || gradeId);
+      await fetchRecipients();
+    } catch (err) {
+      setErrorState(err.message || 'Failed to add guardians from parent details');
+    } finally {
+      setIsSyncing(false);
+    }
+  };
+
+  // The other mode's recipients have different IDs, so the selection starts again
+  const changeMode = (nextMode) => {
+    if (nextMode === mode) return;
+    onRecipientsChange?.([]);
+    setMode(nextMode);
+  };
+
+  // Store the guardian's choice so later invitations use it too
+  const changeLanguage = async (recipient, language) => {
+    const update = list => list.map(r => r.guardianId === recipient.guardianId ? { ...r, language } : r);
+    setRecipients(update);
+    if (selectedRecipients.some(r => r.guardianId === recipient.guardianId)) {
+      onRecipientsChange?.(update(selectedRecipients));
+    }
+    if (schoolId) {
+      await invitationService.setGuardianLanguage(schoolId, recipient.guardianId, language).catch(() => {});
+    }
+  };
+
   const toggleRecipient = (recipient) => {
     const isSelected = selectedRecipients.some(r => r.id === recipient.id);
     if (isSelected) {
@@ -91,14 +119,72 @@ const RecipientSelector = ({
     setShowRecipientDetails(true);
   };
 
+  // Segments pick from the whole school, so the selection starts again on switching
+  const changeSource = (nextSource) => {
+    if (nextSource === source) return;
+    onRecipientsChange?.([]);
+    setSource(nextSource);
+  };
+
+  const sourceToggle = (
+    <div className="inline-flex rounded-lg border border-gray-300 overflow-hidden" role="group" aria-label="Choose recipients">
+      {[
+        { value: 'grade', label: 'By grade', Icon: GraduationCap },
+        { value: 'segment', label: 'By segment', Icon: Filter }
+      ].map(({ value, label, Icon }) => (
+        <button
+          key={value}
+          type="button"
+          onClick={() => changeSource(value)}
+          className={`px-3 py-2 text-sm inline-flex items-center ${
+            source === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+          }`}
+        >
+          <Icon size={14} className="mr-1" />
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+
+  if (!selectedGrade && !gradeId && source === 'segment') {
+    return (
+      <div>
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 mb-6">
+          <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+            <Filter className="mr-2" size={24} />
+            Build a segment to send invitations
+          </h2>
+          {sourceToggle}
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+            <p className="text-red-600 text-sm">{error}</p>
+          </div>
+        )}
+
+        <SegmentBuilder
+          schoolId={schoolId}
+          grades={grades}
+          selectedRecipients={selectedRecipients}
+          onRecipientsChange={onRecipientsChange}
+        />
+      </div>
+    );
+  }
+
   // If no grade is selected and we have grades to choose from
   if (!selectedGrade && !gradeId && grades.length > 0) {
     return (
       <div>
-        <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center">
-          <GraduationCap className="mr-2" size={24} />
-          Select a Grade to send invitations
-        </h2>
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 mb-6">
+          <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+            <GraduationCap className="mr-2" size={24} />
+            Select a Grade to send invitations
+          </h2>
+          {sourceToggle}
+        </div>
         
         {error && (
           <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
@@ -192,23 +278,28 @@ const RecipientSelector = ({
             type="text"
             value={search}
             onChange={(e) => setSearch(e.target.value)}
-            placeholder="Search by name or email..."
+            placeholder="Search by guardian, email or learner..."
             className="w-full pl-9 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
           />
           <Search className="absolute left-3 top-2.5 h-4 w-4 text-gray-400" />
         </div>
         
-        <div className="relative">
-          <select
-            value={statusFilter}
-            onChange={(e) => setStatusFilter(e.target.value)}
-            className="appearance-none border border-gray-300 rounded-lg px-8 py-2 pr-8 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white"
-          >
-            <option value="all">All Status</option>
-            <option value="invited">Invited</option>
-            <option value="not-invited">Not Invited</option>
-          </select>
-          <Filter className="absolute left-2 top-2.5 h-4 w-4 text-gray-400 pointer-events-none" />
+        <div className="inline-flex rounded-lg border border-gray-300 overflow-hidden" role="group" aria-label="Send to">
+          {[
+            [RECIPIENT_MODES.household, 'One per household'],
+            [RECIPIENT_MODES.learner, 'One per learner']
+          ].map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => changeMode(value)}
+              className={`px-3 py-2 text-sm whitespace-nowrap ${
+                mode === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
         </div>
         
         <button
@@ -226,6 +317,24 @@ const RecipientSelector = ({
         </div>
       )}
 
+      {!isLoading && unreachable.length > 0 && (
+        <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg flex items-start">
+          <AlertTriangle className="text-yellow-600 mr-2 flex-shrink-0" size={16} />
+          <p className="text-yellow-800 text-sm">
+            {unreachable.length} learner{unreachable.length === 1 ? ' has' : 's have'} no guardian who may be contacted:{' '}
+            {unreachable.map(l => l.name).join(', ')}
+          </p>
+          <button
+            type="button"
+            onClick={syncGuardians}
+            disabled={isSyncing}
+            className="ml-auto pl-3 text-sm text-yellow-800 underline hover:text-yellow-900 disabled:opacity-50 flex-shrink-0"
+          >
+            {isSyncing ? 'Adding...' : 'Add guardians from parent details'}
+          </button>
+        </div>
+      )}
+
       {/* Loading State */}
       {isLoading && (
         <div className="flex flex-col items-center justify-center p-8">
@@ -284,23 +393,35 @@ const RecipientSelector = ({
                       </p>
                       {recipient.studentName && (
                         <p className="text-xs text-gray-400">
-                          Parent of {recipient.studentName}
+                          Parent of {[recipient.studentName, ...(recipient.siblings || []).map(s => s.name)].join(', ')}
                         </p>
                       )}
                     </div>
                     
                     <div className="ml-4 flex flex-col items-end space-y-1">
-                      <span className={`px-2 py-1 text-xs rounded-full whitespace-nowrap ${
-                        recipient.status === 'invited' 
-                          ? 'bg-green-100 text-green-800' 
-                          : 'bg-gray-100 text-gray-800'
-                      }`}>
-                        {recipient.status === 'invited' ? 'Previously Invited' : 'Not Invited'}
-                      </span>
+                      {recipient.siblings?.length > 0 && (
+                        <span className="px-2 py-1 text-xs rounded-full whitespace-nowrap bg-blue-100 text-blue-800 inline-flex items-center">
+                          <Home size={12} className="mr-1" />
+                          {recipient.siblings.length + 1} children
+                        </span>
+                      )}
                       
                       {recipient.phone && (
                         <p className="text-xs text-gray-400">{recipient.phone}</p>
                       )}
+
+                      <select
+                        value={recipient.language || ''}
+                        onClick={(e) => e.stopPropagation()}
+                        onChange={(e) => changeLanguage(recipient, e.target.value || null)}
+                        className="text-xs border border-gray-200 rounded px-1 py-0.5 text-gray-600"
+                        title="Preferred language"
+                      >
+                        <option value="">School default</option>
+                        {SUPPORTED_LANGUAGES.map(({ code, label }) => (
+                          <option key={code} value={code}>{label}</option>
+                        ))}
+                      </select>
                     </div>
                   </div>
                 </div>
@@ -0,0 +1,133 @@
+import React from 'react';
+import { CalendarCheck, Plus, X } from 'lucide-react';
+import {
+  RSVP_QUESTION_PRESETS,
+  RSVP_QUESTION_TYPES,
+  MAX_QUESTIONS,
+  validateRsvpSettings
+} from '../../../../../services/invitation/rsvp';
+
+const inputClass = 'border border-gray-300 rounded-md px-2 py-1 text-sm';
+
+/**
+ * Whether an invitation asks for an RSVP, and the questions its answer form asks
+ * rsvp is null when no RSVP is asked for.
+ */
+const RsvpOptions = ({ rsvp = null, onChange, error }) => {
+  const questions = rsvp?.questions || [];
+  const { errors } = validateRsvpSettings(rsvp || {});
+
+  const setQuestions = next => onChange({ ...rsvp, questions: next });
+
+  const togglePreset = preset => {
+    const asked = questions.some(q => q.id === preset.id);
+    setQuestions(asked ? questions.filter(q => q.id !== preset.id) : [...questions, { ...preset }]);
+  };
+
+  const updateQuestion = (index, changes) => setQuestions(questions.map((q, i) => (i === index ? { ...q, ...changes } : q)));
+
+  const customQuestions = questions
+    .map((question, index) => ({ question, index }))
+    .filter(({ question }) => !RSVP_QUESTION_PRESETS.some(preset => preset.id === question.id));
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4">
+      <label className="flex items-center text-sm font-medium text-gray-900">
+        <input
+          type="checkbox"
+          checked={Boolean(rsvp)}
+          onChange={(e) => onChange(e.target.checked ? { questions: [] } : null)}
+          className="h-4 w-4 text-blue-600 border-gray-300 rounded mr-2"
+        />
+        <CalendarCheck size={16} className="mr-2 text-blue-600" />
+        Ask for an RSVP
+      </label>
+      <p className="mt-1 ml-6 text-xs text-gray-500">
+        Each guardian gets a personal answer link; SMS and WhatsApp recipients can also reply YES, NO or MAYBE.
+      </p>
+
+      {rsvp && (
+        <div className="mt-4 ml-6 space-y-3">
+          <div className="flex flex-wrap gap-4">
+            {RSVP_QUESTION_PRESETS.map(preset => (
+              <label key={preset.id} className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={questions.some(q => q.id === preset.id)}
+                  onChange={() => togglePreset(preset)}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded mr-2"
+                />
+                {preset.label}
+              </label>
+            ))}
+          </div>
+
+          {customQuestions.map(({ question, index }) => (
+            <div key={index} className="flex flex-wrap items-center gap-2">
+              <input
+                type="text"
+                value={question.label}
+                onChange={(e) => updateQuestion(index, { label: e.target.value })}
+                placeholder="Question"
+                className={`${inputClass} flex-1 min-w-0`}
+              />
+              <select
+                value={question.type}
+                onChange={(e) => updateQuestion(index, { type: e.target.value })}
+                className={inputClass}
+              >
+                {Object.entries(RSVP_QUESTION_TYPES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              {question.type === 'choice' && (
+                <input
+                  type="text"
+                  value={(question.options || []).join(', ')}
+                  onChange={(e) => updateQuestion(index, { options: e.target.value.split(',').map(o => o.trimStart()) })}
+                  placeholder="Options, separated by commas"
+                  className={`${inputClass} flex-1 min-w-0`}
+                />
+              )}
+              <label className="flex items-center text-xs text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={Boolean(question.required)}
+                  onChange={(e) => updateQuestion(index, { required: e.target.checked })}
+                  className="h-3 w-3 mr-1"
+                />
+                Required
+              </label>
+              <button
+                type="button"
+                onClick={() => setQuestions(questions.filter((_, i) => i !== index))}
+                className="p-1 text-gray-400 hover:text-red-600"
+                aria-label="Remove question"
+              >
+                <X size={14} />
+              </button>
+            </div>
+          ))}
+
+          {questions.length < MAX_QUESTIONS && (
+            <button
+              type="button"
+              onClick={() => setQuestions([...questions, { id: '', label: '', type: 'text', options: [], required: false }])}
+              className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800"
+            >
+              <Plus size={14} className="mr-1" /> Add a question
+            </button>
+          )}
+
+          {(errors.length > 0 || error) && (
+            <ul className="text-xs text-red-600 list-disc list-inside">
+              {(errors.length > 0 ? errors : [error]).map(message => <li key={message}>{message}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RsvpOptions;
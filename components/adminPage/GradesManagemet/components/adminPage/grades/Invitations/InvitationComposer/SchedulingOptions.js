@@ -20,7 +20,9 @@ const SchedulingOptions = ({
   onSend,
   isSending = false
 }) => {
-  const [timezone] = useState(Intl.DateTimeFormat().resolvedOptions().timeZone);
+  const browserTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const [timezone, setTimezone] = useState(browserTimezone);
+  const timezoneOptions = Array.from(new Set([browserTimezone, 'Africa/Johannesburg', 'UTC']));
   const [localDate, setLocalDate] = useState(scheduledDate || '');
   const [sendOptions, setSendOptions] = useState({
     batchSize: 50,
@@ -62,6 +64,9 @@ const SchedulingOptions = ({
     const sendConfig = {
       immediately: sendImmediately,
       scheduledDate: scheduledDate,
+      // The worker fires at this wall-clock time in the chosen timezone
+      scheduledLocalTime: sendImmediately ? null : localDate,
+      timezone,
       ...sendOptions
     };
     onSend?.(sendConfig);
@@ -193,7 +198,17 @@ const SchedulingOptions = ({
                   
                   <div className="flex items-center space-x-2 text-xs text-gray-500">
                     <Globe size={12} />
-                    <span>Timezone: {timezone}</span>
+                    <label htmlFor="scheduled-timezone">Timezone:</label>
+                    <select
+                      id="scheduled-timezone"
+                      value={timezone}
+                      onChange={(e) => setTimezone(e.target.value)}
+                      className="px-2 py-1 border border-gray-300 rounded text-xs focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    >
+                      {timezoneOptions.map(zone => (
+                        <option key={zone} value={zone}>{zone}</option>
+                      ))}
+                    </select>
                   </div>
 
                   {/* Validation Messages */}
@@ -290,8 +305,7 @@ const SchedulingOptions = ({
           <p className="text-sm text-green-700">
             {recipientCount} invitations will be sent on{' '}
             <span className="font-medium">
-              {new Date(scheduledDate).toLocaleDateString()} at{' '}
-              {new Date(scheduledDate).toLocaleTimeString()}
+              {localDate.replace('T', ' at ')} ({timezone})
             </span>
           </p>
         </div>
@@ -0,0 +1,415 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Filter, Plus, Trash2, Save, Layers, Users, AlertTriangle, X } from 'lucide-react';
+import { invitationService } from '../../../../../services/invitation/invitationService';
+import {
+  COMBINATORS,
+  OPERATORS,
+  SEGMENT_FIELDS,
+  createGroup,
+  createRule,
+  validateSegment,
+  matchSegment,
+  describeRule
+} from '../../../../../services/invitation/segments';
+import { RECIPIENT_MODES } from '../../../../../services/learners/guardians';
+import { fetchOutstandingBalances } from '../../../../../../services/deptService';
+
+const PREVIEW_LIMIT = 8;
+
+/** Groups can hold groups this many levels down */
+const MAX_DEPTH = 2;
+
+const fieldFor = key => SEGMENT_FIELDS.find(field => field.key === key);
+
+const usesField = (group, key) => group.rules.some(rule => (Array.isArray(rule.rules) ? usesField(rule, key) : rule.field === key));
+
+const describeGroup = (group, grades) => group.rules
+  .map(rule => (Array.isArray(rule.rules) ? `(${describeGroup(rule, grades)})` : describeRule(rule, { grades })))
+  .join(` ${group.combinator.toUpperCase()} `);
+
+const RuleRow = ({ rule, gradeOptions, onChange, onRemove }) => {
+  const field = fieldFor(rule.field);
+  const options = field.key === 'grade' ? gradeOptions : field.options;
+
+  const toggleValue = value => onChange({
+    ...rule,
+    value: rule.value.includes(value) ? rule.value.filter(v => v !== value) : [...rule.value, value]
+  });
+
+  return (
+    <div className="flex flex-wrap items-start gap-2 bg-white border border-gray-200 rounded-lg p-2">
+      <select
+        value={rule.field}
+        onChange={(e) => onChange(createRule(e.target.value))}
+        className="text-sm border border-gray-300 rounded-md px-2 py-1"
+      >
+        {SEGMENT_FIELDS.map(f => (
+          <option key={f.key} value={f.key}>{f.scope === 'guardian' ? `Guardian: ${f.label}` : f.label}</option>
+        ))}
+      </select>
+      <select
+        value={rule.operator}
+        onChange={(e) => onChange({ ...rule, operator: e.target.value })}
+        className="text-sm border border-gray-300 rounded-md px-2 py-1"
+      >
+        {field.operators.map(op => (
+          <option key={op} value={op}>{OPERATORS[op].label}</option>
+        ))}
+      </select>
+
+      {field.type === 'choice' ? (
+        <div className="flex flex-wrap gap-1 flex-1 min-w-0">
+          {options.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => toggleValue(option.value)}
+              className={`px-2 py-1 text-xs rounded-full border ${
+                rule.value.includes(option.value)
+                  ? 'bg-blue-600 border-blue-600 text-white'
+                  : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      ) : (
+        <div className="flex items-center gap-2 text-sm">
+          {rule.operator !== 'atMost' && (
+            <input
+              type="number"
+              value={rule.value.min}
+              onChange={(e) => onChange({ ...rule, value: { ...rule.value, min: e.target.value } })}
+              className="w-24 border border-gray-300 rounded-md px-2 py-1"
+              aria-label="From"
+            />
+          )}
+          {rule.operator === 'between' && <span className="text-gray-500">and</span>}
+          {rule.operator !== 'atLeast' && (
+            <input
+              type="number"
+              value={rule.value.max}
+              onChange={(e) => onChange({ ...rule, value: { ...rule.value, max: e.target.value } })}
+              className="w-24 border border-gray-300 rounded-md px-2 py-1"
+              aria-label="To"
+            />
+          )}
+        </div>
+      )}
+
+      <button type="button" onClick={onRemove} className="ml-auto p-1 text-gray-400 hover:text-red-600" aria-label="Remove rule">
+        <X size={16} />
+      </button>
+    </div>
+  );
+};
+
+const GroupEditor = ({ group, depth = 0, gradeOptions, onChange, onRemove }) => {
+  const updateRule = (index, next) => onChange({ ...group, rules: group.rules.map((r, i) => (i === index ? next : r)) });
+  const removeRule = index => onChange({ ...group, rules: group.rules.filter((_, i) => i !== index) });
+
+  return (
+    <div className={`space-y-2 ${depth > 0 ? 'border-l-4 border-blue-200 bg-blue-50/50 rounded-r-lg p-3' : ''}`}>
+      <div className="flex items-center gap-2 text-sm">
+        <span className="text-gray-600">Match</span>
+        <div className="inline-flex rounded-md border border-gray-300 overflow-hidden">
+          {[[COMBINATORS.and, 'All'], [COMBINATORS.or, 'Any']].map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => onChange({ ...group, combinator: value })}
+              className={`px-2 py-0.5 text-xs ${group.combinator === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <span className="text-gray-600">of these rules</span>
+        {onRemove && (
+          <button type="button" onClick={onRemove} className="ml-auto p-1 text-gray-400 hover:text-red-600" aria-label="Remove group">
+            <Trash2 size={14} />
+          </button>
+        )}
+      </div>
+
+      {group.rules.map((rule, index) => (
+        <div key={index}>
+          {index > 0 && (
+            <p className="text-xs font-medium text-gray-400 uppercase my-1">{group.combinator}</p>
+          )}
+          {Array.isArray(rule.rules) ? (
+            <GroupEditor
+              group={rule}
+              depth={depth + 1}
+              gradeOptions={gradeOptions}
+              onChange={next => updateRule(index, next)}
+              onRemove={() => removeRule(index)}
+            />
+          ) : (
+            <RuleRow
+              rule={rule}
+              gradeOptions={gradeOptions}
+              onChange={next => updateRule(index, next)}
+              onRemove={() => removeRule(index)}
+            />
+          )}
+        </div>
+      ))}
+
+      <div className="flex gap-3">
+        <button
+          type="button"
+          onClick={() => onChange({ ...group, rules: [...group.rules, createRule()] })}
+          className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800"
+        >
+          <Plus size={14} className="mr-1" /> Add rule
+        </button>
+        {depth < MAX_DEPTH && (
+          <button
+            type="button"
+            onClick={() => onChange({ ...group, rules: [...group.rules, createGroup()] })}
+            className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800"
+          >
+            <Layers size={14} className="mr-1" /> Add group
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Pick recipients across the school by rules instead of by grade, with saved segments
+ * to reuse and a count and preview that follow every change to the rules
+ */
+const SegmentBuilder = ({ schoolId, grades = [], selectedRecipients = [], onRecipientsChange }) => {
+  const [audience, setAudience] = useState(null);
+  const [balances, setBalances] = useState(new Map());
+  const [balancesUnavailable, setBalancesUnavailable] = useState(false);
+  const [savedSegments, setSavedSegments] = useState([]);
+  const [segment, setSegment] = useState(createGroup());
+  const [activeSegment, setActiveSegment] = useState(null);
+  const [name, setName] = useState('');
+  const [mode, setMode] = useState(RECIPIENT_MODES.household);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (schoolId) loadAudience();
+  }, [schoolId]);
+
+  const loadAudience = async () => {
+    try {
+      setIsLoading(true);
+      const [loaded, segments] = await Promise.all([
+        invitationService.getSegmentAudience(schoolId),
+        invitationService.getSegments(schoolId)
+      ]);
+      setAudience({ ...loaded, languages: new Map(Object.entries(loaded.languages || {})) });
+      setSavedSegments(segments);
+      setError(null);
+    } catch (err) {
+      setError('Failed to load learners and guardians');
+    } finally {
+      setIsLoading(false);
+    }
+
+    // Balances come from the accounts system, which may be unreachable; other rules still work
+    try {
+      setBalances(await fetchOutstandingBalances(schoolId));
+      setBalancesUnavailable(false);
+    } catch (err) {
+      setBalancesUnavailable(true);
+    }
+  };
+
+  const gradeOptions = useMemo(() => grades.map(g => ({ value: String(g.id), label: g.name })), [grades]);
+
+  const validation = useMemo(() => validateSegment(segment), [segment]);
+
+  const match = useMemo(() => {
+    if (!audience || !validation.isValid) return null;
+    return matchSegment(segment, { ...audience, balances }, { mode });
+  }, [audience, balances, segment, mode, validation.isValid]);
+
+  const usesBalance = usesField(segment, 'balance');
+
+  const loadSegment = (saved) => {
+    setActiveSegment(saved);
+    setName(saved?.name || '');
+    setSegment(saved?.rules || createGroup());
+  };
+
+  const saveSegment = async () => {
+    try {
+      setIsSaving(true);
+      const saved = await invitationService.saveSegment({ _id: activeSegment?._id, schoolId, name, rules: segment });
+      setSavedSegments(prev => [...prev.filter(s => s._id !== saved._id), saved].sort((a, b) => a.name.localeCompare(b.name)));
+      setActiveSegment(saved);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const deleteSegment = async () => {
+    if (!activeSegment || !window.confirm(`Delete the segment "${activeSegment.name}"?`)) return;
+    try {
+      await invitationService.deleteSegment(activeSegment._id, schoolId);
+      setSavedSegments(prev => prev.filter(s => s._id !== activeSegment._id));
+      loadSegment(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex flex-col items-center justify-center p-8">
+        <div className="w-8 h-8 border-4 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+        <p className="mt-2 text-gray-600">Loading learners and guardians...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+        <select
+          value={activeSegment?._id || ''}
+          onChange={(e) => loadSegment(savedSegments.find(s => s._id === e.target.value) || null)}
+          className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-sm"
+        >
+          <option value="">New segment</option>
+          {savedSegments.map(s => (
+            <option key={s._id} value={s._id}>{s.name}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Segment name, e.g. Grade 4 with arrears"
+          className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-sm"
+        />
+        <button
+          type="button"
+          onClick={saveSegment}
+          disabled={isSaving || !name.trim() || !validation.isValid}
+          className="inline-flex items-center justify-center px-3 py-2 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+        >
+          <Save size={14} className="mr-1" />
+          {activeSegment ? 'Save changes' : 'Save segment'}
+        </button>
+        {activeSegment && (
+          <button type="button" onClick={deleteSegment} className="p-2 text-gray-400 hover:text-red-600" aria-label="Delete segment">
+            <Trash2 size={16} />
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-red-600 text-sm">{error}</p>
+        </div>
+      )}
+
+      <div className="border border-gray-200 rounded-lg p-4 bg-gray-50">
+        <h4 className="text-sm font-medium text-gray-900 flex items-center mb-3">
+          <Filter size={16} className="mr-2" /> Rules
+        </h4>
+        <GroupEditor group={segment} gradeOptions={gradeOptions} onChange={setSegment} />
+        {!validation.isValid && (
+          <ul className="mt-3 text-xs text-red-600 list-disc list-inside">
+            {validation.errors.map(message => <li key={message}>{message}</li>)}
+          </ul>
+        )}
+      </div>
+
+      {usesBalance && balancesUnavailable && (
+        <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg flex items-start">
+          <AlertTriangle className="text-yellow-600 mr-2 flex-shrink-0" size={16} />
+          <p className="text-yellow-800 text-sm">
+            Outstanding balances couldn&apos;t be loaded, so every learner counts as owing nothing.
+          </p>
+        </div>
+      )}
+
+      <div className="border border-gray-200 rounded-lg bg-white">
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 p-4 border-b border-gray-200">
+          <p className="text-sm text-gray-700 flex items-center">
+            <Users size={16} className="mr-2" />
+            {match
+              ? <span><span className="font-semibold">{match.recipients.length}</span> recipients, covering {match.learnerCount} learners</span>
+              : 'Fix the rules to see who they reach'}
+          </p>
+          <div className="flex items-center gap-2">
+            <div className="inline-flex rounded-lg border border-gray-300 overflow-hidden" role="group" aria-label="Send to">
+              {[
+                [RECIPIENT_MODES.household, 'One per household'],
+                [RECIPIENT_MODES.learner, 'One per learner']
+              ].map(([value, label]) => (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => setMode(value)}
+                  className={`px-3 py-1 text-sm whitespace-nowrap ${
+                    mode === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={() => onRecipientsChange?.(match.recipients)}
+              disabled={!match || match.recipients.length === 0}
+              className="px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              Use these recipients
+            </button>
+          </div>
+        </div>
+
+        {match && match.recipients.length > 0 && (
+          <ul className="divide-y divide-gray-100">
+            {match.recipients.slice(0, PREVIEW_LIMIT).map(recipient => (
+              <li key={recipient.id} className="px-4 py-2 text-sm">
+                <span className="font-medium text-gray-900">{recipient.name}</span>
+                <span className="text-gray-500">
+                  {' '}for {[recipient.studentName, ...recipient.siblings.map(s => s.name)].join(', ')}
+                </span>
+              </li>
+            ))}
+            {match.recipients.length > PREVIEW_LIMIT && (
+              <li className="px-4 py-2 text-xs text-gray-500">
+                and {match.recipients.length - PREVIEW_LIMIT} more
+              </li>
+            )}
+          </ul>
+        )}
+      </div>
+
+      {selectedRecipients.length > 0 && (
+        <div className="p-3 bg-green-50 border border-green-200 rounded-lg">
+          <p className="text-sm text-green-800">
+            <span className="font-medium">{selectedRecipients.length} recipients</span> selected for invitation
+            {activeSegment && ` from ${activeSegment.name}`}
+          </p>
+          {segment.rules.length > 0 && (
+            <p className="text-xs text-green-700 mt-1">
+              {describeGroup(segment, grades)}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SegmentBuilder;
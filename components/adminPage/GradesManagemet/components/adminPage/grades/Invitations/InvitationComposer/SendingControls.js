@@ -1,32 +1,20 @@
 import React, { useState } from 'react';
+import { appApi } from '../../../../../../services/api';
 
 // Import the service function
 // import { sendTestWhatsAppMessage } from '../services/whatsappService';
 
 // Or define it directly in the component (this is what you currently have)
-async function sendTestWhatsAppMessage(phoneNumber) {
+async function sendTestWhatsAppMessage(phoneNumber, schoolId) {
   console.log('🚀 Sending WhatsApp message to:', phoneNumber);
   
-  const res = await fetch('/api/send-whatsapp', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ phoneNumber }),
-  });
-
-  console.log('📡 API Response status:', res.status);
-  console.log('📡 API Response ok:', res.ok);
-
-  const data = await res.json();
+  const data = await appApi.post('send-whatsapp', { phoneNumber, schoolId });
   console.log('📊 API Response data:', data);
 
-  if (!res.ok) {
-    throw new Error(data.error || 'Unknown error from WhatsApp API');
-  }
-
   return data;
 }
 
-export default function SendingControls() {
+export default function SendingControls({ schoolId }) {
   const [phoneNumber, setPhoneNumber] = useState('');
   const [isSending, setIsSending] = useState(false);
   const [error, setError] = useState(null);
@@ -52,7 +40,7 @@ export default function SendingControls() {
 
     try {
       console.log('📞 Calling sendTestWhatsAppMessage with:', phoneNumber);
-      const result = await sendTestWhatsAppMessage(phoneNumber);
+      const result = await sendTestWhatsAppMessage(phoneNumber, schoolId);
       console.log('✅ Test message result:', result);
       setSuccess(`Test message sent! Message ID: ${result.messages?.[0]?.id || 'N/A'}`);
     } catch (err) {
@@ -12,10 +12,12 @@ import {
   AlertCircle,
   Loader
 } from 'lucide-react';
-import WhatsAppBusinessService from '../../services/WhatsAppBusinessService';
+import WhatsAppBusinessService from '../services/WhatsappBusinessService';
 import { invitationService } from '../../../../../services/invitation/invitationService';
+import useUserRoles from '../../../../../../../../hooks/useUserRoles';
+import { PERMISSIONS } from '../../../../../../../../lib/auth/permissions';
 
-const TemplateSelector = ({ selectedTemplate, onTemplateSelect, onClose }) => {
+const TemplateSelector = ({ schoolId, selectedTemplate, onTemplateSelect, onClose }) => {
   const [templates, setTemplates] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -24,6 +26,9 @@ const TemplateSelector = ({ selectedTemplate, onTemplateSelect, onClose }) => {
   const [showPreview, setShowPreview] = useState(false);
   const [previewTemplate, setPreviewTemplate] = useState(null);
   const [showCreateForm, setShowCreateForm] = useState(false);
+  // The WhatsApp Business templates are shared by every school; only platform admins change them
+  const { permissions } = useUserRoles();
+  const canManageWhatsApp = permissions.includes(PERMISSIONS.whatsappTemplatesManage);
   const [isCreating, setIsCreating] = useState(false);
   const [newTemplate, setNewTemplate] = useState({
     name: 'parent_invitation_v2',
@@ -34,16 +39,17 @@ const TemplateSelector = ({ selectedTemplate, onTemplateSelect, onClose }) => {
 
   useEffect(() => {
     loadTemplates();
-  }, []);
+  }, [schoolId]);
 
   const loadTemplates = async () => {
     try {
       setIsLoading(true);
       setError(null);
       
-      // Load both traditional templates and WhatsApp Business templates
+      // Load both traditional templates and WhatsApp Business templates. Only the
+      // principal-approved version of each school template can be used to send.
       const [traditionalTemplates, whatsappTemplates] = await Promise.all([
-        invitationService.getInvitationTemplates().catch(() => []),
+        invitationService.getInvitationTemplates(schoolId, { approvedOnly: true }).catch(() => []),
         WhatsAppBusinessService.getTemplates().catch(() => [])
       ]);
 
@@ -53,7 +59,7 @@ const TemplateSelector = ({ selectedTemplate, onTemplateSelect, onClose }) => {
         ...whatsappTemplates.map(t => ({ 
           ...t, 
           source: 'whatsapp',
-          content: t.components?.find(c => c.type === 'body')?.text || '',
+          content: t.description?.body.text || '',
           subject: t.name.replace(/_/g, ' ').toUpperCase()
         }))
       ];
@@ -134,7 +140,7 @@ const TemplateSelector = ({ selectedTemplate, onTemplateSelect, onClose }) => {
         if (template.source === 'whatsapp') {
           await WhatsAppBusinessService.deleteTemplate(template.name);
         } else {
-          await invitationService.deleteTemplate(template.id);
+          await invitationService.deleteTemplate(template.id, schoolId);
         }
         await loadTemplates();
       } catch (err) {
@@ -156,13 +162,15 @@ const TemplateSelector = ({ selectedTemplate, onTemplateSelect, onClose }) => {
             <h2 className="text-2xl font-bold text-gray-900">Template Manager</h2>
           </div>
           <div className="flex items-center space-x-2">
-            <button
-              onClick={() => setShowCreateForm(true)}
-              className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
-            >
-              <Plus size={16} className="mr-2" />
-              Create Template
-            </button>
+            {canManageWhatsApp && (
+              <button
+                onClick={() => setShowCreateForm(true)}
+                className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+              >
+                <Plus size={16} className="mr-2" />
+                Create Template
+              </button>
+            )}
             <button
               onClick={onClose}
               className="p-2 text-gray-400 hover:text-gray-600 transition-colors"
@@ -240,7 +248,7 @@ const TemplateSelector = ({ selectedTemplate, onTemplateSelect, onClose }) => {
                       isSelected={selectedTemplate?.id === template.id || selectedTemplate?.name === template.name}
                       onSelect={() => handleTemplateSelect(template)}
                       onPreview={() => handlePreview(template)}
-                      onDelete={() => handleDeleteTemplate(template)}
+                      onDelete={template.source !== 'whatsapp' || canManageWhatsApp ? () => handleDeleteTemplate(template) : null}
                     />
                   ))}
                 </div>
@@ -297,6 +305,14 @@ const TemplateCard = ({ template, isSelected, onSelect, onPreview, onDelete }) =
                 WhatsApp
               </span>
             )}
+            {template.source === 'traditional' && template.version && (
+              <span
+                className="text-xs px-2 py-1 bg-blue-100 text-blue-700 rounded-full"
+                title={template.approvedBy ? `Approved by ${template.approvedBy.name}` : undefined}
+              >
+                Approved v{template.version}
+              </span>
+            )}
             {template.isCustom && (
               <span className="text-xs px-2 py-1 bg-purple-100 text-purple-700 rounded-full">
                 Custom
@@ -316,16 +332,18 @@ const TemplateCard = ({ template, isSelected, onSelect, onPreview, onDelete }) =
           >
             <Eye size={16} />
           </button>
-          <button
-            onClick={(e) => {
-              e.stopPropagation();
-              onDelete();
-            }}
-            className="p-1 text-gray-400 hover:text-red-600 transition-colors"
-            title="Delete template"
-          >
-            <Trash2 size={16} />
-          </button>
+          {onDelete && (
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                onDelete();
+              }}
+              className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+              title="Delete template"
+            >
+              <Trash2 size={16} />
+            </button>
+          )}
         </div>
       </div>
 
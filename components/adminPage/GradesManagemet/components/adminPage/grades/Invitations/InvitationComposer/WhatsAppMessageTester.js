@@ -12,8 +12,16 @@ import {
   Smartphone
 } from 'lucide-react';
 import WhatsAppBusinessService from '../services/WhatsappBusinessService';
+import {
+  validatePhoneNumber,
+  normalisePhoneNumber,
+  formatPhoneNumber as formatForDisplay,
+  describePhoneNumber
+} from '../../../../../services/invitation/phoneNumbers';
+import { useSchoolContext } from '../../../../../../../context/SchoolContext';
 
 const WhatsAppMessageTester = ({ selectedGrade, schoolName, testMessage, onMessageUpdate }) => {
+  const { schoolId } = useSchoolContext();
   const [testPhoneNumber, setTestPhoneNumber] = useState('');
   const [isSending, setIsSending] = useState(false);
   const [testResult, setTestResult] = useState(null);
@@ -62,11 +70,11 @@ ${schoolName} Admin Team`;
     const content = getMessageContent();
     
     // Validate phone number
-    const phoneRegex = /^\+?[1-9]\d{1,14}$/;
+    const phoneCheck = validatePhoneNumber(testPhoneNumber, { channel: 'whatsapp' });
     if (!testPhoneNumber.trim()) {
       errors.phone = 'Phone number is required';
-    } else if (!phoneRegex.test(testPhoneNumber.replace(/\s+/g, ''))) {
-      errors.phone = 'Please enter a valid phone number with country code';
+    } else if (!phoneCheck.isValid) {
+      errors.phone = phoneCheck.error;
     }
     
     // Validate message content
@@ -90,7 +98,8 @@ ${schoolName} Admin Team`;
 
     try {
       const result = await WhatsAppBusinessService.sendTestMessage({
-        to: testPhoneNumber.replace(/\s+/g, ''),
+        to: normalisePhoneNumber(testPhoneNumber),
+        schoolId,
         message: getMessageContent(),
         gradeId: selectedGrade?.id,
         schoolName: schoolName
@@ -129,6 +138,8 @@ ${schoolName} Admin Team`;
     // You could add a toast notification here
   };
 
+  const testPhone = validatePhoneNumber(testPhoneNumber).phone;
+
   const formatPhoneNumber = (value) => {
     // Remove all non-digit characters except +
     return value.replace(/[^\d+]/g, '');
@@ -224,7 +235,9 @@ ${schoolName} Admin Team`;
                   </p>
                 )}
                 <p className="mt-1 text-xs text-gray-500">
-                  Include country code (e.g., +27 for South Africa)
+                  {testPhone.isValid
+                    ? `${formatForDisplay(testPhone.e164)} · ${describePhoneNumber(testPhone)}`
+                    : 'Numbers without a country code are read as South African'}
                 </p>
               </div>
 
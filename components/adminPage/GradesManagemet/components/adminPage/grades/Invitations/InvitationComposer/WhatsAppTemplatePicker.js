@@ -0,0 +1,294 @@
+import React, { useState, useEffect } from 'react';
+import { MessageCircle, RefreshCw, Save, AlertCircle, CheckCircle, Loader } from 'lucide-react';
+import WhatsAppBusinessService from '../services/WhatsappBusinessService';
+import {
+  MEDIA_HEADER_FORMATS,
+  validateTemplateMapping,
+  previewTemplateBody
+} from '../../../../../services/invitation/whatsappTemplateMapping';
+
+const TEMPLATE_VARIABLES = ['parentName', 'learnerName', 'schoolName', 'grade', 'eventName', 'eventDate', 'eventTime', 'portalUrl'];
+
+const SAMPLE_VALUES = {
+  parentName: 'Thandi Mokoena',
+  learnerName: 'Lerato Mokoena',
+  schoolName: 'Sample School',
+  grade: 'Grade 4',
+  eventName: 'Parents Evening',
+  eventDate: '12 March',
+  eventTime: '18:00',
+  portalUrl: 'portal.sampleschool.co.za'
+};
+
+const templateKey = (t) => (t ? `${t.name}|${t.language}` : '');
+
+/**
+ * WhatsAppTemplatePicker Component
+ *
+ * Chooses how the WhatsApp channel is sent. Free text only reaches guardians who
+ * messaged the school in the last 24 hours; an approved WhatsApp Business template
+ * reaches everyone, with its numbered parameters filled from the school's mapping.
+ *
+ * @param {Object} props
+ * @param {string} props.schoolId - School whose mappings are used
+ * @param {Object} props.value - Selected template { name, language }, or null for free text
+ * @param {Function} props.onChange - Called with { name, language, category } or null
+ */
+const WhatsAppTemplatePicker = ({ schoolId, value = null, onChange }) => {
+  const [templates, setTemplates] = useState([]);
+  const [mappings, setMappings] = useState([]);
+  const [draft, setDraft] = useState({ header: { parameters: [], mediaUrl: '' }, body: { parameters: [] } });
+  const [activeParameter, setActiveParameter] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [saveErrors, setSaveErrors] = useState([]);
+  const [saved, setSaved] = useState(false);
+
+  const selected = templates.find(t => templateKey(t) === templateKey(value)) || null;
+  const description = selected?.description || null;
+  const hasMediaHeader = MEDIA_HEADER_FORMATS.includes(description?.header?.format);
+
+  const load = async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const [approved, schoolMappings] = await Promise.all([
+        WhatsAppBusinessService.getTemplates(),
+        schoolId ? WhatsAppBusinessService.getMappings(schoolId) : []
+      ]);
+      setTemplates(approved);
+      setMappings(schoolMappings);
+    } catch (err) {
+      setError('Failed to load WhatsApp templates');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (value) load();
+  }, [schoolId, Boolean(value)]);
+
+  // Start from the school's saved mapping whenever another template is chosen
+  useEffect(() => {
+    const mapping = mappings.find(m => templateKey(m) === templateKey(value));
+    setDraft({
+      header: { parameters: mapping?.header?.parameters || [], mediaUrl: mapping?.header?.mediaUrl || '' },
+      body: { parameters: mapping?.body?.parameters || [] }
+    });
+    setActiveParameter(0);
+    setSaveErrors([]);
+    setSaved(Boolean(mapping));
+  }, [templateKey(value), mappings]);
+
+  const handleSync = async () => {
+    try {
+      setIsSyncing(true);
+      await WhatsAppBusinessService.syncTemplates();
+      await load();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSyncing(false);
+    }
+  };
+
+  const updateParameter = (index, text) => {
+    const parameters = [...draft.body.parameters];
+    parameters[index] = text;
+    setDraft(prev => ({ ...prev, body: { parameters } }));
+    setSaved(false);
+  };
+
+  const insertVariable = (variable) => {
+    const current = draft.body.parameters[activeParameter] || '';
+    updateParameter(activeParameter, `${current}{{${variable}}}`);
+  };
+
+  const handleSave = async () => {
+    const errors = validateTemplateMapping(description, draft);
+    setSaveErrors(errors);
+    if (errors.length > 0) return;
+
+    try {
+      setIsSaving(true);
+      const mapping = await WhatsAppBusinessService.saveMapping({
+        schoolId,
+        name: selected.name,
+        language: selected.language,
+        ...draft
+      });
+      setMappings(prev => [...prev.filter(m => templateKey(m) !== templateKey(mapping)), mapping]);
+      setSaved(true);
+    } catch (err) {
+      setSaveErrors(err.errors?.length ? err.errors : [err.message]);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="border border-green-200 rounded-lg p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <h4 className="text-sm font-medium text-gray-800 flex items-center">
+          <MessageCircle className="mr-2 text-green-600" size={16} />
+          WhatsApp delivery
+        </h4>
+        {value && (
+          <button
+            onClick={handleSync}
+            disabled={isSyncing}
+            className="inline-flex items-center text-xs text-green-700 hover:text-green-800 disabled:opacity-50"
+          >
+            <RefreshCw size={12} className={`mr-1 ${isSyncing ? 'animate-spin' : ''}`} />
+            Sync templates
+          </button>
+        )}
+      </div>
+
+      <div className="flex space-x-4 text-sm">
+        <label className="flex items-center">
+          <input
+            type="radio"
+            checked={!value}
+            onChange={() => onChange?.(null)}
+            className="mr-2"
+          />
+          Free text (only guardians who messaged in the last 24 hours)
+        </label>
+        <label className="flex items-center">
+          <input
+            type="radio"
+            checked={Boolean(value)}
+            onChange={() => onChange?.({ name: '', language: '' })}
+            className="mr-2"
+          />
+          Approved template
+        </label>
+      </div>
+
+      {value && isLoading && (
+        <div className="flex items-center text-sm text-gray-500">
+          <Loader size={14} className="mr-2 animate-spin" />
+          Loading templates...
+        </div>
+      )}
+
+      {value && error && (
+        <p className="text-sm text-red-600 flex items-center">
+          <AlertCircle size={14} className="mr-1" />
+          {error}
+        </p>
+      )}
+
+      {value && !isLoading && (
+        <select
+          value={templateKey(value)}
+          onChange={(e) => {
+            const [name = '', language = ''] = e.target.value.split('|');
+            // The category prices the send; the server looks it up again rather than trust it
+            const category = templates.find(t => t.name === name && t.language === language)?.category || null;
+            onChange?.({ name, language, category });
+          }}
+          className="block w-full pl-3 pr-10 py-2 text-sm border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+        >
+          <option value="|">Select an approved template...</option>
+          {templates.map(t => (
+            <option key={templateKey(t)} value={templateKey(t)}>{t.name} ({t.language})</option>
+          ))}
+        </select>
+      )}
+
+      {description && (
+        <div className="space-y-3">
+          {hasMediaHeader && (
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">
+                {description.header.format.toLowerCase()} header link (https)
+              </label>
+              <input
+                type="url"
+                value={draft.header.mediaUrl}
+                onChange={(e) => {
+                  setDraft(prev => ({ ...prev, header: { ...prev.header, mediaUrl: e.target.value } }));
+                  setSaved(false);
+                }}
+                placeholder="https://..."
+                className="block w-full px-3 py-2 text-sm border border-gray-300 rounded-lg"
+              />
+            </div>
+          )}
+
+          {Array.from({ length: description.body.parameterCount }, (_, i) => (
+            <div key={i}>
+              <label className="block text-xs font-medium text-gray-700 mb-1">
+                Parameter {`{{${i + 1}}}`}
+              </label>
+              <input
+                type="text"
+                value={draft.body.parameters[i] || ''}
+                onFocus={() => setActiveParameter(i)}
+                onChange={(e) => updateParameter(i, e.target.value)}
+                placeholder="e.g. {{parentName}}"
+                className={`block w-full px-3 py-2 text-sm font-mono border rounded-lg ${
+                  activeParameter === i ? 'border-green-400' : 'border-gray-300'
+                }`}
+              />
+            </div>
+          ))}
+
+          {description.body.parameterCount > 0 && (
+            <div className="flex flex-wrap gap-1">
+              {TEMPLATE_VARIABLES.map(variable => (
+                <button
+                  key={variable}
+                  onClick={() => insertVariable(variable)}
+                  className="px-2 py-0.5 text-xs font-mono bg-gray-100 text-green-700 rounded hover:bg-green-50"
+                >
+                  {`{{${variable}}}`}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div className="bg-green-50 border border-green-200 rounded-lg p-3">
+            <p className="text-xs font-medium text-green-800 mb-1">Preview</p>
+            <p className="text-sm text-gray-900 whitespace-pre-wrap">
+              {previewTemplateBody(description, draft, SAMPLE_VALUES)}
+            </p>
+            {description.footer && <p className="text-xs text-gray-500 mt-1">{description.footer}</p>}
+          </div>
+
+          {saveErrors.length > 0 && (
+            <ul className="text-sm text-red-600 list-disc list-inside">
+              {saveErrors.map(message => <li key={message}>{message}</li>)}
+            </ul>
+          )}
+
+          <div className="flex items-center justify-between">
+            <span className="text-xs text-gray-500">
+              {saved ? (
+                <span className="inline-flex items-center text-green-700">
+                  <CheckCircle size={12} className="mr-1" />
+                  Mapping saved for this school
+                </span>
+              ) : 'Save the mapping before sending'}
+            </span>
+            <button
+              onClick={handleSave}
+              disabled={isSaving || !schoolId}
+              className="inline-flex items-center px-3 py-1.5 text-sm bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+            >
+              <Save size={14} className="mr-1" />
+              {isSaving ? 'Saving...' : 'Save Mapping'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WhatsAppTemplatePicker;
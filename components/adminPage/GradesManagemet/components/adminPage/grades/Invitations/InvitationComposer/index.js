@@ -5,8 +5,10 @@
 
 export { default as InvitationComposer } from './InvitationComposer';
 export { default as RecipientSelector } from './RecipientSelector';
+export { default as SegmentBuilder } from './SegmentBuilder';
 export { default as MessageEditor } from './MessageEditor';
 export { default as TemplateSelector } from './TemplateSelector';
+export { default as RsvpOptions } from './RsvpOptions';
 export { default as SchedulingOptions } from './SchedulingOptions';
 export { default as PreviewPanel } from './PreviewPanel';
 export { default as SendingControls } from './SendingControls';
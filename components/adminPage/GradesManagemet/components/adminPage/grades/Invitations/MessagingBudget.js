@@ -0,0 +1,331 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FiPieChart, FiAlertCircle, FiAlertTriangle, FiCheck, FiX, FiClock } from 'react-icons/fi';
+import { invitationService } from '../../../../services/invitation/invitationService';
+import {
+  BUDGET_ALERT_RATIO,
+  budgetRatio,
+  userLimitFor
+} from '../../../../services/invitation/budgets';
+
+const CHANNEL_LABELS = {
+  sms: 'SMS',
+  whatsapp: 'WhatsApp',
+  email: 'Email'
+};
+
+const formatRand = (amount) => `R${Number(amount || 0).toFixed(2)}`;
+
+const toField = (value) => (value === null || value === undefined ? '' : String(value));
+
+/**
+ * Bar showing how much of a budget is used, amber from 80% and red once over
+ * @param {Object} props
+ * @param {number} props.spent - Spent this month
+ * @param {number|null} props.limit - Budget, or null for none
+ */
+const UsageBar = ({ spent, limit }) => {
+  const ratio = budgetRatio(spent, limit);
+  if (ratio === null) {
+    return <p className="text-xs text-gray-500">{formatRand(spent)} spent · no limit</p>;
+  }
+
+  const color = ratio >= 1 ? 'bg-red-500' : ratio >= BUDGET_ALERT_RATIO ? 'bg-yellow-500' : 'bg-green-500';
+  return (
+    <div>
+      <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+        <div className={`h-2 ${color}`} style={{ width: `${Math.min(ratio, 1) * 100}%` }} />
+      </div>
+      <p className="mt-1 text-xs text-gray-500">
+        {formatRand(spent)} of {formatRand(limit)} ({Math.round(ratio * 100)}%)
+      </p>
+    </div>
+  );
+};
+
+/**
+ * MessagingBudget Component
+ *
+ * This month's messaging spend against the school's and each admin's budget, the budget
+ * settings, and the sends waiting for a principal's approval. Only principals can change
+ * the budget or approve sends; everyone else sees them read-only.
+ *
+ * @param {Object} props
+ * @param {Object} props.selectedSchool - School whose budget is shown
+ */
+const MessagingBudget = ({ selectedSchool }) => {
+  const schoolId = selectedSchool?._id || selectedSchool?.id;
+  const [data, setData] = useState(null);
+  const [form, setForm] = useState(null);
+  const [approvals, setApprovals] = useState([]);
+  const [notes, setNotes] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [status, setStatus] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!schoolId) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const [budgetData, pending] = await Promise.all([
+        invitationService.getMessagingBudget(schoolId),
+        invitationService.getPendingApprovals(schoolId)
+      ]);
+      setData(budgetData);
+      setApprovals(pending);
+      const { budget } = budgetData;
+      setForm({
+        monthlyLimit: toField(budget.monthlyLimit),
+        userLimit: toField(budget.userLimit),
+        approvalThreshold: toField(budget.approvalThreshold),
+        alertEmails: (budget.alertEmails || []).join(', '),
+        userLimits: Object.fromEntries(Object.entries(budget.userLimits || {}).map(([id, limit]) => [id, toField(limit)]))
+      });
+    } catch (err) {
+      setError('Failed to load the messaging budget.');
+    } finally {
+      setLoading(false);
+    }
+  }, [schoolId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    setStatus(null);
+    try {
+      await invitationService.saveMessagingBudget(schoolId, {
+        ...form,
+        alertEmails: form.alertEmails.split(',').map(email => email.trim()).filter(Boolean)
+      });
+      setStatus('Budget saved.');
+      await load();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReview = async (invitation, action) => {
+    const note = notes[invitation._id] || null;
+    if (action === 'reject' && !note?.trim()) {
+      setError('Say why the send is rejected; the sender sees the note.');
+      return;
+    }
+    setError(null);
+    try {
+      await invitationService.reviewSend(invitation._id, action, note);
+      setStatus(action === 'approve' ? 'Send approved and queued.' : 'Send rejected.');
+      await load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const canApprove = Boolean(data?.canApprove);
+  const budget = data?.budget;
+  const usage = data?.usage;
+  const schoolRatio = budget && usage ? budgetRatio(usage.spent, budget.monthlyLimit) : null;
+  // Admins with their own limit show even before they send this month
+  const userRows = usage && budget
+    ? [
+      ...usage.users,
+      ...Object.keys(budget.userLimits || {})
+        .filter(id => !usage.users.some(u => u.userId === id))
+        .map(id => ({ userId: id, name: id, spent: 0 }))
+    ]
+    : [];
+
+  return (
+    <div className="bg-white shadow rounded-lg">
+      <div className="px-4 py-5 sm:p-6">
+        <div className="mb-4">
+          <h3 className="text-xl leading-6 font-semibold text-gray-900 flex items-center">
+            <FiPieChart className="mr-2 h-5 w-5 text-gray-500" />
+            Messaging Budget
+          </h3>
+          <p className="mt-1 text-sm text-gray-500">
+            Sends above the approval threshold, or that would go over a monthly budget, wait for a
+            principal to approve them. Alerts go out when a budget is {Math.round(BUDGET_ALERT_RATIO * 100)}% used.
+          </p>
+        </div>
+
+        {!schoolId && (
+          <p className="mb-4 text-sm text-gray-500">Select a school to see its budget.</p>
+        )}
+        {error && (
+          <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-3 flex items-center text-sm text-red-700">
+            <FiAlertCircle className="mr-2 h-4 w-4" />
+            {error}
+          </div>
+        )}
+        {status && <p className="mb-4 text-sm text-green-700">{status}</p>}
+        {loading && !data && <p className="text-sm text-gray-500">Loading budget...</p>}
+
+        {budget && usage && (
+          <>
+            {schoolRatio !== null && schoolRatio >= BUDGET_ALERT_RATIO && (
+              <div className="mb-4 bg-yellow-50 border border-yellow-200 rounded-md p-3 flex items-center text-sm text-yellow-800">
+                <FiAlertTriangle className="mr-2 h-4 w-4" />
+                {schoolRatio >= 1
+                  ? `The school's ${usage.month} budget is used up; every send now needs a principal's approval.`
+                  : `The school has used ${Math.round(schoolRatio * 100)}% of its ${usage.month} budget.`}
+              </div>
+            )}
+
+            <div className="mb-6">
+              <h4 className="text-sm font-medium text-gray-900 mb-2">School spend in {usage.month}</h4>
+              <UsageBar spent={usage.spent} limit={budget.monthlyLimit} />
+            </div>
+
+            {userRows.length > 0 && (
+              <div className="mb-6">
+                <h4 className="text-sm font-medium text-gray-900 mb-2">Spend per admin</h4>
+                <div className="space-y-3">
+                  {userRows.map(row => (
+                    <div key={row.userId} className="grid grid-cols-3 gap-3 items-center">
+                      <span className="text-sm text-gray-700 truncate" title={row.userId}>{row.name || row.userId}</span>
+                      <div className="col-span-2 flex items-center gap-3">
+                        <div className="flex-1">
+                          <UsageBar spent={row.spent} limit={userLimitFor(budget, row.userId)} />
+                        </div>
+                        {canApprove && form && (
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={form.userLimits[row.userId] ?? ''}
+                            onChange={(e) => setForm({ ...form, userLimits: { ...form.userLimits, [row.userId]: e.target.value } })}
+                            placeholder="Default"
+                            aria-label={`Monthly limit for ${row.name || row.userId}`}
+                            className="w-24 border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                          />
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {form && (
+              <form onSubmit={handleSave} className="mb-6 grid grid-cols-1 sm:grid-cols-3 gap-3">
+                {[
+                  { field: 'monthlyLimit', label: 'School monthly budget (R)' },
+                  { field: 'userLimit', label: 'Per-admin monthly budget (R)' },
+                  { field: 'approvalThreshold', label: 'Approval needed above (R)' }
+                ].map(({ field, label }) => (
+                  <label key={field} className="block text-sm text-gray-700">
+                    {label}
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={form[field]}
+                      onChange={(e) => setForm({ ...form, [field]: e.target.value })}
+                      disabled={!canApprove}
+                      placeholder="No limit"
+                      className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm disabled:bg-gray-50"
+                    />
+                  </label>
+                ))}
+                <label className="sm:col-span-3 block text-sm text-gray-700">
+                  Send budget alerts to
+                  <input
+                    type="text"
+                    value={form.alertEmails}
+                    onChange={(e) => setForm({ ...form, alertEmails: e.target.value })}
+                    disabled={!canApprove}
+                    placeholder="principal@school.co.za, bursar@school.co.za"
+                    className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm disabled:bg-gray-50"
+                  />
+                </label>
+                {canApprove ? (
+                  <button
+                    type="submit"
+                    disabled={saving}
+                    className="sm:col-span-3 justify-self-start inline-flex items-center px-3 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    {saving ? 'Saving...' : 'Save budget'}
+                  </button>
+                ) : (
+                  <p className="sm:col-span-3 text-xs text-gray-500">Only a principal can change the budget.</p>
+                )}
+              </form>
+            )}
+          </>
+        )}
+
+        <div>
+          <h4 className="text-sm font-medium text-gray-900 mb-2 flex items-center">
+            <FiClock className="mr-2 h-4 w-4 text-gray-500" />
+            Waiting for approval
+          </h4>
+          <div className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+            {approvals.map(invitation => (
+              <div key={invitation._id} className="px-3 py-3">
+                <div className="flex items-start justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">{invitation.subject || 'Untitled invitation'}</p>
+                    <p className="text-xs text-gray-500">
+                      {formatRand(invitation.approval?.cost)} · {invitation.approval?.credits} credits ·{' '}
+                      {invitation.recipientCount} recipients · {(invitation.channels || []).map(c => CHANNEL_LABELS[c] || c).join(', ')}
+                      {invitation.scheduledDate && ` · scheduled ${new Date(invitation.scheduledDate).toLocaleString('en-ZA')}`}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      Sent by {invitation.approval?.requestedBy?.name || 'unknown'} on{' '}
+                      {new Date(invitation.approval?.requestedAt || invitation.createdAt).toLocaleString('en-ZA')}
+                    </p>
+                    <ul className="mt-1 list-disc list-inside text-xs text-yellow-800">
+                      {(invitation.approval?.reasons || []).map(reason => <li key={reason}>{reason}</li>)}
+                    </ul>
+                  </div>
+                  {canApprove && (
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={() => handleReview(invitation, 'approve')}
+                        className="inline-flex items-center px-2 py-1 text-xs font-medium rounded-md text-white bg-green-600 hover:bg-green-700"
+                      >
+                        <FiCheck className="mr-1 h-3 w-3" />
+                        Approve
+                      </button>
+                      <button
+                        onClick={() => handleReview(invitation, 'reject')}
+                        className="inline-flex items-center px-2 py-1 text-xs font-medium rounded-md text-white bg-red-600 hover:bg-red-700"
+                      >
+                        <FiX className="mr-1 h-3 w-3" />
+                        Reject
+                      </button>
+                    </div>
+                  )}
+                </div>
+                {canApprove && (
+                  <input
+                    type="text"
+                    value={notes[invitation._id] || ''}
+                    onChange={(e) => setNotes({ ...notes, [invitation._id]: e.target.value })}
+                    placeholder="Note for the sender (required to reject)"
+                    className="mt-2 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                  />
+                )}
+              </div>
+            ))}
+            {approvals.length === 0 && (
+              <div className="px-3 py-6 text-center text-sm text-gray-500">
+                {loading ? 'Loading...' : 'No sends are waiting for approval.'}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MessagingBudget;
@@ -0,0 +1,167 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FiUserX, FiPlus, FiTrash2, FiAlertCircle, FiShield } from 'react-icons/fi';
+import { invitationService } from '../../../../services/invitation/invitationService';
+
+const SOURCE_LABELS = {
+  keyword: 'STOP reply',
+  unsubscribe_link: 'Email unsubscribe',
+  admin: 'Added by admin'
+};
+
+const CHANNEL_LABELS = {
+  sms: 'SMS',
+  whatsapp: 'WhatsApp',
+  email: 'Email'
+};
+
+const OptOutManager = ({ selectedSchool }) => {
+  const [optOuts, setOptOuts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [form, setForm] = useState({ address: '', channel: 'all', reason: '' });
+  const [saving, setSaving] = useState(false);
+
+  const schoolId = selectedSchool?._id || selectedSchool?.id;
+
+  const loadOptOuts = useCallback(async () => {
+    if (!schoolId) return;
+    setLoading(true);
+    setError(null);
+    try {
+      setOptOuts(await invitationService.getOptOuts(schoolId));
+    } catch (err) {
+      setError('Failed to load the opt-out list.');
+    } finally {
+      setLoading(false);
+    }
+  }, [schoolId]);
+
+  useEffect(() => {
+    loadOptOuts();
+  }, [loadOptOuts]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!form.address.trim()) return;
+
+    setSaving(true);
+    setError(null);
+    try {
+      await invitationService.addOptOut({
+        schoolId,
+        address: form.address.trim(),
+        channel: form.channel,
+        reason: form.reason.trim() || null
+      });
+      setForm({ address: '', channel: 'all', reason: '' });
+      await loadOptOuts();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (optOut) => {
+    if (!window.confirm(`Allow messages to ${optOut.address} on ${CHANNEL_LABELS[optOut.channel]} again?`)) return;
+    try {
+      await invitationService.removeOptOut(optOut._id, schoolId);
+      await loadOptOuts();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg">
+      <div className="px-4 py-5 sm:p-6">
+        <div className="mb-4">
+          <h3 className="text-xl leading-6 font-semibold text-gray-900 flex items-center">
+            <FiUserX className="mr-2 h-5 w-5 text-gray-500" />
+            Opt-outs
+          </h3>
+          <p className="mt-1 text-sm text-gray-500">
+            Guardians on this list are skipped on every send. Guardians who replied STOP or unsubscribed
+            can only opt back in themselves.
+          </p>
+        </div>
+
+        <form onSubmit={handleAdd} className="mb-4 grid grid-cols-1 sm:grid-cols-4 gap-2">
+          <input
+            type="text"
+            value={form.address}
+            onChange={(e) => setForm({ ...form, address: e.target.value })}
+            placeholder="Phone number or email"
+            className="sm:col-span-2 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+          />
+          <select
+            value={form.channel}
+            onChange={(e) => setForm({ ...form, channel: e.target.value })}
+            className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+          >
+            <option value="all">All channels</option>
+            <option value="sms">SMS</option>
+            <option value="whatsapp">WhatsApp</option>
+            <option value="email">Email</option>
+          </select>
+          <button
+            type="submit"
+            disabled={saving || !schoolId}
+            className="inline-flex items-center justify-center px-3 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            <FiPlus className="mr-1 h-4 w-4" />
+            Add
+          </button>
+          <input
+            type="text"
+            value={form.reason}
+            onChange={(e) => setForm({ ...form, reason: e.target.value })}
+            placeholder="Reason (optional), e.g. requested by phone"
+            className="sm:col-span-4 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+          />
+        </form>
+
+        {error && (
+          <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-3 flex items-center text-sm text-red-700">
+            <FiAlertCircle className="mr-2 h-4 w-4" />
+            {error}
+          </div>
+        )}
+
+        <div className="divide-y divide-gray-200 border border-gray-200 rounded-md max-h-80 overflow-y-auto">
+          {optOuts.map(optOut => (
+            <div key={optOut._id} className="px-3 py-2 flex items-center justify-between">
+              <div>
+                <p className="text-sm font-medium text-gray-900">{optOut.address}</p>
+                <p className="text-xs text-gray-500">
+                  {CHANNEL_LABELS[optOut.channel]} · {SOURCE_LABELS[optOut.source] || optOut.source}
+                  {optOut.schoolId === null && ' · all schools'}
+                  {optOut.reason && ` · ${optOut.reason}`}
+                  {' · '}{new Date(optOut.createdAt).toLocaleDateString('en-ZA')}
+                </p>
+              </div>
+              {optOut.source === 'admin' && optOut.schoolId !== null ? (
+                <button
+                  onClick={() => handleRemove(optOut)}
+                  className="text-gray-400 hover:text-red-600"
+                  aria-label={`Remove ${optOut.address}`}
+                >
+                  <FiTrash2 className="h-4 w-4" />
+                </button>
+              ) : (
+                <FiShield className="h-4 w-4 text-gray-300" title="Set by the guardian" />
+              )}
+            </div>
+          ))}
+          {optOuts.length === 0 && (
+            <div className="px-3 py-6 text-center text-sm text-gray-500">
+              {loading ? 'Loading opt-outs...' : 'Nobody has opted out.'}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OptOutManager;
@@ -1,5 +1,45 @@
-import React, { useState } from 'react';
-import { FiMail, FiCheck, FiX, FiClock, FiRefreshCw, FiEye, FiSend, FiMessageSquare, FiSmartphone, FiInfo } from 'react-icons/fi';
+import React, { useState, useEffect, useCallback } from 'react';
+import { FiMail, FiCheck, FiX, FiClock, FiRefreshCw, FiEye, FiSend, FiMessageSquare, FiSmartphone, FiInfo, FiAlertCircle, FiCornerDownRight, FiUsers } from 'react-icons/fi';
+import { invitationService } from '../../../../services/invitation/invitationService';
+import { formatFallbackWait } from '../../../../services/invitation/fallback';
+import { RSVP_ANSWERS, summariseRsvps } from '../../../../services/invitation/rsvp';
+
+const CHANNEL_NAMES = {
+  whatsapp: 'WhatsApp',
+  sms: 'SMS',
+  email: 'Email'
+};
+
+// Fallback steps that aren't being sent read better in words than as raw statuses
+const formatChannelStatus = (status) => {
+  switch (status) {
+    case 'standby': return 'waiting';
+    case 'not_needed': return 'not needed';
+    default: return status;
+  }
+};
+
+// Which step of a guardian's fallback reached them, or is still trying to
+function FallbackSummary({ fallback }) {
+  const { steps, reached } = fallback;
+  if (!reached) {
+    return (
+      <p className="flex items-center text-sm text-red-700">
+        <FiCornerDownRight className="mr-1 h-4 w-4" />
+        No step of the fallback reached this guardian
+      </p>
+    );
+  }
+
+  const name = CHANNEL_NAMES[reached.channel] || reached.channel;
+  const position = `step ${reached.step + 1} of ${steps.length}`;
+  return (
+    <p className={`flex items-center text-sm ${reached.confirmed ? 'text-green-700' : 'text-blue-700'}`}>
+      <FiCornerDownRight className="mr-1 h-4 w-4" />
+      {reached.confirmed ? `Reached by ${name} (${position})` : `Waiting for ${name} to be delivered (${position})`}
+    </p>
+  );
+}
 
 // Tooltip Component
 function Tooltip({ children, content }) {
@@ -41,7 +81,7 @@ function DeliveryStatus({ invitation }) {
     switch (status) {
       case 'delivered':
         return 'bg-green-500 text-white';
-      case 'opened':
+      case 'read':
         return 'bg-purple-500 text-white';
       case 'failed':
       case 'bounced':
@@ -60,7 +100,7 @@ function DeliveryStatus({ invitation }) {
       {invitation.channels.map((channel, index) => (
         <Tooltip
            key={`${channel.type}-${index}`}
-           content={`${channel.type.toUpperCase()}: ${channel.status} ${channel.deliveredAt ? `at ${new Date(channel.deliveredAt).toLocaleTimeString()}` : ''}`}
+           content={`${channel.type.toUpperCase()}: ${formatChannelStatus(channel.status)} ${channel.deliveredAt ? `at ${new Date(channel.deliveredAt).toLocaleTimeString()}` : ''}`}
         >
           <div className={`flex items-center justify-center w-6 h-6 rounded-full text-xs ${getStatusColor(channel.status)}`}>
             {getChannelIcon(channel.type)}
@@ -72,7 +112,7 @@ function DeliveryStatus({ invitation }) {
 }
 
 // Channel Timeline Component
-function ChannelTimeline({ channels }) {
+function ChannelTimeline({ channels, fallback = null }) {
   const getChannelName = (type) => {
     switch (type) {
       case 'whatsapp': return 'WhatsApp';
@@ -96,7 +136,7 @@ function ChannelTimeline({ channels }) {
       case 'pending': return <FiClock className="h-3 w-3 text-yellow-500" />;
       case 'sent': return <FiSend className="h-3 w-3 text-blue-500" />;
       case 'delivered': return <FiCheck className="h-3 w-3 text-green-500" />;
-      case 'opened': return <FiEye className="h-3 w-3 text-purple-500" />;
+      case 'read': return <FiEye className="h-3 w-3 text-purple-500" />;
       case 'failed':
       case 'bounced': return <FiX className="h-3 w-3 text-red-500" />;
       default: return <FiInfo className="h-3 w-3 text-gray-500" />;
@@ -113,11 +153,17 @@ function ChannelTimeline({ channels }) {
               <span className="font-medium text-sm text-gray-900">
                 {getChannelName(channel.type)}
               </span>
+              {fallback && channel.cascadeStep !== null && (
+                <span className="text-xs text-gray-500">
+                  Step {channel.cascadeStep + 1}
+                  {channel.cascadeStep > 0 && `, after ${formatFallbackWait(fallback.steps[channel.cascadeStep]?.waitMinutes || 0)} without delivery`}
+                </span>
+              )}
             </div>
             <div className="flex items-center space-x-1">
               {getStatusIcon(channel.status)}
               <span className="text-xs text-gray-600 capitalize">
-                {channel.status}
+                {formatChannelStatus(channel.status)}
               </span>
             </div>
           </div>
@@ -134,16 +180,10 @@ function ChannelTimeline({ channels }) {
                 <span>{new Date(channel.deliveredAt).toLocaleString()}</span>
               </div>
             )}
-            {channel.openedAt && (
-              <div className="flex justify-between">
-                <span>Opened:</span>
-                <span>{new Date(channel.openedAt).toLocaleString()}</span>
-              </div>
-            )}
-            {channel.clickedAt && (
+            {channel.readAt && (
               <div className="flex justify-between">
-                <span>Link Clicked:</span>
-                <span>{new Date(channel.clickedAt).toLocaleString()}</span>
+                <span>Read:</span>
+                <span>{new Date(channel.readAt).toLocaleString()}</span>
               </div>
             )}
             {channel.failureReason && (
@@ -159,216 +199,60 @@ function ChannelTimeline({ channels }) {
   );
 }
 
-const StatusTracker = () => {
+const RSVP_BADGES = {
+  yes: 'bg-green-100 text-green-800',
+  no: 'bg-red-100 text-red-800',
+  maybe: 'bg-yellow-100 text-yellow-800'
+};
+
+/**
+ * Attendance totals of each invitation that asked for an RSVP
+ * @param {Array} entries - Tracker entries, one per recipient
+ * @returns {Array} [{ invitationId, subject, totals }]
+ */
+const groupAttendance = (entries) => {
+  const groups = new Map();
+  entries.filter(entry => entry.rsvpEnabled).forEach(entry => {
+    if (!groups.has(entry.invitationId)) groups.set(entry.invitationId, { invitationId: entry.invitationId, subject: entry.subject, responses: [] });
+    groups.get(entry.invitationId).responses.push(entry.rsvp);
+  });
+  return [...groups.values()].map(({ responses, ...group }) => ({ ...group, totals: summariseRsvps(responses) }));
+};
+
+const StatusTracker = ({ selectedSchool }) => {
   const [selectedStatus, setSelectedStatus] = useState('all');
   const [selectedChannel, setSelectedChannel] = useState('all');
   const [selectedInvitation, setSelectedInvitation] = useState(null);
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
 
-  // Enhanced mock data with multi-channel support
-  const [invitations] = useState([
-    {
-      id: 1,
-      recipientName: 'David Johnson',
-      recipientEmail: 'david.johnson@email.com',
-      recipientPhone: '+27821234567',
-      learnerName: 'Sarah Johnson',
-      subject: 'Welcome to Greenwood Primary - Grade 5A',
-      overallStatus: 'delivered',
-      priority: 'normal',
-      template: 'Welcome New Learner',
-      channels: [
-        {
-          type: 'whatsapp',
-          status: 'delivered',
-          sentAt: '2024-01-15T10:30:00',
-          deliveredAt: '2024-01-15T10:30:15',
-          openedAt: '2024-01-15T11:45:00',
-          clickedAt: null,
-          failureReason: null
-        },
-        {
-          type: 'email',
-          status: 'opened',
-          sentAt: '2024-01-15T10:30:00',
-          deliveredAt: '2024-01-15T10:31:00',
-          openedAt: '2024-01-15T14:22:00',
-          clickedAt: '2024-01-15T14:25:00',
-          failureReason: null
-        }
-      ]
-    },
-    {
-      id: 2,
-      recipientName: 'Mary Smith',
-      recipientEmail: 'mary.smith@email.com',
-      recipientPhone: '+27821234568',
-      learnerName: 'John Smith',
-      subject: 'Grade Assignment Notification',
-      overallStatus: 'delivered',
-      priority: 'high',
-      template: 'Grade Assignment',
-      channels: [
-        {
-          type: 'sms',
-          status: 'delivered',
-          sentAt: '2024-01-14T09:15:00',
-          deliveredAt: '2024-01-14T09:15:30',
-          openedAt: null,
-          clickedAt: null,
-          failureReason: null
-        },
-        {
-          type: 'email',
-          status: 'opened',
-          sentAt: '2024-01-14T09:15:00',
-          deliveredAt: '2024-01-14T09:16:00',
-          openedAt: '2024-01-14T16:45:00',
-          clickedAt: '2024-01-14T16:47:00',
-          failureReason: null
-        }
-      ]
-    },
-    {
-      id: 3,
-      recipientName: 'Lisa Brown',
-      recipientEmail: 'invalid.email@invalid',
-      recipientPhone: '+27821234569',
-      learnerName: 'Michael Brown',
-      subject: 'Your Parent Portal Access',
-      overallStatus: 'partial_failure',
-      priority: 'normal',
-      template: 'Parent Portal Access',
-      channels: [
-        {
-          type: 'whatsapp',
-          status: 'delivered',
-          sentAt: '2024-01-13T11:20:00',
-          deliveredAt: '2024-01-13T11:20:20',
-          openedAt: '2024-01-13T15:30:00',
-          clickedAt: null,
-          failureReason: null
-        },
-        {
-          type: 'email',
-          status: 'bounced',
-          sentAt: '2024-01-13T11:20:00',
-          deliveredAt: null,
-          openedAt: null,
-          clickedAt: null,
-          failureReason: 'Invalid email address - domain does not exist'
-        }
-      ]
-    },
-    {
-      id: 4,
-      recipientName: 'Jennifer Wilson',
-      recipientEmail: 'jennifer.wilson@email.com',
-      recipientPhone: '+27821234570',
-      learnerName: 'James Wilson',
-      subject: 'Welcome to Greenwood Primary - Grade 3B',
-      overallStatus: 'sent',
-      priority: 'normal',
-      template: 'Welcome New Learner',
-      channels: [
-        {
-          type: 'whatsapp',
-          status: 'sent',
-          sentAt: '2024-01-16T08:45:00',
-          deliveredAt: null,
-          openedAt: null,
-          clickedAt: null,
-          failureReason: null
-        },
-        {
-          type: 'email',
-          status: 'sent',
-          sentAt: '2024-01-16T08:45:00',
-          deliveredAt: null,
-          openedAt: null,
-          clickedAt: null,
-          failureReason: null
-        }
-      ]
-    },
-    {
-      id: 5,
-      recipientName: 'Robert Davis',
-      recipientEmail: 'robert.davis@email.com',
-      recipientPhone: '+27821234571',
-      learnerName: 'Emma Davis',
-      subject: 'Grade Assignment Notification',
-      overallStatus: 'pending',
-      priority: 'urgent',
-      template: 'Grade Assignment',
-      channels: [
-        {
-          type: 'whatsapp',
-          status: 'pending',
-          sentAt: null,
-          deliveredAt: null,
-          openedAt: null,
-          clickedAt: null,
-          failureReason: null
-        },
-        {
-          type: 'sms',
-          status: 'pending',
-          sentAt: null,
-          deliveredAt: null,
-          openedAt: null,
-          clickedAt: null,
-          failureReason: null
-        },
-        {
-          type: 'email',
-          status: 'pending',
-          sentAt: null,
-          deliveredAt: null,
-          openedAt: null,
-          clickedAt: null,
-          failureReason: null
-        }
-      ]
-    },
-    {
-      id: 6,
-      recipientName: 'Sarah Williams',
-      recipientEmail: 'sarah.williams@email.com',
-      recipientPhone: 'invalid_number',
-      learnerName: 'Alex Williams',
-      subject: 'School Event Notification',
-      overallStatus: 'partial_failure',
-      priority: 'low',
-      template: 'Event Notification',
-      channels: [
-        {
-          type: 'sms',
-          status: 'failed',
-          sentAt: '2024-01-15T14:20:00',
-          deliveredAt: null,
-          openedAt: null,
-          clickedAt: null,
-          failureReason: 'Invalid phone number format'
-        },
-        {
-          type: 'email',
-          status: 'delivered',
-          sentAt: '2024-01-15T14:20:00',
-          deliveredAt: '2024-01-15T14:21:00',
-          openedAt: null,
-          clickedAt: null,
-          failureReason: null
-        }
-      ]
+  const schoolId = selectedSchool?._id || selectedSchool?.id;
+
+  // Statuses are updated server-side by provider delivery receipts
+  const loadStatuses = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await invitationService.getDeliveryStatuses(schoolId);
+      setInvitations(data.invitations || []);
+    } catch (err) {
+      setError('Failed to load delivery status. Please try again.');
+    } finally {
+      setLoading(false);
     }
-  ]);
+  }, [schoolId]);
+
+  useEffect(() => {
+    loadStatuses();
+  }, [loadStatuses]);
 
   const statusOptions = [
     { value: 'all', label: 'All Status', count: invitations.length },
     { value: 'pending', label: 'Pending', count: invitations.filter(i => i.overallStatus === 'pending').length },
     { value: 'sent', label: 'Sent', count: invitations.filter(i => i.overallStatus === 'sent').length },
     { value: 'delivered', label: 'Delivered', count: invitations.filter(i => i.overallStatus === 'delivered').length },
-    { value: 'opened', label: 'Opened', count: invitations.filter(i => i.channels.some(c => c.status === 'opened')).length },
+    { value: 'read', label: 'Read', count: invitations.filter(i => i.overallStatus === 'read').length },
     { value: 'partial_failure', label: 'Partial Failure', count: invitations.filter(i => i.overallStatus === 'partial_failure').length },
     { value: 'failed', label: 'Failed', count: invitations.filter(i => i.overallStatus === 'failed').length }
   ];
@@ -388,7 +272,7 @@ const StatusTracker = () => {
         return <FiSend className="h-4 w-4 text-blue-500" />;
       case 'delivered':
         return <FiCheck className="h-4 w-4 text-green-500" />;
-      case 'opened':
+      case 'read':
         return <FiEye className="h-4 w-4 text-purple-500" />;
       case 'partial_failure':
         return <FiInfo className="h-4 w-4 text-orange-500" />;
@@ -408,7 +292,7 @@ const StatusTracker = () => {
         return `${baseClasses} bg-blue-100 text-blue-800`;
       case 'delivered':
         return `${baseClasses} bg-green-100 text-green-800`;
-      case 'opened':
+      case 'read':
         return `${baseClasses} bg-purple-100 text-purple-800`;
       case 'partial_failure':
         return `${baseClasses} bg-orange-100 text-orange-800`;
@@ -468,7 +352,7 @@ const StatusTracker = () => {
       invitation.channels.forEach(channel => {
         if (stats[channel.type]) {
           stats[channel.type].total++;
-          if (channel.status === 'delivered' || channel.status === 'opened') {
+          if (channel.status === 'delivered' || channel.status === 'read') {
             stats[channel.type].delivered++;
           } else if (channel.status === 'failed' || channel.status === 'bounced') {
             stats[channel.type].failed++;
@@ -482,6 +366,7 @@ const StatusTracker = () => {
   };
 
   const deliveryStats = getDeliveryStats();
+  const attendance = groupAttendance(invitations);
 
   return (
     <div className="bg-white shadow rounded-lg">
@@ -495,12 +380,23 @@ const StatusTracker = () => {
               Monitor delivery and engagement across WhatsApp, SMS, and Email channels
             </p>
           </div>
-          <button className="inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50">
-            <FiRefreshCw className="mr-2 h-4 w-4" />
+          <button
+            onClick={loadStatuses}
+            disabled={loading}
+            className="inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+          >
+            <FiRefreshCw className={`mr-2 h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
             Refresh Status
           </button>
         </div>
 
+        {error && (
+          <div className="mb-6 bg-red-50 border border-red-200 rounded-md p-3 flex items-center text-sm text-red-700">
+            <FiAlertCircle className="mr-2 h-4 w-4" />
+            {error}
+          </div>
+        )}
+
         {/* Channel Performance Overview */}
         <div className="mb-6 bg-gray-50 rounded-lg p-4">
           <h4 className="text-lg font-medium text-gray-900 mb-4">Channel Performance</h4>
@@ -554,6 +450,44 @@ const StatusTracker = () => {
           </div>
         </div>
 
+        {/* Attendance from RSVPs */}
+        {attendance.length > 0 && (
+          <div className="mb-6 bg-gray-50 rounded-lg p-4">
+            <h4 className="text-lg font-medium text-gray-900 mb-4">Attendance</h4>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {attendance.map(({ invitationId, subject, totals }) => (
+                <div key={invitationId} className="bg-white rounded-lg p-4 border border-gray-200">
+                  <div className="flex items-center justify-between mb-3">
+                    <span className="font-medium text-gray-900 truncate">{subject || 'Invitation'}</span>
+                    <span className="flex items-center text-sm font-semibold text-gray-900 whitespace-nowrap ml-2">
+                      <FiUsers className="mr-1 h-4 w-4" />
+                      {totals.attendees} attending
+                    </span>
+                  </div>
+                  <div className="grid grid-cols-4 gap-2 text-center text-sm">
+                    <div>
+                      <p className="text-green-600 font-medium">{totals.yes}</p>
+                      <p className="text-xs text-gray-500">{RSVP_ANSWERS.yes.label}</p>
+                    </div>
+                    <div>
+                      <p className="text-yellow-600 font-medium">{totals.maybe}</p>
+                      <p className="text-xs text-gray-500">{RSVP_ANSWERS.maybe.label}</p>
+                    </div>
+                    <div>
+                      <p className="text-red-600 font-medium">{totals.no}</p>
+                      <p className="text-xs text-gray-500">{RSVP_ANSWERS.no.label}</p>
+                    </div>
+                    <div>
+                      <p className="text-gray-600 font-medium">{totals.awaiting}</p>
+                      <p className="text-xs text-gray-500">No answer</p>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Filter Controls */}
         <div className="mb-6 grid grid-cols-1 sm:grid-cols-2 gap-4">
           <div>
@@ -631,6 +565,12 @@ const StatusTracker = () => {
                         <span className={getPriorityBadge(invitation.priority)}>
                           {invitation.priority.toUpperCase()}
                         </span>
+                        {invitation.rsvp && (
+                          <span className={`inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${RSVP_BADGES[invitation.rsvp.answer]}`}>
+                            RSVP: {RSVP_ANSWERS[invitation.rsvp.answer].label}
+                            {invitation.rsvp.answer === 'yes' && invitation.rsvp.answers?.attendees !== undefined && ` (${invitation.rsvp.answers.attendees})`}
+                          </span>
+                        )}
                       </div>
                       <p className="text-sm text-gray-600 mt-1">
                         {invitation.recipientEmail} | {invitation.recipientPhone}
@@ -662,17 +602,23 @@ const StatusTracker = () => {
                   <div className="flex flex-wrap gap-2 mb-3">
                     {invitation.channels.map((channel, index) => {
                       const channelName = channel.type === 'whatsapp' ? 'WhatsApp' : channel.type.toUpperCase();
-                      const statusColor = channel.status === 'delivered' || channel.status === 'opened' ? 'text-green-600' :
+                      const statusColor = channel.status === 'delivered' || channel.status === 'read' ? 'text-green-600' :
                                          channel.status === 'failed' || channel.status === 'bounced' ? 'text-red-600' :
                                          channel.status === 'sent' ? 'text-blue-600' : 'text-yellow-600';
                                             return (
                         <span key={`${channel.type}-${index}`} className={`text-xs ${statusColor} bg-gray-100 px-2 py-1 rounded`}>
-                          {channelName}: {channel.status}
+                          {channelName}: {formatChannelStatus(channel.status)}
                         </span>
                       );
                     })}
                   </div>
 
+                  {invitation.fallback && (
+                    <div className="mb-3">
+                      <FallbackSummary fallback={invitation.fallback} />
+                    </div>
+                  )}
+
                   {/* Show failure reasons if any */}
                   {invitation.channels.some(c => c.failureReason) && (
                     <div className="bg-red-50 border border-red-200 rounded-md p-3 mb-3">
@@ -696,7 +642,7 @@ const StatusTracker = () => {
                     </button>
                     {selectedInvitation?.id === invitation.id && (
                       <div className="mt-4">
-                        <ChannelTimeline channels={invitation.channels} />
+                        <ChannelTimeline channels={invitation.channels} fallback={invitation.fallback} />
                         <div className="mt-4 flex gap-2">
                           <button
                             onClick={() => handleResendInvitation(invitation.id)}
@@ -729,7 +675,11 @@ const StatusTracker = () => {
           ))}
           {filteredInvitations.length === 0 && (
             <div className="text-center py-8 text-gray-500">
-              No invitations match your selected filters.
+              {loading
+                ? 'Loading delivery status...'
+                : invitations.length === 0
+                  ? 'No invitations have been sent yet.'
+                  : 'No invitations match your selected filters.'}
             </div>
           )}
         </div>
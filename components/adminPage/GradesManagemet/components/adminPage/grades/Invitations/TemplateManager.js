@@ -1,20 +1,26 @@
-import React, { useState, useEffect } from 'react';
-import { FiPlus, FiEdit, FiTrash2, FiCopy, FiEye, FiMail, FiFileText, FiMessageSquare, FiSmartphone, FiCheckCircle, FiDollarSign, FiTrendingUp, FiUsers, FiZap, FiClock, FiStar } from 'react-icons/fi';
-
-// Enhanced TemplateManager Component
-const TemplateManager = () => {
-  const [templates, setTemplates] = useState([
-    {
-      id: 1,
-      name: 'WhatsApp Welcome - New Learner',
-      subject: 'Welcome to {{schoolName}} - {{gradeName}} 🎓',
-      type: 'welcome',
-      channels: ['whatsapp'],
-      isDefault: true,
-      lastModified: '2024-01-15',
-      usageCount: 145,
-      engagement: 98,
-      content: `🎉 Welcome to {{schoolName}}!
+import React, { useState, useEffect, useCallback } from 'react';
+import { FiPlus, FiEdit, FiTrash2, FiCopy, FiEye, FiMail, FiFileText, FiMessageSquare, FiSmartphone, FiCheckCircle, FiDollarSign, FiTrendingUp, FiUsers, FiZap, FiClock, FiStar, FiSend, FiXCircle, FiGitBranch, FiAlertCircle } from 'react-icons/fi';
+import { renderTemplate, validateTemplate } from '../../../../services/invitation/templateEngine';
+import { invitationService } from '../../../../services/invitation/invitationService';
+import { STATUS_LABELS, canApproveTemplates, canTransition, diffLines } from '../../../../services/invitation/templateWorkflow';
+import { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE, languageLabel } from '../../../../services/invitation/languages';
+
+const STATUS_STYLES = {
+  draft: 'bg-gray-100 text-gray-700',
+  submitted: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-700'
+};
+
+// Starting points offered to a school that has no templates yet; they are saved as drafts
+const STARTER_TEMPLATES = [
+  {
+    name: 'WhatsApp Welcome - New Learner',
+    subject: 'Welcome to {{schoolName}} - {{gradeName}} 🎓',
+    type: 'welcome',
+    channels: ['whatsapp'],
+    isDefault: true,
+    content: `🎉 Welcome to {{schoolName}}!
 
 Hi {{parentName}}, we're excited to have {{learnerName}} join our {{gradeName}} class!
 
@@ -30,18 +36,14 @@ Questions? Reply to this message anytime!
 
 Best regards,
 {{schoolName}} Team 📚`
-    },
-    {
-      id: 2,
-      name: 'Multi-Channel Grade Assignment',
-      subject: '{{learnerName}} has been assigned to {{gradeName}}',
-      type: 'assignment',
-      channels: ['whatsapp', 'sms', 'email'],
-      isDefault: false,
-      lastModified: '2024-01-10',
-      usageCount: 89,
-      engagement: 94,
-      content: `Dear {{parentName}},
+  },
+  {
+    name: 'Multi-Channel Grade Assignment',
+    subject: '{{learnerName}} has been assigned to {{gradeName}}',
+    type: 'assignment',
+    channels: ['whatsapp', 'sms', 'email'],
+    isDefault: false,
+    content: `Dear {{parentName}},
 
 {{learnerName}} has been successfully assigned to {{gradeName}} at {{schoolName}}.
 
@@ -55,18 +57,14 @@ For questions, contact us at {{contactEmail}}.
 
 Best regards,
 {{schoolName}} Administration`
-    },
-    {
-      id: 3,
-      name: 'WhatsApp Parent Portal Access',
-      subject: 'Your Parent Portal Access 🔐',
-      type: 'portal',
-      channels: ['whatsapp', 'email'],
-      isDefault: false,
-      lastModified: '2024-01-08',
-      usageCount: 267,
-      engagement: 96,
-      content: `🔐 Your {{schoolName}} Parent Portal is ready!
+  },
+  {
+    name: 'WhatsApp Parent Portal Access',
+    subject: 'Your Parent Portal Access 🔐',
+    type: 'portal',
+    channels: ['whatsapp', 'email'],
+    isDefault: false,
+    content: `🔐 Your {{schoolName}} Parent Portal is ready!
 
 Hi {{parentName}},
 
@@ -80,14 +78,41 @@ Your account details:
 Need help? Just reply to this message!
 
 {{schoolName}} IT Team 💻`
-    }
-  ]);
+  }
+];
+
+// TemplateManager Component
+const TemplateManager = ({ selectedSchool, user }) => {
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
 
   const [selectedTemplate, setSelectedTemplate] = useState(null);
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [showPreviewModal, setShowPreviewModal] = useState(false);
   const [filterType, setFilterType] = useState('all');
   const [searchTerm, setSearchTerm] = useState('');
+  const [historyTemplate, setHistoryTemplate] = useState(null);
+
+  const schoolId = selectedSchool?._id || selectedSchool?.id;
+  const isPrincipal = canApproveTemplates(user?.roles || []);
+
+  const loadTemplates = useCallback(async () => {
+    if (!schoolId) return;
+    setLoading(true);
+    setError(null);
+    try {
+      setTemplates(await invitationService.getInvitationTemplates(schoolId));
+    } catch (err) {
+      setError('Failed to load templates.');
+    } finally {
+      setLoading(false);
+    }
+  }, [schoolId]);
+
+  useEffect(() => {
+    loadTemplates();
+  }, [loadTemplates]);
 
   const templateTypes = [
     { value: 'welcome', label: 'Welcome Message', color: 'bg-blue-100 text-blue-800', icon: FiUsers },
@@ -101,7 +126,10 @@ Need help? Just reply to this message!
     '{{schoolName}}', '{{gradeName}}', '{{learnerName}}', '{{parentName}}',
     '{{teacherName}}', '{{startDate}}', '{{academicYear}}', '{{classroomNumber}}',
     '{{portalUrl}}', '{{username}}', '{{tempPassword}}', '{{contactEmail}}',
-    '{{contactPhone}}', '{{schoolAddress}}'
+    '{{contactPhone}}', '{{schoolAddress}}',
+    '{{parentName | default:"Parent"}}', '{{startDate | format:"d MMM yyyy"}}',
+    '{{#if balance}}Outstanding: {{balance | currency}}{{/if}}',
+    '{{#each siblings}}{{name}}{{#unless @last}}, {{/unless}}{{/each}}'
   ];
 
   const channelOptions = [
@@ -133,24 +161,57 @@ Need help? Just reply to this message!
     setShowPreviewModal(true);
   };
 
-  const handleDuplicateTemplate = (template) => {
-    const newTemplate = {
+  // Runs a template change against the API, then reloads so the list shows stored state
+  const runAndReload = async (action) => {
+    setError(null);
+    try {
+      await action();
+      await loadTemplates();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDuplicateTemplate = (template) => runAndReload(() =>
+    invitationService.createTemplate({
       ...template,
-      id: Math.max(...templates.map(t => t.id)) + 1,
+      schoolId,
       name: `${template.name} (Copy)`,
-      isDefault: false,
-      usageCount: 0,
-      lastModified: new Date().toISOString().split('T')[0]
-    };
-    setTemplates([...templates, newTemplate]);
-  };
+      isDefault: false
+    })
+  );
+
+  const handleAddStarterTemplates = () => runAndReload(async () => {
+    for (const template of STARTER_TEMPLATES) {
+      await invitationService.createTemplate({ ...template, schoolId });
+    }
+  });
 
   const handleDeleteTemplate = (templateId) => {
-    if (window.confirm('Are you sure you want to delete this template?')) {
-      setTemplates(templates.filter(t => t.id !== templateId));
+    if (window.confirm('Are you sure you want to delete this template? Its history is kept.')) {
+      runAndReload(() => invitationService.deleteTemplate(templateId, schoolId));
+    }
+  };
+
+  const handleWorkflowAction = (template, action) => {
+    let note = null;
+    if (action === 'reject') {
+      note = window.prompt('What needs to change before this template can be approved?');
+      if (!note?.trim()) return;
     }
+    runAndReload(() => invitationService.updateTemplateStatus(template.id, template.latestVersion, action, note));
   };
 
+  const handleSaveTemplate = (templateData) => runAndReload(async () => {
+    if (selectedTemplate) {
+      await invitationService.saveTemplateVersion(selectedTemplate.id, templateData);
+    } else {
+      await invitationService.createTemplate({ ...templateData, schoolId });
+    }
+    setShowCreateModal(false);
+    setSelectedTemplate(null);
+  });
+
   const getTypeConfig = (type) => {
     return templateTypes.find(t => t.value === type) || templateTypes[templateTypes.length - 1];
   };
@@ -159,13 +220,6 @@ Need help? Just reply to this message!
     return new Date(dateString).toLocaleDateString('en-ZA');
   };
 
-  const getEngagementColor = (engagement) => {
-    if (engagement >= 95) return 'text-green-600';
-    if (engagement >= 90) return 'text-blue-600';
-    if (engagement >= 85) return 'text-yellow-600';
-    return 'text-gray-600';
-  };
-
   return (
     <div className="bg-white shadow-xl rounded-2xl overflow-hidden">
       <div className="bg-gradient-to-r from-blue-600 to-purple-600 px-6 py-8">
@@ -177,9 +231,13 @@ Need help? Just reply to this message!
             <p className="text-blue-100 text-lg">
               Create powerful, multi-channel templates with WhatsApp prioritization
             </p>
+            <p className="text-blue-100 text-sm mt-1">
+              Every edit is saved as a new version; a principal approves it before it can be sent.
+            </p>
           </div>
           <button
             onClick={handleCreateTemplate}
+            disabled={!schoolId}
             className="inline-flex items-center px-6 py-3 bg-white text-blue-600 font-semibold rounded-xl shadow-lg hover:shadow-xl transform hover:scale-105 transition-all duration-200"
           >
             <FiPlus className="mr-2 h-5 w-5" />
@@ -212,6 +270,13 @@ Need help? Just reply to this message!
           </select>
         </div>
 
+        {error && (
+          <div className="mb-6 bg-red-50 border border-red-200 rounded-xl p-4 flex items-center text-sm text-red-700">
+            <FiAlertCircle className="mr-2 h-4 w-4" />
+            {error}
+          </div>
+        )}
+
         {/* Templates Grid */}
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
           {filteredTemplates.map((template) => {
@@ -239,8 +304,16 @@ Need help? Just reply to this message!
                           Default
                         </span>
                       )}
-                      <span className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-medium ${getEngagementColor(template.engagement)} bg-opacity-10`}>
-                        {template.engagement}% engagement
+                      <span className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[template.status]}`}>
+                        v{template.latestVersion} · {STATUS_LABELS[template.status]}
+                      </span>
+                      {template.approvedVersion && template.approvedVersion !== template.latestVersion && (
+                        <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-green-50 text-green-700">
+                          v{template.approvedVersion} in use
+                        </span>
+                      )}
+                      <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                        {[template.language || DEFAULT_LANGUAGE, ...Object.keys(template.translations || {})].map(languageLabel).join(' · ')}
                       </span>
                     </div>
 
@@ -264,13 +337,47 @@ Need help? Just reply to this message!
 
                     <div className="flex items-center space-x-4 text-xs text-gray-500">
                       <span>Modified: {formatDate(template.lastModified)}</span>
-                      <span>Used: {template.usageCount} times</span>
+                      {template.createdBy && <span>Created by {template.createdBy.name}</span>}
                     </div>
                   </div>
                 </div>
 
                 {/* Action Buttons */}
                 <div className="flex items-center justify-end space-x-2 pt-4 border-t border-gray-100">
+                  {canTransition('submit', template.status) && (
+                    <button
+                      onClick={() => handleWorkflowAction(template, 'submit')}
+                      className="mr-auto inline-flex items-center px-3 py-1.5 text-xs font-medium text-blue-700 bg-blue-50 hover:bg-blue-100 rounded-lg transition-colors"
+                    >
+                      <FiSend className="mr-1 h-3 w-3" />
+                      Submit for approval
+                    </button>
+                  )}
+                  {isPrincipal && canTransition('approve', template.status) && (
+                    <div className="mr-auto flex space-x-2">
+                      <button
+                        onClick={() => handleWorkflowAction(template, 'approve')}
+                        className="inline-flex items-center px-3 py-1.5 text-xs font-medium text-white bg-green-600 hover:bg-green-700 rounded-lg transition-colors"
+                      >
+                        <FiCheckCircle className="mr-1 h-3 w-3" />
+                        Approve
+                      </button>
+                      <button
+                        onClick={() => handleWorkflowAction(template, 'reject')}
+                        className="inline-flex items-center px-3 py-1.5 text-xs font-medium text-red-700 bg-red-50 hover:bg-red-100 rounded-lg transition-colors"
+                      >
+                        <FiXCircle className="mr-1 h-3 w-3" />
+                        Request changes
+                      </button>
+                    </div>
+                  )}
+                  <button
+                    onClick={() => setHistoryTemplate(template)}
+                    className="p-2 text-gray-400 hover:text-purple-600 hover:bg-purple-50 rounded-lg transition-colors"
+                    title="History"
+                  >
+                    <FiGitBranch className="h-4 w-4" />
+                  </button>
                   <button
                     onClick={() => handlePreviewTemplate(template)}
                     className="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
@@ -310,19 +417,32 @@ Need help? Just reply to this message!
         {filteredTemplates.length === 0 && (
           <div className="text-center py-12">
             <FiFileText className="mx-auto h-12 w-12 text-gray-400 mb-4" />
-            <h3 className="text-lg font-medium text-gray-900 mb-2">No templates found</h3>
+            <h3 className="text-lg font-medium text-gray-900 mb-2">
+              {loading ? 'Loading templates...' : 'No templates found'}
+            </h3>
             <p className="text-gray-500 mb-4">
               {searchTerm || filterType !== 'all' 
                 ? 'Try adjusting your search or filter criteria.' 
                 : 'Create your first template to get started.'}
             </p>
-            <button
-              onClick={handleCreateTemplate}
-              className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
-            >
-              <FiPlus className="mr-2 h-4 w-4" />
-              Create Template
-            </button>
+            <div className="flex justify-center space-x-3">
+              <button
+                onClick={handleCreateTemplate}
+                className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+              >
+                <FiPlus className="mr-2 h-4 w-4" />
+                Create Template
+              </button>
+              {!loading && templates.length === 0 && (
+                <button
+                  onClick={handleAddStarterTemplates}
+                  className="inline-flex items-center px-4 py-2 border border-blue-600 text-blue-600 rounded-lg hover:bg-blue-50 transition-colors"
+                >
+                  <FiCopy className="mr-2 h-4 w-4" />
+                  Add Starter Templates
+                </button>
+              )}
+            </div>
           </div>
         )}
 
@@ -361,26 +481,14 @@ Need help? Just reply to this message!
             setShowCreateModal(false);
             setSelectedTemplate(null);
           }}
-          onSave={(templateData) => {
-            if (selectedTemplate) {
-              setTemplates(templates.map(t => 
-                t.id === selectedTemplate.id 
-                  ? { ...t, ...templateData, lastModified: new Date().toISOString().split('T')[0] }
-                  : t
-              ));
-            } else {
-              const newTemplate = {
-                ...templateData,
-                id: Math.max(...templates.map(t => t.id)) + 1,
-                usageCount: 0,
-                engagement: templateData.channels.includes('whatsapp') ? 98 : 85,
-                lastModified: new Date().toISOString().split('T')[0]
-              };
-              setTemplates([...templates, newTemplate]);
-            }
-            setShowCreateModal(false);
-            setSelectedTemplate(null);
-          }}
+          onSave={handleSaveTemplate}
+        />
+      )}
+
+      {historyTemplate && (
+        <HistoryModal
+          template={historyTemplate}
+          onClose={() => setHistoryTemplate(null)}
         />
       )}
 
@@ -405,19 +513,47 @@ const TemplateModal = ({ template, templateTypes, availableVariables, channelOpt
     subject: template?.subject || '',
     type: template?.type || 'custom',
     content: template?.content || '',
+    language: template?.language || DEFAULT_LANGUAGE,
+    translations: template?.translations || {},
     channels: template?.channels || ['whatsapp'],
     isDefault: template?.isDefault || false
   });
 
   const [characterCount, setCharacterCount] = useState(0);
   const [activeTab, setActiveTab] = useState('content');
+  const [editingLanguage, setEditingLanguage] = useState(formData.language);
+
+  // The template's own language is edited in subject and content; others in translations
+  const isTranslating = editingLanguage !== formData.language;
+  const shown = isTranslating
+    ? { subject: formData.translations[editingLanguage]?.subject || '', content: formData.translations[editingLanguage]?.content || '' }
+    : { subject: formData.subject, content: formData.content };
+
+  const setText = (field, value) => {
+    setFormData(prev => isTranslating
+      ? {
+        ...prev,
+        translations: {
+          ...prev.translations,
+          [editingLanguage]: { subject: '', content: '', ...prev.translations[editingLanguage], [field]: value }
+        }
+      }
+      : { ...prev, [field]: value });
+  };
 
   useEffect(() => {
-    setCharacterCount(formData.content.length);
-  }, [formData.content]);
+    setCharacterCount(shown.content.length);
+  }, [shown.content]);
+
+  // Template syntax is checked as the admin types, so errors point at the line to fix
+  const subjectCheck = validateTemplate(shown.subject);
+  const contentCheck = validateTemplate(shown.content);
 
   const handleSubmit = (e) => {
     e.preventDefault();
+    const texts = [formData.subject, formData.content, ...Object.values(formData.translations).flatMap(t => [t.subject, t.content])];
+    const invalid = texts.some(text => !validateTemplate(text || '').isValid);
+    if (invalid) return;
     onSave(formData);
   };
 
@@ -425,8 +561,8 @@ const TemplateModal = ({ template, templateTypes, availableVariables, channelOpt
     const textarea = document.getElementById('template-content');
     const start = textarea.selectionStart;
     const end = textarea.selectionEnd;
-    const newContent = formData.content.substring(0, start) + variable + formData.content.substring(end);
-    setFormData({ ...formData, content: newContent });
+    const newContent = shown.content.substring(0, start) + variable + shown.content.substring(end);
+    setText('content', newContent);
     
     setTimeout(() => {
       textarea.focus();
@@ -505,6 +641,28 @@ const TemplateModal = ({ template, templateTypes, availableVariables, channelOpt
                 <div className="lg:col-span-3">
                   {activeTab === 'content' && (
                     <div className="space-y-6">
+                      <div className="flex flex-wrap gap-2">
+                        {SUPPORTED_LANGUAGES.map(({ code, label }) => {
+                          const hasText = code !== formData.language && Boolean(formData.translations[code]?.content?.trim());
+                          return (
+                            <button
+                              key={code}
+                              type="button"
+                              onClick={() => setEditingLanguage(code)}
+                              className={`px-3 py-1 text-sm rounded-full border transition-colors ${
+                                editingLanguage === code
+                                  ? 'bg-blue-600 border-blue-600 text-white'
+                                  : 'bg-white border-gray-200 text-gray-700 hover:border-blue-400'
+                              }`}
+                            >
+                              {label}
+                              {code === formData.language && ' (original)'}
+                              {hasText && ' ✓'}
+                            </button>
+                          );
+                        })}
+                      </div>
+
                       <div>
                         <label className="block text-sm font-bold text-gray-900 mb-2">Template Name</label>
                         <input
@@ -521,12 +679,15 @@ const TemplateModal = ({ template, templateTypes, availableVariables, channelOpt
                         <label className="block text-sm font-bold text-gray-900 mb-2">Subject Line</label>
                         <input
                           type="text"
-                          required
-                          value={formData.subject}
-                          onChange={(e) => setFormData({ ...formData, subject: e.target.value })}
+                          required={!isTranslating}
+                          value={shown.subject}
+                          onChange={(e) => setText('subject', e.target.value)}
                           className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                           placeholder="Use variables like {{schoolName}} and {{learnerName}}"
                         />
+                        {!subjectCheck.isValid && (
+                          <p className="mt-2 text-sm text-red-600">Subject: {subjectCheck.error.message}</p>
+                        )}
                       </div>
 
                       <div>
@@ -546,16 +707,21 @@ const TemplateModal = ({ template, templateTypes, availableVariables, channelOpt
                         <textarea
                           id="template-content"
                           rows={12}
-                          required
-                          value={formData.content}
-                          onChange={(e) => setFormData({ ...formData, content: e.target.value })}
+                          required={!isTranslating}
+                          value={shown.content}
+                          onChange={(e) => setText('content', e.target.value)}
                           className={`w-full px-4 py-3 border rounded-xl focus:ring-2 focus:border-transparent resize-none ${
                             isOverLimit 
                               ? 'border-red-300 focus:ring-red-500' 
                               : 'border-gray-200 focus:ring-blue-500'
                           }`}
-                          placeholder="Write your message template here. Use variables to personalize content."
+                          placeholder={isTranslating
+                            ? `${languageLabel(editingLanguage)} version. Leave empty to send the ${languageLabel(formData.language)} version instead.`
+                            : 'Write your message template here. Use variables to personalize content.'}
                         />
+                        {!contentCheck.isValid && (
+                          <p className="mt-2 text-sm text-red-600">{contentCheck.error.message}</p>
+                        )}
                         {isOverLimit && (
                           <p className="mt-2 text-sm text-red-600">
                             Message exceeds character limit for selected channels
@@ -618,6 +784,36 @@ const TemplateModal = ({ template, templateTypes, availableVariables, channelOpt
 
                   {activeTab === 'settings' && (
                     <div className="space-y-6">
+                      <div>
+                        <label className="block text-sm font-bold text-gray-900 mb-2">Written In</label>
+                        <select
+                          value={formData.language}
+                          onChange={(e) => {
+                            // A translation into the new language becomes the original, and the old original a translation
+                            const next = e.target.value;
+                            const { [next]: promoted, ...translations } = formData.translations;
+                            setFormData({
+                              ...formData,
+                              language: next,
+                              subject: promoted ? promoted.subject : formData.subject,
+                              content: promoted ? promoted.content : formData.content,
+                              translations: promoted
+                                ? { ...translations, [formData.language]: { subject: formData.subject, content: formData.content } }
+                                : translations
+                            });
+                            setEditingLanguage(next);
+                          }}
+                          className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        >
+                          {SUPPORTED_LANGUAGES.map(({ code, label }) => (
+                            <option key={code} value={code}>{label}</option>
+                          ))}
+                        </select>
+                        <p className="mt-1 text-sm text-gray-500">
+                          Guardians whose language has no translation get this version.
+                        </p>
+                      </div>
+
                       <div>
                         <label className="block text-sm font-bold text-gray-900 mb-2">Template Type</label>
                         <select
@@ -718,7 +914,7 @@ const TemplateModal = ({ template, templateTypes, availableVariables, channelOpt
                       : 'bg-blue-600 text-white hover:bg-blue-700 shadow-lg hover:shadow-xl'
                   }`}
                 >
-                  {template ? 'Update Template' : 'Create Template'}
+                  {template ? 'Save New Version' : 'Create Template'}
                 </button>
               </div>
             </div>
@@ -729,33 +925,205 @@ const TemplateModal = ({ template, templateTypes, availableVariables, channelOpt
   );
 };
 
+const AUDIT_LABELS = {
+  created: 'created the template',
+  edited: 'saved a new version',
+  submitted: 'submitted for approval',
+  approved: 'approved',
+  rejected: 'requested changes to',
+  archived: 'archived the template'
+};
+
+const DIFF_STYLES = {
+  same: '',
+  removed: 'bg-red-50',
+  added: 'bg-green-50',
+  changed: 'bg-yellow-50'
+};
+
+const formatDateTime = (value) => {
+  return value ? new Date(value).toLocaleString('en-ZA', { dateStyle: 'medium', timeStyle: 'short' }) : '';
+};
+
+// Side-by-side line diff of one field between two versions
+const DiffView = ({ label, before, after }) => {
+  const rows = diffLines(before, after);
+  const unchanged = rows.every(row => row.type === 'same');
+
+  return (
+    <div className="mb-4">
+      <h5 className="text-sm font-bold text-gray-900 mb-2">
+        {label}
+        {unchanged && <span className="ml-2 text-xs font-normal text-gray-500">No changes</span>}
+      </h5>
+      <div className="border border-gray-200 rounded-lg overflow-hidden text-xs font-mono">
+        {rows.map((row, index) => (
+          <div key={index} className={`grid grid-cols-2 divide-x divide-gray-200 ${DIFF_STYLES[row.type]}`}>
+            {[row.left, row.right].map((side, sideIndex) => (
+              <div key={sideIndex} className="flex min-h-[1.5rem]">
+                <span className="w-8 flex-shrink-0 text-right pr-2 text-gray-400 select-none">{side?.number}</span>
+                <span className={`whitespace-pre-wrap break-words ${
+                  !side ? '' : sideIndex === 0 && row.type !== 'same' ? 'text-red-700' : sideIndex === 1 && row.type !== 'same' ? 'text-green-700' : 'text-gray-700'
+                }`}>
+                  {side?.text}
+                </span>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Version history, diff and audit trail for one template
+const HistoryModal = ({ template, onClose }) => {
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState(null);
+  const [compare, setCompare] = useState({ left: null, right: null });
+
+  useEffect(() => {
+    invitationService.getTemplateHistory(template.id)
+      .then(data => {
+        setHistory(data);
+        const latest = data.latestVersion;
+        const baseline = data.approvedVersion && data.approvedVersion !== latest ? data.approvedVersion : Math.max(latest - 1, 1);
+        setCompare({ left: baseline, right: latest });
+      })
+      .catch(() => setError('Failed to load the template history.'));
+  }, [template.id]);
+
+  const versionByNumber = (number) => history?.versions.find(version => version.version === Number(number));
+  const left = versionByNumber(compare.left);
+  const right = versionByNumber(compare.right);
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+        <div className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity" onClick={onClose}></div>
+
+        <div className="inline-block align-bottom bg-white rounded-2xl text-left overflow-hidden shadow-2xl transform transition-all sm:my-8 sm:align-middle sm:max-w-6xl sm:w-full">
+          <div className="bg-gradient-to-r from-blue-600 to-purple-600 px-6 py-4 flex items-center justify-between">
+            <h3 className="text-xl font-bold text-white">History: {template.name}</h3>
+            <button type="button" onClick={onClose} className="text-white hover:text-gray-200">
+              <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          <div className="p-6">
+            {error && <p className="text-sm text-red-600">{error}</p>}
+            {!history && !error && <p className="text-sm text-gray-500">Loading history...</p>}
+
+            {history && (
+              <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                <div className="space-y-3 max-h-[32rem] overflow-y-auto">
+                  <h4 className="text-sm font-bold text-gray-900">Versions</h4>
+                  {history.versions.map(version => (
+                    <div key={version.version} className="border border-gray-200 rounded-xl p-3 text-xs text-gray-600">
+                      <div className="flex items-center justify-between mb-1">
+                        <span className="font-bold text-gray-900">
+                          v{version.version}
+                          {version.version === history.approvedVersion && <span className="ml-2 text-green-700">in use</span>}
+                        </span>
+                        <span className={`px-2 py-0.5 rounded-full ${STATUS_STYLES[version.status]}`}>
+                          {STATUS_LABELS[version.status]}
+                        </span>
+                      </div>
+                      <p>Saved by {version.createdBy?.name || 'unknown'} · {formatDateTime(version.createdAt)}</p>
+                      {version.submittedAt && <p>Submitted by {version.submittedBy?.name} · {formatDateTime(version.submittedAt)}</p>}
+                      {version.reviewedAt && (
+                        <p>
+                          {version.status === 'approved' ? 'Approved' : 'Reviewed'} by {version.reviewedBy?.name} · {formatDateTime(version.reviewedAt)}
+                        </p>
+                      )}
+                      {version.reviewNote && <p className="mt-1 italic">“{version.reviewNote}”</p>}
+                    </div>
+                  ))}
+                </div>
+
+                <div className="lg:col-span-2">
+                  <div className="flex items-center space-x-3 mb-4 text-sm">
+                    <span className="font-bold text-gray-900">Compare</span>
+                    {['left', 'right'].map((side, index) => (
+                      <React.Fragment key={side}>
+                        {index === 1 && <span className="text-gray-500">with</span>}
+                        <select
+                          value={compare[side] || ''}
+                          onChange={(e) => setCompare({ ...compare, [side]: Number(e.target.value) })}
+                          className="px-3 py-1 border border-gray-200 rounded-lg"
+                        >
+                          {history.versions.map(version => (
+                            <option key={version.version} value={version.version}>
+                              v{version.version} ({STATUS_LABELS[version.status]})
+                            </option>
+                          ))}
+                        </select>
+                      </React.Fragment>
+                    ))}
+                  </div>
+
+                  {left && right && (
+                    <>
+                      <DiffView label="Subject" before={left.subject} after={right.subject} />
+                      <DiffView label="Message" before={left.content} after={right.content} />
+                    </>
+                  )}
+
+                  <h4 className="text-sm font-bold text-gray-900 mt-6 mb-2">Audit trail</h4>
+                  <ul className="text-xs text-gray-600 space-y-1 max-h-48 overflow-y-auto">
+                    {history.audit.map(entry => (
+                      <li key={entry._id}>
+                        <span className="text-gray-400">{formatDateTime(entry.at)}</span>
+                        {' · '}{entry.actor?.name || 'unknown'} {AUDIT_LABELS[entry.action] || entry.action} (v{entry.version})
+                        {entry.note && <span className="italic"> “{entry.note}”</span>}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 // Enhanced Preview Modal Component
 const PreviewModal = ({ template, channelOptions, onClose }) => {
   const [selectedChannel, setSelectedChannel] = useState(template.channels[0] || 'whatsapp');
   
   const sampleData = {
-    '{{schoolName}}': 'Greenwood Primary School',
-    '{{gradeName}}': 'Grade 5A',
-    '{{learnerName}}': 'Sarah Johnson',
-    '{{parentName}}': 'David Johnson',
-    '{{teacherName}}': 'Mrs. Smith',
-    '{{startDate}}': '2024-02-01',
-    '{{academicYear}}': '2024',
-    '{{classroomNumber}}': 'Room 15',
-    '{{portalUrl}}': 'https://portal.greenwoodprimary.edu',
-    '{{username}}': 'djohnson@email.com',
-    '{{tempPassword}}': 'TempPass123',
-    '{{contactEmail}}': 'admin@greenwoodprimary.edu',
-    '{{contactPhone}}': '+27 21 123 4567',
-    '{{schoolAddress}}': '123 Education Street, Cape Town'
+    schoolName: 'Greenwood Primary School',
+    gradeName: 'Grade 5A',
+    learnerName: 'Sarah Johnson',
+    parentName: 'David Johnson',
+    teacherName: 'Mrs. Smith',
+    startDate: '2024-02-01',
+    academicYear: '2024',
+    classroomNumber: 'Room 15',
+    portalUrl: 'https://portal.greenwoodprimary.edu',
+    username: 'djohnson@email.com',
+    tempPassword: 'TempPass123',
+    contactEmail: 'admin@greenwoodprimary.edu',
+    contactPhone: '+27 21 123 4567',
+    schoolAddress: '123 Education Street, Cape Town',
+    balance: 450,
+    siblings: [
+      { name: 'Liam Johnson', gradeName: 'Grade 2B' },
+      { name: 'Emma Johnson', gradeName: 'Grade 7A' }
+    ]
   };
 
+  // Unknown variables stay visible as {{name}} so gaps in the sample are easy to spot
   const renderPreview = (text) => {
-    let preview = text;
-    Object.entries(sampleData).forEach(([variable, value]) => {
-      preview = preview.replace(new RegExp(variable.replace(/[{}]/g, '\\                  <div className="space-y-2 max-h-96 overflow-y'), 'g'), value);
-    });
-    return preview;
+    try {
+      return renderTemplate(text, sampleData, { missing: 'keep' });
+    } catch (error) {
+      return error.message;
+    }
   };
 
   const getChannelPreviewStyle = (channelId) => {
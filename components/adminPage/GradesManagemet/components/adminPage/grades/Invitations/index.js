@@ -5,4 +5,6 @@ export { default as SupplierSelector } from './SupplierSelector';
 export { default as TemplateManager } from './TemplateManager';
 export { default as CostEstimator } from './CostEstimator';
 export { default as StatusTracker } from './StatusTracker';
-export { default as CreditSystem } from './CreditSystem';
\ No newline at end of file
+export { default as CreditSystem } from './CreditSystem';
+export { default as OptOutManager } from './OptOutManager';
+export { default as MessagingBudget } from './MessagingBudget';
\ No newline at end of file
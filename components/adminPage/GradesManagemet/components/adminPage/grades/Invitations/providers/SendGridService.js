@@ -1,17 +1,19 @@
 /**
  * SendGridService
  * 
- * Service for sending emails via SendGrid API.
- * This is a placeholder implementation for the refactoring exercise.
- * In a real implementation, this would integrate with the SendGrid SDK.
+ * Service for sending emails via the SendGrid v3 API.
+ * Point `baseUrl` (or MESSAGING_PROVIDER_BASE_URL) at the stub server to run without SendGrid.
  */
 
+import { resolveBaseUrl, requestJson, wait } from './httpClient';
+import { renderTemplate } from '../../../../../services/invitation/templateEngine';
+
 class SendGridService {
   constructor(config = {}) {
     this.apiKey = config.apiKey || process.env.SENDGRID_API_KEY;
     this.fromEmail = config.fromEmail || process.env.SENDGRID_FROM_EMAIL;
     this.fromName = config.fromName || process.env.SENDGRID_FROM_NAME || 'School Administration';
-    this.baseUrl = 'https://api.sendgrid.com/v3';
+    this.baseUrl = resolveBaseUrl(config, '/sendgrid/v3', 'https://api.sendgrid.com/v3');
     this.templateId = config.templateId || null;
     
     // Rate limiting configuration
@@ -25,6 +27,52 @@ class SendGridService {
     };
   }
 
+  /**
+   * Call a SendGrid v3 endpoint
+   * @param {string} path - Endpoint path, e.g. '/mail/send'
+   * @param {Object} options
+   * @param {string} options.method - HTTP method
+   * @param {Object} options.body - JSON body
+   * @returns {Promise<Object>} { status, headers, data }
+   */
+  async request(path, { method = 'GET', body } = {}) {
+    if (!this.apiKey) {
+      throw new Error('SendGrid API key is not configured');
+    }
+
+    return requestJson(`${this.baseUrl}${path}`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+  }
+
+  /**
+   * Post a message to /mail/send
+   * @param {Object} message - mail/send request body without `from`
+   * @param {Object} metadata - Sent as custom_args so event webhooks can be matched back
+   * @returns {Promise<string|null>} The X-Message-Id assigned by SendGrid
+   */
+  async postMail(message, metadata = {}) {
+    const customArgs = {};
+    Object.entries(metadata).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) customArgs[key] = String(value);
+    });
+
+    const { headers } = await this.request('/mail/send', {
+      method: 'POST',
+      body: {
+        ...message,
+        from: { email: this.fromEmail, name: this.fromName },
+        custom_args: customArgs
+      }
+    });
+    return headers.get('x-message-id');
+  }
+
   /**
    * Send email via SendGrid
    * @param {Object} params
@@ -33,6 +81,7 @@ class SendGridService {
    * @param {string} params.content - Email content (HTML or plain text)
    * @param {string} params.contentType - Content type ('text/html' or 'text/plain')
    * @param {Array} params.attachments - Email attachments (optional)
+   * @param {Object} params.headers - Extra email headers, e.g. List-Unsubscribe (optional)
    * @param {Object} params.metadata - Additional metadata
    * @returns {Promise<Object>} Send result
    */
@@ -42,6 +91,7 @@ class SendGridService {
     content, 
     contentType = 'text/html', 
     attachments = [], 
+    headers = {},
     metadata = {} 
   }) {
     try {
@@ -69,36 +119,37 @@ class SendGridService {
         metadata
       });
 
-      // Simulate API call delay
-      await this.simulateDelay(1000, 3000);
+      const messageId = await this.postMail({
+        personalizations: [{ to: [{ email: to }] }],
+        subject,
+        content: [{ type: contentType, value: content }],
+        ...(attachments.length > 0 && { attachments }),
+        ...(Object.keys(headers).length > 0 && { headers })
+      }, metadata);
 
-      // Simulate success/failure (96% success rate)
-      if (Math.random() < 0.96) {
-        const result = {
-          success: true,
-          messageId: `SG_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-          to,
-          from: this.fromEmail,
-          subject,
-          status: 'sent',
-          timestamp: new Date().toISOString(),
-          provider: 'sendgrid',
-          type: 'email',
-          contentType,
-          attachmentCount: attachments.length
-        };
+      const result = {
+        success: true,
+        messageId,
+        to,
+        from: this.fromEmail,
+        subject,
+        status: 'sent',
+        timestamp: new Date().toISOString(),
+        provider: 'sendgrid',
+        type: 'email',
+        contentType,
+        attachmentCount: attachments.length
+      };
 
-        console.log('SendGridService: Email sent successfully', result);
-        return result;
-      } else {
-        throw new Error('Email delivery failed - invalid email or server error');
-      }
+      console.log('SendGridService: Email sent successfully', result);
+      return result;
 
     } catch (error) {
       console.error('SendGridService: Email sending failed', error);
       return {
         success: false,
         error: error.message,
+        statusCode: error.status,
         to,
         provider: 'sendgrid',
         type: 'email',
@@ -132,7 +183,7 @@ class SendGridService {
       
       // Delay between batches to respect rate limits
       if (i + batchSize < recipients.length) {
-        await this.simulateDelay(1000, 2000);
+        await wait(1000);
       }
     }
     
@@ -155,11 +206,8 @@ class SendGridService {
   async processBatch(batch, subject, content, contentType, attachments, metadata) {
     console.log(`SendGridService: Processing batch of ${batch.length} emails`);
     
-    // In real implementation, this would use SendGrid's batch API
+    // Subject and content are personalised per recipient, so each email is its own request
     const batchPromises = batch.map(async (recipient, index) => {
-      // Small stagger to simulate batch processing
-      await this.simulateDelay(index * 100, index * 200);
-      
       return this.sendEmail({
         to: recipient.email,
         subject: this.interpolateMessage(subject, recipient),
@@ -199,31 +247,31 @@ class SendGridService {
         metadata
       });
 
-      await this.simulateDelay(800, 2000);
+      const messageId = await this.postMail({
+        personalizations: [{ to: [{ email: to }], dynamic_template_data: dynamicData }],
+        template_id: templateId
+      }, metadata);
 
-      if (Math.random() < 0.97) {
-        const result = {
-          success: true,
-          messageId: `SGT_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-          to,
-          templateId,
-          status: 'sent',
-          timestamp: new Date().toISOString(),
-          provider: 'sendgrid',
-          type: 'templated_email'
-        };
+      const result = {
+        success: true,
+        messageId,
+        to,
+        templateId,
+        status: 'sent',
+        timestamp: new Date().toISOString(),
+        provider: 'sendgrid',
+        type: 'templated_email'
+      };
 
-        console.log('SendGridService: Templated email sent successfully', result);
-        return result;
-      } else {
-        throw new Error('Templated email delivery failed');
-      }
+      console.log('SendGridService: Templated email sent successfully', result);
+      return result;
 
     } catch (error) {
       console.error('SendGridService: Templated email sending failed', error);
       return {
         success: false,
         error: error.message,
+        statusCode: error.status,
         to,
         templateId,
         provider: 'sendgrid',
@@ -242,17 +290,19 @@ class SendGridService {
     try {
       console.log(`SendGridService: Checking status for message ${messageId}`);
       
-      await this.simulateDelay(300, 800);
-      
-      const statuses = ['delivered', 'opened', 'clicked', 'bounced', 'dropped', 'deferred'];
-      const randomStatus = statuses[Math.floor(Math.random() * statuses.length)];
+      // Email Activity API: one message with its event history
+      const { data } = await this.request(`/messages/${encodeURIComponent(messageId)}`);
+      const events = (data.events || []).map(event => ({
+        event: event.event_name,
+        timestamp: event.processed
+      }));
       
       return {
         messageId,
-        status: randomStatus,
-        timestamp: new Date().toISOString(),
+        status: data.status,
+        timestamp: data.last_event_time || new Date().toISOString(),
         provider: 'sendgrid',
-        events: this.generateEventHistory(randomStatus)
+        events
       };
       
     } catch (error) {
@@ -276,18 +326,26 @@ class SendGridService {
     try {
       console.log(`SendGridService: Fetching statistics from ${startDate} to ${endDate}`);
       
-      await this.simulateDelay(500, 1200);
+      const query = new URLSearchParams({ start_date: startDate, end_date: endDate, aggregated_by: 'month' });
+      const { data } = await this.request(`/stats?${query.toString()}`);
+      
+      // Sum the per-period metrics into a single total
+      const metrics = { sent: 0, delivered: 0, opened: 0, clicked: 0, bounced: 0, unsubscribed: 0 };
+      (data || []).forEach(period => {
+        (period.stats || []).forEach(stat => {
+          const m = stat.metrics || {};
+          metrics.sent += m.requests || 0;
+          metrics.delivered += m.delivered || 0;
+          metrics.opened += m.unique_opens || 0;
+          metrics.clicked += m.unique_clicks || 0;
+          metrics.bounced += m.bounces || 0;
+          metrics.unsubscribed += m.unsubscribes || 0;
+        });
+      });
       
       return {
         period: { startDate, endDate },
-        metrics: {
-          sent: Math.floor(Math.random() * 1000) + 100,
-          delivered: Math.floor(Math.random() * 950) + 90,
-          opened: Math.floor(Math.random() * 400) + 50,
-          clicked: Math.floor(Math.random() * 100) + 10,
-          bounced: Math.floor(Math.random() * 20) + 1,
-          unsubscribed: Math.floor(Math.random() * 5) + 0
-        },
+        metrics,
         provider: 'sendgrid',
         timestamp: new Date().toISOString()
       };
@@ -311,32 +369,6 @@ class SendGridService {
     return emailRegex.test(email);
   }
 
-  /**
-   * Generate event history for status simulation
-   * @param {string} finalStatus - Final status
-   * @returns {Array} Event history
-   */
-  generateEventHistory(finalStatus) {
-    const events = [
-      { event: 'processed', timestamp: new Date(Date.now() - 300000).toISOString() },
-      { event: 'delivered', timestamp: new Date(Date.now() - 240000).toISOString() }
-    ];
-
-    if (['opened', 'clicked'].includes(finalStatus)) {
-      events.push({ event: 'opened', timestamp: new Date(Date.now() - 120000).toISOString() });
-    }
-
-    if (finalStatus === 'clicked') {
-      events.push({ event: 'clicked', timestamp: new Date(Date.now() - 60000).toISOString() });
-    }
-
-    if (finalStatus === 'bounced') {
-      events[1] = { event: 'bounced', timestamp: new Date(Date.now() - 240000).toISOString() };
-    }
-
-    return events;
-  }
-
   /**
    * Check and enforce rate limits
    * @returns {Promise<void>}
@@ -357,8 +389,7 @@ class SendGridService {
     
     // Check limits
     if (this.rateLimit.currentSecond >= this.rateLimit.maxPerSecond) {
-      const waitTime = 1000 - (now - this.rateLimit.lastSecond);
-      await this.simulateDelay(waitTime, waitTime);
+      await wait(1000 - (now - this.rateLimit.lastSecond));
     }
     
     if (this.rateLimit.currentDay >= this.rateLimit.maxPerDay) {
@@ -377,20 +408,7 @@ class SendGridService {
    * @returns {string} Interpolated message
    */
   interpolateMessage(template, recipient) {
-    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-      return recipient[key] || match;
-    });
-  }
-
-  /**
-   * Simulate API call delay
-   * @param {number} min - Minimum delay in ms
-   * @param {number} max - Maximum delay in ms
-   * @returns {Promise} Promise that resolves after delay
-   */
-  async simulateDelay(min = 500, max = 2000) {
-    const delay = Math.random() * (max - min) + min;
-    return new Promise(resolve => setTimeout(resolve, delay));
+    return renderTemplate(template, recipient);
   }
 
   /**
@@ -401,6 +419,7 @@ class SendGridService {
     return {
       service: 'SendGridService',
       configured: !!(this.apiKey && this.fromEmail),
+      baseUrl: this.baseUrl,
       fromEmail: this.fromEmail,
       fromName: this.fromName,
       templateId: this.templateId,
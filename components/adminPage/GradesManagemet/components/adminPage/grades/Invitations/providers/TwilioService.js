@@ -1,20 +1,52 @@
 /**
  * TwilioService
  * 
- * Service for sending SMS and WhatsApp messages via Twilio API.
- * This is a placeholder implementation for the refactoring exercise.
- * In a real implementation, this would integrate with the Twilio SDK.
+ * Service for sending SMS and WhatsApp messages via the Twilio Messages REST API.
+ * Point `baseUrl` (or MESSAGING_PROVIDER_BASE_URL) at the stub server to run without Twilio.
  */
 
+import { resolveBaseUrl, requestJson, encodeForm, wait } from './httpClient';
+import { renderTemplate } from '../../../../../services/invitation/templateEngine';
+import { validatePhoneNumber } from '../../../../../services/invitation/phoneNumbers';
+
 class TwilioService {
   constructor(config = {}) {
     this.accountSid = config.accountSid || process.env.TWILIO_ACCOUNT_SID;
     this.authToken = config.authToken || process.env.TWILIO_AUTH_TOKEN;
     this.fromNumber = config.fromNumber || process.env.TWILIO_FROM_NUMBER;
     this.whatsappNumber = config.whatsappNumber || process.env.TWILIO_WHATSAPP_NUMBER;
-    
-    // In real implementation, initialize Twilio client here
-    // this.client = twilio(this.accountSid, this.authToken);
+    this.baseUrl = resolveBaseUrl(config, '/twilio/2010-04-01', 'https://api.twilio.com/2010-04-01');
+    this.statusCallbackUrl = config.statusCallbackUrl || process.env.TWILIO_STATUS_CALLBACK_URL || null;
+  }
+
+  /**
+   * Create a message through the Messages resource
+   * @param {Object} params
+   * @param {string} params.to - Recipient address (E.164, or whatsapp:E.164)
+   * @param {string} params.from - Sender address
+   * @param {string} params.body - Message body
+   * @returns {Promise<Object>} Twilio message resource
+   */
+  async createMessage({ to, from, body }) {
+    if (!this.accountSid || !this.authToken) {
+      throw new Error('Twilio account SID and auth token are not configured');
+    }
+
+    const credentials = Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64');
+    const { data } = await requestJson(`${this.baseUrl}/Accounts/${this.accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Basic ${credentials}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: encodeForm({
+        To: to,
+        From: from,
+        Body: body,
+        StatusCallback: this.statusCallbackUrl
+      })
+    });
+    return data;
   }
 
   /**
@@ -33,9 +65,9 @@ class TwilioService {
       }
 
       // Format phone number (ensure it starts with +)
-      const formattedTo = this.formatPhoneNumber(to);
+      const formattedTo = this.formatPhoneNumber(to, 'sms');
 
-      // Log the SMS sending attempt (placeholder for actual API call)
+      // Log the SMS sending attempt
       console.log('TwilioService: Sending SMS', {
         to: formattedTo,
         from: this.fromNumber,
@@ -44,34 +76,32 @@ class TwilioService {
         metadata
       });
 
-      // Simulate API call delay
-      await this.simulateDelay(1000, 3000);
+      const response = await this.createMessage({
+        to: formattedTo,
+        from: this.fromNumber,
+        body: message
+      });
 
-      // Simulate success/failure (90% success rate)
-      if (Math.random() < 0.9) {
-        const result = {
-          success: true,
-          messageId: `SMS_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-          to: formattedTo,
-          from: this.fromNumber,
-          status: 'sent',
-          cost: this.calculateSMSCost(message),
-          timestamp: new Date().toISOString(),
-          provider: 'twilio',
-          type: 'sms'
-        };
+      const result = {
+        success: true,
+        messageId: response.sid,
+        to: formattedTo,
+        from: this.fromNumber,
+        status: response.status || 'queued',
+        timestamp: new Date().toISOString(),
+        provider: 'twilio',
+        type: 'sms'
+      };
 
-        console.log('TwilioService: SMS sent successfully', result);
-        return result;
-      } else {
-        throw new Error('SMS delivery failed - network error');
-      }
+      console.log('TwilioService: SMS sent successfully', result);
+      return result;
 
     } catch (error) {
       console.error('TwilioService: SMS sending failed', error);
       return {
         success: false,
         error: error.message,
+        statusCode: error.status,
         to,
         provider: 'twilio',
         type: 'sms',
@@ -96,7 +126,7 @@ class TwilioService {
       }
 
       // Format phone number for WhatsApp
-      const formattedTo = `whatsapp:${this.formatPhoneNumber(to)}`;
+      const formattedTo = `whatsapp:${this.formatPhoneNumber(to, 'whatsapp')}`;
       const formattedFrom = `whatsapp:${this.whatsappNumber}`;
 
       // Log the WhatsApp sending attempt
@@ -108,34 +138,32 @@ class TwilioService {
         metadata
       });
 
-      // Simulate API call delay
-      await this.simulateDelay(500, 2000);
+      const response = await this.createMessage({
+        to: formattedTo,
+        from: formattedFrom,
+        body: message
+      });
 
-      // Simulate success/failure (95% success rate for WhatsApp)
-      if (Math.random() < 0.95) {
-        const result = {
-          success: true,
-          messageId: `WA_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-          to: formattedTo,
-          from: formattedFrom,
-          status: 'sent',
-          cost: this.calculateWhatsAppCost(message),
-          timestamp: new Date().toISOString(),
-          provider: 'twilio',
-          type: 'whatsapp'
-        };
+      const result = {
+        success: true,
+        messageId: response.sid,
+        to: formattedTo,
+        from: formattedFrom,
+        status: response.status || 'queued',
+        timestamp: new Date().toISOString(),
+        provider: 'twilio',
+        type: 'whatsapp'
+      };
 
-        console.log('TwilioService: WhatsApp message sent successfully', result);
-        return result;
-      } else {
-        throw new Error('WhatsApp delivery failed - recipient not reachable');
-      }
+      console.log('TwilioService: WhatsApp message sent successfully', result);
+      return result;
 
     } catch (error) {
       console.error('TwilioService: WhatsApp sending failed', error);
       return {
         success: false,
         error: error.message,
+        statusCode: error.status,
         to,
         provider: 'twilio',
         type: 'whatsapp',
@@ -172,7 +200,7 @@ class TwilioService {
       
       // Small delay between batches
       if (i + batchSize < recipients.length) {
-        await this.simulateDelay(100, 500);
+        await wait(250);
       }
     }
     
@@ -208,7 +236,7 @@ class TwilioService {
       
       // Longer delay between WhatsApp batches
       if (i + batchSize < recipients.length) {
-        await this.simulateDelay(1000, 2000);
+        await wait(1000);
       }
     }
     
@@ -217,46 +245,18 @@ class TwilioService {
   }
 
   /**
-   * Format phone number to international format
+   * Format phone number to international format (E.164)
    * @param {string} phoneNumber - Phone number to format
+   * @param {string|null} channel - 'sms' or 'whatsapp' to refuse numbers that can't receive them
    * @returns {string} Formatted phone number
+   * @throws {Error} When the number is invalid or can't receive the channel
    */
-  formatPhoneNumber(phoneNumber) {
-    // Remove all non-digit characters
-    const cleaned = phoneNumber.replace(/\D/g, '');
-    
-    // Add + if not present and number doesn't start with country code
-    if (!phoneNumber.startsWith('+')) {
-      // Assume South African number if no country code
-      if (cleaned.length === 10 && cleaned.startsWith('0')) {
-        return `+27${cleaned.substring(1)}`;
-      } else if (cleaned.length === 9) {
-        return `+27${cleaned}`;
-      } else {
-        return `+${cleaned}`;
-      }
+  formatPhoneNumber(phoneNumber, channel = null) {
+    const { isValid, error, phone } = validatePhoneNumber(phoneNumber, { channel });
+    if (!isValid) {
+      throw new Error(error);
     }
-    
-    return phoneNumber;
-  }
-
-  /**
-   * Calculate SMS cost based on message length
-   * @param {string} message - SMS message
-   * @returns {number} Cost in currency units
-   */
-  calculateSMSCost(message) {
-    const smsCount = Math.ceil(message.length / 160);
-    return smsCount * 0.12; // R0.12 per SMS
-  }
-
-  /**
-   * Calculate WhatsApp cost
-   * @param {string} message - WhatsApp message
-   * @returns {number} Cost in currency units
-   */
-  calculateWhatsAppCost(message) {
-    return 0.05; // Flat rate for WhatsApp messages
+    return phone.e164;
   }
 
   /**
@@ -266,20 +266,7 @@ class TwilioService {
    * @returns {string} Interpolated message
    */
   interpolateMessage(template, recipient) {
-    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-      return recipient[key] || match;
-    });
-  }
-
-  /**
-   * Simulate API call delay
-   * @param {number} min - Minimum delay in ms
-   * @param {number} max - Maximum delay in ms
-   * @returns {Promise} Promise that resolves after delay
-   */
-  async simulateDelay(min = 500, max = 2000) {
-    const delay = Math.random() * (max - min) + min;
-    return new Promise(resolve => setTimeout(resolve, delay));
+    return renderTemplate(template, recipient);
   }
 
   /**
@@ -290,6 +277,7 @@ class TwilioService {
     return {
       service: 'TwilioService',
       configured: !!(this.accountSid && this.authToken),
+      baseUrl: this.baseUrl,
       fromNumber: this.fromNumber,
       whatsappNumber: this.whatsappNumber,
       capabilities: ['sms', 'whatsapp', 'bulk_sms', 'bulk_whatsapp']
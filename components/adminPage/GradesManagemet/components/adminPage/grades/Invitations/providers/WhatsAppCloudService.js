@@ -0,0 +1,269 @@
+/**
+ * WhatsAppCloudService
+ *
+ * Service for the Meta WhatsApp Cloud API: sends template and free-text messages from the
+ * business phone number and manages the account's message templates through the
+ * WhatsApp Business Management API.
+ * Point `baseUrl` (or MESSAGING_PROVIDER_BASE_URL) at the stub server to run without Meta.
+ */
+
+import { resolveBaseUrl, requestJson, wait } from './httpClient';
+import { renderTemplate } from '../../../../../services/invitation/templateEngine';
+import { validatePhoneNumber } from '../../../../../services/invitation/phoneNumbers';
+
+const GRAPH_VERSION = 'v22.0';
+
+class WhatsAppCloudService {
+  constructor(config = {}) {
+    this.accessToken = config.accessToken || process.env.WHATSAPP_ACCESS_TOKEN;
+    this.phoneNumberId = config.phoneNumberId || process.env.WHATSAPP_PHONE_NUMBER_ID;
+    this.businessAccountId = config.businessAccountId || process.env.WHATSAPP_BUSINESS_ACCOUNT_ID;
+    this.baseUrl = resolveBaseUrl(config, `/whatsapp/${GRAPH_VERSION}`, `https://graph.facebook.com/${GRAPH_VERSION}`);
+  }
+
+  /**
+   * Call the Graph API with the access token
+   * @param {string} path - Path below the versioned base URL
+   * @param {Object} options - { method, body }
+   * @returns {Promise<Object>} Parsed response body
+   */
+  async graphRequest(path, { method = 'GET', body } = {}) {
+    if (!this.accessToken) {
+      throw new Error('WhatsApp access token is not configured');
+    }
+
+    const { data } = await requestJson(`${this.baseUrl}${path}`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${this.accessToken}`,
+        ...(body && { 'Content-Type': 'application/json' })
+      },
+      body: body && JSON.stringify(body)
+    });
+    return data;
+  }
+
+  /**
+   * Post a message from the business phone number
+   * @param {Object} payload - Message fields besides messaging_product
+   * @returns {Promise<Object>} Messages API response
+   */
+  async postMessage(payload) {
+    if (!this.phoneNumberId) {
+      throw new Error('WhatsApp phone number ID is not configured');
+    }
+    return this.graphRequest(`/${this.phoneNumberId}/messages`, {
+      method: 'POST',
+      body: { messaging_product: 'whatsapp', ...payload }
+    });
+  }
+
+  /**
+   * Send an approved template message
+   * @param {Object} params
+   * @param {string} params.to - Recipient phone number
+   * @param {Object} params.template - { name, language, components }
+   * @param {Object} params.metadata - Additional metadata; deliveryId is echoed back in status webhooks
+   * @returns {Promise<Object>} Send result
+   */
+  async sendTemplate({ to, template, metadata = {} }) {
+    try {
+      if (!to || !template?.name) {
+        throw new Error('Recipient WhatsApp number and template name are required');
+      }
+
+      const formattedTo = this.formatPhoneNumber(to);
+      console.log('WhatsAppCloudService: Sending template message', {
+        to: formattedTo,
+        template: template.name,
+        language: template.language,
+        metadata
+      });
+
+      const response = await this.postMessage({
+        to: formattedTo,
+        type: 'template',
+        template: {
+          name: template.name,
+          language: { code: template.language },
+          ...(template.components?.length > 0 && { components: template.components })
+        },
+        ...(metadata.deliveryId && { biz_opaque_callback_data: metadata.deliveryId })
+      });
+
+      return {
+        success: true,
+        messageId: response.messages?.[0]?.id,
+        to: formattedTo,
+        status: response.messages?.[0]?.message_status || 'accepted',
+        timestamp: new Date().toISOString(),
+        provider: 'whatsapp',
+        type: 'whatsapp'
+      };
+    } catch (error) {
+      console.error('WhatsAppCloudService: Template sending failed', error);
+      return {
+        success: false,
+        error: error.message,
+        statusCode: error.status,
+        to,
+        provider: 'whatsapp',
+        type: 'whatsapp',
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Send a free-text message. WhatsApp only delivers these within 24 hours of the
+   * guardian's last message; outside that window use sendTemplate.
+   *
+   * @param {Object} params
+   * @param {string} params.to - Recipient WhatsApp number
+   * @param {string} params.message - Message text
+   * @param {Object} params.metadata - Additional metadata
+   * @returns {Promise<Object>} Send result
+   */
+  async sendWhatsApp({ to, message, metadata = {} }) {
+    try {
+      if (!to || !message) {
+        throw new Error('Recipient WhatsApp number and message are required');
+      }
+
+      const formattedTo = this.formatPhoneNumber(to);
+      const response = await this.postMessage({
+        to: formattedTo,
+        type: 'text',
+        text: { body: message, preview_url: true },
+        ...(metadata.deliveryId && { biz_opaque_callback_data: metadata.deliveryId })
+      });
+
+      return {
+        success: true,
+        messageId: response.messages?.[0]?.id,
+        to: formattedTo,
+        status: 'accepted',
+        timestamp: new Date().toISOString(),
+        provider: 'whatsapp',
+        type: 'whatsapp'
+      };
+    } catch (error) {
+      console.error('WhatsAppCloudService: WhatsApp sending failed', error);
+      return {
+        success: false,
+        error: error.message,
+        statusCode: error.status,
+        to,
+        provider: 'whatsapp',
+        type: 'whatsapp',
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Send bulk WhatsApp messages
+   * @param {Array} recipients - Array of recipient objects
+   * @param {string} message - WhatsApp message content
+   * @param {Object} metadata - Additional metadata
+   * @returns {Promise<Array>} Array of send results
+   */
+  async sendBulkWhatsApp(recipients, message, metadata = {}) {
+    const results = [];
+    const batchSize = 20;
+
+    for (let i = 0; i < recipients.length; i += batchSize) {
+      const batch = recipients.slice(i, i + batchSize);
+      const batchResults = await Promise.all(batch.map(recipient =>
+        this.sendWhatsApp({
+          to: recipient.whatsapp || recipient.phone,
+          message: renderTemplate(message, recipient),
+          metadata: { ...metadata, recipientId: recipient.id }
+        })
+      ));
+      results.push(...batchResults);
+
+      if (i + batchSize < recipients.length) {
+        await wait(1000);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * List the account's message templates, following pagination
+   * @returns {Promise<Array>} Templates with name, language, status, category and components
+   */
+  async listTemplates() {
+    if (!this.businessAccountId) {
+      throw new Error('WhatsApp Business Account ID is not configured');
+    }
+
+    const templates = [];
+    let after = null;
+    do {
+      const query = new URLSearchParams({ fields: 'name,language,status,category,components', limit: '100' });
+      if (after) query.set('after', after);
+      const page = await this.graphRequest(`/${this.businessAccountId}/message_templates?${query}`);
+      templates.push(...(page.data || []));
+      after = page.paging?.next ? page.paging.cursors?.after : null;
+    } while (after);
+
+    return templates;
+  }
+
+  /**
+   * Submit a new template to Meta for review
+   * @param {Object} template - { name, language, category, components }
+   * @returns {Promise<Object>} { id, status, category }
+   */
+  async createTemplate(template) {
+    return this.graphRequest(`/${this.businessAccountId}/message_templates`, {
+      method: 'POST',
+      body: template
+    });
+  }
+
+  /**
+   * Delete a template, in every language
+   * @param {string} name - Template name
+   * @returns {Promise<Object>} { success }
+   */
+  async deleteTemplate(name) {
+    return this.graphRequest(`/${this.businessAccountId}/message_templates?name=${encodeURIComponent(name)}`, {
+      method: 'DELETE'
+    });
+  }
+
+  /**
+   * Format a phone number the way the Cloud API expects: country code and number, digits only
+   * @param {string} phoneNumber - Phone number to format
+   * @returns {string} Formatted phone number
+   * @throws {Error} When the number is invalid or is a landline
+   */
+  formatPhoneNumber(phoneNumber) {
+    const { isValid, error, phone } = validatePhoneNumber(phoneNumber, { channel: 'whatsapp' });
+    if (!isValid) {
+      throw new Error(error);
+    }
+    return phone.digits;
+  }
+
+  /**
+   * Get service status and configuration
+   * @returns {Object} Service status
+   */
+  getStatus() {
+    return {
+      service: 'WhatsAppCloudService',
+      configured: !!(this.accessToken && this.phoneNumberId),
+      baseUrl: this.baseUrl,
+      phoneNumberId: this.phoneNumberId,
+      businessAccountId: this.businessAccountId,
+      capabilities: ['whatsapp', 'whatsapp_templates', 'bulk_whatsapp']
+    };
+  }
+}
+
+export default WhatsAppCloudService;
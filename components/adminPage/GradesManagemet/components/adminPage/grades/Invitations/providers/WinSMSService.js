@@ -1,17 +1,21 @@
 /**
  * WinSMSService
  * 
- * Service for sending SMS messages via WinSMS API (South African SMS provider).
- * This is a placeholder implementation for the refactoring exercise.
- * In a real implementation, this would integrate with the WinSMS REST API.
+ * Service for sending SMS messages via the WinSMS REST v1 API (South African SMS provider).
+ * Point `baseUrl` (or MESSAGING_PROVIDER_BASE_URL) at the stub server to run without WinSMS.
  */
 
+import { resolveBaseUrl, requestJson, wait } from './httpClient';
+import { renderTemplate } from '../../../../../services/invitation/templateEngine';
+import { countSmsSegments } from '../../../../../services/invitation/pricing';
+import { parsePhoneNumber, validatePhoneNumber } from '../../../../../services/invitation/phoneNumbers';
+
 class WinSMSService {
   constructor(config = {}) {
     this.apiKey = config.apiKey || process.env.WINSMS_API_KEY;
     this.username = config.username || process.env.WINSMS_USERNAME;
     this.password = config.password || process.env.WINSMS_PASSWORD;
-    this.baseUrl = config.baseUrl || 'https://www.winsms.co.za/api/rest/v1';
+    this.baseUrl = resolveBaseUrl(config, '/winsms/api/rest/v1', 'https://api.winsms.co.za/api/rest/v1');
     this.defaultSender = config.defaultSender || 'SchoolSMS';
     
     // Rate limiting configuration
@@ -25,6 +29,31 @@ class WinSMSService {
     };
   }
 
+  /**
+   * Call a WinSMS REST endpoint
+   * @param {string} path - Endpoint path, e.g. '/sms/outgoing/send'
+   * @param {Object} options
+   * @param {string} options.method - HTTP method
+   * @param {Object} options.body - JSON body
+   * @returns {Promise<Object>} Parsed response body
+   */
+  async request(path, { method = 'GET', body } = {}) {
+    if (!this.apiKey) {
+      throw new Error('WinSMS API key is not configured');
+    }
+
+    const { data } = await requestJson(`${this.baseUrl}${path}`, {
+      method,
+      headers: {
+        'AUTHORIZATION': this.apiKey,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return data;
+  }
+
   /**
    * Send SMS message via WinSMS
    * @param {Object} params
@@ -44,7 +73,7 @@ class WinSMSService {
       // Check rate limits
       await this.checkRateLimit();
 
-      // Format phone number for South African numbers
+      // Format phone number; landlines are refused before they cost a send
       const formattedTo = this.formatSouthAfricanNumber(to);
       const senderName = sender || this.defaultSender;
 
@@ -63,37 +92,47 @@ class WinSMSService {
         metadata
       });
 
-      // Simulate API call delay
-      await this.simulateDelay(800, 2500);
-
-      // Simulate success/failure (92% success rate)
-      if (Math.random() < 0.92) {
-        const result = {
-          success: true,
-          messageId: `WINSMS_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-          to: formattedTo,
-          sender: senderName,
-          status: 'sent',
-          smsCount: this.calculateSMSCount(message),
-          cost: this.calculateCost(message),
-          credits: this.calculateCredits(message),
-          timestamp: new Date().toISOString(),
-          provider: 'winsms',
-          type: 'sms',
-          network: this.detectNetwork(formattedTo)
-        };
+      const response = await this.request('/sms/outgoing/send', {
+        method: 'POST',
+        body: {
+          message,
+          recipients: [{
+            mobileNumber: formattedTo,
+            clientMessageId: metadata.deliveryId || metadata.recipientId || undefined
+          }],
+          maxSegments: Math.max(this.calculateSMSCount(message), 1)
+        }
+      });
 
-        console.log('WinSMSService: SMS sent successfully', result);
-        return result;
-      } else {
-        throw new Error('SMS delivery failed - invalid number or network error');
+      const accepted = response.recipients?.[0];
+      if (!accepted || !accepted.accepted) {
+        throw new Error(accepted?.acceptError || 'Message was not accepted by WinSMS');
       }
 
+      const result = {
+        success: true,
+        messageId: String(accepted.apiMessageId),
+        to: formattedTo,
+        sender: senderName,
+        status: 'sent',
+        smsCount: this.calculateSMSCount(message),
+        credits: accepted.creditCost ?? this.calculateCredits(message),
+        creditBalance: response.newCreditBalance,
+        timestamp: new Date().toISOString(),
+        provider: 'winsms',
+        type: 'sms',
+        network: this.detectNetwork(formattedTo)
+      };
+
+      console.log('WinSMSService: SMS sent successfully', result);
+      return result;
+
     } catch (error) {
       console.error('WinSMSService: SMS sending failed', error);
       return {
         success: false,
         error: error.message,
+        statusCode: error.status,
         to,
         provider: 'winsms',
         type: 'sms',
@@ -125,7 +164,7 @@ class WinSMSService {
       
       // Delay between batches to respect rate limits
       if (i + batchSize < recipients.length) {
-        await this.simulateDelay(2000, 3000);
+        await wait(2000);
       }
     }
     
@@ -144,15 +183,11 @@ class WinSMSService {
    * @returns {Promise<Array>} Batch results
    */
   async processBatch(batch, message, sender, metadata) {
-    // In real implementation, this would use WinSMS bulk API
-    // For simulation, we'll process individually with some optimizations
-    
+    // Messages are personalised per recipient, so each one is its own send request;
+    // checkRateLimit keeps the batch inside the WinSMS per-second limit
     console.log(`WinSMSService: Processing batch of ${batch.length} messages`);
     
     const batchPromises = batch.map(async (recipient, index) => {
-      // Small stagger to simulate bulk processing
-      await this.simulateDelay(index * 50, index * 100);
-      
       return this.sendSMS({
         to: recipient.phone,
         message: this.interpolateMessage(message, recipient),
@@ -173,17 +208,17 @@ class WinSMSService {
     try {
       console.log(`WinSMSService: Checking status for message ${messageId}`);
       
-      // Simulate API call
-      await this.simulateDelay(300, 800);
-      
-      // Simulate different status possibilities
-      const statuses = ['delivered', 'pending', 'failed', 'expired'];
-      const randomStatus = statuses[Math.floor(Math.random() * statuses.length)];
+      const response = await this.request('/sms/outgoing/status', {
+        method: 'POST',
+        body: { apiMessageIds: [Number(messageId)] }
+      });
+      const status = response.statuses?.[0];
       
       return {
         messageId,
-        status: randomStatus,
-        timestamp: new Date().toISOString(),
+        status: status ? this.mapStatus(status.status) : 'unknown',
+        rawStatus: status?.status,
+        timestamp: status?.statusTime || new Date().toISOString(),
         provider: 'winsms'
       };
       
@@ -206,12 +241,10 @@ class WinSMSService {
     try {
       console.log('WinSMSService: Fetching account information');
       
-      // Simulate API call
-      await this.simulateDelay(500, 1200);
+      const response = await this.request('/credits/balance');
       
       return {
-        credits: Math.floor(Math.random() * 10000) + 1000, // Random credits between 1000-11000
-        balance: (Math.random() * 500 + 100).toFixed(2), // Random balance R100-R600
+        credits: response.creditBalance,
         currency: 'ZAR',
         provider: 'winsms',
         timestamp: new Date().toISOString()
@@ -227,25 +260,40 @@ class WinSMSService {
   }
 
   /**
-   * Format phone number for South African networks
+   * Map a WinSMS message status onto the statuses used across providers
+   * @param {string} status - WinSMS status, e.g. 'DELIVRD', 'UNDELIV', 'EXPIRED'
+   * @returns {string} 'delivered', 'pending', 'failed' or 'expired'
+   */
+  mapStatus(status) {
+    switch ((status || '').toUpperCase()) {
+      case 'DELIVRD':
+      case 'DELIVERED':
+        return 'delivered';
+      case 'EXPIRED':
+        return 'expired';
+      case 'UNDELIV':
+      case 'UNDELIVERABLE':
+      case 'REJECTD':
+      case 'REJECTED':
+      case 'FAILED':
+        return 'failed';
+      default:
+        return 'pending';
+    }
+  }
+
+  /**
+   * Format phone number the way WinSMS expects: country code and number, digits only
    * @param {string} phoneNumber - Phone number to format
    * @returns {string} Formatted phone number
+   * @throws {Error} When the number is invalid or can't receive SMS
    */
   formatSouthAfricanNumber(phoneNumber) {
-    // Remove all non-digit characters
-    const cleaned = phoneNumber.replace(/\D/g, '');
-    
-    // Handle different South African number formats
-    if (cleaned.startsWith('27')) {
-      return cleaned; // Already in international format without +
-    } else if (cleaned.startsWith('0') && cleaned.length === 10) {
-      return '27' + cleaned.substring(1); // Remove leading 0, add 27
-    } else if (cleaned.length === 9) {
-      return '27' + cleaned; // Add 27 prefix
-    } else {
-      // For other international numbers, keep as is
-      return cleaned;
+    const { isValid, error, phone } = validatePhoneNumber(phoneNumber, { channel: 'sms' });
+    if (!isValid) {
+      throw new Error(error);
     }
+    return phone.digits;
   }
 
   /**
@@ -254,19 +302,7 @@ class WinSMSService {
    * @returns {number} Number of SMS messages
    */
   calculateSMSCount(message) {
-    if (message.length <= 160) return 1;
-    if (message.length <= 306) return 2;
-    return Math.ceil(message.length / 153); // 153 chars per SMS in concatenated messages
-  }
-
-  /**
-   * Calculate SMS cost in ZAR
-   * @param {string} message - SMS message
-   * @returns {number} Cost in ZAR
-   */
-  calculateCost(message) {
-    const smsCount = this.calculateSMSCount(message);
-    return smsCount * 0.15; // R0.15 per SMS (example rate)
+    return countSmsSegments(message).segments;
   }
 
   /**
@@ -279,25 +315,12 @@ class WinSMSService {
   }
 
   /**
-   * Detect mobile network from phone number
+   * Detect mobile network from phone number (the network the range was allocated to)
    * @param {string} phoneNumber - Phone number
    * @returns {string} Network name
    */
   detectNetwork(phoneNumber) {
-    const number = phoneNumber.replace(/\D/g, '');
-    
-    // South African network prefixes (simplified)
-    if (number.startsWith('2782') || number.startsWith('2783') || number.startsWith('2784')) {
-      return 'Vodacom';
-    } else if (number.startsWith('2781') || number.startsWith('2786')) {
-      return 'MTN';
-    } else if (number.startsWith('2785')) {
-      return 'Cell C';
-    } else if (number.startsWith('2787')) {
-      return 'Telkom Mobile';
-    } else {
-      return 'Unknown';
-    }
+    return parsePhoneNumber(phoneNumber).network || 'Unknown';
   }
 
   /**
@@ -320,13 +343,11 @@ class WinSMSService {
     
     // Check limits
     if (this.rateLimit.currentSecond >= this.rateLimit.maxPerSecond) {
-      const waitTime = 1000 - (now - this.rateLimit.lastSecond);
-      await this.simulateDelay(waitTime, waitTime);
+      await wait(1000 - (now - this.rateLimit.lastSecond));
     }
     
     if (this.rateLimit.currentMinute >= this.rateLimit.maxPerMinute) {
-      const waitTime = 60000 - (now - this.rateLimit.lastMinute);
-      await this.simulateDelay(waitTime, waitTime);
+      await wait(60000 - (now - this.rateLimit.lastMinute));
     }
     
     // Increment counters
@@ -341,20 +362,7 @@ class WinSMSService {
    * @returns {string} Interpolated message
    */
   interpolateMessage(template, recipient) {
-    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-      return recipient[key] || match;
-    });
-  }
-
-  /**
-   * Simulate API call delay
-   * @param {number} min - Minimum delay in ms
-   * @param {number} max - Maximum delay in ms
-   * @returns {Promise} Promise that resolves after delay
-   */
-  async simulateDelay(min = 500, max = 2000) {
-    const delay = Math.random() * (max - min) + min;
-    return new Promise(resolve => setTimeout(resolve, delay));
+    return renderTemplate(template, recipient);
   }
 
   /**
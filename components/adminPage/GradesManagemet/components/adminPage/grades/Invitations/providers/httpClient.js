@@ -0,0 +1,111 @@
+/**
+ * Provider HTTP helpers
+ *
+ * Shared by TwilioService, WinSMSService and SendGridService.
+ * Setting MESSAGING_PROVIDER_BASE_URL (e.g. http://localhost:4010) points every provider
+ * at the bundled stub server (scripts/provider-stub-server.js) instead of the vendor APIs.
+ */
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+/**
+ * Resolve the base URL a provider talks to
+ * Priority: explicit config, then the shared stub base URL, then the vendor default
+ *
+ * @param {Object} config - Provider configuration
+ * @param {string} stubPrefix - Path the stub server mounts this vendor under, e.g. '/twilio/2010-04-01'
+ * @param {string} defaultUrl - Vendor API base URL
+ * @returns {string} Base URL without a trailing slash
+ */
+export const resolveBaseUrl = (config, stubPrefix, defaultUrl) => {
+  const sharedBaseUrl = process.env.MESSAGING_PROVIDER_BASE_URL;
+  const baseUrl = config.baseUrl || (sharedBaseUrl ? `${sharedBaseUrl.replace(/\/$/, '')}${stubPrefix}` : defaultUrl);
+  return baseUrl.replace(/\/$/, '');
+};
+
+/**
+ * Make an HTTP request and parse the JSON response
+ * Non-2xx responses throw an Error carrying `status` and the parsed `body`
+ *
+ * @param {string} url - Request URL
+ * @param {Object} options
+ * @param {string} options.method - HTTP method
+ * @param {Object} options.headers - Request headers
+ * @param {string} options.body - Serialised request body
+ * @param {number} options.timeoutMs - Abort the request after this many milliseconds
+ * @returns {Promise<Object>} { status, headers, data }
+ */
+export const requestJson = async (url, { method = 'GET', headers = {}, body, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  let response;
+  try {
+    response = await fetch(url, { method, headers, body, signal: controller.signal });
+  } catch (error) {
+    const message = error.name === 'AbortError'
+      ? `Request to ${url} timed out after ${timeoutMs}ms`
+      : `Request to ${url} failed: ${error.message}`;
+    throw Object.assign(new Error(message), { status: 0 });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const text = await response.text();
+  let data = null;
+  if (text) {
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      data = text;
+    }
+  }
+
+  if (!response.ok) {
+    throw Object.assign(new Error(extractErrorMessage(data) || `HTTP ${response.status}`), {
+      status: response.status,
+      body: data
+    });
+  }
+
+  return { status: response.status, headers: response.headers, data };
+};
+
+/**
+ * Pull a readable message out of the error bodies the vendors return
+ * Twilio: { message }, SendGrid: { errors: [{ message }] }, WinSMS: { errorMessage },
+ * Meta Graph API: { error: { message } }
+ *
+ * @param {Object|string} body - Parsed response body
+ * @returns {string|null} Error message
+ */
+const extractErrorMessage = (body) => {
+  if (!body) return null;
+  if (typeof body === 'string') return body;
+  if (Array.isArray(body.errors) && body.errors.length > 0) {
+    return body.errors.map(e => e.message).join('; ');
+  }
+  return body.message || body.errorMessage || body.error?.message || null;
+};
+
+/**
+ * Encode an object as application/x-www-form-urlencoded, skipping empty values
+ * @param {Object} fields - Form fields
+ * @returns {string} Encoded body
+ */
+export const encodeForm = (fields) => {
+  const params = new URLSearchParams();
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      params.append(key, String(value));
+    }
+  });
+  return params.toString();
+};
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+export const wait = (ms) => new Promise(resolve => setTimeout(resolve, Math.max(ms, 0)));
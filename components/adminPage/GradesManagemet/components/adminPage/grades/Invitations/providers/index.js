@@ -8,12 +8,13 @@
 import TwilioService from './TwilioService';
 import WinSMSService from './WinSMSService';
 import SendGridService from './SendGridService';
+import WhatsAppCloudService from './WhatsAppCloudService';
 
 /**
  * Provider factory function
  * Creates and configures provider instances based on configuration
  * 
- * @param {string} providerType - Type of provider ('twilio', 'winsms', 'sendgrid')
+ * @param {string} providerType - Type of provider ('twilio', 'winsms', 'sendgrid', 'whatsapp')
  * @param {Object} config - Provider configuration
  * @returns {Object} Provider instance
  */
@@ -25,6 +26,8 @@ export const createProvider = (providerType, config = {}) => {
       return new WinSMSService(config);
     case 'sendgrid':
       return new SendGridService(config);
+    case 'whatsapp':
+      return new WhatsAppCloudService(config);
     default:
       throw new Error(`Unknown provider type: ${providerType}`);
   }
@@ -59,6 +62,14 @@ export const getAvailableProviders = () => {
       capabilities: ['email', 'bulk_email', 'templated_email', 'attachments', 'statistics'],
       regions: ['Global'],
       pricing: 'Freemium + Pay-per-email'
+    },
+    {
+      id: 'whatsapp',
+      name: 'WhatsApp Cloud API',
+      description: 'WhatsApp template and session messages direct from Meta',
+      capabilities: ['whatsapp', 'whatsapp_templates', 'bulk_whatsapp'],
+      regions: ['Global'],
+      pricing: 'Per conversation'
     }
   ];
 };
@@ -75,15 +86,19 @@ export const validateProviderConfig = (providerType, config) => {
   const validations = {
     twilio: {
       required: ['accountSid', 'authToken', 'fromNumber'],
-      optional: ['whatsappNumber']
+      optional: ['whatsappNumber', 'baseUrl', 'statusCallbackUrl']
     },
     winsms: {
       required: ['apiKey'],
-      optional: ['username', 'password', 'defaultSender']
+      optional: ['username', 'password', 'defaultSender', 'baseUrl']
     },
     sendgrid: {
       required: ['apiKey', 'fromEmail'],
-      optional: ['fromName', 'templateId']
+      optional: ['fromName', 'templateId', 'baseUrl']
+    },
+    whatsapp: {
+      required: ['accessToken', 'phoneNumberId'],
+      optional: ['businessAccountId', 'baseUrl']
     }
   };
 
@@ -112,36 +127,52 @@ export const validateProviderConfig = (providerType, config) => {
 
 /**
  * Multi-provider message sender
- * Sends messages using multiple providers with fallback support
+ * Sends messages using multiple providers with fallback support. Each provider only gets
+ * the recipients the providers before it could not reach. This falls back between
+ * providers of one channel; falling back to another channel per guardian is done by the
+ * delivery pipeline's fallback cascade (lib/invitations/fallback).
  * 
  * @param {Array} providers - Array of configured provider instances
  * @param {Object} message - Message to send
- * @param {Array} recipients - Recipients array
- * @returns {Promise<Object>} Send results
+ * @param {Array} allRecipients - Recipients array
+ * @param {Object} options
+ * @param {Function} options.isOptedOut - (channel, address) => boolean; recipients it matches are
+ *   not contacted. Server callers pass the check from lib/invitations/optOuts (loadOptOutCheck).
+ * @returns {Promise<Object>} Send results, with the IDs of recipients no provider reached in failedRecipients
  */
-export const sendWithFallback = async (providers, message, recipients) => {
+export const sendWithFallback = async (providers, message, allRecipients, { isOptedOut = () => false } = {}) => {
+  const addressFor = (recipient) => {
+    if (message.type === 'email') return recipient.email;
+    if (message.type === 'whatsapp') return recipient.whatsapp || recipient.phone;
+    return recipient.phone;
+  };
+  const optedOut = allRecipients.filter(recipient => isOptedOut(message.type, addressFor(recipient)));
+  let remaining = allRecipients.filter(recipient => !optedOut.includes(recipient));
+
   const results = {
     success: false,
     attempts: [],
     finalResult: null,
-    totalRecipients: recipients.length,
-    successfulDeliveries: 0
+    totalRecipients: allRecipients.length,
+    optedOut: optedOut.map(recipient => recipient.id),
+    successfulDeliveries: 0,
+    failedRecipients: []
   };
 
-  for (let i = 0; i < providers.length; i++) {
+  for (let i = 0; i < providers.length && remaining.length > 0; i++) {
     const provider = providers[i];
     
     try {
-      console.log(`Attempting delivery with provider: ${provider.constructor.name}`);
+      console.log(`Attempting delivery to ${remaining.length} recipient(s) with provider: ${provider.constructor.name}`);
       
       let result;
       if (message.type === 'sms') {
-        result = await provider.sendBulkSMS(recipients, message.content, message.metadata);
+        result = await provider.sendBulkSMS(remaining, message.content, message.metadata);
       } else if (message.type === 'whatsapp') {
-        result = await provider.sendBulkWhatsApp(recipients, message.content, message.metadata);
+        result = await provider.sendBulkWhatsApp(remaining, message.content, message.metadata);
       } else if (message.type === 'email') {
         result = await provider.sendBulkEmail(
-          recipients, 
+          remaining, 
           message.subject, 
           message.content, 
           message.contentType,
@@ -150,9 +181,11 @@ export const sendWithFallback = async (providers, message, recipients) => {
         );
       }
 
+      // Per-recipient results line up with the recipients sent; a single result covers the batch
+      const perRecipient = Array.isArray(result) && result.length === remaining.length;
       const successCount = Array.isArray(result) 
         ? result.filter(r => r.success).length 
-        : (result.success ? 1 : 0);
+        : (result.success ? remaining.length : 0);
 
       results.attempts.push({
         provider: provider.constructor.name,
@@ -164,8 +197,8 @@ export const sendWithFallback = async (providers, message, recipients) => {
       if (successCount > 0) {
         results.success = true;
         results.finalResult = result;
-        results.successfulDeliveries = successCount;
-        break;
+        results.successfulDeliveries += successCount;
+        remaining = perRecipient ? remaining.filter((recipient, index) => !result[index].success) : [];
       }
 
     } catch (error) {
@@ -178,6 +211,7 @@ export const sendWithFallback = async (providers, message, recipients) => {
     }
   }
 
+  results.failedRecipients = remaining.map(recipient => recipient.id);
   return results;
 };
 
@@ -185,7 +219,8 @@ export const sendWithFallback = async (providers, message, recipients) => {
 export {
   TwilioService,
   WinSMSService,
-  SendGridService
+  SendGridService,
+  WhatsAppCloudService
 };
 
 // Default export for convenience
@@ -193,6 +228,7 @@ export default {
   TwilioService,
   WinSMSService,
   SendGridService,
+  WhatsAppCloudService,
   createProvider,
   getAvailableProviders,
   validateProviderConfig,
@@ -1,16 +1,127 @@
-// Call the backend route that talks to the WhatsApp Business API
-export async function sendTestWhatsAppMessage(phoneNumber) {
-  const res = await fetch('/api/send-whatsapp', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ phoneNumber }),
-  });
+/**
+ * WhatsAppBusinessService - Client for the WhatsApp Business template routes
+ * Templates live in the school's WhatsApp Business account and are synced to our
+ * database; each school maps invitation variables onto a template's parameters.
+ */
+
+import { appApi } from '../../../../../../services/api';
 
-  const data = await res.json();
+class WhatsAppBusinessService {
+  /**
+   * Get synced templates
+   * @param {Object} options
+   * @param {boolean} options.approvedOnly - Only templates Meta approved for sending (default)
+   * @returns {Promise<Array>} Templates, each with a `description` of its parameters
+   */
+  async getTemplates({ approvedOnly = true } = {}) {
+    try {
+      return await appApi.get('whatsapp/templates', { query: { approved: approvedOnly || undefined } });
+    } catch (error) {
+      console.error('Error fetching WhatsApp templates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Refresh templates and their review status from the WhatsApp Business account
+   * @returns {Promise<Object>} { synced, removed, syncedAt }
+   */
+  async syncTemplates() {
+    try {
+      return await appApi.post('whatsapp/templates/sync');
+    } catch (error) {
+      console.error('Error syncing WhatsApp templates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Submit a new template to Meta for review
+   * @param {Object} template - { name, language, category, components }
+   * @returns {Promise<Object>} { id, status, category }
+   */
+  async createTemplate(template) {
+    try {
+      return await appApi.post('whatsapp/templates', {
+        ...template,
+        category: String(template.category || '').toUpperCase(),
+        components: (template.components || []).map(c => ({ ...c, type: String(c.type).toUpperCase() }))
+      });
+    } catch (error) {
+      console.error('Error creating WhatsApp template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a template from the WhatsApp Business account, in every language
+   * @param {string} name - Template name
+   * @returns {Promise<Object>} { success }
+   */
+  async deleteTemplate(name) {
+    try {
+      return await appApi.delete('whatsapp/templates', { query: { name } });
+    } catch (error) {
+      console.error('Error deleting WhatsApp template:', error);
+      throw error;
+    }
+  }
 
-  if (!res.ok) {
-    throw new Error(data.error || 'Unknown error from WhatsApp API');
+  /**
+   * Get a school's parameter mappings
+   * @param {string} schoolId - School ID
+   * @returns {Promise<Array>} Mappings
+   */
+  async getMappings(schoolId) {
+    try {
+      return await appApi.get('whatsapp/templates/mappings', { query: { schoolId } });
+    } catch (error) {
+      console.error('Error fetching WhatsApp template mappings:', error);
+      throw error;
+    }
   }
 
-  return data;
+  /**
+   * Save a school's parameter mapping for a template
+   * Incomplete mappings are rejected; the thrown error carries the list in `errors`.
+   * @param {Object} mapping - { schoolId, name, language, header, body }
+   * @returns {Promise<Object>} Saved mapping
+   */
+  async saveMapping(mapping) {
+    try {
+      return await appApi.put('whatsapp/templates/mappings', mapping);
+    } catch (error) {
+      console.error('Error saving WhatsApp template mapping:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send one template message, filling its parameters from the school's mapping
+   * @param {Object} params
+   * @param {string} params.to - Phone number
+   * @param {string} params.schoolId - School whose mapping is used
+   * @param {string} params.templateName - Template name; Meta's hello_world when omitted
+   * @param {string} params.language - Template language
+   * @param {Object} params.variables - Values for the mapped variables
+   * @returns {Promise<Object>} { messageId, ...Cloud API response }
+   */
+  async sendTestMessage({ to, schoolId, templateName, language, variables = {} }) {
+    try {
+      const data = await appApi.post('send-whatsapp', { phoneNumber: to, schoolId, templateName, language, variables });
+      return { ...data, messageId: data.messages?.[0]?.id || null };
+    } catch (error) {
+      console.error('Error sending WhatsApp test message:', error);
+      throw error;
+    }
+  }
+}
+
+const whatsAppBusinessService = new WhatsAppBusinessService();
+
+// Call the backend route that talks to the WhatsApp Business API
+export async function sendTestWhatsAppMessage(phoneNumber, schoolId) {
+  return whatsAppBusinessService.sendTestMessage({ to: phoneNumber, schoolId });
 }
+
+export default whatsAppBusinessService;
@@ -1,16 +1,6 @@
-// Call the backend route that talks to the WhatsApp Business API
-export async function sendTestWhatsAppMessage(phoneNumber) {
-  const res = await fetch('/api/send-whatsapp', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ phoneNumber }),
-  });
-
-  const data = await res.json();
+import { appApi } from '../../../../../../services/api';
 
-  if (!res.ok) {
-    throw new Error(data.error || 'Unknown error from WhatsApp API');
-  }
-
-  return data;
+// Call the backend route that talks to the WhatsApp Business API
+export async function sendTestWhatsAppMessage(phoneNumber, schoolId) {
+  return appApi.post('send-whatsapp', { phoneNumber, schoolId });
 }
@@ -1,4 +1,4 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
 import {
   FiX,
   FiUpload,
@@ -8,14 +8,81 @@ import {
   FiFile,
   FiTrash2,
   FiInfo,
-  FiLoader
+  FiLoader,
+  FiColumns,
+  FiChevronLeft,
+  FiChevronRight,
+  FiArrowRight
 } from 'react-icons/fi';
 import * as XLSX from 'xlsx';
+import { appApi } from '../../../../../services/api';
+import { schoolIdOf } from '../../../../../../context/SchoolContext';
+import {
+  IMPORT_FIELDS,
+  IMPORT_FIELD_GROUPS,
+  resolveMapping,
+  validateMapping,
+  findHeaderRow,
+  readSheetRows,
+  applyMapping,
+  validateImportRows,
+  summariseImport,
+  buildErrorReport
+} from '../../../../services/learners/learnerImport';
+import { IMPORT_ACTIONS, describeMatch } from '../../../../services/learners/learnerMatching';
+
+const UPLOAD_STEPS = ['upload', 'map', 'review', 'changes', 'complete'];
+
+const STEP_LABELS = {
+  upload: 'Upload File',
+  map: 'Map Columns',
+  review: 'Review Rows',
+  changes: 'Confirm Changes',
+  complete: 'Complete'
+};
+
+const ACTION_STYLES = {
+  [IMPORT_ACTIONS.create]: { label: 'New', badge: 'bg-green-100 text-green-800', card: 'bg-green-50 text-green-600' },
+  [IMPORT_ACTIONS.update]: { label: 'Updated', badge: 'bg-blue-100 text-blue-800', card: 'bg-blue-50 text-blue-600' },
+  [IMPORT_ACTIONS.unchanged]: { label: 'Unchanged', badge: 'bg-gray-100 text-gray-700', card: 'bg-gray-50 text-gray-600' },
+  [IMPORT_ACTIONS.conflict]: { label: 'Conflict', badge: 'bg-red-100 text-red-800', card: 'bg-red-50 text-red-600' }
+};
+
+const FIELD_LABELS = {
+  ...Object.fromEntries(IMPORT_FIELDS.map(field => [field.key, field.label])),
+  gradeId: 'Grade'
+};
 
-const BulkUpload = ({ isOpen, onClose, selectedGrade, onUploadSuccess, schools }) => {
-  const [uploadStep, setUploadStep] = useState('upload'); // upload, validate, confirm, complete
+const ROWS_PER_PAGE = 25;
+
+const downloadCsv = (content, filename) => {
+  const blob = new Blob([content], { type: 'text/csv' });
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  window.URL.revokeObjectURL(url);
+};
+
+// A request that never reached the server has status 0
+const uploadErrorMessage = error => (error.status === 0
+  ? 'Network error during upload. Please check your connection.'
+  : `Upload failed: ${error.message || 'Unknown error'}`);
+
+const BulkUpload = ({ isOpen, onClose, selectedGrade, onUploadSuccess, schools, selectedSchool }) => {
+  const [uploadStep, setUploadStep] = useState('upload'); // upload, map, review, changes, complete
   const [uploadedFile, setUploadedFile] = useState(null);
-  const [validationResults, setValidationResults] = useState(null);
+  const [sheet, setSheet] = useState(null); // { headers, rows }
+  const [mapping, setMapping] = useState({});
+  const [saveMapping, setSaveMapping] = useState(true);
+  const [mappingErrors, setMappingErrors] = useState([]);
+  const [edits, setEdits] = useState({}); // { rowNumber: { fieldKey: value } }
+  const [rowFilter, setRowFilter] = useState('all'); // all, errors, warnings
+  const [page, setPage] = useState(0);
+  const [preview, setPreview] = useState(null); // { importId, summary, plan, invalidRows }
+  const [planFilter, setPlanFilter] = useState('all'); // all or an import action
+  const [uploadResult, setUploadResult] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
   const [dragActive, setDragActive] = useState(false);
   const [errorStatus, setErrorStatus] = useState('');
@@ -26,17 +93,17 @@ const BulkUpload = ({ isOpen, onClose, selectedGrade, onUploadSuccess, schools }
     console.log('BulkUpload schools prop:', schools);
   }, [schools]);
 
-  // Extract school info from schools prop (first school) or empty defaults
+  // Learners are imported into the school open in the workspace
   const getSchoolAndUserInfo = () => {
-    if (!Array.isArray(schools) || schools.length === 0) {
-      return { schoolName: '', schoolEmail: '', userEmail: '', province: '' };
+    if (!selectedSchool) {
+      return { schoolId: null, schoolName: '', schoolEmail: '', userEmail: '', province: '' };
     }
-    const firstSchool = schools[0];
     return {
-      schoolName: firstSchool.schoolName || '',
-      schoolEmail: firstSchool.schoolEmail || '',
-      userEmail: firstSchool.userEmail || '',
-      province: firstSchool.province || '',
+      schoolId: schoolIdOf(selectedSchool),
+      schoolName: selectedSchool.schoolName || '',
+      schoolEmail: selectedSchool.schoolEmail || '',
+      userEmail: selectedSchool.userEmail || '',
+      province: selectedSchool.province || '',
     };
   };
 
@@ -47,6 +114,32 @@ const BulkUpload = ({ isOpen, onClose, selectedGrade, onUploadSuccess, schools }
     }
   }, [isOpen]);
 
+  // Every row with the admin's fixes applied, checked on its own and against the others
+  const rowResults = useMemo(() => {
+    if (!sheet) return [];
+    return validateImportRows(sheet.rows.map(row => {
+      const mapped = applyMapping(row, mapping);
+      return { ...mapped, values: { ...mapped.values, ...edits[row.rowNumber] } };
+    }));
+  }, [sheet, mapping, edits]);
+
+  const summary = useMemo(() => summariseImport(rowResults), [rowResults]);
+
+  const visibleRows = rowResults.filter(result => {
+    if (rowFilter === 'errors') return result.errors.length > 0;
+    if (rowFilter === 'warnings') return result.errors.length === 0 && result.warnings.length > 0;
+    return true;
+  });
+  const pageCount = Math.max(1, Math.ceil(visibleRows.length / ROWS_PER_PAGE));
+  const pageRows = visibleRows.slice(page * ROWS_PER_PAGE, (page + 1) * ROWS_PER_PAGE);
+
+  // The grid shows the fields the file has, plus any required ones it lacks
+  const gridFields = IMPORT_FIELDS.filter(field => field.required || mapping[field.key]);
+
+  const visiblePlan = (preview?.plan || []).filter(entry => planFilter === 'all' || entry.action === planFilter);
+  const planPageCount = Math.max(1, Math.ceil(visiblePlan.length / ROWS_PER_PAGE));
+  const planPageRows = visiblePlan.slice(page * ROWS_PER_PAGE, (page + 1) * ROWS_PER_PAGE);
+
   const handleDrag = e => {
     e.preventDefault();
     e.stopPropagation();
@@ -81,11 +174,22 @@ const BulkUpload = ({ isOpen, onClose, selectedGrade, onUploadSuccess, schools }
     }
 
     setUploadedFile(file);
-    setUploadStep('validate');
-    validateAndParseFile(file);
+    parseFile(file);
+  };
+
+  const loadSavedMapping = async () => {
+    const { schoolId } = getSchoolAndUserInfo();
+    if (!schoolId) return null;
+    try {
+      const saved = await appApi.get('learner-imports/mapping', { query: { schoolId } });
+      return saved?.mapping || null;
+    } catch (error) {
+      console.error('Error loading saved column mapping:', error);
+      return null;
+    }
   };
 
-  const validateAndParseFile = async file => {
+  const parseFile = async file => {
     setIsProcessing(true);
     setErrorStatus('');
 
@@ -93,172 +197,39 @@ const BulkUpload = ({ isOpen, onClose, selectedGrade, onUploadSuccess, schools }
 
     reader.onload = async e => {
       try {
-        const data = new Uint8Array(e.target.result);
-        const workbook = XLSX.read(data, { type: 'array' });
+        const workbook = file.type === 'text/csv'
+          ? XLSX.read(e.target.result, { type: 'string' })
+          : XLSX.read(new Uint8Array(e.target.result), { type: 'array' });
         const sheetName = workbook.SheetNames[0];
         const worksheet = workbook.Sheets[sheetName];
         const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1, blankrows: false });
 
         if (jsonData.length === 0) {
           setErrorStatus('The uploaded file is empty.');
-          setUploadStep('upload');
-          setIsProcessing(false);
           return;
         }
 
-        const firstNameHeaders = [
-          'Learner First Name', 'First Name', 'Firstname', 'Name', 'Given Name', 'Forename',
-          'LearnerFirstName', 'Student First Name', 'StudentFirstName'
-        ];
-        const lastNameHeaders = [
-          'Learner Surname', 'Last Name', 'Lastname', 'Surname', 'Family Name',
-          'LearnerSurname', 'Student Surname', 'Student Last Name', 'StudentSurname'
-        ];
-
-        const normalizeHeader = header => header ? header.toLowerCase().replace(/[\s\n\r\t_-]/g, '') : '';
-
-        const headerExists = (headers, possibleNames) => {
-          const normalizedHeaders = headers.map(normalizeHeader);
-          return possibleNames.some(name => normalizedHeaders.includes(normalizeHeader(name)));
-        };
-
-        let headerRowIndex = -1;
-        for (let i = 0; i < jsonData.length; i++) {
-          const row = jsonData[i].map(cell => (cell ? String(cell).trim() : ''));
-          if (headerExists(row, firstNameHeaders) && headerExists(row, lastNameHeaders)) {
-            headerRowIndex = i;
-            break;
-          }
+        const headerRowIndex = findHeaderRow(jsonData);
+        if (headerRowIndex === -1) {
+          setErrorStatus('Could not find a header row. Please make sure the first rows of the sheet name its columns.');
+          return;
         }
 
-        if (headerRowIndex === -1) {
-          setErrorStatus(
-            'Could not find valid header row. Please ensure your file contains columns for first name and last name.'
-          );
-          setUploadStep('upload');
-          setIsProcessing(false);
+        const parsed = readSheetRows(jsonData, headerRowIndex);
+        if (parsed.rows.length === 0) {
+          setErrorStatus('The file has a header row but no learners under it.');
           return;
         }
 
-        const headers = jsonData[headerRowIndex].map(h => (h ? String(h).trim() : ''));
-        const rows = jsonData.slice(headerRowIndex + 1);
-
-        const findHeaderIndex = (possibleNames) => {
-          const normalizedHeaders = headers.map(normalizeHeader);
-          for (const name of possibleNames) {
-            const normalizedName = normalizeHeader(name);
-            const index = normalizedHeaders.findIndex(header => header === normalizedName);
-            if (index !== -1) return index;
-          }
-          return -1;
-        };
-
-        const colIndexes = {
-          firstName: findHeaderIndex(firstNameHeaders),
-          lastName: findHeaderIndex(lastNameHeaders),
-          gender: findHeaderIndex(['Gender', 'Sex', 'M/F', 'Male/Female']),
-          cellPhone: findHeaderIndex(['Cell Phone Number', 'Mobile', 'Cell', 'Phone', 'Mobile Number', 'Cell Number', 'Contact Number', 'Phone Number']),
-          telHome: findHeaderIndex(['Tel Number\n(H)ome', 'Tel Number (H)ome', 'Home Phone', 'Home Number', 'Tel Home', 'Home Tel', 'Telephone Home', 'Tel Number (Home)', 'TelNumber(H)ome']),
-          telEmergency: findHeaderIndex(['Tel Number\n(E)mergency', 'Tel Number (E)mergency', 'Emergency Phone', 'Emergency Number', 'Tel Emergency', 'Emergency Tel', 'Emergency Contact', 'Tel Number (Emergency)', 'TelNumber(E)mergency']),
-          whatsapp: findHeaderIndex(['WhatsApp', 'WhatsApp Number', 'Whatsapp', 'WhatsApp Phone', 'WA Number', 'WhatsApp Contact', 'Whatsapp Number']),
-          telegram: findHeaderIndex(['Telegram', 'Telegram Username', 'Telegram Handle', 'Telegram ID', 'Telegram Contact', '@Telegram']),
-          accessionNumber: findHeaderIndex(['Accession Number', 'ID', 'Student ID', 'Learner ID', 'ID Number', 'Student Number', 'Accession', 'Reference Number']),
-        };
-
-        let totalRows = 0;
-        let validRows = 0;
-        let invalidRows = 0;
-        let errors = [];
-        let warnings = [];
-        let duplicates = 0;
-        let preview = [];
-        const processedData = [];
-
-        // Extract school info from schools prop
-        const { schoolName, schoolEmail, userEmail, province } = getSchoolAndUserInfo();
-
-        rows.forEach((row, i) => {
-          if (row.every(cell => cell === null || cell === undefined || String(cell).trim() === '')) return;
-
-          totalRows++;
-
-          const learner = {
-            firstName: colIndexes.firstName !== -1 ? (row[colIndexes.firstName] || '').toString().trim() : '',
-            lastName: colIndexes.lastName !== -1 ? (row[colIndexes.lastName] || '').toString().trim() : '',
-            gender: colIndexes.gender !== -1 ? (row[colIndexes.gender] || '').toString().trim() : '',
-            accessionNumber: colIndexes.accessionNumber !== -1 ? (row[colIndexes.accessionNumber] || '').toString().trim() : '',
-            schoolName,
-            schoolEmail,
-            userEmail,
-            province,
-          };
-
-          const cellPhoneRaw = colIndexes.cellPhone !== -1 ? (row[colIndexes.cellPhone] || '').toString().trim() : '';
-          let telHomeRaw = colIndexes.telHome !== -1 ? (row[colIndexes.telHome] || '').toString().trim() : '';
-          let telEmerRaw = colIndexes.telEmergency !== -1 ? (row[colIndexes.telEmergency] || '').toString().trim() : '';
-          const whatsappRaw = colIndexes.whatsapp !== -1 ? (row[colIndexes.whatsapp] || '').toString().trim() : '';
-          const telegramRaw = colIndexes.telegram !== -1 ? (row[colIndexes.telegram] || '').toString().trim() : '';
-
-          telHomeRaw = telHomeRaw.replace(/^\(H\)\s*/, '').trim();
-          telEmerRaw = telEmerRaw.replace(/^\(E\)\s*/, '').trim();
-
-          learner.phone = cellPhoneRaw || telHomeRaw || telEmerRaw || '';
-          learner.telHome = telHomeRaw;
-          learner.telEmergency = telEmerRaw;
-          learner.whatsapp = whatsappRaw;
-          learner.telegram = telegramRaw;
-
-          let rowErrors = [];
-
-          if (!learner.firstName) rowErrors.push('First name is required.');
-          if (!learner.lastName) rowErrors.push('Last name is required.');
-
-          if (learner.phone && !/^\+?(\d[\d\s\-\(\)]*)$/.test(learner.phone)) {
-            warnings.push({ row: headerRowIndex + 2 + i, field: 'phone', message: 'Phone number format might be incorrect.' });
-          }
-          if (learner.whatsapp && !/^\+?(\d[\d\s\-\(\)]*)$/.test(learner.whatsapp)) {
-            warnings.push({ row: headerRowIndex + 2 + i, field: 'whatsapp', message: 'WhatsApp number format might be incorrect.' });
-          }
-
-          if (rowErrors.length > 0) {
-            invalidRows++;
-            errors.push({ row: headerRowIndex + 2 + i, messages: rowErrors.join('; ') });
-          } else {
-            validRows++;
-            learner.gradeId = selectedGrade?.id || null;
-
-            if (preview.length < 3) {
-              preview.push({
-                firstName: learner.firstName,
-                lastName: learner.lastName,
-                email: '', // No email column
-                phone: learner.phone,
-                whatsapp: learner.whatsapp,
-                telegram: learner.telegram,
-                parentName: '',
-              });
-            }
-
-            processedData.push(learner);
-          }
-        });
-
-        setValidationResults({
-          totalRows,
-          validRows,
-          invalidRows,
-          duplicates,
-          errors,
-          warnings,
-          preview,
-          dataToUpload: processedData,
-        });
-
-        setUploadStep('confirm');
+        const saved = await loadSavedMapping();
+        setSheet(parsed);
+        setMapping(resolveMapping(parsed.headers, saved));
+        setEdits({});
+        setMappingErrors([]);
+        setUploadStep('map');
       } catch (error) {
         console.error('File parsing error:', error);
         setErrorStatus('Error processing file. Please ensure it is correctly formatted.');
-        setUploadStep('upload');
       } finally {
         setIsProcessing(false);
       }
@@ -276,50 +247,145 @@ const BulkUpload = ({ isOpen, onClose, selectedGrade, onUploadSuccess, schools }
     }
   };
 
-  const handleConfirmUpload = async () => {
-    if (!validationResults || validationResults.validRows === 0) {
+  const handleMappingChange = (fieldKey, header) => {
+    setMapping(prev => {
+      const next = { ...prev };
+      if (header) next[fieldKey] = header;
+      else delete next[fieldKey];
+      return next;
+    });
+    setMappingErrors([]);
+  };
+
+  const handleConfirmMapping = async () => {
+    const { isValid, errors } = validateMapping(mapping);
+    if (!isValid) {
+      setMappingErrors(errors);
+      return;
+    }
+
+    const { schoolId } = getSchoolAndUserInfo();
+    if (saveMapping && schoolId) {
+      try {
+        await appApi.put('learner-imports/mapping', { schoolId, mapping });
+      } catch (error) {
+        // The upload doesn't depend on the saved mapping
+        console.error('Error saving column mapping:', error);
+      }
+    }
+
+    setPage(0);
+    setRowFilter(summary.withErrors > 0 ? 'errors' : 'all');
+    setUploadStep('review');
+  };
+
+  const handleCellChange = (rowNumber, fieldKey, value) => {
+    setEdits(prev => ({
+      ...prev,
+      [rowNumber]: { ...prev[rowNumber], [fieldKey]: value }
+    }));
+  };
+
+  const handleFilterChange = filter => {
+    setRowFilter(filter);
+    setPage(0);
+  };
+
+  const downloadErrorReport = () => {
+    const name = uploadedFile?.name ? uploadedFile.name.replace(/\.[^.]+$/, '') : 'learners';
+    downloadCsv(buildErrorReport(rowResults), `${name}_errors.csv`);
+  };
+
+  // Match the rows to the learners already on the roster; nothing is saved yet
+  const handlePreviewUpload = async () => {
+    if (summary.ready === 0) {
       setErrorStatus('No valid learners to upload.');
       return;
     }
+    const { schoolId } = getSchoolAndUserInfo();
+    if (!schoolId) {
+      setErrorStatus('No school found for this account.');
+      return;
+    }
 
     setIsProcessing(true);
     setErrorStatus('');
 
     try {
-      const response = await fetch('http://localhost:4000/api/v1/learners/bulk_upload', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ data: validationResults.dataToUpload }),
+      const result = await appApi.post('learner-imports', {
+        schoolId,
+        gradeId: selectedGrade?.id || null,
+        rows: rowResults.map(({ rowNumber, values }) => ({ rowNumber, values })),
       });
 
-      const result = await response.json();
-
-      if (response.ok) {
-        setValidationResults(prev => ({
-          ...prev,
-          inserted: result.inserted || prev.validRows,
-          duplicates: result.duplicatesSkipped || 0,
-          errors: (prev.errors || []).concat(result.errors || []),
-        }));
-        setUploadStep('complete');
-        if (onUploadSuccess) onUploadSuccess(result);
-      } else {
-        setErrorStatus(`Upload failed: ${result.message || 'Unknown error'}`);
-        setUploadStep('confirm');
-      }
+      setPreview(result);
+      setPlanFilter(result.summary.conflict > 0 ? IMPORT_ACTIONS.conflict : 'all');
+      setPage(0);
+      setUploadStep('changes');
     } catch (error) {
-      console.error('API upload error:', error);
-      setErrorStatus('Network error during upload. Please check your connection.');
-      setUploadStep('confirm');
+      console.error('Import preview error:', error);
+      setErrorStatus(uploadErrorMessage(error));
     } finally {
       setIsProcessing(false);
     }
   };
 
+  const handleApplyUpload = async () => {
+    const { schoolId, ...school } = getSchoolAndUserInfo();
+    setIsProcessing(true);
+    setErrorStatus('');
+
+    try {
+      const result = await appApi.post(`learner-imports/${preview.importId}`, { schoolId, school });
+
+      setUploadResult({
+        ...result.summary,
+        failedRows: result.failed || [],
+        notUploaded: preview.invalidRows,
+      });
+      setUploadStep('complete');
+      if (onUploadSuccess) onUploadSuccess(result);
+    } catch (error) {
+      const result = error.body;
+      if (result?.stale) {
+        // Someone changed the roster since the preview: show what applying would do now
+        setPreview(prev => ({ ...prev, summary: result.summary, plan: result.plan }));
+        setPlanFilter('all');
+        setPage(0);
+        setErrorStatus(result.message);
+        return;
+      }
+      console.error('Import apply error:', error);
+      setErrorStatus(uploadErrorMessage(error));
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handlePlanFilterChange = filter => {
+    setPlanFilter(filter);
+    setPage(0);
+  };
+
+  const handleBackToReview = () => {
+    setPreview(null);
+    setPage(0);
+    setErrorStatus('');
+    setUploadStep('review');
+  };
+
   const resetUpload = () => {
     setUploadStep('upload');
     setUploadedFile(null);
-    setValidationResults(null);
+    setSheet(null);
+    setMapping({});
+    setMappingErrors([]);
+    setEdits({});
+    setRowFilter('all');
+    setPage(0);
+    setPreview(null);
+    setPlanFilter('all');
+    setUploadResult(null);
     setIsProcessing(false);
     setDragActive(false);
     setErrorStatus('');
@@ -327,28 +393,28 @@ const BulkUpload = ({ isOpen, onClose, selectedGrade, onUploadSuccess, schools }
 
   const downloadTemplate = () => {
     const csvContent =
-      'First Name,Last Name,Gender,Phone Number,Tel Number (H)ome,Tel Number (E)mergency,WhatsApp,Telegram,Student ID\n' +
-      'John,Smith,Male,+27123456789,+27112223333,+27114445555,+27123456789,@johnsmith,12345\n' +
-      'Sarah,Johnson,Female,+27129876543,+27113334444,+27117778888,+27129876543,@sarahjohnson,67890';
-
-    const blob = new Blob([csvContent], { type: 'text/csv' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'learners_upload_template.csv';
-    a.click();
-    window.URL.revokeObjectURL(url);
+      'First Name,Last Name,Gender,ID Number,Admission Number,Date of Birth,Phone Number,Tel Number (H)ome,Tel Number (E)mergency,WhatsApp,Telegram,Parent Name,Parent Phone,Parent Email\n' +
+      'John,Smith,Male,1503125081085,12345,2015-03-12,+27821234567,+27112223333,+27834445555,+27821234567,@johnsmith,Mary Smith,+27821234567,mary.smith@example.com\n' +
+      'Sarah,Johnson,Female,1607210124088,67890,2016-07-21,+27729876543,+27113334444,+27617778888,+27729876543,@sarahjohnson,Peter Johnson,+27729876543,peter.johnson@example.com';
+
+    downloadCsv(csvContent, 'learners_upload_template.csv');
   };
 
   if (!isOpen) return null;
 
   const { schoolName, schoolEmail } = getSchoolAndUserInfo();
+  const stepIndex = UPLOAD_STEPS.indexOf(uploadStep);
+
+  const sampleValue = header => {
+    const row = sheet?.rows.find(r => String(r.cells[header] ?? '').trim());
+    return row ? String(row.cells[header]).trim() : '';
+  };
 
   return (
     <div className="fixed inset-0 z-50 overflow-y-auto">
       <div className="flex items-center justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
         <div className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity" onClick={onClose}></div>
-        <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-4xl sm:w-full">
+        <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-6xl sm:w-full">
           <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
             <div className="flex items-center justify-between mb-4">
               <div>
@@ -368,44 +434,52 @@ const BulkUpload = ({ isOpen, onClose, selectedGrade, onUploadSuccess, schools }
             {/* Progress Steps */}
             <div className="mb-8">
               <div className="flex items-center justify-between">
-                {['upload', 'validate', 'confirm', 'complete'].map((step, index) => (
+                {UPLOAD_STEPS.map((step, index) => (
                   <React.Fragment key={step}>
                     <div className="flex flex-col items-center flex-1">
                       <div
                         className={`flex-shrink-0 w-8 h-8 border-2 rounded-full flex items-center justify-center transition-colors duration-200 ${
                           uploadStep === step
                             ? 'border-blue-600 bg-blue-50 text-blue-600'
-                            : index < ['upload', 'validate', 'confirm', 'complete'].indexOf(uploadStep)
+                            : index < stepIndex
                             ? 'border-green-600 bg-green-50 text-green-600'
                             : 'border-gray-300 text-gray-400'
                         }`}
                       >
-                        {index < ['upload', 'validate', 'confirm', 'complete'].indexOf(uploadStep) ? (
+                        {index < stepIndex ? (
                           <FiCheck className="w-4 h-4" />
                         ) : (
                           <span className="text-sm font-medium">{index + 1}</span>
                         )}
                       </div>
                       <span
-                        className={`mt-2 text-xs sm:text-sm font-medium capitalize text-center ${
+                        className={`mt-2 text-xs sm:text-sm font-medium text-center ${
                           uploadStep === step
                             ? 'text-blue-600'
-                            : index < ['upload', 'validate', 'confirm', 'complete'].indexOf(uploadStep)
+                            : index < stepIndex
                             ? 'text-green-600'
                             : 'text-gray-600'
                         }`}
                       >
-                        {step === 'upload' ? 'Upload File' : step}
+                        {STEP_LABELS[step]}
                       </span>
                     </div>
-                    {index < 3 && <div className={`flex-1 h-0.5 mx-2 sm:mx-4 transition-colors duration-200 ${index < ['upload', 'validate', 'confirm', 'complete'].indexOf(uploadStep) ? 'bg-green-600' : 'bg-gray-300'}`}></div>}
+                    {index < UPLOAD_STEPS.length - 1 && <div className={`flex-1 h-0.5 mx-2 sm:mx-4 transition-colors duration-200 ${index < stepIndex ? 'bg-green-600' : 'bg-gray-300'}`}></div>}
                   </React.Fragment>
                 ))}
               </div>
             </div>
 
             {/* Step Content */}
-            {uploadStep === 'upload' && (
+            {uploadStep === 'upload' && isProcessing && (
+              <div className="text-center py-10">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+                <p className="mt-4 text-lg font-semibold text-gray-700">Reading File...</p>
+                <p className="text-sm text-gray-500">This may take a few moments as we process your data.</p>
+              </div>
+            )}
+
+            {uploadStep === 'upload' && !isProcessing && (
               <div>
                 <div className="mb-6">
                   <button
@@ -414,7 +488,7 @@ const BulkUpload = ({ isOpen, onClose, selectedGrade, onUploadSuccess, schools }
                   >
                     <FiDownload className="mr-2 h-4 w-4" /> Download Template
                   </button>
-                  <p className="mt-2 text-sm text-gray-500">Get our template to ensure your learner data is in the correct format.</p>
+                  <p className="mt-2 text-sm text-gray-500">Get our template, or upload your admin system's export and match its columns in the next step.</p>
                 </div>
 
                 <div
@@ -462,167 +536,433 @@ const BulkUpload = ({ isOpen, onClose, selectedGrade, onUploadSuccess, schools }
                   </h4>
                   <ul className="text-sm text-blue-700 space-y-1">
                     <li>
-                      • <strong>Required columns</strong>: First name and last name (accepts various formats like "First Name", "Learner First Name", "Given Name", etc.)
+                      • <strong>Required columns</strong>: First name and last name, under any heading
                     </li>
                     <li>
-                      • <strong>Optional columns</strong>: Gender, Phone Numbers (Cell, Home, Emergency), WhatsApp, Telegram, Student ID
+                      • <strong>Optional columns</strong>: Gender, ID number, admission number, date of birth, phone numbers (cell, home, emergency), WhatsApp, Telegram and guardian details
                     </li>
-                    <li>• Supports flexible and common column header variations.</li>
-                    <li>• You can upload any number of learners; large files may take longer to process.</li>
+                    <li>• You match columns to fields after uploading; the matching is remembered for your school.</li>
+                    <li>• Rows with problems are shown so you can fix them before anything is uploaded.</li>
                   </ul>
                 </div>
               </div>
             )}
 
-            {uploadStep === 'validate' && (
-              <div className="text-center py-10">
-                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
-                <p className="mt-4 text-lg font-semibold text-gray-700">Validating File...</p>
-                <p className="text-sm text-gray-500">This may take a few moments as we process your data.</p>
-              </div>
-            )}
-
-            {uploadStep === 'confirm' && validationResults && (
+            {uploadStep === 'map' && sheet && (
               <div>
                 <div className="bg-gray-50 rounded-lg p-4 mb-4 flex items-center justify-between">
                   <div className="flex items-center">
                     <FiFile className="h-5 w-5 text-gray-400 mr-2" />
                     <span className="text-sm font-medium text-gray-900">{uploadedFile?.name}</span>
-                    {uploadedFile && <span className="ml-2 text-xs text-gray-500">{(uploadedFile.size / 1024).toFixed(1)} KB</span>}
+                    <span className="ml-2 text-xs text-gray-500">
+                      {sheet.rows.length} rows, {sheet.headers.length} columns
+                    </span>
                   </div>
                   <button onClick={resetUpload} className="text-red-500 hover:text-red-700 text-sm flex items-center">
                     <FiTrash2 className="mr-1 h-4 w-4" /> Start Over
                   </button>
                 </div>
 
-                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+                <h4 className="text-sm font-medium text-gray-800 mb-1 flex items-center">
+                  <FiColumns className="mr-2 h-4 w-4" /> Match your columns to learner and guardian fields
+                </h4>
+                <p className="text-sm text-gray-500 mb-4">
+                  We've matched the columns we recognised. Leave a field on "Not in this file" when your spreadsheet doesn't have it.
+                </p>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                  {Object.entries(IMPORT_FIELD_GROUPS).map(([group, groupLabel]) => (
+                    <div key={group} className="border border-gray-200 rounded-md">
+                      <div className="px-4 py-2 bg-gray-50 border-b border-gray-200 text-xs font-medium text-gray-500 uppercase">
+                        {groupLabel}
+                      </div>
+                      <div className="divide-y divide-gray-100">
+                        {IMPORT_FIELDS.filter(field => field.group === group).map(field => (
+                          <div key={field.key} className="px-4 py-2 flex items-center justify-between gap-3">
+                            <label htmlFor={`map-${field.key}`} className="text-sm text-gray-700 w-1/3">
+                              {field.label}
+                              {field.required && <span className="text-red-500"> *</span>}
+                            </label>
+                            <div className="flex-1 min-w-0">
+                              <select
+                                id={`map-${field.key}`}
+                                value={mapping[field.key] || ''}
+                                onChange={e => handleMappingChange(field.key, e.target.value)}
+                                className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-sm"
+                              >
+                                <option value="">Not in this file</option>
+                                {sheet.headers.map(header => (
+                                  <option key={header} value={header}>
+                                    {header}
+                                  </option>
+                                ))}
+                              </select>
+                              {mapping[field.key] && sampleValue(mapping[field.key]) && (
+                                <p className="mt-1 text-xs text-gray-400 truncate">e.g. {sampleValue(mapping[field.key])}</p>
+                              )}
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                {getSchoolAndUserInfo().schoolId && (
+                  <label className="mt-4 flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={saveMapping}
+                      onChange={e => setSaveMapping(e.target.checked)}
+                      className="mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    Remember this mapping for {schoolName || 'this school'}'s next upload
+                  </label>
+                )}
+
+                {mappingErrors.length > 0 && (
+                  <div className="mt-4 bg-red-50 border border-red-200 rounded-md p-3">
+                    {mappingErrors.map(error => (
+                      <p key={error} className="text-sm text-red-700 flex items-center">
+                        <FiAlertTriangle className="mr-1 h-4 w-4" /> {error}
+                      </p>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {uploadStep === 'review' && sheet && (
+              <div>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
                   <div className="bg-blue-50 rounded-lg p-3 text-center">
-                    <div className="text-2xl font-bold text-blue-600">{validationResults.totalRows}</div>
+                    <div className="text-2xl font-bold text-blue-600">{summary.total}</div>
                     <div className="text-xs text-blue-600">Total Rows</div>
                   </div>
                   <div className="bg-green-50 rounded-lg p-3 text-center">
-                    <div className="text-2xl font-bold text-green-600">{validationResults.validRows}</div>
+                    <div className="text-2xl font-bold text-green-600">{summary.ready}</div>
                     <div className="text-xs text-green-600">Ready to Upload</div>
                   </div>
                   <div className="bg-red-50 rounded-lg p-3 text-center">
-                    <div className="text-2xl font-bold text-red-600">{validationResults.invalidRows}</div>
-                    <div className="text-xs text-red-600">Invalid Rows</div>
+                    <div className="text-2xl font-bold text-red-600">{summary.withErrors}</div>
+                    <div className="text-xs text-red-600">Need Fixing</div>
                   </div>
                   <div className="bg-yellow-50 rounded-lg p-3 text-center">
-                    <div className="text-2xl font-bold text-yellow-600">{validationResults.duplicates}</div>
-                    <div className="text-xs text-yellow-600">Duplicates</div>
+                    <div className="text-2xl font-bold text-yellow-600">{summary.withWarnings}</div>
+                    <div className="text-xs text-yellow-600">With Warnings</div>
                   </div>
                 </div>
 
+                <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+                  <div className="inline-flex rounded-md shadow-sm">
+                    {[
+                      ['all', `All (${summary.total})`],
+                      ['errors', `Errors (${summary.withErrors})`],
+                      ['warnings', `Warnings (${summary.withWarnings})`]
+                    ].map(([filter, label], index) => (
+                      <button
+                        key={filter}
+                        type="button"
+                        onClick={() => handleFilterChange(filter)}
+                        className={`px-3 py-1.5 text-sm font-medium border border-gray-300 ${index === 0 ? 'rounded-l-md' : ''} ${index === 2 ? 'rounded-r-md' : '-ml-px'} ${
+                          rowFilter === filter ? 'bg-blue-50 text-blue-700 border-blue-300 z-10' : 'bg-white text-gray-700 hover:bg-gray-50'
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <button
+                      type="button"
+                      onClick={() => setUploadStep('map')}
+                      className="text-sm text-blue-600 hover:text-blue-800 flex items-center"
+                    >
+                      <FiColumns className="mr-1 h-4 w-4" /> Change Mapping
+                    </button>
+                    <button
+                      type="button"
+                      onClick={downloadErrorReport}
+                      disabled={summary.withErrors === 0 && summary.withWarnings === 0}
+                      className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <FiDownload className="mr-2 h-4 w-4" /> Download Error Report
+                    </button>
+                  </div>
+                </div>
+
+                <p className="text-sm text-gray-500 mb-2">
+                  Edit a cell to fix it; rows are checked again as you type. Rows that still have errors are not uploaded.
+                </p>
+
+                <div className="overflow-x-auto border border-gray-200 rounded-md">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Row</th>
+                        {gridFields.map(field => (
+                          <th key={field.key} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase whitespace-nowrap">
+                            {field.label}
+                          </th>
+                        ))}
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Problems</th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {pageRows.length > 0 ? (
+                        pageRows.map(result => {
+                          const fieldIssue = key => result.errors.find(issue => issue.field === key)
+                            ? 'border-red-400 bg-red-50'
+                            : result.warnings.find(issue => issue.field === key)
+                            ? 'border-yellow-400 bg-yellow-50'
+                            : 'border-gray-200';
+                          return (
+                            <tr key={result.rowNumber} className={result.errors.length > 0 ? 'bg-red-50/30' : ''}>
+                              <td className="px-3 py-2 text-sm text-gray-500 whitespace-nowrap">
+                                {result.errors.length > 0 ? (
+                                  <FiAlertTriangle className="inline mr-1 h-4 w-4 text-red-500" />
+                                ) : result.warnings.length > 0 ? (
+                                  <FiAlertTriangle className="inline mr-1 h-4 w-4 text-yellow-500" />
+                                ) : (
+                                  <FiCheck className="inline mr-1 h-4 w-4 text-green-500" />
+                                )}
+                                {result.rowNumber}
+                              </td>
+                              {gridFields.map(field => (
+                                <td key={field.key} className="px-2 py-1">
+                                  <input
+                                    type="text"
+                                    value={result.values[field.key]}
+                                    onChange={e => handleCellChange(result.rowNumber, field.key, e.target.value)}
+                                    aria-label={`${field.label}, row ${result.rowNumber}`}
+                                    className={`w-32 px-2 py-1 text-sm border rounded focus:ring-blue-500 focus:border-blue-500 ${fieldIssue(field.key)}`}
+                                  />
+                                </td>
+                              ))}
+                              <td className="px-3 py-2 text-xs min-w-[16rem]">
+                                {result.errors.map(issue => (
+                                  <p key={`e-${issue.field}-${issue.message}`} className="text-red-700">{issue.message}</p>
+                                ))}
+                                {result.warnings.map(issue => (
+                                  <p key={`w-${issue.field}-${issue.message}`} className="text-yellow-700">{issue.message}</p>
+                                ))}
+                              </td>
+                            </tr>
+                          );
+                        })
+                      ) : (
+                        <tr>
+                          <td colSpan={gridFields.length + 2} className="px-3 py-4 text-sm text-gray-500 text-center">
+                            {rowFilter === 'errors' ? 'No rows need fixing.' : rowFilter === 'warnings' ? 'No rows have warnings.' : 'No rows in this file.'}
+                          </td>
+                        </tr>
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+
+                {pageCount > 1 && (
+                  <div className="mt-3 flex items-center justify-end gap-2 text-sm text-gray-600">
+                    <button
+                      type="button"
+                      onClick={() => setPage(p => Math.max(0, p - 1))}
+                      disabled={page === 0}
+                      className="p-1 rounded hover:bg-gray-100 disabled:opacity-40"
+                      aria-label="Previous page"
+                    >
+                      <FiChevronLeft className="h-4 w-4" />
+                    </button>
+                    <span>
+                      Page {Math.min(page + 1, pageCount)} of {pageCount}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => setPage(p => Math.min(pageCount - 1, p + 1))}
+                      disabled={page >= pageCount - 1}
+                      className="p-1 rounded hover:bg-gray-100 disabled:opacity-40"
+                      aria-label="Next page"
+                    >
+                      <FiChevronRight className="h-4 w-4" />
+                    </button>
+                  </div>
+                )}
+
                 {errorStatus && (
-                  <p className="mt-4 mb-4 text-sm text-red-600 flex items-center justify-center">
+                  <p className="mt-4 text-sm text-red-600 flex items-center justify-center">
                     <FiAlertTriangle className="inline mr-1" /> {errorStatus}
                   </p>
                 )}
+              </div>
+            )}
 
-                {validationResults.errors.length > 0 && (
-                  <div className="mb-4">
-                    <h4 className="text-sm font-medium text-red-800 mb-2 flex items-center">
-                      <FiAlertTriangle className="mr-1 h-4 w-4" />
-                      Errors ({validationResults.errors.length})
-                    </h4>
-                    <div className="bg-red-50 border border-red-200 rounded-md p-3 max-h-32 overflow-y-auto">
-                      {validationResults.errors.map((error, index) => (
-                        <div key={index} className="text-sm text-red-700">
-                          <strong>Row {error.row}</strong>: {error.messages}
-                        </div>
-                      ))}
+            {uploadStep === 'changes' && preview && (
+              <div>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+                  {Object.values(IMPORT_ACTIONS).map(action => (
+                    <div key={action} className={`rounded-lg p-3 text-center ${ACTION_STYLES[action].card}`}>
+                      <div className="text-2xl font-bold">{preview.summary[action]}</div>
+                      <div className="text-xs">{ACTION_STYLES[action].label}</div>
                     </div>
-                  </div>
-                )}
+                  ))}
+                </div>
 
-                {validationResults.warnings.length > 0 && (
-                  <div className="mb-4">
-                    <h4 className="text-sm font-medium text-yellow-800 mb-2 flex items-center">
-                      <FiAlertTriangle className="mr-1 h-4 w-4" />
-                      Warnings ({validationResults.warnings.length})
-                    </h4>
-                    <div className="bg-yellow-50 border border-yellow-200 rounded-md p-3 max-h-32 overflow-y-auto">
-                      {validationResults.warnings.map((warning, index) => (
-                        <div key={index} className="text-sm text-yellow-700">
-                          <strong>Row {warning.row}</strong>: {warning.message}
-                        </div>
-                      ))}
-                    </div>
-                  </div>
-                )}
+                <div className="inline-flex rounded-md shadow-sm mb-3">
+                  {['all', ...Object.values(IMPORT_ACTIONS)].map((filter, index, filters) => (
+                    <button
+                      key={filter}
+                      type="button"
+                      onClick={() => handlePlanFilterChange(filter)}
+                      className={`px-3 py-1.5 text-sm font-medium border border-gray-300 ${index === 0 ? 'rounded-l-md' : '-ml-px'} ${index === filters.length - 1 ? 'rounded-r-md' : ''} ${
+                        planFilter === filter ? 'bg-blue-50 text-blue-700 border-blue-300 z-10' : 'bg-white text-gray-700 hover:bg-gray-50'
+                      }`}
+                    >
+                      {filter === 'all'
+                        ? `All (${preview.plan.length})`
+                        : `${ACTION_STYLES[filter].label} (${preview.summary[filter]})`}
+                    </button>
+                  ))}
+                </div>
 
-                <div className="mb-4">
-                  <h4 className="text-sm font-medium text-gray-800 mb-2">Preview (First 3 valid rows)</h4>
-                  <div className="overflow-x-auto border border-gray-200 rounded-md">
-                    <table className="min-w-full divide-y divide-gray-200">
-                      <thead className="bg-gray-50">
-                        <tr>
-                          <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
-                          <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Phone</th>
-                          <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">WhatsApp</th>
-                          <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Telegram</th>
-                          <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Parent</th>
-                        </tr>
-                      </thead>
-                      <tbody className="bg-white divide-y divide-gray-200">
-                        {validationResults.preview.length > 0 ? (
-                          validationResults.preview.map((row, index) => (
-                            <tr key={index}>
-                              <td className="px-3 py-2 text-sm text-gray-900">
-                                {row.firstName} {row.lastName}
-                              </td>
-                              <td className="px-3 py-2 text-sm text-gray-900">{row.phone || '-'}</td>
-                              <td className="px-3 py-2 text-sm text-gray-900">{row.whatsapp || '-'}</td>
-                              <td className="px-3 py-2 text-sm text-gray-900">{row.telegram || '-'}</td>
-                              <td className="px-3 py-2 text-sm text-gray-900">{row.parentName || '-'}</td>
-                            </tr>
-                          ))
-                        ) : (
-                          <tr>
-                            <td colSpan="5" className="px-3 py-4 text-sm text-gray-500 text-center">
-                              No valid rows to preview.
+                <p className="text-sm text-gray-500 mb-2">
+                  Nothing has been saved yet. Applying adds the new learners and updates the matched ones together;
+                  conflicts are skipped so you can resolve them in the file or the Learners table.
+                  {preview.invalidRows > 0 && ` ${preview.invalidRows} rows with errors are left out.`}
+                </p>
+
+                <div className="overflow-x-auto border border-gray-200 rounded-md">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Row</th>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Learner</th>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Change</th>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Details</th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {planPageRows.length > 0 ? (
+                        planPageRows.map(entry => (
+                          <tr key={entry.rowNumber}>
+                            <td className="px-3 py-2 text-sm text-gray-500 whitespace-nowrap">{entry.rowNumber}</td>
+                            <td className="px-3 py-2 text-sm text-gray-900 whitespace-nowrap">
+                              {entry.record.firstName} {entry.record.lastName}
+                              {entry.record.idNumber && <div className="text-xs text-gray-500">{entry.record.idNumber}</div>}
+                            </td>
+                            <td className="px-3 py-2 whitespace-nowrap">
+                              <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${ACTION_STYLES[entry.action].badge}`}>
+                                {ACTION_STYLES[entry.action].label}
+                              </span>
+                            </td>
+                            <td className="px-3 py-2 text-xs text-gray-700">
+                              {entry.action === IMPORT_ACTIONS.conflict && <p className="text-red-700">{entry.conflict}</p>}
+                              {entry.matchedBy && <p className="text-gray-500">{describeMatch(entry)}</p>}
+                              {Object.entries(entry.changes).map(([field, { from, to }]) => (
+                                <p key={field} className="flex flex-wrap items-center gap-1">
+                                  <span className="font-medium">{FIELD_LABELS[field] || field}:</span>
+                                  <span className="line-through text-gray-400">{from || 'empty'}</span>
+                                  <FiArrowRight className="h-3 w-3 text-gray-400" />
+                                  <span>{to}</span>
+                                </p>
+                              ))}
                             </td>
                           </tr>
-                        )}
-                      </tbody>
-                    </table>
-                  </div>
+                        ))
+                      ) : (
+                        <tr>
+                          <td colSpan={4} className="px-3 py-4 text-sm text-gray-500 text-center">
+                            No rows in this group.
+                          </td>
+                        </tr>
+                      )}
+                    </tbody>
+                  </table>
                 </div>
+
+                {planPageCount > 1 && (
+                  <div className="mt-3 flex items-center justify-end gap-2 text-sm text-gray-600">
+                    <button
+                      type="button"
+                      onClick={() => setPage(p => Math.max(0, p - 1))}
+                      disabled={page === 0}
+                      className="p-1 rounded hover:bg-gray-100 disabled:opacity-40"
+                      aria-label="Previous page"
+                    >
+                      <FiChevronLeft className="h-4 w-4" />
+                    </button>
+                    <span>
+                      Page {Math.min(page + 1, planPageCount)} of {planPageCount}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => setPage(p => Math.min(planPageCount - 1, p + 1))}
+                      disabled={page >= planPageCount - 1}
+                      className="p-1 rounded hover:bg-gray-100 disabled:opacity-40"
+                      aria-label="Next page"
+                    >
+                      <FiChevronRight className="h-4 w-4" />
+                    </button>
+                  </div>
+                )}
+
+                {errorStatus && (
+                  <p className="mt-4 text-sm text-red-600 flex items-center justify-center">
+                    <FiAlertTriangle className="inline mr-1" /> {errorStatus}
+                  </p>
+                )}
               </div>
             )}
 
-            {uploadStep === 'complete' && validationResults && (
+            {uploadStep === 'complete' && uploadResult && (
               <div className="text-center py-10">
                 <div className="mx-auto flex items-center justify-center h-12 w-12 rounded-full bg-green-100">
                   <FiCheck className="h-6 w-6 text-green-600" />
                 </div>
                 <h3 className="mt-4 text-lg font-medium text-gray-900">Upload Complete!</h3>
                 <p className="mt-2 text-sm text-gray-500">
-                  Successfully uploaded <strong>{validationResults.validRows || 0}</strong> learners to{' '}
+                  Added <strong>{uploadResult.create}</strong> and updated <strong>{uploadResult.update}</strong> learners in{' '}
                   <strong>{selectedGrade?.name || 'the selected grade'}</strong> for{' '}
                   <strong>{schoolName}</strong>.
                 </p>
-                {validationResults.duplicates > 0 && (
+                {uploadResult.unchanged > 0 && (
+                  <p className="mt-1 text-sm text-gray-500">
+                    <strong>{uploadResult.unchanged}</strong> learners were already up to date.
+                  </p>
+                )}
+                {uploadResult.conflict > 0 && (
                   <p className="mt-1 text-sm text-yellow-600">
-                    <strong>{validationResults.duplicates}</strong> learners were skipped (e.g.,
-                    duplicates).
+                    <strong>{uploadResult.conflict}</strong> conflicting rows were skipped.
                   </p>
                 )}
-                {validationResults.errors && validationResults.errors.length > 0 && (
+                {uploadResult.failedRows.length > 0 && (
+                  <div className="mt-1 text-sm text-red-600">
+                    <p>
+                      <strong>{uploadResult.failedRows.length}</strong> new learners could not be added:
+                    </p>
+                    <ul className="mt-1 max-h-32 overflow-y-auto">
+                      {uploadResult.failedRows.map(row => (
+                        <li key={row.rowNumber}>Row {row.rowNumber}: {row.message}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+                {uploadResult.notUploaded > 0 && (
                   <p className="mt-1 text-sm text-red-600">
-                    <strong>{validationResults.errors.length}</strong> rows had errors and were
-                    not uploaded.
+                    <strong>{uploadResult.notUploaded}</strong> rows had errors and were
+                    not uploaded.{' '}
+                    {uploadResult.notUploaded > 0 && (
+                      <button type="button" onClick={downloadErrorReport} className="underline hover:text-red-800">
+                        Download the error report
+                      </button>
+                    )}
                   </p>
                 )}
                 <div className="mt-6 bg-green-50 border border-green-200 rounded-md p-4 text-left">
                   <h4 className="text-sm font-medium text-green-800 mb-2">What happens next:</h4>
                   <ul className="text-sm text-green-700 space-y-1">
-                    <li>• Learners have been added to {schoolName}.</li>
+                    <li>• Learners have been added to or updated in {schoolName}.</li>
                     <li>• All records include school information ({schoolEmail}).</li>
                     <li>• Contact information (phone, WhatsApp, Telegram) has been captured for communication.</li>
                     <li>• You can now view and manage the new learners in the Learners table.</li>
-                    <li>• Student IDs have been automatically generated for new learners.</li>
                   </ul>
                 </div>
               </div>
@@ -641,21 +981,43 @@ const BulkUpload = ({ isOpen, onClose, selectedGrade, onUploadSuccess, schools }
               </button>
             )}
 
-            {uploadStep === 'confirm' && (
+            {uploadStep === 'map' && (
+              <>
+                <button
+                  type="button"
+                  onClick={handleConfirmMapping}
+                  className="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-blue-600 text-base font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors sm:ml-3 sm:w-auto sm:text-sm"
+                >
+                  Check {sheet?.rows.length || 0} Rows
+                </button>
+                <button
+                  type="button"
+                  onClick={resetUpload}
+                  className="mt-3 w-full inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-gray-700 hover:bg-gray-50 transition-colors sm:mt-0 sm:ml-3 sm:w-auto sm:text-sm"
+                >
+                  <FiTrash2 className="mr-2 h-4 w-4" />
+                  Start Over
+                </button>
+              </>
+            )}
+
+            {uploadStep === 'review' && (
               <>
                 <button
                   type="button"
-                  onClick={handleConfirmUpload}
-                  disabled={isProcessing || validationResults?.validRows === 0}
+                  onClick={handlePreviewUpload}
+                  disabled={isProcessing || summary.ready === 0}
                   className="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-blue-600 text-base font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors sm:ml-3 sm:w-auto sm:text-sm disabled:opacity-50 disabled:cursor-not-allowed"
                 >
                   {isProcessing ? (
                     <>
                       <FiLoader className="animate-spin -ml-1 mr-2 h-5 w-5 text-white" />
-                      Uploading...
+                      Checking...
                     </>
+                  ) : summary.withErrors > 0 ? (
+                    `Continue with ${summary.ready} Learners, Skip ${summary.withErrors}`
                   ) : (
-                    `Upload ${validationResults?.validRows || 0} Learners`
+                    `Continue with ${summary.ready} Learners`
                   )}
                 </button>
                 <button
@@ -670,6 +1032,35 @@ const BulkUpload = ({ isOpen, onClose, selectedGrade, onUploadSuccess, schools }
               </>
             )}
 
+            {uploadStep === 'changes' && preview && (
+              <>
+                <button
+                  type="button"
+                  onClick={handleApplyUpload}
+                  disabled={isProcessing || preview.summary.create + preview.summary.update === 0}
+                  className="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-blue-600 text-base font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors sm:ml-3 sm:w-auto sm:text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isProcessing ? (
+                    <>
+                      <FiLoader className="animate-spin -ml-1 mr-2 h-5 w-5 text-white" />
+                      Applying...
+                    </>
+                  ) : (
+                    `Add ${preview.summary.create}, Update ${preview.summary.update}`
+                  )}
+                </button>
+                <button
+                  type="button"
+                  onClick={handleBackToReview}
+                  disabled={isProcessing}
+                  className="mt-3 w-full inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-gray-700 hover:bg-gray-50 transition-colors sm:mt-0 sm:ml-3 sm:w-auto sm:text-sm"
+                >
+                  <FiChevronLeft className="mr-2 h-4 w-4" />
+                  Back to Rows
+                </button>
+              </>
+            )}
+
             {uploadStep === 'complete' && (
               <button
                 type="button"
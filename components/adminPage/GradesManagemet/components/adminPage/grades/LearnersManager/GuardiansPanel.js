@@ -0,0 +1,385 @@
+import React, { useState, useEffect } from 'react';
+import { FiUserPlus, FiUsers, FiHome, FiMail, FiPhone, FiTrash2, FiEdit, FiSlash, FiLoader, FiStar } from 'react-icons/fi';
+import {
+  GUARDIAN_RELATIONSHIPS,
+  CONTACT_RESTRICTIONS,
+  CONTACT_CHANNELS,
+  describeLink
+} from '../../../../services/learners/guardians';
+import { formatPhoneNumber } from '../../../../services/invitation/phoneNumbers';
+import { appApi } from '../../../../../services/api';
+
+const EMPTY_LINK = { relationship: 'mother', isPrimary: false, restriction: null, restrictionNote: '' };
+
+const inputClass = 'block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+const LinkFields = ({ link, errors, onChange }) => (
+  <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+    <div>
+      <label className="block text-xs font-medium text-gray-700 mb-1">Relationship</label>
+      <select value={link.relationship} onChange={e => onChange({ ...link, relationship: e.target.value })} className={inputClass}>
+        {GUARDIAN_RELATIONSHIPS.map(({ value, label }) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+      {errors.relationship && <p className="mt-1 text-xs text-red-600">{errors.relationship}</p>}
+    </div>
+    <div>
+      <label className="block text-xs font-medium text-gray-700 mb-1">Contact restriction</label>
+      <select
+        value={link.restriction || ''}
+        onChange={e => onChange({ ...link, restriction: e.target.value || null, isPrimary: e.target.value ? false : link.isPrimary })}
+        className={inputClass}
+      >
+        <option value="">None</option>
+        {Object.entries(CONTACT_RESTRICTIONS).map(([value, { label }]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+      {link.restriction && (
+        <p className="mt-1 text-xs text-gray-500">{CONTACT_RESTRICTIONS[link.restriction].description}</p>
+      )}
+    </div>
+    {link.restriction ? (
+      <div className="md:col-span-2">
+        <label className="block text-xs font-medium text-gray-700 mb-1">Reason (e.g. court order reference)</label>
+        <input
+          type="text"
+          value={link.restrictionNote || ''}
+          onChange={e => onChange({ ...link, restrictionNote: e.target.value })}
+          className={inputClass}
+        />
+      </div>
+    ) : (
+      <label className="flex items-center text-sm text-gray-700 md:col-span-2">
+        <input
+          type="checkbox"
+          checked={link.isPrimary}
+          onChange={e => onChange({ ...link, isPrimary: e.target.checked })}
+          className="h-4 w-4 text-blue-600 border-gray-300 rounded mr-2"
+        />
+        Primary contact for this learner
+      </label>
+    )}
+  </div>
+);
+
+const GuardiansPanel = ({ schoolId, learner }) => {
+  const learnerId = learner?._id || learner?.id;
+  const [guardians, setGuardians] = useState([]); // this learner's guardians
+  const [schoolGuardians, setSchoolGuardians] = useState([]); // everyone, for linking and households
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [form, setForm] = useState(null); // { source: 'new' | 'existing', guardian, guardianId, link, errors }
+  const [editing, setEditing] = useState(null); // { guardianId, link, errors }
+
+  const loadGuardians = async () => {
+    if (!schoolId || !learnerId) return;
+    setIsLoading(true);
+    try {
+      const [own, school] = await Promise.all([
+        appApi.get('guardians', { query: { schoolId, learnerId } }),
+        appApi.get('guardians', { query: { schoolId } })
+      ]);
+      setGuardians(own);
+      setSchoolGuardians(school);
+      setError('');
+    } catch (err) {
+      console.error('Error loading guardians:', err);
+      setError('Could not load guardians.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadGuardians();
+  }, [schoolId, learnerId]);
+
+  const send = async (method, path, options) => {
+    setIsSaving(true);
+    setError('');
+    try {
+      const data = await appApi.request(method, path, options);
+      await loadGuardians();
+      return { data };
+    } catch (err) {
+      if (err.status) return { errors: err.errors || {}, message: err.message };
+      console.error('Error saving guardian:', err);
+      return { message: 'Network error. Please try again.' };
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const linkOf = guardian => guardian.links.find(link => link.learnerId === String(learnerId));
+
+  const householdOf = guardian => schoolGuardians.filter(g => g.householdId === guardian.householdId && g._id !== guardian._id);
+
+  const startNew = () => {
+    // The learner record's parent details are the usual starting point
+    const parent = learner.parent_info || {};
+    const prefill = guardians.length === 0
+      ? {
+          name: learner.parentName || parent.name || '',
+          email: learner.parentEmail || parent.email || '',
+          phone: learner.parentPhone || parent.phone || '',
+          whatsapp: '',
+          preferredChannel: ''
+        }
+      : { name: '', email: '', phone: '', whatsapp: '', preferredChannel: '' };
+    setForm({ source: 'new', guardian: prefill, guardianId: '', link: { ...EMPTY_LINK, isPrimary: guardians.length === 0 }, errors: {} });
+  };
+
+  const saveForm = async () => {
+    const result = form.source === 'new'
+      ? await send('POST', 'guardians', { body: { schoolId, guardian: form.guardian, learnerId, link: form.link } })
+      : await send('PUT', 'guardians/links', { body: { schoolId, guardianId: form.guardianId, learnerId, ...form.link } });
+    if (result.data) setForm(null);
+    else {
+      setForm(prev => ({ ...prev, errors: result.errors || {} }));
+      setError(result.message);
+    }
+  };
+
+  const saveEdit = async () => {
+    const result = await send('PUT', 'guardians/links', { body: { schoolId, guardianId: editing.guardianId, learnerId, ...editing.link } });
+    if (result.data) setEditing(null);
+    else {
+      setEditing(prev => ({ ...prev, errors: result.errors || {} }));
+      setError(result.message);
+    }
+  };
+
+  const unlink = async guardian => {
+    if (!window.confirm(`Remove ${guardian.name} as a guardian of ${learner.firstName || learner.first_name}?`)) return;
+    const result = await send('DELETE', 'guardians/links', { query: { schoolId, guardianId: guardian._id, learnerId } });
+    if (result.message) setError(result.message);
+  };
+
+  const joinHousehold = async (guardian, otherId) => {
+    if (!otherId) return;
+    const result = await send('/api/guardians/households', 'POST', { schoolId, guardianIds: [otherId, guardian._id] });
+    if (result.message) setError(result.message);
+  };
+
+  const leaveHousehold = async guardian => {
+    const result = await send(
+      `/api/guardians/households?schoolId=${encodeURIComponent(schoolId)}&guardianId=${guardian._id}`,
+      'DELETE'
+    );
+    if (result.message) setError(result.message);
+  };
+
+  if (!schoolId || !learnerId) return null;
+
+  const unlinkedGuardians = schoolGuardians.filter(g => !guardians.some(own => own._id === g._id));
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="text-sm font-medium text-gray-900 flex items-center">
+          <FiUsers className="mr-2 h-4 w-4" /> Guardians
+        </h4>
+        {!form && (
+          <button
+            type="button"
+            onClick={startNew}
+            className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800"
+          >
+            <FiUserPlus className="mr-1 h-4 w-4" /> Add Guardian
+          </button>
+        )}
+      </div>
+
+      {error && <p className="mb-3 text-sm text-red-600">{error}</p>}
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500 flex items-center"><FiLoader className="animate-spin mr-2 h-4 w-4" /> Loading guardians...</p>
+      ) : guardians.length === 0 && !form ? (
+        <p className="text-sm text-gray-500">
+          No guardians are linked yet, so invitations can&apos;t reach this learner&apos;s family.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {guardians.map(guardian => {
+            const link = linkOf(guardian);
+            const household = householdOf(guardian);
+            return (
+              <li key={guardian._id} className="py-3">
+                <div className="flex items-start justify-between">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900 flex items-center">
+                      {guardian.name}
+                      {link?.isPrimary && <FiStar className="ml-1 h-3 w-3 text-yellow-500" title="Primary contact" />}
+                    </p>
+                    <p className={`text-xs ${link?.restriction ? 'text-red-600 flex items-center' : 'text-gray-500'}`}>
+                      {link?.restriction && <FiSlash className="mr-1 h-3 w-3" />}
+                      {link ? describeLink(link) : 'Guardian'}
+                      {link?.restrictionNote && ` (${link.restrictionNote})`}
+                    </p>
+                    <div className="mt-1 flex flex-wrap gap-x-4 text-xs text-gray-600">
+                      {guardian.email && <span className="flex items-center"><FiMail className="mr-1 h-3 w-3" />{guardian.email}</span>}
+                      {guardian.phone && <span className="flex items-center"><FiPhone className="mr-1 h-3 w-3" />{formatPhoneNumber(guardian.phone)}</span>}
+                      {guardian.whatsapp && guardian.whatsapp !== guardian.phone && (
+                        <span>WhatsApp {formatPhoneNumber(guardian.whatsapp)}</span>
+                      )}
+                      {guardian.preferredChannel && (
+                        <span>Prefers {CONTACT_CHANNELS.find(c => c.value === guardian.preferredChannel)?.label || guardian.preferredChannel}</span>
+                      )}
+                    </div>
+                    <div className="mt-1 flex items-center text-xs text-gray-500">
+                      <FiHome className="mr-1 h-3 w-3" />
+                      {household.length > 0 ? (
+                        <>
+                          Lives with {household.map(g => g.name).join(', ')}
+                          <button type="button" onClick={() => leaveHousehold(guardian)} disabled={isSaving} className="ml-2 text-blue-600 hover:text-blue-800">
+                            Separate
+                          </button>
+                        </>
+                      ) : (
+                        <select
+                          value=""
+                          onChange={e => joinHousehold(guardian, e.target.value)}
+                          disabled={isSaving}
+                          className="text-xs border border-gray-200 rounded px-1 py-0.5"
+                        >
+                          <option value="">Own household. Lives with...</option>
+                          {schoolGuardians.filter(g => g._id !== guardian._id).map(g => (
+                            <option key={g._id} value={g._id}>{g.name}</option>
+                          ))}
+                        </select>
+                      )}
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-2 ml-3">
+                    <button
+                      type="button"
+                      onClick={() => setEditing({ guardianId: guardian._id, link: { ...EMPTY_LINK, ...link }, errors: {} })}
+                      className="text-gray-400 hover:text-blue-600"
+                      aria-label={`Edit ${guardian.name}'s link`}
+                    >
+                      <FiEdit className="h-4 w-4" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => unlink(guardian)}
+                      disabled={isSaving}
+                      className="text-gray-400 hover:text-red-600"
+                      aria-label={`Remove ${guardian.name}`}
+                    >
+                      <FiTrash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+
+                {editing?.guardianId === guardian._id && (
+                  <div className="mt-3 bg-gray-50 rounded-md p-3">
+                    <LinkFields link={editing.link} errors={editing.errors} onChange={next => setEditing(prev => ({ ...prev, link: next }))} />
+                    <div className="mt-3 flex justify-end space-x-2">
+                      <button type="button" onClick={() => setEditing(null)} className="px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-md bg-white hover:bg-gray-50">
+                        Cancel
+                      </button>
+                      <button type="button" onClick={saveEdit} disabled={isSaving} className="px-3 py-1 text-sm text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50">
+                        Save
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {form && (
+        <div className="mt-3 bg-gray-50 rounded-md p-3 space-y-3">
+          <div className="inline-flex rounded-md border border-gray-300 overflow-hidden">
+            {[['new', 'New guardian'], ['existing', 'Existing guardian']].map(([source, label]) => (
+              <button
+                key={source}
+                type="button"
+                onClick={() => setForm(prev => ({ ...prev, source, errors: {} }))}
+                className={`px-3 py-1 text-sm ${form.source === source ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {form.source === 'new' ? (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              {[
+                ['name', 'Name', 'text'],
+                ['email', 'Email', 'email'],
+                ['phone', 'Phone', 'tel'],
+                ['whatsapp', 'WhatsApp', 'tel']
+              ].map(([field, label, type]) => (
+                <div key={field}>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">{label}</label>
+                  <input
+                    type={type}
+                    value={form.guardian[field]}
+                    onChange={e => setForm(prev => ({ ...prev, guardian: { ...prev.guardian, [field]: e.target.value } }))}
+                    className={inputClass}
+                  />
+                  {form.errors[field] && <p className="mt-1 text-xs text-red-600">{form.errors[field]}</p>}
+                </div>
+              ))}
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Preferred channel</label>
+                <select
+                  value={form.guardian.preferredChannel}
+                  onChange={e => setForm(prev => ({ ...prev, guardian: { ...prev.guardian, preferredChannel: e.target.value } }))}
+                  className={inputClass}
+                >
+                  <option value="">No preference</option>
+                  {CONTACT_CHANNELS.map(({ value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                {form.errors.preferredChannel && <p className="mt-1 text-xs text-red-600">{form.errors.preferredChannel}</p>}
+              </div>
+              {form.errors.contact && <p className="text-xs text-red-600 md:col-span-2">{form.errors.contact}</p>}
+            </div>
+          ) : (
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Guardian (e.g. of a brother or sister)</label>
+              <select
+                value={form.guardianId}
+                onChange={e => setForm(prev => ({ ...prev, guardianId: e.target.value }))}
+                className={inputClass}
+              >
+                <option value="">Choose a guardian...</option>
+                {unlinkedGuardians.map(g => (
+                  <option key={g._id} value={g._id}>
+                    {g.name}{g.phone ? ` (${formatPhoneNumber(g.phone)})` : g.email ? ` (${g.email})` : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <LinkFields link={form.link} errors={form.errors} onChange={next => setForm(prev => ({ ...prev, link: next }))} />
+
+          <div className="flex justify-end space-x-2">
+            <button type="button" onClick={() => setForm(null)} className="px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-md bg-white hover:bg-gray-50">
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={saveForm}
+              disabled={isSaving || (form.source === 'existing' && !form.guardianId)}
+              className="px-3 py-1 text-sm text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {isSaving ? 'Saving...' : 'Add Guardian'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GuardiansPanel;
@@ -1,10 +1,27 @@
 import React, { useState } from 'react';
 import { FiX, FiEdit, FiMail, FiPhone, FiUser, FiCalendar, FiMapPin, FiHeart, FiSave, FiTrash2 } from 'react-icons/fi';
+import { validatePhoneNumber, formatPhoneNumber, describePhoneNumber } from '../../../../services/invitation/phoneNumbers';
+import GuardiansPanel from './GuardiansPanel';
+
+const PHONE_FIELDS = ['phone', 'parentPhone'];
+
+// Shows what a number will be read as, or why it can't be used
+const PhoneHint = ({ value, error }) => {
+  if (error) return <p className="mt-1 text-xs text-red-600">{error}</p>;
+  if (!value) return null;
+  const { phone } = validatePhoneNumber(value);
+  return phone.isValid ? (
+    <p className={`mt-1 text-xs ${phone.canReceiveSms ? 'text-gray-500' : 'text-amber-600'}`}>
+      {formatPhoneNumber(phone.e164)} · {describePhoneNumber(phone)}
+    </p>
+  ) : null;
+};
 
-const LearnerDetail = ({ isOpen, onClose, learner }) => {
+const LearnerDetail = ({ isOpen, onClose, learner, schoolId }) => {
   const [isEditing, setIsEditing] = useState(false);
   const [editedLearner, setEditedLearner] = useState(learner || {});
   const [activeTab, setActiveTab] = useState('personal');
+  const [phoneErrors, setPhoneErrors] = useState({});
 
   // Update editedLearner when learner prop changes
   React.useEffect(() => {
@@ -18,14 +35,31 @@ const LearnerDetail = ({ isOpen, onClose, learner }) => {
       ...prev,
       [field]: value
     }));
+    if (phoneErrors[field]) {
+      setPhoneErrors(prev => ({ ...prev, [field]: null }));
+    }
   };
 
   const handleSave = async () => {
+    // Numbers are saved in E.164 so every send path reads them the same way
+    const errors = {};
+    const numbers = {};
+    PHONE_FIELDS.forEach(field => {
+      if (!editedLearner[field]) return;
+      const { isValid, error, phone } = validatePhoneNumber(editedLearner[field]);
+      if (isValid) numbers[field] = phone.e164;
+      else errors[field] = error;
+    });
+    setPhoneErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
     try {
+      const updated = { ...editedLearner, ...numbers };
+      setEditedLearner(updated);
       // Simulate API call
       await new Promise(resolve => setTimeout(resolve, 1000));
       
-      console.log('Updating learner:', editedLearner);
+      console.log('Updating learner:', updated);
       setIsEditing(false);
     } catch (error) {
       console.error('Error updating learner:', error);
@@ -34,6 +68,7 @@ const LearnerDetail = ({ isOpen, onClose, learner }) => {
 
   const handleCancel = () => {
     setEditedLearner(learner);
+    setPhoneErrors({});
     setIsEditing(false);
   };
 
@@ -299,15 +334,18 @@ const LearnerDetail = ({ isOpen, onClose, learner }) => {
                         Phone
                       </label>
                       {isEditing ? (
-                        <input
-                          type="tel"
-                          value={editedLearner.phone || ''}
-                          onChange={(e) => handleInputChange('phone', e.target.value)}
-                          className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
-                        />
+                        <>
+                          <input
+                            type="tel"
+                            value={editedLearner.phone || ''}
+                            onChange={(e) => handleInputChange('phone', e.target.value)}
+                            className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                          />
+                          <PhoneHint value={editedLearner.phone} error={phoneErrors.phone} />
+                        </>
                       ) : (
                         <div className="flex items-center">
-                          <p className="text-sm text-gray-900">{editedLearner.phone || 'N/A'}</p>
+                          <p className="text-sm text-gray-900">{editedLearner.phone ? formatPhoneNumber(editedLearner.phone) : 'N/A'}</p>
                           {editedLearner.phone && (
                             <a
                               href={`tel:${editedLearner.phone}`}
@@ -323,7 +361,7 @@ const LearnerDetail = ({ isOpen, onClose, learner }) => {
                 </div>
 
                 <div className="bg-blue-50 rounded-lg p-4">
-                  <h4 className="text-sm font-medium text-gray-900 mb-3">Parent/Guardian Contact</h4>
+                  <h4 className="text-sm font-medium text-gray-900 mb-3">Parent/Guardian Contact (learner record)</h4>
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -388,15 +426,18 @@ const LearnerDetail = ({ isOpen, onClose, learner }) => {
                         Parent Phone
                       </label>
                       {isEditing ? (
-                        <input
-                          type="tel"
-                          value={editedLearner.parentPhone || ''}
-                          onChange={(e) => handleInputChange('parentPhone', e.target.value)}
-                          className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
-                        />
+                        <>
+                          <input
+                            type="tel"
+                            value={editedLearner.parentPhone || ''}
+                            onChange={(e) => handleInputChange('parentPhone', e.target.value)}
+                            className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                          />
+                          <PhoneHint value={editedLearner.parentPhone} error={phoneErrors.parentPhone} />
+                        </>
                       ) : (
                         <div className="flex items-center">
-                          <p className="text-sm text-gray-900">{editedLearner.parentPhone || 'N/A'}</p>
+                          <p className="text-sm text-gray-900">{editedLearner.parentPhone ? formatPhoneNumber(editedLearner.parentPhone) : 'N/A'}</p>
                           {editedLearner.parentPhone && (
                             <a
                               href={`tel:${editedLearner.parentPhone}`}
@@ -410,6 +451,8 @@ const LearnerDetail = ({ isOpen, onClose, learner }) => {
                     </div>
                   </div>
                 </div>
+
+                <GuardiansPanel schoolId={schoolId} learner={learner} />
               </div>
             )}
 
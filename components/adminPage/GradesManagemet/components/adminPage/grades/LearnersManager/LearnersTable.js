@@ -1,8 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { FiEdit, FiTrash2, FiEye, FiMail, FiPhone, FiUser, FiCalendar, FiMoreVertical } from 'react-icons/fi';
-import axios from 'axios';
+import { railsApi, isCancelled } from '../../../../../services/api';
 
-const LearnersTable = ({ selectedGrade, onSelectLearner, onOpenInvitationModal }) => {
+const LearnersTable = ({ schoolId, selectedGrade, onSelectLearner, onOpenInvitationModal }) => {
   const [sortField, setSortField] = useState('name');
   const [sortDirection, setSortDirection] = useState('asc');
   const [selectedLearners, setSelectedLearners] = useState([]);
@@ -12,36 +12,37 @@ const LearnersTable = ({ selectedGrade, onSelectLearner, onOpenInvitationModal }
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  // Fetch learners from API
+  // Fetch the open school's learners; a newer page, sort or grade cancels the request in flight
   useEffect(() => {
+    if (!schoolId) return undefined;
+    const controller = new AbortController();
     const fetchLearners = async () => {
       try {
         setLoading(true);
-        let url = 'http://localhost:4000/api/v1/learners';
-        
-        if (selectedGrade) {
-          url = `http://localhost:4000/api/v1/grades/${selectedGrade.id}/learners`;
-        }
+        const path = selectedGrade ? `grades/${selectedGrade.id}/learners` : `schools/${schoolId}/learners`;
 
-        const response = await axios.get(url, {
-          params: {
+        const response = await railsApi.get(path, {
+          query: {
             page: currentPage,
             per_page: itemsPerPage,
             sort_by: sortField,
             sort_order: sortDirection
-          }
+          },
+          signal: controller.signal
         });
 
-        setLearners(response.data.data);
+        setLearners(response.data);
         setLoading(false);
       } catch (err) {
+        if (isCancelled(err)) return;
         setError(err.message);
         setLoading(false);
       }
     };
 
     fetchLearners();
-  }, [selectedGrade, currentPage, sortField, sortDirection]);
+    return () => controller.abort();
+  }, [schoolId, selectedGrade, currentPage, sortField, sortDirection]);
 
   const handleSort = (field) => {
     if (sortField === field) {
@@ -71,7 +72,7 @@ const LearnersTable = ({ selectedGrade, onSelectLearner, onOpenInvitationModal }
 
   const handleDeleteLearner = async (learnerId) => {
     try {
-      await axios.delete(`http://localhost:4000/api/v1/learners/${learnerId}`);
+      await railsApi.delete(`learners/${learnerId}`);
       setLearners(learners.filter(learner => learner.id !== learnerId));
     } catch (err) {
       setError(err.message);
@@ -82,7 +83,7 @@ const LearnersTable = ({ selectedGrade, onSelectLearner, onOpenInvitationModal }
     try {
       await Promise.all(
         selectedLearners.map(id => 
-          axios.delete(`http://localhost:4000/api/v1/learners/${id}`)
+          railsApi.delete(`learners/${id}`)
         )
       );
       setLearners(learners.filter(learner => !selectedLearners.includes(learner.id)));
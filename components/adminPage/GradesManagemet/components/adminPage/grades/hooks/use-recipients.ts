@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import axios from 'axios';
+import { appApi } from '../../../../../services/api';
 import { Learner, Grade } from '../shared/schema'; // Assuming these schemas exist
 import { RecipientInfo } from '../types/invitation'; // Assuming this type exists
 
@@ -23,14 +23,11 @@ export function useRecipients(schoolId?: string) {
       setError(null); // Clear previous errors
 
       try {
-        const [learnersResponse, gradesResponse] = await Promise.all([
-          axios.get<Learner[]>(`/api/learners?schoolId=${schoolId}`),
-          axios.get<Grade[]>(`/api/grades?schoolId=${schoolId}`)
+        const [fetchedLearners, fetchedGrades] = await Promise.all([
+          appApi.get<Learner[]>('learners', { query: { schoolId } }),
+          appApi.get<Grade[]>('grades', { query: { schoolId } })
         ]);
 
-        const fetchedLearners = learnersResponse.data;
-        const fetchedGrades = gradesResponse.data;
-
         // Transform learners data to recipient format
         const transformedRecipients: RecipientInfo[] = fetchedLearners.map(learner => ({
           id: learner.id,
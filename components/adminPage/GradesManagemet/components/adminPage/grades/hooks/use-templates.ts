@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import axios from 'axios';
+import { appApi } from '../../../../../services/api';
 import { InvitationTemplate } from '../shared/schema'; // Assuming InvitationTemplate schema exists
 
 export function useTemplates(schoolId?: string) {
@@ -20,8 +20,7 @@ export function useTemplates(schoolId?: string) {
       setError(null); // Clear previous errors
 
       try {
-        const response = await axios.get<InvitationTemplate[]>(`/api/templates?schoolId=${schoolId}`);
-        setData(response.data);
+        setData(await appApi.get<InvitationTemplate[]>('templates', { query: { schoolId } }));
       } catch (err) {
         console.error("Failed to fetch invitation templates:", err);
         setError(err as Error);
@@ -17,6 +17,8 @@ export { default as TemplateManager } from './components/adminPage/grades/Invita
 export { default as InvitationComposer } from './components/adminPage/grades/Invitations/InvitationComposer/InvitationComposer';
 export { default as StatusTracker } from './components/adminPage/grades/Invitations/StatusTracker';
 export { default as CreditSystem } from './components/adminPage/grades/Invitations/CreditSystem';
+export { default as OptOutManager } from './components/adminPage/grades/Invitations/OptOutManager';
+export { default as MessagingBudget } from './components/adminPage/grades/Invitations/MessagingBudget';
 
 // Navigation component
 export { default as GradesNavigation } from './components/adminPage/grades/sidebar/GradesNavigation';
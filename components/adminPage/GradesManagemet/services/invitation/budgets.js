@@ -0,0 +1,168 @@
+/**
+ * Budgets - Monthly messaging budgets and when a send needs a principal's approval
+ *
+ * A school can cap what it spends on messages each month, cap each admin's share of that,
+ * and set a threshold above which a single send is held for approval. A send that is over
+ * the threshold, or that would take the school or its sender past a cap, waits in
+ * pending approval until a principal approves or rejects it.
+ *
+ * Amounts are in rand, priced by the pricing module. Months run in South African time.
+ * Shared by the composer, which warns before sending, and the server, which enforces it.
+ */
+
+/** Share of a budget at which admins are warned */
+export const BUDGET_ALERT_RATIO = 0.8;
+
+/** Timezone budget months are counted in */
+export const BUDGET_TIME_ZONE = 'Africa/Johannesburg';
+
+/** Auth0 roles allowed to approve held sends and change budgets */
+export const SEND_APPROVER_ROLES = ['Principal'];
+
+export const APPROVAL_STATUSES = {
+  pending: 'pending',
+  approved: 'approved',
+  rejected: 'rejected'
+};
+
+export const EMPTY_BUDGET = {
+  monthlyLimit: null,
+  userLimit: null,
+  userLimits: {},
+  approvalThreshold: null,
+  alertEmails: []
+};
+
+/**
+ * Check whether a user may approve held sends and change budgets
+ * @param {Array} roles - Role names
+ * @returns {boolean} True for principals
+ */
+export const canApproveSends = (roles = []) => {
+  return roles.some(role => SEND_APPROVER_ROLES.includes(role));
+};
+
+/**
+ * Budget month a moment falls in
+ * @param {Date} date - The moment
+ * @returns {string} 'YYYY-MM'
+ */
+export const budgetMonth = (date = new Date()) => {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone: BUDGET_TIME_ZONE, year: 'numeric', month: '2-digit' })
+    .formatToParts(date);
+  const value = type => parts.find(part => part.type === type)?.value;
+  return `${value('year')}-${value('month')}`;
+};
+
+/**
+ * Read a limit; blank or missing means no limit
+ * @param {*} value - Limit as stored or entered
+ * @returns {number|null} Limit in rand, null for none, or NaN when it isn't an amount
+ */
+export const parseLimit = (value) => {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const limit = Number(value);
+  return Number.isFinite(limit) && limit >= 0 ? limit : NaN;
+};
+
+/**
+ * Cap that applies to one admin
+ * @param {Object} budget - School budget settings
+ * @param {string|null} userId - Admin's user ID
+ * @returns {number|null} Limit in rand, or null for none
+ */
+export const userLimitFor = (budget, userId) => {
+  const override = userId ? budget.userLimits?.[userId] : undefined;
+  return override !== undefined && override !== null ? override : budget.userLimit ?? null;
+};
+
+/**
+ * Validate budget settings from the budget form
+ * @param {Object} settings - { monthlyLimit, userLimit, userLimits, approvalThreshold, alertEmails }
+ * @returns {Object} { isValid, errors, budget } - budget is normalised when valid
+ */
+export const validateBudget = (settings = {}) => {
+  const errors = {};
+  const budget = {
+    monthlyLimit: parseLimit(settings.monthlyLimit),
+    userLimit: parseLimit(settings.userLimit),
+    approvalThreshold: parseLimit(settings.approvalThreshold),
+    userLimits: {},
+    alertEmails: (settings.alertEmails || []).map(email => String(email).trim()).filter(Boolean)
+  };
+
+  ['monthlyLimit', 'userLimit', 'approvalThreshold'].forEach(field => {
+    if (Number.isNaN(budget[field])) errors[field] = 'Enter an amount in rand, or leave blank for no limit';
+  });
+  Object.entries(settings.userLimits || {}).forEach(([userId, value]) => {
+    const limit = parseLimit(value);
+    if (Number.isNaN(limit)) {
+      errors.userLimits = 'Each admin limit must be an amount in rand, or blank';
+    } else if (limit !== null) {
+      budget.userLimits[userId] = limit;
+    }
+  });
+  if (budget.alertEmails.some(email => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email))) {
+    errors.alertEmails = 'Enter valid email addresses for budget alerts';
+  }
+
+  return { isValid: Object.keys(errors).length === 0, errors, budget };
+};
+
+/**
+ * Work out whether a send fits the budget
+ * @param {Object} params
+ * @param {number} params.cost - What the send costs, in rand
+ * @param {Object} params.budget - School budget settings
+ * @param {Object} params.usage - { spent, userSpent } so far this month
+ * @param {string|null} params.userId - Admin sending
+ * @returns {Object} { cost, requiresApproval, reasons, school, user } where school and user
+ *   are { limit, spent, after } for the month
+ */
+export const evaluateBudget = ({ cost, budget = EMPTY_BUDGET, usage = {}, userId = null }) => {
+  const reasons = [];
+  const school = { limit: budget.monthlyLimit ?? null, spent: usage.spent || 0 };
+  const user = { limit: userLimitFor(budget, userId), spent: usage.userSpent || 0 };
+  school.after = school.spent + cost;
+  user.after = user.spent + cost;
+
+  if (budget.approvalThreshold !== null && budget.approvalThreshold !== undefined && cost > budget.approvalThreshold) {
+    reasons.push(`This send costs R${cost.toFixed(2)}, above the R${budget.approvalThreshold.toFixed(2)} approval threshold`);
+  }
+  if (school.limit !== null && school.after > school.limit) {
+    reasons.push(`It would take the school to R${school.after.toFixed(2)} of its R${school.limit.toFixed(2)} monthly budget`);
+  }
+  if (user.limit !== null && user.after > user.limit) {
+    reasons.push(`It would take the sender to R${user.after.toFixed(2)} of their R${user.limit.toFixed(2)} monthly budget`);
+  }
+
+  return { cost, requiresApproval: reasons.length > 0, reasons, school, user };
+};
+
+/**
+ * Share of a budget used
+ * @param {number} spent - Spent this month
+ * @param {number|null} limit - Budget, or null for none
+ * @returns {number|null} Ratio, or null when there is no budget
+ */
+export const budgetRatio = (spent, limit) => {
+  if (limit === null || limit === undefined) return null;
+  return limit > 0 ? spent / limit : (spent > 0 ? Infinity : 0);
+};
+
+const Budgets = {
+  BUDGET_ALERT_RATIO,
+  BUDGET_TIME_ZONE,
+  SEND_APPROVER_ROLES,
+  APPROVAL_STATUSES,
+  EMPTY_BUDGET,
+  canApproveSends,
+  budgetMonth,
+  parseLimit,
+  userLimitFor,
+  validateBudget,
+  evaluateBudget,
+  budgetRatio
+};
+
+export default Budgets;
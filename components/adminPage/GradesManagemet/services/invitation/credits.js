@@ -0,0 +1,70 @@
+/**
+ * Credits - The credit packages schools buy and what queued deliveries hold
+ *
+ * Each delivery is charged the credits its price works out to (see pricing).
+ * Credits are reserved when an invitation is queued, captured once the provider accepts
+ * the message and refunded when it can't be delivered. Shared by the composer, which
+ * refuses sends the balance can't cover, and the credit ledger on the server.
+ */
+
+/**
+ * Packages schools can buy; the server charges these prices whatever the browser sends
+ */
+export const CREDIT_PACKAGES = [
+  {
+    id: 'starter',
+    name: 'Starter Pack',
+    credits: 100,
+    price: 29.99,
+    pricePerCredit: 0.30,
+    popular: false,
+    description: 'Perfect for small schools'
+  },
+  {
+    id: 'professional',
+    name: 'Professional Pack',
+    credits: 500,
+    price: 99.99,
+    pricePerCredit: 0.20,
+    popular: true,
+    description: 'Most popular choice'
+  },
+  {
+    id: 'enterprise',
+    name: 'Enterprise Pack',
+    credits: 1000,
+    price: 149.99,
+    pricePerCredit: 0.15,
+    popular: false,
+    description: 'Best value for large schools'
+  }
+];
+
+/**
+ * Look up a credit package
+ * @param {string} id - Package ID
+ * @returns {Object|null} The package, or null when unknown
+ */
+export const findCreditPackage = (id) => {
+  return CREDIT_PACKAGES.find(pkg => pkg.id === id) || null;
+};
+
+/**
+ * Credits needed for deliveries that are still to be sent
+ * Fallback steps on standby count too: they are paid for up front and refunded if unused.
+ * @param {Array} deliveries - Delivery records priced by priceDeliveries
+ * @returns {number} Credits required
+ */
+export const creditsForDeliveries = (deliveries = []) => {
+  return deliveries
+    .filter(delivery => delivery.status === 'pending' || delivery.status === 'standby')
+    .reduce((sum, delivery) => sum + (delivery.credits || 0), 0);
+};
+
+const Credits = {
+  CREDIT_PACKAGES,
+  findCreditPackage,
+  creditsForDeliveries
+};
+
+export default Credits;
@@ -0,0 +1,86 @@
+/**
+ * DeliveryContent - Where a delivery goes and what it says
+ *
+ * Shared by the delivery pipeline, which sends the message, and the pricing module,
+ * which has to price exactly the text that will be sent.
+ */
+
+import { selectTranslation } from './languages';
+import { validatePhoneNumber } from './phoneNumbers';
+
+/**
+ * Check the address a recipient is reached on for a channel
+ * Phone numbers are sent in E.164; landlines and numbers that don't parse are refused.
+ * @param {Object} recipient - Recipient data
+ * @param {string} channel - Channel ID
+ * @returns {Object} { to, error } - to is null, with the reason in error, when it can't be used
+ */
+export const checkAddress = (recipient, channel) => {
+  const missing = { to: null, error: `Recipient has no ${channel} address` };
+  switch (channel) {
+    case 'email':
+      return recipient.email ? { to: recipient.email, error: null } : missing;
+    case 'sms':
+    case 'whatsapp': {
+      const number = channel === 'whatsapp' ? recipient.whatsapp || recipient.phone : recipient.phone;
+      if (!number) return missing;
+      const { isValid, error, phone } = validatePhoneNumber(number, { channel });
+      return isValid ? { to: phone.e164, error: null } : { to: null, error };
+    }
+    default:
+      return missing;
+  }
+};
+
+/**
+ * Resolve the address a recipient is reached on for a channel
+ * @param {Object} recipient - Recipient data
+ * @param {string} channel - Channel ID
+ * @returns {string|null} Address, or null when the recipient has none that can be used
+ */
+export const resolveAddress = (recipient, channel) => checkAddress(recipient, channel).to;
+
+/**
+ * Values a template can use for one recipient
+ * Invitation-wide variables (schoolName, eventDate...) are overridden by recipient fields,
+ * and the names used by the built-in templates are provided as aliases.
+ * @param {Object} invitation - Invitation
+ * @param {Object} recipient - Recipient data
+ * @returns {Object} Template data
+ */
+export const buildTemplateContext = (invitation, recipient) => ({
+  ...invitation.variables,
+  ...recipient,
+  parentName: recipient.name,
+  parent_name: recipient.name,
+  learnerName: recipient.studentName,
+  siblings: recipient.siblings || []
+});
+
+/**
+ * Pick the subject and message template a recipient is sent on a channel
+ * Per-channel wording is written in the school default, so translations replace it.
+ * @param {Object} invitation - Invitation
+ * @param {Object} recipient - Recipient data
+ * @param {string} channel - Channel ID
+ * @returns {Object} { language, subject, message } templates, not yet rendered
+ */
+export const selectDeliveryMessage = (invitation, recipient, channel) => {
+  const translation = selectTranslation(invitation, recipient);
+  return {
+    language: translation.language,
+    subject: translation.subject,
+    message: translation.isTranslation
+      ? translation.message
+      : invitation.content?.[channel] || invitation.message
+  };
+};
+
+const DeliveryContent = {
+  checkAddress,
+  resolveAddress,
+  buildTemplateContext,
+  selectDeliveryMessage
+};
+
+export default DeliveryContent;
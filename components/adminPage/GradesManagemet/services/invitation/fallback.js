@@ -0,0 +1,169 @@
+/**
+ * Fallback - Per-guardian channel cascades
+ *
+ * An invitation with a fallback tries its channels one at a time for each guardian. The
+ * first step goes out straight away; each later step is sent only when the step before it
+ * failed, or was not delivered within the later step's wait (two hours by default). Steps
+ * the guardian has no address for, or opted out of, are passed over. A guardian whose
+ * WhatsApp number can't take SMS (or the reverse) is still reached, and is contacted on
+ * the next channel only when the last one didn't get through.
+ *
+ * Credits are reserved for every step when the invitation is queued, so the cascade can't
+ * stall for lack of credits; steps that turn out not to be needed are refunded.
+ * Shared by ChannelSelector, which builds the cascade, the delivery pipeline, which runs
+ * it, and the status tracker.
+ */
+
+/** Waits offered between steps, in minutes */
+export const FALLBACK_WAIT_OPTIONS = [30, 60, 120, 240, 720, 1440];
+
+export const DEFAULT_FALLBACK_WAIT_MINUTES = 120;
+
+/** Longest wait accepted between steps: three days */
+export const MAX_FALLBACK_WAIT_MINUTES = 72 * 60;
+
+/** Delivery statuses that end a cascade because the guardian has the message */
+export const FALLBACK_CONFIRMED_STATUSES = ['delivered', 'read'];
+
+/**
+ * Statuses of steps that are not being sent: waiting on an earlier step, or no longer
+ * needed because an earlier step was delivered
+ */
+export const FALLBACK_STATUSES = {
+  standby: 'standby',
+  notNeeded: 'not_needed'
+};
+
+const CHANNEL_NAMES = {
+  whatsapp: 'WhatsApp',
+  sms: 'SMS',
+  email: 'Email'
+};
+
+/**
+ * Describe a wait the way the picker shows it
+ * @param {number} minutes - Wait in minutes
+ * @returns {string} e.g. '30 minutes', '2 hours', '1 day'
+ */
+export const formatFallbackWait = (minutes) => {
+  if (minutes % 1440 === 0) return `${minutes / 1440} day${minutes === 1440 ? '' : 's'}`;
+  if (minutes % 60 === 0) return `${minutes / 60} hour${minutes === 60 ? '' : 's'}`;
+  return `${minutes} minutes`;
+};
+
+/**
+ * Build a cascade from channels in the order they should be tried
+ * Waits already chosen for a channel are kept when the order changes.
+ * @param {Array} channels - Channel IDs, first choice first
+ * @param {Array} previous - Current cascade, if any
+ * @returns {Array} Steps: [{ channel, waitMinutes }]; the first step's wait is 0
+ */
+export const buildFallback = (channels = [], previous = []) => channels.map((channel, index) => ({
+  channel,
+  waitMinutes: index === 0
+    ? 0
+    : previous.find(step => step.channel === channel && step.waitMinutes > 0)?.waitMinutes || DEFAULT_FALLBACK_WAIT_MINUTES
+}));
+
+/**
+ * Validate a cascade received from the composer
+ * @param {Array} fallback - Steps as built by buildFallback
+ * @param {Array} supportedChannels - Channels the pipeline can send on
+ * @returns {Object} { isValid, error, fallback } - fallback is normalised when valid
+ */
+export const validateFallback = (fallback, supportedChannels = Object.keys(CHANNEL_NAMES)) => {
+  if (!Array.isArray(fallback) || fallback.length < 2) {
+    return { isValid: false, error: 'A fallback needs at least two channels', fallback: null };
+  }
+
+  const channels = fallback.map(step => step?.channel);
+  if (channels.some(channel => !supportedChannels.includes(channel))) {
+    return { isValid: false, error: 'The fallback includes an unsupported channel', fallback: null };
+  }
+  if (new Set(channels).size !== channels.length) {
+    return { isValid: false, error: 'Each channel can appear in the fallback only once', fallback: null };
+  }
+
+  const waits = fallback.slice(1).map(step => Number(step.waitMinutes));
+  if (waits.some(wait => !Number.isInteger(wait) || wait < 1 || wait > MAX_FALLBACK_WAIT_MINUTES)) {
+    return {
+      isValid: false,
+      error: `Wait between 1 minute and ${formatFallbackWait(MAX_FALLBACK_WAIT_MINUTES)} before each fallback step`,
+      fallback: null
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    fallback: channels.map((channel, index) => ({ channel, waitMinutes: index === 0 ? 0 : waits[index - 1] }))
+  };
+};
+
+/**
+ * Describe a cascade in one line
+ * @param {Array} fallback - Steps
+ * @returns {string} e.g. 'WhatsApp, then SMS if not delivered within 2 hours'
+ */
+export const describeFallback = (fallback = []) => fallback
+  .map((step, index) => (index === 0
+    ? CHANNEL_NAMES[step.channel] || step.channel
+    : `then ${CHANNEL_NAMES[step.channel] || step.channel} if not delivered within ${formatFallbackWait(step.waitMinutes)}`))
+  .join(', ');
+
+/**
+ * Hold back every step of each guardian's cascade but the first one that can be sent
+ * @param {Array} deliveries - Deliveries of one invitation, with cascadeStep set
+ * @returns {Array} Deliveries, later steps in standby
+ */
+export const holdFallbackSteps = (deliveries) => {
+  const isStep = delivery => delivery.cascadeStep !== null && delivery.cascadeStep !== undefined;
+  const firstSteps = new Map();
+  deliveries.filter(d => isStep(d) && d.status === 'pending').forEach(delivery => {
+    const first = firstSteps.get(delivery.recipientId);
+    if (first === undefined || delivery.cascadeStep < first) {
+      firstSteps.set(delivery.recipientId, delivery.cascadeStep);
+    }
+  });
+
+  return deliveries.map(delivery => (
+    isStep(delivery) && delivery.status === 'pending' && delivery.cascadeStep !== firstSteps.get(delivery.recipientId)
+      ? { ...delivery, status: FALLBACK_STATUSES.standby }
+      : delivery
+  ));
+};
+
+/**
+ * Find the step of a guardian's cascade that carried the message
+ * @param {Array} channels - Steps as the tracker lists them: [{ type, status, cascadeStep }]
+ * @returns {Object|null} { channel, step, confirmed } - the delivered step, else the step
+ *   still in flight; null when no step got out
+ */
+export const resolveFallbackStep = (channels = []) => {
+  const steps = channels
+    .filter(channel => channel.cascadeStep !== null && channel.cascadeStep !== undefined)
+    .sort((a, b) => a.cascadeStep - b.cascadeStep);
+
+  const delivered = steps.find(step => FALLBACK_CONFIRMED_STATUSES.includes(step.status));
+  if (delivered) {
+    return { channel: delivered.type, step: delivered.cascadeStep, confirmed: true };
+  }
+  const inFlight = [...steps].reverse().find(step => step.status === 'sent' || step.status === 'pending');
+  return inFlight ? { channel: inFlight.type, step: inFlight.cascadeStep, confirmed: false } : null;
+};
+
+const Fallback = {
+  FALLBACK_WAIT_OPTIONS,
+  DEFAULT_FALLBACK_WAIT_MINUTES,
+  MAX_FALLBACK_WAIT_MINUTES,
+  FALLBACK_CONFIRMED_STATUSES,
+  FALLBACK_STATUSES,
+  formatFallbackWait,
+  buildFallback,
+  validateFallback,
+  describeFallback,
+  holdFallbackSteps,
+  resolveFallbackStep
+};
+
+export default Fallback;
@@ -5,6 +5,17 @@
 
 export { default as invitationService } from './invitationService';
 export { default as InvitationValidation } from './invitationValidation';
+export { default as TemplateEngine } from './templateEngine';
+export { default as TemplateWorkflow } from './templateWorkflow';
+export { default as Languages } from './languages';
+export { default as Credits } from './credits';
+export { default as DeliveryContent } from './deliveryContent';
+export { default as Pricing } from './pricing';
+export { default as Budgets } from './budgets';
+export { default as Fallback } from './fallback';
+export { default as PhoneNumbers } from './phoneNumbers';
+export { default as Segments } from './segments';
+export { default as Rsvp } from './rsvp';
 
 // Re-export the singleton instance for convenience
 export { invitationService as default } from './invitationService';
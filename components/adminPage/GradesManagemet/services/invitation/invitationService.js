@@ -3,55 +3,198 @@
  * This service abstracts the backend communication for invitation operations
  */
 
-const API_BASE_URL = process.env.REACT_APP_API_URL || '/api';
+import { appApi } from '../../../services/api';
 
 class InvitationService {
   /**
    * Get available recipients for a specific grade
    * @param {string} gradeId - The grade ID
-   * @returns {Promise<Array>} List of available recipients
+   * @param {Object} options
+   * @param {string} options.schoolId - The school ID
+   * @param {string} options.mode - 'household' for one message per household, 'learner' for one per learner
+   * @returns {Promise<Object>} { recipients, unreachable } - unreachable learners have no guardian who may be contacted
    */
-  async getAvailableRecipients(gradeId) {
+  async getAvailableRecipients(gradeId, { schoolId, mode = 'household' } = {}) {
     try {
-      const response = await fetch(`${API_BASE_URL}/grades/${gradeId}/recipients`);
-      if (!response.ok) {
-        throw new Error('Failed to fetch recipients');
-      }
-      return await response.json();
+      return await appApi.get(`grades/${gradeId}/recipients`, { query: { schoolId, mode } });
     } catch (error) {
       console.error('Error fetching recipients:', error);
       throw error;
     }
   }
 
+  /**
+   * Link guardians from the roster's parent details for learners who have none
+   * @param {string} schoolId - The school ID
+   * @param {string|null} gradeId - Only this grade's learners
+   * @returns {Promise<Object>} { linked } - links created
+   */
+  async syncGuardians(schoolId, gradeId = null) {
+    try {
+      return await appApi.post('guardians/sync', { schoolId, gradeId });
+    } catch (error) {
+      console.error('Error syncing guardians:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get what recipient segments are matched against
+   * @param {string} schoolId - The school ID
+   * @returns {Promise<Object>} { learners, guardians, responses, languages }, see matchSegment
+   */
+  async getSegmentAudience(schoolId) {
+    try {
+      return await appApi.get('invitation-segments/audience', { query: { schoolId } });
+    } catch (error) {
+      console.error('Error fetching segment audience:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a school's saved recipient segments
+   * @param {string} schoolId - The school ID
+   * @returns {Promise<Array>} Segments, by name
+   */
+  async getSegments(schoolId) {
+    try {
+      return await appApi.get('invitation-segments', { query: { schoolId } });
+    } catch (error) {
+      console.error('Error fetching segments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a recipient segment
+   * @param {Object} segmentData - { schoolId, name, rules }; with _id an existing segment is changed
+   * @returns {Promise<Object>} The saved segment
+   */
+  async saveSegment({ _id, ...segmentData }) {
+    try {
+      return _id
+        ? await appApi.put(`invitation-segments/${_id}`, segmentData)
+        : await appApi.post('invitation-segments', segmentData);
+    } catch (error) {
+      console.error('Error saving segment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a saved recipient segment
+   * @param {string} segmentId - Segment ID
+   * @param {string} schoolId - The school ID
+   * @returns {Promise<void>}
+   */
+  async deleteSegment(segmentId, schoolId) {
+    try {
+      await appApi.delete(`invitation-segments/${segmentId}`, { query: { schoolId } });
+    } catch (error) {
+      console.error('Error deleting segment:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get invitation templates
+   * @param {string} schoolId - The school ID
+   * @param {Object} options
+   * @param {boolean} options.approvedOnly - Only the approved version of each template
    * @returns {Promise<Array>} List of available templates
    */
-  async getInvitationTemplates() {
+  async getInvitationTemplates(schoolId, { approvedOnly = false } = {}) {
     try {
-      const response = await fetch(`${API_BASE_URL}/invitation-templates`);
-      if (!response.ok) {
-        throw new Error('Failed to fetch templates');
-      }
-      return await response.json();
+      return await appApi.get('invitation-templates', { query: { schoolId, approved: approvedOnly || undefined } });
     } catch (error) {
       console.error('Error fetching templates:', error);
       throw error;
     }
   }
 
+  /**
+   * Get a template with all its versions and audit trail
+   * @param {string} templateId - Template ID
+   * @returns {Promise<Object>} Template with versions and audit
+   */
+  async getTemplateHistory(templateId) {
+    try {
+      return await appApi.get(`invitation-templates/${templateId}`);
+    } catch (error) {
+      console.error('Error fetching template history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a template; its first version starts as a draft
+   * @param {Object} templateData - { schoolId, name, subject, content, type, channels }
+   * @returns {Promise<Object>} The created template
+   */
+  async createTemplate(templateData) {
+    try {
+      return await appApi.post('invitation-templates', templateData);
+    } catch (error) {
+      console.error('Error creating template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save an edit as a new draft version of a template
+   * @param {string} templateId - Template ID
+   * @param {Object} templateData - { name, subject, content, type, channels }
+   * @returns {Promise<Object>} The new version
+   */
+  async saveTemplateVersion(templateId, templateData) {
+    try {
+      return await appApi.put(`invitation-templates/${templateId}`, templateData);
+    } catch (error) {
+      console.error('Error saving template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Submit, approve or reject a template version
+   * @param {string} templateId - Template ID
+   * @param {number} version - Version number
+   * @param {string} action - 'submit', 'approve' or 'reject'
+   * @param {string} note - Reviewer comment
+   * @returns {Promise<Object>} The updated version
+   */
+  async updateTemplateStatus(templateId, version, action, note = null) {
+    try {
+      return await appApi.post(`invitation-templates/${templateId}/workflow`, { version, action, note });
+    } catch (error) {
+      console.error(`Error trying to ${action} template:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Archive a template; its versions stay in the audit trail
+   * @param {string} templateId - Template ID
+   * @param {string} schoolId - The school ID
+   * @returns {Promise<void>}
+   */
+  async deleteTemplate(templateId, schoolId) {
+    try {
+      await appApi.delete(`invitation-templates/${templateId}`, { query: { schoolId } });
+    } catch (error) {
+      console.error('Error deleting template:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get available variables for message personalization
    * @returns {Promise<Array>} List of available variables
    */
   async getAvailableVariables() {
     try {
-      const response = await fetch(`${API_BASE_URL}/invitation-variables`);
-      if (!response.ok) {
-        throw new Error('Failed to fetch variables');
-      }
-      return await response.json();
+      return await appApi.get('invitation-variables');
     } catch (error) {
       console.error('Error fetching variables:', error);
       // Return default variables if API fails
@@ -65,11 +208,7 @@ class InvitationService {
    */
   async getSampleRecipient() {
     try {
-      const response = await fetch(`${API_BASE_URL}/sample-recipient`);
-      if (!response.ok) {
-        throw new Error('Failed to fetch sample recipient');
-      }
-      return await response.json();
+      return await appApi.get('sample-recipient');
     } catch (error) {
       console.error('Error fetching sample recipient:', error);
       // Return default sample data
@@ -92,20 +231,7 @@ class InvitationService {
    */
   async sendInvitation(invitationData) {
     try {
-      const response = await fetch(`${API_BASE_URL}/invitations/send`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(invitationData)
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'Failed to send invitation');
-      }
-
-      return await response.json();
+      return await appApi.post('invitations/send', invitationData);
     } catch (error) {
       console.error('Error sending invitation:', error);
       throw error;
@@ -119,26 +245,28 @@ class InvitationService {
    */
   async scheduleInvitation(invitationData) {
     try {
-      const response = await fetch(`${API_BASE_URL}/invitations/schedule`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(invitationData)
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'Failed to schedule invitation');
-      }
-
-      return await response.json();
+      return await appApi.post('invitations/schedule', invitationData);
     } catch (error) {
       console.error('Error scheduling invitation:', error);
       throw error;
     }
   }
 
+  /**
+   * Send or schedule an invitation depending on the chosen send options
+   * @param {Object} invitationData - The invitation data merged with send options
+   * @returns {Promise<Object>} Send or schedule result
+   */
+  async bulkSendInvitations(invitationData) {
+    if (invitationData.immediately === false) {
+      return this.scheduleInvitation({
+        ...invitationData,
+        timezone: invitationData.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone
+      });
+    }
+    return this.sendInvitation(invitationData);
+  }
+
   /**
    * Save invitation as draft
    * @param {Object} draftData - The draft invitation data
@@ -146,20 +274,7 @@ class InvitationService {
    */
   async saveDraft(draftData) {
     try {
-      const response = await fetch(`${API_BASE_URL}/invitations/drafts`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(draftData)
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'Failed to save draft');
-      }
-
-      return await response.json();
+      return await appApi.post('invitations/drafts', draftData);
     } catch (error) {
       console.error('Error saving draft:', error);
       throw error;
@@ -173,20 +288,7 @@ class InvitationService {
    */
   async sendTestInvitation(testData) {
     try {
-      const response = await fetch(`${API_BASE_URL}/invitations/test`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(testData)
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'Failed to send test invitation');
-      }
-
-      return await response.json();
+      return await appApi.post('invitations/test', testData);
     } catch (error) {
       console.error('Error sending test invitation:', error);
       throw error;
@@ -200,11 +302,7 @@ class InvitationService {
    */
   async getInvitationStatus(invitationId) {
     try {
-      const response = await fetch(`${API_BASE_URL}/invitations/${invitationId}/status`);
-      if (!response.ok) {
-        throw new Error('Failed to fetch invitation status');
-      }
-      return await response.json();
+      return await appApi.get(`invitations/${invitationId}/status`);
     } catch (error) {
       console.error('Error fetching invitation status:', error);
       throw error;
@@ -212,22 +310,223 @@ class InvitationService {
   }
 
   /**
-   * Get user's invitation credits
-   * @returns {Promise<Object>} Credits information
+   * Get per-recipient delivery status of recent invitations
+   * @param {string} schoolId - The school ID
+   * @returns {Promise<Object>} { invitations } in the shape StatusTracker renders
    */
-  async getInvitationCredits() {
+  async getDeliveryStatuses(schoolId) {
     try {
-      const response = await fetch(`${API_BASE_URL}/user/invitation-credits`);
-      if (!response.ok) {
-        throw new Error('Failed to fetch invitation credits');
-      }
-      return await response.json();
+      return await appApi.get('invitations/deliveries', { query: { schoolId: schoolId || undefined } });
+    } catch (error) {
+      console.error('Error fetching delivery statuses:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the opt-outs that apply to a school
+   * @param {string} schoolId - The school ID
+   * @returns {Promise<Array>} Opt-out entries
+   */
+  async getOptOuts(schoolId) {
+    try {
+      return await appApi.get('opt-outs', { query: { schoolId } });
+    } catch (error) {
+      console.error('Error fetching opt-outs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a manual opt-out entry
+   * @param {Object} entry - { schoolId, address, channel, reason }
+   * @returns {Promise<Array>} Stored entries, one per channel
+   */
+  async addOptOut(entry) {
+    try {
+      return await appApi.post('opt-outs', entry);
+    } catch (error) {
+      console.error('Error adding opt-out:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a manual opt-out entry
+   * @param {string} id - Opt-out ID
+   * @param {string} schoolId - The school ID
+   * @returns {Promise<void>}
+   */
+  async removeOptOut(id, schoolId) {
+    try {
+      await appApi.delete('opt-outs', { query: { id, schoolId } });
+    } catch (error) {
+      console.error('Error removing opt-out:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a school's default invitation language
+   * @param {string} schoolId - The school ID
+   * @returns {Promise<Object>} { schoolId, defaultLanguage, languages }
+   */
+  async getInvitationPreferences(schoolId) {
+    try {
+      return await appApi.get('invitation-preferences', { query: { schoolId } });
+    } catch (error) {
+      console.error('Error fetching invitation preferences:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change a school's default invitation language
+   * @param {string} schoolId - The school ID
+   * @param {string} defaultLanguage - Language code
+   * @returns {Promise<Object>} Stored settings
+   */
+  async updateInvitationPreferences(schoolId, defaultLanguage) {
+    try {
+      return await appApi.put('invitation-preferences', { schoolId, defaultLanguage });
+    } catch (error) {
+      console.error('Error saving invitation preferences:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the guardians of a school who chose a language
+   * @param {string} schoolId - The school ID
+   * @returns {Promise<Array>} [{ guardianId, language }]
+   */
+  async getGuardianLanguages(schoolId) {
+    try {
+      return await appApi.get('invitation-preferences/guardians', { query: { schoolId } });
+    } catch (error) {
+      console.error('Error fetching guardian languages:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set a guardian's preferred language
+   * @param {string} schoolId - The school ID
+   * @param {string} guardianId - Guardian (recipient) ID
+   * @param {string|null} language - Language code, or null for the school default
+   * @returns {Promise<Object>} { schoolId, guardianId, language }
+   */
+  async setGuardianLanguage(schoolId, guardianId, language) {
+    try {
+      return await appApi.put('invitation-preferences/guardians', { schoolId, guardianId, language });
+    } catch (error) {
+      console.error('Error saving guardian language:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a school's invitation credits
+   * @param {string} schoolId - The school ID
+   * @returns {Promise<Object>} { available, reserved, spent, purchased, updatedAt }
+   */
+  async getInvitationCredits(schoolId) {
+    try {
+      return await appApi.get('credits', { query: { schoolId } });
     } catch (error) {
       console.error('Error fetching invitation credits:', error);
       throw error;
     }
   }
 
+  /**
+   * Get a school's messaging budget and this month's spend
+   * @param {string} schoolId - The school ID
+   * @returns {Promise<Object>} { budget, usage, canApprove }
+   */
+  async getMessagingBudget(schoolId) {
+    try {
+      return await appApi.get('budgets', { query: { schoolId } });
+    } catch (error) {
+      console.error('Error fetching messaging budget:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a school's messaging budget (principals only)
+   * @param {string} schoolId - The school ID
+   * @param {Object} budget - { monthlyLimit, userLimit, userLimits, approvalThreshold, alertEmails }
+   * @returns {Promise<Object>} { budget, usage, canApprove }
+   */
+  async saveMessagingBudget(schoolId, budget) {
+    try {
+      return await appApi.put('budgets', { ...budget, schoolId });
+    } catch (error) {
+      console.error('Error saving messaging budget:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a school's sends that are waiting for a principal's approval
+   * @param {string} schoolId - The school ID
+   * @returns {Promise<Array>} Held invitations with their approval request
+   */
+  async getPendingApprovals(schoolId) {
+    try {
+      const data = await appApi.get('invitations/approvals', { query: { schoolId } });
+      return data.invitations || [];
+    } catch (error) {
+      console.error('Error fetching pending approvals:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve or reject a held send (principals only)
+   * @param {string} invitationId - Invitation ID
+   * @param {string} action - 'approve' or 'reject'
+   * @param {string} note - Reason, required when rejecting
+   * @returns {Promise<Object>} { invitationId, status, approval }
+   */
+  async reviewSend(invitationId, action, note = null) {
+    try {
+      return await appApi.post(`invitations/${invitationId}/approval`, { action, note });
+    } catch (error) {
+      console.error(`Error trying to ${action} send:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the rates invitations are charged at, for estimates that match the charge
+   * @returns {Promise<Object>} Pricing config, see services/invitation/pricing
+   */
+  async getPricing() {
+    try {
+      return await appApi.get('credits/pricing');
+    } catch (error) {
+      console.error('Error fetching pricing:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a page of a school's credit transactions, newest first
+   * @param {string} schoolId - The school ID
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { transactions, page, limit, total, totalPages }
+   */
+  async getCreditHistory(schoolId, { page = 1, limit = 20 } = {}) {
+    try {
+      return await appApi.get('credits/history', { query: { schoolId, page, limit } });
+    } catch (error) {
+      console.error('Error fetching credit history:', error);
+      throw error;
+    }
+  }
+
   /**
    * Validate invitation data before sending
    * @param {Object} invitationData - The invitation data to validate
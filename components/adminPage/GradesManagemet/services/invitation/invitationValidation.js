@@ -3,6 +3,8 @@
  * Provides comprehensive validation for all invitation-related inputs
  */
 
+import { validatePhoneNumber } from './phoneNumbers';
+
 export class InvitationValidation {
   /**
    * Validate recipient selection
@@ -38,6 +40,13 @@ export class InvitationValidation {
       if (!recipient.name || recipient.name.trim().length === 0) {
         errors.push(`Recipient ${index + 1}: Name is required`);
       }
+
+      // Landlines are valid numbers; the pipeline skips them on SMS and WhatsApp itself
+      ['phone', 'whatsapp'].forEach(field => {
+        if (recipient[field] && !this.isValidPhone(recipient[field])) {
+          errors.push(`Recipient ${index + 1}: ${validatePhoneNumber(recipient[field]).error}`);
+        }
+      });
     });
 
     // Check for duplicate emails
@@ -268,6 +277,16 @@ export class InvitationValidation {
     return emailRegex.test(email);
   }
 
+  /**
+   * Check if phone number is valid
+   * @param {string} phone - Phone number to validate
+   * @param {string|null} channel - 'sms' or 'whatsapp' to also refuse landlines
+   * @returns {boolean} Is valid phone number
+   */
+  static isValidPhone(phone, channel = null) {
+    return validatePhoneNumber(phone, { channel }).isValid;
+  }
+
   /**
    * Check if message contains HTML
    * @param {string} message - Message content
@@ -0,0 +1,129 @@
+/**
+ * Languages - Invitation languages and how a guardian's language is chosen
+ *
+ * An invitation or template is written in the school's default language and may carry
+ * translations into the other supported languages. Each guardian gets the translation
+ * for their preferred language, or the school default when there is none.
+ * Shared by the composer, TemplateManager and the delivery pipeline.
+ */
+
+export const SUPPORTED_LANGUAGES = [
+  { code: 'en', label: 'English' },
+  { code: 'af', label: 'Afrikaans' },
+  { code: 'zu', label: 'isiZulu' },
+  { code: 'xh', label: 'isiXhosa' },
+  { code: 'st', label: 'Sesotho' }
+];
+
+export const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Check a language code is one invitations can be written in
+ * @param {string} code - Language code
+ * @returns {boolean} True when supported
+ */
+export const isSupportedLanguage = (code) => {
+  return SUPPORTED_LANGUAGES.some(language => language.code === code);
+};
+
+/**
+ * Display name of a language
+ * @param {string} code - Language code
+ * @returns {string} Label, or the code itself when unknown
+ */
+export const languageLabel = (code) => {
+  return SUPPORTED_LANGUAGES.find(language => language.code === code)?.label || code;
+};
+
+/**
+ * Keep only translations into supported languages that have a message
+ * @param {Object} translations - { [code]: { subject, message } }
+ * @param {string} baseLanguage - Language of the untranslated text, which needs no entry
+ * @returns {Object} Cleaned translations
+ */
+export const normaliseTranslations = (translations = {}, baseLanguage = DEFAULT_LANGUAGE) => {
+  const cleaned = {};
+  Object.entries(translations || {}).forEach(([code, text]) => {
+    if (code === baseLanguage || !isSupportedLanguage(code)) return;
+    const message = String(text?.message || '');
+    if (!message.trim()) return;
+    cleaned[code] = { subject: String(text?.subject || ''), message };
+  });
+  return cleaned;
+};
+
+/**
+ * Language a recipient should be written to in
+ * @param {Object} recipient - Recipient with an optional preferred `language`
+ * @param {string} defaultLanguage - School default
+ * @returns {string} Preferred language when supported, otherwise the school default
+ */
+export const preferredLanguage = (recipient, defaultLanguage = DEFAULT_LANGUAGE) => {
+  return isSupportedLanguage(recipient?.language) ? recipient.language : defaultLanguage;
+};
+
+/**
+ * Pick the subject and message a recipient is sent
+ * @param {Object} invitation - { language, subject, message, translations }
+ * @param {Object} recipient - Recipient with an optional preferred `language`
+ * @returns {Object} { language, subject, message, isTranslation, fellBack }
+ *   fellBack is true when the guardian's language had no translation
+ */
+export const selectTranslation = (invitation, recipient) => {
+  const baseLanguage = invitation.language || DEFAULT_LANGUAGE;
+  const wanted = preferredLanguage(recipient, baseLanguage);
+  const translation = wanted !== baseLanguage ? invitation.translations?.[wanted] : null;
+
+  if (translation?.message) {
+    return {
+      language: wanted,
+      subject: translation.subject || invitation.subject,
+      message: translation.message,
+      isTranslation: true,
+      fellBack: false
+    };
+  }
+  return {
+    language: baseLanguage,
+    subject: invitation.subject,
+    message: invitation.message,
+    isTranslation: false,
+    fellBack: wanted !== baseLanguage
+  };
+};
+
+/**
+ * List the translations an invitation still needs for its recipients
+ * @param {Object} invitation - { language, subject, message, translations, recipients, channels }
+ * @returns {Array} [{ language, label, recipients, missing: ['message'] | ['subject'] }]
+ */
+export const findMissingTranslations = (invitation) => {
+  const baseLanguage = invitation.language || DEFAULT_LANGUAGE;
+  const needsSubject = (invitation.channels || []).includes('email');
+  const counts = {};
+  (invitation.recipients || []).forEach(recipient => {
+    const language = preferredLanguage(recipient, baseLanguage);
+    if (language !== baseLanguage) counts[language] = (counts[language] || 0) + 1;
+  });
+
+  return Object.entries(counts).flatMap(([language, recipients]) => {
+    const translation = invitation.translations?.[language];
+    const missing = !translation?.message?.trim()
+      ? ['message']
+      : needsSubject && !translation.subject?.trim() ? ['subject'] : [];
+    return missing.length > 0 ? [{ language, label: languageLabel(language), recipients, missing }] : [];
+  });
+};
+
+const Languages = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  isSupportedLanguage,
+  languageLabel,
+  normaliseTranslations,
+  preferredLanguage,
+  selectTranslation,
+  findMissingTranslations
+};
+
+export default Languages;
@@ -0,0 +1,281 @@
+/**
+ * PhoneNumbers - One set of rules for reading, validating and formatting phone numbers
+ *
+ * Numbers are stored and sent in E.164 (+27821234567). Input without a country code is
+ * read as South African, including the nine-digit form spreadsheets leave when they drop
+ * the leading 0. Numbers from the other SADC countries are checked against their own
+ * lengths and mobile ranges; other international numbers are accepted as written.
+ *
+ * South African numbers are typed from their prefix: geographic landlines (011, 021...)
+ * and non-geographic numbers (087 VoIP, 080 toll-free, 086 sharecall) can't receive SMS
+ * or WhatsApp. The network comes from the range the number was first allocated to; a
+ * ported number keeps its prefix, so treat it as a hint, not a routing decision.
+ *
+ * Shared by uploads, forms, the providers and the delivery pipeline.
+ */
+
+export const DEFAULT_COUNTRY = 'ZA';
+
+export const PHONE_TYPES = {
+  mobile: 'mobile',
+  landline: 'landline',
+  nonGeographic: 'non_geographic',
+  unknown: 'unknown'
+};
+
+/**
+ * SADC member states: dial code, digits after the country code, and the leading digits of
+ * mobile numbers
+ */
+export const PHONE_COUNTRIES = {
+  ZA: { name: 'South Africa', dialCode: '27', lengths: [9], mobilePrefixes: ['6', '7', '81', '82', '83', '84', '85'] },
+  AO: { name: 'Angola', dialCode: '244', lengths: [9], mobilePrefixes: ['9'] },
+  BW: { name: 'Botswana', dialCode: '267', lengths: [7, 8], mobilePrefixes: ['7'] },
+  KM: { name: 'Comoros', dialCode: '269', lengths: [7], mobilePrefixes: ['3', '4'] },
+  CD: { name: 'DR Congo', dialCode: '243', lengths: [9], mobilePrefixes: ['8', '9'] },
+  SZ: { name: 'Eswatini', dialCode: '268', lengths: [8], mobilePrefixes: ['7'] },
+  LS: { name: 'Lesotho', dialCode: '266', lengths: [8], mobilePrefixes: ['5', '6'] },
+  MG: { name: 'Madagascar', dialCode: '261', lengths: [9], mobilePrefixes: ['3'] },
+  MW: { name: 'Malawi', dialCode: '265', lengths: [7, 9], mobilePrefixes: ['7', '8', '9'] },
+  MU: { name: 'Mauritius', dialCode: '230', lengths: [7, 8], mobilePrefixes: ['5'] },
+  MZ: { name: 'Mozambique', dialCode: '258', lengths: [8, 9], mobilePrefixes: ['8'] },
+  NA: { name: 'Namibia', dialCode: '264', lengths: [8, 9], mobilePrefixes: ['8'] },
+  SC: { name: 'Seychelles', dialCode: '248', lengths: [7], mobilePrefixes: ['2'] },
+  TZ: { name: 'Tanzania', dialCode: '255', lengths: [9], mobilePrefixes: ['6', '7'] },
+  ZM: { name: 'Zambia', dialCode: '260', lengths: [9], mobilePrefixes: ['7', '9'] },
+  ZW: { name: 'Zimbabwe', dialCode: '263', lengths: [9], mobilePrefixes: ['7'] }
+};
+
+/**
+ * South African mobile ranges by original network, matched on the longest prefix of the
+ * number after the 0
+ */
+const SA_NETWORK_PREFIXES = {
+  Vodacom: ['71', '72', '76', '79', '82', '606', '607', '608', '609', '66'],
+  MTN: ['73', '78', '83', '603', '604', '605', '63'],
+  'Cell C': ['74', '84', '61', '62'],
+  Telkom: ['81', '67', '68']
+};
+
+/** South African ranges that aren't tied to a place or a handset */
+const SA_NON_GEOGRAPHIC_PREFIXES = ['80', '86', '87', '90'];
+
+const CHANNEL_NAMES = {
+  sms: 'SMS',
+  whatsapp: 'WhatsApp'
+};
+
+const TYPE_NAMES = {
+  landline: 'landline',
+  non_geographic: 'non-geographic (VoIP or toll-free) number'
+};
+
+/**
+ * Find the country a full international number belongs to
+ * @param {string} digits - Country code followed by the national number
+ * @returns {Array|null} [countryCode, country], or null when it isn't a SADC number
+ */
+const findCountryByDialCode = (digits) => {
+  return Object.entries(PHONE_COUNTRIES).find(([, country]) => digits.startsWith(country.dialCode)) || null;
+};
+
+/**
+ * Work out what kind of South African number a national number is
+ * @param {string} national - Digits after the 0
+ * @returns {Object} { type, network }
+ */
+const classifySouthAfrican = (national) => {
+  if (/^[1-5]/.test(national)) {
+    return { type: PHONE_TYPES.landline, network: null };
+  }
+  if (SA_NON_GEOGRAPHIC_PREFIXES.some(prefix => national.startsWith(prefix))) {
+    return { type: PHONE_TYPES.nonGeographic, network: null };
+  }
+  if (!PHONE_COUNTRIES.ZA.mobilePrefixes.some(prefix => national.startsWith(prefix))) {
+    return { type: PHONE_TYPES.unknown, network: null };
+  }
+
+  let network = null;
+  let matched = 0;
+  Object.entries(SA_NETWORK_PREFIXES).forEach(([name, prefixes]) => {
+    prefixes.forEach(prefix => {
+      if (national.startsWith(prefix) && prefix.length > matched) {
+        network = name;
+        matched = prefix.length;
+      }
+    });
+  });
+  return { type: PHONE_TYPES.mobile, network };
+};
+
+/**
+ * Read a phone number as typed, uploaded or stored
+ * @param {string|number} input - Phone number in any common format, optionally prefixed 'whatsapp:'
+ * @param {Object} options
+ * @param {string} options.defaultCountry - Country assumed when there is no country code
+ * @returns {Object} { isValid, error, e164, digits, country, countryName, nationalNumber, type, network, canReceiveSms }
+ */
+export const parsePhoneNumber = (input, { defaultCountry = DEFAULT_COUNTRY } = {}) => {
+  const raw = String(input ?? '').trim().replace(/^whatsapp:/i, '');
+  const invalid = (error) => ({
+    isValid: false,
+    error,
+    e164: null,
+    digits: null,
+    country: null,
+    countryName: null,
+    nationalNumber: null,
+    type: PHONE_TYPES.unknown,
+    network: null,
+    canReceiveSms: false
+  });
+
+  if (!raw) return invalid('No phone number given');
+  if (!/^\+?[\d\s\-().]+$/.test(raw)) return invalid(`"${raw}" is not a phone number`);
+
+  const home = PHONE_COUNTRIES[defaultCountry] || PHONE_COUNTRIES[DEFAULT_COUNTRY];
+  let digits = raw.replace(/\D/g, '');
+  let international = raw.startsWith('+');
+
+  if (!international && digits.startsWith('00')) {
+    digits = digits.slice(2);
+    international = true;
+  } else if (!international && digits.startsWith('0')) {
+    digits = `${home.dialCode}${digits.slice(1)}`;
+  } else if (!international && home.lengths.includes(digits.length)) {
+    // A spreadsheet cell that lost its leading 0
+    digits = `${home.dialCode}${digits}`;
+  }
+
+  const match = findCountryByDialCode(digits);
+  if (!match) {
+    // Not a SADC number: accept any plausible international number as written
+    if ((international || digits.length > 10) && digits.length >= 8 && digits.length <= 15 && !digits.startsWith('0')) {
+      return {
+        isValid: true,
+        error: null,
+        e164: `+${digits}`,
+        digits,
+        country: null,
+        countryName: null,
+        nationalNumber: null,
+        type: PHONE_TYPES.unknown,
+        network: null,
+        canReceiveSms: true
+      };
+    }
+    return invalid(`${raw} has no recognisable country code`);
+  }
+
+  const [country, { name, dialCode, lengths, mobilePrefixes }] = match;
+  let nationalNumber = digits.slice(dialCode.length);
+  // '+27 082...' keeps the trunk 0 that dialling from abroad drops
+  if (nationalNumber.startsWith('0') && lengths.includes(nationalNumber.length - 1)) {
+    nationalNumber = nationalNumber.slice(1);
+    digits = `${dialCode}${nationalNumber}`;
+  }
+  if (!lengths.includes(nationalNumber.length)) {
+    const expected = country === 'ZA' ? '10 digits starting with 0' : `${lengths.join(' or ')} digits after +${dialCode}`;
+    return invalid(`${raw} is not a valid ${name} number; expected ${expected}`);
+  }
+
+  const { type, network } = country === 'ZA'
+    ? classifySouthAfrican(nationalNumber)
+    : {
+      type: mobilePrefixes.some(prefix => nationalNumber.startsWith(prefix)) ? PHONE_TYPES.mobile : PHONE_TYPES.landline,
+      network: null
+    };
+
+  return {
+    isValid: true,
+    error: null,
+    e164: `+${digits}`,
+    digits,
+    country,
+    countryName: name,
+    nationalNumber,
+    type,
+    network,
+    canReceiveSms: type === PHONE_TYPES.mobile || type === PHONE_TYPES.unknown
+  };
+};
+
+/**
+ * Check a number can be used, optionally for a messaging channel
+ * @param {string|number} input - Phone number
+ * @param {Object} options
+ * @param {string|null} options.channel - 'sms' or 'whatsapp' to require a number that can receive them
+ * @param {string} options.defaultCountry - Country assumed when there is no country code
+ * @returns {Object} { isValid, error, phone } - phone is the parsePhoneNumber result
+ */
+export const validatePhoneNumber = (input, { channel = null, defaultCountry = DEFAULT_COUNTRY } = {}) => {
+  const phone = parsePhoneNumber(input, { defaultCountry });
+  if (!phone.isValid) {
+    return { isValid: false, error: phone.error, phone };
+  }
+  if (channel && !phone.canReceiveSms) {
+    return {
+      isValid: false,
+      error: `${formatPhoneNumber(phone.e164)} is a ${TYPE_NAMES[phone.type]} and can't receive ${CHANNEL_NAMES[channel] || channel} messages`,
+      phone
+    };
+  }
+  return { isValid: true, error: null, phone };
+};
+
+/**
+ * Convert a number to E.164
+ * @param {string|number} input - Phone number
+ * @param {Object} options - See parsePhoneNumber
+ * @returns {string|null} E.164 number, or null when it isn't a valid number
+ */
+export const normalisePhoneNumber = (input, options = {}) => {
+  return parsePhoneNumber(input, options).e164;
+};
+
+/**
+ * Format a number for people to read, e.g. +27 82 123 4567
+ * @param {string|number} input - Phone number
+ * @returns {string} Formatted number, or the input unchanged when it isn't valid
+ */
+export const formatPhoneNumber = (input) => {
+  const phone = parsePhoneNumber(input);
+  if (!phone.isValid) return String(input ?? '');
+  if (phone.country === 'ZA') {
+    const national = phone.nationalNumber;
+    return `+27 ${national.slice(0, 2)} ${national.slice(2, 5)} ${national.slice(5)}`;
+  }
+  if (phone.country) {
+    return `+${PHONE_COUNTRIES[phone.country].dialCode} ${phone.nationalNumber}`;
+  }
+  return phone.e164;
+};
+
+/**
+ * Describe a number's type and network for admins
+ * @param {Object} phone - parsePhoneNumber result
+ * @returns {string} e.g. 'Vodacom mobile', 'Landline (no SMS)', 'Botswana mobile'
+ */
+export const describePhoneNumber = (phone) => {
+  if (!phone?.isValid) return 'Invalid number';
+  if (phone.type === PHONE_TYPES.landline) return 'Landline (no SMS)';
+  if (phone.type === PHONE_TYPES.nonGeographic) return 'VoIP or toll-free (no SMS)';
+  if (phone.type === PHONE_TYPES.mobile) {
+    const where = phone.country === 'ZA' ? phone.network : phone.countryName;
+    return where ? `${where} mobile` : 'Mobile';
+  }
+  return 'International number';
+};
+
+const PhoneNumbers = {
+  DEFAULT_COUNTRY,
+  PHONE_TYPES,
+  PHONE_COUNTRIES,
+  parsePhoneNumber,
+  validatePhoneNumber,
+  normalisePhoneNumber,
+  formatPhoneNumber,
+  describePhoneNumber
+};
+
+export default PhoneNumbers;
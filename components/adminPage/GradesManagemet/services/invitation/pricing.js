@@ -0,0 +1,325 @@
+/**
+ * Pricing - What each message costs, in rand and in credits
+ *
+ * The composer's estimate and the credits the server reserves are both worked out here,
+ * from the same rendered text and the same rates, so the two always agree:
+ *   SMS      - per segment, at the sending supplier's rate; a message that needs a
+ *              character outside GSM-7 is sent as UCS-2 and fits fewer characters per segment
+ *   WhatsApp - per message, by the approved template's conversation category;
+ *              free-form messages are priced as service conversations
+ *   Email    - per message, at the rate of the volume tier the invitation falls into
+ *
+ * Each priced delivery is charged its cost rounded up to whole credits of `creditValue` rand.
+ * Rates are overridden per deployment with INVITATION_PRICING, see lib/invitations/pricing.
+ */
+
+import { renderTemplate } from './templateEngine';
+import { resolveAddress, buildTemplateContext, selectDeliveryMessage } from './deliveryContent';
+import { rsvpPrompt } from './rsvp';
+
+export const DEFAULT_PRICING = {
+  currency: 'ZAR',
+  creditValue: 0.15,
+  sms: {
+    defaultSupplier: 'winsms',
+    suppliers: {
+      winsms: 0.25,
+      twilio: 0.30,
+      bulksms: 0.20
+    }
+  },
+  whatsapp: {
+    freeFormCategory: 'service',
+    categories: {
+      marketing: 0.68,
+      utility: 0.14,
+      authentication: 0.14,
+      service: 0
+    }
+  },
+  email: {
+    tiers: [
+      { upTo: 1000, rate: 0.02 },
+      { upTo: 10000, rate: 0.015 },
+      { upTo: null, rate: 0.01 }
+    ]
+  }
+};
+
+/** Characters of the GSM 03.38 basic set, one septet each */
+const GSM7_BASIC = new Set(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+);
+
+/** Characters of the GSM 03.38 extension table, sent as escape + character */
+const GSM7_EXTENSION = new Set('\f^{}\\[~]|€');
+
+const SEGMENT_LIMITS = {
+  'GSM-7': { single: 160, concatenated: 153 },
+  'UCS-2': { single: 70, concatenated: 67 }
+};
+
+/**
+ * Round an amount of money to a hundredth of a cent, so repeated sums don't drift
+ * @param {number} amount - Amount in rand
+ * @returns {number} Rounded amount
+ */
+const roundMoney = (amount) => Math.round(amount * 10000) / 10000;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Lay deployment overrides over the default rates
+ * Objects are merged key by key; arrays, such as the email tiers, are replaced whole.
+ * @param {Object} overrides - Partial pricing config
+ * @param {Object} base - Config to start from
+ * @returns {Object} Complete pricing config
+ */
+export const mergePricingConfig = (overrides = {}, base = DEFAULT_PRICING) => {
+  const merged = { ...base };
+  Object.entries(overrides || {}).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergePricingConfig(value, base[key])
+      : value;
+  });
+  return merged;
+};
+
+/**
+ * Count the SMS segments a message is sent in
+ * @param {string} text - Message as it will be sent
+ * @returns {Object} { encoding: 'GSM-7'|'UCS-2', characters, segments }
+ */
+export const countSmsSegments = (text = '') => {
+  const characters = [...text];
+  const isGsm7 = characters.every(char => GSM7_BASIC.has(char) || GSM7_EXTENSION.has(char));
+  const encoding = isGsm7 ? 'GSM-7' : 'UCS-2';
+  // Extension characters take two septets; UCS-2 counts UTF-16 code units
+  const length = isGsm7
+    ? characters.reduce((sum, char) => sum + (GSM7_EXTENSION.has(char) ? 2 : 1), 0)
+    : text.length;
+  const { single, concatenated } = SEGMENT_LIMITS[encoding];
+
+  return {
+    encoding,
+    characters: length,
+    segments: length <= single ? 1 : Math.ceil(length / concatenated)
+  };
+};
+
+/**
+ * Rate an SMS supplier charges per segment
+ * @param {string} supplier - Supplier ID; unknown suppliers use the default supplier's rate
+ * @param {Object} config - Pricing config
+ * @returns {number} Rand per segment
+ */
+export const smsRate = (supplier, config = DEFAULT_PRICING) => {
+  const { suppliers, defaultSupplier } = config.sms;
+  return suppliers[supplier] ?? suppliers[defaultSupplier] ?? 0;
+};
+
+/**
+ * Rate of a WhatsApp conversation category
+ * @param {string|null} category - Template category as synced from Meta; null for free-form
+ * @param {Object} config - Pricing config
+ * @returns {Object} { category, rate } - unknown categories are priced as marketing
+ */
+export const whatsappRate = (category, config = DEFAULT_PRICING) => {
+  const { categories, freeFormCategory } = config.whatsapp;
+  const key = category ? String(category).toLowerCase() : freeFormCategory;
+  return categories[key] !== undefined
+    ? { category: key, rate: categories[key] }
+    : { category: 'marketing', rate: categories.marketing ?? 0 };
+};
+
+/**
+ * Rate per email for a send of a given size
+ * @param {number} volume - Emails in the send
+ * @param {Object} config - Pricing config
+ * @returns {Object} { tier, rate } - tier is the index into config.email.tiers
+ */
+export const emailRate = (volume, config = DEFAULT_PRICING) => {
+  const { tiers } = config.email;
+  const tier = tiers.findIndex(t => t.upTo === null || t.upTo === undefined || volume <= t.upTo);
+  const index = tier === -1 ? tiers.length - 1 : tier;
+  return { tier: index, rate: tiers[index]?.rate ?? 0 };
+};
+
+/**
+ * Whole credits that pay for a cost
+ * @param {number} cost - Cost in rand
+ * @param {Object} config - Pricing config
+ * @returns {number} Credits
+ */
+export const creditsForCost = (cost, config = DEFAULT_PRICING) => {
+  if (!(cost > 0)) return 0;
+  return Math.max(1, Math.ceil(roundMoney(cost / config.creditValue)));
+};
+
+/**
+ * Price one message
+ * @param {Object} message
+ * @param {string} message.channel - Channel ID
+ * @param {string} message.text - Rendered text; only SMS is priced by its length
+ * @param {string} message.supplier - SMS supplier
+ * @param {string|null} message.whatsappCategory - Template category, or null for free-form
+ * @param {number} message.emailVolume - Emails in the same send
+ * @param {Object} config - Pricing config
+ * @returns {Object} { channel, rate, units, cost, credits, ... } plus the channel's pricing details
+ */
+export const priceMessage = ({ channel, text = '', supplier, whatsappCategory = null, emailVolume = 1 }, config = DEFAULT_PRICING) => {
+  let details;
+  switch (channel) {
+    case 'sms': {
+      const { encoding, segments } = countSmsSegments(text);
+      const billedBy = config.sms.suppliers[supplier] !== undefined ? supplier : config.sms.defaultSupplier;
+      details = { supplier: billedBy, encoding, rate: smsRate(billedBy, config), units: segments };
+      break;
+    }
+    case 'whatsapp':
+      details = { ...whatsappRate(whatsappCategory, config), units: 1 };
+      break;
+    case 'email':
+      details = { ...emailRate(emailVolume, config), volume: emailVolume, units: 1 };
+      break;
+    default:
+      throw new Error(`Unsupported channel: ${channel}`);
+  }
+
+  const cost = roundMoney(details.rate * details.units);
+  return { channel, ...details, cost, credits: creditsForCost(cost, config) };
+};
+
+/**
+ * Price the deliveries of an invitation that are still to be sent
+ * SMS is priced on each recipient's rendered text, RSVP prompt included, as that is what the supplier bills.
+ * @param {Object} invitation - Invitation the deliveries belong to
+ * @param {Array} deliveries - Delivery records ({ recipientId, channel, provider, status })
+ * @param {Object} options
+ * @param {Object} options.config - Pricing config
+ * @param {string|null} options.whatsappCategory - Category of the invitation's WhatsApp template
+ * @returns {Array} Deliveries with `price` and `credits`; unsendable ones cost nothing
+ */
+export const priceDeliveries = (invitation, deliveries, { config = DEFAULT_PRICING, whatsappCategory = null } = {}) => {
+  const emailVolume = deliveries.filter(d => d.channel === 'email' && d.status === 'pending').length;
+
+  return deliveries.map(delivery => {
+    if (delivery.status !== 'pending') {
+      return { ...delivery, price: null, credits: 0 };
+    }
+
+    let text = '';
+    if (delivery.channel === 'sms') {
+      const recipient = invitation.recipients.find(r => r.id === delivery.recipientId) || {};
+      const { message } = selectDeliveryMessage(invitation, recipient, delivery.channel);
+      try {
+        text = renderTemplate(message || '', buildTemplateContext(invitation, recipient));
+      } catch (error) {
+        // The composer prices drafts too; a template still being typed is priced as written
+        text = message || '';
+      }
+      if (invitation.rsvp) text += rsvpPrompt('sms');
+    }
+
+    const price = priceMessage({
+      channel: delivery.channel,
+      text,
+      supplier: delivery.provider,
+      whatsappCategory: invitation.whatsappTemplate ? whatsappCategory : null,
+      emailVolume
+    }, config);
+    return { ...delivery, price, credits: price.credits };
+  });
+};
+
+/**
+ * Add up priced deliveries per channel
+ * @param {Array} deliveries - Result of priceDeliveries
+ * @returns {Object} { cost, credits, channels: { [channel]: { messages, units, cost, credits } } }
+ */
+export const summarisePricing = (deliveries) => {
+  const summary = { cost: 0, credits: 0, channels: {} };
+  deliveries.filter(d => d.price).forEach(({ channel, price }) => {
+    const line = summary.channels[channel] || (summary.channels[channel] = { messages: 0, units: 0, cost: 0, credits: 0 });
+    line.messages += 1;
+    line.units += price.units;
+    line.cost = roundMoney(line.cost + price.cost);
+    line.credits += price.credits;
+    summary.cost = roundMoney(summary.cost + price.cost);
+    summary.credits += price.credits;
+  });
+  return summary;
+};
+
+/**
+ * Estimate what an invitation from the composer will cost
+ * Prices the deliveries the server will queue: one per recipient per channel they have
+ * an address for. Guardians who opted out are only known to the server, so this is an
+ * upper bound.
+ * @param {Object} invitation - { recipients, channels, message, content, translations, whatsappTemplate, ... }
+ * @param {Object} options
+ * @param {Object} options.config - Pricing config
+ * @param {string|null} options.whatsappCategory - Category of the chosen WhatsApp template
+ * @returns {Object} Result of summarisePricing
+ */
+export const estimateInvitationCost = (invitation, { config = DEFAULT_PRICING, whatsappCategory = null } = {}) => {
+  const { recipients = [], channels = [] } = invitation;
+  const deliveries = recipients.flatMap(recipient => channels
+    .filter(channel => resolveAddress(recipient, channel))
+    .map(channel => ({
+      recipientId: recipient.id,
+      channel,
+      provider: channel === 'sms' ? config.sms.defaultSupplier : null,
+      status: 'pending'
+    })));
+
+  return summarisePricing(priceDeliveries({ recipients, ...invitation }, deliveries, { config, whatsappCategory }));
+};
+
+/**
+ * Estimate one channel for a number of recipients sent the same message
+ * For pickers that know the audience size but not yet every recipient.
+ * @param {string} channel - Channel ID
+ * @param {Object} options
+ * @param {number} options.recipientCount - Recipients on the channel
+ * @param {string} options.message - Message text
+ * @param {string} options.supplier - SMS supplier, defaults to the configured one
+ * @param {string|null} options.whatsappCategory - Template category, or null for free-form
+ * @param {Object} config - Pricing config
+ * @returns {Object} { rate, perMessage, units, cost, credits } - units, cost and credits for all recipients together
+ */
+export const estimateChannelCost = (channel, { recipientCount = 0, message = '', supplier, whatsappCategory = null } = {}, config = DEFAULT_PRICING) => {
+  const price = priceMessage({
+    channel,
+    text: message,
+    supplier: supplier || config.sms.defaultSupplier,
+    whatsappCategory,
+    emailVolume: recipientCount
+  }, config);
+
+  return {
+    ...price,
+    perMessage: price.cost,
+    units: price.units * recipientCount,
+    cost: roundMoney(price.cost * recipientCount),
+    credits: price.credits * recipientCount
+  };
+};
+
+const Pricing = {
+  DEFAULT_PRICING,
+  mergePricingConfig,
+  countSmsSegments,
+  smsRate,
+  whatsappRate,
+  emailRate,
+  creditsForCost,
+  priceMessage,
+  priceDeliveries,
+  summarisePricing,
+  estimateInvitationCost,
+  estimateChannelCost
+};
+
+export default Pricing;
@@ -0,0 +1,196 @@
+/**
+ * Rsvp - Guardians' answers to an invitation
+ *
+ * An invitation that asks for an RSVP carries a link to a personal answer form and tells
+ * SMS and WhatsApp recipients they can simply reply YES, NO or MAYBE. The form can ask
+ * the school's own questions too, such as how many people are coming or dietary needs.
+ *
+ * Reply keywords never overlap the opt-out keywords (STOP, START...), and opt-out replies
+ * are handled first, so an RSVP can't unsubscribe anyone or the other way round.
+ *
+ * Shared by the composer, the answer form, StatusTracker and the server.
+ */
+
+export const RSVP_ANSWERS = {
+  yes: { label: 'Attending', keyword: 'YES' },
+  no: { label: 'Not attending', keyword: 'NO' },
+  maybe: { label: 'Maybe', keyword: 'MAYBE' }
+};
+
+const RSVP_KEYWORDS = {
+  yes: ['YES', 'Y', 'YEBO', 'JA', 'ATTENDING', 'COMING'],
+  no: ['NO', 'N', 'NEE', 'CHA', 'DECLINE'],
+  maybe: ['MAYBE', 'PERHAPS', 'MISKIEN', 'UNSURE']
+};
+
+/** Longest reply still read as an answer; "No problem, see you there" is not a NO */
+const MAX_REPLY_WORDS = 4;
+
+export const MAX_ATTENDEES = 20;
+export const MAX_QUESTIONS = 10;
+const MAX_TEXT_ANSWER = 500;
+
+export const RSVP_QUESTION_TYPES = {
+  number: 'Number',
+  text: 'Text',
+  choice: 'Choice'
+};
+
+/** Questions most events ask, offered ready-made in the composer */
+export const RSVP_QUESTION_PRESETS = [
+  { id: 'attendees', label: 'How many people will attend?', type: 'number', required: true },
+  { id: 'dietary', label: 'Any dietary requirements?', type: 'text', required: false }
+];
+
+const slugify = (label) => String(label || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * Check an invitation's RSVP settings
+ * @param {Object} rsvp - { questions: [{ id, label, type, options, required }] }
+ * @returns {Object} { isValid, errors, rsvp } - rsvp normalised, question IDs filled in
+ */
+export const validateRsvpSettings = (rsvp = {}) => {
+  const errors = [];
+  const questions = Array.isArray(rsvp?.questions) ? rsvp.questions : [];
+  if (questions.length > MAX_QUESTIONS) {
+    errors.push(`Ask at most ${MAX_QUESTIONS} questions`);
+  }
+
+  const seen = new Set();
+  const normalised = questions.map((question, index) => {
+    const label = String(question.label || '').trim();
+    const id = question.id || slugify(label) || `question-${index + 1}`;
+    const options = question.type === 'choice'
+      ? [...new Set((question.options || []).map(o => String(o).trim()).filter(Boolean))]
+      : [];
+    const name = `Question ${index + 1}`;
+
+    if (!label) errors.push(`${name}: enter the question`);
+    if (!RSVP_QUESTION_TYPES[question.type]) errors.push(`${name}: unknown type ${question.type}`);
+    if (question.type === 'choice' && options.length < 2) errors.push(`${name}: give at least two options`);
+    if (seen.has(id)) errors.push(`${name}: asked twice`);
+    seen.add(id);
+
+    return { id, label, type: question.type, options, required: Boolean(question.required) };
+  });
+
+  return { isValid: errors.length === 0, errors, rsvp: { questions: normalised } };
+};
+
+/**
+ * Check a guardian's answer against an invitation's questions
+ * Questions only need answering by guardians who are coming or might be.
+ * @param {Object} rsvp - Invitation RSVP settings
+ * @param {Object} response - { answer, answers: { [questionId]: value } }
+ * @returns {Object} { isValid, errors: { field: message }, response } - response normalised
+ */
+export const validateRsvpResponse = (rsvp, { answer, answers = {} } = {}) => {
+  const errors = {};
+  if (!RSVP_ANSWERS[answer]) {
+    errors.answer = 'Choose whether you will attend';
+  }
+
+  const normalised = {};
+  if (answer !== 'no') {
+    (rsvp?.questions || []).forEach(question => {
+      const raw = answers?.[question.id];
+      const isBlank = raw === undefined || raw === null || String(raw).trim() === '';
+      if (isBlank) {
+        if (question.required) errors[question.id] = 'This question needs an answer';
+        return;
+      }
+
+      if (question.type === 'number') {
+        const value = Number(raw);
+        const max = question.id === 'attendees' ? MAX_ATTENDEES : Number.MAX_SAFE_INTEGER;
+        if (!Number.isInteger(value) || value < 0 || value > max) {
+          errors[question.id] = question.id === 'attendees'
+            ? `Enter a number from 0 to ${MAX_ATTENDEES}`
+            : 'Enter a whole number';
+        } else {
+          normalised[question.id] = value;
+        }
+      } else if (question.type === 'choice') {
+        if (question.options.includes(raw)) normalised[question.id] = raw;
+        else errors[question.id] = 'Choose one of the options';
+      } else {
+        normalised[question.id] = String(raw).trim().slice(0, MAX_TEXT_ANSWER);
+      }
+    });
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+    response: { answer, answers: normalised }
+  };
+};
+
+/**
+ * Read an RSVP out of an SMS or WhatsApp reply, e.g. "Yes", "yes 3" or "Maybe"
+ * A number after YES or MAYBE is taken as the number of people coming.
+ * @param {string} text - Message body
+ * @returns {Object|null} { answer, attendees } - attendees null when no number was given;
+ *   null when the reply isn't an RSVP
+ */
+export const parseRsvpReply = (text) => {
+  const words = String(text || '').toUpperCase().replace(/[^A-Z0-9 ]/g, ' ').split(/\s+/).filter(Boolean);
+  if (words.length === 0 || words.length > MAX_REPLY_WORDS) return null;
+
+  const answer = Object.keys(RSVP_KEYWORDS).find(key => RSVP_KEYWORDS[key].includes(words[0]));
+  if (!answer) return null;
+
+  const count = words.slice(1).map(Number).find(n => Number.isInteger(n));
+  const attendees = answer !== 'no' && count !== undefined && count >= 0 && count <= MAX_ATTENDEES ? count : null;
+  return { answer, attendees };
+};
+
+/**
+ * The line added to an SMS or WhatsApp invitation that asks for an RSVP
+ * SMS gets no link, so every recipient's text is the same length and priced exactly.
+ * @param {string} channel - 'sms' or 'whatsapp'
+ * @param {string|null} url - Recipient's answer form, see buildRsvpUrl
+ * @returns {string} Text to append
+ */
+export const rsvpPrompt = (channel, url = null) => {
+  const keywords = `Reply ${RSVP_ANSWERS.yes.keyword}, ${RSVP_ANSWERS.no.keyword} or ${RSVP_ANSWERS.maybe.keyword}`;
+  return channel === 'whatsapp' && url
+    ? `\n\n${keywords}, or answer here: ${url}`
+    : `\n\n${keywords} to let us know if you're coming.`;
+};
+
+/**
+ * Add up an invitation's answers
+ * A guardian who is coming counts the attendees they gave, or one when not asked.
+ * @param {Array} responses - Each recipient's RSVP, null for those who haven't answered
+ * @returns {Object} { invited, yes, no, maybe, awaiting, attendees }
+ */
+export const summariseRsvps = (responses = []) => {
+  const totals = { invited: responses.length, yes: 0, no: 0, maybe: 0, awaiting: 0, attendees: 0 };
+  responses.forEach(response => {
+    if (!response || !RSVP_ANSWERS[response.answer]) {
+      totals.awaiting += 1;
+      return;
+    }
+    totals[response.answer] += 1;
+    if (response.answer === 'yes') {
+      totals.attendees += response.answers?.attendees ?? 1;
+    }
+  });
+  return totals;
+};
+
+const Rsvp = {
+  RSVP_ANSWERS,
+  RSVP_QUESTION_TYPES,
+  RSVP_QUESTION_PRESETS,
+  MAX_ATTENDEES,
+  MAX_QUESTIONS,
+  validateRsvpSettings,
+  validateRsvpResponse,
+  parseRsvpReply,
+  rsvpPrompt,
+  summariseRsvps
+};
+
+export default Rsvp;
@@ -0,0 +1,325 @@
+/**
+ * Segments - Rules that pick an invitation's recipients
+ *
+ * A segment is a group of rules joined by AND or OR; a rule can itself be a group, so
+ * "Grade 4 AND (owes more than R500 OR never read an invitation)" is one segment. Rules
+ * test either the learner (grade, age, gender, medical conditions, outstanding balance) or
+ * the guardian (relationship, preferred channel, reachable channel, language, response to
+ * the last invitation).
+ *
+ * A segment is matched against every learner and guardian pair the guardian may be
+ * contacted about, so a learner rule and a guardian rule in one AND group have to hold for
+ * the same family. The matching pairs are then addressed like a grade (see planRecipients),
+ * once per household or once per learner.
+ *
+ * Matching runs in the browser, which is where outstanding balances are available, so the
+ * count and preview update as rules change. Shared with the segment API, which validates
+ * saved segments.
+ */
+
+import {
+  CONTACT_CHANNELS,
+  GUARDIAN_RELATIONSHIPS,
+  isContactable,
+  planRecipients,
+  RECIPIENT_MODES
+} from '../learners/guardians';
+import { parsePhoneNumber } from './phoneNumbers';
+import { SUPPORTED_LANGUAGES } from './languages';
+
+export const COMBINATORS = {
+  and: 'and',
+  or: 'or'
+};
+
+export const OPERATORS = {
+  is: { label: 'is any of' },
+  isNot: { label: 'is none of' },
+  atLeast: { label: 'is at least' },
+  atMost: { label: 'is at most' },
+  between: { label: 'is between' }
+};
+
+export const MEDICAL_OPTIONS = [
+  { value: 'with-conditions', label: 'With medical conditions' },
+  { value: 'allergies', label: 'With allergies' },
+  { value: 'medications', label: 'On medications' },
+  { value: 'no-conditions', label: 'No medical conditions' }
+];
+
+export const RESPONSE_OPTIONS = [
+  { value: 'read', label: 'Read it' },
+  { value: 'delivered', label: 'Received, not read' },
+  { value: 'failed', label: 'Didn\'t reach them' },
+  { value: 'pending', label: 'Still sending' },
+  { value: 'never', label: 'Never invited' }
+];
+
+const CHOICE_OPERATORS = ['is', 'isNot'];
+const NUMBER_OPERATORS = ['atLeast', 'atMost', 'between'];
+
+/**
+ * Fields a rule can test
+ * scope says whether the rule reads the learner or the guardian; options are fixed here
+ * except for grades, which come from the school.
+ */
+export const SEGMENT_FIELDS = [
+  { key: 'grade', label: 'Grade', scope: 'learner', type: 'choice', operators: CHOICE_OPERATORS },
+  { key: 'age', label: 'Age (years)', scope: 'learner', type: 'number', operators: NUMBER_OPERATORS },
+  {
+    key: 'gender',
+    label: 'Gender',
+    scope: 'learner',
+    type: 'choice',
+    operators: CHOICE_OPERATORS,
+    options: [{ value: 'male', label: 'Male' }, { value: 'female', label: 'Female' }]
+  },
+  { key: 'medical', label: 'Medical conditions', scope: 'learner', type: 'choice', operators: ['is'], options: MEDICAL_OPTIONS },
+  { key: 'balance', label: 'Outstanding balance (R)', scope: 'learner', type: 'number', operators: NUMBER_OPERATORS },
+  {
+    key: 'relationship',
+    label: 'Relationship',
+    scope: 'guardian',
+    type: 'choice',
+    operators: CHOICE_OPERATORS,
+    options: GUARDIAN_RELATIONSHIPS
+  },
+  { key: 'preferredChannel', label: 'Preferred channel', scope: 'guardian', type: 'choice', operators: CHOICE_OPERATORS, options: CONTACT_CHANNELS },
+  { key: 'reachableBy', label: 'Can be reached by', scope: 'guardian', type: 'choice', operators: CHOICE_OPERATORS, options: CONTACT_CHANNELS },
+  {
+    key: 'language',
+    label: 'Language',
+    scope: 'guardian',
+    type: 'choice',
+    operators: CHOICE_OPERATORS,
+    options: [{ value: 'default', label: 'School default' }, ...SUPPORTED_LANGUAGES.map(({ code, label }) => ({ value: code, label }))]
+  },
+  { key: 'lastResponse', label: 'Last invitation', scope: 'guardian', type: 'choice', operators: CHOICE_OPERATORS, options: RESPONSE_OPTIONS }
+];
+
+const fieldFor = (key) => SEGMENT_FIELDS.find(field => field.key === key);
+
+const isGroup = (rule) => Array.isArray(rule?.rules);
+
+/**
+ * An empty segment, which matches everyone
+ * @returns {Object} { combinator, rules }
+ */
+export const createGroup = () => ({ combinator: COMBINATORS.and, rules: [] });
+
+/**
+ * A new rule on a field, with its first operator and an empty value
+ * @param {string} key - Field key
+ * @returns {Object} { field, operator, value }
+ */
+export const createRule = (key = 'grade') => {
+  const field = fieldFor(key);
+  return {
+    field: key,
+    operator: field.operators[0],
+    value: field.type === 'number' ? { min: '', max: '' } : []
+  };
+};
+
+const isNumber = (value) => value !== '' && value !== null && value !== undefined && Number.isFinite(Number(value));
+
+const validateRule = (rule, path) => {
+  const field = fieldFor(rule.field);
+  if (!field) return [`${path}: unknown field ${rule.field}`];
+  if (!field.operators.includes(rule.operator)) return [`${path}: ${field.label} can't use "${rule.operator}"`];
+
+  if (field.type === 'choice') {
+    return Array.isArray(rule.value) && rule.value.length > 0 ? [] : [`${path}: choose at least one ${field.label.toLowerCase()}`];
+  }
+  const { min, max } = rule.value || {};
+  const needsMin = rule.operator !== 'atMost';
+  const needsMax = rule.operator !== 'atLeast';
+  if ((needsMin && !isNumber(min)) || (needsMax && !isNumber(max))) {
+    return [`${path}: enter a number for ${field.label.toLowerCase()}`];
+  }
+  if (rule.operator === 'between' && Number(min) > Number(max)) {
+    return [`${path}: ${field.label.toLowerCase()} range is back to front`];
+  }
+  return [];
+};
+
+/**
+ * Check a segment's rules can be matched
+ * @param {Object} group - { combinator, rules }
+ * @returns {Object} { isValid, errors } - errors name the rule by its position, e.g. 'Rule 2.1'
+ */
+export const validateSegment = (group) => {
+  const check = (node, prefix) => {
+    if (!isGroup(node) || !Object.values(COMBINATORS).includes(node.combinator)) {
+      return [`${prefix || 'Segment'}: rules must be joined by AND or OR`];
+    }
+    return node.rules.flatMap((rule, index) => {
+      const path = `${prefix ? `${prefix}.` : 'Rule '}${index + 1}`;
+      return isGroup(rule) ? check(rule, path) : validateRule(rule, path);
+    });
+  };
+  const errors = check(group, '');
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Age in whole years on a day
+ * @param {string} dateOfBirth - YYYY-MM-DD
+ * @param {Date} today - Day to measure on
+ * @returns {number|null} Age, or null without a date of birth
+ */
+export const ageOn = (dateOfBirth, today = new Date()) => {
+  if (!dateOfBirth) return null;
+  const birth = new Date(dateOfBirth);
+  if (Number.isNaN(birth.getTime())) return null;
+  let age = today.getFullYear() - birth.getFullYear();
+  const monthDiff = today.getMonth() - birth.getMonth();
+  if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birth.getDate())) age--;
+  return age;
+};
+
+const MEDICAL_MATCHERS = {
+  'with-conditions': info => info.length > 0,
+  allergies: info => /allerg/i.test(info),
+  medications: info => /medicat|inhaler|insulin|epipen|epi-pen|tablets?\b/i.test(info),
+  'no-conditions': info => info.length === 0
+};
+
+/**
+ * Group a recipient status from the last invitation into a RESPONSE_OPTIONS value
+ * @param {string|undefined} status - resolveRecipientStatus result, undefined when never invited
+ * @returns {string} Response option value
+ */
+export const responseCategory = (status) => {
+  if (!status) return 'never';
+  if (status === 'sent') return 'delivered';
+  if (status === 'partial_failure') return 'failed';
+  return status;
+};
+
+// WhatsApp falls back to the phone number when it's a mobile, as deliveries do
+const reachableChannels = (guardian) => {
+  const mobile = Boolean(guardian.phone) && parsePhoneNumber(guardian.phone).canReceiveSms;
+  return [
+    guardian.email && 'email',
+    mobile && 'sms',
+    (guardian.whatsapp || mobile) && 'whatsapp'
+  ].filter(Boolean);
+};
+
+/**
+ * The value a field has for one learner and guardian pair
+ * @param {string} key - Field key
+ * @param {Object} pair - { learner, guardian, link }
+ * @param {Object} context - { balances, responses, languages, today }
+ * @returns {*} A number, a string, or a list of strings (any of which may match)
+ */
+const readField = (key, { learner, guardian, link }, { balances, responses, languages, today }) => {
+  switch (key) {
+    case 'grade': return learner.gradeId ? String(learner.gradeId) : null;
+    case 'age': return ageOn(learner.dateOfBirth, today);
+    case 'gender': return (learner.gender || '').toLowerCase() || null;
+    case 'medical': {
+      const info = String(learner.medicalInfo || '').trim();
+      return Object.keys(MEDICAL_MATCHERS).filter(option => MEDICAL_MATCHERS[option](info));
+    }
+    case 'balance': return Number(balances.get(String(learner._id)) ?? balances.get(String(learner.accessionNumber)) ?? 0);
+    case 'relationship': return link.relationship || null;
+    case 'preferredChannel': return guardian.preferredChannel || null;
+    case 'reachableBy': return reachableChannels(guardian);
+    case 'language': return languages.get(String(guardian._id)) || 'default';
+    case 'lastResponse': return responseCategory(responses[String(guardian._id)]);
+    default: return null;
+  }
+};
+
+const matchesRule = (rule, pair, context) => {
+  const value = readField(rule.field, pair, context);
+  if (fieldFor(rule.field).type === 'choice') {
+    const values = Array.isArray(value) ? value : [value];
+    const any = values.some(v => v !== null && rule.value.includes(v));
+    return rule.operator === 'isNot' ? !any : any;
+  }
+  if (value === null || value === undefined) return false;
+  const min = Number(rule.value.min);
+  const max = Number(rule.value.max);
+  if (rule.operator === 'atLeast') return value >= min;
+  if (rule.operator === 'atMost') return value <= max;
+  return value >= min && value <= max;
+};
+
+const matchesGroup = (group, pair, context) => {
+  if (group.rules.length === 0) return true;
+  const test = rule => (isGroup(rule) ? matchesGroup(rule, pair, context) : matchesRule(rule, pair, context));
+  return group.combinator === COMBINATORS.or ? group.rules.some(test) : group.rules.every(test);
+};
+
+/**
+ * Find who a segment reaches
+ * @param {Object} segment - { combinator, rules }
+ * @param {Object} audience
+ * @param {Array} audience.learners - The school's learners
+ * @param {Array} audience.guardians - The learners' guardians, each with links
+ * @param {Object} audience.responses - Guardian ID to status of their last invitation
+ * @param {Map} audience.languages - Guardian ID to preferred language
+ * @param {Map} audience.balances - Learner ID or admission number to outstanding balance
+ * @param {Object} options
+ * @param {string} options.mode - RECIPIENT_MODES value
+ * @param {Date} options.today - Day ages are measured on
+ * @returns {Object} { recipients, learnerCount } - recipients as planRecipients builds them
+ */
+export const matchSegment = (
+  segment,
+  { learners = [], guardians = [], responses = {}, languages = new Map(), balances = new Map() },
+  { mode = RECIPIENT_MODES.household, today = new Date() } = {}
+) => {
+  const context = { balances, responses, languages, today };
+  const learnerById = new Map(learners.map(l => [String(l._id), l]));
+
+  const links = guardians.flatMap(guardian => guardian.links
+    .filter(link => isContactable(link) && learnerById.has(String(link.learnerId)))
+    .filter(link => matchesGroup(segment, { learner: learnerById.get(String(link.learnerId)), guardian, link }, context)));
+
+  const matchedLearners = learners.filter(l => links.some(link => String(link.learnerId) === String(l._id)));
+  const { recipients } = planRecipients({ learners: matchedLearners, guardians, links, mode, languages });
+  return { recipients, learnerCount: matchedLearners.length };
+};
+
+/**
+ * Describe a rule in words, e.g. 'Grade is any of Grade 4A, Grade 4B'
+ * @param {Object} rule - { field, operator, value }
+ * @param {Object} options
+ * @param {Array} options.grades - [{ id, name }] to name grades by
+ * @returns {string} Description
+ */
+export const describeRule = (rule, { grades = [] } = {}) => {
+  const field = fieldFor(rule.field);
+  if (!field) return rule.field;
+  const operator = OPERATORS[rule.operator]?.label || rule.operator;
+  if (field.type === 'number') {
+    const { min, max } = rule.value || {};
+    if (rule.operator === 'atLeast') return `${field.label} ${operator} ${min}`;
+    if (rule.operator === 'atMost') return `${field.label} ${operator} ${max}`;
+    return `${field.label} ${operator} ${min} and ${max}`;
+  }
+  const options = field.key === 'grade' ? grades.map(g => ({ value: String(g.id), label: g.name })) : field.options;
+  const labels = (rule.value || []).map(value => options.find(o => o.value === value)?.label || value);
+  return `${field.label} ${operator} ${labels.join(', ')}`;
+};
+
+const Segments = {
+  COMBINATORS,
+  OPERATORS,
+  MEDICAL_OPTIONS,
+  RESPONSE_OPTIONS,
+  SEGMENT_FIELDS,
+  createGroup,
+  createRule,
+  validateSegment,
+  ageOn,
+  responseCategory,
+  matchSegment,
+  describeRule
+};
+
+export default Segments;
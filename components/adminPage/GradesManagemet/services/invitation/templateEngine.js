@@ -0,0 +1,509 @@
+/**
+ * TemplateEngine - Renders invitation templates for email, SMS and WhatsApp
+ *
+ * Syntax:
+ *   {{learnerName}}                    variable, dotted paths allowed ({{learner.grade}})
+ *   {{name | upper}}                   filters, chained left to right
+ *   {{date | format:"d MMM"}}          filter arguments are string or number literals
+ *   {{parentName | default:"Parent"}}  fallback for a missing value
+ *   {{#if balance}}...{{else}}...{{/if}}, {{#unless ...}}...{{/unless}}
+ *   {{#each siblings}}{{name}}{{/each}} loops, with {{@index}}, {{@number}}, {{@first}}, {{@last}}
+ *   {{! comment }}
+ *
+ * Templates never execute code: expressions are plain property lookups, only own
+ * properties are read, and filters come from a fixed list. Syntax errors are raised
+ * when a template is compiled and carry the line and column of the offending tag.
+ */
+
+export class TemplateSyntaxError extends Error {
+  constructor(message, { line, column }) {
+    super(`Line ${line}, column ${column}: ${message}`);
+    this.name = 'TemplateSyntaxError';
+    this.reason = message;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+const BLOCKED_KEYS = ['__proto__', 'prototype', 'constructor'];
+const PATH_PATTERN = /^(@[a-z]+|this|[A-Za-z_$][\w$]*)(\.[A-Za-z_$][\w$]*)*$/;
+const CACHE_LIMIT = 200;
+const compiledCache = new Map();
+
+/**
+ * Line and column (both 1-based) of an offset in the source
+ * @param {string} source - Template source
+ * @param {number} index - Offset
+ * @returns {Object} { line, column }
+ */
+const positionAt = (source, index) => {
+  const before = source.slice(0, index).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+};
+
+/**
+ * Split a string on a separator, ignoring separators inside quotes
+ * @param {string} text - Text to split
+ * @param {string} separator - Single-character separator
+ * @returns {Array} Parts, untrimmed
+ */
+const splitOutsideQuotes = (text, separator) => {
+  const parts = [];
+  let current = '';
+  let quote = null;
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === separator) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts;
+};
+
+/**
+ * Parse a filter argument literal
+ * @param {string} raw - Argument text
+ * @returns {string|number|undefined} Value, or undefined when it isn't a literal
+ */
+const parseLiteral = (raw) => {
+  const text = raw.trim();
+  const quoted = /^"([^"]*)"$|^'([^']*)'$/.exec(text);
+  if (quoted) return quoted[1] !== undefined ? quoted[1] : quoted[2];
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  return undefined;
+};
+
+/**
+ * Format a date with tokens: d dd M MM MMM MMMM yy yyyy EEE EEEE H HH h hh mm ss a
+ * Text in single quotes is copied as is, e.g. "d MMM 'at' HH:mm".
+ * @param {Date} date - Date to format
+ * @param {string} pattern - Format pattern
+ * @param {Object} options
+ * @param {string} options.locale - Locale for month and day names
+ * @param {string} options.timeZone - IANA timezone the date is shown in
+ * @returns {string} Formatted date
+ */
+const formatDate = (date, pattern, { locale, timeZone }) => {
+  const name = (opts) => new Intl.DateTimeFormat(locale, { ...opts, timeZone }).format(date);
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+
+  const pad = (value) => String(value).padStart(2, '0');
+  const hour12 = parts.hour % 12 || 12;
+  const tokens = {
+    yyyy: () => String(parts.year),
+    yy: () => pad(parts.year % 100),
+    MMMM: () => name({ month: 'long' }),
+    MMM: () => name({ month: 'short' }),
+    MM: () => pad(parts.month),
+    M: () => String(parts.month),
+    dd: () => pad(parts.day),
+    d: () => String(parts.day),
+    EEEE: () => name({ weekday: 'long' }),
+    EEE: () => name({ weekday: 'short' }),
+    HH: () => pad(parts.hour),
+    H: () => String(parts.hour),
+    hh: () => pad(hour12),
+    h: () => String(hour12),
+    mm: () => pad(parts.minute),
+    ss: () => pad(parts.second),
+    a: () => (parts.hour < 12 ? 'AM' : 'PM')
+  };
+
+  return pattern.replace(/'([^']*)'|EEEE|EEE|yyyy|yy|MMMM|MMM|MM|M|dd|d|HH|H|hh|h|mm|ss|a/g, (token, literal) => {
+    return literal !== undefined ? literal : tokens[token]();
+  });
+};
+
+/**
+ * Convert a value into a Date when it looks like one
+ * @param {*} value - Date, ISO string or timestamp
+ * @returns {Date|null} Date, or null when the value isn't a valid date
+ */
+const toDate = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Filters available in templates: (value, args, options) => value
+ */
+const FILTERS = {
+  upper: (value) => (isEmpty(value) ? value : String(value).toUpperCase()),
+  lower: (value) => (isEmpty(value) ? value : String(value).toLowerCase()),
+  capitalize: (value) => (isEmpty(value) ? value : String(value).charAt(0).toUpperCase() + String(value).slice(1)),
+  title: (value) => (isEmpty(value) ? value : String(value).toLowerCase().replace(/(^|[\s-])\S/g, match => match.toUpperCase())),
+  trim: (value) => (isEmpty(value) ? value : String(value).trim()),
+  default: (value, [fallback = '']) => (isEmpty(value) ? fallback : value),
+  format: (value, [pattern = 'd MMM yyyy'], options) => {
+    const date = toDate(value);
+    return date ? formatDate(date, String(pattern), options) : value;
+  },
+  truncate: (value, [length = 50, suffix = '…']) => {
+    if (isEmpty(value)) return value;
+    const text = String(value);
+    return text.length > length ? `${text.slice(0, Math.max(Number(length) - String(suffix).length, 0))}${suffix}` : text;
+  },
+  number: (value, [decimals = 0], { locale }) => {
+    const number = Number(value);
+    if (isEmpty(value) || Number.isNaN(number)) return value;
+    return new Intl.NumberFormat(locale, { minimumFractionDigits: decimals, maximumFractionDigits: decimals }).format(number);
+  },
+  currency: (value, [currency = 'ZAR'], { locale }) => {
+    const number = Number(value);
+    if (isEmpty(value) || Number.isNaN(number)) return value;
+    return new Intl.NumberFormat(locale, { style: 'currency', currency: String(currency) }).format(number);
+  },
+  join: (value, [separator = ', ']) => (Array.isArray(value) ? value.join(String(separator)) : value),
+  count: (value) => (Array.isArray(value) ? value.length : isEmpty(value) ? 0 : 1),
+  first: (value) => (Array.isArray(value) ? value[0] : value)
+};
+
+export const AVAILABLE_FILTERS = Object.keys(FILTERS);
+
+/**
+ * Parse the inside of a {{ }} tag into a path and filters
+ * @param {string} text - Expression text
+ * @param {Function} fail - Raises a syntax error at the tag
+ * @returns {Object} { path, filters }
+ */
+const parseExpression = (text, fail) => {
+  const [head, ...filterParts] = splitOutsideQuotes(text, '|');
+  const path = head.trim();
+  if (!path) fail('Empty expression');
+  if (!PATH_PATTERN.test(path)) fail(`"${path}" is not a valid variable name`);
+
+  const segments = path.split('.');
+  if (segments.some(segment => BLOCKED_KEYS.includes(segment))) {
+    fail(`"${path}" is not allowed in templates`);
+  }
+
+  const filters = filterParts.map(part => {
+    const colon = part.indexOf(':');
+    const name = (colon === -1 ? part : part.slice(0, colon)).trim();
+    if (!name) fail('Missing filter name after "|"');
+    if (!FILTERS[name]) fail(`Unknown filter "${name}". Available filters: ${AVAILABLE_FILTERS.join(', ')}`);
+
+    const args = colon === -1 ? [] : splitOutsideQuotes(part.slice(colon + 1), ',').map(raw => {
+      const value = parseLiteral(raw);
+      if (value === undefined) fail(`Filter "${name}" argument ${raw.trim() || '(empty)'} must be a quoted string or a number`);
+      return value;
+    });
+    return { name, args };
+  });
+
+  return { path, segments, filters };
+};
+
+/**
+ * Parse a template into a tree of nodes
+ * @param {string} source - Template source
+ * @returns {Array} Nodes
+ * @throws {TemplateSyntaxError} When the template is malformed
+ */
+const parse = (source) => {
+  const root = { type: 'root', body: [] };
+  const stack = [root];
+  let cursor = 0;
+
+  const current = () => stack[stack.length - 1];
+  const target = () => (current().inElse ? current().elseBody : current().body);
+
+  while (cursor < source.length) {
+    const open = source.indexOf('{{', cursor);
+    if (open === -1) {
+      target().push({ type: 'text', value: source.slice(cursor) });
+      break;
+    }
+    if (open > cursor) {
+      target().push({ type: 'text', value: source.slice(cursor, open) });
+    }
+
+    const position = positionAt(source, open);
+    const fail = (message) => {
+      throw new TemplateSyntaxError(message, position);
+    };
+
+    const close = source.indexOf('}}', open + 2);
+    const nextOpen = source.indexOf('{{', open + 2);
+    if (close === -1 || (nextOpen !== -1 && nextOpen < close)) {
+      fail('Tag is not closed with "}}"');
+    }
+
+    const tag = source.slice(open + 2, close).trim();
+    cursor = close + 2;
+
+    if (tag.startsWith('!')) continue;
+
+    if (tag.startsWith('#')) {
+      const [, helper, rest = ''] = /^#(\w*)\s*([\s\S]*)$/.exec(tag);
+      if (!['if', 'unless', 'each'].includes(helper)) {
+        fail(`Unknown block "{{#${helper}}}". Use #if, #unless or #each`);
+      }
+      if (!rest.trim()) fail(`{{#${helper}}} needs a variable, e.g. {{#${helper} ${helper === 'each' ? 'siblings' : 'balance'}}}`);
+
+      const node = { type: helper, expression: parseExpression(rest, fail), body: [], elseBody: [], inElse: false, position };
+      target().push(node);
+      stack.push(node);
+      continue;
+    }
+
+    if (tag === 'else') {
+      const block = current();
+      if (block.type === 'root') fail('{{else}} without an opening {{#if}}, {{#unless}} or {{#each}}');
+      if (block.inElse) fail(`{{#${block.type}}} on line ${block.position.line} already has an {{else}}`);
+      block.inElse = true;
+      continue;
+    }
+
+    if (tag.startsWith('/')) {
+      const name = tag.slice(1).trim();
+      const block = current();
+      if (block.type === 'root') fail(`{{/${name}}} has no matching {{#${name}}}`);
+      if (block.type !== name) {
+        fail(`{{/${name}}} closes {{#${block.type}}} opened on line ${block.position.line}; expected {{/${block.type}}}`);
+      }
+      stack.pop();
+      continue;
+    }
+
+    target().push({ type: 'variable', expression: parseExpression(tag, fail), position });
+  }
+
+  if (stack.length > 1) {
+    const block = current();
+    throw new TemplateSyntaxError(`{{#${block.type}}} is never closed with {{/${block.type}}}`, block.position);
+  }
+  return root.body;
+};
+
+const hasOwn = (object, key) => object !== null && typeof object === 'object' && Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Resolve a path against the scope chain, innermost scope first
+ * @param {Object} expression - Parsed expression
+ * @param {Array} scopes - Scope chain
+ * @param {Object} loop - Current loop variables (@index etc.)
+ * @returns {*} Value, or undefined when not found
+ */
+const lookup = ({ segments }, scopes, loop) => {
+  const [first, ...rest] = segments;
+  let value;
+
+  if (first.startsWith('@')) {
+    value = loop ? loop[first.slice(1)] : undefined;
+  } else if (first === 'this') {
+    value = scopes[scopes.length - 1];
+  } else {
+    const scope = [...scopes].reverse().find(s => hasOwn(s, first));
+    value = scope ? scope[first] : undefined;
+  }
+
+  for (const segment of rest) {
+    if (!hasOwn(value, segment)) return undefined;
+    value = value[segment];
+  }
+  return value;
+};
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Turn a value into output text
+ * @param {*} value - Value
+ * @param {Object} options - Render options
+ * @returns {string} Text
+ */
+const stringify = (value, options) => {
+  let text;
+  if (value instanceof Date) {
+    text = formatDate(value, 'd MMM yyyy', options);
+  } else if (Array.isArray(value)) {
+    text = value.filter(item => typeof item !== 'object').join(', ');
+  } else if (typeof value === 'object') {
+    text = '';
+  } else {
+    text = String(value);
+  }
+  return options.escape === 'html' ? text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]) : text;
+};
+
+const evaluate = (expression, scopes, loop, options) => {
+  let value = lookup(expression, scopes, loop);
+  if (isEmpty(value) && hasOwn(options.fallbacks, expression.path)) {
+    value = options.fallbacks[expression.path];
+  }
+  return expression.filters.reduce((result, filter) => FILTERS[filter.name](result, filter.args, options), value);
+};
+
+const isTruthy = (value) => !isEmpty(value) && value !== false && value !== 0;
+
+/**
+ * Render nodes into text
+ * @param {Array} nodes - Parsed nodes
+ * @param {Array} scopes - Scope chain
+ * @param {Object} loop - Current loop variables
+ * @param {Object} options - Render options
+ * @param {Set} missing - Collects variables that had no value
+ * @returns {string} Output
+ */
+const renderNodes = (nodes, scopes, loop, options, missing) => {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+
+      case 'variable': {
+        const value = evaluate(node.expression, scopes, loop, options);
+        if (value === undefined || value === null || value === '') {
+          missing.add(node.expression.path);
+          return options.missing === 'keep' ? `{{${node.expression.path}}}` : '';
+        }
+        return stringify(value, options);
+      }
+
+      case 'if':
+      case 'unless': {
+        const truthy = isTruthy(evaluate(node.expression, scopes, loop, options));
+        const branch = truthy === (node.type === 'if') ? node.body : node.elseBody;
+        return renderNodes(branch, scopes, loop, options, missing);
+      }
+
+      case 'each': {
+        const items = evaluate(node.expression, scopes, loop, options);
+        if (!Array.isArray(items) || items.length === 0) {
+          return renderNodes(node.elseBody, scopes, loop, options, missing);
+        }
+        return items.map((item, index) => renderNodes(node.body, [...scopes, item], {
+          index,
+          number: index + 1,
+          first: index === 0,
+          last: index === items.length - 1
+        }, options, missing)).join('');
+      }
+
+      default:
+        return '';
+    }
+  }).join('');
+};
+
+/**
+ * Compile a template; compiled templates are cached by source
+ * @param {string} source - Template source
+ * @returns {Object} { render(data, options) => string, renderWithReport(data, options) => { output, missing } }
+ * @throws {TemplateSyntaxError} When the template is malformed
+ */
+export const compileTemplate = (source = '') => {
+  const text = String(source || '');
+  if (compiledCache.has(text)) return compiledCache.get(text);
+
+  const nodes = parse(text);
+  const renderWithReport = (data = {}, renderOptions = {}) => {
+    const options = {
+      missing: 'empty',
+      escape: null,
+      fallbacks: {},
+      locale: 'en-ZA',
+      timeZone: 'Africa/Johannesburg',
+      ...renderOptions
+    };
+    const missing = new Set();
+    const output = renderNodes(nodes, [data], null, options, missing);
+    return { output, missing: [...missing] };
+  };
+  const compiled = {
+    render: (data, options) => renderWithReport(data, options).output,
+    renderWithReport
+  };
+
+  if (compiledCache.size >= CACHE_LIMIT) {
+    compiledCache.delete(compiledCache.keys().next().value);
+  }
+  compiledCache.set(text, compiled);
+  return compiled;
+};
+
+/**
+ * Render a template in one step
+ * @param {string} source - Template source
+ * @param {Object} data - Values for the template's variables
+ * @param {Object} options
+ * @param {string} options.missing - 'empty' (default) drops missing values, 'keep' leaves {{name}} visible
+ * @param {string} options.escape - 'html' escapes variable output for email bodies
+ * @param {Object} options.fallbacks - Values used when a variable is missing, keyed by path
+ * @param {string} options.locale - Locale for dates and numbers (default 'en-ZA')
+ * @param {string} options.timeZone - Timezone dates are shown in (default 'Africa/Johannesburg')
+ * @returns {string} Rendered text
+ * @throws {TemplateSyntaxError} When the template is malformed
+ */
+export const renderTemplate = (source, data, options = {}) => compileTemplate(source).render(data, options);
+
+/**
+ * Check a template for syntax errors without rendering it
+ * @param {string} source - Template source
+ * @returns {Object} { isValid, error } where error is { message, line, column } or null
+ */
+export const validateTemplate = (source) => {
+  try {
+    compileTemplate(source);
+    return { isValid: true, error: null };
+  } catch (error) {
+    if (!(error instanceof TemplateSyntaxError)) throw error;
+    return { isValid: false, error: { message: error.message, line: error.line, column: error.column } };
+  }
+};
+
+/**
+ * List the top-level variables a template reads (loop bodies excluded)
+ * @param {string} source - Template source
+ * @returns {Array} Variable paths, e.g. ['parentName', 'siblings']
+ * @throws {TemplateSyntaxError} When the template is malformed
+ */
+export const extractVariables = (source) => {
+  const variables = new Set();
+  const visit = (nodes) => nodes.forEach(node => {
+    if (node.type === 'text') return;
+    if (!node.expression.path.startsWith('@') && node.expression.path !== 'this') {
+      variables.add(node.expression.path);
+    }
+    if (node.type === 'if' || node.type === 'unless') {
+      visit(node.body);
+      visit(node.elseBody);
+    }
+  });
+  visit(parse(String(source || '')));
+  return [...variables];
+};
+
+const TemplateEngine = {
+  compileTemplate,
+  renderTemplate,
+  validateTemplate,
+  extractVariables,
+  AVAILABLE_FILTERS,
+  TemplateSyntaxError
+};
+
+export default TemplateEngine;
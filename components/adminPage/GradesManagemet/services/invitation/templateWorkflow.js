@@ -0,0 +1,124 @@
+/**
+ * TemplateWorkflow - Approval states for invitation template versions and a line diff
+ * for comparing two versions. Shared by TemplateManager and the template API routes.
+ *
+ * Every save creates a new, immutable version in draft. A draft is submitted for review
+ * and a principal approves or rejects it; only approved versions can be used to send.
+ */
+
+export const TEMPLATE_STATUSES = {
+  draft: 'draft',
+  submitted: 'submitted',
+  approved: 'approved',
+  rejected: 'rejected'
+};
+
+/** Auth0 roles allowed to approve or reject template wording */
+export const TEMPLATE_APPROVER_ROLES = ['Principal'];
+
+/** Workflow actions and the status a version must be in for each */
+export const TEMPLATE_ACTIONS = {
+  submit: { from: TEMPLATE_STATUSES.draft, to: TEMPLATE_STATUSES.submitted, requiresApprover: false },
+  approve: { from: TEMPLATE_STATUSES.submitted, to: TEMPLATE_STATUSES.approved, requiresApprover: true },
+  reject: { from: TEMPLATE_STATUSES.submitted, to: TEMPLATE_STATUSES.rejected, requiresApprover: true }
+};
+
+export const STATUS_LABELS = {
+  draft: 'Draft',
+  submitted: 'Awaiting approval',
+  approved: 'Approved',
+  rejected: 'Changes requested'
+};
+
+/**
+ * Check whether a user may approve templates
+ * @param {Array} roles - Role names
+ * @returns {boolean} True for principals
+ */
+export const canApproveTemplates = (roles = []) => {
+  return roles.some(role => TEMPLATE_APPROVER_ROLES.includes(role));
+};
+
+/**
+ * Check whether an action can be taken on a version in its current status
+ * @param {string} action - Key of TEMPLATE_ACTIONS
+ * @param {string} status - Current version status
+ * @returns {boolean} True when allowed
+ */
+export const canTransition = (action, status) => {
+  return TEMPLATE_ACTIONS[action]?.from === status;
+};
+
+/**
+ * Compare two texts line by line for a side-by-side view
+ * Removed and added lines next to each other are paired up as a change.
+ *
+ * @param {string} before - Older text
+ * @param {string} after - Newer text
+ * @returns {Array} Rows of { type: 'same'|'removed'|'added'|'changed', left, right },
+ *   where left and right are { number, text } or null
+ */
+export const diffLines = (before = '', after = '') => {
+  const a = String(before).split('\n');
+  const b = String(after).split('\n');
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: 'same', left: { number: i + 1, text: a[i] }, right: { number: j + 1, text: b[j] } });
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ type: 'removed', left: { number: i + 1, text: a[i] }, right: null });
+      i++;
+    } else {
+      ops.push({ type: 'added', left: null, right: { number: j + 1, text: b[j] } });
+      j++;
+    }
+  }
+
+  // Pair each run of removals with the additions that follow it
+  const rows = [];
+  let k = 0;
+  while (k < ops.length) {
+    if (ops[k].type !== 'removed') {
+      rows.push(ops[k]);
+      k++;
+      continue;
+    }
+    const removed = [];
+    while (k < ops.length && ops[k].type === 'removed') removed.push(ops[k++]);
+    const added = [];
+    while (k < ops.length && ops[k].type === 'added') added.push(ops[k++]);
+
+    for (let n = 0; n < Math.max(removed.length, added.length); n++) {
+      const left = removed[n]?.left || null;
+      const right = added[n]?.right || null;
+      rows.push({ type: left && right ? 'changed' : left ? 'removed' : 'added', left, right });
+    }
+  }
+
+  return rows;
+};
+
+const TemplateWorkflow = {
+  TEMPLATE_STATUSES,
+  TEMPLATE_APPROVER_ROLES,
+  TEMPLATE_ACTIONS,
+  STATUS_LABELS,
+  canApproveTemplates,
+  canTransition,
+  diffLines
+};
+
+export default TemplateWorkflow;
@@ -0,0 +1,168 @@
+/**
+ * WhatsAppTemplateMapping - Maps invitation variables onto the numbered parameters of an
+ * approved WhatsApp message template and builds the Cloud API `components` for a send
+ *
+ * A mapping stores, per parameter, a small template in our own syntax such as
+ * "{{parentName | default:\"Parent\"}}" or "Grade {{grade}}". Each is rendered with the
+ * recipient's values when the message is sent, so filters and fallbacks work as they
+ * do in the message editor. Media headers take a public https link instead.
+ */
+
+import { renderTemplate } from './templateEngine';
+
+export const MEDIA_HEADER_FORMATS = ['IMAGE', 'DOCUMENT', 'VIDEO'];
+
+const PARAMETER_PATTERN = /\{\{(\d+)\}\}/g;
+
+/**
+ * Count the numbered parameters in a template component's text
+ * @param {string} text - Component text, e.g. "Hi {{1}}, {{2}} starts on {{3}}"
+ * @returns {number} Highest parameter number used
+ */
+const countParameters = (text = '') => {
+  let highest = 0;
+  for (const match of String(text).matchAll(PARAMETER_PATTERN)) {
+    highest = Math.max(highest, Number(match[1]));
+  }
+  return highest;
+};
+
+/**
+ * Summarise a synced template into the parts that take parameters
+ * @param {Object} template - Template as returned by the Management API
+ * @returns {Object} { name, language, category, status, header, body, footer }
+ */
+export const describeWhatsAppTemplate = (template) => {
+  const components = template?.components || [];
+  const header = components.find(c => c.type === 'HEADER');
+  const body = components.find(c => c.type === 'BODY');
+  const footer = components.find(c => c.type === 'FOOTER');
+
+  return {
+    name: template?.name,
+    language: template?.language,
+    category: template?.category,
+    status: template?.status,
+    header: header ? {
+      format: header.format || 'TEXT',
+      text: header.text || '',
+      parameterCount: header.format === 'TEXT' || !header.format ? countParameters(header.text) : 0
+    } : null,
+    body: { text: body?.text || '', parameterCount: countParameters(body?.text) },
+    footer: footer?.text || null
+  };
+};
+
+/**
+ * Check a mapping covers every parameter the template needs
+ * @param {Object} description - Result of describeWhatsAppTemplate
+ * @param {Object} mapping - { header: { parameters, mediaUrl }, body: { parameters } }
+ * @returns {Array} Error messages, empty when the mapping is complete
+ */
+export const validateTemplateMapping = (description, mapping = {}) => {
+  const errors = [];
+  const check = (part, count, values = []) => {
+    for (let n = 1; n <= count; n++) {
+      if (!String(values[n - 1] || '').trim()) {
+        errors.push(`${part} parameter {{${n}}} is not mapped`);
+      }
+    }
+  };
+
+  if (description.header && MEDIA_HEADER_FORMATS.includes(description.header.format)) {
+    if (!/^https:\/\//.test(mapping.header?.mediaUrl || '')) {
+      errors.push(`The ${description.header.format.toLowerCase()} header needs a public https link`);
+    }
+  } else if (description.header) {
+    check('Header', description.header.parameterCount, mapping.header?.parameters);
+  }
+  check('Body', description.body.parameterCount, mapping.body?.parameters);
+
+  return errors;
+};
+
+/**
+ * Render one mapped parameter for a recipient
+ * WhatsApp rejects parameters that are empty or contain new lines, tabs or long runs of spaces.
+ *
+ * @param {string} source - Mapped template, e.g. "{{learnerName}}"
+ * @param {Object} data - Recipient values
+ * @param {string} label - Parameter label used in errors
+ * @returns {string} Parameter text
+ */
+const renderParameter = (source, data, label) => {
+  const text = renderTemplate(source || '', data)
+    .replace(/[\n\t]+/g, ' ')
+    .replace(/ {4,}/g, '   ')
+    .trim();
+  if (!text) {
+    throw new Error(`WhatsApp template parameter ${label} has no value for this recipient`);
+  }
+  return text;
+};
+
+/**
+ * Build the `components` of a Cloud API template message for one recipient
+ * @param {Object} description - Result of describeWhatsAppTemplate
+ * @param {Object} mapping - Saved mapping for the template
+ * @param {Object} data - Recipient values, as used by the template engine
+ * @returns {Array} Components for the `template` object of a messages request
+ */
+export const buildTemplateComponents = (description, mapping = {}, data = {}) => {
+  const components = [];
+  const { header, body } = description;
+
+  if (header && MEDIA_HEADER_FORMATS.includes(header.format)) {
+    const type = header.format.toLowerCase();
+    components.push({ type: 'header', parameters: [{ type, [type]: { link: mapping.header?.mediaUrl } }] });
+  } else if (header?.parameterCount > 0) {
+    components.push({
+      type: 'header',
+      parameters: Array.from({ length: header.parameterCount }, (_, i) => ({
+        type: 'text',
+        text: renderParameter(mapping.header?.parameters?.[i], data, `header {{${i + 1}}}`)
+      }))
+    });
+  }
+
+  if (body.parameterCount > 0) {
+    components.push({
+      type: 'body',
+      parameters: Array.from({ length: body.parameterCount }, (_, i) => ({
+        type: 'text',
+        text: renderParameter(mapping.body?.parameters?.[i], data, `{{${i + 1}}}`)
+      }))
+    });
+  }
+
+  return components;
+};
+
+/**
+ * Show a template's body as a recipient would see it, for previews
+ * Unmapped or empty parameters stay visible as {{n}}.
+ *
+ * @param {Object} description - Result of describeWhatsAppTemplate
+ * @param {Object} mapping - Mapping being edited
+ * @param {Object} data - Sample recipient values
+ * @returns {string} Body text with parameters filled in
+ */
+export const previewTemplateBody = (description, mapping = {}, data = {}) => {
+  return description.body.text.replace(PARAMETER_PATTERN, (placeholder, n) => {
+    try {
+      return renderTemplate(mapping.body?.parameters?.[Number(n) - 1] || '', data).trim() || placeholder;
+    } catch (error) {
+      return placeholder;
+    }
+  });
+};
+
+const WhatsAppTemplateMapping = {
+  MEDIA_HEADER_FORMATS,
+  describeWhatsAppTemplate,
+  validateTemplateMapping,
+  buildTemplateComponents,
+  previewTemplateBody
+};
+
+export default WhatsAppTemplateMapping;
@@ -0,0 +1,251 @@
+/**
+ * Guardians - Guardians, their links to learners and the households they form
+ *
+ * A learner can have several guardians and a guardian several learners. Each link carries
+ * the relationship, whether the guardian is the learner's primary contact, and any
+ * restriction on contacting them about that learner. A restriction applies to one link
+ * only: a parent barred from hearing about one child still hears about the others.
+ *
+ * Guardians who live together share a household. Learners belong to the households of the
+ * guardians linked to them, so children of separated parents belong to both. Invitations
+ * can go once per household, naming every child it covers, instead of once per child.
+ *
+ * Shared by the guardian editor, RecipientSelector and the server.
+ */
+
+import { validatePhoneNumber } from '../invitation/phoneNumbers';
+
+export const GUARDIAN_RELATIONSHIPS = [
+  { value: 'mother', label: 'Mother' },
+  { value: 'father', label: 'Father' },
+  { value: 'stepParent', label: 'Step-parent' },
+  { value: 'grandparent', label: 'Grandparent' },
+  { value: 'legalGuardian', label: 'Legal guardian' },
+  { value: 'fosterParent', label: 'Foster parent' },
+  { value: 'sibling', label: 'Older sibling' },
+  { value: 'other', label: 'Other' }
+];
+
+export const CONTACT_RESTRICTIONS = {
+  doNotContact: {
+    label: 'Do not contact',
+    description: 'Never sent messages about this learner'
+  },
+  noCustody: {
+    label: 'No custody',
+    description: 'Court order: not sent messages about this learner and may not collect them'
+  }
+};
+
+/** Channels a guardian can ask to be contacted on */
+export const CONTACT_CHANNELS = [
+  { value: 'email', label: 'Email' },
+  { value: 'sms', label: 'SMS' },
+  { value: 'whatsapp', label: 'WhatsApp' }
+];
+
+/** Ways an invitation can be addressed */
+export const RECIPIENT_MODES = {
+  household: 'household',
+  learner: 'learner'
+};
+
+const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+const clean = (value) => (typeof value === 'string' ? value.trim() : value ?? '');
+
+/**
+ * Validate and normalise a guardian's details
+ * Phone and WhatsApp numbers are stored in E.164.
+ * @param {Object} guardian - { name, email, phone, whatsapp, telegram, preferredChannel }
+ * @returns {Object} { isValid, errors: { field: message }, guardian } - guardian normalised
+ */
+export const validateGuardian = (guardian = {}) => {
+  const errors = {};
+  const normalised = {
+    name: clean(guardian.name),
+    email: clean(guardian.email).toLowerCase() || null,
+    phone: null,
+    whatsapp: null,
+    telegram: clean(guardian.telegram) || null,
+    preferredChannel: guardian.preferredChannel || null
+  };
+
+  if (!normalised.name) {
+    errors.name = 'Name is required';
+  }
+  if (normalised.email && !isValidEmail(normalised.email)) {
+    errors.email = `${normalised.email} is not an email address`;
+  }
+  [['phone', null], ['whatsapp', 'whatsapp']].forEach(([field, channel]) => {
+    if (!clean(guardian[field])) return;
+    const { isValid, error, phone } = validatePhoneNumber(guardian[field], { channel });
+    if (isValid) normalised[field] = phone.e164;
+    else errors[field] = error;
+  });
+  if (normalised.preferredChannel && !CONTACT_CHANNELS.some(c => c.value === normalised.preferredChannel)) {
+    errors.preferredChannel = `Unknown channel: ${normalised.preferredChannel}`;
+  }
+  if (!normalised.email && !clean(guardian.phone) && !clean(guardian.whatsapp)) {
+    errors.contact = 'An email address, phone or WhatsApp number is required';
+  }
+
+  return { isValid: Object.keys(errors).length === 0, errors, guardian: normalised };
+};
+
+/**
+ * Validate a link between a guardian and a learner
+ * @param {Object} link - { relationship, isPrimary, restriction, restrictionNote }
+ * @returns {Object} { isValid, errors: { field: message } }
+ */
+export const validateLink = (link = {}) => {
+  const errors = {};
+  if (!GUARDIAN_RELATIONSHIPS.some(r => r.value === link.relationship)) {
+    errors.relationship = 'Choose how the guardian is related to the learner';
+  }
+  if (link.restriction && !CONTACT_RESTRICTIONS[link.restriction]) {
+    errors.restriction = `Unknown restriction: ${link.restriction}`;
+  }
+  if (link.restriction && link.isPrimary) {
+    errors.isPrimary = 'A guardian who may not be contacted can\'t be the primary contact';
+  }
+  return { isValid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * Whether a guardian may be sent messages about the learner a link is to
+ * @param {Object} link - Guardian link
+ * @returns {boolean} True when nothing restricts contact
+ */
+export const isContactable = (link) => !link?.restriction;
+
+/**
+ * Describe a link for the guardian lists, e.g. 'Mother, primary contact'
+ * @param {Object} link - Guardian link
+ * @returns {string} Description
+ */
+export const describeLink = (link) => {
+  const relationship = GUARDIAN_RELATIONSHIPS.find(r => r.value === link.relationship)?.label || 'Guardian';
+  if (link.restriction) return `${relationship}, ${CONTACT_RESTRICTIONS[link.restriction]?.label.toLowerCase()}`;
+  return link.isPrimary ? `${relationship}, primary contact` : relationship;
+};
+
+const fullName = (learner) => `${learner.firstName || ''} ${learner.lastName || ''}`.trim();
+
+/**
+ * Work out who an invitation about some learners goes to
+ * In household mode each household gets one message, to the guardian who is primary
+ * contact for most of its selected learners, naming every child that guardian may hear
+ * about; children that guardian is barred from go to another guardian of the household.
+ * In learner mode each learner's primary contact gets one message per learner.
+ * @param {Object} params
+ * @param {Array} params.learners - Selected learners, with _id, firstName, lastName, gradeName
+ * @param {Array} params.guardians - Their guardians, with _id and householdId
+ * @param {Array} params.links - Links between them
+ * @param {string} params.mode - RECIPIENT_MODES value
+ * @param {Map} params.languages - Guardian ID to preferred language
+ * @returns {Object} { recipients, unreachable: [{ learnerId, name }] }
+ */
+export const planRecipients = ({
+  learners = [],
+  guardians = [],
+  links = [],
+  mode = RECIPIENT_MODES.household,
+  languages = new Map()
+}) => {
+  const guardianById = new Map(guardians.map(g => [String(g._id), g]));
+  const learnerById = new Map(learners.map(l => [String(l._id), l]));
+  const contactable = links.filter(link => isContactable(link)
+    && guardianById.has(String(link.guardianId))
+    && learnerById.has(String(link.learnerId)));
+
+  const toRecipient = (guardian, covered, id) => {
+    const [student, ...siblings] = covered;
+    const guardianId = String(guardian._id);
+    return {
+      id,
+      guardianId,
+      householdId: guardian.householdId || null,
+      name: guardian.name,
+      email: guardian.email || null,
+      phone: guardian.phone || null,
+      whatsapp: guardian.whatsapp || null,
+      language: languages.get(guardianId) || null,
+      studentName: fullName(student),
+      learnerIds: covered.map(l => String(l._id)),
+      siblings: siblings.map(l => ({ name: fullName(l), gradeName: l.gradeName || null }))
+    };
+  };
+
+  // Primary contacts first, then by name, so the choice is the same on every load
+  const ranked = (candidates) => [...candidates].sort((a, b) => (b.isPrimary ? 1 : 0) - (a.isPrimary ? 1 : 0)
+    || String(guardianById.get(String(a.guardianId)).name).localeCompare(guardianById.get(String(b.guardianId)).name));
+
+  const recipients = [];
+  const reached = new Set();
+
+  if (mode === RECIPIENT_MODES.learner) {
+    learners.forEach(learner => {
+      const learnerId = String(learner._id);
+      const [best] = ranked(contactable.filter(link => String(link.learnerId) === learnerId));
+      if (!best) return;
+      const guardian = guardianById.get(String(best.guardianId));
+      recipients.push(toRecipient(guardian, [learner], `${guardian._id}:${learnerId}`));
+      reached.add(learnerId);
+    });
+  } else {
+    const households = new Map();
+    contactable.forEach(link => {
+      const guardian = guardianById.get(String(link.guardianId));
+      const key = guardian.householdId || `guardian:${guardian._id}`;
+      if (!households.has(key)) households.set(key, []);
+      households.get(key).push(link);
+    });
+
+    households.forEach(householdLinks => {
+      let remaining = householdLinks;
+      while (remaining.length > 0) {
+        // The guardian who can hear about the most children, primary contacts winning ties
+        const counts = new Map();
+        remaining.forEach(link => {
+          const id = String(link.guardianId);
+          const count = counts.get(id) || { guardianId: id, learners: 0, primary: 0 };
+          count.learners += 1;
+          count.primary += link.isPrimary ? 1 : 0;
+          counts.set(id, count);
+        });
+        const [best] = [...counts.values()].sort((a, b) => b.primary - a.primary
+          || b.learners - a.learners
+          || String(guardianById.get(a.guardianId).name).localeCompare(guardianById.get(b.guardianId).name));
+
+        const guardian = guardianById.get(best.guardianId);
+        const coveredIds = new Set(remaining.filter(link => String(link.guardianId) === best.guardianId).map(link => String(link.learnerId)));
+        const covered = learners.filter(l => coveredIds.has(String(l._id)));
+        recipients.push(toRecipient(guardian, covered, String(guardian._id)));
+        coveredIds.forEach(id => reached.add(id));
+        remaining = remaining.filter(link => !coveredIds.has(String(link.learnerId)));
+      }
+    });
+  }
+
+  return {
+    recipients,
+    unreachable: learners
+      .filter(l => !reached.has(String(l._id)))
+      .map(l => ({ learnerId: String(l._id), name: fullName(l) }))
+  };
+};
+
+const Guardians = {
+  GUARDIAN_RELATIONSHIPS,
+  CONTACT_RESTRICTIONS,
+  CONTACT_CHANNELS,
+  RECIPIENT_MODES,
+  validateGuardian,
+  validateLink,
+  isContactable,
+  describeLink,
+  planRecipients
+};
+
+export default Guardians;
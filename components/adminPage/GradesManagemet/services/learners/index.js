@@ -0,0 +1,8 @@
+/**
+ * Learner Services Index
+ * Exports all learner-related services for easy importing
+ */
+
+export { default as LearnerImport } from './learnerImport';
+export { default as LearnerMatching } from './learnerMatching';
+export { default as Guardians } from './guardians';
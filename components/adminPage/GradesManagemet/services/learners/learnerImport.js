@@ -0,0 +1,516 @@
+/**
+ * LearnerImport - Reading learner spreadsheets into learner records
+ *
+ * A mapping matches spreadsheet columns to IMPORT_FIELDS: { fieldKey: column header }. It is
+ * guessed from common header names, adjusted by the admin and saved per school, so the
+ * next export from the same admin system maps itself.
+ *
+ * Every row is then checked on its own (names, ID number, dates, phone numbers, guardian)
+ * and against the rest of the file (an ID or admission number may appear once). Rows with
+ * errors are kept and shown, never dropped: admins fix them in place or download a report,
+ * and only rows without errors are uploaded.
+ *
+ * Shared by BulkUpload and the import mapping API.
+ */
+
+import { parsePhoneNumber, validatePhoneNumber } from '../invitation/phoneNumbers';
+
+export const IMPORT_FIELD_GROUPS = {
+  learner: 'Learner',
+  guardian: 'Guardian'
+};
+
+/**
+ * Fields a column can be mapped to
+ * type drives validation: text, gender, idNumber, date, phone or email
+ */
+export const IMPORT_FIELDS = [
+  {
+    key: 'firstName',
+    label: 'First name',
+    group: 'learner',
+    type: 'text',
+    required: true,
+    aliases: ['Learner First Name', 'First Name', 'Firstname', 'Name', 'Given Name', 'Forename', 'Student First Name']
+  },
+  {
+    key: 'lastName',
+    label: 'Last name',
+    group: 'learner',
+    type: 'text',
+    required: true,
+    aliases: ['Learner Surname', 'Last Name', 'Lastname', 'Surname', 'Family Name', 'Student Surname', 'Student Last Name']
+  },
+  {
+    key: 'gender',
+    label: 'Gender',
+    group: 'learner',
+    type: 'gender',
+    aliases: ['Gender', 'Sex', 'M/F', 'Male/Female']
+  },
+  {
+    key: 'idNumber',
+    label: 'ID number',
+    group: 'learner',
+    type: 'idNumber',
+    aliases: ['ID Number', 'SA ID', 'SA ID Number', 'Identity Number', 'ID No', 'Learner ID Number']
+  },
+  {
+    key: 'accessionNumber',
+    label: 'Admission number',
+    group: 'learner',
+    type: 'text',
+    aliases: ['Admission Number', 'Admission No', 'Accession Number', 'Accession', 'Student Number', 'Learner Number', 'Student ID', 'Learner ID', 'ID', 'Reference Number']
+  },
+  {
+    key: 'dateOfBirth',
+    label: 'Date of birth',
+    group: 'learner',
+    type: 'date',
+    aliases: ['Date of Birth', 'DOB', 'Birth Date', 'Birthdate', 'Birthday']
+  },
+  {
+    key: 'phone',
+    label: 'Cell phone',
+    group: 'learner',
+    type: 'phone',
+    aliases: ['Cell Phone Number', 'Mobile', 'Cell', 'Phone', 'Mobile Number', 'Cell Number', 'Contact Number', 'Phone Number']
+  },
+  {
+    key: 'telHome',
+    label: 'Home phone',
+    group: 'learner',
+    type: 'phone',
+    aliases: ['Tel Number (H)ome', 'Tel Number (Home)', 'Home Phone', 'Home Number', 'Tel Home', 'Home Tel', 'Telephone Home']
+  },
+  {
+    key: 'telEmergency',
+    label: 'Emergency phone',
+    group: 'learner',
+    type: 'phone',
+    aliases: ['Tel Number (E)mergency', 'Tel Number (Emergency)', 'Emergency Phone', 'Emergency Number', 'Tel Emergency', 'Emergency Tel', 'Emergency Contact']
+  },
+  {
+    key: 'whatsapp',
+    label: 'WhatsApp',
+    group: 'learner',
+    type: 'phone',
+    aliases: ['WhatsApp', 'WhatsApp Number', 'WhatsApp Phone', 'WA Number', 'WhatsApp Contact']
+  },
+  {
+    key: 'telegram',
+    label: 'Telegram',
+    group: 'learner',
+    type: 'text',
+    aliases: ['Telegram', 'Telegram Username', 'Telegram Handle', 'Telegram ID', 'Telegram Contact', '@Telegram']
+  },
+  {
+    key: 'parentName',
+    label: 'Guardian name',
+    group: 'guardian',
+    type: 'text',
+    aliases: ['Parent Name', 'Guardian Name', 'Parent', 'Guardian', 'Parent/Guardian', 'Parent Full Name', 'Mother Name', 'Father Name']
+  },
+  {
+    key: 'parentPhone',
+    label: 'Guardian phone',
+    group: 'guardian',
+    type: 'phone',
+    aliases: ['Parent Phone', 'Guardian Phone', 'Parent Cell', 'Guardian Cell', 'Parent Mobile', 'Guardian Mobile', 'Parent Contact Number']
+  },
+  {
+    key: 'parentEmail',
+    label: 'Guardian email',
+    group: 'guardian',
+    type: 'email',
+    aliases: ['Parent Email', 'Guardian Email', 'Email', 'E-mail', 'Email Address', 'Parent E-mail']
+  }
+];
+
+export const ISSUE_SEVERITIES = {
+  error: 'error',
+  warning: 'warning'
+};
+
+/** Rows searched for the header row; exports often open with a title block */
+const HEADER_SEARCH_ROWS = 20;
+
+/** Contact fields messages can reach a learner's family on, in order of preference for SMS */
+const SMS_FIELDS = ['phone', 'telHome', 'telEmergency'];
+
+/** Fields that identify a learner, so may appear only once in a file */
+const UNIQUE_FIELDS = ['idNumber', 'accessionNumber'];
+
+const GENDERS = {
+  m: 'Male',
+  male: 'Male',
+  boy: 'Male',
+  f: 'Female',
+  female: 'Female',
+  girl: 'Female'
+};
+
+const fieldByKey = (key) => IMPORT_FIELDS.find(field => field.key === key);
+
+/**
+ * Reduce a header to what identifies it: lower case, no spaces or punctuation
+ * @param {string} header - Column header as written
+ * @returns {string} Normalised header
+ */
+export const normaliseHeader = (header) => String(header ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Guess a mapping from column headers
+ * A field takes the first header matching one of its aliases; each header is used once.
+ * @param {Array} headers - Column headers
+ * @param {Object} mapping - Fields already mapped, left as they are
+ * @returns {Object} { fieldKey: header }
+ */
+export const guessMapping = (headers = [], mapping = {}) => {
+  const result = { ...mapping };
+  const used = new Set(Object.values(result));
+  const normalised = headers.map(normaliseHeader);
+
+  IMPORT_FIELDS.forEach(field => {
+    if (result[field.key]) return;
+    for (const alias of field.aliases) {
+      const index = normalised.findIndex((header, i) => header === normaliseHeader(alias) && !used.has(headers[i]));
+      if (index !== -1) {
+        result[field.key] = headers[index];
+        used.add(headers[index]);
+        return;
+      }
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Work out the mapping for a file from the school's saved mapping
+ * Saved columns the file still has are kept; the remaining fields are guessed.
+ * @param {Array} headers - Column headers in the file
+ * @param {Object|null} saved - Saved mapping { fieldKey: header }
+ * @returns {Object} { fieldKey: header }
+ */
+export const resolveMapping = (headers = [], saved = null) => {
+  const kept = {};
+  Object.entries(saved || {}).forEach(([key, header]) => {
+    const match = headers.find(h => normaliseHeader(h) === normaliseHeader(header));
+    if (fieldByKey(key) && match) kept[key] = match;
+  });
+  return guessMapping(headers, kept);
+};
+
+/**
+ * Check a mapping covers the required fields and uses each column once
+ * @param {Object} mapping - { fieldKey: header }
+ * @returns {Object} { isValid, errors }
+ */
+export const validateMapping = (mapping = {}) => {
+  const errors = IMPORT_FIELDS
+    .filter(field => field.required && !mapping[field.key])
+    .map(field => `Choose the column that holds the ${field.label.toLowerCase()}`);
+
+  const headers = Object.values(mapping).filter(Boolean);
+  const repeated = headers.filter((header, index) => headers.indexOf(header) !== index);
+  if (repeated.length > 0) {
+    errors.push(`"${repeated[0]}" is mapped to more than one field`);
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Find the header row of a sheet read as arrays of cells
+ * @param {Array} sheetRows - Rows of cells
+ * @returns {number} Index of the header row, or -1 when the sheet has none
+ */
+export const findHeaderRow = (sheetRows = []) => {
+  const candidates = sheetRows.slice(0, HEADER_SEARCH_ROWS);
+  const named = candidates.findIndex(row => {
+    const mapping = guessMapping((row || []).map(cell => String(cell ?? '').trim()));
+    return mapping.firstName && mapping.lastName;
+  });
+  if (named !== -1) return named;
+  // No recognisable names: take the first row that looks like headings, for the admin to map
+  return candidates.findIndex(row => (row || []).filter(cell => String(cell ?? '').trim()).length >= 2);
+};
+
+/**
+ * Read the data rows under a header row
+ * @param {Array} sheetRows - Rows of cells
+ * @param {number} headerRowIndex - Index of the header row
+ * @returns {Object} { headers, rows } - rows: [{ rowNumber, cells: { header: value } }],
+ *   numbered as the spreadsheet numbers them; blank rows are left out
+ */
+export const readSheetRows = (sheetRows = [], headerRowIndex = 0) => {
+  const headers = (sheetRows[headerRowIndex] || []).map((cell, index) => String(cell ?? '').trim() || `Column ${index + 1}`);
+  const rows = [];
+  sheetRows.slice(headerRowIndex + 1).forEach((row, index) => {
+    if (!row || row.every(cell => String(cell ?? '').trim() === '')) return;
+    const cells = {};
+    headers.forEach((header, column) => {
+      cells[header] = row[column] ?? '';
+    });
+    rows.push({ rowNumber: headerRowIndex + index + 2, cells });
+  });
+  return { headers, rows };
+};
+
+/**
+ * Take a row's values for the mapped fields
+ * @param {Object} row - { rowNumber, cells }
+ * @param {Object} mapping - { fieldKey: header }
+ * @returns {Object} { rowNumber, values: { fieldKey: string } }
+ */
+export const applyMapping = (row, mapping = {}) => {
+  const values = {};
+  IMPORT_FIELDS.forEach(field => {
+    const header = mapping[field.key];
+    values[field.key] = header ? String(row.cells[header] ?? '').trim() : '';
+  });
+  // Some exports label the cell as well as the column
+  values.telHome = values.telHome.replace(/^\(H\)\s*/, '');
+  values.telEmergency = values.telEmergency.replace(/^\(E\)\s*/, '');
+  return { rowNumber: row.rowNumber, values };
+};
+
+/**
+ * Read a date written the ways school systems export them
+ * @param {string|number} value - Excel serial day, YYYY-MM-DD, YYYY/MM/DD or DD/MM/YYYY
+ * @returns {string|null} ISO date (YYYY-MM-DD), or null when it isn't a real date
+ */
+export const parseImportDate = (value) => {
+  const text = String(value ?? '').trim();
+  let year;
+  let month;
+  let day;
+
+  if (/^\d{5}(\.\d+)?$/.test(text)) {
+    // Days since 1899-12-30, as Excel stores dates
+    const date = new Date(Date.UTC(1899, 11, 30) + Math.floor(Number(text)) * 86400000);
+    [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+  } else if (/^\d{4}[-/.]\d{1,2}[-/.]\d{1,2}$/.test(text)) {
+    [year, month, day] = text.split(/[-/.]/).map(Number);
+  } else if (/^\d{1,2}[-/.]\d{1,2}[-/.]\d{4}$/.test(text)) {
+    [day, month, year] = text.split(/[-/.]/).map(Number);
+  } else {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Check a South African ID number: YYMMDD, gender digits, citizenship, a digit, Luhn check digit
+ * @param {string} value - ID number, spaces allowed
+ * @param {Date} today - Used to tell 19xx from 20xx birth years
+ * @returns {Object} { isValid, error, idNumber, dateOfBirth, gender, citizen }
+ */
+export const validateSaIdNumber = (value, today = new Date()) => {
+  const idNumber = String(value ?? '').replace(/\s/g, '');
+  const invalid = (error) => ({ isValid: false, error, idNumber, dateOfBirth: null, gender: null, citizen: null });
+
+  if (!/^\d{13}$/.test(idNumber)) return invalid(`${value} is not a 13-digit ID number`);
+
+  const sum = idNumber.split('').map(Number).reduce((total, digit, index) => {
+    if (index % 2 === 0) return total + digit;
+    const doubled = digit * 2;
+    return total + (doubled > 9 ? doubled - 9 : doubled);
+  }, 0);
+  if (sum % 10 !== 0) return invalid(`${idNumber} is not a valid ID number; check the digits`);
+
+  const yy = Number(idNumber.slice(0, 2));
+  const century = 2000 + yy > today.getFullYear() ? 1900 : 2000;
+  const dateOfBirth = parseImportDate(`${century + yy}-${idNumber.slice(2, 4)}-${idNumber.slice(4, 6)}`);
+  if (!dateOfBirth) return invalid(`${idNumber} is not a valid ID number; the date of birth isn't a real date`);
+  if (!['0', '1'].includes(idNumber[10])) return invalid(`${idNumber} is not a valid ID number; the citizenship digit must be 0 or 1`);
+
+  return {
+    isValid: true,
+    error: null,
+    idNumber,
+    dateOfBirth,
+    gender: Number(idNumber[6]) >= 5 ? 'Male' : 'Female',
+    citizen: idNumber[10] === '0'
+  };
+};
+
+const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+/**
+ * Check one row on its own and build the record it imports as
+ * @param {Object} values - { fieldKey: string } from applyMapping
+ * @returns {Object} { record, errors, warnings } - issues: [{ field, message }]
+ */
+const checkRow = (values) => {
+  const errors = [];
+  const warnings = [];
+  const record = { ...values };
+
+  IMPORT_FIELDS.filter(field => field.required && !values[field.key]).forEach(field => {
+    errors.push({ field: field.key, message: `${field.label} is required` });
+  });
+
+  if (values.gender) {
+    record.gender = GENDERS[values.gender.toLowerCase()] || values.gender;
+    if (!GENDERS[values.gender.toLowerCase()]) {
+      warnings.push({ field: 'gender', message: `Gender "${values.gender}" isn't Male or Female` });
+    }
+  }
+
+  if (values.dateOfBirth) {
+    record.dateOfBirth = parseImportDate(values.dateOfBirth);
+    if (!record.dateOfBirth) {
+      errors.push({ field: 'dateOfBirth', message: `${values.dateOfBirth} is not a date; use YYYY-MM-DD or DD/MM/YYYY` });
+    }
+  }
+
+  if (values.idNumber) {
+    const id = validateSaIdNumber(values.idNumber);
+    record.idNumber = id.idNumber;
+    if (!id.isValid) {
+      errors.push({ field: 'idNumber', message: id.error });
+    } else {
+      if (!values.dateOfBirth) {
+        record.dateOfBirth = id.dateOfBirth;
+      } else if (record.dateOfBirth && record.dateOfBirth !== id.dateOfBirth) {
+        warnings.push({ field: 'dateOfBirth', message: `Date of birth doesn't match the ID number (${id.dateOfBirth})` });
+      }
+      if (record.gender && GENDERS[record.gender.toLowerCase()] && record.gender !== id.gender) {
+        warnings.push({ field: 'gender', message: `Gender doesn't match the ID number (${id.gender})` });
+      }
+    }
+  }
+
+  IMPORT_FIELDS.filter(field => field.type === 'phone' && values[field.key]).forEach(field => {
+    const { isValid, error, phone } = validatePhoneNumber(values[field.key]);
+    if (!isValid) {
+      errors.push({ field: field.key, message: `${field.label}: ${error}` });
+      return;
+    }
+    record[field.key] = phone.e164;
+    if (field.key === 'whatsapp' && !phone.canReceiveSms) {
+      warnings.push({ field: field.key, message: validatePhoneNumber(phone.e164, { channel: 'whatsapp' }).error });
+    }
+  });
+
+  // Prefer a number that can take SMS, so a home landline doesn't shadow the emergency cell
+  const numbers = SMS_FIELDS.filter(key => record[key] && parsePhoneNumber(record[key]).isValid);
+  if (numbers.length > 0) {
+    const source = numbers.find(key => parsePhoneNumber(record[key]).canReceiveSms) || numbers[0];
+    record.phone = record[source];
+    if (!parsePhoneNumber(record.phone).canReceiveSms) {
+      warnings.push({ field: source, message: validatePhoneNumber(record.phone, { channel: 'sms' }).error });
+    }
+  }
+
+  if (values.parentEmail) {
+    record.parentEmail = values.parentEmail.toLowerCase();
+    if (!isValidEmail(record.parentEmail)) {
+      errors.push({ field: 'parentEmail', message: `${values.parentEmail} is not an email address` });
+    }
+  }
+
+  if (!['parentName', 'parentPhone', 'parentEmail', 'phone', 'whatsapp'].some(key => values[key])) {
+    warnings.push({ field: 'parentName', message: 'No guardian name or contact details; invitations can\'t reach this family' });
+  }
+
+  return { record, errors, warnings };
+};
+
+/**
+ * Validate mapped rows, each on its own and against the rest of the file
+ * @param {Array} rows - [{ rowNumber, values }] from applyMapping
+ * @returns {Array} [{ rowNumber, values, record, errors, warnings }]
+ */
+export const validateImportRows = (rows = []) => {
+  const results = rows.map(row => ({ rowNumber: row.rowNumber, values: row.values, ...checkRow(row.values) }));
+
+  UNIQUE_FIELDS.forEach(key => {
+    const seen = new Map();
+    results.forEach(result => {
+      const value = String(result.record[key] || '').toLowerCase();
+      if (!value) return;
+      if (!seen.has(value)) seen.set(value, []);
+      seen.get(value).push(result.rowNumber);
+    });
+    results.forEach(result => {
+      const rowNumbers = seen.get(String(result.record[key] || '').toLowerCase()) || [];
+      if (rowNumbers.length > 1) {
+        const others = rowNumbers.filter(n => n !== result.rowNumber).join(', ');
+        result.errors.push({ field: key, message: `${fieldByKey(key).label} ${result.record[key]} is also on row ${others}` });
+      }
+    });
+  });
+
+  return results;
+};
+
+/**
+ * Count validated rows by outcome
+ * @param {Array} results - validateImportRows result
+ * @returns {Object} { total, ready, withErrors, withWarnings }
+ */
+export const summariseImport = (results = []) => ({
+  total: results.length,
+  ready: results.filter(result => result.errors.length === 0).length,
+  withErrors: results.filter(result => result.errors.length > 0).length,
+  withWarnings: results.filter(result => result.errors.length === 0 && result.warnings.length > 0).length
+});
+
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV listing every problem found, one line per problem
+ * @param {Array} results - validateImportRows result
+ * @returns {string} CSV text with a header line
+ */
+export const buildErrorReport = (results = []) => {
+  const lines = [['Row', 'First name', 'Last name', 'Severity', 'Field', 'Value', 'Problem']];
+  results.forEach(result => {
+    [
+      ...result.errors.map(issue => ({ ...issue, severity: ISSUE_SEVERITIES.error })),
+      ...result.warnings.map(issue => ({ ...issue, severity: ISSUE_SEVERITIES.warning }))
+    ].forEach(issue => {
+      lines.push([
+        result.rowNumber,
+        result.values.firstName,
+        result.values.lastName,
+        issue.severity,
+        fieldByKey(issue.field)?.label || issue.field,
+        result.values[issue.field],
+        issue.message
+      ]);
+    });
+  });
+  return lines.map(line => line.map(csvCell).join(',')).join('\n');
+};
+
+const LearnerImport = {
+  IMPORT_FIELD_GROUPS,
+  IMPORT_FIELDS,
+  ISSUE_SEVERITIES,
+  normaliseHeader,
+  guessMapping,
+  resolveMapping,
+  validateMapping,
+  findHeaderRow,
+  readSheetRows,
+  applyMapping,
+  parseImportDate,
+  validateSaIdNumber,
+  validateImportRows,
+  summariseImport,
+  buildErrorReport
+};
+
+export default LearnerImport;
@@ -0,0 +1,286 @@
+/**
+ * LearnerMatching - Matching uploaded rows to learners already on the roster
+ *
+ * A row is the same learner as an existing one when, in order of trust:
+ *   1. the SA ID numbers are equal,
+ *   2. the admission numbers are equal, or
+ *   3. the dates of birth are equal and the names are close (typos, accents, swapped
+ *      first and last names, a second name added or dropped).
+ * When those point at different learners, or a fuzzy match has more than one candidate,
+ * the row is a conflict and is left for the admin rather than guessed at.
+ *
+ * A matched row updates only the fields it has a value for, so a list without phone
+ * numbers never wipes the numbers already on file. Uploading the same list twice plans no
+ * changes the second time.
+ *
+ * Shared by BulkUpload, which shows the plan, and the server, which applies it.
+ */
+
+export const IMPORT_ACTIONS = {
+  create: 'create',
+  update: 'update',
+  unchanged: 'unchanged',
+  conflict: 'conflict'
+};
+
+export const MATCH_REASONS = {
+  idNumber: 'ID number',
+  accessionNumber: 'admission number',
+  nameAndBirthDate: 'name and date of birth'
+};
+
+/** Learner fields an import can set */
+export const IMPORTED_FIELDS = [
+  'firstName',
+  'lastName',
+  'gender',
+  'idNumber',
+  'accessionNumber',
+  'dateOfBirth',
+  'phone',
+  'telHome',
+  'telEmergency',
+  'whatsapp',
+  'telegram',
+  'parentName',
+  'parentPhone',
+  'parentEmail',
+  'gradeId'
+];
+
+/** Similarity two names need, with the same date of birth, to be the same learner */
+export const NAME_MATCH_THRESHOLD = 0.85;
+
+/**
+ * Reduce a name to what identifies it: lower case, no accents, letters and single spaces
+ * @param {string} name - Name as written
+ * @returns {string} Normalised name
+ */
+export const normaliseName = (name) => String(name ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Key a learner's full name is indexed and compared by
+ * @param {Object} learner - { firstName, lastName }
+ * @returns {string} e.g. 'thandi mokoena'
+ */
+export const nameKey = (learner) => normaliseName(`${learner.firstName || ''} ${learner.lastName || ''}`);
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const similarity = (a, b) => {
+  if (!a || !b) return 0;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+};
+
+/**
+ * Score how alike two learners' names are
+ * Tries the names as written, with first and last swapped, and with only the first of
+ * several given names, and keeps the best.
+ * @param {Object} a - { firstName, lastName }
+ * @param {Object} b - { firstName, lastName }
+ * @returns {number} 0 to 1
+ */
+export const nameSimilarity = (a, b) => {
+  const first = (name) => normaliseName(name).split(' ')[0] || '';
+  const last = normaliseName(b.lastName);
+  return Math.max(
+    similarity(nameKey(a), nameKey(b)),
+    similarity(nameKey(a), nameKey({ firstName: b.lastName, lastName: b.firstName })),
+    similarity(`${first(a.firstName)} ${normaliseName(a.lastName)}`, `${first(b.firstName)} ${last}`)
+  );
+};
+
+const sameValue = (a, b) => String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+
+/**
+ * Find the existing learner a row is
+ * @param {Object} record - Validated row record
+ * @param {Array} learners - The school's learners
+ * @returns {Object} { learner, matchedBy, conflict } - learner null for a new learner;
+ *   conflict explains why the row can't be matched safely
+ */
+export const matchLearner = (record, learners = []) => {
+  const byId = record.idNumber ? learners.find(l => sameValue(l.idNumber, record.idNumber)) : null;
+  const byAdmission = record.accessionNumber
+    ? learners.find(l => sameValue(l.accessionNumber, record.accessionNumber))
+    : null;
+
+  if (byId && byAdmission && String(byId._id) !== String(byAdmission._id)) {
+    return {
+      learner: null,
+      matchedBy: null,
+      conflict: `ID number belongs to ${byId.firstName} ${byId.lastName} but admission number ${record.accessionNumber} to ${byAdmission.firstName} ${byAdmission.lastName}`
+    };
+  }
+  if (byId) {
+    return { learner: byId, matchedBy: 'idNumber', conflict: null };
+  }
+  if (byAdmission) {
+    if (record.idNumber && byAdmission.idNumber && !sameValue(byAdmission.idNumber, record.idNumber)) {
+      return {
+        learner: null,
+        matchedBy: null,
+        conflict: `Admission number ${record.accessionNumber} belongs to ${byAdmission.firstName} ${byAdmission.lastName}, who has a different ID number`
+      };
+    }
+    return { learner: byAdmission, matchedBy: 'accessionNumber', conflict: null };
+  }
+
+  if (!record.dateOfBirth) {
+    return { learner: null, matchedBy: null, conflict: null };
+  }
+  const candidates = learners.filter(l => l.dateOfBirth === record.dateOfBirth
+    && nameSimilarity(record, l) >= NAME_MATCH_THRESHOLD
+    // A learner with a different ID number is someone else, however alike the names
+    && !(record.idNumber && l.idNumber && !sameValue(l.idNumber, record.idNumber)));
+  if (candidates.length > 1) {
+    return {
+      learner: null,
+      matchedBy: null,
+      conflict: `${candidates.length} learners born on ${record.dateOfBirth} have a similar name: ${candidates.map(l => `${l.firstName} ${l.lastName}`).join(', ')}`
+    };
+  }
+  if (candidates.length === 1) {
+    return { learner: candidates[0], matchedBy: 'nameAndBirthDate', conflict: null };
+  }
+  return { learner: null, matchedBy: null, conflict: null };
+};
+
+/**
+ * Work out what a row would change on an existing learner
+ * Fields the row leaves empty keep their current value.
+ * @param {Object} learner - Existing learner
+ * @param {Object} record - Validated row record
+ * @returns {Object} { field: { from, to } }
+ */
+export const diffLearner = (learner, record) => {
+  const changes = {};
+  IMPORTED_FIELDS.forEach(field => {
+    const value = record[field];
+    if (value === null || value === undefined || value === '') return;
+    if (String(learner[field] ?? '') !== String(value)) {
+      changes[field] = { from: learner[field] ?? null, to: value };
+    }
+  });
+  return changes;
+};
+
+/**
+ * Plan an import: what each row would do to the roster
+ * @param {Array} rows - [{ rowNumber, record }] rows without validation errors
+ * @param {Array} learners - The school's learners
+ * @param {Object} options
+ * @param {string|null} options.gradeId - Grade the list is uploaded to, if any
+ * @returns {Array} [{ rowNumber, action, learnerId, matchedBy, changes, conflict, record }]
+ */
+export const planImport = (rows = [], learners = [], { gradeId = null } = {}) => {
+  const claimed = new Map();
+  // Rows already planned as new learners, so a learner listed twice isn't created twice
+  const created = [];
+
+  return rows.map(({ rowNumber, record: raw }) => {
+    const record = gradeId ? { ...raw, gradeId: String(gradeId) } : raw;
+    const { learner, matchedBy, conflict } = matchLearner(record, [...learners, ...created]);
+    const entry = { rowNumber, learnerId: null, matchedBy, changes: {}, conflict: null, record };
+
+    if (conflict) {
+      return { ...entry, action: IMPORT_ACTIONS.conflict, conflict };
+    }
+    if (!learner) {
+      created.push({ ...record, _id: `row:${rowNumber}`, rowNumber });
+      return { ...entry, action: IMPORT_ACTIONS.create };
+    }
+    if (learner.rowNumber) {
+      return {
+        ...entry,
+        action: IMPORT_ACTIONS.conflict,
+        conflict: `Looks like the same learner as row ${learner.rowNumber}`
+      };
+    }
+
+    const learnerId = String(learner._id);
+    if (claimed.has(learnerId)) {
+      return {
+        ...entry,
+        action: IMPORT_ACTIONS.conflict,
+        conflict: `Row ${claimed.get(learnerId)} already matches ${learner.firstName} ${learner.lastName}`
+      };
+    }
+    claimed.set(learnerId, rowNumber);
+
+    const changes = diffLearner(learner, record);
+    return {
+      ...entry,
+      learnerId,
+      changes,
+      action: Object.keys(changes).length > 0 ? IMPORT_ACTIONS.update : IMPORT_ACTIONS.unchanged
+    };
+  });
+};
+
+/**
+ * Count a plan's rows by action
+ * @param {Array} plan - planImport result
+ * @returns {Object} { create, update, unchanged, conflict }
+ */
+export const summarisePlan = (plan = []) => Object.values(IMPORT_ACTIONS).reduce((counts, action) => ({
+  ...counts,
+  [action]: plan.filter(entry => entry.action === action).length
+}), {});
+
+/**
+ * Fingerprint what a plan would write, to tell whether the roster moved since it was previewed
+ * @param {Array} plan - planImport result
+ * @returns {string} Signature
+ */
+export const planSignature = (plan = []) => JSON.stringify(plan.map(entry => [
+  entry.rowNumber,
+  entry.action,
+  entry.learnerId,
+  entry.action === IMPORT_ACTIONS.create ? entry.record : entry.changes
+]));
+
+/**
+ * Describe why a row matched an existing learner
+ * @param {Object} entry - Plan entry
+ * @returns {string} e.g. 'Matched on ID number'
+ */
+export const describeMatch = (entry) => (entry.matchedBy ? `Matched on ${MATCH_REASONS[entry.matchedBy]}` : '');
+
+const LearnerMatching = {
+  IMPORT_ACTIONS,
+  MATCH_REASONS,
+  IMPORTED_FIELDS,
+  NAME_MATCH_THRESHOLD,
+  normaliseName,
+  nameKey,
+  nameSimilarity,
+  matchLearner,
+  diffLearner,
+  planImport,
+  summarisePlan,
+  planSignature,
+  describeMatch
+};
+
+export default LearnerMatching;
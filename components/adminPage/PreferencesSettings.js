@@ -1,10 +1,22 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { invitationService } from './GradesManagemet/services/invitation';
+import { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } from './GradesManagemet/services/invitation/languages';
 
-export default function PreferencesSettings() {
+export default function PreferencesSettings({ selectedSchool }) {
+  const schoolId = selectedSchool?._id || selectedSchool?.id;
   const [preferences, setPreferences] = useState({
     notifications: true,
-    language: 'English',
+    language: DEFAULT_LANGUAGE,
   });
+  const [status, setStatus] = useState(null);
+
+  // The language is the school's default for invitations; guardians can choose their own
+  useEffect(() => {
+    if (!schoolId) return;
+    invitationService.getInvitationPreferences(schoolId)
+      .then(({ defaultLanguage }) => setPreferences(prev => ({ ...prev, language: defaultLanguage })))
+      .catch(() => setStatus('Could not load the school language.'));
+  }, [schoolId]);
 
   const handleToggle = () => {
     setPreferences({ ...preferences, notifications: !preferences.notifications });
@@ -12,11 +24,16 @@ export default function PreferencesSettings() {
 
   const handleLanguageChange = (e) => {
     setPreferences({ ...preferences, language: e.target.value });
+    setStatus(null);
   };
 
-  const handleSave = () => {
-    // Save preferences
-    console.log(preferences);
+  const handleSave = async () => {
+    try {
+      await invitationService.updateInvitationPreferences(schoolId, preferences.language);
+      setStatus('Saved.');
+    } catch (error) {
+      setStatus(error.message);
+    }
   };
 
   return (
@@ -31,21 +48,32 @@ export default function PreferencesSettings() {
           />
           Enable Email Notifications
         </label>
-        <select
-          value={preferences.language}
-          onChange={handleLanguageChange}
-          className="w-full border p-2 rounded"
-        >
-          <option value="English">English</option>
-          <option value="Spanish">Spanish</option>
-          {/* Add more languages */}
-        </select>
+        <div>
+          <label htmlFor="school-language" className="block text-sm font-medium text-gray-700 mb-1">
+            Default invitation language
+          </label>
+          <select
+            id="school-language"
+            value={preferences.language}
+            onChange={handleLanguageChange}
+            className="w-full border p-2 rounded"
+          >
+            {SUPPORTED_LANGUAGES.map(language => (
+              <option key={language.code} value={language.code}>{language.label}</option>
+            ))}
+          </select>
+          <p className="mt-1 text-xs text-gray-500">
+            Used for guardians who haven't chosen a language, or whose language an invitation has no translation for.
+          </p>
+        </div>
         <button
           onClick={handleSave}
-          className="bg-blue-500 text-white p-2 rounded"
+          disabled={!schoolId}
+          className="bg-blue-500 text-white p-2 rounded disabled:opacity-50"
         >
           Save
         </button>
+        {status && <p className="text-sm text-gray-600">{status}</p>}
       </div>
     </div>
   );
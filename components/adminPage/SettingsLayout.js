@@ -10,6 +10,10 @@ import {
   FaSchool, FaMoneyBillWave, FaChartLine, FaCog, FaGraduationCap
 } from 'react-icons/fa';
 import Sidebar from './Sidebar';
+import { appApi } from './services/api';
+import { useSchoolContext, schoolIdOf } from '../context/SchoolContext';
+import PreferencesSettings from './PreferencesSettings';
+import AccessRequestsInbox from './AccessRequestsInbox';
 
 // Import components from grades-management-components package
 import {
@@ -19,7 +23,8 @@ import {
   TemplateManager,
   InvitationComposer,
   StatusTracker, 
-  CreditSystem
+  CreditSystem,
+  MessagingBudget
 } from './GradesManagemet';
 
 const tabs = {
@@ -29,6 +34,9 @@ const tabs = {
     { id: 'grades-learners', label: 'Learners', icon: <FiUsers /> },
     { id: 'grades-upload-learners', label: 'Upload Learners', icon: <FiUpload /> },
     { id: 'grades-invitations', label: 'Invitations', icon: <FiMessageSquare /> },
+  ],
+  people: [
+    { id: 'access-requests', label: 'Access Requests', icon: <FiUser /> },
   ]
 };
 
@@ -46,27 +54,17 @@ export default function SettingsLayout({ user, schools }) {
     console.log('BulkUpload user prop:', schools);
   }, [schools]);
   
-  // Get school ID from props
+  // Everything below shows the school open in the workspace (see SchoolSwitcher)
   const userId = user?._id;
-  const selectedSchool = schools?.length > 0 ? schools[0] : null;
-  const schoolId = selectedSchool?._id;
+  const { school: selectedSchool } = useSchoolContext();
+  const schoolId = schoolIdOf(selectedSchool);
   const schoolame = selectedSchool?.schoolName;
 
   // Function to fetch grades (replace with your actual API call)
   const fetchGrades = async () => {
     if (!schoolId) return;
     try {
-      const response = await fetch('/api/grades/fetchGradesForSchool', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ schoolId }),
-      });
-      if (!response.ok) {
-        throw new Error('Failed to fetch grades');
-      }
-      const data = await response.json();
+      const data = await appApi.post('grades/fetchGradesForSchool', { schoolId });
       setGrades(data.grades || []);
     } catch (error) {
       console.error('Error fetching grades:', error);
@@ -119,6 +117,7 @@ export default function SettingsLayout({ user, schools }) {
                 View and manage learner information for {selectedSchool?.schoolName || 'your school'}.
               </p>
               <LearnersTable
+                schoolId={schoolId}
                 selectedGrade={null}
                 onSelectLearner={(learner) => console.log('Selected learner:', learner)}
               />
@@ -139,6 +138,7 @@ export default function SettingsLayout({ user, schools }) {
                 selectedGrade={null}
                 user={user}
                 schools={schools}
+                selectedSchool={selectedSchool}
               />
             </div>
           </div>
@@ -146,9 +146,11 @@ export default function SettingsLayout({ user, schools }) {
       case 'grades-invitations':
         return (
           <div className="space-y-6">
-            <InvitationManagementTabs />
+            <InvitationManagementTabs selectedSchool={selectedSchool} user={user} />
           </div>
         );
+      case 'access-requests':
+        return <AccessRequestsInbox />;
       default:
         return <DefaultTabContent tabId={activeTab} />;
     }
@@ -164,14 +166,15 @@ export default function SettingsLayout({ user, schools }) {
         onToggle={() => setIsExpanded((prev) => !prev)}
         balance={balance}
       />
-      <div className="flex-1 p-6 overflow-auto">
+      {/* Keyed by school so switching schools starts every tab afresh */}
+      <div key={schoolId || 'none'} className="flex-1 p-6 overflow-auto">
         {renderContent()}
       </div>
     </div>
   );
 }
 
-function InvitationManagementTabs() {
+function InvitationManagementTabs({ selectedSchool, user }) {
   const [activeInvitationTab, setActiveInvitationTab] = useState('composer');
 
   const invitationTabs = [
@@ -179,20 +182,26 @@ function InvitationManagementTabs() {
     { id: 'templates', label: 'Templates', icon: <FiFileText /> },
     { id: 'status', label: 'Status Tracker', icon: <FiBell /> },
     { id: 'credits', label: 'Credit System', icon: <FiDollarSign /> },
+    { id: 'budget', label: 'Budget & Approvals', icon: <FiPieChart /> },
+    { id: 'preferences', label: 'Preferences', icon: <FiSettings /> },
   ];
 
   const renderInvitationContent = () => {
     switch (activeInvitationTab) {
       case 'composer':
-        return <InvitationComposer />;
+        return <InvitationComposer selectedSchool={selectedSchool} user={user} />;
       case 'templates':
-        return <TemplateManager />;
+        return <TemplateManager selectedSchool={selectedSchool} user={user} />;
       case 'status':
-        return <StatusTracker />;
+        return <StatusTracker selectedSchool={selectedSchool} />;
       case 'credits':
-        return <CreditSystem />;
+        return <CreditSystem selectedSchool={selectedSchool} />;
+      case 'budget':
+        return <MessagingBudget selectedSchool={selectedSchool} />;
+      case 'preferences':
+        return <PreferencesSettings selectedSchool={selectedSchool} />;
       default:
-        return <InvitationComposer />;
+        return <InvitationComposer selectedSchool={selectedSchool} user={user} />;
     }
   };
 
@@ -1,5 +1,11 @@
 import React from 'react';
 
+// Headings for the sections of SettingsLayout's tabs
+const SECTION_TITLES = {
+  grades: 'Grades Management',
+  people: 'People'
+};
+
 export default function Sidebar({
   tabs,
   activeTab,
@@ -19,32 +25,33 @@ export default function Sidebar({
 
       {/* Scrollable Navigation Sections */}
       <nav className="flex-1 overflow-y-auto max-h-[calc(80vh-100px)]">
-        {/* Grades Navigation Section */}
-        <div className="mb-6">
-          <h3 className={`px-4 pt-4 text-xs font-semibold text-gray-500 uppercase tracking-wider ${
-            isExpanded ? 'block' : 'hidden'
-          }`}>
-            Grades Management
-          </h3>
-          <div className="mt-2">
-            {tabs.grades.map((tab) => (
-              <button
-                key={tab.id}
-                onClick={() => onTabChange(tab.id)}
-                className={`w-full flex items-center px-4 py-2 text-sm font-medium ${
-                  activeTab === tab.id
-                    ? 'bg-blue-50 text-blue-600'
-                    : 'text-gray-600 hover:text-gray-800 hover:bg-gray-100'
-                } ${isExpanded ? 'justify-start space-x-3' : 'justify-center'}`}
-              >
-                <span className="flex-shrink-0">{tab.icon}</span>
-                <span className={`${isExpanded ? 'block' : 'hidden'}`}>
-                  {tab.label}
-                </span>
-              </button>
-            ))}
+        {Object.entries(tabs).map(([section, sectionTabs]) => (
+          <div key={section} className="mb-6">
+            <h3 className={`px-4 pt-4 text-xs font-semibold text-gray-500 uppercase tracking-wider ${
+              isExpanded ? 'block' : 'hidden'
+            }`}>
+              {SECTION_TITLES[section] || section}
+            </h3>
+            <div className="mt-2">
+              {sectionTabs.map((tab) => (
+                <button
+                  key={tab.id}
+                  onClick={() => onTabChange(tab.id)}
+                  className={`w-full flex items-center px-4 py-2 text-sm font-medium ${
+                    activeTab === tab.id
+                      ? 'bg-blue-50 text-blue-600'
+                      : 'text-gray-600 hover:text-gray-800 hover:bg-gray-100'
+                  } ${isExpanded ? 'justify-start space-x-3' : 'justify-center'}`}
+                >
+                  <span className="flex-shrink-0">{tab.icon}</span>
+                  <span className={`${isExpanded ? 'block' : 'hidden'}`}>
+                    {tab.label}
+                  </span>
+                </button>
+              ))}
+            </div>
           </div>
-        </div>
+        ))}
       </nav>
 
       {/* Invite Members CTA (optional - remove if not needed) */}
@@ -0,0 +1,40 @@
+// services/accessRequestService.js
+import { appApi } from './api';
+
+/**
+ * Ask to join a school as the signed-in user
+ * @param {Object} request - { schoolId, schoolName, reason }
+ * @returns {Promise<Object>} The stored request
+ */
+export const submitAccessRequest = (request) => appApi.post('access-requests', request);
+
+/**
+ * The signed-in user's own access requests, newest first
+ * @returns {Promise<Array>} Requests
+ */
+export const fetchMyAccessRequests = () => appApi.get('access-requests');
+
+/**
+ * Answer an admin's request for more information
+ * @param {string} id - Request ID
+ * @param {string} note - The answer
+ * @returns {Promise<Object>} The request, pending again
+ */
+export const replyToAccessRequest = (id, note) => appApi.post(`access-requests/${id}/reply`, { note });
+
+/**
+ * A school's access requests
+ * @param {string} schoolId - School ID
+ * @param {string} status - A request status, or 'open' for those still waiting
+ * @returns {Promise<Array>} Requests, newest first
+ */
+export const fetchAccessRequestInbox = (schoolId, status = 'open') =>
+  appApi.get('access-requests/inbox', { query: { schoolId, status } });
+
+/**
+ * Approve, reject or ask for more information on a request
+ * @param {string} id - Request ID
+ * @param {Object} review - { action: 'approve' | 'reject' | 'request_info', role, note }
+ * @returns {Promise<Object>} The updated request
+ */
+export const reviewAccessRequest = (id, review) => appApi.post(`access-requests/${id}/review`, review);
@@ -1,41 +1,61 @@
 // services/accountService.js
-const API_BASE = 'http://localhost:4000/api/v1';
+import { railsApi, appApi } from './api';
+
+// Guardians are kept by this app (see lib/learners), learners and accounts by the Rails API;
+// /api/learners returns the Rails roster with the fields guardians link by
+
+const learnerName = (learner) => `${learner.firstName || ''} ${learner.lastName || ''}`.trim();
 
 export const fetchAccounts = async (schoolId, filters = {}) => {
   try {
-    // Build query string from filters
-    const params = new URLSearchParams();
-    params.append('status', filters.status || 'all');
-    params.append('search', filters.search || '');
-    params.append('grade', filters.grade || 'all');
+    const query = { schoolId };
+    const [guardians, learnerList] = await Promise.all([
+      appApi.get('guardians', { query }),
+      appApi.get('learners', { query })
+    ]);
+    const learners = new Map(learnerList.map(learner => [String(learner._id), learner]));
 
-    const response = await fetch(
-      `${API_BASE}/schools/${schoolId}/parents?${params.toString()}`
-    );
-    
-    if (!response.ok) {
-      throw new Error('Failed to fetch accounts');
-    }
+    // One account per guardian, with every learner they're linked to
+    const accounts = guardians.map(guardian => {
+      const students = guardian.links
+        .filter(link => learners.has(link.learnerId))
+        .sort((a, b) => (b.isPrimary ? 1 : 0) - (a.isPrimary ? 1 : 0))
+        .map(link => {
+          const learner = learners.get(link.learnerId);
+          return {
+            id: link.learnerId,
+            name: learnerName(learner),
+            grade: learner.gradeId || '',
+            relationship: link.relationship,
+            isPrimary: link.isPrimary,
+            restriction: link.restriction,
+            avatar: '/default-avatar.png'
+          };
+        });
+      return {
+        id: guardian._id,
+        householdId: guardian.householdId,
+        status: 'active', // Default status, adjust as needed
+        balance: 0, // Default balance, adjust as needed
+        parent: {
+          name: guardian.name,
+          email: guardian.email || '',
+          phone: guardian.phone || ''
+        },
+        students,
+        // First (primary) learner, for views that show one
+        student: students[0] || { id: '', name: '', grade: '', avatar: '/default-avatar.png' }
+      };
+    });
 
-    const data = await response.json();
-    
-    // Transform the API response to match your frontend structure
-    return data.data.map(parent => ({
-      id: parent.id,
-      status: 'active', // Default status, adjust as needed
-      balance: 0, // Default balance, adjust as needed
-      parent: {
-        name: parent.name,
-        email: parent.email,
-        phone: parent.phone || '' // Add phone if available
-      },
-      student: { // This would come from associated student records
-        id: parent.student_id || '',
-        name: parent.student_name || '',
-        grade: parent.student_grade || '',
-        avatar: parent.student_avatar || '/default-avatar.png'
-      }
-    }));
+    const search = (filters.search || '').toLowerCase();
+    return accounts.filter(account =>
+      (!filters.grade || filters.grade === 'all' || account.students.some(s => s.grade === filters.grade)) &&
+      (!search ||
+        account.parent.name.toLowerCase().includes(search) ||
+        account.parent.email.toLowerCase().includes(search) ||
+        account.students.some(s => s.name.toLowerCase().includes(search)))
+    );
   } catch (error) {
     console.error('Error fetching accounts:', error);
     throw error;
@@ -44,11 +64,7 @@ export const fetchAccounts = async (schoolId, filters = {}) => {
 
 export const getAccountById = async (accountId) => {
   try {
-    const response = await fetch(`${API_BASE}/accounts/${accountId}`);
-    if (!response.ok) {
-      throw new Error('Failed to fetch account');
-    }
-    return await response.json();
+    return await railsApi.get(`accounts/${accountId}`);
   } catch (error) {
     console.error('Error fetching account:', error);
     throw error;
@@ -57,18 +73,7 @@ export const getAccountById = async (accountId) => {
 
 export const updateAccount = async (accountId, updates) => {
   try {
-    const response = await fetch(`${API_BASE}/accounts/${accountId}`, {
-      method: 'PATCH',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(updates)
-    });
-    
-    if (!response.ok) {
-      throw new Error('Failed to update account');
-    }
-    return await response.json();
+    return await railsApi.patch(`accounts/${accountId}`, updates);
   } catch (error) {
     console.error('Error updating account:', error);
     throw error;
@@ -0,0 +1,314 @@
+/**
+ * Api - The one HTTP client for the Rails API and this app's own API routes
+ *
+ * railsApi talks to the Rails API at NEXT_PUBLIC_API_BASE_URL and sends the signed-in
+ * user's Auth0 access token, refreshing it once when the API answers 401. appApi talks to
+ * this app's /api routes, which read the session cookie instead, and names the school open
+ * in the browser (setActiveSchool) so those routes refuse requests for any other school.
+ * Both send and parse JSON, throw ApiError when a request fails, retry idempotent requests
+ * that failed on the network or with a 429/502/503/504, and take an AbortSignal to cancel
+ * a request.
+ */
+
+import { SCHOOL_HEADER } from '../../../lib/auth/schoolHeader';
+
+export type QueryValue = string | number | boolean | null | undefined;
+
+export type RequestOptions = {
+  /** Added to the URL; null and undefined values are left out */
+  query?: Record<string, QueryValue>;
+  /** Sent as JSON, or as is when it's FormData */
+  body?: unknown;
+  headers?: Record<string, string>;
+  /** Aborting it cancels the request, see isCancelled */
+  signal?: AbortSignal;
+  /** Retries for an idempotent request; other methods never retry */
+  retries?: number;
+  timeoutMs?: number;
+};
+
+export type ApiClientConfig = {
+  baseUrl: string;
+  /** Bearer token for a request, or null to send none */
+  getToken?: ((options: { refresh: boolean }) => Promise<string | null>) | null;
+  /** School to name in SCHOOL_HEADER, or null to name none */
+  getSchoolId?: (() => string | null) | null;
+  retries?: number;
+  timeoutMs?: number;
+};
+
+export type ApiClient = {
+  request: <T = any>(method: string, path: string, options?: RequestOptions) => Promise<T>;
+  get: <T = any>(path: string, options?: RequestOptions) => Promise<T>;
+  post: <T = any>(path: string, body?: unknown, options?: RequestOptions) => Promise<T>;
+  put: <T = any>(path: string, body?: unknown, options?: RequestOptions) => Promise<T>;
+  patch: <T = any>(path: string, body?: unknown, options?: RequestOptions) => Promise<T>;
+  delete: <T = any>(path: string, options?: RequestOptions) => Promise<T>;
+};
+
+/** The envelope most Rails API responses come in */
+export type RailsResponse<T> = { success?: boolean; message?: string; data: T };
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const RETRY_STATUSES = [429, 502, 503, 504];
+const DEFAULT_RETRIES = 2;
+const DEFAULT_TIMEOUT_MS = 30000;
+const RETRY_DELAY_MS = 300;
+
+/**
+ * Raised for a request that got an error response, timed out or never reached the server
+ */
+export class ApiError extends Error {
+  status: number;
+  errors: unknown;
+  body: unknown;
+  method: string;
+  url: string;
+
+  /**
+   * @param message - Readable message, from the response when it had one
+   * @param details - status (0 when no response arrived), parsed body, method and URL
+   */
+  constructor(message: string, { status, body = null, method, url }: { status: number; body?: unknown; method: string; url: string }) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.body = body;
+    // Validation errors: a list from this app's routes, field → messages from Rails
+    this.errors = (body as any)?.errors ?? null;
+    this.method = method;
+    this.url = url;
+  }
+}
+
+/**
+ * Check whether a request failed because its signal was aborted
+ * @param error - What the request threw
+ */
+export const isCancelled = (error: unknown): boolean => (error as Error)?.name === 'AbortError';
+
+/** Base URL of the Rails API, without a trailing slash */
+export const API_BASE_URL = (process.env.NEXT_PUBLIC_API_BASE_URL || 'http://localhost:4000').replace(/\/$/, '');
+
+type AccessToken = { value: string; expiresAt: number };
+
+let accessToken: AccessToken | null = null;
+let pendingToken: Promise<string | null> | null = null;
+
+/**
+ * Get the signed-in user's Auth0 access token from /api/auth/access-token, reusing it until
+ * a minute before it expires. Concurrent callers share one request.
+ * @param options.refresh - Ask Auth0 for a new token, e.g. after the API answered 401
+ * @returns The token, or null when nobody is signed in or on the server
+ */
+export const fetchAccessToken = async ({ refresh = false } = {}): Promise<string | null> => {
+  if (typeof window === 'undefined') return null;
+  if (!refresh && accessToken && accessToken.expiresAt > Date.now()) return accessToken.value;
+
+  if (!pendingToken) {
+    pendingToken = (async () => {
+      try {
+        const response = await fetch(`/api/auth/access-token${refresh ? '?refresh=1' : ''}`);
+        if (!response.ok) {
+          accessToken = null;
+          return null;
+        }
+        const data = await response.json();
+        // Without an expiry the token is used for this request only
+        accessToken = { value: data.accessToken, expiresAt: data.expiresAt ? data.expiresAt * 1000 - 60 * 1000 : 0 };
+        return accessToken.value;
+      } catch (error) {
+        return null;
+      } finally {
+        pendingToken = null;
+      }
+    })();
+  }
+  return pendingToken;
+};
+
+/**
+ * Forget the cached access token, e.g. when signing out
+ */
+export const clearAccessToken = () => {
+  accessToken = null;
+};
+
+// The header naming the school open in the browser; the API routes check it in withPermission
+export { SCHOOL_HEADER };
+
+let activeSchoolId: string | null = null;
+
+/**
+ * Name the school the user has open, sent with every appApi request from now on
+ * @param schoolId - School ID, or null when no school is open
+ */
+export const setActiveSchool = (schoolId: string | null) => {
+  activeSchoolId = schoolId ? String(schoolId) : null;
+};
+
+/**
+ * The school named by setActiveSchool
+ */
+export const getActiveSchool = (): string | null => activeSchoolId;
+
+const wait = (ms: number) => new Promise(resolve => setTimeout(resolve, Math.max(ms, 0)));
+
+/**
+ * How long to wait before a retry: Retry-After when the server sent it, otherwise
+ * RETRY_DELAY_MS doubled per attempt
+ */
+const retryDelay = (attempt: number, response: Response | null = null): number => {
+  const retryAfter = Number(response?.headers.get('Retry-After'));
+  return retryAfter > 0 ? retryAfter * 1000 : RETRY_DELAY_MS * 2 ** (attempt - 1);
+};
+
+const buildUrl = (baseUrl: string, path: string, query: Record<string, QueryValue> = {}): string => {
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) params.append(key, String(value));
+  });
+  const search = params.toString();
+  return `${baseUrl}/${path.replace(/^\//, '')}${search ? `${path.includes('?') ? '&' : '?'}${search}` : ''}`;
+};
+
+const readBody = async (response: Response): Promise<unknown> => {
+  const text = await response.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+};
+
+/**
+ * Pull a readable message out of an error body: the validation errors when this app's
+ * routes listed them, otherwise { message } or { error }
+ */
+const errorMessage = (body: any, status: number): string => {
+  if (typeof body === 'string' && body) return body;
+  if (Array.isArray(body?.errors) && body.errors.length > 0 && body.errors.every((e: unknown) => typeof e === 'string')) {
+    return body.errors.join(', ');
+  }
+  if (typeof body?.message === 'string') return body.message;
+  if (typeof body?.error === 'string') return body.error;
+  return `Request failed with status ${status}`;
+};
+
+/**
+ * Create a client for one API
+ * @param config - Base URL, where bearer tokens come from, and default retries and timeout
+ */
+export const createApiClient = ({
+  baseUrl,
+  getToken = null,
+  getSchoolId = null,
+  retries: defaultRetries = DEFAULT_RETRIES,
+  timeoutMs: defaultTimeoutMs = DEFAULT_TIMEOUT_MS
+}: ApiClientConfig): ApiClient => {
+  const root = baseUrl.replace(/\/$/, '');
+
+  /**
+   * Send one attempt, aborting it after timeoutMs or when the caller's signal aborts
+   */
+  const send = async (url: string, init: RequestInit, signal: AbortSignal | undefined, timeoutMs: number) => {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    if (signal?.aborted) abort();
+    signal?.addEventListener('abort', abort);
+    const timer = setTimeout(abort, timeoutMs);
+    try {
+      return await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      const message = isCancelled(error) ? `Request timed out after ${timeoutMs}ms` : 'Could not reach the server';
+      throw new ApiError(message, { status: 0, method: String(init.method), url });
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abort);
+    }
+  };
+
+  const request = async <T = any>(method: string, path: string, options: RequestOptions = {}): Promise<T> => {
+    const { query, body, headers = {}, signal, timeoutMs = defaultTimeoutMs } = options;
+    const url = buildUrl(root, path, query);
+    const isForm = typeof FormData !== 'undefined' && body instanceof FormData;
+    const attempts = 1 + (IDEMPOTENT_METHODS.includes(method) ? options.retries ?? defaultRetries : 0);
+
+    let attempt = 1;
+    let refreshed = false;
+    for (;;) {
+      const token = getToken ? await getToken({ refresh: false }) : null;
+      const schoolId = getSchoolId ? getSchoolId() : null;
+      const init: RequestInit = {
+        method,
+        headers: {
+          Accept: 'application/json',
+          ...(body !== undefined && !isForm ? { 'Content-Type': 'application/json' } : {}),
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          ...(schoolId ? { [SCHOOL_HEADER]: schoolId } : {}),
+          ...headers
+        },
+        body: body === undefined ? undefined : isForm ? (body as FormData) : JSON.stringify(body)
+      };
+
+      let response: Response;
+      try {
+        response = await send(url, init, signal, timeoutMs);
+      } catch (error) {
+        if (isCancelled(error) || attempt >= attempts) throw error;
+        await wait(retryDelay(attempt));
+        attempt += 1;
+        continue;
+      }
+
+      // An expired or revoked token: refresh it once and try again
+      if (response.status === 401 && token && !refreshed) {
+        refreshed = true;
+        await getToken({ refresh: true });
+        continue;
+      }
+      if (RETRY_STATUSES.includes(response.status) && attempt < attempts) {
+        await wait(retryDelay(attempt, response));
+        attempt += 1;
+        continue;
+      }
+
+      const data = await readBody(response);
+      if (!response.ok) {
+        throw new ApiError(errorMessage(data, response.status), { status: response.status, body: data, method, url });
+      }
+      return data as T;
+    }
+  };
+
+  return {
+    request,
+    get: (path, options) => request('GET', path, options),
+    post: (path, body, options = {}) => request('POST', path, { ...options, body }),
+    put: (path, body, options = {}) => request('PUT', path, { ...options, body }),
+    patch: (path, body, options = {}) => request('PATCH', path, { ...options, body }),
+    delete: (path, options) => request('DELETE', path, options)
+  };
+};
+
+/** The Rails API, with the signed-in user's access token */
+export const railsApi = createApiClient({ baseUrl: `${API_BASE_URL}/api/v1`, getToken: fetchAccessToken });
+
+/** This app's API routes, which read the session cookie */
+export const appApi = createApiClient({ baseUrl: process.env.NEXT_PUBLIC_APP_API_URL || '/api', getSchoolId: getActiveSchool });
+
+const Api = {
+  railsApi,
+  appApi,
+  createApiClient,
+  fetchAccessToken,
+  clearAccessToken,
+  setActiveSchool,
+  getActiveSchool,
+  isCancelled,
+  ApiError
+};
+
+export default Api;
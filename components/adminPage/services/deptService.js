@@ -1,32 +1,28 @@
 // services/debtService.js
-const API_BASE = 'http://localhost:4000/api/v1';
+import { railsApi } from './api';
 
-export const fetchDebtSummary = async (schoolId) => {
-  const response = await fetch(`${API_BASE}/schools/${schoolId}/debt_summary`);
-  if (!response.ok) throw new Error('Failed to fetch debt summary');
-  return await response.json();
-};
+export const fetchDebtSummary = (schoolId) => railsApi.get(`schools/${schoolId}/debt_summary`);
 
-export const fetchDebtors = async (schoolId) => {
-  const response = await fetch(`${API_BASE}/schools/${schoolId}/debtors`);
-  if (!response.ok) throw new Error('Failed to fetch debtors');
-  return await response.json();
-};
+export const fetchDebtors = (schoolId) => railsApi.get(`schools/${schoolId}/debtors`);
 
-export const getDebtorById = async (schoolId, accountId) => {
-  const response = await fetch(`${API_BASE}/schools/${schoolId}/accounts/${accountId}`);
-  if (!response.ok) throw new Error('Failed to fetch account');
-  return await response.json();
-};
+export const getDebtorById = (schoolId, accountId) => railsApi.get(`schools/${schoolId}/accounts/${accountId}`);
 
-export const processPayment = async (schoolId, accountId, paymentData) => {
-  const response = await fetch(`${API_BASE}/schools/${schoolId}/accounts/${accountId}/payments`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify(paymentData),
+export const processPayment = (schoolId, accountId, paymentData) =>
+  railsApi.post(`schools/${schoolId}/accounts/${accountId}/payments`, paymentData);
+
+// Outstanding balance per learner, keyed by student ID and by admission number, since
+// learners imported into the roster keep their admission number but not the billing ID
+export const fetchOutstandingBalances = async (schoolId) => {
+  const debtors = await fetchDebtors(schoolId);
+  const list = Array.isArray(debtors) ? debtors : debtors?.debtors || [];
+  const balances = new Map();
+  list.forEach(debtor => {
+    const balance = Number(debtor.balance ?? debtor.outstanding_balance ?? debtor.amount_due ?? 0);
+    if (!Number.isFinite(balance)) return;
+    const studentId = debtor.student_id ?? debtor.learner_id;
+    const admissionNumber = debtor.accession_number ?? debtor.admission_number;
+    if (studentId != null) balances.set(String(studentId), balance);
+    if (admissionNumber) balances.set(String(admissionNumber), balance);
   });
-  if (!response.ok) throw new Error('Failed to process payment');
-  return await response.json();
-};
\ No newline at end of file
+  return balances;
+};
@@ -0,0 +1,23 @@
+// services/userService.js
+import { railsApi } from './api';
+
+/**
+ * Fetch the Rails API's record of a signed-in user, creating it on their first visit
+ * @param {Object} user - Auth0 session user
+ * @param {Array} roles - The user's Auth0 role names, stored on a new record
+ * @returns {Promise<Object>} The user record
+ */
+export const ensureUserRecord = async (user, roles = []) => {
+  try {
+    return await railsApi.get(`users/${encodeURIComponent(user.sub)}`);
+  } catch (error) {
+    if (error.status !== 404) throw error;
+  }
+
+  return railsApi.post('users', {
+    auth0_id: user.sub,
+    name: user.name,
+    email: user.email,
+    roles: roles.length > 0 ? roles : ['default_role'],
+  });
+};
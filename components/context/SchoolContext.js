@@ -1,31 +1,33 @@
 // app/context/SchoolContext.js
-import { createContext, useContext, useState } from 'react';
-// The useApp import is removed as it's not directly related to Auth0 user management
-// and this context focuses on school data.
+// The school workspace: the schools the signed-in user belongs to and the one they have open.
+// ThemeProvider owns it, keeps the open school in the URL (?school=...) and names it on every
+// API request, so components read the school from here rather than picking one themselves.
+import { useAppTheme } from '../../context/ThemeContext';
 
-export const SchoolContext = createContext();
-
-export const useSchoolContext = () => {
-  const context = useContext(SchoolContext);
-  if (!context) {
-    throw new Error('useSchoolContext must be used within a SchoolProvider');
-  }
-  return context;
+/**
+ * Read a school's ID whether the API sent it as _id, as a BSON { $oid } or as id
+ * @param {Object} school - School record
+ * @returns {string|null} School ID
+ */
+export const schoolIdOf = (school) => {
+  const id = school?._id?.$oid || school?._id || school?.id;
+  return id ? String(id) : null;
 };
 
-export const SchoolProvider = ({ children, school }) => {
-  const [currentSchool, setCurrentSchool] = useState(school);
+/**
+ * The open school and the user's other schools
+ * @returns {Object} { school, schoolId, schools, loading, switchSchool }
+ */
+export const useSchoolContext = () => {
+  const { currentSchool, schools, setCurrentSchool, loading } = useAppTheme();
 
-  const updateSchool = (newSchool) => {
-    setCurrentSchool(newSchool);
+  return {
+    school: currentSchool,
+    schoolId: schoolIdOf(currentSchool),
+    schools,
+    loading,
+    switchSchool: setCurrentSchool
   };
-
-  return (
-    <SchoolContext.Provider value={{
-      school: currentSchool,
-      updateSchool
-    }}>
-      {children}
-    </SchoolContext.Provider>
-  );
 };
+
+export default useSchoolContext;
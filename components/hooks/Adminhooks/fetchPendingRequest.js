@@ -1,29 +1,29 @@
-import { useState, useEffect } from 'react';
-import { useApp } from '../../useApp'; // assuming you have a custom hook for getting the app context
+import { useState, useEffect, useCallback } from 'react';
+import { fetchAccessRequestInbox } from '../../adminPage/services/accessRequestService';
 
-// Custom hook for fetching pending requests
+// Custom hook for fetching a school's open access requests; reload after acting on one
 export const fetchPendingRequest = (schoolId) => {
-  const app = useApp(); // get the app context (realm app instance)
   const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
   const [pendingRequests, setPendingRequests] = useState(null);
 
-  useEffect(() => {
-    const fetchRequests = async () => {
-      try {
-        setLoading(true);
-        const result = await app.currentUser.functions.fetchPendingRequests(schoolId);
-        setPendingRequests(result);
-      } catch (error) {
-        console.error('Error fetching pending requests:', error.message);
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    if (schoolId) {
-      fetchRequests();
+  const reload = useCallback(async () => {
+    if (!schoolId) return;
+    try {
+      setLoading(true);
+      setError(null);
+      setPendingRequests(await fetchAccessRequestInbox(schoolId, 'open'));
+    } catch (error) {
+      console.error('Error fetching pending requests:', error.message);
+      setError(error.message);
+    } finally {
+      setLoading(false);
     }
-  }, [schoolId, app]);
+  }, [schoolId]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
 
-  return { loading, pendingRequests };
+  return { loading, error, pendingRequests, reload };
 };
@@ -1,6 +1,7 @@
 import React from 'react';
 import LoginModal from '../LoginModal';
 import RequestAccessFormSchool from '../Schoolpage/RequestAccessFormSchool';
+import { schoolIdOf } from '../context/SchoolContext';
 
 export const SchoolModals = ({
   selectedSchool,
@@ -40,6 +41,7 @@ export const SchoolModals = ({
       {showRequestAccessModal && (
         <RequestAccessFormSchool
         selectedSchool={ selectedSchool}
+          schoolId={schoolIdOf(school)}
           schoolName={selectedSchool}
           loggedInUserEmail={loggedInUserEmail}
           onRequestClose={closeRequestAccessModal}
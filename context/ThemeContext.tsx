@@ -7,14 +7,16 @@ import React, {
   ReactNode,
   useCallback,
 } from 'react';
+import { useRouter } from 'next/router';
 import { useUser } from "@auth0/nextjs-auth0/client";
+import { railsApi, API_BASE_URL, RailsResponse, setActiveSchool } from '../components/adminPage/services/api';
 
 const MODULE_TAG = 'THEME_CONTEXT';
 const DEFAULT_PRIMARY = 'white';
 const DEFAULT_SECONDARY = 'white';
 
-// Add your Rails API base URL here
-const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL || 'http://localhost:4000';
+// The open school is kept in the URL (?school=...), so links and reloads open the same school
+const SCHOOL_QUERY = 'school';
 
 /**
  * Enhanced NASA-style logger with high visibility terminal output
@@ -110,12 +112,22 @@ const ThemeContext = createContext<ThemeContextType>({
 
 export const ThemeProvider: React.FC<ThemeProviderProps> = ({ children }) => {
   const { user: auth0User } = useUser();
+  const router = useRouter();
+  const urlSchoolId = typeof router.query[SCHOOL_QUERY] === 'string' ? router.query[SCHOOL_QUERY] : null;
   const [schools, setSchools] = useState<School[]>([]);
-  const [currentSchool, setCurrentSchool] = useState<School | null>(null);
+  const [currentSchool, setSchoolState] = useState<School | null>(null);
   const [loading, setLoading] = useState<boolean>(true);
   const [error, setError] = useState<string | null>(null);
   const [refreshTrigger, setRefreshTrigger] = useState<number>(0);
 
+  /**
+   * Open a school: API requests name it from now on, before any child re-renders with it
+   */
+  const setCurrentSchool = useCallback((school: School | null) => {
+    setActiveSchool(school?._id || null);
+    setSchoolState(school);
+  }, []);
+
   // High-visibility startup logging
   useEffect(() => {
     nasaLog('INFO', MODULE_TAG, '🚀 THEME PROVIDER INITIALIZING', {
@@ -157,28 +169,12 @@ export const ThemeProvider: React.FC<ThemeProviderProps> = ({ children }) => {
         startTime: new Date(startTime).toISOString(),
       });
 
-      const response = await fetch(
-        `${API_BASE_URL}/api/v1/users/${encodeURIComponent(auth0Id)}`,
-        {
-          method: 'GET',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-        }
-      );
+      const data = await railsApi.get<RailsResponse<{ user: User }>>(`users/${encodeURIComponent(auth0Id)}`);
 
       const endTime = Date.now();
       const duration = endTime - startTime;
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
       
       nasaLog('DEBUG', MODULE_TAG, '📦 Raw API response received', {
-        responseStatus: response.status,
-        responseHeaders: Object.fromEntries(response.headers.entries()),
         responseData: data,
         duration: `${duration}ms`,
       });
@@ -228,28 +224,13 @@ export const ThemeProvider: React.FC<ThemeProviderProps> = ({ children }) => {
         startTime: new Date(startTime).toISOString(),
       });
 
-      const response = await fetch(
-        `${API_BASE_URL}/api/v1/schools/${schoolId}`,
-        {
-          method: 'GET',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-        }
-      );
+      const data = await railsApi.get<{ school?: School }>(`schools/${schoolId}`);
 
       const endTime = Date.now();
       const duration = endTime - startTime;
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
       
       nasaLog('DEBUG', MODULE_TAG, '📦 School API response received', {
         schoolId,
-        responseStatus: response.status,
         responseData: data,
         duration: `${duration}ms`,
       });
@@ -406,10 +387,19 @@ export const ThemeProvider: React.FC<ThemeProviderProps> = ({ children }) => {
       schoolOptions: schools.map(s => ({ id: s._id, name: s.schoolName })),
     });
     
+    const requestedSchoolId = new URLSearchParams(window.location.search).get(SCHOOL_QUERY);
     const lastSchoolId = localStorage.getItem('lastSelectedSchool');
     let selected: School | null = null;
 
-    if (lastSchoolId) {
+    if (requestedSchoolId) {
+      selected = schools.find((s) => s._id === requestedSchoolId) || null;
+      nasaLog(selected ? 'INFO' : 'WARN', MODULE_TAG, selected ? '✅ Opened school named in the URL' : '⚠️ School in the URL is not one of the user\'s schools', {
+        requestedSchoolId,
+        restorationSuccess: !!selected,
+      });
+    }
+
+    if (!selected && lastSchoolId) {
       selected = schools.find((s) => s._id === lastSchoolId) || null;
       
       if (selected) {
@@ -454,7 +444,7 @@ export const ThemeProvider: React.FC<ThemeProviderProps> = ({ children }) => {
       });
       setCurrentSchool(null);
     }
-  }, []);
+  }, [setCurrentSchool]);
 
   const theme = useMemo(() => {
     if (!currentSchool) {
@@ -497,7 +487,27 @@ export const ThemeProvider: React.FC<ThemeProviderProps> = ({ children }) => {
     
     setCurrentSchool(school);
     localStorage.setItem('lastSelectedSchool', school._id);
-  }, [currentSchool]);
+    if (router.query[SCHOOL_QUERY] !== school._id) {
+      router.push({ pathname: router.pathname, query: { ...router.query, [SCHOOL_QUERY]: school._id } }, undefined, { shallow: true });
+    }
+  }, [currentSchool, router, setCurrentSchool]);
+
+  // Back/forward and links between schools change the URL; follow it to the school it names
+  useEffect(() => {
+    if (!urlSchoolId || urlSchoolId === currentSchool?._id) return;
+    const requested = schools.find((s) => s._id === urlSchoolId);
+    if (requested) {
+      setCurrentSchool(requested);
+      localStorage.setItem('lastSelectedSchool', requested._id);
+    }
+  }, [urlSchoolId, schools]);
+
+  // Keep the open school in the URL, replacing one the user can't open
+  useEffect(() => {
+    if (!router.isReady || !currentSchool || urlSchoolId === currentSchool._id) return;
+    if (urlSchoolId && schools.some((s) => s._id === urlSchoolId)) return;
+    router.replace({ pathname: router.pathname, query: { ...router.query, [SCHOOL_QUERY]: currentSchool._id } }, undefined, { shallow: true });
+  }, [router.isReady, currentSchool, urlSchoolId, schools]);
 
   // Log state changes
   useEffect(() => {
@@ -0,0 +1,52 @@
+import { useState, useEffect } from 'react';
+import { useUser } from '@auth0/nextjs-auth0/client';
+import { appApi } from '../components/adminPage/services/api';
+
+export type UserAccess = {
+  roles: string[];
+  permissions: string[];
+  schools: Array<{ id: string; name: string | null; createdBy: string | null }>;
+};
+
+const NO_ACCESS: UserAccess = { roles: [], permissions: [], schools: [] };
+
+/**
+ * The signed-in user's roles, permissions and schools, read from /api/users/me.
+ * Everyone signed out, or still loading, has no roles.
+ */
+export const useUserRoles = () => {
+  const { user } = useUser();
+  const [access, setAccess] = useState<UserAccess>(NO_ACCESS);
+  const [loadedFor, setLoadedFor] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!user) {
+      setAccess(NO_ACCESS);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const fetchAccess = async () => {
+      setError(null);
+      try {
+        const data = await appApi.get<UserAccess>('users/me');
+        if (!cancelled) setAccess({ roles: data.roles, permissions: data.permissions, schools: data.schools });
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoadedFor(user.sub);
+      }
+    };
+
+    fetchAccess();
+    return () => {
+      cancelled = true;
+    };
+  }, [user?.sub]);
+
+  // Loading until the current user's answer arrives, so callers can wait for real roles
+  return { ...access, loading: Boolean(user) && loadedFor !== user.sub, error };
+};
+
+export default useUserRoles;
@@ -0,0 +1,338 @@
+/**
+ * AccessRequests - People asking to join a school, and the school's admins answering
+ *
+ * A signed-in user asks to join a school with a reason. The school's admins see open
+ * requests in their inbox and approve them with a role, reject them, or ask for more
+ * information, which the requester answers to put the request back in the inbox. Approving
+ * gives the requester the role in Auth0 and adds them to the school in the Rails API (see
+ * joinSchool). The requester is emailed at every decision.
+ *
+ * A request nobody acts on expires ACCESS_REQUEST_TTL_DAYS after it was made or last
+ * answered. Expiry is applied whenever requests are read, so no job has to run for it.
+ */
+
+import { getDb, toObjectId, indexOnce } from '../invitations/invitationStore';
+import { getChannelProvider } from '../invitations/deliveryPipeline';
+import { toActor } from '../invitations/templateStore';
+import { joinSchool } from './schoolAdmins';
+
+export const ACCESS_REQUESTS_COLLECTION = 'AccessRequest';
+
+export const ACCESS_REQUEST_STATUSES = {
+  pending: 'pending',
+  infoRequested: 'info_requested',
+  approved: 'approved',
+  rejected: 'rejected',
+  expired: 'expired'
+};
+
+/** Statuses a request can still be acted on in */
+export const OPEN_STATUSES = [ACCESS_REQUEST_STATUSES.pending, ACCESS_REQUEST_STATUSES.infoRequested];
+
+/** Admin actions and the status each leaves a request in */
+export const ACCESS_REQUEST_ACTIONS = {
+  approve: { from: OPEN_STATUSES, to: ACCESS_REQUEST_STATUSES.approved },
+  reject: { from: OPEN_STATUSES, to: ACCESS_REQUEST_STATUSES.rejected },
+  request_info: { from: [ACCESS_REQUEST_STATUSES.pending], to: ACCESS_REQUEST_STATUSES.infoRequested }
+};
+
+export const ACCESS_REQUEST_TTL_DAYS = 14;
+
+export const MAX_REASON_LENGTH = 1000;
+
+const expiryFrom = (date) => new Date(date.getTime() + ACCESS_REQUEST_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Create the indexes the store relies on. The partial unique index allows one open request
+ * per person and school; createAccessRequest ensures it too, so it holds without the worker.
+ * @returns {Promise<void>}
+ */
+export const ensureAccessRequestIndexes = async () => {
+  const db = await getDb();
+  await db.collection(ACCESS_REQUESTS_COLLECTION).createIndexes([
+    { key: { schoolId: 1, status: 1, createdAt: -1 } },
+    { key: { 'requester.id': 1, createdAt: -1 } },
+    {
+      key: { schoolId: 1, 'requester.id': 1 },
+      unique: true,
+      partialFilterExpression: { status: { $in: OPEN_STATUSES } }
+    }
+  ]);
+};
+
+const accessRequestIndexesReady = indexOnce(ensureAccessRequestIndexes);
+
+/**
+ * Validate a new access request
+ * @param {Object} data - { schoolId, reason }
+ * @returns {Object} { errors } - empty when valid
+ */
+export const validateAccessRequest = ({ schoolId, reason } = {}) => {
+  const errors = [];
+  if (!schoolId) {
+    errors.push('schoolId is required.');
+  }
+  const text = String(reason || '').trim();
+  if (!text) {
+    errors.push('Say why you need access to this school.');
+  } else if (text.length > MAX_REASON_LENGTH) {
+    errors.push(`Keep the reason under ${MAX_REASON_LENGTH} characters.`);
+  }
+  return { errors };
+};
+
+/**
+ * Email the requester about a decision on their request
+ * A failed email is logged; the decision stands without it.
+ * @param {Object} request - Access request
+ * @param {string} subject - Email subject
+ * @param {string} content - Email body
+ * @returns {Promise<void>}
+ */
+const notifyRequester = async (request, subject, content) => {
+  if (!request.requester?.email) return;
+  const baseUrl = (process.env.APP_BASE_URL || process.env.AUTH0_BASE_URL || '').replace(/\/$/, '');
+  const link = baseUrl ? `\n\n${baseUrl}/admin${request.status === ACCESS_REQUEST_STATUSES.approved ? `?school=${request.schoolId}` : ''}` : '';
+
+  await getChannelProvider('email')
+    .sendEmail({
+      to: request.requester.email,
+      subject,
+      content: `${content}${link}`,
+      contentType: 'text/plain',
+      metadata: { schoolId: request.schoolId }
+    })
+    .catch(error => console.error(`AccessRequests: could not email ${request.requester.email}`, error));
+};
+
+/**
+ * The email sent for each status a request can move to
+ */
+const decisionEmails = {
+  [ACCESS_REQUEST_STATUSES.approved]: (request) => [
+    `You now have access to ${request.schoolName}`,
+    `Your request to join ${request.schoolName} was approved. You have been given the ${request.role} role.`
+  ],
+  [ACCESS_REQUEST_STATUSES.rejected]: (request) => [
+    `Your request to join ${request.schoolName}`,
+    `Your request to join ${request.schoolName} was declined.${request.note ? ` The admin said: ${request.note}` : ''}`
+  ],
+  [ACCESS_REQUEST_STATUSES.infoRequested]: (request) => [
+    `${request.schoolName} needs more information`,
+    `The admins of ${request.schoolName} need more information before they can answer your request: ${request.note}\n\n` +
+      `Reply from your access requests within ${ACCESS_REQUEST_TTL_DAYS} days, or the request expires.`
+  ],
+  [ACCESS_REQUEST_STATUSES.expired]: (request) => [
+    `Your request to join ${request.schoolName} expired`,
+    `Your request to join ${request.schoolName} expired before it was answered. You can ask again at any time.`
+  ]
+};
+
+/**
+ * Move a request to a new status if it is still in one of the given statuses
+ * @param {Object} _id - Request ObjectId
+ * @param {Array} from - Statuses the request must be in
+ * @param {Object} change - { status, action, by, note } plus any other fields to set
+ * @returns {Promise<Object|null>} The updated request, or null when it was in another status
+ */
+const transition = async (_id, from, { action, by = null, note = null, ...fields }) => {
+  const db = await getDb();
+  const now = new Date();
+  return db.collection(ACCESS_REQUESTS_COLLECTION).findOneAndUpdate(
+    { _id, status: { $in: from } },
+    {
+      $set: { ...fields, note, updatedAt: now },
+      $push: { history: { action, status: fields.status, by, note, at: now } }
+    },
+    { returnDocument: 'after' }
+  );
+};
+
+/**
+ * Expire open requests past their expiry and email their requesters
+ * @param {Object} filter - Narrows the requests checked, e.g. { schoolId }
+ * @returns {Promise<number>} How many requests expired
+ */
+export const expireStaleRequests = async (filter = {}) => {
+  const db = await getDb();
+  const stale = await db.collection(ACCESS_REQUESTS_COLLECTION)
+    .find({ ...filter, status: { $in: OPEN_STATUSES }, expiresAt: { $lte: new Date() } })
+    .project({ _id: 1 })
+    .toArray();
+
+  let expired = 0;
+  for (const { _id } of stale) {
+    const request = await transition(_id, OPEN_STATUSES, { status: ACCESS_REQUEST_STATUSES.expired, action: 'expire' });
+    // Acted on since it was read
+    if (!request) continue;
+    expired += 1;
+    const [subject, content] = decisionEmails[request.status](request);
+    await notifyRequester(request, subject, content);
+  }
+  return expired;
+};
+
+/**
+ * Store a new access request
+ * @param {Object} params
+ * @param {string} params.schoolId - School ID
+ * @param {string|null} params.schoolName - School name, shown to the requester and in emails
+ * @param {string} params.reason - Why the requester needs access
+ * @param {Object} user - Session user making the request
+ * @returns {Promise<Object|null>} The stored request, or null when the user already has an
+ *   open request for the school
+ */
+export const createAccessRequest = async ({ schoolId, schoolName = null, reason }, user) => {
+  await accessRequestIndexesReady();
+  await expireStaleRequests({ schoolId: String(schoolId), 'requester.id': user.sub });
+
+  const db = await getDb();
+  const now = new Date();
+  const requester = toActor(user);
+  const request = {
+    schoolId: String(schoolId),
+    schoolName: String(schoolName || '').trim() || 'the school',
+    requester,
+    reason: String(reason).trim(),
+    status: ACCESS_REQUEST_STATUSES.pending,
+    role: null,
+    note: null,
+    history: [{ action: 'request', status: ACCESS_REQUEST_STATUSES.pending, by: requester, note: null, at: now }],
+    createdAt: now,
+    updatedAt: now,
+    expiresAt: expiryFrom(now)
+  };
+
+  try {
+    const { insertedId } = await db.collection(ACCESS_REQUESTS_COLLECTION).insertOne(request);
+    return { ...request, _id: insertedId };
+  } catch (error) {
+    // The partial unique index: an open request already exists
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * Fetch one access request
+ * @param {string} id - Request ID
+ * @returns {Promise<Object|null>} The request, or null when not found
+ */
+export const findAccessRequest = async (id) => {
+  const _id = toObjectId(id);
+  if (!_id) return null;
+  await expireStaleRequests({ _id });
+  const db = await getDb();
+  return db.collection(ACCESS_REQUESTS_COLLECTION).findOne({ _id });
+};
+
+/**
+ * List a school's access requests, newest first
+ * @param {string} schoolId - School ID
+ * @param {Object} options
+ * @param {string} options.status - A status, or 'open' for pending and info_requested
+ * @returns {Promise<Array>} Requests
+ */
+export const listAccessRequests = async (schoolId, { status = 'open' } = {}) => {
+  await expireStaleRequests({ schoolId: String(schoolId) });
+  const db = await getDb();
+  return db.collection(ACCESS_REQUESTS_COLLECTION)
+    .find({ schoolId: String(schoolId), status: status === 'open' ? { $in: OPEN_STATUSES } : status })
+    .sort({ createdAt: -1 })
+    .limit(200)
+    .toArray();
+};
+
+/**
+ * List the requests a user has made, newest first
+ * @param {string} userId - Auth0 user ID
+ * @returns {Promise<Array>} Requests
+ */
+export const listRequestsByUser = async (userId) => {
+  await expireStaleRequests({ 'requester.id': userId });
+  const db = await getDb();
+  return db.collection(ACCESS_REQUESTS_COLLECTION)
+    .find({ 'requester.id': userId })
+    .sort({ createdAt: -1 })
+    .limit(50)
+    .toArray();
+};
+
+/**
+ * Approve, reject or ask for more information on a request, and email the requester.
+ * Approving gives the requester the role and adds them to the school before the request
+ * is marked approved, so a failed grant leaves the request open to try again.
+ * @param {Object} request - The request, see findAccessRequest
+ * @param {Object} params
+ * @param {string} params.action - approve, reject or request_info
+ * @param {string|null} params.role - Role to give on approval, from SCHOOL_ROLES
+ * @param {string|null} params.note - Message to the requester; required to ask for information
+ * @param {Object} user - Session user reviewing the request
+ * @returns {Promise<Object|null>} The updated request, or null when it is no longer in a
+ *   status the action applies to
+ */
+export const reviewAccessRequest = async (request, { action, role = null, note = null }, user) => {
+  const step = ACCESS_REQUEST_ACTIONS[action];
+  if (!step || !step.from.includes(request.status)) return null;
+
+  if (action === 'approve') {
+    await joinSchool({
+      schoolId: request.schoolId,
+      account: { userId: request.requester.id, name: request.requester.name, email: request.requester.email },
+      roles: [role]
+    });
+  }
+
+  const now = new Date();
+  const updated = await transition(request._id, step.from, {
+    status: step.to,
+    action,
+    by: toActor(user),
+    note: String(note || '').trim() || null,
+    ...(action === 'approve' ? { role } : {}),
+    ...(action === 'request_info' ? { expiresAt: expiryFrom(now) } : { reviewedAt: now })
+  });
+  if (updated) {
+    const [subject, content] = decisionEmails[updated.status](updated);
+    await notifyRequester(updated, subject, content);
+  }
+  return updated;
+};
+
+/**
+ * Answer an admin's request for more information, returning the request to the inbox with
+ * a fresh expiry
+ * @param {Object} request - The request, see findAccessRequest
+ * @param {string} note - The requester's answer
+ * @param {Object} user - Session user, the requester
+ * @returns {Promise<Object|null>} The updated request, or null when no information was asked for
+ */
+export const replyToAccessRequest = async (request, note, user) => {
+  return transition(request._id, [ACCESS_REQUEST_STATUSES.infoRequested], {
+    status: ACCESS_REQUEST_STATUSES.pending,
+    action: 'reply',
+    by: toActor(user),
+    note: String(note).trim(),
+    expiresAt: expiryFrom(new Date())
+  });
+};
+
+const AccessRequests = {
+  ACCESS_REQUESTS_COLLECTION,
+  ACCESS_REQUEST_STATUSES,
+  ACCESS_REQUEST_ACTIONS,
+  ACCESS_REQUEST_TTL_DAYS,
+  OPEN_STATUSES,
+  MAX_REASON_LENGTH,
+  ensureAccessRequestIndexes,
+  validateAccessRequest,
+  expireStaleRequests,
+  createAccessRequest,
+  findAccessRequest,
+  listAccessRequests,
+  listRequestsByUser,
+  reviewAccessRequest,
+  replyToAccessRequest
+};
+
+export default AccessRequests;
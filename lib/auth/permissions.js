@@ -0,0 +1,95 @@
+/**
+ * Permissions - What each Auth0 role may do through the API
+ *
+ * API routes declare the permission they need (see withPermission); a caller has a
+ * permission when any of their roles grants it. Roles not listed here grant nothing.
+ * Who approves sends and templates stays defined by SEND_APPROVER_ROLES and
+ * TEMPLATE_APPROVER_ROLES, which the admin pages also use.
+ *
+ * PLATFORM_ROLES are for the people who run the app itself rather than a school. They
+ * change things every school shares, such as the WhatsApp Business account's templates, see
+ * the opt-outs that apply to every school, and are given in the Auth0 dashboard, never by
+ * the app.
+ */
+
+import { SEND_APPROVER_ROLES } from '../../components/adminPage/GradesManagemet/services/invitation/budgets';
+import { TEMPLATE_APPROVER_ROLES } from '../../components/adminPage/GradesManagemet/services/invitation/templateWorkflow';
+
+export const PERMISSIONS = {
+  invitationsView: 'invitations:view',
+  invitationsSend: 'invitations:send',
+  invitationsManage: 'invitations:manage',
+  invitationsApprove: 'invitations:approve',
+  templatesApprove: 'templates:approve',
+  learnersView: 'learners:view',
+  learnersManage: 'learners:manage',
+  learnersImport: 'learners:import',
+  creditsView: 'credits:view',
+  paymentsCreate: 'payments:create',
+  adminsManage: 'admins:manage',
+  whatsappTemplatesManage: 'whatsapp-templates:manage',
+  optOutsViewGlobal: 'opt-outs:view-global'
+};
+
+/** Roles that run a school, and the only roles the app assigns */
+export const SCHOOL_ROLES = ['Admin', 'Principal'];
+
+/** Roles that run the platform every school shares */
+export const PLATFORM_ROLES = ['PlatformAdmin'];
+
+const PLATFORM_PERMISSIONS = [
+  PERMISSIONS.whatsappTemplatesManage,
+  PERMISSIONS.optOutsViewGlobal
+];
+
+const SCHOOL_PERMISSIONS = [
+  PERMISSIONS.invitationsView,
+  PERMISSIONS.invitationsSend,
+  PERMISSIONS.invitationsManage,
+  PERMISSIONS.learnersView,
+  PERMISSIONS.learnersManage,
+  PERMISSIONS.learnersImport,
+  PERMISSIONS.creditsView,
+  PERMISSIONS.paymentsCreate,
+  PERMISSIONS.adminsManage
+];
+
+/** Permissions granted by each Auth0 role */
+export const ROLE_PERMISSIONS = Object.fromEntries(
+  [...new Set([...SCHOOL_ROLES, ...PLATFORM_ROLES, ...SEND_APPROVER_ROLES, ...TEMPLATE_APPROVER_ROLES])].map(role => [role, [
+    ...(SCHOOL_ROLES.includes(role) ? SCHOOL_PERMISSIONS : []),
+    ...(PLATFORM_ROLES.includes(role) ? PLATFORM_PERMISSIONS : []),
+    ...(SEND_APPROVER_ROLES.includes(role) ? [PERMISSIONS.invitationsApprove] : []),
+    ...(TEMPLATE_APPROVER_ROLES.includes(role) ? [PERMISSIONS.templatesApprove] : [])
+  ]])
+);
+
+/**
+ * Permissions granted by a set of roles
+ * @param {Array} roles - Role names
+ * @returns {Array} Permission names, without duplicates
+ */
+export const permissionsForRoles = (roles = []) => {
+  return [...new Set(roles.flatMap(role => ROLE_PERMISSIONS[role] || []))];
+};
+
+/**
+ * Check whether a set of roles grants a permission
+ * @param {Array} roles - Role names
+ * @param {string} permission - Permission name, e.g. 'invitations:send'
+ * @returns {boolean} True when any role grants it
+ */
+export const hasPermission = (roles = [], permission) => {
+  return permissionsForRoles(roles).includes(permission);
+};
+
+const Permissions = {
+  PERMISSIONS,
+  SCHOOL_ROLES,
+  PLATFORM_ROLES,
+  ROLE_PERMISSIONS,
+  permissionsForRoles,
+  hasPermission
+};
+
+export default Permissions;
@@ -0,0 +1,151 @@
+/**
+ * SchoolAdmins - Giving people the Admin role at a school
+ *
+ * An admin is found by email in Auth0, or created there when they have no account yet,
+ * given the Admin role, and added to the school's members in the Rails API. Approved
+ * access requests join a school the same way (see accessRequests). Everything that needs
+ * the Management API happens here on the server.
+ */
+
+import { findOrCreateUser, assignUserRoles, fetchUserRoles } from '../fetchUserRoles';
+import { ensureSchoolUser, addUserToSchool, fetchUserSchools, updateUserRoles } from '../fetchSchools';
+import { forgetCaller } from './withPermission';
+import { SCHOOL_ROLES } from './permissions';
+
+export const ADMIN_ROLE = 'Admin';
+
+export const MAX_ADMINS = 10;
+
+const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+/**
+ * Validate the admins to add to a school
+ * @param {Array} admins - [{ name, email }]
+ * @returns {Object} { errors } - empty when valid
+ */
+export const validateSchoolAdmins = (admins) => {
+  const errors = [];
+  if (!Array.isArray(admins)) {
+    return { errors: ['admins must be a list.'] };
+  }
+  if (admins.length > MAX_ADMINS) {
+    errors.push(`Add at most ${MAX_ADMINS} admins at a time.`);
+  }
+  admins.forEach((admin, index) => {
+    if (!admin?.email || !isValidEmail(String(admin.email).trim())) {
+      errors.push(`Admin ${index + 1} needs a valid email address.`);
+    }
+  });
+  return { errors };
+};
+
+/**
+ * Give a user roles in Auth0 and copy their full role list to the Rails API
+ * @param {string} userId - Auth0 user ID
+ * @param {Array} roles - Role names to add, from SCHOOL_ROLES
+ * @returns {Promise<Array>} All of the user's role names afterwards
+ */
+export const grantRoles = async (userId, roles) => {
+  await assignUserRoles(userId, roles);
+  const allRoles = await fetchUserRoles(userId);
+  await updateUserRoles(userId, allRoles);
+  forgetCaller(userId);
+  return allRoles;
+};
+
+/**
+ * Check whether giving a user roles would reach schools the caller doesn't run. Auth0 roles
+ * aren't per school: a role given for one school applies at every school the user belongs
+ * to, so a caller may only add roles to users whose schools are all theirs too.
+ * @param {string} userId - Auth0 user ID
+ * @param {Array} roles - Role names to give
+ * @param {Object} caller - The granting caller, see resolveCaller
+ * @returns {Promise<Array>} Schools the new roles would reach but the caller doesn't belong
+ *   to; empty when the grant is allowed, or adds no role the user lacks
+ */
+export const schoolsOutsideCaller = async (userId, roles, caller) => {
+  const [held, schools] = await Promise.all([fetchUserRoles(userId), fetchUserSchools(userId)]);
+  if (roles.every(role => held.includes(role))) return [];
+  return schools.filter(school => !caller.isMember(school.id));
+};
+
+/**
+ * Make a school's creator its first admin, unless they already run the school
+ * @param {Object} user - Session user
+ * @returns {Promise<Array>} The creator's role names
+ */
+export const grantCreatorAdmin = async (user) => {
+  const roles = await fetchUserRoles(user.sub);
+  if (roles.some(role => SCHOOL_ROLES.includes(role))) return roles;
+  return grantRoles(user.sub, [ADMIN_ROLE]);
+};
+
+/**
+ * Give a user roles and add them to a school's members in the Rails API, creating their
+ * Rails record when they have none yet
+ * @param {Object} params
+ * @param {string} params.schoolId - School ID
+ * @param {Object} params.account - { userId, name, email } of the Auth0 user
+ * @param {Array} params.roles - Role names to add, from SCHOOL_ROLES
+ * @returns {Promise<Array>} All of the user's role names afterwards
+ */
+export const joinSchool = async ({ schoolId, account, roles }) => {
+  await assignUserRoles(account.userId, roles);
+  const allRoles = await fetchUserRoles(account.userId);
+  await ensureSchoolUser({ userId: account.userId, name: account.name, email: account.email, roles: allRoles });
+
+  const schools = await fetchUserSchools(account.userId);
+  if (!schools.some(school => school.id === String(schoolId))) {
+    await addUserToSchool(account.userId, schoolId);
+  }
+  forgetCaller(account.userId);
+  return allRoles;
+};
+
+/**
+ * Give each person the Admin role and add them to a school. One admin failing does not
+ * stop the others, and nobody who belongs to a school the caller doesn't is made an admin
+ * (see schoolsOutsideCaller).
+ * @param {Object} params
+ * @param {string} params.schoolId - School ID
+ * @param {Array} params.admins - [{ name, email }], see validateSchoolAdmins
+ * @param {Object} params.caller - The caller adding them, see resolveCaller
+ * @returns {Promise<Array>} [{ email, userId, created, error }] - created is true when an
+ *   Auth0 account was made for them
+ */
+export const addSchoolAdmins = async ({ schoolId, admins, caller }) => {
+  const results = [];
+  for (const admin of admins) {
+    try {
+      const account = await findOrCreateUser({ email: admin.email, name: admin.name });
+      if (!account.created && (await schoolsOutsideCaller(account.userId, [ADMIN_ROLE], caller)).length > 0) {
+        results.push({
+          email: account.email,
+          userId: null,
+          created: false,
+          error: "They belong to schools you don't run, where the Admin role would apply too."
+        });
+        continue;
+      }
+      await joinSchool({ schoolId, account: { ...account, name: account.name || admin.name }, roles: [ADMIN_ROLE] });
+      results.push({ email: account.email, userId: account.userId, created: account.created, error: null });
+    } catch (error) {
+      console.error(`Error adding ${admin.email} as a school admin:`, error);
+      results.push({ email: admin.email, userId: null, created: false, error: 'Could not add this admin.' });
+    }
+  }
+  return results;
+};
+
+const SchoolAdmins = {
+  ADMIN_ROLE,
+  MAX_ADMINS,
+  validateSchoolAdmins,
+  grantRoles,
+  schoolsOutsideCaller,
+  grantCreatorAdmin,
+  joinSchool,
+  addSchoolAdmins
+};
+
+export default SchoolAdmins;
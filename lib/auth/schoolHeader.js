@@ -0,0 +1,11 @@
+/**
+ * SchoolHeader - The request header naming the school open in the browser
+ *
+ * Shared by the browser's API client, which sends it (appApi), and withPermission, which
+ * checks it, so neither side imports the other.
+ */
+
+/** Header naming the school open in the browser */
+export const SCHOOL_HEADER = 'X-School-Id';
+
+export default SCHOOL_HEADER;
@@ -0,0 +1,147 @@
+/**
+ * WithPermission - Authorisation for API routes
+ *
+ * Wrapping a route resolves the caller from their Auth0 session: their roles (Auth0
+ * Management API) and the schools they belong to (Rails API). The route runs only when
+ * the caller holds the permission it declares for the request's method and the request
+ * names a school the caller belongs to. The route gets the caller as a third argument.
+ *
+ * The browser also names the school the user has open (SCHOOL_HEADER, sent by appApi). A
+ * request for any other school is refused, so a page still holding the previous school's
+ * ID after a switch can't read or change that school's data.
+ *
+ * The caller's memberships, and whatever the route asks of the Rails API, are fetched with
+ * the caller's Auth0 access token (see railsServerApi).
+ *
+ * Roles and memberships are cached for a minute per user, so a role change made elsewhere
+ * reaches the API within a minute without every request asking Auth0. Changes made through
+ * the app call forgetCaller so they apply at once.
+ */
+
+import { getSession } from '@auth0/nextjs-auth0';
+import { fetchUserRoles } from '../fetchUserRoles';
+import { fetchUserSchools } from '../fetchSchools';
+import { withRailsCaller, isRailsAuthError } from '../railsServerApi';
+import { permissionsForRoles } from './permissions';
+import { SCHOOL_HEADER } from './schoolHeader';
+
+const CALLER_CACHE_MS = 60 * 1000;
+
+const callerCache = new Map();
+
+/**
+ * Roles and school memberships of a user, cached for CALLER_CACHE_MS
+ * @param {string} userId - Auth0 user ID
+ * @returns {Promise<Object>} { roles, schools }
+ */
+const loadAccess = async (userId) => {
+  const cached = callerCache.get(userId);
+  if (cached && cached.expiresAt > Date.now()) return cached.access;
+
+  const [roles, schools] = await Promise.all([fetchUserRoles(userId), fetchUserSchools(userId)]);
+  const access = { roles, schools };
+  callerCache.set(userId, { access, expiresAt: Date.now() + CALLER_CACHE_MS });
+  return access;
+};
+
+/**
+ * Drop a user's cached roles and memberships, after changing them
+ * @param {string} userId - Auth0 user ID
+ */
+export const forgetCaller = (userId) => {
+  callerCache.delete(userId);
+};
+
+/**
+ * Resolve the signed-in caller of a request
+ * @param {Object} req - API request
+ * @param {Object} res - API response
+ * @returns {Promise<Object|null>} { user, roles, permissions, schools, activeSchoolId, can,
+ *   isMember, belongsTo }, or null when nobody is signed in. belongsTo is true for a school
+ *   the caller is a member of and, when the browser named an open school, is that school.
+ */
+export const resolveCaller = async (req, res) => {
+  const session = await getSession(req, res);
+  if (!session?.user) return null;
+
+  const { roles, schools } = await loadAccess(session.user.sub);
+  const permissions = permissionsForRoles(roles);
+  // Node lower-cases header names
+  const activeSchoolId = req.headers?.[SCHOOL_HEADER.toLowerCase()] || null;
+  const isMember = schoolId => schools.some(school => school.id === String(schoolId));
+  return {
+    user: session.user,
+    roles,
+    permissions,
+    schools,
+    activeSchoolId,
+    can: permission => permissions.includes(permission),
+    isMember,
+    belongsTo: schoolId => isMember(schoolId) && (!activeSchoolId || activeSchoolId === String(schoolId))
+  };
+};
+
+/**
+ * The school a request acts on: schoolId from the query, or from the body
+ * @param {Object} req - API request
+ * @returns {string|null} School ID
+ */
+export const requestSchoolId = (req) => req.query?.schoolId || req.body?.schoolId || null;
+
+/**
+ * Wrap an API route so only callers with a permission can use it
+ * @param {string|Object} permission - Permission for every method, or { [method]: permission };
+ *   methods missing from the object are answered 405
+ * @param {Function} handler - async (req, res, caller) => void
+ * @param {Object} options
+ * @param {Function|false} options.school - Reads the school a request acts on (default
+ *   requestSchoolId); a request that names none is answered 400. false when the route
+ *   checks caller.belongsTo itself, e.g. after loading a record by ID, or when it acts on
+ *   no school's data
+ * @returns {Function} API route
+ */
+export const withPermission = (permission, handler, { school = requestSchoolId } = {}) => async (req, res) => {
+  const required = typeof permission === 'string' ? permission : permission[req.method];
+  if (!required) {
+    res.setHeader('Allow', Object.keys(permission));
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  let caller;
+  try {
+    caller = await withRailsCaller(req, res, () => resolveCaller(req, res));
+  } catch (error) {
+    if (isRailsAuthError(error)) {
+      return res.status(401).json({ message: 'Your session has expired. Sign in again.' });
+    }
+    console.error('Error resolving API caller:', error);
+    return res.status(500).json({ message: 'Error checking your permissions.' });
+  }
+
+  if (!caller) {
+    return res.status(401).json({ message: 'Sign in to continue.' });
+  }
+  if (!caller.can(required)) {
+    return res.status(403).json({ message: "You don't have permission to do this.", permission: required });
+  }
+
+  if (school) {
+    const schoolId = school(req);
+    if (!schoolId) {
+      return res.status(400).json({ message: 'schoolId is required.' });
+    }
+    if (!caller.isMember(schoolId)) {
+      return res.status(403).json({ message: "You don't have access to this school." });
+    }
+    if (!caller.belongsTo(schoolId)) {
+      return res.status(409).json({
+        message: 'This request is for a different school from the one you have open. Reload the page and try again.',
+        code: 'school_mismatch'
+      });
+    }
+  }
+
+  return withRailsCaller(req, res, () => handler(req, res, caller));
+};
+
+export default withPermission;
@@ -0,0 +1,75 @@
+/**
+ * Server-side access to the Rails API's user records: the schools a user belongs to, and
+ * adding users to a school. A user joins a school when they create it (see CreateSchoolForm),
+ * is made one of its admins, or has an access request approved. Calls send the caller's
+ * access token (see railsServerApi), so a refused call throws a 401 ApiError.
+ */
+
+import { RailsResponse } from '../components/adminPage/services/api';
+import { railsServerApi } from './railsServerApi';
+
+export type SchoolMembership = { id: string; name: string | null; createdBy: string | null };
+
+export type SchoolUser = { userId: string; name?: string | null; email: string; roles: string[] };
+
+/**
+ * Read a school's ID whether the API sent it as a string or as a BSON { $oid }
+ */
+const schoolId = (school): string => String(school._id?.$oid || school._id || school.id);
+
+/**
+ * Fetch the schools a user belongs to
+ * @param userId - Auth0 user ID (session user.sub)
+ */
+export const fetchUserSchools = async (userId: string): Promise<SchoolMembership[]> => {
+  let data: RailsResponse<{ schools?: Array<Record<string, any>> }>;
+  try {
+    data = await railsServerApi.get(`users/${encodeURIComponent(userId)}/schools`);
+  } catch (error) {
+    // The API answers 404 for a user without schools
+    if (error.status === 404) return [];
+    throw error;
+  }
+
+  const schools = data.data?.schools || [];
+  return schools.map((school) => ({
+    id: schoolId(school),
+    name: school.schoolName || school.name || null,
+    createdBy: school.user_id || null,
+  }));
+};
+
+/**
+ * Make sure the Rails API has a user record, with the given roles
+ * @param user - Auth0 user ID, name, email and role names
+ */
+export const ensureSchoolUser = async ({ userId, name = null, email, roles }: SchoolUser): Promise<void> => {
+  try {
+    await railsServerApi.get(`users/${encodeURIComponent(userId)}`);
+  } catch (error) {
+    if (error.status !== 404) throw error;
+    await railsServerApi.post('users', { auth0_id: userId, name: name || email, email, roles });
+    return;
+  }
+  await updateUserRoles(userId, roles);
+};
+
+/**
+ * Replace the roles on a user's Rails record, kept in step with their Auth0 roles
+ * @param userId - Auth0 user ID
+ * @param roles - All of the user's role names
+ */
+export const updateUserRoles = async (userId: string, roles: string[]): Promise<void> => {
+  await railsServerApi.patch(`users/${encodeURIComponent(userId)}/update_roles`, { roles });
+};
+
+/**
+ * Add a school to a user's schools
+ * @param userId - Auth0 user ID
+ * @param school - School ID
+ */
+export const addUserToSchool = async (userId: string, school: string): Promise<void> => {
+  await railsServerApi.patch(`users/${encodeURIComponent(userId)}/add_school`, { schoolId: school });
+};
+
+export default fetchUserSchools;
@@ -0,0 +1,164 @@
+/**
+ * Server-side access to Auth0 users and roles through the Management API.
+ * The management token is requested with the app's client credentials and kept in
+ * memory until shortly before it expires; it never leaves the server.
+ */
+
+import { randomBytes } from 'crypto';
+
+type ManagementToken = { value: string; expiresAt: number };
+
+export type Auth0User = { userId: string; email: string; name: string | null; created: boolean };
+
+let cachedToken: ManagementToken | null = null;
+
+// Role IDs differ per tenant, so they are looked up by name once and kept
+const roleIds = new Map<string, string>();
+
+/**
+ * Base URL of the Auth0 tenant, from AUTH0_ISSUER_BASE_URL or AUTH0_DOMAIN
+ */
+const tenantUrl = (): string => {
+  const issuer = process.env.AUTH0_ISSUER_BASE_URL || (process.env.AUTH0_DOMAIN ? `https://${process.env.AUTH0_DOMAIN}` : '');
+  if (!issuer) {
+    throw new Error('AUTH0_ISSUER_BASE_URL is not configured');
+  }
+  return issuer.replace(/\/$/, '');
+};
+
+/**
+ * Get a Management API token, reusing the cached one while it is valid
+ */
+const getManagementToken = async (): Promise<string> => {
+  if (cachedToken && cachedToken.expiresAt > Date.now()) {
+    return cachedToken.value;
+  }
+
+  const response = await fetch(`${tenantUrl()}/oauth/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      client_id: process.env.AUTH0_CLIENT_ID,
+      client_secret: process.env.AUTH0_CLIENT_SECRET,
+      audience: `${tenantUrl()}/api/v2/`,
+      grant_type: 'client_credentials',
+    }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Auth0 token request failed with ${response.status}`);
+  }
+
+  const data = await response.json();
+  // Refresh a minute early so a token never expires mid-request
+  cachedToken = { value: data.access_token, expiresAt: Date.now() + (data.expires_in - 60) * 1000 };
+  return cachedToken.value;
+};
+
+/**
+ * Call the Management API with the cached token
+ * @param path - Path under /api/v2
+ */
+const managementFetch = async (path: string, init: RequestInit = {}): Promise<Response> => {
+  const token = await getManagementToken();
+  return fetch(`${tenantUrl()}/api/v2${path}`, {
+    ...init,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+  });
+};
+
+/**
+ * Fetch the names of the Auth0 roles assigned to a user
+ * @param userId - Auth0 user ID (session user.sub)
+ */
+export const fetchUserRoles = async (userId: string): Promise<string[]> => {
+  const response = await managementFetch(`/users/${encodeURIComponent(userId)}/roles`);
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch roles for ${userId}: ${response.status}`);
+  }
+
+  const roles: Array<{ name: string }> = await response.json();
+  return roles.map((role) => role.name);
+};
+
+/**
+ * Look up the Auth0 ID of a role by its name
+ * @param name - Role name, e.g. 'Admin'
+ */
+const findRoleId = async (name: string): Promise<string> => {
+  if (roleIds.has(name)) {
+    return roleIds.get(name);
+  }
+
+  const response = await managementFetch(`/roles?name_filter=${encodeURIComponent(name)}`);
+  if (!response.ok) {
+    throw new Error(`Failed to look up role ${name}: ${response.status}`);
+  }
+
+  const roles: Array<{ id: string; name: string }> = await response.json();
+  const role = roles.find((candidate) => candidate.name === name);
+  if (!role) {
+    throw new Error(`Role ${name} does not exist in Auth0`);
+  }
+  roleIds.set(name, role.id);
+  return role.id;
+};
+
+/**
+ * Assign Auth0 roles to a user; roles the user already has are kept
+ * @param userId - Auth0 user ID
+ * @param roleNames - Names of the roles to add
+ */
+export const assignUserRoles = async (userId: string, roleNames: string[]): Promise<void> => {
+  const roles = await Promise.all(roleNames.map(findRoleId));
+  const response = await managementFetch(`/users/${encodeURIComponent(userId)}/roles`, {
+    method: 'POST',
+    body: JSON.stringify({ roles }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to assign roles to ${userId}: ${response.status}`);
+  }
+};
+
+/**
+ * Find the Auth0 user with an email address, or create one in the database connection
+ * (AUTH0_DB_CONNECTION). A new user gets Auth0's verification email and chooses a
+ * password with "Forgot password" on the login page.
+ * @param email - Email address
+ * @param name - Name for a new user
+ */
+export const findOrCreateUser = async ({ email, name }: { email: string; name?: string }): Promise<Auth0User> => {
+  const address = email.trim().toLowerCase();
+  const lookup = await managementFetch(`/users-by-email?email=${encodeURIComponent(address)}`);
+  if (!lookup.ok) {
+    throw new Error(`Failed to look up ${address}: ${lookup.status}`);
+  }
+
+  const [existing] = await lookup.json();
+  if (existing) {
+    return { userId: existing.user_id, email: existing.email, name: existing.name || null, created: false };
+  }
+
+  const response = await managementFetch('/users', {
+    method: 'POST',
+    body: JSON.stringify({
+      email: address,
+      name: name || undefined,
+      connection: process.env.AUTH0_DB_CONNECTION || 'Username-Password-Authentication',
+      // Never used: the user replaces it before signing in
+      password: `${randomBytes(24).toString('base64url')}aA1!`,
+      verify_email: true,
+    }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to create a user for ${address}: ${response.status}`);
+  }
+
+  const created = await response.json();
+  return { userId: created.user_id, email: created.email, name: created.name || null, created: true };
+};
+
+export default fetchUserRoles;
@@ -0,0 +1,272 @@
+/**
+ * Budgets - Each school's messaging budget, what it has spent this month and sends held
+ * for a principal's approval
+ *
+ * Spend is counted when an invitation is queued, at the price its deliveries were charged
+ * credits for, against the school and against the admin who sent it. The first send that
+ * takes either past 80% of its budget emails the school's alert addresses (and the admin,
+ * for their own budget) once per month.
+ */
+
+import { getDb, findInvitation, updateInvitation, toObjectId, COLLECTIONS } from './invitationStore';
+import { priceInvitation, queueDeliveries, getChannelProvider } from './deliveryPipeline';
+import { enqueueJob, JOB_TYPES } from './jobQueue';
+import { summarisePricing } from '../../components/adminPage/GradesManagemet/services/invitation/pricing';
+import {
+  APPROVAL_STATUSES,
+  BUDGET_ALERT_RATIO,
+  EMPTY_BUDGET,
+  budgetMonth,
+  evaluateBudget,
+  userLimitFor
+} from '../../components/adminPage/GradesManagemet/services/invitation/budgets';
+
+export const BUDGET_COLLECTIONS = {
+  budgets: 'MessagingBudget',
+  usage: 'MessagingBudgetUsage'
+};
+
+/**
+ * Create the indexes budgets and monthly usage are looked up by
+ * @returns {Promise<void>}
+ */
+export const ensureBudgetIndexes = async () => {
+  const db = await getDb();
+  await db.collection(BUDGET_COLLECTIONS.budgets).createIndex({ schoolId: 1 }, { unique: true });
+  await db.collection(BUDGET_COLLECTIONS.usage).createIndex({ schoolId: 1, month: 1, userId: 1 }, { unique: true });
+  await db.collection(COLLECTIONS.invitations).createIndex({ schoolId: 1, status: 1 });
+};
+
+/**
+ * Get a school's budget settings
+ * @param {string} schoolId - School ID
+ * @returns {Promise<Object>} { monthlyLimit, userLimit, userLimits, approvalThreshold, alertEmails, ... }
+ */
+export const getMessagingBudget = async (schoolId) => {
+  if (!schoolId) return { ...EMPTY_BUDGET };
+  const db = await getDb();
+  const stored = await db.collection(BUDGET_COLLECTIONS.budgets).findOne({ schoolId: String(schoolId) });
+  return { ...EMPTY_BUDGET, ...stored };
+};
+
+/**
+ * Replace a school's budget settings
+ * @param {string} schoolId - School ID
+ * @param {Object} budget - Settings normalised by validateBudget
+ * @param {Object} updatedBy - Principal making the change, see toActor
+ * @returns {Promise<Object>} Stored settings
+ */
+export const saveMessagingBudget = async (schoolId, budget, updatedBy = null) => {
+  const db = await getDb();
+  return db.collection(BUDGET_COLLECTIONS.budgets).findOneAndUpdate(
+    { schoolId: String(schoolId) },
+    { $set: { ...budget, updatedBy, updatedAt: new Date() } },
+    { upsert: true, returnDocument: 'after' }
+  );
+};
+
+/**
+ * What a school, and each of its admins, spent in a month
+ * @param {string} schoolId - School ID
+ * @param {string} month - 'YYYY-MM', defaults to this month
+ * @returns {Promise<Object>} { month, spent, alertedAt, users: [{ userId, name, spent, alertedAt }] }
+ */
+export const getBudgetUsage = async (schoolId, month = budgetMonth()) => {
+  const db = await getDb();
+  const rows = await db.collection(BUDGET_COLLECTIONS.usage)
+    .find({ schoolId: String(schoolId), month })
+    .toArray();
+  const school = rows.find(row => row.userId === null);
+
+  return {
+    month,
+    spent: school?.spent || 0,
+    alertedAt: school?.alertedAt || null,
+    users: rows
+      .filter(row => row.userId !== null)
+      .map(({ userId, name, spent, alertedAt }) => ({ userId, name, spent, alertedAt: alertedAt || null }))
+      .sort((a, b) => b.spent - a.spent)
+  };
+};
+
+/**
+ * Email the budget alert addresses that a budget is 80% used
+ * A failed alert is logged; it must not fail the send that triggered it.
+ * @param {Object} params
+ * @param {Object} params.budget - School budget settings
+ * @param {string} params.schoolId - School ID
+ * @param {Object|null} params.user - Admin whose own budget it is, or null for the school's
+ * @param {number} params.spent - Spent this month
+ * @param {number} params.limit - Monthly budget
+ * @returns {Promise<void>}
+ */
+const sendBudgetAlert = async ({ budget, schoolId, user, spent, limit }) => {
+  const whose = user ? `${user.name}'s` : "The school's";
+  const recipients = [...new Set([...budget.alertEmails, ...(user?.email ? [user.email] : [])])];
+  const content = `${whose} messaging budget for ${budgetMonth()} is ${Math.round((spent / limit) * 100)}% used: ` +
+    `R${spent.toFixed(2)} of R${limit.toFixed(2)}. Sends that go over the budget will wait for a principal's approval.`;
+
+  await Promise.all(recipients.map(to => getChannelProvider('email')
+    .sendEmail({ to, subject: 'Messaging budget 80% used', content, contentType: 'text/plain', metadata: { schoolId } })
+    .catch(error => console.error(`Budgets: could not send budget alert to ${to}`, error))));
+};
+
+/**
+ * Add a send to this month's spend and warn once a budget passes 80%
+ * @param {Object} row - { schoolId, month, userId, name }
+ * @param {number} cost - Cost of the send
+ * @param {number|null} limit - Budget for the row, or null for none
+ * @returns {Promise<Object|null>} { spent } when this call crossed the alert line, else null
+ */
+const addSpend = async ({ schoolId, month, userId, name = null }, cost, limit) => {
+  const db = await getDb();
+  const usage = db.collection(BUDGET_COLLECTIONS.usage);
+  const row = await usage.findOneAndUpdate(
+    { schoolId, month, userId },
+    { $inc: { spent: cost }, $set: { name, updatedAt: new Date() }, $setOnInsert: { alertedAt: null } },
+    { upsert: true, returnDocument: 'after' }
+  );
+
+  if (limit === null || row.spent < limit * BUDGET_ALERT_RATIO) return null;
+  // Claimed with a conditional update, so two sends crossing the line together alert once
+  const { modifiedCount } = await usage.updateOne({ _id: row._id, alertedAt: null }, { $set: { alertedAt: new Date() } });
+  return modifiedCount === 1 ? { spent: row.spent } : null;
+};
+
+/**
+ * Count a queued invitation against the school's and its sender's budgets
+ * @param {Object} invitation - Stored invitation
+ * @param {number} cost - What its deliveries cost
+ * @param {Object} budget - School budget settings
+ * @returns {Promise<void>}
+ */
+export const recordBudgetSpend = async (invitation, cost, budget) => {
+  if (!invitation.schoolId || !(cost > 0)) return;
+  const schoolId = String(invitation.schoolId);
+  const month = budgetMonth();
+  const user = invitation.createdBy;
+
+  const schoolAlert = await addSpend({ schoolId, month, userId: null }, cost, budget.monthlyLimit);
+  if (schoolAlert) {
+    await sendBudgetAlert({ budget, schoolId, user: null, spent: schoolAlert.spent, limit: budget.monthlyLimit });
+  }
+
+  if (!user?.id) return;
+  const limit = userLimitFor(budget, user.id);
+  const userAlert = await addSpend({ schoolId, month, userId: user.id, name: user.name }, cost, limit);
+  if (userAlert) {
+    await sendBudgetAlert({ budget, schoolId, user, spent: userAlert.spent, limit });
+  }
+};
+
+/**
+ * Queue an invitation's deliveries if it fits the budget, or hold it for approval
+ * @param {Object} invitation - Stored invitation
+ * @param {Object} options
+ * @param {boolean} options.approved - A principal approved the send, so it goes out whatever the budget
+ * @returns {Promise<Object>} { status: 'queued', deliveries } or { status: 'pending_approval', approval }
+ * @throws {InsufficientCreditsError} When the school's available credits are too low
+ */
+export const queueWithinBudget = async (invitation, { approved = false } = {}) => {
+  const priced = await priceInvitation(invitation);
+  const { cost, credits } = summarisePricing(priced);
+  const budget = await getMessagingBudget(invitation.schoolId);
+  const userId = invitation.createdBy?.id || null;
+
+  const usage = invitation.schoolId ? await getBudgetUsage(invitation.schoolId) : { spent: 0, users: [] };
+  const review = evaluateBudget({
+    cost,
+    budget,
+    usage: { spent: usage.spent, userSpent: usage.users.find(u => u.userId === userId)?.spent || 0 },
+    userId
+  });
+
+  if (review.requiresApproval && !approved) {
+    const approval = {
+      status: APPROVAL_STATUSES.pending,
+      reasons: review.reasons,
+      cost,
+      credits,
+      requestedBy: invitation.createdBy || null,
+      requestedAt: new Date(),
+      decidedBy: null,
+      decidedAt: null,
+      note: null
+    };
+    await updateInvitation(invitation._id, { status: 'pending_approval', cost, credits, approval });
+    return { status: 'pending_approval', approval };
+  }
+
+  const deliveries = await queueDeliveries(invitation, priced);
+  await updateInvitation(invitation._id, { cost, credits });
+  await recordBudgetSpend(invitation, cost, budget);
+  return { status: 'queued', deliveries };
+};
+
+/**
+ * List a school's sends waiting for a principal
+ * @param {string} schoolId - School ID
+ * @returns {Promise<Array>} Held invitations, oldest first, with a recipientCount instead of recipients
+ */
+export const listPendingApprovals = async (schoolId) => {
+  const db = await getDb();
+  return db.collection(COLLECTIONS.invitations).aggregate([
+    { $match: { schoolId: String(schoolId), status: 'pending_approval' } },
+    { $sort: { createdAt: 1 } },
+    {
+      $project: {
+        subject: 1,
+        channels: 1,
+        scheduledDate: 1,
+        approval: 1,
+        createdAt: 1,
+        recipientCount: { $size: { $ifNull: ['$recipients', []] } }
+      }
+    }
+  ]).toArray();
+};
+
+/**
+ * Approve or reject a held send
+ * Approving queues the deliveries (reserving credits) and hands the send to the worker:
+ * at its scheduled time, or straight away when that has passed or it was a send-now.
+ * @param {string} invitationId - Invitation ID
+ * @param {string} action - 'approve' or 'reject'
+ * @param {Object} actor - Principal deciding, see toActor
+ * @param {string|null} note - Reason, shown to the sender
+ * @returns {Promise<Object|null>} Updated invitation, or null when it isn't awaiting approval
+ * @throws {InsufficientCreditsError} When an approved send can't be paid for
+ */
+export const decideSendApproval = async (invitationId, action, actor, note = null) => {
+  const _id = toObjectId(invitationId);
+  if (!_id) return null;
+
+  const approve = action === 'approve';
+  const db = await getDb();
+  // Moving off pending_approval in the same update stops two principals both approving
+  const invitation = await db.collection(COLLECTIONS.invitations).findOneAndUpdate(
+    { _id, status: 'pending_approval' },
+    {
+      $set: {
+        status: approve ? 'approved' : 'rejected',
+        'approval.status': approve ? APPROVAL_STATUSES.approved : APPROVAL_STATUSES.rejected,
+        'approval.decidedBy': actor,
+        'approval.decidedAt': new Date(),
+        'approval.note': note,
+        updatedAt: new Date()
+      }
+    },
+    { returnDocument: 'after' }
+  );
+  if (!invitation || !approve) return invitation;
+
+  await queueWithinBudget(invitation, { approved: true });
+  const stillScheduled = Boolean(invitation.scheduledDate) && invitation.scheduledDate > new Date();
+  const job = await enqueueJob({
+    type: JOB_TYPES.sendInvitation,
+    payload: { invitationId: String(invitation._id) },
+    runAt: stillScheduled ? invitation.scheduledDate : new Date()
+  });
+  await updateInvitation(invitation._id, { status: stillScheduled ? 'scheduled' : 'queued', jobId: job._id });
+  return findInvitation(invitation._id);
+};
@@ -0,0 +1,354 @@
+/**
+ * CreditLedger - Double-entry ledger of each school's messaging credits
+ *
+ * Every movement is a transaction whose entries sum to zero across four accounts:
+ *   purchases  - where bought credits come from (goes negative as schools buy)
+ *   available  - credits the school can spend
+ *   reserved   - held for queued deliveries
+ *   spent      - paid for deliveries the provider accepted
+ *
+ * A purchase moves credits purchases -> available, queueing an invitation reserves
+ * available -> reserved, a delivery the provider accepts is captured reserved -> spent,
+ * and a delivery that fails is refunded back to available from wherever it sits.
+ *
+ * Transactions are the record finance reconciles against; CreditAccount keeps the running
+ * balance per account so a reservation can check and take funds in one atomic update.
+ * Transactions that must happen once (a capture per delivery, a purchase per payment)
+ * carry a unique key, so replayed webhooks and retried jobs can't post them twice. The
+ * ledger creates that index itself before the first keyed transaction, so it holds when the
+ * web app runs without the worker.
+ */
+
+import { getDb, toObjectId, findDeliveries, indexOnce } from './invitationStore';
+import { REACHED_STATUSES } from './deliveryStatus';
+
+export const CREDIT_COLLECTIONS = {
+  accounts: 'CreditAccount',
+  transactions: 'CreditTransaction'
+};
+
+export const CREDIT_ACCOUNTS = ['purchases', 'available', 'reserved', 'spent'];
+
+export const CREDIT_TRANSACTION_TYPES = {
+  purchase: 'purchase',
+  reservation: 'reservation',
+  capture: 'capture',
+  refund: 'refund'
+};
+
+/**
+ * Raised when a school's available credits can't cover a send
+ */
+export class InsufficientCreditsError extends Error {
+  constructor({ required, available }) {
+    super(`This send needs ${required} credits but only ${available} are available`);
+    this.name = 'InsufficientCreditsError';
+    this.required = required;
+    this.available = available;
+  }
+}
+
+/**
+ * Create the indexes the ledger relies on
+ * @returns {Promise<void>}
+ */
+export const ensureCreditIndexes = async () => {
+  const db = await getDb();
+  await db.collection(CREDIT_COLLECTIONS.accounts).createIndex({ schoolId: 1 }, { unique: true });
+  await db.collection(CREDIT_COLLECTIONS.transactions).createIndexes([
+    { key: { schoolId: 1, createdAt: -1 } },
+    { key: { 'reference.invitationId': 1 } },
+    { key: { key: 1 }, unique: true, partialFilterExpression: { key: { $type: 'string' } } }
+  ]);
+};
+
+const creditIndexesReady = indexOnce(ensureCreditIndexes);
+
+/**
+ * Balance update moving an amount from one account to another
+ * @param {string} from - Account debited
+ * @param {string} to - Account credited
+ * @param {number} amount - Credits moved
+ * @returns {Object} $inc update
+ */
+const moveBalance = (from, to, amount) => ({
+  [`balances.${from}`]: -amount,
+  [`balances.${to}`]: amount
+});
+
+/**
+ * Check an amount is a whole number of credits above zero
+ * @param {number} amount - Credits
+ * @returns {number} The amount
+ */
+const requireAmount = (amount) => {
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new Error(`Credit amounts must be whole numbers above zero, got ${amount}`);
+  }
+  return amount;
+};
+
+/**
+ * Post a transaction and apply it to the school's balances
+ * The transaction is written first so its unique key stops a repeat before any balance moves.
+ *
+ * @param {Object} transaction
+ * @param {string} transaction.schoolId - School the credits belong to
+ * @param {string} transaction.type - One of CREDIT_TRANSACTION_TYPES
+ * @param {string} transaction.from - Account debited
+ * @param {string} transaction.to - Account credited
+ * @param {number} transaction.amount - Credits moved
+ * @param {string} transaction.key - Unique key for transactions that must happen once
+ * @param {Object} transaction.reference - { invitationId, deliveryId, paymentId }
+ * @param {string} transaction.description - Shown in the history
+ * @param {Object} transaction.createdBy - Actor, null for the system
+ * @returns {Promise<Object|null>} The transaction, or null when its key was already posted
+ */
+const postTransaction = async ({ schoolId, type, from, to, amount, key = null, reference = {}, description = '', createdBy = null }) => {
+  if (key) await creditIndexesReady();
+  const db = await getDb();
+  const doc = {
+    schoolId: String(schoolId),
+    type,
+    amount,
+    entries: [
+      { account: from, amount: -amount },
+      { account: to, amount }
+    ],
+    key,
+    reference,
+    description,
+    createdBy,
+    createdAt: new Date()
+  };
+
+  try {
+    const { insertedId } = await db.collection(CREDIT_COLLECTIONS.transactions).insertOne(doc);
+    doc._id = insertedId;
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  await db.collection(CREDIT_COLLECTIONS.accounts).updateOne(
+    { schoolId: doc.schoolId },
+    { $inc: moveBalance(from, to, amount), $set: { updatedAt: doc.createdAt } },
+    { upsert: true }
+  );
+  return doc;
+};
+
+/**
+ * Get a school's credit balances
+ * @param {string} schoolId - School ID
+ * @returns {Promise<Object>} { schoolId, available, reserved, spent, purchased, updatedAt }
+ */
+export const getCreditBalance = async (schoolId) => {
+  const db = await getDb();
+  const account = schoolId
+    ? await db.collection(CREDIT_COLLECTIONS.accounts).findOne({ schoolId: String(schoolId) })
+    : null;
+  const balances = account?.balances || {};
+
+  return {
+    schoolId: schoolId ? String(schoolId) : null,
+    available: balances.available || 0,
+    reserved: balances.reserved || 0,
+    spent: balances.spent || 0,
+    purchased: -(balances.purchases || 0),
+    updatedAt: account?.updatedAt || null
+  };
+};
+
+/**
+ * List a school's transactions, newest first
+ * @param {string} schoolId - School ID
+ * @param {Object} options
+ * @param {number} options.page - 1-based page
+ * @param {number} options.limit - Transactions per page, at most 100
+ * @returns {Promise<Object>} { transactions, page, limit, total, totalPages }
+ */
+export const listCreditTransactions = async (schoolId, { page = 1, limit = 20 } = {}) => {
+  const db = await getDb();
+  const size = Math.min(Math.max(Math.floor(Number(limit)) || 20, 1), 100);
+  const current = Math.max(Math.floor(Number(page)) || 1, 1);
+  const filter = { schoolId: String(schoolId) };
+
+  const [transactions, total] = await Promise.all([
+    db.collection(CREDIT_COLLECTIONS.transactions)
+      .find(filter, { projection: { key: 0 } })
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((current - 1) * size)
+      .limit(size)
+      .toArray(),
+    db.collection(CREDIT_COLLECTIONS.transactions).countDocuments(filter)
+  ]);
+
+  return {
+    transactions,
+    page: current,
+    limit: size,
+    total,
+    totalPages: Math.ceil(total / size)
+  };
+};
+
+/**
+ * Add bought credits to a school's available balance
+ * @param {Object} purchase
+ * @param {string} purchase.schoolId - School ID
+ * @param {number} purchase.amount - Credits bought
+ * @param {string} purchase.paymentId - Payment the credits were bought with; a payment is credited once
+ * @param {string} purchase.description - Shown in the history
+ * @param {Object} purchase.createdBy - Actor, null when credited by a payment notification
+ * @returns {Promise<Object|null>} The transaction, or null when the payment was already credited
+ */
+export const purchaseCredits = async ({ schoolId, amount, paymentId, description = 'Credits purchased', createdBy = null }) => {
+  return postTransaction({
+    schoolId,
+    type: CREDIT_TRANSACTION_TYPES.purchase,
+    from: 'purchases',
+    to: 'available',
+    amount: requireAmount(amount),
+    key: paymentId ? `purchase:${paymentId}` : null,
+    reference: { paymentId: paymentId || null },
+    description,
+    createdBy
+  });
+};
+
+/**
+ * Hold credits for a queued invitation
+ * Funds are checked and taken in one update, so two sends racing for the last credits
+ * can't both succeed; the transaction is written after the hold succeeds.
+ *
+ * @param {Object} reservation
+ * @param {string} reservation.schoolId - School ID
+ * @param {string|Object} reservation.invitationId - Invitation the credits are held for
+ * @param {number} reservation.amount - Credits to hold
+ * @param {string} reservation.description - Shown in the history
+ * @param {Object} reservation.createdBy - Actor sending the invitation
+ * @returns {Promise<Object>} The transaction
+ * @throws {InsufficientCreditsError} When the available balance is too low
+ */
+export const reserveCredits = async ({ schoolId, invitationId, amount, description = 'Credits reserved', createdBy = null }) => {
+  requireAmount(amount);
+  await creditIndexesReady();
+  const db = await getDb();
+  const accounts = db.collection(CREDIT_COLLECTIONS.accounts);
+
+  const held = schoolId && await accounts.findOneAndUpdate(
+    { schoolId: String(schoolId), 'balances.available': { $gte: amount } },
+    { $inc: moveBalance('available', 'reserved', amount), $set: { updatedAt: new Date() } }
+  );
+  if (!held) {
+    const { available } = await getCreditBalance(schoolId);
+    throw new InsufficientCreditsError({ required: amount, available });
+  }
+
+  const doc = {
+    schoolId: String(schoolId),
+    type: CREDIT_TRANSACTION_TYPES.reservation,
+    amount,
+    entries: [
+      { account: 'available', amount: -amount },
+      { account: 'reserved', amount }
+    ],
+    key: `reservation:${invitationId}`,
+    reference: { invitationId: toObjectId(invitationId) },
+    description,
+    createdBy,
+    createdAt: new Date()
+  };
+  try {
+    const { insertedId } = await db.collection(CREDIT_COLLECTIONS.transactions).insertOne(doc);
+    return { ...doc, _id: insertedId };
+  } catch (error) {
+    // Already reserved for this invitation: give the second hold back
+    await accounts.updateOne({ schoolId: doc.schoolId }, { $inc: moveBalance('reserved', 'available', amount) });
+    if (error.code === 11000) {
+      return db.collection(CREDIT_COLLECTIONS.transactions).findOne({ key: doc.key });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Charge a delivery the provider accepted
+ * @param {Object} delivery - Delivery record with schoolId and credits
+ * @returns {Promise<Object|null>} The transaction, or null when already captured or free
+ */
+export const captureDeliveryCredits = async (delivery) => {
+  if (!delivery.credits || !delivery.schoolId) return null;
+  // A failure receipt can beat the capture; the refund already settled the delivery
+  const db = await getDb();
+  const refunded = await db.collection(CREDIT_COLLECTIONS.transactions)
+    .findOne({ key: `refund:${delivery._id}` }, { projection: { _id: 1 } });
+  if (refunded) return null;
+
+  return postTransaction({
+    schoolId: delivery.schoolId,
+    type: CREDIT_TRANSACTION_TYPES.capture,
+    from: 'reserved',
+    to: 'spent',
+    amount: delivery.credits,
+    key: `capture:${delivery._id}`,
+    reference: { invitationId: delivery.invitationId, deliveryId: delivery._id },
+    description: `${delivery.channel} to ${delivery.recipientName || delivery.to}`
+  });
+};
+
+/**
+ * Give back the credits of a delivery that won't reach the guardian
+ * Refunds from spent when the delivery was already captured, otherwise from reserved.
+ * @param {Object} delivery - Delivery record with schoolId and credits
+ * @param {string} reason - Why it is refunded, shown in the history
+ * @returns {Promise<Object|null>} The transaction, or null when already refunded or free
+ */
+export const refundDeliveryCredits = async (delivery, reason = 'Delivery failed') => {
+  if (!delivery.credits || !delivery.schoolId) return null;
+  const db = await getDb();
+  const captured = await db.collection(CREDIT_COLLECTIONS.transactions)
+    .findOne({ key: `capture:${delivery._id}` }, { projection: { _id: 1 } });
+
+  return postTransaction({
+    schoolId: delivery.schoolId,
+    type: CREDIT_TRANSACTION_TYPES.refund,
+    from: captured ? 'spent' : 'reserved',
+    to: 'available',
+    amount: delivery.credits,
+    key: `refund:${delivery._id}`,
+    reference: { invitationId: delivery.invitationId, deliveryId: delivery._id },
+    description: `${reason}: ${delivery.channel} to ${delivery.recipientName || delivery.to}`
+  });
+};
+
+/**
+ * Refund every reserved delivery of an invitation that was never captured
+ * Called once an invitation has no sends left to make: deliveries that failed after their
+ * last attempt, or were skipped because the guardian opted out after it was queued.
+ * Fallback steps on standby stay reserved; the cascade refunds them if they aren't needed.
+ * @param {string|Object} invitationId - Invitation ID
+ * @returns {Promise<number>} Credits refunded
+ */
+export const releaseUnusedCredits = async (invitationId) => {
+  const db = await getDb();
+  const settled = await db.collection(CREDIT_COLLECTIONS.transactions)
+    .find(
+      { 'reference.invitationId': toObjectId(invitationId), type: { $in: ['capture', 'refund'] } },
+      { projection: { 'reference.deliveryId': 1 } }
+    )
+    .toArray();
+  const settledIds = new Set(settled.map(t => String(t.reference.deliveryId)));
+
+  const deliveries = await findDeliveries(invitationId, { credits: { $gt: 0 } });
+  let refunded = 0;
+  for (const delivery of deliveries) {
+    if (settledIds.has(String(delivery._id)) || REACHED_STATUSES.includes(delivery.status) || delivery.status === 'standby') {
+      continue;
+    }
+    const transaction = await refundDeliveryCredits(delivery, delivery.optedOut ? 'Opted out' : 'Not delivered');
+    refunded += transaction?.amount || 0;
+  }
+  return refunded;
+};
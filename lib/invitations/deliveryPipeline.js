@@ -0,0 +1,541 @@
+/**
+ * DeliveryPipeline - Turns a stored invitation into per-recipient, per-channel deliveries
+ * and sends each delivery through the configured communication provider
+ */
+
+import { createProvider } from '../../components/adminPage/GradesManagemet/components/adminPage/grades/Invitations/providers';
+import { renderTemplate, validateTemplate } from '../../components/adminPage/GradesManagemet/services/invitation/templateEngine';
+import { buildTemplateComponents } from '../../components/adminPage/GradesManagemet/services/invitation/whatsappTemplateMapping';
+import {
+  DEFAULT_LANGUAGE,
+  normaliseTranslations,
+  selectTranslation
+} from '../../components/adminPage/GradesManagemet/services/invitation/languages';
+import { creditsForDeliveries } from '../../components/adminPage/GradesManagemet/services/invitation/credits';
+import {
+  checkAddress,
+  buildTemplateContext,
+  selectDeliveryMessage
+} from '../../components/adminPage/GradesManagemet/services/invitation/deliveryContent';
+import { priceDeliveries, priceMessage } from '../../components/adminPage/GradesManagemet/services/invitation/pricing';
+import { validateFallback, holdFallbackSteps } from '../../components/adminPage/GradesManagemet/services/invitation/fallback';
+import { RSVP_ANSWERS, rsvpPrompt, validateRsvpSettings } from '../../components/adminPage/GradesManagemet/services/invitation/rsvp';
+import {
+  findInvitation,
+  updateInvitation,
+  insertDeliveries,
+  updateDelivery,
+  findDeliveries,
+  toObjectId
+} from './invitationStore';
+import { REACHED_STATUSES, FAILED_STATUSES } from './deliveryStatus';
+import { loadOptOutCheck, buildUnsubscribeLinks } from './optOuts';
+import { loadTemplateForSend, findWhatsAppTemplateCategory } from './whatsappTemplates';
+import { reserveCredits, captureDeliveryCredits, refundDeliveryCredits } from './creditLedger';
+import { getPricingConfig } from './pricing';
+import { buildRsvpUrl } from './rsvps';
+
+export const SUPPORTED_CHANNELS = ['whatsapp', 'sms', 'email'];
+
+/**
+ * Provider used for each channel, overridable per deployment
+ */
+const CHANNEL_PROVIDERS = {
+  whatsapp: process.env.INVITATION_WHATSAPP_PROVIDER || 'twilio',
+  sms: process.env.INVITATION_SMS_PROVIDER || 'winsms',
+  email: process.env.INVITATION_EMAIL_PROVIDER || 'sendgrid'
+};
+
+/** Approved WhatsApp Business templates can only be sent through the Cloud API */
+const WHATSAPP_TEMPLATE_PROVIDER = 'whatsapp';
+
+const providerCache = {};
+
+/**
+ * Get a shared provider instance
+ * @param {string} providerType - Provider type, as accepted by createProvider
+ * @returns {Object} Provider instance
+ */
+const getProvider = (providerType) => {
+  if (!providerCache[providerType]) {
+    providerCache[providerType] = createProvider(providerType);
+  }
+  return providerCache[providerType];
+};
+
+/**
+ * Get the provider instance responsible for a channel
+ * @param {string} channel - Channel ID ('whatsapp', 'sms', 'email')
+ * @returns {Object} Provider instance
+ */
+export const getChannelProvider = (channel) => {
+  const providerType = CHANNEL_PROVIDERS[channel];
+  if (!providerType) {
+    throw new Error(`No provider configured for channel: ${channel}`);
+  }
+  return getProvider(providerType);
+};
+
+/**
+ * Validate an invitation payload received from the composer
+ * @param {Object} data - Invitation payload
+ * @returns {Object} Validation result
+ */
+export const validateInvitationPayload = (data = {}) => {
+  const errors = {};
+  const channels = data.channels || [];
+
+  if (!Array.isArray(data.recipients) || data.recipients.length === 0) {
+    errors.recipients = 'At least one recipient is required';
+  }
+
+  if (channels.length === 0) {
+    errors.channels = 'At least one delivery channel is required';
+  } else {
+    const unknown = channels.filter(channel => !SUPPORTED_CHANNELS.includes(channel));
+    if (unknown.length > 0) {
+      errors.channels = `Unsupported channels: ${unknown.join(', ')}`;
+    }
+  }
+
+  if (!data.message || !data.message.trim()) {
+    errors.message = 'Message content is required';
+  }
+
+  if (channels.includes('email') && (!data.subject || !data.subject.trim())) {
+    errors.subject = 'Subject is required for email invitations';
+  }
+
+  if (data.fallback) {
+    const fallback = validateFallback(data.fallback, SUPPORTED_CHANNELS);
+    if (!fallback.isValid) {
+      errors.fallback = fallback.error;
+    } else if (fallback.fallback.some(step => !channels.includes(step.channel))) {
+      errors.fallback = 'Every fallback step must be one of the selected channels';
+    }
+  }
+
+  if (data.rsvp) {
+    const rsvp = validateRsvpSettings(data.rsvp);
+    if (!rsvp.isValid) {
+      errors.rsvp = rsvp.errors.join('; ');
+    }
+  }
+
+  if (data.whatsappTemplate && (!data.whatsappTemplate.name || !data.whatsappTemplate.language)) {
+    errors.whatsappTemplate = 'Choose an approved WhatsApp template and its language';
+  }
+
+  // Template syntax errors are reported with their line so the composer can point at them
+  const templates = { subject: data.subject, message: data.message };
+  Object.entries(data.content || {}).forEach(([channel, text]) => {
+    templates[`content.${channel}`] = text;
+  });
+  Object.entries(data.translations || {}).forEach(([language, text]) => {
+    templates[`translations.${language}.subject`] = text?.subject;
+    templates[`translations.${language}.message`] = text?.message;
+  });
+  Object.entries(templates).forEach(([field, text]) => {
+    const { isValid, error } = validateTemplate(text);
+    if (!isValid && !errors[field]) {
+      errors[field] = error.message;
+    }
+  });
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+};
+
+/**
+ * Pick the fields of a composer payload that make up an invitation
+ * With a fallback the channels are stored in cascade order, first choice first.
+ * @param {Object} data - Invitation payload, checked by validateInvitationPayload
+ * @returns {Object} Invitation fields ready to be stored
+ */
+export const buildInvitation = (data) => ({
+  schoolId: data.schoolId || null,
+  gradeId: data.gradeId || null,
+  subject: data.subject || '',
+  message: data.message,
+  content: data.content || {},
+  language: data.language || DEFAULT_LANGUAGE,
+  translations: normaliseTranslations(data.translations, data.language || DEFAULT_LANGUAGE),
+  template: data.template || null,
+  whatsappTemplate: data.whatsappTemplate
+    ? { name: data.whatsappTemplate.name, language: data.whatsappTemplate.language }
+    : null,
+  channels: data.fallback ? data.fallback.map(step => step.channel) : data.channels,
+  fallback: data.fallback ? validateFallback(data.fallback, SUPPORTED_CHANNELS).fallback : null,
+  variables: data.variables || {},
+  rsvp: data.rsvp ? validateRsvpSettings(data.rsvp).rsvp : null,
+  recipients: data.recipients.map(recipient => ({
+    id: recipient.id,
+    guardianId: recipient.guardianId || null,
+    householdId: recipient.householdId || null,
+    learnerIds: recipient.learnerIds || [],
+    name: recipient.name,
+    email: recipient.email || null,
+    phone: recipient.phone || null,
+    whatsapp: recipient.whatsapp || null,
+    language: recipient.language || null,
+    studentName: recipient.studentName || null,
+    siblings: recipient.siblings || [],
+    balance: recipient.balance ?? null
+  })),
+  createdBy: data.createdBy || null
+});
+
+/**
+ * Expand an invitation into one delivery per recipient per channel
+ * Recipients without a usable address for a channel (none, or a landline for SMS) get a
+ * skipped delivery so the gap stays visible.
+ * With a fallback each delivery carries its step in the guardian's cascade.
+ * @param {Object} invitation - Stored invitation
+ * @returns {Array} Delivery records
+ */
+export const expandDeliveries = (invitation) => {
+  const deliveries = [];
+
+  invitation.recipients.forEach(recipient => {
+    const { language } = selectTranslation(invitation, recipient);
+    invitation.channels.forEach((channel, index) => {
+      const { to, error } = checkAddress(recipient, channel);
+      deliveries.push({
+        invitationId: invitation._id,
+        schoolId: invitation.schoolId,
+        recipientId: recipient.id,
+        recipientName: recipient.name,
+        language,
+        channel,
+        provider: channel === 'whatsapp' && invitation.whatsappTemplate
+          ? WHATSAPP_TEMPLATE_PROVIDER
+          : CHANNEL_PROVIDERS[channel],
+        to,
+        status: to ? 'pending' : 'skipped',
+        error,
+        attempts: 0,
+        messageId: null,
+        cascadeStep: invitation.fallback ? index : null
+      });
+    });
+  });
+
+  return deliveries;
+};
+
+/**
+ * Skip deliveries to contacts who opted out of the delivery's channel
+ * @param {Array} deliveries - Delivery records
+ * @param {string|null} schoolId - School sending the invitation
+ * @returns {Promise<Array>} Deliveries, with opted-out ones marked skipped
+ */
+export const applyOptOuts = async (deliveries, schoolId) => {
+  const isOptedOut = await loadOptOutCheck(schoolId, deliveries.map(d => d.to));
+  return deliveries.map(delivery => {
+    if (!delivery.to || !isOptedOut(delivery.channel, delivery.to)) return delivery;
+    return {
+      ...delivery,
+      status: 'skipped',
+      optedOut: true,
+      error: `Recipient opted out of ${delivery.channel} messages`
+    };
+  });
+};
+
+/**
+ * Add the unsubscribe link and one-click headers to an email
+ * @param {string} content - Email body
+ * @param {string} contentType - 'text/html' or 'text/plain'
+ * @param {Object} links - Result of buildUnsubscribeLinks, or null
+ * @returns {Object} { content, headers }
+ */
+const withUnsubscribeLink = (content, contentType, links) => {
+  if (!links) return { content, headers: {} };
+
+  const footer = contentType === 'text/plain'
+    ? `\n\nTo stop receiving these emails, unsubscribe here: ${links.pageUrl}`
+    : `<p style="font-size:12px;color:#6b7280">Don't want these emails? <a href="${links.pageUrl}">Unsubscribe</a></p>`;
+  return { content: `${content}${footer}`, headers: links.headers };
+};
+
+/**
+ * Add the RSVP link to an email
+ * Each answer has its own button, opening the form with that answer chosen.
+ * @param {string} content - Email body
+ * @param {string} contentType - 'text/html' or 'text/plain'
+ * @param {string|null} url - Recipient's answer form, or null when links are not configured
+ * @returns {string} Email body
+ */
+const withRsvpLinks = (content, contentType, url) => {
+  if (!url) return content;
+  if (contentType === 'text/plain') {
+    return `${content}\n\nLet us know if you're coming: ${url}`;
+  }
+  const buttons = Object.entries(RSVP_ANSWERS)
+    .map(([answer, { label }]) => `<a href="${url}&answer=${answer}" style="display:inline-block;margin-right:8px;padding:8px 16px;border-radius:6px;background:#2563eb;color:#ffffff;text-decoration:none">${label}</a>`)
+    .join('');
+  return `${content}<p style="margin-top:24px">Let us know if you're coming:</p><p>${buttons}</p>`;
+};
+
+/**
+ * Render a template for one recipient
+ * @param {string} template - Template source
+ * @param {Object} invitation - Invitation
+ * @param {Object} recipient - Recipient data
+ * @param {Object} options - Render options, e.g. { escape: 'html' } for email bodies
+ * @returns {string} Personalised text
+ */
+const personalise = (template, invitation, recipient, options = {}) => {
+  return renderTemplate(template || '', buildTemplateContext(invitation, recipient), options);
+};
+
+/**
+ * Send one delivery through its channel's provider
+ * @param {Object} delivery - Delivery record
+ * @param {Object} invitation - Invitation the delivery belongs to
+ * @returns {Promise<Object>} Provider result ({ success, messageId, error, ... }), with the
+ *   `text` sent for SMS and free-form WhatsApp
+ */
+export const dispatchDelivery = async (delivery, invitation) => {
+  const recipient = invitation.recipients.find(r => r.id === delivery.recipientId) || {};
+  const selected = selectDeliveryMessage(invitation, recipient, delivery.channel);
+  const contentType = invitation.contentType || 'text/html';
+  const message = personalise(selected.message, invitation, recipient, {
+    escape: delivery.channel === 'email' && contentType === 'text/html' ? 'html' : null
+  });
+  // Only a stored invitation has a form to link to
+  const rsvpUrl = invitation.rsvp && toObjectId(invitation._id)
+    ? buildRsvpUrl({ invitationId: invitation._id, recipientId: delivery.recipientId })
+    : null;
+  const metadata = {
+    invitationId: String(invitation._id),
+    deliveryId: delivery._id ? String(delivery._id) : null,
+    recipientId: delivery.recipientId
+  };
+
+  if (delivery.channel === 'whatsapp' && invitation.whatsappTemplate) {
+    const { name, language } = invitation.whatsappTemplate;
+    const { description, mapping } = await loadTemplateForSend(invitation.schoolId, { name, language });
+    return getProvider(WHATSAPP_TEMPLATE_PROVIDER).sendTemplate({
+      to: delivery.to,
+      template: {
+        name,
+        language,
+        components: buildTemplateComponents(description, mapping, buildTemplateContext(invitation, recipient))
+      },
+      metadata
+    });
+  }
+
+  const provider = getChannelProvider(delivery.channel);
+  switch (delivery.channel) {
+    case 'sms':
+    case 'whatsapp': {
+      const text = invitation.rsvp ? `${message}${rsvpPrompt(delivery.channel, rsvpUrl)}` : message;
+      const result = delivery.channel === 'sms'
+        ? await provider.sendSMS({ to: delivery.to, message: text, metadata })
+        : await provider.sendWhatsApp({ to: delivery.to, message: text, metadata });
+      return { ...result, text };
+    }
+    case 'email': {
+      const links = buildUnsubscribeLinks({ schoolId: invitation.schoolId, address: delivery.to });
+      const { content, headers } = withUnsubscribeLink(withRsvpLinks(message, contentType, rsvpUrl), contentType, links);
+      return provider.sendEmail({
+        to: delivery.to,
+        subject: personalise(selected.subject, invitation, recipient),
+        content,
+        contentType,
+        headers,
+        metadata
+      });
+    }
+    default:
+      throw new Error(`Unsupported channel: ${delivery.channel}`);
+  }
+};
+
+/**
+ * What a sent delivery cost, priced by the same rates as the credits reserved for it
+ * SMS is billed on the segments of the text that went out; WhatsApp and email keep the
+ * category and volume tier the delivery was reserved at.
+ * @param {Object} delivery - Stored delivery record
+ * @param {string} text - Text sent, for SMS
+ * @returns {number} Cost in rand
+ */
+const costOfSentDelivery = (delivery, text = '') => priceMessage({
+  channel: delivery.channel,
+  text,
+  supplier: delivery.provider,
+  whatsappCategory: delivery.price?.category ?? null,
+  emailVolume: delivery.price?.volume ?? 1
+}, getPricingConfig()).cost;
+
+/**
+ * Send a delivery and record the outcome on the stored delivery
+ * @param {Object} delivery - Stored delivery record
+ * @param {Object} invitation - Invitation the delivery belongs to
+ * @returns {Promise<Object>} Updated delivery fields
+ */
+export const sendDelivery = async (delivery, invitation) => {
+  let result;
+  try {
+    result = await dispatchDelivery(delivery, invitation);
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+
+  const updates = {
+    status: result.success ? 'sent' : 'failed',
+    messageId: result.messageId || null,
+    error: result.success ? null : result.error || 'Unknown provider error',
+    cost: result.success ? costOfSentDelivery(delivery, result.text) : 0,
+    attempts: (delivery.attempts || 0) + 1,
+    sentAt: result.success ? new Date() : null
+  };
+
+  await updateDelivery(delivery._id, updates);
+
+  // The message is out; a ledger hiccup must not stop the remaining deliveries
+  if (result.success) {
+    await captureDeliveryCredits({ ...delivery, ...updates }).catch(error => {
+      console.error(`DeliveryPipeline: could not capture credits for delivery ${delivery._id}`, error);
+    });
+  }
+  return { ...delivery, ...updates };
+};
+
+/**
+ * Summarise delivery outcomes in the shape PreviewPanel renders
+ * @param {Array} deliveries - Delivery records
+ * @returns {Object} { total, successful, failed, skipped, details }
+ */
+export const summariseResults = (deliveries) => ({
+  total: deliveries.length,
+  successful: deliveries.filter(d => REACHED_STATUSES.includes(d.status)).length,
+  failed: deliveries.filter(d => FAILED_STATUSES.includes(d.status)).length,
+  skipped: deliveries.filter(d => d.status === 'skipped').length,
+  optedOut: deliveries.filter(d => d.optedOut).length,
+  details: deliveries.map(d => ({
+    recipient: d.recipientName,
+    channel: d.channel,
+    language: d.language,
+    to: d.to,
+    status: REACHED_STATUSES.includes(d.status) ? 'success' : d.status,
+    error: d.error
+  }))
+});
+
+/**
+ * Work out an invitation's overall status from its deliveries
+ * A guardian's fallback counts once, as reached when any of its steps was.
+ * @param {Array} deliveries - Delivery records
+ * @returns {string} 'sent', 'partially_sent' or 'failed'
+ */
+export const resolveInvitationStatus = (deliveries) => {
+  const outcomes = new Map();
+  deliveries.forEach(delivery => {
+    const key = delivery.cascadeStep === null || delivery.cascadeStep === undefined
+      ? String(delivery._id)
+      : `fallback:${delivery.recipientId}`;
+    outcomes.set(key, outcomes.get(key) || REACHED_STATUSES.includes(delivery.status));
+  });
+
+  const sent = [...outcomes.values()].filter(Boolean).length;
+  if (sent === 0) return 'failed';
+  return sent === outcomes.size ? 'sent' : 'partially_sent';
+};
+
+/**
+ * Send every pending delivery of a stored invitation
+ * @param {string|Object} invitationId - Invitation ID or ObjectId
+ * @param {Object} options
+ * @param {boolean} options.retryFailed - Also resend deliveries that failed on an earlier attempt
+ * @param {Function} options.shouldContinue - Checked before each delivery; when it returns
+ *   false (a worker lost its job's lease) sending stops with an error
+ * @returns {Promise<Object>} Results summary
+ */
+export const processInvitation = async (invitationId, { retryFailed = false, shouldContinue = () => true } = {}) => {
+  const invitation = await findInvitation(invitationId);
+  if (!invitation) {
+    throw new Error(`Invitation not found: ${invitationId}`);
+  }
+
+  await updateInvitation(invitation._id, { status: 'sending' });
+
+  // Only deliveries the provider refused are retried; a failure reported later by a receipt
+  // (the delivery has a messageId) means the carrier already tried. A fallback step isn't
+  // retried either: the guardian's next step takes over (see advanceFallback).
+  const filter = retryFailed
+    ? { $or: [{ status: 'pending' }, { status: 'failed', messageId: null, cascadeStep: null }] }
+    : { status: 'pending' };
+  // Re-checked at send time: a guardian may opt out between scheduling and sending
+  const pending = await applyOptOuts(await findDeliveries(invitation._id, filter), invitation.schoolId);
+  for (const delivery of pending) {
+    if (!shouldContinue()) {
+      throw new Error(`Stopped sending invitation ${invitation._id}: another worker has taken it over`);
+    }
+    if (delivery.optedOut) {
+      await updateDelivery(delivery._id, { status: delivery.status, optedOut: true, error: delivery.error });
+      await refundDeliveryCredits(delivery, 'Opted out');
+      continue;
+    }
+    await sendDelivery(delivery, invitation);
+  }
+
+  const deliveries = await findDeliveries(invitation._id);
+  const status = resolveInvitationStatus(deliveries);
+  await updateInvitation(invitation._id, { status, sentAt: new Date() });
+
+  return {
+    invitationId: String(invitation._id),
+    status,
+    retryable: deliveries.filter(d => d.status === 'failed' && !d.messageId && (d.cascadeStep ?? null) === null).length,
+    ...summariseResults(deliveries)
+  };
+};
+
+/**
+ * Expand a stored invitation into deliveries, skipping opted-out contacts, and price each
+ * one as the composer estimated it
+ * Fallback steps after each guardian's first sendable one are priced, then put on standby.
+ * @param {Object} invitation - Stored invitation
+ * @returns {Promise<Array>} Priced delivery records, not yet stored
+ */
+export const priceInvitation = async (invitation) => {
+  const whatsappCategory = invitation.whatsappTemplate && invitation.channels.includes('whatsapp')
+    ? await findWhatsAppTemplateCategory(invitation.whatsappTemplate)
+    : null;
+  const priced = priceDeliveries(
+    invitation,
+    await applyOptOuts(expandDeliveries(invitation), invitation.schoolId),
+    { config: getPricingConfig(), whatsappCategory }
+  );
+  return invitation.fallback ? holdFallbackSteps(priced) : priced;
+};
+
+/**
+ * Store an invitation's deliveries
+ * The credits for the deliveries to be sent are reserved first, so nothing is queued that
+ * the school can't pay for.
+ * @param {Object} invitation - Stored invitation
+ * @param {Array} priced - Result of priceInvitation, when the caller already priced the send
+ * @returns {Promise<Array>} Stored deliveries
+ * @throws {InsufficientCreditsError} When the school's available credits are too low
+ */
+export const queueDeliveries = async (invitation, priced = null) => {
+  const deliveries = priced || await priceInvitation(invitation);
+
+  const amount = creditsForDeliveries(deliveries);
+  if (amount > 0) {
+    await reserveCredits({
+      schoolId: invitation.schoolId,
+      invitationId: invitation._id,
+      amount,
+      description: `Invitation "${invitation.subject || invitation.template?.name || 'Untitled'}" to ${invitation.recipients.length} recipient(s)`,
+      createdBy: invitation.createdBy
+    });
+  }
+  return insertDeliveries(deliveries);
+};
@@ -0,0 +1,214 @@
+/**
+ * DeliveryStatus - Canonical delivery statuses and the mapping from each provider's
+ * receipt vocabulary onto them
+ *
+ * Canonical statuses: pending, skipped, sent, delivered, read, bounced, failed, and for
+ * fallback steps standby (waiting on an earlier step) and not_needed
+ */
+
+import {
+  FALLBACK_STATUSES,
+  resolveFallbackStep
+} from '../../components/adminPage/GradesManagemet/services/invitation/fallback';
+
+/**
+ * Statuses that mean the message left us and may have reached the guardian
+ */
+export const REACHED_STATUSES = ['sent', 'delivered', 'read'];
+
+/**
+ * Statuses that mean the message will not reach the guardian on this channel
+ */
+export const FAILED_STATUSES = ['failed', 'bounced'];
+
+/**
+ * Progress order of successful statuses; a receipt never moves a delivery backwards
+ */
+const STATUS_RANK = {
+  pending: 0,
+  sent: 1,
+  delivered: 2,
+  read: 3
+};
+
+const TWILIO_STATUSES = {
+  accepted: 'sent',
+  queued: 'sent',
+  sending: 'sent',
+  sent: 'sent',
+  delivered: 'delivered',
+  read: 'read',
+  undelivered: 'failed',
+  failed: 'failed'
+};
+
+const WINSMS_STATUSES = {
+  DELIVRD: 'delivered',
+  DELIVERED: 'delivered',
+  ACCEPTD: 'sent',
+  ENROUTE: 'sent',
+  SENT: 'sent',
+  EXPIRED: 'failed',
+  UNDELIV: 'failed',
+  UNDELIVERABLE: 'failed',
+  REJECTD: 'failed',
+  REJECTED: 'failed',
+  FAILED: 'failed'
+};
+
+const SENDGRID_EVENTS = {
+  processed: 'sent',
+  deferred: 'sent',
+  delivered: 'delivered',
+  open: 'read',
+  click: 'read',
+  bounce: 'bounced',
+  dropped: 'failed'
+};
+
+const WHATSAPP_STATUSES = {
+  sent: 'sent',
+  delivered: 'delivered',
+  read: 'read',
+  failed: 'failed'
+};
+
+/**
+ * Map a provider's raw status onto a canonical status
+ * @param {string} provider - 'twilio', 'winsms', 'sendgrid' or 'whatsapp'
+ * @param {string} rawStatus - Status or event name as the provider reports it
+ * @returns {string|null} Canonical status, or null for events that don't change delivery state
+ */
+export const normaliseStatus = (provider, rawStatus) => {
+  const status = String(rawStatus || '');
+  switch (provider) {
+    case 'twilio':
+      return TWILIO_STATUSES[status.toLowerCase()] || null;
+    case 'winsms':
+      return WINSMS_STATUSES[status.toUpperCase()] || null;
+    case 'sendgrid':
+      return SENDGRID_EVENTS[status.toLowerCase()] || null;
+    case 'whatsapp':
+      return WHATSAPP_STATUSES[status.toLowerCase()] || null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Decide whether a receipt should replace a delivery's current status
+ * Receipts arrive out of order, so a 'sent' callback must not undo 'read', and a
+ * failure reported after the guardian already received the message is ignored.
+ *
+ * @param {string} current - Current canonical status
+ * @param {string} next - Status from the receipt
+ * @returns {boolean} True when the status should change
+ */
+export const shouldApplyStatus = (current, next) => {
+  if (!next || current === next || current === 'skipped' || Object.values(FALLBACK_STATUSES).includes(current)) {
+    return false;
+  }
+
+  const currentRank = STATUS_RANK[current];
+  if (FAILED_STATUSES.includes(next)) {
+    return currentRank === undefined ? current !== 'bounced' : currentRank < STATUS_RANK.delivered;
+  }
+  if (currentRank === undefined) {
+    // A late success receipt outranks an earlier failure report
+    return STATUS_RANK[next] >= STATUS_RANK.delivered;
+  }
+  return STATUS_RANK[next] > currentRank;
+};
+
+/**
+ * Work out the status shown for one recipient across all their channels
+ * @param {Array} statuses - Canonical status per channel
+ * @returns {string} pending, sent, delivered, read, partial_failure or failed
+ */
+export const resolveRecipientStatus = (statuses) => {
+  const reached = statuses.filter(status => REACHED_STATUSES.includes(status));
+  const failed = statuses.filter(status => FAILED_STATUSES.includes(status));
+
+  if (failed.length > 0) {
+    return reached.length > 0 ? 'partial_failure' : 'failed';
+  }
+  if (reached.includes('read')) return 'read';
+  if (reached.includes('delivered')) return 'delivered';
+  if (reached.length > 0) return 'sent';
+  return statuses.every(status => status === 'skipped') && statuses.length > 0 ? 'failed' : 'pending';
+};
+
+/**
+ * Work out the status shown for a guardian reached through a fallback
+ * A step that failed before a later one got through isn't a failure for the guardian.
+ * @param {Array} statuses - Canonical status per step
+ * @returns {string} pending, sent, delivered, read or failed
+ */
+export const resolveFallbackStatus = (statuses) => {
+  const reached = statuses.filter(status => REACHED_STATUSES.includes(status));
+  if (reached.length > 0) return resolveRecipientStatus(reached);
+  return statuses.some(status => status === 'pending' || status === FALLBACK_STATUSES.standby) ? 'pending' : 'failed';
+};
+
+/**
+ * Group deliveries into one entry per invitation recipient, in the shape StatusTracker renders
+ * @param {Array} invitations - Stored invitations
+ * @param {Array} deliveries - Deliveries belonging to those invitations
+ * @returns {Array} Tracker entries, newest invitation first
+ */
+export const buildTrackerEntries = (invitations, deliveries) => {
+  const byRecipient = new Map();
+  deliveries.forEach(delivery => {
+    const key = `${delivery.invitationId}:${delivery.recipientId}`;
+    if (!byRecipient.has(key)) byRecipient.set(key, []);
+    byRecipient.get(key).push(delivery);
+  });
+
+  const entries = [];
+  invitations.forEach(invitation => {
+    invitation.recipients.forEach(recipient => {
+      const key = `${invitation._id}:${recipient.id}`;
+      const recipientDeliveries = byRecipient.get(key) || [];
+      if (recipientDeliveries.length === 0) return;
+
+      const channels = recipientDeliveries.map(delivery => ({
+        deliveryId: String(delivery._id),
+        type: delivery.channel,
+        to: delivery.to,
+        status: delivery.status,
+        cascadeStep: delivery.cascadeStep ?? null,
+        sentAt: delivery.sentAt || null,
+        deliveredAt: delivery.deliveredAt || null,
+        readAt: delivery.readAt || null,
+        failureReason: FAILED_STATUSES.includes(delivery.status) || delivery.status === 'skipped'
+          ? delivery.error || null
+          : null
+      }));
+
+      entries.push({
+        id: key,
+        invitationId: String(invitation._id),
+        recipientId: recipient.id,
+        recipientName: recipient.name,
+        recipientEmail: recipient.email,
+        recipientPhone: recipient.phone || recipient.whatsapp,
+        learnerName: recipient.studentName,
+        subject: invitation.subject,
+        rsvpEnabled: Boolean(invitation.rsvp),
+        rsvp: recipient.rsvp || null,
+        overallStatus: invitation.fallback
+          ? resolveFallbackStatus(channels.map(channel => channel.status))
+          : resolveRecipientStatus(channels.map(channel => channel.status)),
+        fallback: invitation.fallback
+          ? { steps: invitation.fallback, reached: resolveFallbackStep(channels) }
+          : null,
+        priority: invitation.priority || 'normal',
+        template: invitation.template?.name || invitation.template || 'Custom message',
+        createdAt: invitation.createdAt,
+        channels
+      });
+    });
+  });
+
+  return entries;
+};
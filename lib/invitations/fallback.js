@@ -0,0 +1,161 @@
+/**
+ * Fallback - Moves each guardian's channel cascade on to its next step
+ *
+ * A fallback invitation is queued with every step of each guardian's cascade, the later
+ * ones on standby (see services/invitation/fallback). One keyed job per invitation walks
+ * the cascades: a step that failed, or that hasn't been delivered once the next step's wait
+ * is up, hands over to the next step; a delivered step ends the cascade and refunds the
+ * steps that weren't needed. Receipts bring the job forward, so a failure moves on at once.
+ */
+
+import {
+  FALLBACK_CONFIRMED_STATUSES,
+  FALLBACK_STATUSES
+} from '../../components/adminPage/GradesManagemet/services/invitation/fallback';
+import { getDb, findInvitation, updateInvitation, findDeliveries, updateDelivery, COLLECTIONS } from './invitationStore';
+import { applyOptOuts, sendDelivery, resolveInvitationStatus } from './deliveryPipeline';
+import { refundDeliveryCredits } from './creditLedger';
+import { scheduleJobOnce, JOB_TYPES } from './jobQueue';
+
+/** Invitation statuses after the send job has finished with it */
+const SETTLED_INVITATION_STATUSES = ['sent', 'partially_sent', 'failed'];
+
+/**
+ * Make sure an invitation's cascades are checked by a given time
+ * @param {string|Object} invitationId - Invitation ID
+ * @param {Date} runAt - When to check; defaults to now
+ * @returns {Promise<Object>} The queued job
+ */
+export const scheduleFallbackCheck = (invitationId, runAt = new Date()) => scheduleJobOnce({
+  key: `${JOB_TYPES.advanceFallback}:${invitationId}`,
+  type: JOB_TYPES.advanceFallback,
+  payload: { invitationId: String(invitationId) },
+  runAt
+});
+
+/**
+ * Take a standby step off standby and send it
+ * The step is claimed with a conditional update, so overlapping checks send it once.
+ * @param {Object} step - Standby delivery
+ * @param {Object} invitation - Invitation it belongs to
+ * @returns {Promise<Object|null>} The step after sending, or null when another check claimed it
+ */
+const sendStep = async (step, invitation) => {
+  const db = await getDb();
+  const { modifiedCount } = await db.collection(COLLECTIONS.deliveries).updateOne(
+    { _id: step._id, status: FALLBACK_STATUSES.standby },
+    { $set: { status: 'pending', activatedAt: new Date(), updatedAt: new Date() } }
+  );
+  if (modifiedCount === 0) return null;
+
+  // The guardian may have opted out of this channel since the invitation was queued
+  const [checked] = await applyOptOuts([{ ...step, status: 'pending' }], invitation.schoolId);
+  if (checked.optedOut) {
+    await updateDelivery(step._id, { status: checked.status, optedOut: true, error: checked.error });
+    await refundDeliveryCredits(step, 'Opted out');
+    return checked;
+  }
+
+  const sent = await sendDelivery(checked, invitation);
+  if (sent.status === 'failed') {
+    await refundDeliveryCredits(sent, 'Not delivered');
+  }
+  return sent;
+};
+
+/**
+ * Refund the standby steps of a cascade that an earlier step already delivered
+ * @param {Array} steps - The guardian's deliveries
+ * @returns {Promise<number>} Steps stood down
+ */
+const standDown = async (steps) => {
+  const db = await getDb();
+  let count = 0;
+  for (const step of steps.filter(s => s.status === FALLBACK_STATUSES.standby)) {
+    const { modifiedCount } = await db.collection(COLLECTIONS.deliveries).updateOne(
+      { _id: step._id, status: FALLBACK_STATUSES.standby },
+      { $set: { status: FALLBACK_STATUSES.notNeeded, updatedAt: new Date() } }
+    );
+    if (modifiedCount === 1) {
+      await refundDeliveryCredits(step, 'Not needed');
+      count++;
+    }
+  }
+  return count;
+};
+
+/**
+ * Move one guardian's cascade on as far as it can go now
+ * @param {Array} steps - The guardian's deliveries, in step order
+ * @param {Object} invitation - Invitation they belong to
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { changed, nextCheck } - nextCheck is when the cascade is next due
+ */
+const advanceCascade = async (steps, invitation, now) => {
+  if (steps.some(step => FALLBACK_CONFIRMED_STATUSES.includes(step.status))) {
+    return { changed: await standDown(steps), nextCheck: null };
+  }
+
+  let changed = 0;
+  for (;;) {
+    const nextIndex = steps.findIndex(step => step.status === FALLBACK_STATUSES.standby);
+    if (nextIndex === -1) return { changed, nextCheck: null };
+
+    const next = steps[nextIndex];
+    const current = steps.slice(0, nextIndex).reverse().find(step => step.status !== 'skipped');
+    // Not sent yet: the send job checks again once it has gone out
+    if (current?.status === 'pending') return { changed, nextCheck: null };
+    if (current?.status === 'sent') {
+      const wait = invitation.fallback[next.cascadeStep]?.waitMinutes || 0;
+      const dueAt = new Date(new Date(current.sentAt).getTime() + wait * 60 * 1000);
+      if (dueAt > now) return { changed, nextCheck: dueAt };
+    }
+
+    const sent = await sendStep(next, invitation);
+    if (!sent) return { changed, nextCheck: null };
+    steps[nextIndex] = sent;
+    changed++;
+  }
+};
+
+/**
+ * Check every cascade of an invitation, sending the steps that are due
+ * Safe to run more than once; schedules itself again for the next step that falls due.
+ * @param {string|Object} invitationId - Invitation ID
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { changed, nextCheck }
+ */
+export const advanceFallback = async (invitationId, now = new Date()) => {
+  const invitation = await findInvitation(invitationId);
+  if (!invitation?.fallback) {
+    return { changed: 0, nextCheck: null };
+  }
+
+  const cascades = new Map();
+  const deliveries = await findDeliveries(invitation._id, { cascadeStep: { $ne: null } });
+  deliveries.forEach(delivery => {
+    if (!cascades.has(delivery.recipientId)) cascades.set(delivery.recipientId, []);
+    cascades.get(delivery.recipientId).push(delivery);
+  });
+
+  let changed = 0;
+  let nextCheck = null;
+  for (const steps of cascades.values()) {
+    steps.sort((a, b) => a.cascadeStep - b.cascadeStep);
+    const result = await advanceCascade(steps, invitation, now);
+    changed += result.changed;
+    if (result.nextCheck && (!nextCheck || result.nextCheck < nextCheck)) {
+      nextCheck = result.nextCheck;
+    }
+  }
+
+  if (nextCheck) {
+    await scheduleFallbackCheck(invitation._id, nextCheck);
+  }
+  // While the send job is still working it sets the status itself when it finishes
+  if (changed > 0 && SETTLED_INVITATION_STATUSES.includes(invitation.status)) {
+    await updateInvitation(invitation._id, { status: resolveInvitationStatus(await findDeliveries(invitation._id)) });
+  }
+
+  return { changed, nextCheck };
+};
@@ -0,0 +1,269 @@
+/**
+ * InvitationStore - Persistence layer for invitations and their deliveries
+ * Wraps the shared MongoDB client so API routes never talk to collections directly
+ */
+
+import { ObjectId } from 'mongodb';
+import clientPromise from '../mongodb';
+
+const DB_NAME = 'tracker';
+
+export const COLLECTIONS = {
+  invitations: 'Invitation',
+  deliveries: 'InvitationDelivery'
+};
+
+/**
+ * Get the application database
+ * @returns {Promise<import('mongodb').Db>} Database handle
+ */
+export const getDb = async () => {
+  const client = await clientPromise;
+  return client.db(DB_NAME);
+};
+
+/**
+ * Wrap a store's index setup so it runs once per process, the first time it is needed
+ * The worker creates every index when it starts, but the web app can run without it; stores
+ * that rely on a unique index to stop duplicates also create it themselves with this. A
+ * failed attempt is tried again on the next call.
+ * @param {Function} ensureIndexes - async () => void, e.g. ensureCreditIndexes
+ * @returns {Function} async () => void
+ */
+export const indexOnce = (ensureIndexes) => {
+  let ready = null;
+  return () => {
+    if (!ready) {
+      ready = ensureIndexes().catch((error) => {
+        ready = null;
+        throw error;
+      });
+    }
+    return ready;
+  };
+};
+
+/**
+ * Convert a string ID into an ObjectId
+ * @param {string|ObjectId} id - The ID to convert
+ * @returns {ObjectId|null} ObjectId, or null when the ID is malformed
+ */
+export const toObjectId = (id) => {
+  if (id instanceof ObjectId) return id;
+  return typeof id === 'string' && ObjectId.isValid(id) ? new ObjectId(id) : null;
+};
+
+/**
+ * Store a new invitation
+ * @param {Object} invitation - Invitation fields
+ * @returns {Promise<Object>} The stored invitation including its _id
+ */
+export const createInvitation = async (invitation) => {
+  const db = await getDb();
+  const now = new Date();
+  const doc = { ...invitation, createdAt: now, updatedAt: now };
+  const { insertedId } = await db.collection(COLLECTIONS.invitations).insertOne(doc);
+  return { ...doc, _id: insertedId };
+};
+
+/**
+ * Find an invitation by ID
+ * @param {string|ObjectId} id - Invitation ID
+ * @returns {Promise<Object|null>} The invitation, or null when not found
+ */
+export const findInvitation = async (id) => {
+  const _id = toObjectId(id);
+  if (!_id) return null;
+
+  const db = await getDb();
+  return db.collection(COLLECTIONS.invitations).findOne({ _id });
+};
+
+/**
+ * Update invitation fields
+ * @param {string|ObjectId} id - Invitation ID
+ * @param {Object} updates - Fields to set
+ * @returns {Promise<void>}
+ */
+export const updateInvitation = async (id, updates) => {
+  const db = await getDb();
+  await db.collection(COLLECTIONS.invitations).updateOne(
+    { _id: toObjectId(id) },
+    { $set: { ...updates, updatedAt: new Date() } }
+  );
+};
+
+/**
+ * Create or update a draft invitation
+ * @param {Object} draft - Draft data, with an optional id of an existing draft
+ * @returns {Promise<Object|null>} The saved draft, or null when the given id is unknown
+ */
+export const saveDraft = async ({ id, _id, ...draft }) => {
+  const existingId = toObjectId(id || _id);
+  if (!existingId) {
+    return createInvitation({ ...draft, status: 'draft' });
+  }
+
+  const db = await getDb();
+  const result = await db.collection(COLLECTIONS.invitations).findOneAndUpdate(
+    { _id: existingId, status: 'draft' },
+    { $set: { ...draft, status: 'draft', updatedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+  return result;
+};
+
+/**
+ * List draft invitations, most recently edited first
+ * @param {Object} filter - Optional filter such as { schoolId }
+ * @returns {Promise<Array>} Draft invitations
+ */
+export const listDrafts = async (filter = {}) => {
+  const db = await getDb();
+  return db.collection(COLLECTIONS.invitations)
+    .find({ ...filter, status: 'draft' })
+    .sort({ updatedAt: -1 })
+    .limit(100)
+    .toArray();
+};
+
+/**
+ * Store the deliveries expanded from an invitation
+ * @param {Array} deliveries - Delivery records
+ * @returns {Promise<Array>} Deliveries including their _id
+ */
+export const insertDeliveries = async (deliveries) => {
+  if (deliveries.length === 0) return [];
+
+  const db = await getDb();
+  const now = new Date();
+  const docs = deliveries.map(delivery => ({ ...delivery, createdAt: now, updatedAt: now }));
+  const { insertedIds } = await db.collection(COLLECTIONS.deliveries).insertMany(docs);
+  return docs.map((doc, index) => ({ ...doc, _id: insertedIds[index] }));
+};
+
+/**
+ * Update delivery fields
+ * @param {string|ObjectId} id - Delivery ID
+ * @param {Object} updates - Fields to set
+ * @returns {Promise<void>}
+ */
+export const updateDelivery = async (id, updates) => {
+  const db = await getDb();
+  await db.collection(COLLECTIONS.deliveries).updateOne(
+    { _id: toObjectId(id) },
+    { $set: { ...updates, updatedAt: new Date() } }
+  );
+};
+
+/**
+ * Find deliveries belonging to an invitation
+ * @param {string|ObjectId} invitationId - Invitation ID
+ * @param {Object} filter - Additional filter, e.g. { status: 'pending' }
+ * @returns {Promise<Array>} Delivery records
+ */
+export const findDeliveries = async (invitationId, filter = {}) => {
+  const db = await getDb();
+  return db.collection(COLLECTIONS.deliveries)
+    .find({ ...filter, invitationId: toObjectId(invitationId) })
+    .toArray();
+};
+
+/**
+ * Count deliveries by channel and status
+ * @param {string|ObjectId} invitationId - Invitation ID
+ * @returns {Promise<Object>} Totals per status and per channel
+ */
+export const summariseDeliveries = async (invitationId) => {
+  const db = await getDb();
+  const groups = await db.collection(COLLECTIONS.deliveries).aggregate([
+    { $match: { invitationId: toObjectId(invitationId) } },
+    { $group: { _id: { channel: '$channel', status: '$status' }, count: { $sum: 1 } } }
+  ]).toArray();
+
+  const summary = { total: 0, byStatus: {}, byChannel: {} };
+  groups.forEach(({ _id: { channel, status }, count }) => {
+    summary.total += count;
+    summary.byStatus[status] = (summary.byStatus[status] || 0) + count;
+    summary.byChannel[channel] = summary.byChannel[channel] || {};
+    summary.byChannel[channel][status] = count;
+  });
+  return summary;
+};
+
+/**
+ * Create the indexes delivery receipts are matched on
+ * @returns {Promise<void>}
+ */
+export const ensureDeliveryIndexes = async () => {
+  const db = await getDb();
+  await db.collection(COLLECTIONS.deliveries).createIndexes([
+    { key: { invitationId: 1 } },
+    { key: { provider: 1, messageId: 1 } }
+  ]);
+};
+
+/**
+ * Find the delivery a provider receipt refers to
+ * The delivery ID we passed to the provider wins; otherwise match the provider's message ID.
+ * @param {Object} params
+ * @param {string} params.deliveryId - Delivery ID echoed back by the provider, if any
+ * @param {string} params.provider - Provider name
+ * @param {string} params.messageId - Provider message ID
+ * @returns {Promise<Object|null>} The delivery, or null when it isn't ours
+ */
+export const findDeliveryForReceipt = async ({ deliveryId, provider, messageId }) => {
+  const db = await getDb();
+  const _id = toObjectId(deliveryId);
+  if (_id) {
+    const delivery = await db.collection(COLLECTIONS.deliveries).findOne({ _id });
+    if (delivery) return delivery;
+  }
+  if (!messageId) return null;
+  return db.collection(COLLECTIONS.deliveries).findOne({ provider, messageId: String(messageId) });
+};
+
+/**
+ * Record a provider receipt against a delivery
+ * @param {string|ObjectId} id - Delivery ID
+ * @param {Object} event - Receipt as stored in the delivery's event history
+ * @param {Object} updates - Fields to set, empty when the receipt doesn't change the status
+ * @returns {Promise<void>}
+ */
+export const recordDeliveryEvent = async (id, event, updates = {}) => {
+  const db = await getDb();
+  await db.collection(COLLECTIONS.deliveries).updateOne(
+    { _id: toObjectId(id) },
+    {
+      $set: { ...updates, updatedAt: new Date() },
+      $push: { events: { $each: [event], $slice: -50 } }
+    }
+  );
+};
+
+/**
+ * List sent or scheduled invitations, newest first
+ * @param {Object} filter - Optional filter such as { schoolId }
+ * @param {number} limit - Maximum invitations to return
+ * @returns {Promise<Array>} Invitations
+ */
+export const listInvitations = async (filter = {}, limit = 20) => {
+  const db = await getDb();
+  return db.collection(COLLECTIONS.invitations)
+    .find({ ...filter, status: { $ne: 'draft' } })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .toArray();
+};
+
+/**
+ * Find the deliveries of several invitations
+ * @param {Array} invitationIds - Invitation IDs
+ * @returns {Promise<Array>} Delivery records
+ */
+export const findDeliveriesForInvitations = async (invitationIds) => {
+  const db = await getDb();
+  return db.collection(COLLECTIONS.deliveries)
+    .find({ invitationId: { $in: invitationIds.map(toObjectId) } })
+    .toArray();
+};
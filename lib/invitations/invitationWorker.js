@@ -0,0 +1,149 @@
+/**
+ * InvitationWorker - Claims due jobs from the queue and runs them
+ * Used by the standalone worker process (scripts/invitation-worker.js)
+ */
+
+import os from 'os';
+import { JOB_TYPES, LEASE_RENEW_MS, claimNextJob, completeJob, failJob, renewJobLease } from './jobQueue';
+import { processInvitation } from './deliveryPipeline';
+import { advanceFallback } from './fallback';
+import { findInvitation, updateInvitation } from './invitationStore';
+import { releaseUnusedCredits } from './creditLedger';
+
+/**
+ * Handlers per job type. A handler throws to have the job retried with backoff.
+ * lease.isHeld() turns false once the job's lease is lost; long handlers check it before
+ * each step and stop, leaving the rest to the worker that took the job over.
+ */
+const handlers = {
+  [JOB_TYPES.sendInvitation]: async (job, lease) => {
+    const { invitationId } = job.payload;
+    const invitation = await findInvitation(invitationId);
+    if (!invitation) {
+      throw new Error(`Invitation not found: ${invitationId}`);
+    }
+
+    const results = await processInvitation(invitationId, {
+      retryFailed: job.attempts > 1,
+      shouldContinue: lease.isHeld
+    });
+    const retriesLeft = job.attempts < job.maxAttempts;
+    // Steps the provider refused hand over straight away; the rest are checked on their timers
+    if (invitation.fallback) {
+      await advanceFallback(invitationId);
+    }
+
+    if (results.retryable > 0 && retriesLeft) {
+      await updateInvitation(invitationId, { status: 'retrying' });
+      throw new Error(`${results.failed} of ${results.total} deliveries failed`);
+    }
+
+    // No attempts left: credits held for deliveries that never went out go back to the school
+    await releaseUnusedCredits(invitationId);
+
+    const { details, ...summary } = results;
+    return summary;
+  },
+
+  [JOB_TYPES.advanceFallback]: async (job) => {
+    const { changed, nextCheck } = await advanceFallback(job.payload.invitationId);
+    return { changed, nextCheck };
+  }
+};
+
+/**
+ * Build an identifier for this worker process
+ * @returns {string} Worker ID
+ */
+export const createWorkerId = () => `${os.hostname()}:${process.pid}`;
+
+/**
+ * Keep renewing a job's lease until stopped
+ * @param {Object} job - Claimed job
+ * @returns {Object} { isHeld, stop }
+ */
+const holdLease = (job) => {
+  let held = true;
+  const timer = setInterval(async () => {
+    try {
+      held = await renewJobLease(job);
+    } catch (error) {
+      // A missed renewal isn't fatal: the lease still has time left and the next one may work
+      console.error(`InvitationWorker: could not renew the lease on job ${job._id}`, error);
+    }
+    if (!held) clearInterval(timer);
+  }, LEASE_RENEW_MS);
+  return { isHeld: () => held, stop: () => clearInterval(timer) };
+};
+
+/**
+ * Run one claimed job and record its outcome
+ * @param {Object} job - Claimed job
+ * @returns {Promise<string>} Final job status for this attempt
+ */
+export const runJob = async (job) => {
+  const handler = handlers[job.type];
+  const lease = holdLease(job);
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler for job type: ${job.type}`);
+    }
+    const result = await handler(job, lease);
+    await completeJob(job, result);
+    return 'completed';
+  } catch (error) {
+    console.error(`InvitationWorker: job ${job._id} (${job.type}) attempt ${job.attempts} failed`, error);
+    return failJob(job, error);
+  } finally {
+    lease.stop();
+  }
+};
+
+/**
+ * Claim and run due jobs until none are left or the limit is reached
+ * @param {Object} options
+ * @param {string} options.workerId - Identifier of this worker
+ * @param {number} options.limit - Maximum jobs to run in this pass
+ * @returns {Promise<number>} Number of jobs run
+ */
+export const processDueJobs = async ({ workerId = createWorkerId(), limit = 25 } = {}) => {
+  let processed = 0;
+
+  while (processed < limit) {
+    const job = await claimNextJob(workerId);
+    if (!job) break;
+
+    await runJob(job);
+    processed++;
+  }
+
+  return processed;
+};
+
+/**
+ * Poll the queue until stopped
+ * @param {Object} options
+ * @param {number} options.pollIntervalMs - Wait between polls when the queue is empty
+ * @param {Function} options.shouldStop - Returns true once the worker should exit
+ * @returns {Promise<void>}
+ */
+export const runWorker = async ({ pollIntervalMs = 15000, shouldStop = () => false } = {}) => {
+  const workerId = createWorkerId();
+  console.log(`InvitationWorker: ${workerId} started, polling every ${pollIntervalMs}ms`);
+
+  while (!shouldStop()) {
+    try {
+      const processed = await processDueJobs({ workerId });
+      if (processed > 0) {
+        console.log(`InvitationWorker: processed ${processed} job(s)`);
+        continue;
+      }
+    } catch (error) {
+      console.error('InvitationWorker: polling failed', error);
+    }
+    await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+  }
+
+  console.log(`InvitationWorker: ${workerId} stopped`);
+};
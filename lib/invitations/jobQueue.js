@@ -0,0 +1,217 @@
+/**
+ * JobQueue - MongoDB-backed queue for work that has to run at a later time
+ * Jobs are claimed with an atomic update and a lease, so several workers can poll safely.
+ * A worker renews the lease while a job runs (see renewJobLease), so a long bulk send
+ * isn't claimed again by another worker halfway through.
+ */
+
+import { getDb, toObjectId } from './invitationStore';
+
+export const JOBS_COLLECTION = 'InvitationJob';
+
+export const JOB_TYPES = {
+  sendInvitation: 'send_invitation',
+  advanceFallback: 'advance_fallback'
+};
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const LEASE_MS = 5 * 60 * 1000;
+/** How often a running job's lease is renewed: several times per lease */
+export const LEASE_RENEW_MS = LEASE_MS / 5;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+/**
+ * Create the indexes the queue relies on
+ * @returns {Promise<void>}
+ */
+export const ensureJobIndexes = async () => {
+  const db = await getDb();
+  await db.collection(JOBS_COLLECTION).createIndexes([
+    { key: { status: 1, runAt: 1 } },
+    { key: { status: 1, lockedUntil: 1 } },
+    { key: { 'payload.invitationId': 1 } },
+    { key: { key: 1, status: 1 } }
+  ]);
+};
+
+/**
+ * Add a job to the queue
+ * @param {Object} params
+ * @param {string} params.type - Job type, used to pick a handler
+ * @param {Object} params.payload - Data passed to the handler
+ * @param {Date} params.runAt - Earliest time the job may run
+ * @param {number} params.maxAttempts - Attempts before the job is marked failed
+ * @returns {Promise<Object>} The stored job
+ */
+export const enqueueJob = async ({ type, payload = {}, runAt = new Date(), maxAttempts = DEFAULT_MAX_ATTEMPTS }) => {
+  const db = await getDb();
+  const now = new Date();
+  const job = {
+    type,
+    payload,
+    status: 'queued',
+    runAt,
+    attempts: 0,
+    maxAttempts,
+    lockedBy: null,
+    lockedUntil: null,
+    lastError: null,
+    createdAt: now,
+    updatedAt: now
+  };
+  const { insertedId } = await db.collection(JOBS_COLLECTION).insertOne(job);
+  return { ...job, _id: insertedId };
+};
+
+/**
+ * Make sure a job with this key is queued to run by a given time
+ * A job still waiting under the same key is reused, and moved earlier when runAt is
+ * sooner, so callers that ask repeatedly (one per receipt, say) don't pile up jobs.
+ * Handlers of keyed jobs must be safe to run more than once.
+ * @param {Object} params
+ * @param {string} params.key - Identifies the work, e.g. 'advance_fallback:<invitationId>'
+ * @param {string} params.type - Job type, used to pick a handler
+ * @param {Object} params.payload - Data passed to the handler
+ * @param {Date} params.runAt - Latest time the job should run
+ * @param {number} params.maxAttempts - Attempts before the job is marked failed
+ * @returns {Promise<Object>} The queued job
+ */
+export const scheduleJobOnce = async ({ key, type, payload = {}, runAt = new Date(), maxAttempts = DEFAULT_MAX_ATTEMPTS }) => {
+  const db = await getDb();
+  const now = new Date();
+  return db.collection(JOBS_COLLECTION).findOneAndUpdate(
+    { key, status: 'queued' },
+    {
+      $min: { runAt },
+      $set: { updatedAt: now },
+      $setOnInsert: {
+        type,
+        payload,
+        attempts: 0,
+        maxAttempts,
+        lockedBy: null,
+        lockedUntil: null,
+        lastError: null,
+        createdAt: now
+      }
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+};
+
+/**
+ * Claim the next due job, including running jobs whose lease has expired
+ * @param {string} workerId - Identifier of the claiming worker
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} The claimed job, or null when nothing is due
+ */
+export const claimNextJob = async (workerId, now = new Date()) => {
+  const db = await getDb();
+  return db.collection(JOBS_COLLECTION).findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      $set: {
+        status: 'running',
+        lockedBy: workerId,
+        lockedUntil: new Date(now.getTime() + LEASE_MS),
+        updatedAt: now
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, returnDocument: 'after' }
+  );
+};
+
+/**
+ * Extend the lease on a job this worker is running
+ * @param {Object} job - The claimed job
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>} False when the job is no longer this worker's to run
+ */
+export const renewJobLease = async (job, now = new Date()) => {
+  const db = await getDb();
+  const { matchedCount } = await db.collection(JOBS_COLLECTION).updateOne(
+    { _id: job._id, lockedBy: job.lockedBy, status: 'running' },
+    { $set: { lockedUntil: new Date(now.getTime() + LEASE_MS), updatedAt: now } }
+  );
+  return matchedCount === 1;
+};
+
+/**
+ * Mark a job as completed
+ * @param {Object} job - The claimed job
+ * @param {Object} result - Handler result to keep on the job
+ * @returns {Promise<void>}
+ */
+export const completeJob = async (job, result = null) => {
+  const db = await getDb();
+  await db.collection(JOBS_COLLECTION).updateOne(
+    { _id: job._id, lockedBy: job.lockedBy },
+    {
+      $set: {
+        status: 'completed',
+        result,
+        lockedBy: null,
+        lockedUntil: null,
+        completedAt: new Date(),
+        updatedAt: new Date()
+      }
+    }
+  );
+};
+
+/**
+ * Delay before the next attempt: exponential, capped at an hour
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+export const computeBackoff = (attempts) => {
+  return Math.min(BASE_BACKOFF_MS * Math.pow(2, Math.max(attempts - 1, 0)), MAX_BACKOFF_MS);
+};
+
+/**
+ * Record a failed attempt and either requeue the job with backoff or give up
+ * @param {Object} job - The claimed job
+ * @param {Error} error - Why the attempt failed
+ * @returns {Promise<string>} The job's new status ('queued' or 'failed')
+ */
+export const failJob = async (job, error) => {
+  const db = await getDb();
+  const now = new Date();
+  const exhausted = job.attempts >= job.maxAttempts;
+  const status = exhausted ? 'failed' : 'queued';
+
+  await db.collection(JOBS_COLLECTION).updateOne(
+    { _id: job._id, lockedBy: job.lockedBy },
+    {
+      $set: {
+        status,
+        runAt: exhausted ? job.runAt : new Date(now.getTime() + computeBackoff(job.attempts)),
+        lastError: error.message,
+        lockedBy: null,
+        lockedUntil: null,
+        updatedAt: now
+      }
+    }
+  );
+  return status;
+};
+
+/**
+ * Find a job by ID
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>} The job, or null when not found
+ */
+export const findJob = async (id) => {
+  const _id = toObjectId(id);
+  if (!_id) return null;
+
+  const db = await getDb();
+  return db.collection(JOBS_COLLECTION).findOne({ _id });
+};
@@ -0,0 +1,119 @@
+/**
+ * LanguagePreferences - Each school's default invitation language and each guardian's
+ * preferred language
+ *
+ * Invitations are stored with the school default and every recipient's preference already
+ * resolved, so a later change to either doesn't alter what an invitation sends.
+ */
+
+import { getDb } from './invitationStore';
+import {
+  DEFAULT_LANGUAGE,
+  isSupportedLanguage
+} from '../../components/adminPage/GradesManagemet/services/invitation/languages';
+
+export const LANGUAGE_COLLECTIONS = {
+  schools: 'SchoolInvitationSettings',
+  guardians: 'GuardianPreference'
+};
+
+/**
+ * Create the indexes the preferences rely on
+ * @returns {Promise<void>}
+ */
+export const ensureLanguageIndexes = async () => {
+  const db = await getDb();
+  await db.collection(LANGUAGE_COLLECTIONS.schools).createIndex({ schoolId: 1 }, { unique: true });
+  await db.collection(LANGUAGE_COLLECTIONS.guardians).createIndex({ schoolId: 1, guardianId: 1 }, { unique: true });
+};
+
+/**
+ * Get a school's default invitation language
+ * @param {string} schoolId - School ID
+ * @returns {Promise<string>} Language code, English when the school never chose one
+ */
+export const getSchoolLanguage = async (schoolId) => {
+  if (!schoolId) return DEFAULT_LANGUAGE;
+  const db = await getDb();
+  const settings = await db.collection(LANGUAGE_COLLECTIONS.schools).findOne({ schoolId: String(schoolId) });
+  return settings?.defaultLanguage || DEFAULT_LANGUAGE;
+};
+
+/**
+ * Set a school's default invitation language
+ * @param {string} schoolId - School ID
+ * @param {string} language - Supported language code
+ * @param {Object} updatedBy - Actor making the change
+ * @returns {Promise<Object>} Stored settings
+ */
+export const setSchoolLanguage = async (schoolId, language, updatedBy = null) => {
+  const db = await getDb();
+  return db.collection(LANGUAGE_COLLECTIONS.schools).findOneAndUpdate(
+    { schoolId: String(schoolId) },
+    { $set: { defaultLanguage: language, updatedBy, updatedAt: new Date() } },
+    { upsert: true, returnDocument: 'after' }
+  );
+};
+
+/**
+ * List the guardians of a school who chose a language
+ * @param {string} schoolId - School ID
+ * @returns {Promise<Array>} [{ guardianId, language, updatedAt }]
+ */
+export const listGuardianLanguages = async (schoolId) => {
+  const db = await getDb();
+  return db.collection(LANGUAGE_COLLECTIONS.guardians)
+    .find({ schoolId: String(schoolId) }, { projection: { _id: 0, guardianId: 1, language: 1, updatedAt: 1 } })
+    .toArray();
+};
+
+/**
+ * Set or clear a guardian's preferred language
+ * @param {string} schoolId - School ID
+ * @param {string} guardianId - Guardian (recipient) ID
+ * @param {string|null} language - Supported language code, or null to use the school default
+ * @returns {Promise<void>}
+ */
+export const setGuardianLanguage = async (schoolId, guardianId, language) => {
+  const db = await getDb();
+  const key = { schoolId: String(schoolId), guardianId: String(guardianId) };
+  if (!language) {
+    await db.collection(LANGUAGE_COLLECTIONS.guardians).deleteOne(key);
+    return;
+  }
+  await db.collection(LANGUAGE_COLLECTIONS.guardians).updateOne(
+    key,
+    { $set: { language, updatedAt: new Date() } },
+    { upsert: true }
+  );
+};
+
+/**
+ * Fill in the school default and every recipient's language on a composer payload
+ * A language chosen in the composer wins over the stored preference.
+ *
+ * @param {Object} data - Invitation payload
+ * @returns {Promise<Object>} Payload with `language` and recipients' `language` set
+ */
+export const applyLanguagePreferences = async (data) => {
+  const language = isSupportedLanguage(data.language) ? data.language : await getSchoolLanguage(data.schoolId);
+  const recipients = Array.isArray(data.recipients) ? data.recipients : [];
+
+  let stored = new Map();
+  if (data.schoolId && recipients.some(r => !isSupportedLanguage(r.language))) {
+    const db = await getDb();
+    const preferences = await db.collection(LANGUAGE_COLLECTIONS.guardians)
+      .find({ schoolId: String(data.schoolId), guardianId: { $in: recipients.map(r => String(r.id)) } })
+      .toArray();
+    stored = new Map(preferences.map(p => [p.guardianId, p.language]));
+  }
+
+  return {
+    ...data,
+    language,
+    recipients: recipients.map(recipient => ({
+      ...recipient,
+      language: isSupportedLanguage(recipient.language) ? recipient.language : stored.get(String(recipient.id)) || null
+    }))
+  };
+};
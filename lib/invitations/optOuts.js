@@ -0,0 +1,275 @@
+/**
+ * OptOuts - Per-school registry of guardians who asked not to be contacted
+ *
+ * Entries come from STOP replies on SMS and WhatsApp, the unsubscribe link in emails and
+ * manual admin entries. Every send path checks the registry before contacting anyone, as
+ * POPIA requires direct marketing to stop once consent is withdrawn.
+ *
+ * A keyword reply arrives on the shared sender number, so it can't be tied to one school:
+ * those entries have schoolId null and apply to every school. They are checked at send
+ * time but kept out of each school's registry; only platform admins see them, read-only.
+ */
+
+import crypto from 'crypto';
+import { getDb, toObjectId } from './invitationStore';
+import { parsePhoneNumber } from '../../components/adminPage/GradesManagemet/services/invitation/phoneNumbers';
+
+export const OPT_OUTS_COLLECTION = 'OptOut';
+
+export const OPT_OUT_SOURCES = {
+  keyword: 'keyword',
+  unsubscribeLink: 'unsubscribe_link',
+  admin: 'admin'
+};
+
+const STOP_KEYWORDS = ['STOP', 'STOPALL', 'STOP ALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT', 'OPT OUT'];
+const START_KEYWORDS = ['START', 'UNSTOP'];
+
+/**
+ * Normalise an email address or phone number so the same contact always matches
+ * Phone numbers are kept as their E.164 digits (27821234567); a number that doesn't parse
+ * keeps its digits, so a STOP from any sender is still recorded.
+ * @param {string} address - Email address or phone number, optionally prefixed 'whatsapp:'
+ * @returns {string} Normalised address, empty when nothing usable was given
+ */
+export const normaliseAddress = (address) => {
+  const value = String(address || '').trim().replace(/^whatsapp:/i, '');
+  if (value.includes('@')) {
+    return value.toLowerCase();
+  }
+
+  const phone = parsePhoneNumber(value);
+  return phone.isValid ? phone.digits : value.replace(/\D/g, '');
+};
+
+/**
+ * Channels an address can be contacted on
+ * @param {string} address - Email address or phone number
+ * @returns {Array} Channel IDs
+ */
+export const channelsForAddress = (address) => {
+  return String(address || '').includes('@') ? ['email'] : ['sms', 'whatsapp'];
+};
+
+/**
+ * Recognise an opt-out or opt-in keyword in an inbound reply
+ * @param {string} text - Message body
+ * @returns {string|null} 'stop', 'start' or null for anything else
+ */
+export const parseKeyword = (text) => {
+  const word = String(text || '').trim().toUpperCase().replace(/[^A-Z ]/g, '').replace(/\s+/g, ' ').trim();
+  if (STOP_KEYWORDS.includes(word)) return 'stop';
+  if (START_KEYWORDS.includes(word)) return 'start';
+  return null;
+};
+
+/**
+ * Create the indexes the registry relies on
+ * @returns {Promise<void>}
+ */
+export const ensureOptOutIndexes = async () => {
+  const db = await getDb();
+  await db.collection(OPT_OUTS_COLLECTION).createIndexes([
+    { key: { schoolId: 1, channel: 1, address: 1 }, unique: true },
+    { key: { address: 1 } }
+  ]);
+};
+
+/**
+ * Record an opt-out; recording the same contact again keeps the original entry
+ * @param {Object} entry
+ * @param {string|null} entry.schoolId - School the opt-out applies to, null for every school
+ * @param {string} entry.channel - 'sms', 'whatsapp' or 'email'
+ * @param {string} entry.address - Email address or phone number
+ * @param {string} entry.source - One of OPT_OUT_SOURCES
+ * @param {string} entry.reason - Free-text note
+ * @param {Object} entry.createdBy - Admin who added a manual entry, see toActor
+ * @returns {Promise<Object>} The stored opt-out
+ */
+export const addOptOut = async ({ schoolId = null, channel, address, source, reason = null, createdBy = null }) => {
+  const db = await getDb();
+  const key = { schoolId: schoolId ? String(schoolId) : null, channel, address: normaliseAddress(address) };
+  return db.collection(OPT_OUTS_COLLECTION).findOneAndUpdate(
+    key,
+    { $setOnInsert: { ...key, source, reason, createdBy, createdAt: new Date() } },
+    { upsert: true, returnDocument: 'after' }
+  );
+};
+
+/**
+ * Remove opt-outs a guardian made by keyword, after they reply START
+ * @param {string} channel - Channel the reply came in on
+ * @param {string} address - Phone number
+ * @returns {Promise<number>} Entries removed
+ */
+export const removeKeywordOptOut = async (channel, address) => {
+  const db = await getDb();
+  const { deletedCount } = await db.collection(OPT_OUTS_COLLECTION).deleteMany({
+    channel,
+    address: normaliseAddress(address),
+    source: OPT_OUT_SOURCES.keyword
+  });
+  return deletedCount;
+};
+
+/**
+ * Remove a manual entry. Entries the guardian made themselves can only be lifted by
+ * the guardian, so they are left alone.
+ * @param {string} id - Opt-out ID
+ * @param {string} schoolId - School the admin is managing
+ * @returns {Promise<boolean>} True when an entry was removed
+ */
+export const removeAdminOptOut = async (id, schoolId) => {
+  const _id = toObjectId(id);
+  if (!_id) return false;
+
+  const db = await getDb();
+  const { deletedCount } = await db.collection(OPT_OUTS_COLLECTION).deleteOne({
+    _id,
+    schoolId: String(schoolId),
+    source: OPT_OUT_SOURCES.admin
+  });
+  return deletedCount > 0;
+};
+
+/**
+ * List a school's opt-outs, newest first
+ * @param {string} schoolId - School ID
+ * @param {Object} options
+ * @param {boolean} options.includeGlobal - Also list the entries that apply to every school
+ * @returns {Promise<Array>} Opt-outs
+ */
+export const listOptOuts = async (schoolId, { includeGlobal = false } = {}) => {
+  const db = await getDb();
+  const schoolIds = includeGlobal ? [String(schoolId), null] : [String(schoolId)];
+  return db.collection(OPT_OUTS_COLLECTION)
+    .find({ schoolId: { $in: schoolIds } })
+    .sort({ createdAt: -1 })
+    .limit(500)
+    .toArray();
+};
+
+/**
+ * Load a check for whether a contact has opted out of a channel
+ * @param {string|null} schoolId - School sending the message
+ * @param {Array} addresses - Addresses about to be contacted
+ * @returns {Promise<Function>} (channel, address) => boolean
+ */
+export const loadOptOutCheck = async (schoolId, addresses) => {
+  const normalised = [...new Set(addresses.filter(Boolean).map(normaliseAddress))];
+  if (normalised.length === 0) return () => false;
+
+  const db = await getDb();
+  const schoolIds = schoolId ? [String(schoolId), null] : [null];
+  const entries = await db.collection(OPT_OUTS_COLLECTION)
+    .find({ schoolId: { $in: schoolIds }, address: { $in: normalised } })
+    .toArray();
+
+  const keys = new Set(entries.map(entry => `${entry.channel}:${entry.address}`));
+  return (channel, address) => keys.has(`${channel}:${normaliseAddress(address)}`);
+};
+
+/**
+ * Check a single contact
+ * @param {Object} params
+ * @param {string|null} params.schoolId - School sending the message, null to check every school
+ * @param {string} params.channel - Channel ID
+ * @param {string} params.address - Email address or phone number
+ * @returns {Promise<boolean>} True when the contact has opted out
+ */
+export const isOptedOut = async ({ schoolId = null, channel, address }) => {
+  const db = await getDb();
+  const filter = { channel, address: normaliseAddress(address) };
+  if (schoolId) {
+    filter.schoolId = { $in: [String(schoolId), null] };
+  }
+  return (await db.collection(OPT_OUTS_COLLECTION).countDocuments(filter, { limit: 1 })) > 0;
+};
+
+/**
+ * Act on an inbound SMS or WhatsApp reply
+ * @param {Object} reply
+ * @param {string} reply.channel - 'sms' or 'whatsapp'
+ * @param {string} reply.from - Sender phone number
+ * @param {string} reply.text - Message body
+ * @returns {Promise<string|null>} 'stop' or 'start' when the reply was a keyword, otherwise null
+ */
+export const handleKeywordReply = async ({ channel, from, text }) => {
+  const keyword = parseKeyword(text);
+  if (keyword === 'stop') {
+    await addOptOut({ channel, address: from, source: OPT_OUT_SOURCES.keyword, reason: `Replied "${String(text).trim()}"` });
+  } else if (keyword === 'start') {
+    await removeKeywordOptOut(channel, from);
+  }
+  return keyword;
+};
+
+/**
+ * Secret used to sign unsubscribe links
+ * @returns {string|null} Secret, or null when unsubscribe links are not configured
+ */
+const unsubscribeSecret = () => process.env.UNSUBSCRIBE_SECRET || null;
+
+/**
+ * Sign an unsubscribe token for an email address
+ * @param {Object} params
+ * @param {string} params.schoolId - School the guardian is unsubscribing from
+ * @param {string} params.address - Email address
+ * @returns {string|null} Token, or null when UNSUBSCRIBE_SECRET is not set
+ */
+export const createUnsubscribeToken = ({ schoolId, address }) => {
+  const secret = unsubscribeSecret();
+  if (!secret) return null;
+
+  const payload = Buffer.from(JSON.stringify({ s: schoolId ? String(schoolId) : null, a: normaliseAddress(address) })).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  return `${payload}.${signature}`;
+};
+
+/**
+ * Check an unsubscribe token and read what it refers to
+ * @param {string} token - Token from the unsubscribe link
+ * @returns {Object|null} { schoolId, address }, or null when the token is invalid
+ */
+export const verifyUnsubscribeToken = (token) => {
+  const secret = unsubscribeSecret();
+  const [payload, signature] = String(token || '').split('.');
+  if (!secret || !payload || !signature) return null;
+
+  const expected = crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  try {
+    const { s, a } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return a ? { schoolId: s, address: a } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the links placed in an email so the guardian can unsubscribe in one click
+ * @param {Object} params
+ * @param {string} params.schoolId - School sending the email
+ * @param {string} params.address - Recipient email address
+ * @returns {Object|null} { pageUrl, oneClickUrl, headers }, or null when links are not configured
+ */
+export const buildUnsubscribeLinks = ({ schoolId, address }) => {
+  const baseUrl = process.env.APP_BASE_URL || process.env.AUTH0_BASE_URL;
+  const token = createUnsubscribeToken({ schoolId, address });
+  if (!baseUrl || !token) return null;
+
+  const root = baseUrl.replace(/\/$/, '');
+  const oneClickUrl = `${root}/api/unsubscribe?token=${token}`;
+  return {
+    pageUrl: `${root}/unsubscribe?token=${token}`,
+    oneClickUrl,
+    // RFC 8058 one-click unsubscribe, shown as a button by Gmail, Outlook and Apple Mail
+    headers: {
+      'List-Unsubscribe': `<${oneClickUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  };
+};
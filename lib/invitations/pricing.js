@@ -0,0 +1,47 @@
+/**
+ * Pricing configuration for this deployment
+ *
+ * Configuration:
+ *   INVITATION_PRICING - JSON laid over DEFAULT_PRICING, e.g.
+ *                        {"creditValue":0.2,"sms":{"suppliers":{"winsms":0.22}}}
+ *   INVITATION_SMS_PROVIDER - also the supplier SMS estimates are priced at
+ *
+ * The composer reads the same config through GET /api/credits/pricing, so its estimates
+ * use the rates the server charges.
+ */
+
+import {
+  DEFAULT_PRICING,
+  mergePricingConfig
+} from '../../components/adminPage/GradesManagemet/services/invitation/pricing';
+
+let cachedConfig = null;
+
+/**
+ * Read the pricing config, falling back to the defaults when INVITATION_PRICING is unset
+ * @returns {Object} Pricing config
+ * @throws {Error} When INVITATION_PRICING is not valid JSON
+ */
+export const getPricingConfig = () => {
+  if (cachedConfig) return cachedConfig;
+
+  let overrides = {};
+  if (process.env.INVITATION_PRICING) {
+    try {
+      overrides = JSON.parse(process.env.INVITATION_PRICING);
+    } catch (error) {
+      throw new Error(`INVITATION_PRICING is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const config = mergePricingConfig(overrides);
+  if (process.env.INVITATION_SMS_PROVIDER && !overrides.sms?.defaultSupplier) {
+    config.sms = { ...config.sms, defaultSupplier: process.env.INVITATION_SMS_PROVIDER };
+  }
+  if (!(config.creditValue > 0)) {
+    throw new Error('INVITATION_PRICING: creditValue must be a positive amount');
+  }
+
+  cachedConfig = config;
+  return config;
+};
@@ -0,0 +1,194 @@
+/**
+ * Rsvps - Recording guardians' answers to invitations that ask for an RSVP
+ *
+ * An answer is kept on the invitation, on the recipient it came from, so the invitation
+ * record always says who is coming. Answers arrive from the personal form behind the RSVP
+ * link or as YES/NO/MAYBE replies to an SMS or WhatsApp; a later answer replaces an
+ * earlier one.
+ *
+ * RSVP links are signed with RSVP_SECRET and point at APP_BASE_URL (AUTH0_BASE_URL when
+ * unset). Without a secret invitations go out without a link and replies still count.
+ */
+
+import crypto from 'crypto';
+import { getDb, toObjectId, findInvitation, COLLECTIONS } from './invitationStore';
+import { normaliseAddress } from './optOuts';
+import {
+  parseRsvpReply,
+  validateRsvpResponse
+} from '../../components/adminPage/GradesManagemet/services/invitation/rsvp';
+
+/** Recent deliveries to a number looked through to find the invitation a reply answers */
+const REPLY_LOOKBACK = 20;
+
+/**
+ * Create the index replies are matched to deliveries on
+ * @returns {Promise<void>}
+ */
+export const ensureRsvpIndexes = async () => {
+  const db = await getDb();
+  await db.collection(COLLECTIONS.deliveries).createIndex({ to: 1, channel: 1, sentAt: -1 });
+};
+
+const rsvpSecret = () => process.env.RSVP_SECRET || null;
+
+/**
+ * Sign an RSVP token for one recipient of an invitation
+ * @param {Object} params
+ * @param {string} params.invitationId - Invitation ID
+ * @param {string} params.recipientId - Recipient ID within the invitation
+ * @returns {string|null} Token, or null when RSVP_SECRET is not set
+ */
+export const createRsvpToken = ({ invitationId, recipientId }) => {
+  const secret = rsvpSecret();
+  if (!secret) return null;
+
+  const payload = Buffer.from(JSON.stringify({ i: String(invitationId), r: String(recipientId) })).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  return `${payload}.${signature}`;
+};
+
+/**
+ * Check an RSVP token and read who it belongs to
+ * @param {string} token - Token from the RSVP link
+ * @returns {Object|null} { invitationId, recipientId }, or null when the token is invalid
+ */
+export const verifyRsvpToken = (token) => {
+  const secret = rsvpSecret();
+  const [payload, signature] = String(token || '').split('.');
+  if (!secret || !payload || !signature) return null;
+
+  const expected = crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  try {
+    const { i, r } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return i && r ? { invitationId: i, recipientId: r } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build a recipient's RSVP link
+ * @param {Object} params
+ * @param {string} params.invitationId - Invitation ID
+ * @param {string} params.recipientId - Recipient ID within the invitation
+ * @returns {string|null} URL of the answer form, or null when links are not configured
+ */
+export const buildRsvpUrl = ({ invitationId, recipientId }) => {
+  const baseUrl = process.env.APP_BASE_URL || process.env.AUTH0_BASE_URL;
+  const token = createRsvpToken({ invitationId, recipientId });
+  if (!baseUrl || !token) return null;
+  return `${baseUrl.replace(/\/$/, '')}/rsvp?token=${token}`;
+};
+
+/**
+ * What the answer form shows a guardian
+ * @param {string} token - Token from the RSVP link
+ * @returns {Promise<Object|null>} { subject, schoolName, recipientName, learners, questions, response },
+ *   or null when the token is invalid or the invitation doesn't ask for an RSVP
+ */
+export const getRsvpForm = async (token) => {
+  const contact = verifyRsvpToken(token);
+  if (!contact) return null;
+  const invitation = await findInvitation(contact.invitationId);
+  const recipient = invitation?.recipients.find(r => r.id === contact.recipientId);
+  if (!invitation?.rsvp || !recipient) return null;
+
+  return {
+    subject: invitation.subject,
+    schoolName: invitation.variables?.schoolName || null,
+    recipientName: recipient.name,
+    learners: [recipient.studentName, ...(recipient.siblings || []).map(s => s.name)].filter(Boolean),
+    questions: invitation.rsvp.questions,
+    response: recipient.rsvp || null
+  };
+};
+
+/**
+ * Record a recipient's answer on their invitation
+ * @param {Object} params
+ * @param {string} params.invitationId - Invitation ID
+ * @param {string} params.recipientId - Recipient ID within the invitation
+ * @param {Object} params.response - { answer, answers }
+ * @param {string} params.source - 'link', 'sms' or 'whatsapp'
+ * @param {boolean} params.partial - Keep earlier answers to questions this response leaves
+ *   out, and require none; for replies, which can't answer the form's questions
+ * @returns {Promise<Object|null>} { response } or { errors }; null when there's no such
+ *   recipient or the invitation doesn't ask for an RSVP
+ */
+export const recordRsvp = async ({ invitationId, recipientId, response, source, partial = false }) => {
+  const invitation = await findInvitation(invitationId);
+  const recipient = invitation?.recipients.find(r => r.id === recipientId);
+  if (!invitation?.rsvp || !recipient) return null;
+
+  const settings = partial
+    ? { questions: invitation.rsvp.questions.map(question => ({ ...question, required: false })) }
+    : invitation.rsvp;
+  const answers = partial ? { ...(recipient.rsvp?.answers || {}), ...(response.answers || {}) } : response.answers;
+  const { isValid, errors, response: normalised } = validateRsvpResponse(settings, { ...response, answers });
+  if (!isValid) return { errors };
+
+  const stored = { ...normalised, source, respondedAt: new Date() };
+  const db = await getDb();
+  await db.collection(COLLECTIONS.invitations).updateOne(
+    { _id: invitation._id },
+    { $set: { 'recipients.$[recipient].rsvp': stored, updatedAt: new Date() } },
+    { arrayFilters: [{ 'recipient.id': recipientId }] }
+  );
+  return { response: stored };
+};
+
+/**
+ * Find the invitation an SMS or WhatsApp reply answers: the latest one sent to that
+ * number on that channel which asks for an RSVP
+ * @param {string} channel - 'sms' or 'whatsapp'
+ * @param {string} from - Sender phone number
+ * @returns {Promise<Object|null>} { invitationId, recipientId }, or null when none matches
+ */
+const findRepliedInvitation = async (channel, from) => {
+  const digits = normaliseAddress(from);
+  if (!digits || digits.includes('@')) return null;
+
+  const db = await getDb();
+  const deliveries = await db.collection(COLLECTIONS.deliveries)
+    .find({ to: `+${digits}`, channel, sentAt: { $ne: null } })
+    .sort({ sentAt: -1 })
+    .limit(REPLY_LOOKBACK)
+    .toArray();
+  if (deliveries.length === 0) return null;
+
+  const asking = await db.collection(COLLECTIONS.invitations)
+    .find({ _id: { $in: deliveries.map(d => toObjectId(d.invitationId)) }, rsvp: { $ne: null } }, { projection: { _id: 1 } })
+    .toArray();
+  const askingIds = new Set(asking.map(invitation => String(invitation._id)));
+  const delivery = deliveries.find(d => askingIds.has(String(d.invitationId)));
+  return delivery ? { invitationId: delivery.invitationId, recipientId: delivery.recipientId } : null;
+};
+
+/**
+ * Act on an inbound SMS or WhatsApp reply that may be an RSVP
+ * Call after handleKeywordReply, and only when the reply wasn't an opt-out keyword.
+ * @param {Object} reply
+ * @param {string} reply.channel - 'sms' or 'whatsapp'
+ * @param {string} reply.from - Sender phone number
+ * @param {string} reply.text - Message body
+ * @returns {Promise<string|null>} The answer recorded ('yes', 'no' or 'maybe'), or null
+ */
+export const handleRsvpReply = async ({ channel, from, text }) => {
+  const parsed = parseRsvpReply(text);
+  if (!parsed) return null;
+  const target = await findRepliedInvitation(channel, from);
+  if (!target) return null;
+
+  const result = await recordRsvp({
+    ...target,
+    response: { answer: parsed.answer, answers: parsed.attendees === null ? {} : { attendees: parsed.attendees } },
+    source: channel,
+    partial: true
+  });
+  return result?.response ? parsed.answer : null;
+};
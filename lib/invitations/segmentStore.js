@@ -0,0 +1,139 @@
+/**
+ * SegmentStore - Each school's saved recipient segments, and what the builder matches them against
+ *
+ * Only the rules are stored. Who a segment reaches is worked out again every time it is
+ * used (see services/invitation/segments), so a saved segment picks up learners and
+ * guardians added since it was saved.
+ */
+
+import { getDb, toObjectId, listInvitations, findDeliveriesForInvitations } from './invitationStore';
+import { buildTrackerEntries } from './deliveryStatus';
+import { listGuardianLanguages } from './languagePreferences';
+import { listLearners } from '../learners/learnerStore';
+import { listGuardians } from '../learners/guardianStore';
+import { validateSegment } from '../../components/adminPage/GradesManagemet/services/invitation/segments';
+
+export const SEGMENTS_COLLECTION = 'RecipientSegment';
+
+/** Invitations looked at to find each guardian's last response */
+const RESPONSE_LOOKBACK = 50;
+
+/**
+ * Create the indexes the segments rely on
+ * @returns {Promise<void>}
+ */
+export const ensureSegmentIndexes = async () => {
+  const db = await getDb();
+  await db.collection(SEGMENTS_COLLECTION).createIndex({ schoolId: 1, name: 1 }, { unique: true });
+};
+
+/**
+ * List a school's saved segments
+ * @param {string} schoolId - School ID
+ * @returns {Promise<Array>} Segments, by name
+ */
+export const listSegments = async (schoolId) => {
+  const db = await getDb();
+  return db.collection(SEGMENTS_COLLECTION)
+    .find({ schoolId: String(schoolId) })
+    .sort({ name: 1 })
+    .toArray();
+};
+
+/**
+ * Save a new segment, or change a saved one
+ * @param {Object} params
+ * @param {string} params.schoolId - School ID
+ * @param {string|null} params.segmentId - Segment to change; a new one when omitted
+ * @param {string} params.name - Name, unique within the school
+ * @param {Object} params.rules - { combinator, rules }
+ * @param {Object} params.updatedBy - Actor, see toActor
+ * @returns {Promise<Object|null>} { segment } or { errors }; null when there's no such segment
+ */
+export const saveSegment = async ({ schoolId, segmentId = null, name, rules, updatedBy = null }) => {
+  const trimmed = String(name || '').trim();
+  const { errors } = validateSegment(rules);
+  if (!trimmed) errors.unshift('Name is required');
+  if (errors.length > 0) return { errors };
+
+  const db = await getDb();
+  const segments = db.collection(SEGMENTS_COLLECTION);
+  const now = new Date();
+  try {
+    if (!segmentId) {
+      const doc = { schoolId: String(schoolId), name: trimmed, rules, createdBy: updatedBy, createdAt: now, updatedAt: now };
+      const { insertedId } = await segments.insertOne(doc);
+      return { segment: { ...doc, _id: insertedId } };
+    }
+
+    const id = toObjectId(segmentId);
+    if (!id) return null;
+    const updated = await segments.findOneAndUpdate(
+      { _id: id, schoolId: String(schoolId) },
+      { $set: { name: trimmed, rules, updatedBy, updatedAt: now } },
+      { returnDocument: 'after' }
+    );
+    return updated ? { segment: updated } : null;
+  } catch (error) {
+    if (error.code === 11000) return { errors: [`A segment called "${trimmed}" already exists`] };
+    throw error;
+  }
+};
+
+/**
+ * Delete a saved segment
+ * @param {string} schoolId - School ID
+ * @param {string} segmentId - Segment ID
+ * @returns {Promise<boolean>} Whether a segment was deleted
+ */
+export const deleteSegment = async (schoolId, segmentId) => {
+  const id = toObjectId(segmentId);
+  if (!id) return false;
+  const db = await getDb();
+  const { deletedCount } = await db.collection(SEGMENTS_COLLECTION).deleteOne({ _id: id, schoolId: String(schoolId) });
+  return deletedCount > 0;
+};
+
+/**
+ * Each guardian's delivery status on the last invitation sent to them
+ * @param {string} schoolId - School ID
+ * @returns {Promise<Object>} { [guardianId]: status }, see resolveRecipientStatus
+ */
+export const getLastResponses = async (schoolId) => {
+  const invitations = await listInvitations({ schoolId: String(schoolId) }, RESPONSE_LOOKBACK);
+  const deliveries = await findDeliveriesForInvitations(invitations.map(invitation => invitation._id));
+  const guardianOf = new Map();
+  invitations.forEach(invitation => {
+    invitation.recipients.forEach(recipient => {
+      guardianOf.set(`${invitation._id}:${recipient.id}`, recipient.guardianId || recipient.id);
+    });
+  });
+
+  // Entries come newest invitation first, so the first status seen for a guardian is their last
+  const responses = {};
+  buildTrackerEntries(invitations, deliveries).forEach(entry => {
+    const guardianId = String(guardianOf.get(entry.id));
+    if (!(guardianId in responses)) responses[guardianId] = entry.overallStatus;
+  });
+  return responses;
+};
+
+/**
+ * Everything a segment is matched against, except balances, which the browser adds
+ * @param {string} schoolId - School ID
+ * @returns {Promise<Object>} { learners, guardians, responses, languages: { [guardianId]: code } }
+ */
+export const getSegmentAudience = async (schoolId) => {
+  const [learners, guardians, responses, languages] = await Promise.all([
+    listLearners(schoolId),
+    listGuardians(schoolId),
+    getLastResponses(schoolId),
+    listGuardianLanguages(schoolId)
+  ]);
+  return {
+    learners,
+    guardians,
+    responses,
+    languages: Object.fromEntries(languages.map(g => [g.guardianId, g.language]))
+  };
+};
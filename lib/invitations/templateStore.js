@@ -0,0 +1,391 @@
+/**
+ * TemplateStore - Persistence for invitation templates, their versions and audit trail
+ *
+ * A template is a head record per school pointing at its latest and approved versions.
+ * Version text is never updated after insert: an edit stores the next version as a
+ * draft, so earlier wording can always be compared and the approved version keeps
+ * being used until a newer one is approved. Only a version's workflow fields change.
+ */
+
+import { getDb, toObjectId } from './invitationStore';
+import { validateTemplate } from '../../components/adminPage/GradesManagemet/services/invitation/templateEngine';
+import {
+  TEMPLATE_STATUSES,
+  TEMPLATE_ACTIONS
+} from '../../components/adminPage/GradesManagemet/services/invitation/templateWorkflow';
+import {
+  DEFAULT_LANGUAGE,
+  isSupportedLanguage
+} from '../../components/adminPage/GradesManagemet/services/invitation/languages';
+
+export const TEMPLATE_COLLECTIONS = {
+  templates: 'InvitationTemplate',
+  versions: 'InvitationTemplateVersion',
+  audit: 'InvitationTemplateAudit'
+};
+
+/**
+ * Map an Auth0 session user to the actor recorded on versions and audit entries
+ * @param {Object} user - Session user
+ * @returns {Object|null} { id, name, email }
+ */
+export const toActor = (user) => {
+  if (!user) return null;
+  return { id: user.sub, name: user.name || user.email || user.sub, email: user.email || null };
+};
+
+/**
+ * Create the indexes the store relies on
+ * @returns {Promise<void>}
+ */
+export const ensureTemplateIndexes = async () => {
+  const db = await getDb();
+  await db.collection(TEMPLATE_COLLECTIONS.templates).createIndex({ schoolId: 1, archived: 1, updatedAt: -1 });
+  await db.collection(TEMPLATE_COLLECTIONS.versions).createIndex({ templateId: 1, version: 1 }, { unique: true });
+  await db.collection(TEMPLATE_COLLECTIONS.audit).createIndex({ templateId: 1, at: -1 });
+};
+
+/**
+ * Pick the fields of a request that make up a version's content
+ * @param {Object} data - Template fields
+ * @returns {Object} { name, subject, content, type, channels, isDefault }
+ */
+const pickContent = (data) => {
+  const language = isSupportedLanguage(data.language) ? data.language : DEFAULT_LANGUAGE;
+  return {
+    name: String(data.name || '').trim(),
+    subject: data.subject || '',
+    content: data.content || '',
+    language,
+    translations: pickTranslations(data.translations, language),
+    type: data.type || 'custom',
+    channels: Array.isArray(data.channels) && data.channels.length > 0 ? data.channels : ['whatsapp'],
+    isDefault: Boolean(data.isDefault)
+  };
+};
+
+/**
+ * Keep the translations that have content, into supported languages other than the template's own
+ * @param {Object} translations - { [code]: { subject, content } }
+ * @param {string} language - Language the template is written in
+ * @returns {Object} Translations to store
+ */
+const pickTranslations = (translations = {}, language) => {
+  const picked = {};
+  Object.entries(translations || {}).forEach(([code, text]) => {
+    if (code === language || !isSupportedLanguage(code) || !String(text?.content || '').trim()) return;
+    picked[code] = { subject: String(text.subject || ''), content: String(text.content) };
+  });
+  return picked;
+};
+
+/**
+ * Check the fields of a template before a version is stored
+ * @param {Object} data - Template fields
+ * @returns {Array} Error messages, empty when the template can be saved
+ */
+export const validateTemplateFields = (data) => {
+  const errors = [];
+  if (!String(data.name || '').trim()) {
+    errors.push('name is required');
+  }
+  if (!String(data.content || '').trim()) {
+    errors.push('content is required');
+  }
+  const fields = { subject: data.subject, content: data.content };
+  Object.entries(data.translations || {}).forEach(([code, text]) => {
+    fields[`${code} subject`] = text?.subject;
+    fields[`${code} content`] = text?.content;
+  });
+  Object.entries(fields).forEach(([field, text]) => {
+    const { isValid, error } = validateTemplate(text || '');
+    if (!isValid) {
+      errors.push(`${field}: ${error.message}`);
+    }
+  });
+  return errors;
+};
+
+/**
+ * Append an entry to the audit trail
+ * @param {import('mongodb').Db} db - Database handle
+ * @param {Object} entry - { templateId, schoolId, version, action, actor, note }
+ * @returns {Promise<void>}
+ */
+const recordAudit = async (db, { templateId, schoolId, version, action, actor, note = null }) => {
+  await db.collection(TEMPLATE_COLLECTIONS.audit).insertOne({
+    templateId,
+    schoolId,
+    version,
+    action,
+    actor,
+    note,
+    at: new Date()
+  });
+};
+
+/**
+ * Create a template with its first version in draft
+ * @param {Object} data - schoolId plus template fields
+ * @param {Object} actor - Who created it, see toActor
+ * @returns {Promise<Object>} The stored template head
+ */
+export const createTemplate = async ({ schoolId, ...data }, actor) => {
+  const db = await getDb();
+  const now = new Date();
+  const content = pickContent(data);
+
+  const head = {
+    schoolId: String(schoolId),
+    name: content.name,
+    type: content.type,
+    channels: content.channels,
+    isDefault: content.isDefault,
+    latestVersion: 1,
+    approvedVersion: null,
+    approvedAt: null,
+    archived: false,
+    createdBy: actor,
+    createdAt: now,
+    updatedAt: now
+  };
+  const { insertedId } = await db.collection(TEMPLATE_COLLECTIONS.templates).insertOne(head);
+
+  await db.collection(TEMPLATE_COLLECTIONS.versions).insertOne({
+    templateId: insertedId,
+    version: 1,
+    ...content,
+    status: TEMPLATE_STATUSES.draft,
+    createdBy: actor,
+    createdAt: now
+  });
+  await recordAudit(db, { templateId: insertedId, schoolId: head.schoolId, version: 1, action: 'created', actor });
+
+  return { ...head, _id: insertedId };
+};
+
+/**
+ * Store an edit as the next version, in draft
+ * @param {string} id - Template ID
+ * @param {Object} data - Template fields
+ * @param {Object} actor - Who made the edit
+ * @returns {Promise<Object|null>} The new version, or null when the template is unknown or archived
+ */
+export const addTemplateVersion = async (id, data, actor) => {
+  const _id = toObjectId(id);
+  if (!_id) return null;
+
+  const db = await getDb();
+  const content = pickContent(data);
+  const head = await db.collection(TEMPLATE_COLLECTIONS.templates).findOneAndUpdate(
+    { _id, archived: false },
+    {
+      $inc: { latestVersion: 1 },
+      $set: {
+        name: content.name,
+        type: content.type,
+        channels: content.channels,
+        isDefault: content.isDefault,
+        updatedAt: new Date()
+      }
+    },
+    { returnDocument: 'after' }
+  );
+  if (!head) return null;
+
+  const version = {
+    templateId: _id,
+    version: head.latestVersion,
+    ...content,
+    status: TEMPLATE_STATUSES.draft,
+    createdBy: actor,
+    createdAt: new Date()
+  };
+  const { insertedId } = await db.collection(TEMPLATE_COLLECTIONS.versions).insertOne(version);
+  await recordAudit(db, { templateId: _id, schoolId: head.schoolId, version: head.latestVersion, action: 'edited', actor });
+
+  return { ...version, _id: insertedId };
+};
+
+/**
+ * Move a version through the approval workflow
+ * The status filter makes each step happen once, even when two reviewers act together.
+ *
+ * @param {string} id - Template ID
+ * @param {number} versionNumber - Version to act on
+ * @param {string} action - 'submit', 'approve' or 'reject'
+ * @param {Object} actor - Who took the action
+ * @param {string} note - Reviewer comment, required when rejecting
+ * @returns {Promise<Object|null>} The updated version, or null when it is not in the expected status
+ */
+export const transitionTemplateVersion = async (id, versionNumber, action, actor, note = null) => {
+  const _id = toObjectId(id);
+  const step = TEMPLATE_ACTIONS[action];
+  if (!_id || !step) return null;
+
+  const db = await getDb();
+  const now = new Date();
+  const updates = action === 'submit'
+    ? { status: step.to, submittedBy: actor, submittedAt: now }
+    : { status: step.to, reviewedBy: actor, reviewedAt: now, reviewNote: note };
+
+  const version = await db.collection(TEMPLATE_COLLECTIONS.versions).findOneAndUpdate(
+    { templateId: _id, version: Number(versionNumber), status: step.from },
+    { $set: updates },
+    { returnDocument: 'after' }
+  );
+  if (!version) return null;
+
+  const head = await db.collection(TEMPLATE_COLLECTIONS.templates).findOneAndUpdate(
+    { _id },
+    action === 'approve'
+      // $max keeps a newer approved version in place if an older one is approved later
+      ? { $max: { approvedVersion: version.version }, $set: { approvedAt: now, updatedAt: now } }
+      : { $set: { updatedAt: now } },
+    { returnDocument: 'after' }
+  );
+  await recordAudit(db, {
+    templateId: _id,
+    schoolId: head?.schoolId,
+    version: version.version,
+    action: step.to,
+    actor,
+    note
+  });
+
+  return version;
+};
+
+/**
+ * Find a template's head record, without its versions
+ * @param {string} id - Template ID
+ * @returns {Promise<Object|null>} Template, or null when not found
+ */
+export const findTemplate = async (id) => {
+  const _id = toObjectId(id);
+  if (!_id) return null;
+
+  const db = await getDb();
+  return db.collection(TEMPLATE_COLLECTIONS.templates).findOne({ _id });
+};
+
+/**
+ * Get a template with every version and its audit trail, newest first
+ * @param {string} id - Template ID
+ * @returns {Promise<Object|null>} Template head with versions and audit, or null when not found
+ */
+export const getTemplateHistory = async (id) => {
+  const _id = toObjectId(id);
+  if (!_id) return null;
+
+  const db = await getDb();
+  const head = await db.collection(TEMPLATE_COLLECTIONS.templates).findOne({ _id });
+  if (!head) return null;
+
+  const [versions, audit] = await Promise.all([
+    db.collection(TEMPLATE_COLLECTIONS.versions).find({ templateId: _id }).sort({ version: -1 }).toArray(),
+    db.collection(TEMPLATE_COLLECTIONS.audit).find({ templateId: _id }).sort({ at: -1 }).limit(200).toArray()
+  ]);
+  return { ...head, versions, audit };
+};
+
+/**
+ * Load one version of each template
+ * @param {import('mongodb').Db} db - Database handle
+ * @param {Array} heads - Template heads
+ * @param {string} field - Head field holding the version number to load
+ * @returns {Promise<Map>} Versions keyed by template ID
+ */
+const loadVersions = async (db, heads, field) => {
+  const wanted = heads.filter(head => head[field] != null);
+  if (wanted.length === 0) return new Map();
+
+  const versions = await db.collection(TEMPLATE_COLLECTIONS.versions)
+    .find({ $or: wanted.map(head => ({ templateId: head._id, version: head[field] })) })
+    .toArray();
+  return new Map(versions.map(version => [String(version.templateId), version]));
+};
+
+/**
+ * List a school's templates with their latest version, most recently changed first
+ * @param {string} schoolId - School ID
+ * @returns {Promise<Array>} Templates with latest and approved version summaries
+ */
+export const listTemplates = async (schoolId) => {
+  const db = await getDb();
+  const heads = await db.collection(TEMPLATE_COLLECTIONS.templates)
+    .find({ schoolId: String(schoolId), archived: false })
+    .sort({ updatedAt: -1 })
+    .limit(200)
+    .toArray();
+
+  const latest = await loadVersions(db, heads, 'latestVersion');
+  return heads.map(head => {
+    const version = latest.get(String(head._id));
+    return {
+      ...head,
+      id: String(head._id),
+      subject: version?.subject || '',
+      content: version?.content || '',
+      language: version?.language || DEFAULT_LANGUAGE,
+      translations: version?.translations || {},
+      status: version?.status || TEMPLATE_STATUSES.draft,
+      lastModified: version?.createdAt || head.updatedAt
+    };
+  });
+};
+
+/**
+ * List the approved version of each of a school's templates, ready to send
+ * @param {string} schoolId - School ID
+ * @returns {Promise<Array>} Approved template versions
+ */
+export const listApprovedTemplates = async (schoolId) => {
+  const db = await getDb();
+  const heads = await db.collection(TEMPLATE_COLLECTIONS.templates)
+    .find({ schoolId: String(schoolId), archived: false, approvedVersion: { $ne: null } })
+    .sort({ name: 1 })
+    .toArray();
+
+  const approved = await loadVersions(db, heads, 'approvedVersion');
+  return heads
+    .map(head => approved.get(String(head._id)))
+    .filter(Boolean)
+    .map(version => ({
+      id: String(version.templateId),
+      templateId: String(version.templateId),
+      version: version.version,
+      name: version.name,
+      subject: version.subject,
+      content: version.content,
+      language: version.language || DEFAULT_LANGUAGE,
+      translations: version.translations || {},
+      type: version.type,
+      category: version.type,
+      channels: version.channels,
+      approvedBy: version.reviewedBy,
+      approvedAt: version.reviewedAt
+    }));
+};
+
+/**
+ * Archive a template so it no longer appears; its versions are kept for the audit trail
+ * @param {string} id - Template ID
+ * @param {string} schoolId - School the admin is managing
+ * @param {Object} actor - Who archived it
+ * @returns {Promise<boolean>} True when a template was archived
+ */
+export const archiveTemplate = async (id, schoolId, actor) => {
+  const _id = toObjectId(id);
+  if (!_id) return false;
+
+  const db = await getDb();
+  const head = await db.collection(TEMPLATE_COLLECTIONS.templates).findOneAndUpdate(
+    { _id, schoolId: String(schoolId), archived: false },
+    { $set: { archived: true, updatedAt: new Date() } }
+  );
+  if (!head) return false;
+
+  await recordAudit(db, { templateId: _id, schoolId: head.schoolId, version: head.latestVersion, action: 'archived', actor });
+  return true;
+};
@@ -0,0 +1,64 @@
+/**
+ * Timezone helpers for scheduled sends
+ * Converts a wall-clock time in a named IANA timezone into a UTC instant using Intl only
+ */
+
+/**
+ * Offset of a timezone from UTC at a given instant
+ * @param {Date} date - The instant
+ * @param {string} timeZone - IANA timezone, e.g. 'Africa/Johannesburg'
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+export const getTimeZoneOffset = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const values = {};
+  parts.forEach(({ type, value }) => {
+    values[type] = Number(value);
+  });
+
+  const wallClockAsUtc = Date.UTC(
+    values.year,
+    values.month - 1,
+    values.day,
+    values.hour,
+    values.minute,
+    values.second
+  );
+  return wallClockAsUtc - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * Convert a local date-time string in a timezone into a Date
+ * @param {string} localDateTime - 'YYYY-MM-DDTHH:mm' or 'YYYY-MM-DDTHH:mm:ss'
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} The matching instant; invalid Date when the input can't be parsed
+ * @throws {RangeError} When the timezone is unknown
+ */
+export const zonedTimeToUtc = (localDateTime, timeZone) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/.exec(localDateTime || '');
+  if (!match) return new Date(NaN);
+
+  const [, year, month, day, hour, minute, second = '0'] = match;
+  const wallClockAsUtc = Date.UTC(
+    Number(year),
+    Number(month) - 1,
+    Number(day),
+    Number(hour),
+    Number(minute),
+    Number(second)
+  );
+
+  // Resolve twice so times next to a DST change use the offset in force at that time
+  const firstGuess = wallClockAsUtc - getTimeZoneOffset(new Date(wallClockAsUtc), timeZone);
+  return new Date(wallClockAsUtc - getTimeZoneOffset(new Date(firstGuess), timeZone));
+};
@@ -0,0 +1,177 @@
+/**
+ * Webhooks - Signature checks and receipt handling shared by the provider webhook routes
+ * in pages/api/webhooks. Routes disable Next's body parser because every vendor signs
+ * the exact bytes it sent.
+ */
+
+import crypto from 'crypto';
+import { normaliseStatus, shouldApplyStatus } from './deliveryStatus';
+import { findDeliveryForReceipt, recordDeliveryEvent } from './invitationStore';
+import { refundDeliveryCredits } from './creditLedger';
+import { scheduleFallbackCheck } from './fallback';
+
+/** How far a SendGrid timestamp may be from now, so a captured batch can't be replayed later */
+export const SENDGRID_TIMESTAMP_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Read the unparsed request body
+ * @param {import('http').IncomingMessage} req - Incoming request
+ * @returns {Promise<string>} Raw body
+ */
+export const readRawBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(Buffer.from(chunk)));
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+/**
+ * Compare two strings without leaking where they differ
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True when equal
+ */
+export const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Public URL Twilio called, which is part of what it signs
+ * The configured URL is preferred because proxies rewrite the host and protocol.
+ * @param {import('http').IncomingMessage} req - Incoming request
+ * @param {string} configuredUrl - URL set up in Twilio for this webhook, if known
+ * @returns {string} URL
+ */
+const twilioWebhookUrl = (req, configuredUrl) => {
+  if (configuredUrl) {
+    return configuredUrl;
+  }
+  const protocol = req.headers['x-forwarded-proto'] || 'https';
+  return `${protocol}://${req.headers.host}${req.url}`;
+};
+
+/**
+ * Verify X-Twilio-Signature: base64 HMAC-SHA1 of the URL followed by each POST
+ * parameter name and value, sorted by name, keyed with the account auth token
+ *
+ * @param {import('http').IncomingMessage} req - Incoming request
+ * @param {Object} params - Parsed form parameters
+ * @param {string} authToken - Twilio auth token
+ * @param {string} webhookUrl - Public URL of the webhook; defaults to TWILIO_STATUS_CALLBACK_URL
+ * @returns {boolean} True when the signature matches
+ */
+export const verifyTwilioSignature = (req, params, authToken, webhookUrl = process.env.TWILIO_STATUS_CALLBACK_URL) => {
+  const signature = String(req.headers['x-twilio-signature'] || '');
+  if (!signature || !authToken) return false;
+
+  const data = Object.keys(params)
+    .sort()
+    .reduce((acc, key) => acc + key + params[key], twilioWebhookUrl(req, webhookUrl));
+  const expected = crypto.createHmac('sha1', authToken).update(data, 'utf8').digest('base64');
+  return safeEqual(signature, expected);
+};
+
+/**
+ * Verify a SendGrid signed event webhook: ECDSA (P-256, SHA-256) over the timestamp
+ * header followed by the raw body, checked against the verification key from SendGrid.
+ * The timestamp (Unix seconds) must be within SENDGRID_TIMESTAMP_TOLERANCE_SECONDS of now.
+ *
+ * @param {import('http').IncomingMessage} req - Incoming request
+ * @param {string} rawBody - Raw request body
+ * @param {string} publicKey - Base64 verification key as shown in SendGrid settings
+ * @param {Date} now - Current time
+ * @returns {boolean} True when the signature matches and the timestamp is recent
+ */
+export const verifySendGridSignature = (req, rawBody, publicKey, now = new Date()) => {
+  const signature = req.headers['x-twilio-email-event-webhook-signature'];
+  const timestamp = req.headers['x-twilio-email-event-webhook-timestamp'];
+  if (!signature || !timestamp || !publicKey) return false;
+
+  const sentAt = Number(timestamp);
+  if (!Number.isFinite(sentAt) || Math.abs(now.getTime() / 1000 - sentAt) > SENDGRID_TIMESTAMP_TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  try {
+    const key = crypto.createPublicKey({ key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' });
+    return crypto.createVerify('sha256')
+      .update(timestamp + rawBody)
+      .verify(key, String(signature), 'base64');
+  } catch (error) {
+    console.error('Webhooks: SendGrid verification key could not be used', error.message);
+    return false;
+  }
+};
+
+/**
+ * Verify X-Hub-Signature-256 sent by the WhatsApp Cloud API: sha256 HMAC of the raw
+ * body keyed with the Meta app secret
+ *
+ * @param {import('http').IncomingMessage} req - Incoming request
+ * @param {string} rawBody - Raw request body
+ * @param {string} appSecret - Meta app secret
+ * @returns {boolean} True when the signature matches
+ */
+export const verifyMetaSignature = (req, rawBody, appSecret) => {
+  const signature = String(req.headers['x-hub-signature-256'] || '');
+  if (!signature || !appSecret) return false;
+
+  const expected = `sha256=${crypto.createHmac('sha256', appSecret).update(rawBody, 'utf8').digest('hex')}`;
+  return safeEqual(signature, expected);
+};
+
+/**
+ * Apply one provider receipt to the delivery it refers to
+ * @param {Object} receipt
+ * @param {string} receipt.provider - 'twilio', 'winsms', 'sendgrid' or 'whatsapp'
+ * @param {string} receipt.messageId - Provider message ID
+ * @param {string} receipt.deliveryId - Our delivery ID, when the provider echoes it back
+ * @param {string} receipt.rawStatus - Status or event name as reported
+ * @param {Date} receipt.occurredAt - When the provider says it happened
+ * @param {string} receipt.error - Failure detail, if any
+ * @returns {Promise<Object>} { matched, applied, status }
+ */
+export const applyDeliveryReceipt = async ({ provider, messageId, deliveryId, rawStatus, occurredAt = new Date(), error = null }) => {
+  const delivery = await findDeliveryForReceipt({ deliveryId, provider, messageId });
+  if (!delivery) {
+    return { matched: false, applied: false, status: null };
+  }
+
+  const status = normaliseStatus(provider, rawStatus);
+  const applied = shouldApplyStatus(delivery.status, status);
+  const updates = {};
+
+  if (applied) {
+    updates.status = status;
+    updates.statusUpdatedAt = occurredAt;
+    if (status === 'delivered') updates.deliveredAt = occurredAt;
+    if (status === 'read') {
+      updates.readAt = occurredAt;
+      if (!delivery.deliveredAt) updates.deliveredAt = occurredAt;
+    }
+    if (status === 'failed' || status === 'bounced') {
+      updates.error = error || `Reported ${rawStatus} by ${provider}`;
+    }
+  }
+
+  await recordDeliveryEvent(delivery._id, {
+    rawStatus,
+    status,
+    error,
+    occurredAt,
+    receivedAt: new Date()
+  }, updates);
+
+  if (applied && (status === 'failed' || status === 'bounced')) {
+    await refundDeliveryCredits(delivery, `Reported ${rawStatus} by ${provider}`);
+  }
+  // A fallback step that failed hands over to the next one, and one that was delivered
+  // stands the rest down; neither waits for the step's timer
+  if (applied && status !== 'sent' && delivery.cascadeStep !== null && delivery.cascadeStep !== undefined) {
+    await scheduleFallbackCheck(delivery.invitationId);
+  }
+
+  return { matched: true, applied, status };
+};
@@ -0,0 +1,176 @@
+/**
+ * WhatsAppTemplates - Local copy of the WhatsApp Business account's message templates and
+ * each school's mapping of invitation variables onto their parameters
+ *
+ * Templates are owned by Meta and can only be sent once Meta approves them, so they are
+ * synced from the Management API rather than edited here. One business account serves
+ * every school; mappings are per school because schools word their values differently.
+ */
+
+import { createProvider } from '../../components/adminPage/GradesManagemet/components/adminPage/grades/Invitations/providers';
+import {
+  describeWhatsAppTemplate,
+  validateTemplateMapping
+} from '../../components/adminPage/GradesManagemet/services/invitation/whatsappTemplateMapping';
+import { getDb } from './invitationStore';
+
+export const WHATSAPP_TEMPLATE_COLLECTIONS = {
+  templates: 'WhatsAppTemplate',
+  mappings: 'WhatsAppTemplateMapping'
+};
+
+/**
+ * Create the indexes the store relies on
+ * @returns {Promise<void>}
+ */
+export const ensureWhatsAppTemplateIndexes = async () => {
+  const db = await getDb();
+  await db.collection(WHATSAPP_TEMPLATE_COLLECTIONS.templates).createIndex({ name: 1, language: 1 }, { unique: true });
+  await db.collection(WHATSAPP_TEMPLATE_COLLECTIONS.mappings).createIndex({ schoolId: 1, name: 1, language: 1 }, { unique: true });
+};
+
+/**
+ * Pull every template from the Management API and replace the local copy
+ * Templates deleted at Meta are removed; mappings are kept in case they come back.
+ *
+ * @param {Object} provider - WhatsAppCloudService; defaults to a configured instance
+ * @returns {Promise<Object>} { synced, removed, syncedAt }
+ */
+export const syncWhatsAppTemplates = async (provider = createProvider('whatsapp')) => {
+  const templates = await provider.listTemplates();
+  const db = await getDb();
+  const collection = db.collection(WHATSAPP_TEMPLATE_COLLECTIONS.templates);
+  const syncedAt = new Date();
+
+  if (templates.length > 0) {
+    await collection.bulkWrite(templates.map(template => ({
+      updateOne: {
+        filter: { name: template.name, language: template.language },
+        update: {
+          $set: {
+            metaId: template.id,
+            status: template.status,
+            category: template.category,
+            components: template.components || [],
+            syncedAt
+          }
+        },
+        upsert: true
+      }
+    })));
+  }
+  const { deletedCount } = await collection.deleteMany({ syncedAt: { $ne: syncedAt } });
+
+  return { synced: templates.length, removed: deletedCount, syncedAt };
+};
+
+/**
+ * List synced templates
+ * @param {Object} options
+ * @param {boolean} options.approvedOnly - Only templates Meta approved for sending
+ * @returns {Promise<Array>} Templates, each with a `description` of its parameters
+ */
+export const listWhatsAppTemplates = async ({ approvedOnly = false } = {}) => {
+  const db = await getDb();
+  const templates = await db.collection(WHATSAPP_TEMPLATE_COLLECTIONS.templates)
+    .find(approvedOnly ? { status: 'APPROVED' } : {})
+    .sort({ name: 1, language: 1 })
+    .toArray();
+  return templates.map(template => ({ ...template, description: describeWhatsAppTemplate(template) }));
+};
+
+/**
+ * List a school's parameter mappings
+ * @param {string} schoolId - School ID
+ * @returns {Promise<Array>} Mappings
+ */
+export const listTemplateMappings = async (schoolId) => {
+  const db = await getDb();
+  return db.collection(WHATSAPP_TEMPLATE_COLLECTIONS.mappings).find({ schoolId: String(schoolId) }).toArray();
+};
+
+/**
+ * Save a school's mapping for a template, after checking it covers every parameter
+ * @param {Object} mapping - { schoolId, name, language, header, body, updatedBy }
+ * @returns {Promise<Object>} { mapping } when saved, or { errors } when incomplete
+ */
+export const saveTemplateMapping = async ({ schoolId, name, language, header = {}, body = {}, updatedBy = null }) => {
+  const db = await getDb();
+  const template = await db.collection(WHATSAPP_TEMPLATE_COLLECTIONS.templates).findOne({ name, language });
+  if (!template) {
+    return { errors: [`Template ${name} (${language}) has not been synced`] };
+  }
+
+  const errors = validateTemplateMapping(describeWhatsAppTemplate(template), { header, body });
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const key = { schoolId: String(schoolId), name, language };
+  const mapping = await db.collection(WHATSAPP_TEMPLATE_COLLECTIONS.mappings).findOneAndUpdate(
+    key,
+    {
+      $set: {
+        header: { parameters: header.parameters || [], mediaUrl: header.mediaUrl || null },
+        body: { parameters: body.parameters || [] },
+        updatedBy,
+        updatedAt: new Date()
+      },
+      $setOnInsert: { ...key, createdAt: new Date() }
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+  return { mapping };
+};
+
+/**
+ * Load what is needed to send a template on behalf of a school
+ * @param {string} schoolId - School sending the message
+ * @param {Object} selection - { name, language } chosen in the composer
+ * @returns {Promise<Object>} { description, mapping }
+ * @throws {Error} When the template is not approved or the school has not mapped it
+ */
+export const loadTemplateForSend = async (schoolId, { name, language }) => {
+  const db = await getDb();
+  const template = await db.collection(WHATSAPP_TEMPLATE_COLLECTIONS.templates).findOne({ name, language });
+  if (!template || template.status !== 'APPROVED') {
+    throw new Error(`WhatsApp template ${name} (${language}) is not approved for sending`);
+  }
+
+  const description = describeWhatsAppTemplate(template);
+  const mapping = await db.collection(WHATSAPP_TEMPLATE_COLLECTIONS.mappings)
+    .findOne({ schoolId: String(schoolId), name, language });
+  const needsMapping = description.body.parameterCount > 0 || description.header?.parameterCount > 0 ||
+    (description.header && description.header.format !== 'TEXT');
+  if (!mapping && needsMapping) {
+    throw new Error(`WhatsApp template ${name} (${language}) has no parameter mapping for this school`);
+  }
+
+  return { description, mapping: mapping || {} };
+};
+
+/**
+ * Look up the conversation category Meta filed a template under, which sets its price
+ * @param {Object} selection - { name, language } chosen in the composer
+ * @returns {Promise<string|null>} e.g. 'UTILITY' or 'MARKETING'; null when not synced
+ */
+export const findWhatsAppTemplateCategory = async ({ name, language }) => {
+  const db = await getDb();
+  const template = await db.collection(WHATSAPP_TEMPLATE_COLLECTIONS.templates)
+    .findOne({ name, language }, { projection: { category: 1 } });
+  return template?.category || null;
+};
+
+/**
+ * Record Meta's review of a template, received through the WhatsApp webhook
+ * @param {Object} update - { name, language, status } e.g. status 'APPROVED' or 'REJECTED'
+ * @returns {Promise<boolean>} True when a synced template was updated
+ */
+export const applyTemplateStatusUpdate = async ({ name, language, status }) => {
+  const db = await getDb();
+  const { matchedCount } = await db.collection(WHATSAPP_TEMPLATE_COLLECTIONS.templates).updateOne(
+    { name, language },
+    { $set: { status, statusUpdatedAt: new Date() } }
+  );
+  return matchedCount > 0;
+};
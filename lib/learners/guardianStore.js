@@ -0,0 +1,356 @@
+/**
+ * GuardianStore - Guardians, their links to learners and households
+ *
+ * Links are kept in their own collection so a learner can have any number of guardians
+ * and a guardian any number of learners, each link with its own relationship, primary
+ * flag and contact restriction (see services/learners/guardians). Links name learners by
+ * their ID in the Rails API, and recipient lists are built from the same Rails roster the
+ * learners table shows (see learnerStore). A guardian's householdId groups the guardians
+ * who live together; every new guardian starts in a household of their own.
+ *
+ * Parent details on the roster become linked guardians only when asked to: on an import,
+ * or through syncRosterGuardians. An unlink is recorded, so a later sync doesn't link the
+ * same guardian to the learner again.
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, toObjectId } from '../invitations/invitationStore';
+import { listGuardianLanguages } from '../invitations/languagePreferences';
+import { listLearners } from './learnerStore';
+import {
+  RECIPIENT_MODES,
+  planRecipients,
+  validateGuardian,
+  validateLink
+} from '../../components/adminPage/GradesManagemet/services/learners/guardians';
+
+export const GUARDIAN_COLLECTIONS = {
+  guardians: 'Guardian',
+  links: 'GuardianLink',
+  unlinks: 'GuardianUnlink'
+};
+
+/**
+ * Create the indexes guardians and links rely on
+ * @returns {Promise<void>}
+ */
+export const ensureGuardianIndexes = async () => {
+  const db = await getDb();
+  const guardians = db.collection(GUARDIAN_COLLECTIONS.guardians);
+  await guardians.createIndex({ schoolId: 1, householdId: 1 });
+  await guardians.createIndex({ schoolId: 1, phone: 1 });
+  await guardians.createIndex({ schoolId: 1, email: 1 });
+  const links = db.collection(GUARDIAN_COLLECTIONS.links);
+  await links.createIndex({ guardianId: 1, learnerId: 1 }, { unique: true });
+  await links.createIndex({ schoolId: 1, learnerId: 1 });
+  await db.collection(GUARDIAN_COLLECTIONS.unlinks).createIndex({ guardianId: 1, learnerId: 1 }, { unique: true });
+};
+
+const newHouseholdId = () => new ObjectId().toHexString();
+
+/**
+ * List a school's guardians with their links
+ * @param {string} schoolId - School ID
+ * @param {Object} options
+ * @param {Array|null} options.learnerIds - Only guardians of these learners
+ * @returns {Promise<Array>} Guardians, by name, each with links: [{ learnerId, relationship, ... }]
+ */
+export const listGuardians = async (schoolId, { learnerIds = null } = {}) => {
+  const db = await getDb();
+  const linkFilter = {
+    schoolId: String(schoolId),
+    ...(learnerIds && { learnerId: { $in: learnerIds.map(String) } })
+  };
+  const links = await db.collection(GUARDIAN_COLLECTIONS.links).find(linkFilter).toArray();
+
+  const guardianFilter = learnerIds
+    ? { _id: { $in: [...new Set(links.map(link => link.guardianId))].map(toObjectId).filter(Boolean) } }
+    : { schoolId: String(schoolId) };
+  const guardians = await db.collection(GUARDIAN_COLLECTIONS.guardians)
+    .find({ ...guardianFilter, schoolId: String(schoolId) })
+    .sort({ name: 1 })
+    .toArray();
+
+  return guardians.map(guardian => ({
+    ...guardian,
+    links: links.filter(link => link.guardianId === String(guardian._id))
+  }));
+};
+
+/**
+ * Add a guardian to a school
+ * @param {Object} params
+ * @param {string} params.schoolId - School ID
+ * @param {Object} params.guardian - { name, email, phone, whatsapp, telegram, preferredChannel }
+ * @param {string|null} params.householdId - Household to join; a new one when omitted
+ * @param {Object} params.updatedBy - Actor, see toActor
+ * @returns {Promise<Object>} { guardian } or { errors }
+ */
+export const createGuardian = async ({ schoolId, guardian, householdId = null, updatedBy = null }) => {
+  const { isValid, errors, guardian: fields } = validateGuardian(guardian);
+  if (!isValid) return { errors };
+
+  const db = await getDb();
+  const now = new Date();
+  const doc = {
+    ...fields,
+    schoolId: String(schoolId),
+    householdId: householdId || newHouseholdId(),
+    createdBy: updatedBy,
+    createdAt: now,
+    updatedAt: now
+  };
+  const { insertedId } = await db.collection(GUARDIAN_COLLECTIONS.guardians).insertOne(doc);
+  return { guardian: { ...doc, _id: insertedId } };
+};
+
+/**
+ * Change a guardian's details
+ * @param {Object} params
+ * @param {string} params.schoolId - School ID
+ * @param {string} params.guardianId - Guardian ID
+ * @param {Object} params.guardian - { name, email, phone, whatsapp, telegram, preferredChannel }
+ * @param {Object} params.updatedBy - Actor, see toActor
+ * @returns {Promise<Object|null>} { guardian } or { errors }; null when there's no such guardian
+ */
+export const updateGuardian = async ({ schoolId, guardianId, guardian, updatedBy = null }) => {
+  const id = toObjectId(guardianId);
+  if (!id) return null;
+  const { isValid, errors, guardian: fields } = validateGuardian(guardian);
+  if (!isValid) return { errors };
+
+  const db = await getDb();
+  const updated = await db.collection(GUARDIAN_COLLECTIONS.guardians).findOneAndUpdate(
+    { _id: id, schoolId: String(schoolId) },
+    { $set: { ...fields, updatedBy, updatedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+  return updated ? { guardian: updated } : null;
+};
+
+/**
+ * Link a guardian to a learner, or change an existing link
+ * Making a guardian the primary contact makes the learner's other guardians secondary.
+ * @param {Object} params
+ * @param {string} params.schoolId - School ID
+ * @param {string} params.guardianId - Guardian ID
+ * @param {string} params.learnerId - Learner ID
+ * @param {Object} params.link - { relationship, isPrimary, restriction, restrictionNote }
+ * @param {Object} params.updatedBy - Actor, see toActor
+ * @returns {Promise<Object|null>} { link } or { errors }; null when there's no such guardian
+ */
+export const saveLink = async ({ schoolId, guardianId, learnerId, link, updatedBy = null }) => {
+  const { isValid, errors } = validateLink(link);
+  if (!isValid) return { errors };
+
+  const db = await getDb();
+  const id = toObjectId(guardianId);
+  const guardian = id && await db.collection(GUARDIAN_COLLECTIONS.guardians).findOne({ _id: id, schoolId: String(schoolId) });
+  if (!guardian) return null;
+
+  const links = db.collection(GUARDIAN_COLLECTIONS.links);
+  const key = { guardianId: String(guardianId), learnerId: String(learnerId) };
+  if (link.isPrimary) {
+    await links.updateMany(
+      { schoolId: String(schoolId), learnerId: key.learnerId, guardianId: { $ne: key.guardianId } },
+      { $set: { isPrimary: false } }
+    );
+  }
+  const now = new Date();
+  const saved = await links.findOneAndUpdate(
+    key,
+    {
+      $set: {
+        schoolId: String(schoolId),
+        relationship: link.relationship,
+        isPrimary: Boolean(link.isPrimary),
+        restriction: link.restriction || null,
+        restrictionNote: link.restriction ? (link.restrictionNote || '').trim() || null : null,
+        updatedBy,
+        updatedAt: now
+      },
+      $setOnInsert: { createdAt: now }
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+  // Linking them again by hand lets a sync keep the link
+  await db.collection(GUARDIAN_COLLECTIONS.unlinks).deleteOne(key);
+  return { link: saved };
+};
+
+/**
+ * Unlink a guardian from a learner
+ * The unlink is recorded so syncing the roster's parent details doesn't link them again.
+ * @param {Object} params
+ * @param {string} params.schoolId - School ID
+ * @param {string} params.guardianId - Guardian ID
+ * @param {string} params.learnerId - Learner ID
+ * @param {Object} params.updatedBy - Actor, see toActor
+ * @returns {Promise<boolean>} Whether a link was removed
+ */
+export const removeLink = async ({ schoolId, guardianId, learnerId, updatedBy = null }) => {
+  const db = await getDb();
+  const key = { guardianId: String(guardianId), learnerId: String(learnerId) };
+  const { deletedCount } = await db.collection(GUARDIAN_COLLECTIONS.links).deleteOne({
+    schoolId: String(schoolId),
+    ...key
+  });
+  if (deletedCount === 0) return false;
+
+  await db.collection(GUARDIAN_COLLECTIONS.unlinks).updateOne(
+    key,
+    { $set: { schoolId: String(schoolId), unlinkedBy: updatedBy, unlinkedAt: new Date() } },
+    { upsert: true }
+  );
+  return true;
+};
+
+/**
+ * Put guardians in one household, along with everyone already sharing a household with them
+ * @param {Object} params
+ * @param {string} params.schoolId - School ID
+ * @param {Array} params.guardianIds - Guardian IDs; the first one's household is kept
+ * @returns {Promise<Object>} { householdId } or { error }
+ */
+export const joinHousehold = async ({ schoolId, guardianIds = [] }) => {
+  const ids = guardianIds.map(toObjectId).filter(Boolean);
+  if (ids.length < 2) return { error: 'Choose at least two guardians.' };
+
+  const db = await getDb();
+  const guardians = db.collection(GUARDIAN_COLLECTIONS.guardians);
+  const found = await guardians.find({ _id: { $in: ids }, schoolId: String(schoolId) }).toArray();
+  if (found.length !== ids.length) return { error: 'Guardian not found.' };
+
+  const first = found.find(g => String(g._id) === String(ids[0]));
+  const householdIds = [...new Set(found.map(g => g.householdId))];
+  await guardians.updateMany(
+    { schoolId: String(schoolId), householdId: { $in: householdIds } },
+    { $set: { householdId: first.householdId, updatedAt: new Date() } }
+  );
+  return { householdId: first.householdId };
+};
+
+/**
+ * Move a guardian out of their household into one of their own
+ * @param {Object} params
+ * @param {string} params.schoolId - School ID
+ * @param {string} params.guardianId - Guardian ID
+ * @returns {Promise<Object|null>} { householdId }; null when there's no such guardian
+ */
+export const leaveHousehold = async ({ schoolId, guardianId }) => {
+  const id = toObjectId(guardianId);
+  if (!id) return null;
+  const db = await getDb();
+  const householdId = newHouseholdId();
+  const { matchedCount } = await db.collection(GUARDIAN_COLLECTIONS.guardians).updateOne(
+    { _id: id, schoolId: String(schoolId) },
+    { $set: { householdId, updatedAt: new Date() } }
+  );
+  return matchedCount > 0 ? { householdId } : null;
+};
+
+/**
+ * Turn learners' parent details into linked guardians
+ * A guardian already on file with the same phone number or email is reused, so brothers
+ * and sisters with the same parent end up in one household. Learners who already have
+ * guardians keep them; the parent is added beside them. A guardian an admin unlinked from
+ * the learner is not linked again.
+ * @param {Object} params
+ * @param {string} params.schoolId - School ID
+ * @param {Array} params.learners - [{ _id, parentName, parentPhone, parentEmail }]
+ * @param {Object} params.updatedBy - Actor, see toActor
+ * @returns {Promise<number>} Links created
+ */
+export const linkParentGuardians = async ({ schoolId, learners = [], updatedBy = null }) => {
+  const db = await getDb();
+  const guardians = db.collection(GUARDIAN_COLLECTIONS.guardians);
+  const links = db.collection(GUARDIAN_COLLECTIONS.links);
+  const unlinks = await db.collection(GUARDIAN_COLLECTIONS.unlinks)
+    .find({ schoolId: String(schoolId), learnerId: { $in: learners.map(l => String(l._id)) } })
+    .toArray();
+  const wasUnlinked = new Set(unlinks.map(u => `${u.guardianId}:${u.learnerId}`));
+  const now = new Date();
+  let linked = 0;
+
+  for (const learner of learners) {
+    const { isValid, guardian: fields } = validateGuardian({
+      name: learner.parentName,
+      email: learner.parentEmail,
+      phone: learner.parentPhone
+    });
+    if (!isValid) continue;
+
+    const matches = [fields.phone && { phone: fields.phone }, fields.email && { email: fields.email }].filter(Boolean);
+    let guardian = await guardians.findOne({ schoolId: String(schoolId), $or: matches });
+    const learnerId = String(learner._id);
+    if (guardian && wasUnlinked.has(`${guardian._id}:${learnerId}`)) continue;
+    if (!guardian) {
+      const doc = { ...fields, schoolId: String(schoolId), householdId: newHouseholdId(), createdBy: updatedBy, createdAt: now, updatedAt: now };
+      const { insertedId } = await guardians.insertOne(doc);
+      guardian = { ...doc, _id: insertedId };
+    }
+
+    const hasPrimary = await links.findOne({ schoolId: String(schoolId), learnerId, isPrimary: true });
+    const { upsertedCount } = await links.updateOne(
+      { guardianId: String(guardian._id), learnerId },
+      {
+        $setOnInsert: {
+          schoolId: String(schoolId),
+          relationship: 'other',
+          isPrimary: !hasPrimary,
+          restriction: null,
+          restrictionNote: null,
+          updatedBy,
+          createdAt: now,
+          updatedAt: now
+        }
+      },
+      { upsert: true }
+    );
+    linked += upsertedCount;
+  }
+  return linked;
+};
+
+/**
+ * Link guardians for roster learners who have none
+ * Learners added in the Rails API rather than imported have no guardians yet; the parent
+ * details on their roster record become linked guardians, as an import's parent columns do.
+ * @param {Object} params
+ * @param {string} params.schoolId - School ID
+ * @param {string|null} params.gradeId - Grade; the whole school when omitted
+ * @param {Object} params.updatedBy - Actor, see toActor
+ * @returns {Promise<number>} Links created
+ */
+export const syncRosterGuardians = async ({ schoolId, gradeId = null, updatedBy = null }) => {
+  const learners = await listLearners(schoolId, { gradeId });
+  const guardians = await listGuardians(schoolId, { learnerIds: learners.map(l => String(l._id)) });
+  const linked = new Set(guardians.flatMap(g => g.links.map(link => link.learnerId)));
+  const unlinked = learners.filter(l => !linked.has(String(l._id)));
+  if (unlinked.length === 0) return 0;
+  return linkParentGuardians({ schoolId, learners: unlinked, updatedBy });
+};
+
+/**
+ * Work out who an invitation to a grade goes to
+ * Every learner on the grade's roster is covered: those without a guardian who may be
+ * contacted come back as unreachable rather than being left out.
+ * @param {Object} params
+ * @param {string} params.schoolId - School ID
+ * @param {string|null} params.gradeId - Grade; the whole school when omitted
+ * @param {string} params.mode - RECIPIENT_MODES value
+ * @returns {Promise<Object>} { recipients, unreachable }, see planRecipients
+ */
+export const getRecipients = async ({ schoolId, gradeId = null, mode = RECIPIENT_MODES.household }) => {
+  const learners = await listLearners(schoolId, { gradeId });
+  const guardians = await listGuardians(schoolId, { learnerIds: learners.map(l => String(l._id)) });
+  const languages = await listGuardianLanguages(schoolId);
+
+  return planRecipients({
+    learners,
+    guardians,
+    links: guardians.flatMap(g => g.links),
+    mode,
+    languages: new Map(languages.map(g => [g.guardianId, g.language]))
+  });
+};
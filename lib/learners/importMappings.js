@@ -0,0 +1,64 @@
+/**
+ * ImportMappings - Each school's saved spreadsheet column mapping for learner uploads
+ *
+ * Schools export from the same admin system every term, so the mapping an admin settles
+ * on is kept and applied to the next upload; columns the new file lacks are guessed again.
+ */
+
+import { getDb } from '../invitations/invitationStore';
+import {
+  IMPORT_FIELDS,
+  validateMapping
+} from '../../components/adminPage/GradesManagemet/services/learners/learnerImport';
+
+export const IMPORT_MAPPINGS_COLLECTION = 'LearnerImportMapping';
+
+/**
+ * Create the indexes the mappings rely on
+ * @returns {Promise<void>}
+ */
+export const ensureImportMappingIndexes = async () => {
+  const db = await getDb();
+  await db.collection(IMPORT_MAPPINGS_COLLECTION).createIndex({ schoolId: 1 }, { unique: true });
+};
+
+/**
+ * Get a school's saved mapping
+ * @param {string} schoolId - School ID
+ * @returns {Promise<Object|null>} { schoolId, mapping, updatedBy, updatedAt }, or null when none was saved
+ */
+export const getImportMapping = async (schoolId) => {
+  const db = await getDb();
+  return db.collection(IMPORT_MAPPINGS_COLLECTION).findOne({ schoolId: String(schoolId) });
+};
+
+/**
+ * Save a school's mapping, after checking it covers the required fields
+ * @param {Object} params - { schoolId, mapping, updatedBy }
+ * @returns {Promise<Object>} { mapping } when saved, or { errors } when incomplete
+ */
+export const saveImportMapping = async ({ schoolId, mapping = {}, updatedBy = null }) => {
+  // Only known fields, each with the header it was mapped to
+  const fields = {};
+  IMPORT_FIELDS.forEach(field => {
+    if (typeof mapping[field.key] === 'string' && mapping[field.key].trim()) {
+      fields[field.key] = mapping[field.key].trim();
+    }
+  });
+
+  const { isValid, errors } = validateMapping(fields);
+  if (!isValid) {
+    return { errors };
+  }
+
+  const db = await getDb();
+  const saved = await db.collection(IMPORT_MAPPINGS_COLLECTION).findOneAndUpdate(
+    { schoolId: String(schoolId) },
+    {
+      $set: { mapping: fields, updatedBy, updatedAt: new Date() },
+      $setOnInsert: { schoolId: String(schoolId), createdAt: new Date() }
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+  return { mapping: saved };
+};
@@ -0,0 +1,221 @@
+/**
+ * LearnerImports - Previewing and applying a class list against the roster
+ *
+ * A preview validates the rows again, matches them to the learners the Rails API holds
+ * (see services/learners/learnerMatching and learnerStore) and stores the plan with its
+ * signature. Applying claims the preview, so it is applied once, and re-plans against the
+ * roster: when the roster changed since the preview nothing is written and the fresh plan
+ * is returned for review. Otherwise matched learners are updated and new ones added in one
+ * bulk upload. The Rails API has no transaction across requests, so when a write fails the
+ * updates already made are put back and the preview can be applied again. Conflicting and
+ * unchanged rows are never written. New learners the bulk upload refused, or that can't be
+ * found on the roster after it, are reported as failed rows with the API's errors. The
+ * parent columns of written rows become linked guardians (see guardianStore).
+ */
+
+import { getDb, toObjectId } from '../invitations/invitationStore';
+import { listLearners, createLearners, updateLearner } from './learnerStore';
+import { linkParentGuardians } from './guardianStore';
+import { validateImportRows } from '../../components/adminPage/GradesManagemet/services/learners/learnerImport';
+import {
+  IMPORT_ACTIONS,
+  matchLearner,
+  planImport,
+  planSignature,
+  summarisePlan
+} from '../../components/adminPage/GradesManagemet/services/learners/learnerMatching';
+
+export const LEARNER_IMPORTS_COLLECTION = 'LearnerImport';
+
+export const IMPORT_STATUSES = {
+  previewed: 'previewed',
+  applying: 'applying',
+  applied: 'applied'
+};
+
+/** How long a preview can be applied for */
+const PREVIEW_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create the indexes imports rely on
+ * @returns {Promise<void>}
+ */
+export const ensureLearnerImportIndexes = async () => {
+  const db = await getDb();
+  // Previews nobody applied are dropped after a day
+  await db.collection(LEARNER_IMPORTS_COLLECTION).createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+};
+
+/**
+ * The values an update entry sets
+ * @param {Object} entry - Plan entry
+ * @returns {Object} { field: value }
+ */
+const changedValues = (entry) => Object.fromEntries(Object.entries(entry.changes).map(([field, { to }]) => [field, to]));
+
+/**
+ * The values an update entry replaces, to put them back
+ * @param {Object} entry - Plan entry
+ * @returns {Object} { field: value }
+ */
+const previousValues = (entry) => Object.fromEntries(Object.entries(entry.changes).map(([field, { from }]) => [field, from]));
+
+/**
+ * The bulk upload's errors for one of the learners it was sent
+ * The API numbers rows from 1, in the order they were sent.
+ * @param {Array} errors - errors from the bulk upload answer
+ * @param {number} index - Position of the learner in the upload
+ * @returns {string} Messages, or '' when the API named none for the row
+ */
+const uploadErrorsFor = (errors, index) => errors
+  .filter(error => Number(error.row) === index + 1)
+  .flatMap(error => [].concat(error.messages || error.message || []))
+  .join('; ');
+
+/**
+ * Validate and plan an upload without changing the roster
+ * @param {Object} params
+ * @param {string} params.schoolId - School ID
+ * @param {string|null} params.gradeId - Grade the list is uploaded to
+ * @param {Array} params.rows - [{ rowNumber, values }] as mapped and fixed in BulkUpload
+ * @param {Object} params.createdBy - Actor previewing, see toActor
+ * @returns {Promise<Object>} { importId, summary, plan, invalidRows }
+ */
+export const previewImport = async ({ schoolId, gradeId = null, rows = [], createdBy = null }) => {
+  const results = validateImportRows(rows);
+  const valid = results
+    .filter(result => result.errors.length === 0)
+    .map(({ rowNumber, record }) => ({ rowNumber, record }));
+
+  const learners = await listLearners(schoolId);
+  const plan = planImport(valid, learners, { gradeId });
+  const summary = summarisePlan(plan);
+
+  const db = await getDb();
+  const now = new Date();
+  const { insertedId } = await db.collection(LEARNER_IMPORTS_COLLECTION).insertOne({
+    schoolId: String(schoolId),
+    gradeId: gradeId ? String(gradeId) : null,
+    status: IMPORT_STATUSES.previewed,
+    rows: valid,
+    signature: planSignature(plan),
+    summary,
+    invalidRows: results.length - valid.length,
+    createdBy,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + PREVIEW_TTL_MS)
+  });
+
+  return { importId: insertedId, summary, plan, invalidRows: results.length - valid.length };
+};
+
+/**
+ * Write a plan's updates and creates to the roster
+ * @param {Object} params
+ * @param {string} params.schoolId - School ID
+ * @param {Object} params.school - School details the bulk upload sends, see createLearners
+ * @param {Array} params.plan - planImport result
+ * @param {Array} params.learners - The roster the plan was made against
+ * @returns {Promise<Object>} { written, failed } - the written learners, with the imported
+ *   parent columns, and [{ rowNumber, message }] for new learners that weren't added
+ */
+const writePlan = async ({ schoolId, school, plan, learners }) => {
+  const byId = new Map(learners.map(learner => [String(learner._id), learner]));
+  const updates = plan.filter(entry => entry.action === IMPORT_ACTIONS.update);
+  const creates = plan.filter(entry => entry.action === IMPORT_ACTIONS.create);
+  const updated = [];
+  let uploadErrors = [];
+
+  try {
+    for (const entry of updates) {
+      await updateLearner(byId.get(entry.learnerId), changedValues(entry));
+      updated.push(entry);
+    }
+    if (creates.length > 0) {
+      const response = await createLearners({ schoolId, school, records: creates.map(entry => entry.record) });
+      uploadErrors = Array.isArray(response?.errors) ? response.errors : [];
+    }
+  } catch (error) {
+    // Put back what was already changed, so a failed apply leaves the roster as it was
+    await Promise.allSettled(updated.map(entry => updateLearner(byId.get(entry.learnerId), previousValues(entry))));
+    throw error;
+  }
+
+  // The bulk upload doesn't answer with IDs: find the new learners on the roster the same
+  // way the rows were matched. One that isn't there was not added.
+  const roster = creates.length > 0 ? await listLearners(schoolId) : [];
+  const written = updates.map(entry => ({ ...byId.get(entry.learnerId), ...changedValues(entry) }));
+  const failed = [];
+  creates.forEach((entry, index) => {
+    const { learner } = matchLearner(entry.record, roster);
+    if (learner) {
+      written.push({ ...learner, ...entry.record, _id: learner._id });
+    } else {
+      failed.push({ rowNumber: entry.rowNumber, message: uploadErrorsFor(uploadErrors, index) || 'The learner was not added.' });
+    }
+  });
+  return { written, failed };
+};
+
+/**
+ * Apply a previewed import
+ * @param {Object} params
+ * @param {string} params.schoolId - School ID
+ * @param {string} params.importId - Import ID from previewImport
+ * @param {Object} params.school - { schoolName, schoolEmail, userEmail, province }, see createLearners
+ * @param {Object} params.appliedBy - Actor applying, see toActor
+ * @returns {Promise<Object>} { applied, summary, failed } when written, summary.create counting
+ *   only the learners added and failed listing the rest; { stale, summary, plan } when the
+ *   roster changed since the preview; { error } when the import can't be applied
+ */
+export const applyImport = async ({ schoolId, importId, school = {}, appliedBy = null }) => {
+  const id = toObjectId(importId);
+  if (!id) return { error: 'not_found' };
+
+  const db = await getDb();
+  const imports = db.collection(LEARNER_IMPORTS_COLLECTION);
+  const preview = await imports.findOne({ _id: id, schoolId: String(schoolId) });
+  if (!preview) return { error: 'not_found' };
+
+  // Only the call that claims the preview applies it, so two clicks can't write it twice
+  const { modifiedCount } = await imports.updateOne(
+    { _id: id, status: IMPORT_STATUSES.previewed },
+    { $set: { status: IMPORT_STATUSES.applying } }
+  );
+  if (modifiedCount !== 1) return { error: 'already_applied' };
+
+  try {
+    const learners = await listLearners(schoolId);
+    const plan = planImport(preview.rows, learners, { gradeId: preview.gradeId });
+    if (planSignature(plan) !== preview.signature) {
+      // The fresh plan becomes the one the admin reviews and applies next
+      const summary = summarisePlan(plan);
+      await imports.updateOne(
+        { _id: id },
+        { $set: { status: IMPORT_STATUSES.previewed, signature: planSignature(plan), summary } }
+      );
+      return { stale: true, summary, plan };
+    }
+
+    const { written, failed } = await writePlan({ schoolId, school, plan, learners });
+    await linkParentGuardians({ schoolId, learners: written, updatedBy: appliedBy });
+
+    const planned = summarisePlan(plan);
+    const summary = { ...planned, create: planned.create - failed.length, failed: failed.length };
+    await imports.updateOne(
+      { _id: id },
+      {
+        $set: { status: IMPORT_STATUSES.applied, summary, failedRows: failed, appliedBy, appliedAt: new Date() },
+        // Applied imports are kept as a record of what changed
+        $unset: { expiresAt: '' }
+      }
+    );
+    return { applied: true, summary, failed };
+  } catch (error) {
+    await imports.updateOne(
+      { _id: id, status: IMPORT_STATUSES.applying },
+      { $set: { status: IMPORT_STATUSES.previewed } }
+    );
+    throw error;
+  }
+};
@@ -0,0 +1,160 @@
+/**
+ * LearnerStore - Each school's learner roster, kept by the Rails API
+ *
+ * The learners table lists and deletes learners in the Rails API directly; imports,
+ * guardians, segments and invitation recipients read and write the same roster through
+ * here, so every part of the app sees the same learners. Learners are returned with the
+ * Rails fields as they came plus the camel-case fields the import matcher and recipient
+ * planner use: { _id, schoolId, gradeId, firstName, lastName, ..., parentName }.
+ *
+ * Calls send the caller's access token (see railsServerApi); one the API refuses throws an
+ * ApiError with status 401 rather than reading as an empty roster.
+ */
+
+import { railsServerApi } from '../railsServerApi';
+
+/** Learners fetched per request when reading a whole roster */
+const ROSTER_PAGE_SIZE = 500;
+
+/** Learner fields, as this app names them, and as the Rails API does */
+const RAILS_FIELDS = {
+  firstName: 'first_name',
+  lastName: 'last_name',
+  gender: 'gender',
+  idNumber: 'id_number',
+  accessionNumber: 'accession_number',
+  dateOfBirth: 'date_of_birth',
+  phone: 'phone',
+  telHome: 'tel_home',
+  telEmergency: 'tel_emergency',
+  whatsapp: 'whatsapp',
+  telegram: 'telegram',
+  gradeId: 'grade_id',
+  medicalInfo: 'medical_info'
+};
+
+/** Parent fields, and the keys they have in the Rails parent_info hash */
+const PARENT_FIELDS = {
+  parentName: 'name',
+  parentPhone: 'phone',
+  parentEmail: 'email'
+};
+
+/**
+ * Read an ID whether the API sent it as a string or as a BSON { $oid }
+ */
+const idOf = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  return String(value.$oid || value);
+};
+
+/**
+ * Bring a Rails learner into the shape the rest of the app uses
+ * @param {Object} learner - Learner as the Rails API returns it
+ * @returns {Object} The same learner with _id, schoolId and the camel-case fields added
+ */
+const toLearner = (learner) => {
+  const parent = learner.parent_info || learner.guardian_info?.[0] || {};
+  const fields = Object.fromEntries(Object.entries(RAILS_FIELDS).map(([field, railsField]) => [
+    field,
+    learner[railsField] ?? learner[field] ?? null
+  ]));
+  const parentFields = Object.fromEntries(Object.entries(PARENT_FIELDS).map(([field, key]) => [
+    field,
+    parent[key] ?? learner[field] ?? null
+  ]));
+  const _id = idOf(learner._id || learner.id);
+
+  return {
+    ...learner,
+    ...fields,
+    ...parentFields,
+    _id,
+    id: _id,
+    schoolId: idOf(learner.school_id || learner.schoolId),
+    gradeId: idOf(fields.gradeId)
+  };
+};
+
+/**
+ * Turn learner values into the fields the Rails API updates
+ * Parent values are merged into the learner's parent_info, so changing one keeps the others.
+ * @param {Object} values - { firstName, ..., parentName, ... }
+ * @param {Object} learner - The learner as listLearners returned it
+ * @returns {Object} Rails learner attributes
+ */
+const toRailsFields = (values, learner) => {
+  const attributes = {};
+  Object.entries(RAILS_FIELDS).forEach(([field, railsField]) => {
+    if (field in values) attributes[railsField] = values[field];
+  });
+  const parentValues = Object.entries(PARENT_FIELDS).filter(([field]) => field in values);
+  if (parentValues.length > 0) {
+    attributes.parent_info = {
+      ...(learner.parent_info || {}),
+      ...Object.fromEntries(parentValues.map(([field, key]) => [key, values[field]]))
+    };
+  }
+  return attributes;
+};
+
+/**
+ * List a school's learners
+ * A grade's learners are taken from the school's roster, so a grade ID from another school
+ * lists nobody.
+ * @param {string} schoolId - School ID
+ * @param {Object} options
+ * @param {string|null} options.gradeId - Only learners in this grade
+ * @returns {Promise<Array>} Learners, by surname then first name
+ */
+export const listLearners = async (schoolId, { gradeId = null } = {}) => {
+  const path = `schools/${encodeURIComponent(schoolId)}/learners`;
+
+  const learners = [];
+  for (let page = 1; ; page += 1) {
+    const response = await railsServerApi.get(path, {
+      query: { page, per_page: ROSTER_PAGE_SIZE, sort_by: 'name', sort_order: 'asc' }
+    });
+    const batch = response.data || [];
+    learners.push(...batch);
+    if (batch.length < ROSTER_PAGE_SIZE) break;
+  }
+
+  return learners
+    .map(toLearner)
+    .filter(learner => !gradeId || learner.gradeId === String(gradeId))
+    .sort((a, b) => String(a.lastName || '').localeCompare(String(b.lastName || ''))
+      || String(a.firstName || '').localeCompare(String(b.firstName || '')));
+};
+
+/**
+ * Add learners to a school in one bulk upload
+ * @param {Object} params
+ * @param {string} params.schoolId - School ID
+ * @param {Object} params.school - { schoolName, schoolEmail, userEmail, province }, sent with
+ *   each learner as BulkUpload always has
+ * @param {Array} params.records - Validated import records
+ * @returns {Promise<Object>} The API's answer: { inserted, duplicatesSkipped, errors }
+ */
+export const createLearners = async ({ schoolId, school = {}, records = [] }) => {
+  const data = records.map(record => ({ ...record, ...school, schoolId: String(schoolId) }));
+  return railsServerApi.post('learners/bulk_upload', { data });
+};
+
+/**
+ * Change some of a learner's fields
+ * @param {Object} learner - The learner as listLearners returned it
+ * @param {Object} values - { firstName, ..., parentName, ... }; fields left out are kept
+ * @returns {Promise<void>}
+ */
+export const updateLearner = async (learner, values) => {
+  await railsServerApi.patch(`learners/${encodeURIComponent(learner._id)}`, { learner: toRailsFields(values, learner) });
+};
+
+const LearnerStore = {
+  listLearners,
+  createLearners,
+  updateLearner
+};
+
+export default LearnerStore;
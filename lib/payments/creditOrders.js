@@ -0,0 +1,136 @@
+/**
+ * CreditOrders - Credit packages a school started paying for, and what PayFast said about them
+ *
+ * An order is created before the admin is sent to PayFast and fixes the price and credits,
+ * so an ITN can be checked against what was actually sold. An order is credited only by the
+ * ITN that marks it paid, and through the ledger with the order as the payment key, so
+ * repeated ITNs credit once.
+ */
+
+import { getDb, toObjectId } from '../invitations/invitationStore';
+import { purchaseCredits } from '../invitations/creditLedger';
+
+export const CREDIT_ORDERS_COLLECTION = 'CreditOrder';
+
+export const ORDER_STATUSES = {
+  pending: 'pending',
+  paid: 'paid',
+  cancelled: 'cancelled'
+};
+
+/**
+ * Create the indexes orders are looked up by
+ * @returns {Promise<void>}
+ */
+export const ensureCreditOrderIndexes = async () => {
+  const db = await getDb();
+  await db.collection(CREDIT_ORDERS_COLLECTION).createIndex({ schoolId: 1, createdAt: -1 });
+};
+
+/**
+ * Store a new order for a credit package
+ * @param {Object} params
+ * @param {string} params.schoolId - School buying the credits
+ * @param {Object} params.creditPackage - Package from CREDIT_PACKAGES
+ * @param {Object} params.createdBy - Admin paying, see toActor
+ * @returns {Promise<Object>} The stored order
+ */
+export const createCreditOrder = async ({ schoolId, creditPackage, createdBy = null }) => {
+  const db = await getDb();
+  const now = new Date();
+  const order = {
+    schoolId: String(schoolId),
+    packageId: creditPackage.id,
+    credits: creditPackage.credits,
+    amount: creditPackage.price.toFixed(2),
+    itemName: `${creditPackage.name} (${creditPackage.credits} credits)`,
+    status: ORDER_STATUSES.pending,
+    pfPaymentId: null,
+    notifications: [],
+    createdBy,
+    createdAt: now,
+    updatedAt: now
+  };
+  const { insertedId } = await db.collection(CREDIT_ORDERS_COLLECTION).insertOne(order);
+  return { ...order, _id: insertedId };
+};
+
+/**
+ * Find an order by ID
+ * @param {string} id - Order ID (PayFast's m_payment_id)
+ * @returns {Promise<Object|null>} The order, or null when unknown
+ */
+export const findCreditOrder = async (id) => {
+  const _id = toObjectId(id);
+  if (!_id) return null;
+
+  const db = await getDb();
+  return db.collection(CREDIT_ORDERS_COLLECTION).findOne({ _id });
+};
+
+/**
+ * Keep a copy of an ITN on its order for reconciliation
+ * @param {Object} order - Stored order
+ * @param {Object} notification - { data, verified, reason }
+ * @returns {Promise<void>}
+ */
+export const recordOrderNotification = async (order, notification) => {
+  const db = await getDb();
+  await db.collection(CREDIT_ORDERS_COLLECTION).updateOne(
+    { _id: order._id },
+    {
+      $set: { updatedAt: new Date() },
+      $push: { notifications: { $each: [{ ...notification, receivedAt: new Date() }], $slice: -20 } }
+    }
+  );
+};
+
+/**
+ * Mark an order paid and credit its credits to its school
+ * Safe to call for every COMPLETE ITN PayFast resends: only the call that moves the order to
+ * paid credits the school, so this doesn't rely on the ledger's unique payment key alone.
+ * A verified payment for an order an earlier ITN cancelled is still credited.
+ * @param {Object} order - Stored order
+ * @param {string} pfPaymentId - PayFast's payment ID
+ * @returns {Promise<boolean>} True when this call credited the school
+ */
+export const completeCreditOrder = async (order, pfPaymentId) => {
+  const db = await getDb();
+  const orders = db.collection(CREDIT_ORDERS_COLLECTION);
+  const { modifiedCount } = await orders.updateOne(
+    { _id: order._id, status: { $in: [ORDER_STATUSES.pending, ORDER_STATUSES.cancelled] } },
+    { $set: { status: ORDER_STATUSES.paid, pfPaymentId, paidAt: new Date(), updatedAt: new Date() } }
+  );
+  if (modifiedCount !== 1) return false;
+
+  try {
+    const transaction = await purchaseCredits({
+      schoolId: order.schoolId,
+      amount: order.credits,
+      paymentId: String(order._id),
+      description: `${order.itemName} paid via PayFast (${pfPaymentId})`,
+      createdBy: order.createdBy
+    });
+    return Boolean(transaction);
+  } catch (error) {
+    // Put the order back so PayFast's next ITN for it tries again
+    await orders.updateOne(
+      { _id: order._id, status: ORDER_STATUSES.paid },
+      { $set: { status: order.status, paidAt: null, updatedAt: new Date() } }
+    );
+    throw error;
+  }
+};
+
+/**
+ * Mark an unpaid order cancelled
+ * @param {Object} order - Stored order
+ * @returns {Promise<void>}
+ */
+export const cancelCreditOrder = async (order) => {
+  const db = await getDb();
+  await db.collection(CREDIT_ORDERS_COLLECTION).updateOne(
+    { _id: order._id, status: ORDER_STATUSES.pending },
+    { $set: { status: ORDER_STATUSES.cancelled, updatedAt: new Date() } }
+  );
+};
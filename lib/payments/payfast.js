@@ -0,0 +1,195 @@
+/**
+ * PayFast - Signed checkout links and Instant Transaction Notification (ITN) checks
+ *
+ * Configuration:
+ *   PAYFAST_MERCHANT_ID, PAYFAST_MERCHANT_KEY, PAYFAST_PASSPHRASE - from the PayFast dashboard
+ *   PAYFAST_SANDBOX=true     - use sandbox.payfast.co.za (PayFast's public sandbox merchant
+ *                              is used when no merchant is configured)
+ *   PAYFAST_BASE_URL         - point at another host, e.g. the local stub (npm run stub:providers,
+ *                              http://localhost:4010/payfast)
+ *   PAYFAST_TRUST_PROXY=true - read the ITN source address from X-Forwarded-For
+ *   APP_BASE_URL             - public URL PayFast returns the admin to and posts ITNs to
+ *
+ * An ITN is only trusted when its signature matches, it comes from a PayFast address,
+ * PayFast confirms it through /eng/query/validate, and its merchant and amount match the order.
+ */
+
+import crypto from 'crypto';
+import dns from 'dns';
+
+const LIVE_URL = 'https://www.payfast.co.za';
+const SANDBOX_URL = 'https://sandbox.payfast.co.za';
+
+/** Hosts PayFast sends ITNs from */
+const PAYFAST_HOSTS = ['www.payfast.co.za', 'sandbox.payfast.co.za', 'w1w.payfast.co.za', 'w2w.payfast.co.za'];
+
+/** PayFast's public sandbox merchant, only used in sandbox mode */
+const SANDBOX_MERCHANT = { merchantId: '10000100', merchantKey: '46f0cd694581a', passphrase: 'jt7NOE43FZPn' };
+
+/**
+ * Checkout fields in the order PayFast signs them
+ */
+const CHECKOUT_FIELDS = [
+  'merchant_id', 'merchant_key', 'return_url', 'cancel_url', 'notify_url',
+  'name_first', 'name_last', 'email_address', 'cell_number',
+  'm_payment_id', 'amount', 'item_name', 'item_description',
+  'custom_int1', 'custom_int2', 'custom_int3', 'custom_int4', 'custom_int5',
+  'custom_str1', 'custom_str2', 'custom_str3', 'custom_str4', 'custom_str5',
+  'email_confirmation', 'confirmation_address', 'payment_method'
+];
+
+/**
+ * Read the PayFast settings for this deployment
+ * @returns {Object} { merchantId, merchantKey, passphrase, sandbox, baseUrl, appBaseUrl, trustProxy }
+ */
+export const getPayFastConfig = () => {
+  const sandbox = process.env.PAYFAST_SANDBOX === 'true';
+  const merchant = sandbox && !process.env.PAYFAST_MERCHANT_ID
+    ? SANDBOX_MERCHANT
+    : {
+      merchantId: process.env.PAYFAST_MERCHANT_ID,
+      merchantKey: process.env.PAYFAST_MERCHANT_KEY,
+      passphrase: process.env.PAYFAST_PASSPHRASE || ''
+    };
+
+  return {
+    ...merchant,
+    sandbox,
+    baseUrl: (process.env.PAYFAST_BASE_URL || (sandbox ? SANDBOX_URL : LIVE_URL)).replace(/\/$/, ''),
+    appBaseUrl: (process.env.APP_BASE_URL || process.env.AUTH0_BASE_URL || '').replace(/\/$/, ''),
+    trustProxy: process.env.PAYFAST_TRUST_PROXY === 'true'
+  };
+};
+
+/**
+ * URL-encode a value the way PayFast does (PHP urlencode: spaces as '+', uppercase hex)
+ * @param {string} value - Value to encode
+ * @returns {string} Encoded value
+ */
+const encodeValue = (value) => {
+  return encodeURIComponent(String(value).trim())
+    .replace(/%20/g, '+')
+    .replace(/[!'()*~]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+};
+
+/**
+ * Join fields into the string PayFast signs
+ * @param {Array} entries - [name, value] pairs in signing order
+ * @param {Object} options
+ * @param {boolean} options.skipEmpty - Leave out blank values (checkout) rather than keep them (ITN)
+ * @returns {string} Parameter string
+ */
+export const buildParamString = (entries, { skipEmpty = false } = {}) => {
+  return entries
+    .filter(([name, value]) => name !== 'signature' && !(skipEmpty && (value === undefined || value === null || String(value).trim() === '')))
+    .map(([name, value]) => `${name}=${encodeValue(value ?? '')}`)
+    .join('&');
+};
+
+/**
+ * MD5 signature of a parameter string, salted with the passphrase when one is set
+ * @param {string} paramString - Result of buildParamString
+ * @param {string} passphrase - Merchant passphrase
+ * @returns {string} Hex signature
+ */
+export const signParamString = (paramString, passphrase) => {
+  const salted = passphrase ? `${paramString}&passphrase=${encodeValue(passphrase)}` : paramString;
+  return crypto.createHash('md5').update(salted).digest('hex');
+};
+
+/**
+ * Build a signed checkout link for an order
+ * @param {Object} order - Stored credit order
+ * @param {Object} buyer - { email } of the admin paying
+ * @param {Object} config - Result of getPayFastConfig
+ * @returns {string} URL to send the admin to
+ */
+export const buildCheckoutUrl = (order, buyer = {}, config = getPayFastConfig()) => {
+  const orderId = String(order._id);
+  // The school goes along so the admin comes back to the workspace the order belongs to
+  const returnQuery = `order=${orderId}&school=${encodeURIComponent(order.schoolId)}`;
+  const values = {
+    merchant_id: config.merchantId,
+    merchant_key: config.merchantKey,
+    return_url: `${config.appBaseUrl}/success?${returnQuery}`,
+    cancel_url: `${config.appBaseUrl}/cancel?${returnQuery}`,
+    notify_url: `${config.appBaseUrl}/api/notify`,
+    email_address: buyer.email || null,
+    m_payment_id: orderId,
+    amount: order.amount,
+    item_name: order.itemName,
+    custom_str1: order.schoolId
+  };
+
+  const paramString = buildParamString(CHECKOUT_FIELDS.map(name => [name, values[name]]), { skipEmpty: true });
+  return `${config.baseUrl}/eng/process?${paramString}&signature=${signParamString(paramString, config.passphrase)}`;
+};
+
+/**
+ * Check an ITN's signature
+ * @param {Array} entries - Posted [name, value] pairs in the order received
+ * @param {string} passphrase - Merchant passphrase
+ * @returns {boolean} True when the signature matches
+ */
+export const verifyItnSignature = (entries, passphrase) => {
+  const signature = entries.find(([name]) => name === 'signature')?.[1];
+  if (!signature) return false;
+
+  const expected = signParamString(buildParamString(entries), passphrase);
+  return signature.length === expected.length
+    && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+};
+
+/**
+ * Address an ITN came from
+ * @param {import('http').IncomingMessage} req - Incoming request
+ * @param {boolean} trustProxy - Use the first X-Forwarded-For address
+ * @returns {string} IP address
+ */
+export const requestAddress = (req, trustProxy) => {
+  const forwarded = trustProxy ? String(req.headers['x-forwarded-for'] || '').split(',')[0].trim() : '';
+  return (forwarded || req.socket?.remoteAddress || '').replace(/^::ffff:/, '');
+};
+
+/**
+ * Check an ITN came from PayFast by resolving PayFast's hosts, plus the configured
+ * host so the sandbox stub on localhost is accepted
+ * @param {string} address - Source IP address
+ * @param {Object} config - Result of getPayFastConfig
+ * @returns {Promise<boolean>} True when the address belongs to PayFast
+ */
+export const isPayFastAddress = async (address, config = getPayFastConfig()) => {
+  if (!address) return false;
+  const hosts = [...PAYFAST_HOSTS, new URL(config.baseUrl).hostname];
+  const resolved = await Promise.all(hosts.map(host =>
+    dns.promises.lookup(host, { all: true }).catch(() => [])
+  ));
+  return resolved.flat().some(entry => entry.address.replace(/^::ffff:/, '') === address);
+};
+
+/**
+ * Ask PayFast to confirm it sent an ITN
+ * @param {Array} entries - Posted [name, value] pairs in the order received
+ * @param {Object} config - Result of getPayFastConfig
+ * @returns {Promise<boolean>} True when PayFast answers VALID
+ */
+export const confirmWithPayFast = async (entries, config = getPayFastConfig()) => {
+  const response = await fetch(`${config.baseUrl}/eng/query/validate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: buildParamString(entries)
+  });
+  return (await response.text()).trim() === 'VALID';
+};
+
+/**
+ * Check an ITN's amount matches the order's, to the cent
+ * @param {string} amountGross - amount_gross from the ITN
+ * @param {string} orderAmount - Amount the order was created for
+ * @returns {boolean} True when they match
+ */
+export const amountsMatch = (amountGross, orderAmount) => {
+  const paid = Math.round(parseFloat(amountGross) * 100);
+  const expected = Math.round(parseFloat(orderAmount) * 100);
+  return Number.isFinite(paid) && paid === expected;
+};
@@ -0,0 +1,55 @@
+/**
+ * Server-side access to the Rails API, which only answers requests that carry a token.
+ * While an API route handles a request (withPermission runs it in withRailsCaller), calls
+ * send the signed-in caller's Auth0 access token, refreshed once when the API answers 401.
+ * Anything the server runs outside a request sends the deployment's service token,
+ * RAILS_API_SERVICE_TOKEN. A refused call throws an ApiError with status 401; it is never
+ * read as an empty answer.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { getAccessToken, AccessTokenError } from '@auth0/nextjs-auth0';
+import { createApiClient, API_BASE_URL, ApiClient } from '../components/adminPage/services/api';
+
+type CallerRequest = { req: any; res: any };
+
+const callerRequests = new AsyncLocalStorage<CallerRequest>();
+
+/**
+ * Run work on behalf of the caller of an API request, so the Rails API calls it makes send
+ * the caller's access token
+ * @param req - API request
+ * @param res - API response
+ * @param work - The work to run
+ */
+export const withRailsCaller = <T>(req: any, res: any, work: () => Promise<T>): Promise<T> =>
+  callerRequests.run({ req, res }, work);
+
+/**
+ * Token for a Rails API call: the caller's while handling their request, otherwise the
+ * service token. Null when there is neither, so the API refuses the call with a 401.
+ */
+const getToken = async ({ refresh }: { refresh: boolean }): Promise<string | null> => {
+  const caller = callerRequests.getStore();
+  if (!caller) return process.env.RAILS_API_SERVICE_TOKEN || null;
+
+  try {
+    const { accessToken } = await getAccessToken(caller.req, caller.res, { refresh });
+    return accessToken || null;
+  } catch (error) {
+    // Signed out, or the session has no usable token
+    if (error instanceof AccessTokenError) return null;
+    throw error;
+  }
+};
+
+/** The Rails API, as the server calls it */
+export const railsServerApi: ApiClient = createApiClient({ baseUrl: `${API_BASE_URL}/api/v1`, getToken });
+
+/**
+ * Check whether a Rails API call was refused for want of a valid token
+ * @param error - What the call threw
+ */
+export const isRailsAuthError = (error: unknown): boolean => (error as { status?: number })?.status === 401;
+
+export default railsServerApi;
@@ -8,6 +8,8 @@ import LoadingSpinner from '../../components/spinners/LoadingSpinner';
 import CreateSchoolForm from '../../components/Schoolpage/CreateSchoolForm';
 import ValidateSchoolStep from '../../components/Schoolpage/ValidateSchoolStep';
 import ReviewSchoolStep from '../../components/Schoolpage/ReviewSchoolStep';
+import useUserRoles from '../../hooks/useUserRoles';
+import { railsApi } from '../../components/adminPage/services/api';
 
 
 export default function Home() {
@@ -17,7 +19,7 @@ export default function Home() {
   const [message, setMessage] = useState('');
   const [step, setStep] = useState(1); // Track current step
   const { user } = useUser();
-  const [userRoles, setUserRoles] = useState([]); // Store user roles
+  const { roles: userRoles } = useUserRoles();
 
   useEffect(() => {
     const handleResize = () => setIsMobile(window.innerWidth <= 768);
@@ -29,77 +31,26 @@ export default function Home() {
   useEffect(() => {
     if (user) {
       fetchSchools();
-      fetchAndSetUserRoles(); // Fetch and set roles when the user is available
     }
   }, [user]);
 
-  const fetchAccessToken = async () => {
-    try {
-      const response = await fetch('/api/getAccessToken', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-      });
-      if (!response.ok) throw new Error('Failed to fetch access token');
-      const { accessToken } = await response.json();
-      return accessToken;
-    } catch (error) {
-      console.error('Error fetching access token:', error.message);
-      throw error;
-    }
-  };
-
-  const fetchUserRoles = async (accessToken, userId) => {
-    try {
-      const rolesUrl = `https://dev-t0o26rre86m7t8lo.us.auth0.com/api/v2/users/${userId}/roles`;
-      const response = await fetch(rolesUrl, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${accessToken}`,
-        },
-      });
-      if (!response.ok) throw new Error('Failed to fetch user roles');
-      const rolesData = await response.json();
-      return rolesData.map((role) => role.name);
-    } catch (error) {
-      console.error('Error fetching user roles:', error.message);
-      throw error;
-    }
-  };
-
-  const fetchAndSetUserRoles = async () => {
-    try {
-      const accessToken = await fetchAccessToken();
-      const roles = await fetchUserRoles(accessToken, user.sub);
-      setUserRoles(roles); // Set user roles in state
-    } catch (error) {
-      console.error('Error setting user roles:', error.message);
-    }
-  };
-
   const fetchSchools = async () => {
     setIsLoading(true);
     setMessage('');
     try {
-      const response = await fetch(
-        `http://localhost:4000/api/v1/users/${encodeURIComponent(user.sub)}/schools`,
-        { method: 'GET', headers: { 'Content-Type': 'application/json' } }
-      );
-
-      if (response.status === 404) {
-        setSchools([]); // No schools found
-        setMessage('You have not created any school yet. Please create a new school.');
-        return;
-      }
-
-      const data = await response.json();
-      if (response.ok && data.success) {
+      const data = await railsApi.get(`users/${encodeURIComponent(user.sub)}/schools`);
+      if (data.success) {
         setSchools(data.data.schools || []);
       } else {
         setMessage(data.message || 'Error fetching schools.');
       }
     } catch (error) {
-      setMessage('Failed to fetch schools. Please try again later.');
+      if (error.status === 404) {
+        setSchools([]); // No schools found
+        setMessage('You have not created any school yet. Please create a new school.');
+      } else {
+        setMessage(error.status ? error.message : 'Failed to fetch schools. Please try again later.');
+      }
     } finally {
       setIsLoading(false);
     }
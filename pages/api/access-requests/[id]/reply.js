@@ -0,0 +1,42 @@
+import { resolveCaller } from "../../../../lib/auth/withPermission";
+import { findAccessRequest, replyToAccessRequest, MAX_REASON_LENGTH } from "../../../../lib/auth/accessRequests";
+
+/**
+ * POST /api/access-requests/[id]/reply - Answer an admin's request for more information
+ * Body: { note }. Returns the request, back in the school's inbox as pending.
+ *
+ * Open only to the person who made the request; not wrapped in withPermission because
+ * they don't belong to the school yet.
+ */
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", ["POST"]);
+    return res.status(405).json({ message: "Method not allowed" });
+  }
+
+  const note = String(req.body?.note || "").trim();
+  if (!note || note.length > MAX_REASON_LENGTH) {
+    return res.status(400).json({ message: `A reply of up to ${MAX_REASON_LENGTH} characters is required.` });
+  }
+
+  try {
+    const caller = await resolveCaller(req, res);
+    if (!caller) {
+      return res.status(401).json({ message: "Sign in to continue." });
+    }
+
+    const request = await findAccessRequest(req.query.id);
+    if (!request || request.requester?.id !== caller.user.sub) {
+      return res.status(404).json({ message: "Access request not found." });
+    }
+
+    const updated = await replyToAccessRequest(request, note, caller.user);
+    if (!updated) {
+      return res.status(409).json({ message: "No more information was asked for on this request." });
+    }
+    return res.status(200).json(updated);
+  } catch (error) {
+    console.error("Error replying to access request:", error);
+    return res.status(500).json({ message: "Error replying to access request." });
+  }
+}
@@ -0,0 +1,49 @@
+import { findAccessRequest, reviewAccessRequest, ACCESS_REQUEST_ACTIONS } from "../../../../lib/auth/accessRequests";
+import { schoolsOutsideCaller } from "../../../../lib/auth/schoolAdmins";
+import { withPermission } from "../../../../lib/auth/withPermission";
+import { PERMISSIONS, SCHOOL_ROLES } from "../../../../lib/auth/permissions";
+
+/**
+ * POST /api/access-requests/[id]/review - Answer an access request
+ * Body: { action: 'approve' | 'reject' | 'request_info', role, note }
+ *   approve needs a role from SCHOOL_ROLES that the caller holds; request_info needs a note
+ *   saying what to add. Returns the updated request and emails the requester.
+ *   Approval is refused with 403 when the requester belongs to a school the caller doesn't,
+ *   as the role would apply there too (see schoolsOutsideCaller).
+ */
+async function handler(req, res, caller) {
+  const { action, role = null, note = null } = req.body || {};
+  if (!ACCESS_REQUEST_ACTIONS[action]) {
+    return res.status(400).json({ message: "An action of approve, reject or request_info is required." });
+  }
+  if (action === "approve" && (!SCHOOL_ROLES.includes(role) || !caller.roles.includes(role))) {
+    return res.status(400).json({ message: role ? `You can't give the ${role} role.` : "Choose a role to give." });
+  }
+  if (action === "request_info" && !String(note || "").trim()) {
+    return res.status(400).json({ message: "Say what information you need." });
+  }
+
+  try {
+    const request = await findAccessRequest(req.query.id);
+    if (!request || !caller.belongsTo(request.schoolId)) {
+      return res.status(404).json({ message: "Access request not found." });
+    }
+
+    if (action === "approve" && (await schoolsOutsideCaller(request.requester.id, [role], caller)).length > 0) {
+      return res.status(403).json({
+        message: `${request.requester.name} also belongs to schools you don't run, where the ${role} role would apply too.`,
+      });
+    }
+
+    const updated = await reviewAccessRequest(request, { action, role, note }, caller.user);
+    if (!updated) {
+      return res.status(409).json({ message: `This request is ${request.status.replace("_", " ")}, so it can't be changed.` });
+    }
+    return res.status(200).json(updated);
+  } catch (error) {
+    console.error("Error reviewing access request:", error);
+    return res.status(500).json({ message: "Error reviewing access request." });
+  }
+}
+
+export default withPermission({ POST: PERMISSIONS.adminsManage }, handler, { school: false });
@@ -0,0 +1,24 @@
+import { listAccessRequests, ACCESS_REQUEST_STATUSES } from "../../../lib/auth/accessRequests";
+import { withPermission } from "../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../lib/auth/permissions";
+
+/**
+ * GET /api/access-requests/inbox?schoolId=...[&status=open] - A school's access requests
+ *   status is one of ACCESS_REQUEST_STATUSES, or open (the default) for requests still
+ *   waiting on an admin or on the requester. Requests past their expiry are expired first.
+ */
+async function handler(req, res) {
+  const { schoolId, status = "open" } = req.query;
+  if (status !== "open" && !Object.values(ACCESS_REQUEST_STATUSES).includes(status)) {
+    return res.status(400).json({ message: `Unknown status: ${status}` });
+  }
+
+  try {
+    return res.status(200).json(await listAccessRequests(schoolId, { status }));
+  } catch (error) {
+    console.error("Error fetching access requests:", error);
+    return res.status(500).json({ message: "Error fetching access requests." });
+  }
+}
+
+export default withPermission({ GET: PERMISSIONS.adminsManage }, handler);
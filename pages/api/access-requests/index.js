@@ -0,0 +1,49 @@
+import { resolveCaller } from "../../../lib/auth/withPermission";
+import { validateAccessRequest, createAccessRequest, listRequestsByUser } from "../../../lib/auth/accessRequests";
+
+/**
+ * GET  /api/access-requests - The signed-in user's own access requests, newest first
+ * POST /api/access-requests - Ask to join a school { schoolId, schoolName, reason }
+ *   Returns the stored request; 409 when the user already belongs to the school or already
+ *   has an open request for it.
+ *
+ * Open to any signed-in user, so not wrapped in withPermission: the people asking for
+ * access don't belong to the school yet. The school's admins answer in the inbox
+ * (/api/access-requests/inbox).
+ */
+export default async function handler(req, res) {
+  if (!["GET", "POST"].includes(req.method)) {
+    res.setHeader("Allow", ["GET", "POST"]);
+    return res.status(405).json({ message: "Method not allowed" });
+  }
+
+  try {
+    const caller = await resolveCaller(req, res);
+    if (!caller) {
+      return res.status(401).json({ message: "Sign in to continue." });
+    }
+
+    if (req.method === "GET") {
+      return res.status(200).json(await listRequestsByUser(caller.user.sub));
+    }
+
+    const { schoolId, schoolName = null, reason } = req.body || {};
+    const { errors } = validateAccessRequest({ schoolId, reason });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: "Invalid access request", errors });
+    }
+    if (caller.isMember(schoolId)) {
+      return res.status(409).json({ message: "You already belong to this school." });
+    }
+
+    const request = await createAccessRequest({ schoolId, schoolName, reason }, caller.user);
+    if (!request) {
+      return res.status(409).json({ message: "You already have an open request for this school." });
+    }
+    return res.status(201).json(request);
+  } catch (error) {
+    const action = req.method === "GET" ? "fetching" : "submitting";
+    console.error(`Error ${action} access requests:`, error);
+    return res.status(500).json({ message: `Error ${action} access requests.` });
+  }
+}
@@ -0,0 +1,27 @@
+import { getAccessToken, getSession, AccessTokenError } from "@auth0/nextjs-auth0";
+
+/**
+ * GET /api/auth/access-token[?refresh=1] - The signed-in user's Auth0 access token
+ * Returns { accessToken, expiresAt } (expiresAt in seconds). The browser's API client sends
+ * it to the Rails API; refresh=1 asks Auth0 for a new one with the session's refresh token.
+ * The token is issued for AUTH0_AUDIENCE, and refreshing needs the offline_access scope.
+ */
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", ["GET"]);
+    return res.status(405).json({ message: "Method not allowed" });
+  }
+
+  try {
+    const { accessToken } = await getAccessToken(req, res, { refresh: req.query.refresh === "1" });
+    const session = await getSession(req, res);
+    return res.status(200).json({ accessToken, expiresAt: session?.accessTokenExpiresAt || null });
+  } catch (error) {
+    // Signed out, or the session has no usable token
+    if (error instanceof AccessTokenError) {
+      return res.status(401).json({ message: "Sign in to continue.", code: error.code });
+    }
+    console.error("Error fetching access token:", error);
+    return res.status(500).json({ message: "Error fetching access token." });
+  }
+}
@@ -0,0 +1,46 @@
+import { toActor } from "../../../lib/invitations/templateStore";
+import {
+  getMessagingBudget,
+  saveMessagingBudget,
+  getBudgetUsage,
+} from "../../../lib/invitations/budgets";
+import { validateBudget } from "../../../components/adminPage/GradesManagemet/services/invitation/budgets";
+import { withPermission } from "../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../lib/auth/permissions";
+
+/**
+ * GET /api/budgets?schoolId=...
+ *   Returns { budget, usage, canApprove } - usage is this month's spend for the school and
+ *   each admin; canApprove says whether the signed-in user may change the budget.
+ * PUT /api/budgets { schoolId, monthlyLimit, userLimit, userLimits, approvalThreshold, alertEmails }
+ *   Replaces the school's budget. Principals only.
+ */
+async function handler(req, res, caller) {
+  const schoolId = req.method === "GET" ? req.query.schoolId : req.body?.schoolId;
+  if (!schoolId) {
+    return res.status(400).json({ message: "schoolId is required." });
+  }
+
+  try {
+    const canApprove = caller.can(PERMISSIONS.invitationsApprove);
+
+    if (req.method === "PUT") {
+      const { isValid, errors, budget } = validateBudget(req.body);
+      if (!isValid) {
+        return res.status(400).json({ message: "Invalid budget", errors });
+      }
+      await saveMessagingBudget(schoolId, budget, toActor(caller.user));
+    }
+
+    return res.status(200).json({
+      budget: await getMessagingBudget(schoolId),
+      usage: await getBudgetUsage(schoolId),
+      canApprove,
+    });
+  } catch (error) {
+    console.error("Error handling messaging budget:", error);
+    return res.status(500).json({ message: "Error handling messaging budget." });
+  }
+}
+
+export default withPermission({ GET: PERMISSIONS.invitationsView, PUT: PERMISSIONS.invitationsApprove }, handler);
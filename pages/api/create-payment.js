@@ -1,23 +1,38 @@
-export default function handler(req, res) {
-    if (req.method === 'POST') {
-        const { amount, item_name } = req.body;
+import { createCreditOrder } from "../../lib/payments/creditOrders";
+import { buildCheckoutUrl, getPayFastConfig } from "../../lib/payments/payfast";
+import { toActor } from "../../lib/invitations/templateStore";
+import { findCreditPackage } from "../../components/adminPage/GradesManagemet/services/invitation/credits";
+import { withPermission } from "../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../lib/auth/permissions";
 
-        const paymentData = {
-            merchant_id: process.env.PAYFAST_MERCHANT_ID, // Use environment variable
-            merchant_key: process.env.PAYFAST_MERCHANT_KEY, // Use environment variable
-            amount,
-            item_name,
-            return_url: 'http://localhost:3000/success',
-            cancel_url: 'http://localhost:3000/cancel',
-            notify_url: 'http://localhost:3000/api/notify',
-        };
+/**
+ * POST /api/create-payment { schoolId, packageId }
+ * Stores an order for a credit package and returns a signed PayFast checkout link.
+ * The price comes from the package, never from the browser.
+ */
+async function handler(req, res, caller) {
+  const { schoolId, packageId } = req.body || {};
+  const creditPackage = findCreditPackage(packageId);
+  if (!schoolId || !creditPackage) {
+    return res.status(400).json({ message: "schoolId and a known packageId are required." });
+  }
 
-        // Build the PayFast URL with query parameters
-        const queryString = new URLSearchParams(paymentData).toString();
-        const paymentUrl = `https://www.payfast.co.za/eng/process?${queryString}`;
+  const config = getPayFastConfig();
+  if (!config.merchantId || !config.merchantKey || !config.appBaseUrl) {
+    console.error("PayFast is not configured: set PAYFAST_MERCHANT_ID, PAYFAST_MERCHANT_KEY and APP_BASE_URL");
+    return res.status(500).json({ message: "Payments are not configured." });
+  }
 
-        res.status(200).json({ paymentUrl });
-    } else {
-        res.status(405).json({ error: 'Method not allowed' });
-    }
+  try {
+    const order = await createCreditOrder({ schoolId, creditPackage, createdBy: toActor(caller.user) });
+    return res.status(201).json({
+      orderId: String(order._id),
+      paymentUrl: buildCheckoutUrl(order, { email: caller.user.email }, config),
+    });
+  } catch (error) {
+    console.error("Error creating payment:", error);
+    return res.status(500).json({ message: "Error creating payment." });
+  }
 }
+
+export default withPermission({ POST: PERMISSIONS.paymentsCreate }, handler);
@@ -0,0 +1,24 @@
+import { listCreditTransactions } from "../../../lib/invitations/creditLedger";
+import { withPermission } from "../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../lib/auth/permissions";
+
+/**
+ * GET /api/credits/history?schoolId=...&page=1&limit=20
+ * The school's ledger transactions, newest first, with the debit and credit entries of each.
+ * Returns { transactions, page, limit, total, totalPages }.
+ */
+async function handler(req, res) {
+  const { schoolId, page, limit } = req.query;
+  if (!schoolId) {
+    return res.status(400).json({ message: "schoolId is required." });
+  }
+
+  try {
+    return res.status(200).json(await listCreditTransactions(schoolId, { page, limit }));
+  } catch (error) {
+    console.error("Error fetching credit history:", error);
+    return res.status(500).json({ message: "Error fetching credit history." });
+  }
+}
+
+export default withPermission({ GET: PERMISSIONS.creditsView }, handler);
@@ -0,0 +1,23 @@
+import { getCreditBalance } from "../../../lib/invitations/creditLedger";
+import { withPermission } from "../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../lib/auth/permissions";
+
+/**
+ * GET /api/credits?schoolId=... - The school's credit balances
+ * Returns { schoolId, available, reserved, spent, purchased, updatedAt }; reserved credits
+ * are held for queued invitations and can't be spent until those settle.
+ */
+async function handler(req, res) {
+  if (!req.query.schoolId) {
+    return res.status(400).json({ message: "schoolId is required." });
+  }
+
+  try {
+    return res.status(200).json(await getCreditBalance(req.query.schoolId));
+  } catch (error) {
+    console.error("Error fetching credit balance:", error);
+    return res.status(500).json({ message: "Error fetching credit balance." });
+  }
+}
+
+export default withPermission({ GET: PERMISSIONS.creditsView }, handler);
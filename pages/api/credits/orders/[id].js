@@ -0,0 +1,32 @@
+import { findCreditOrder } from "../../../../lib/payments/creditOrders";
+import { withPermission } from "../../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../../lib/auth/permissions";
+
+/**
+ * GET /api/credits/orders/:id
+ * Status of a credit order, polled by the page PayFast returns the admin to while the
+ * payment notification is on its way.
+ */
+async function handler(req, res, caller) {
+  try {
+    const order = await findCreditOrder(req.query.id);
+    if (!order || !caller.belongsTo(order.schoolId)) {
+      return res.status(404).json({ message: "Order not found." });
+    }
+
+    return res.status(200).json({
+      orderId: String(order._id),
+      schoolId: order.schoolId,
+      status: order.status,
+      credits: order.credits,
+      amount: order.amount,
+      itemName: order.itemName,
+      paidAt: order.paidAt || null,
+    });
+  } catch (error) {
+    console.error("Error fetching credit order:", error);
+    return res.status(500).json({ message: "Error fetching credit order." });
+  }
+}
+
+export default withPermission({ GET: PERMISSIONS.creditsView }, handler, { school: false });
@@ -0,0 +1,18 @@
+import { getPricingConfig } from "../../../lib/invitations/pricing";
+import { withPermission } from "../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../lib/auth/permissions";
+
+/**
+ * GET /api/credits/pricing - Rates the server charges invitations at
+ * The composer prices its estimate with these so it matches the credits reserved on send.
+ */
+async function handler(req, res) {
+  try {
+    return res.status(200).json(getPricingConfig());
+  } catch (error) {
+    console.error("Error reading pricing config:", error);
+    return res.status(500).json({ message: "Error reading pricing config." });
+  }
+}
+
+export default withPermission({ GET: PERMISSIONS.creditsView }, handler, { school: false });
@@ -0,0 +1,33 @@
+import { getRecipients } from "../../../../lib/learners/guardianStore";
+import { RECIPIENT_MODES } from "../../../../components/adminPage/GradesManagemet/services/learners/guardians";
+import { isRailsAuthError } from "../../../../lib/railsServerApi";
+import { withPermission } from "../../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../../lib/auth/permissions";
+
+/**
+ * GET /api/grades/[id]/recipients?schoolId=...&mode=household|learner
+ *   Who an invitation to the grade goes to: { recipients, unreachable }. In household mode
+ *   (the default) each household gets one message naming all its children in the grade;
+ *   unreachable lists learners with no guardian who may be contacted.
+ */
+async function handler(req, res) {
+  const { id, schoolId, mode = RECIPIENT_MODES.household } = req.query;
+  if (!schoolId) {
+    return res.status(400).json({ message: "schoolId is required." });
+  }
+  if (!Object.values(RECIPIENT_MODES).includes(mode)) {
+    return res.status(400).json({ message: `mode must be one of ${Object.values(RECIPIENT_MODES).join(", ")}.` });
+  }
+
+  try {
+    return res.status(200).json(await getRecipients({ schoolId, gradeId: id, mode }));
+  } catch (error) {
+    if (isRailsAuthError(error)) {
+      return res.status(401).json({ message: "Your session has expired. Sign in again." });
+    }
+    console.error("Error fetching recipients:", error);
+    return res.status(500).json({ message: "Error fetching recipients." });
+  }
+}
+
+export default withPermission({ GET: PERMISSIONS.invitationsView }, handler);
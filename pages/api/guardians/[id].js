@@ -0,0 +1,36 @@
+import { updateGuardian } from "../../../lib/learners/guardianStore";
+import { toActor } from "../../../lib/invitations/templateStore";
+import { withPermission } from "../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../lib/auth/permissions";
+
+/**
+ * PUT /api/guardians/[id] - Change a guardian's details { schoolId, guardian }
+ *   guardian is { name, email, phone, whatsapp, telegram, preferredChannel }
+ */
+async function handler(req, res, caller) {
+  const { schoolId, guardian } = req.body || {};
+  if (!schoolId || !guardian) {
+    return res.status(400).json({ message: "schoolId and guardian are required." });
+  }
+
+  try {
+    const result = await updateGuardian({
+      schoolId,
+      guardianId: req.query.id,
+      guardian,
+      updatedBy: toActor(caller.user),
+    });
+    if (!result) {
+      return res.status(404).json({ message: "Guardian not found." });
+    }
+    if (result.errors) {
+      return res.status(400).json({ message: "Invalid guardian", errors: result.errors });
+    }
+    return res.status(200).json(result.guardian);
+  } catch (error) {
+    console.error("Error updating guardian:", error);
+    return res.status(500).json({ message: "Error updating guardian." });
+  }
+}
+
+export default withPermission({ PUT: PERMISSIONS.learnersManage }, handler);
@@ -0,0 +1,40 @@
+import { joinHousehold, leaveHousehold } from "../../../lib/learners/guardianStore";
+import { withPermission } from "../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../lib/auth/permissions";
+
+/**
+ * POST /api/guardians/households { schoolId, guardianIds } - Puts the guardians, and
+ *   everyone already in their households, in one household
+ * DELETE /api/guardians/households?schoolId=...&guardianId=... - Moves a guardian into a
+ *   household of their own
+ */
+async function handler(req, res) {
+  try {
+    if (req.method === "POST") {
+      const { schoolId, guardianIds } = req.body || {};
+      if (!schoolId || !Array.isArray(guardianIds)) {
+        return res.status(400).json({ message: "schoolId and guardianIds are required." });
+      }
+      const result = await joinHousehold({ schoolId, guardianIds });
+      if (result.error) {
+        return res.status(400).json({ message: result.error });
+      }
+      return res.status(200).json(result);
+    }
+
+    const { schoolId, guardianId } = req.query;
+    if (!schoolId || !guardianId) {
+      return res.status(400).json({ message: "schoolId and guardianId are required." });
+    }
+    const result = await leaveHousehold({ schoolId, guardianId });
+    if (!result) {
+      return res.status(404).json({ message: "Guardian not found." });
+    }
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error("Error managing households:", error);
+    return res.status(500).json({ message: "Error managing households." });
+  }
+}
+
+export default withPermission({ POST: PERMISSIONS.learnersManage, DELETE: PERMISSIONS.learnersManage }, handler);
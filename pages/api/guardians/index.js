@@ -0,0 +1,48 @@
+import { createGuardian, listGuardians, saveLink } from "../../../lib/learners/guardianStore";
+import { toActor } from "../../../lib/invitations/templateStore";
+import { withPermission } from "../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../lib/auth/permissions";
+
+/**
+ * GET /api/guardians?schoolId=...&learnerId=... - A school's guardians with their links,
+ *   or only the guardians of one learner
+ * POST /api/guardians { schoolId, guardian, householdId, learnerId, link }
+ *   Adds a guardian; with learnerId and link ({ relationship, isPrimary, restriction })
+ *   they are linked to that learner too.
+ */
+async function handler(req, res, caller) {
+  const schoolId = req.method === "GET" ? req.query.schoolId : req.body?.schoolId;
+  if (!schoolId) {
+    return res.status(400).json({ message: "schoolId is required." });
+  }
+
+  try {
+    if (req.method === "GET") {
+      const { learnerId } = req.query;
+      const guardians = await listGuardians(schoolId, { learnerIds: learnerId ? [learnerId] : null });
+      return res.status(200).json(guardians);
+    }
+
+    const { guardian, householdId = null, learnerId = null, link = null } = req.body;
+    const actor = toActor(caller.user);
+    const created = await createGuardian({ schoolId, guardian, householdId, updatedBy: actor });
+    if (created.errors) {
+      return res.status(400).json({ message: "Invalid guardian", errors: created.errors });
+    }
+    if (!learnerId || !link) {
+      return res.status(201).json({ guardian: created.guardian });
+    }
+
+    const linked = await saveLink({ schoolId, guardianId: created.guardian._id, learnerId, link, updatedBy: actor });
+    if (linked?.errors) {
+      // The guardian is kept; the admin can fix the link from the learner's guardians
+      return res.status(400).json({ message: "Invalid guardian link", errors: linked.errors, guardian: created.guardian });
+    }
+    return res.status(201).json({ guardian: created.guardian, link: linked.link });
+  } catch (error) {
+    console.error("Error managing guardians:", error);
+    return res.status(500).json({ message: "Error managing guardians." });
+  }
+}
+
+export default withPermission({ GET: PERMISSIONS.learnersView, POST: PERMISSIONS.learnersManage }, handler);
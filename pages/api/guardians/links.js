@@ -0,0 +1,49 @@
+import { removeLink, saveLink } from "../../../lib/learners/guardianStore";
+import { toActor } from "../../../lib/invitations/templateStore";
+import { withPermission } from "../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../lib/auth/permissions";
+
+/**
+ * PUT /api/guardians/links { schoolId, guardianId, learnerId, relationship, isPrimary, restriction, restrictionNote }
+ *   Links a guardian to a learner or changes the link. restriction is doNotContact,
+ *   noCustody or null.
+ * DELETE /api/guardians/links?schoolId=...&guardianId=...&learnerId=... - Unlinks them
+ *   The unlink is kept, so POST /api/guardians/sync doesn't link them again.
+ */
+async function handler(req, res, caller) {
+  const { schoolId, guardianId, learnerId } = req.method === "PUT" ? req.body || {} : req.query;
+  if (!schoolId || !guardianId || !learnerId) {
+    return res.status(400).json({ message: "schoolId, guardianId and learnerId are required." });
+  }
+
+  try {
+    if (req.method === "DELETE") {
+      const removed = await removeLink({ schoolId, guardianId, learnerId, updatedBy: toActor(caller.user) });
+      if (!removed) {
+        return res.status(404).json({ message: "Guardian link not found." });
+      }
+      return res.status(200).json({ removed: true });
+    }
+
+    const { relationship, isPrimary = false, restriction = null, restrictionNote = null } = req.body;
+    const result = await saveLink({
+      schoolId,
+      guardianId,
+      learnerId,
+      link: { relationship, isPrimary, restriction, restrictionNote },
+      updatedBy: toActor(caller.user),
+    });
+    if (!result) {
+      return res.status(404).json({ message: "Guardian not found." });
+    }
+    if (result.errors) {
+      return res.status(400).json({ message: "Invalid guardian link", errors: result.errors });
+    }
+    return res.status(200).json(result.link);
+  } catch (error) {
+    console.error("Error managing guardian link:", error);
+    return res.status(500).json({ message: "Error managing guardian link." });
+  }
+}
+
+export default withPermission({ PUT: PERMISSIONS.learnersManage, DELETE: PERMISSIONS.learnersManage }, handler);
@@ -0,0 +1,27 @@
+import { syncRosterGuardians } from "../../../lib/learners/guardianStore";
+import { toActor } from "../../../lib/invitations/templateStore";
+import { isRailsAuthError } from "../../../lib/railsServerApi";
+import { withPermission } from "../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../lib/auth/permissions";
+
+/**
+ * POST /api/guardians/sync { schoolId, gradeId } - Links guardians from the roster's parent
+ *   details for learners who have none, in one grade or the whole school. Guardians an
+ *   admin unlinked stay unlinked. Returns { linked } - links created.
+ */
+async function handler(req, res, caller) {
+  const { schoolId, gradeId = null } = req.body || {};
+
+  try {
+    const linked = await syncRosterGuardians({ schoolId, gradeId, updatedBy: toActor(caller.user) });
+    return res.status(200).json({ linked });
+  } catch (error) {
+    if (isRailsAuthError(error)) {
+      return res.status(401).json({ message: "Your session has expired. Sign in again." });
+    }
+    console.error("Error syncing guardians:", error);
+    return res.status(500).json({ message: "Error syncing guardians." });
+  }
+}
+
+export default withPermission({ POST: PERMISSIONS.learnersManage }, handler);
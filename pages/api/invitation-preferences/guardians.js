@@ -0,0 +1,32 @@
+import { listGuardianLanguages, setGuardianLanguage } from "../../../lib/invitations/languagePreferences";
+import { isSupportedLanguage } from "../../../components/adminPage/GradesManagemet/services/invitation/languages";
+import { withPermission } from "../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../lib/auth/permissions";
+
+/**
+ * GET /api/invitation-preferences/guardians?schoolId=... - Guardians who chose a language
+ * PUT /api/invitation-preferences/guardians - Set one { schoolId, guardianId, language };
+ *     a null language returns the guardian to the school default
+ */
+async function handler(req, res) {
+  try {
+    if (req.method === "GET") {
+      if (!req.query.schoolId) {
+        return res.status(400).json({ message: "schoolId is required." });
+      }
+      return res.status(200).json(await listGuardianLanguages(req.query.schoolId));
+    }
+
+    const { schoolId, guardianId, language = null } = req.body || {};
+    if (!schoolId || !guardianId || (language !== null && !isSupportedLanguage(language))) {
+      return res.status(400).json({ message: "schoolId, guardianId and a supported language (or null) are required." });
+    }
+    await setGuardianLanguage(schoolId, guardianId, language);
+    return res.status(200).json({ schoolId, guardianId, language });
+  } catch (error) {
+    console.error("Error managing guardian languages:", error);
+    return res.status(500).json({ message: "Error managing guardian languages." });
+  }
+}
+
+export default withPermission({ GET: PERMISSIONS.invitationsView, PUT: PERMISSIONS.invitationsManage }, handler);
@@ -0,0 +1,39 @@
+import { getSchoolLanguage, setSchoolLanguage } from "../../../lib/invitations/languagePreferences";
+import { toActor } from "../../../lib/invitations/templateStore";
+import {
+  SUPPORTED_LANGUAGES,
+  isSupportedLanguage,
+} from "../../../components/adminPage/GradesManagemet/services/invitation/languages";
+import { withPermission } from "../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../lib/auth/permissions";
+
+/**
+ * GET /api/invitation-preferences?schoolId=... - The school's default invitation language
+ * PUT /api/invitation-preferences - Change it { schoolId, defaultLanguage }
+ * Guardians without a preferred language, or whose language has no translation, get the default.
+ */
+async function handler(req, res, caller) {
+  try {
+    if (req.method === "GET") {
+      if (!req.query.schoolId) {
+        return res.status(400).json({ message: "schoolId is required." });
+      }
+      const defaultLanguage = await getSchoolLanguage(req.query.schoolId);
+      return res.status(200).json({ schoolId: req.query.schoolId, defaultLanguage, languages: SUPPORTED_LANGUAGES });
+    }
+
+    const { schoolId, defaultLanguage } = req.body || {};
+    if (!schoolId || !isSupportedLanguage(defaultLanguage)) {
+      return res.status(400).json({
+        message: `schoolId and a defaultLanguage of ${SUPPORTED_LANGUAGES.map(l => l.code).join(", ")} are required.`,
+      });
+    }
+    const settings = await setSchoolLanguage(schoolId, defaultLanguage, toActor(caller.user));
+    return res.status(200).json(settings);
+  } catch (error) {
+    console.error("Error managing invitation preferences:", error);
+    return res.status(500).json({ message: "Error managing invitation preferences." });
+  }
+}
+
+export default withPermission({ GET: PERMISSIONS.invitationsView, PUT: PERMISSIONS.invitationsManage }, handler);
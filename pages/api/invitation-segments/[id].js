@@ -0,0 +1,45 @@
+import { deleteSegment, saveSegment } from "../../../lib/invitations/segmentStore";
+import { toActor } from "../../../lib/invitations/templateStore";
+import { withPermission } from "../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../lib/auth/permissions";
+
+/**
+ * PUT /api/invitation-segments/[id] - Change a saved segment { schoolId, name, rules }
+ * DELETE /api/invitation-segments/[id]?schoolId=... - Delete a saved segment
+ */
+async function handler(req, res, caller) {
+  const schoolId = req.method === "PUT" ? req.body?.schoolId : req.query.schoolId;
+  if (!schoolId) {
+    return res.status(400).json({ message: "schoolId is required." });
+  }
+
+  try {
+    if (req.method === "DELETE") {
+      const deleted = await deleteSegment(schoolId, req.query.id);
+      return deleted
+        ? res.status(204).end()
+        : res.status(404).json({ message: "Segment not found." });
+    }
+
+    const { name, rules } = req.body;
+    const result = await saveSegment({
+      schoolId,
+      segmentId: req.query.id,
+      name,
+      rules,
+      updatedBy: toActor(caller.user),
+    });
+    if (!result) {
+      return res.status(404).json({ message: "Segment not found." });
+    }
+    if (result.errors) {
+      return res.status(400).json({ message: "Invalid segment", errors: result.errors });
+    }
+    return res.status(200).json(result.segment);
+  } catch (error) {
+    console.error("Error updating segment:", error);
+    return res.status(500).json({ message: "Error updating segment." });
+  }
+}
+
+export default withPermission({ PUT: PERMISSIONS.invitationsManage, DELETE: PERMISSIONS.invitationsManage }, handler);
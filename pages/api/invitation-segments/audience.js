@@ -0,0 +1,26 @@
+import { getSegmentAudience } from "../../../lib/invitations/segmentStore";
+import { isRailsAuthError } from "../../../lib/railsServerApi";
+import { withPermission } from "../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../lib/auth/permissions";
+
+/**
+ * GET /api/invitation-segments/audience?schoolId=... - The learners, guardians, last
+ *   invitation responses and guardian languages a segment is matched against
+ */
+async function handler(req, res) {
+  if (!req.query.schoolId) {
+    return res.status(400).json({ message: "schoolId is required." });
+  }
+
+  try {
+    return res.status(200).json(await getSegmentAudience(req.query.schoolId));
+  } catch (error) {
+    if (isRailsAuthError(error)) {
+      return res.status(401).json({ message: "Your session has expired. Sign in again." });
+    }
+    console.error("Error fetching segment audience:", error);
+    return res.status(500).json({ message: "Error fetching segment audience." });
+  }
+}
+
+export default withPermission({ GET: PERMISSIONS.invitationsView }, handler);
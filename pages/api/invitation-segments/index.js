@@ -0,0 +1,34 @@
+import { listSegments, saveSegment } from "../../../lib/invitations/segmentStore";
+import { toActor } from "../../../lib/invitations/templateStore";
+import { withPermission } from "../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../lib/auth/permissions";
+
+/**
+ * GET /api/invitation-segments?schoolId=... - A school's saved recipient segments
+ * POST /api/invitation-segments { schoolId, name, rules } - Save a new segment
+ *   rules is { combinator, rules }, see services/invitation/segments
+ */
+async function handler(req, res, caller) {
+  const schoolId = req.method === "GET" ? req.query.schoolId : req.body?.schoolId;
+  if (!schoolId) {
+    return res.status(400).json({ message: "schoolId is required." });
+  }
+
+  try {
+    if (req.method === "GET") {
+      return res.status(200).json(await listSegments(schoolId));
+    }
+
+    const { name, rules } = req.body;
+    const result = await saveSegment({ schoolId, name, rules, updatedBy: toActor(caller.user) });
+    if (result.errors) {
+      return res.status(400).json({ message: "Invalid segment", errors: result.errors });
+    }
+    return res.status(201).json(result.segment);
+  } catch (error) {
+    console.error("Error saving segment:", error);
+    return res.status(500).json({ message: "Error saving segment." });
+  }
+}
+
+export default withPermission({ GET: PERMISSIONS.invitationsView, POST: PERMISSIONS.invitationsManage }, handler);
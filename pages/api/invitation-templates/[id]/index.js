@@ -0,0 +1,63 @@
+import {
+  findTemplate,
+  getTemplateHistory,
+  addTemplateVersion,
+  archiveTemplate,
+  validateTemplateFields,
+  toActor,
+} from "../../../../lib/invitations/templateStore";
+import { withPermission } from "../../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../../lib/auth/permissions";
+
+/**
+ * GET    /api/invitation-templates/:id           - Template with all versions and its audit trail
+ * PUT    /api/invitation-templates/:id           - Save an edit as a new draft version
+ * DELETE /api/invitation-templates/:id           - Archive the template
+ */
+async function handler(req, res, caller) {
+  const { id } = req.query;
+
+  try {
+    if (req.method === "GET") {
+      const template = await getTemplateHistory(id);
+      if (!template || !caller.belongsTo(template.schoolId)) {
+        return res.status(404).json({ message: "Template not found." });
+      }
+      return res.status(200).json(template);
+    }
+
+    const template = await findTemplate(id);
+    if (!template || !caller.belongsTo(template.schoolId)) {
+      return res.status(404).json({ message: "Template not found." });
+    }
+    const actor = toActor(caller.user);
+
+    if (req.method === "PUT") {
+      const errors = validateTemplateFields(req.body || {});
+      if (errors.length > 0) {
+        return res.status(400).json({ message: "Invalid template.", errors });
+      }
+
+      const version = await addTemplateVersion(id, req.body, actor);
+      if (!version) {
+        return res.status(404).json({ message: "Template not found." });
+      }
+      return res.status(201).json(version);
+    }
+
+    const archived = await archiveTemplate(id, template.schoolId, actor);
+    if (!archived) {
+      return res.status(404).json({ message: "Template not found." });
+    }
+    return res.status(204).end();
+  } catch (error) {
+    console.error("Error updating template:", error);
+    return res.status(500).json({ message: "Error updating template." });
+  }
+}
+
+export default withPermission(
+  { GET: PERMISSIONS.invitationsView, PUT: PERMISSIONS.invitationsManage, DELETE: PERMISSIONS.invitationsManage },
+  handler,
+  { school: false }
+);
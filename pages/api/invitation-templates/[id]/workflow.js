@@ -0,0 +1,41 @@
+import { transitionTemplateVersion, findTemplate, toActor } from "../../../../lib/invitations/templateStore";
+import { TEMPLATE_ACTIONS } from "../../../../components/adminPage/GradesManagemet/services/invitation/templateWorkflow";
+import { withPermission } from "../../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../../lib/auth/permissions";
+
+/**
+ * POST /api/invitation-templates/:id/workflow
+ * Body: { version, action: 'submit' | 'approve' | 'reject', note }
+ * Anyone who manages invitations can submit a draft; only a principal can approve or reject.
+ */
+async function handler(req, res, caller) {
+  try {
+    const { version, action, note = null } = req.body || {};
+    const step = TEMPLATE_ACTIONS[action];
+    if (!step || !Number.isInteger(Number(version))) {
+      return res.status(400).json({ message: "A version and an action of submit, approve or reject are required." });
+    }
+    if (action === "reject" && !String(note || "").trim()) {
+      return res.status(400).json({ message: "Say what needs to change when rejecting a template." });
+    }
+
+    if (step.requiresApprover && !caller.can(PERMISSIONS.templatesApprove)) {
+      return res.status(403).json({ message: "Only a principal can approve or reject templates." });
+    }
+    const template = await findTemplate(req.query.id);
+    if (!template || !caller.belongsTo(template.schoolId)) {
+      return res.status(404).json({ message: "Template not found." });
+    }
+
+    const updated = await transitionTemplateVersion(req.query.id, version, action, toActor(caller.user), note);
+    if (!updated) {
+      return res.status(409).json({ message: `Version ${version} is not ${step.from}, so it can't be ${step.to}.` });
+    }
+    return res.status(200).json(updated);
+  } catch (error) {
+    console.error("Error reviewing template:", error);
+    return res.status(500).json({ message: "Error reviewing template." });
+  }
+}
+
+export default withPermission({ POST: PERMISSIONS.invitationsManage }, handler, { school: false });
@@ -0,0 +1,44 @@
+import {
+  createTemplate,
+  listTemplates,
+  listApprovedTemplates,
+  validateTemplateFields,
+  toActor,
+} from "../../../lib/invitations/templateStore";
+import { withPermission } from "../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../lib/auth/permissions";
+
+/**
+ * GET  /api/invitation-templates?schoolId=...[&approved=true] - A school's templates; with
+ *      approved=true only the approved version of each, as offered when composing
+ * POST /api/invitation-templates - Create a template { schoolId, name, subject, content, type, channels }
+ */
+async function handler(req, res, caller) {
+  try {
+    if (req.method === "GET") {
+      const { schoolId, approved } = req.query;
+      if (!schoolId) {
+        return res.status(400).json({ message: "schoolId is required." });
+      }
+      const templates = approved === "true"
+        ? await listApprovedTemplates(schoolId)
+        : await listTemplates(schoolId);
+      return res.status(200).json(templates);
+    }
+
+    const data = req.body || {};
+    const errors = validateTemplateFields(data);
+    if (!data.schoolId) errors.unshift("schoolId is required");
+    if (errors.length > 0) {
+      return res.status(400).json({ message: "Invalid template.", errors });
+    }
+
+    const template = await createTemplate(data, toActor(caller.user));
+    return res.status(201).json(template);
+  } catch (error) {
+    console.error("Error managing templates:", error);
+    return res.status(500).json({ message: "Error managing templates." });
+  }
+}
+
+export default withPermission({ GET: PERMISSIONS.invitationsView, POST: PERMISSIONS.invitationsManage }, handler);
@@ -0,0 +1,54 @@
+import { toActor } from "../../../../lib/invitations/templateStore";
+import { findInvitation, updateInvitation } from "../../../../lib/invitations/invitationStore";
+import { decideSendApproval } from "../../../../lib/invitations/budgets";
+import { InsufficientCreditsError } from "../../../../lib/invitations/creditLedger";
+import { withPermission } from "../../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../../lib/auth/permissions";
+
+/**
+ * POST /api/invitations/:id/approval
+ * Body: { action: 'approve' | 'reject', note }
+ * Principals only. Records who decided and when; an approved send is queued and goes out
+ * at its scheduled time, or straight away. Responds 402 when the credits to send it are
+ * no longer available.
+ */
+async function handler(req, res, caller) {
+  const { action, note = null } = req.body || {};
+  if (!["approve", "reject"].includes(action)) {
+    return res.status(400).json({ message: "An action of approve or reject is required." });
+  }
+  if (action === "reject" && !String(note || "").trim()) {
+    return res.status(400).json({ message: "Say why the send is rejected." });
+  }
+
+  try {
+    const held = await findInvitation(req.query.id);
+    if (!held || !caller.belongsTo(held.schoolId)) {
+      return res.status(404).json({ message: "Invitation not found." });
+    }
+
+    const invitation = await decideSendApproval(req.query.id, action, toActor(caller.user), note);
+    if (!invitation) {
+      return res.status(409).json({ message: "This send is not awaiting approval." });
+    }
+    return res.status(200).json({
+      invitationId: String(invitation._id),
+      status: invitation.status,
+      approval: invitation.approval,
+    });
+  } catch (error) {
+    if (error instanceof InsufficientCreditsError) {
+      await updateInvitation(req.query.id, { status: "insufficient_credits" });
+      return res.status(402).json({
+        message: error.message,
+        errors: { credits: error.message },
+        required: error.required,
+        available: error.available,
+      });
+    }
+    console.error("Error reviewing send:", error);
+    return res.status(500).json({ message: "Error reviewing send." });
+  }
+}
+
+export default withPermission({ POST: PERMISSIONS.invitationsApprove }, handler, { school: false });
@@ -0,0 +1,43 @@
+import {
+  findInvitation,
+  summariseDeliveries,
+} from "../../../../lib/invitations/invitationStore";
+import { findJob } from "../../../../lib/invitations/jobQueue";
+import { withPermission } from "../../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../../lib/auth/permissions";
+
+/**
+ * GET /api/invitations/:id/status
+ * Returns the invitation status with delivery counts per status and channel.
+ */
+async function handler(req, res, caller) {
+  try {
+    const invitation = await findInvitation(req.query.id);
+    if (!invitation || !caller.belongsTo(invitation.schoolId)) {
+      return res.status(404).json({ message: "Invitation not found." });
+    }
+
+    const deliveries = await summariseDeliveries(invitation._id);
+    const job = invitation.jobId ? await findJob(invitation.jobId) : null;
+
+    return res.status(200).json({
+      invitationId: String(invitation._id),
+      status: invitation.status,
+      channels: invitation.channels,
+      scheduledDate: invitation.scheduledDate || null,
+      sentAt: invitation.sentAt || null,
+      job: job && {
+        status: job.status,
+        runAt: job.runAt,
+        attempts: job.attempts,
+        lastError: job.lastError,
+      },
+      deliveries,
+    });
+  } catch (error) {
+    console.error("Error fetching invitation status:", error);
+    return res.status(500).json({ message: "Error fetching invitation status." });
+  }
+}
+
+export default withPermission({ GET: PERMISSIONS.invitationsView }, handler, { school: false });
@@ -0,0 +1,24 @@
+import { listPendingApprovals } from "../../../lib/invitations/budgets";
+import { withPermission } from "../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../lib/auth/permissions";
+
+/**
+ * GET /api/invitations/approvals?schoolId=...
+ * Sends held for a principal because they were over the approval threshold or a budget,
+ * oldest first, with why each was held and who sent it.
+ */
+async function handler(req, res) {
+  if (!req.query.schoolId) {
+    return res.status(400).json({ message: "schoolId is required." });
+  }
+
+  try {
+    const invitations = await listPendingApprovals(req.query.schoolId);
+    return res.status(200).json({ invitations });
+  } catch (error) {
+    console.error("Error fetching pending approvals:", error);
+    return res.status(500).json({ message: "Error fetching pending approvals." });
+  }
+}
+
+export default withPermission({ GET: PERMISSIONS.invitationsView }, handler);
@@ -0,0 +1,27 @@
+import {
+  listInvitations,
+  findDeliveriesForInvitations,
+} from "../../../lib/invitations/invitationStore";
+import { buildTrackerEntries } from "../../../lib/invitations/deliveryStatus";
+import { withPermission } from "../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../lib/auth/permissions";
+
+/**
+ * GET /api/invitations/deliveries?schoolId=...&limit=...
+ * Per-recipient delivery status of recent invitations, as updated by provider receipts.
+ */
+async function handler(req, res) {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 20, 100);
+
+    const invitations = await listInvitations({ schoolId: String(req.query.schoolId) }, limit);
+    const deliveries = await findDeliveriesForInvitations(invitations.map(invitation => invitation._id));
+
+    return res.status(200).json({ invitations: buildTrackerEntries(invitations, deliveries) });
+  } catch (error) {
+    console.error("Error fetching deliveries:", error);
+    return res.status(500).json({ message: "Error fetching deliveries." });
+  }
+}
+
+export default withPermission({ GET: PERMISSIONS.invitationsView }, handler);
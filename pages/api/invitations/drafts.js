@@ -0,0 +1,33 @@
+import { saveDraft, listDrafts, findInvitation } from "../../../lib/invitations/invitationStore";
+import { withPermission } from "../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../lib/auth/permissions";
+
+/**
+ * GET  /api/invitations/drafts?schoolId=... - List saved drafts
+ * POST /api/invitations/drafts              - Create a draft, or update it when an id is given
+ */
+async function handler(req, res, caller) {
+  try {
+    if (req.method === "GET") {
+      const drafts = await listDrafts({ schoolId: String(req.query.schoolId) });
+      return res.status(200).json(drafts);
+    }
+
+    const { id, _id } = req.body || {};
+    const existing = id || _id ? await findInvitation(id || _id) : null;
+    if ((id || _id) && (!existing || !caller.belongsTo(existing.schoolId))) {
+      return res.status(404).json({ message: "Draft not found." });
+    }
+
+    const draft = await saveDraft(req.body || {});
+    if (!draft) {
+      return res.status(404).json({ message: "Draft not found." });
+    }
+    return res.status(200).json(draft);
+  } catch (error) {
+    console.error("Error saving draft:", error);
+    return res.status(500).json({ message: "Error saving draft." });
+  }
+}
+
+export default withPermission({ GET: PERMISSIONS.invitationsView, POST: PERMISSIONS.invitationsSend }, handler);
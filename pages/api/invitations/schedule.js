@@ -0,0 +1,114 @@
+import {
+  createInvitation,
+  updateInvitation,
+} from "../../../lib/invitations/invitationStore";
+import {
+  validateInvitationPayload,
+  buildInvitation,
+} from "../../../lib/invitations/deliveryPipeline";
+import { queueWithinBudget } from "../../../lib/invitations/budgets";
+import { toActor } from "../../../lib/invitations/templateStore";
+import { applyLanguagePreferences } from "../../../lib/invitations/languagePreferences";
+import { InsufficientCreditsError } from "../../../lib/invitations/creditLedger";
+import { enqueueJob, JOB_TYPES } from "../../../lib/invitations/jobQueue";
+import { zonedTimeToUtc } from "../../../lib/invitations/timezone";
+import { withPermission } from "../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../lib/auth/permissions";
+
+/**
+ * Work out when a scheduled invitation should go out.
+ * A wall-clock time plus timezone (e.g. Monday 07:00 in Africa/Johannesburg)
+ * wins over a plain ISO date, so the send time doesn't depend on the admin's browser.
+ */
+const resolveScheduledDate = ({ scheduledLocalTime, timezone, scheduledDate }) => {
+  if (scheduledLocalTime && timezone) {
+    return zonedTimeToUtc(scheduledLocalTime, timezone);
+  }
+  return new Date(scheduledDate);
+};
+
+/**
+ * POST /api/invitations/schedule
+ * Stores the invitation and its deliveries to be sent at scheduledDate.
+ * Credits are reserved now, so the send can't fail later for lack of them;
+ * responds 402 when the school's available credits can't cover the deliveries.
+ * A send over the school's approval threshold or budget is held and answered with
+ * 202 { status: 'pending_approval', approval }; it is scheduled once a principal approves.
+ */
+async function handler(req, res, caller) {
+  const { isValid, errors } = validateInvitationPayload(req.body);
+
+  let scheduledDate;
+  try {
+    scheduledDate = resolveScheduledDate(req.body || {});
+  } catch (error) {
+    return res.status(400).json({
+      message: "Invalid invitation",
+      errors: { ...errors, scheduling: `Unknown timezone: ${req.body.timezone}` },
+    });
+  }
+
+  if (Number.isNaN(scheduledDate.getTime())) {
+    errors.scheduling = "A valid scheduled date is required";
+  } else if (scheduledDate <= new Date()) {
+    errors.scheduling = "Scheduled date must be in the future";
+  }
+
+  if (!isValid || errors.scheduling) {
+    return res.status(400).json({ message: "Invalid invitation", errors });
+  }
+
+  let invitation;
+  try {
+    invitation = await createInvitation({
+      ...buildInvitation(await applyLanguagePreferences(req.body)),
+      // Budgets are per admin, so the sender comes from the signed-in caller rather than the payload
+      createdBy: toActor(caller.user),
+      status: "scheduled",
+      scheduledDate,
+      timezone: req.body.timezone || null,
+    });
+    const queued = await queueWithinBudget(invitation);
+    if (queued.status === "pending_approval") {
+      return res.status(202).json({
+        invitationId: String(invitation._id),
+        status: queued.status,
+        approval: queued.approval,
+        scheduledDate: scheduledDate.toISOString(),
+        timezone: invitation.timezone,
+      });
+    }
+    const { deliveries } = queued;
+    const job = await enqueueJob({
+      type: JOB_TYPES.sendInvitation,
+      payload: { invitationId: String(invitation._id) },
+      runAt: scheduledDate,
+    });
+    await updateInvitation(invitation._id, { jobId: job._id });
+
+    return res.status(201).json({
+      invitationId: String(invitation._id),
+      jobId: String(job._id),
+      status: invitation.status,
+      scheduledDate: scheduledDate.toISOString(),
+      timezone: invitation.timezone,
+      total: deliveries.length,
+      skipped: deliveries.filter(d => d.status === "skipped").length,
+      optedOut: deliveries.filter(d => d.optedOut).length,
+    });
+  } catch (error) {
+    if (error instanceof InsufficientCreditsError) {
+      await updateInvitation(invitation._id, { status: "insufficient_credits" });
+      return res.status(402).json({
+        message: error.message,
+        errors: { credits: error.message },
+        required: error.required,
+        available: error.available,
+      });
+    }
+    console.error("Error scheduling invitation:", error);
+    return res.status(500).json({ message: "Error scheduling invitation." });
+  }
+}
+
+export default withPermission({ POST: PERMISSIONS.invitationsSend }, handler);
@@ -0,0 +1,62 @@
+import { createInvitation, updateInvitation } from "../../../lib/invitations/invitationStore";
+import {
+  validateInvitationPayload,
+  buildInvitation,
+  processInvitation,
+} from "../../../lib/invitations/deliveryPipeline";
+import { queueWithinBudget } from "../../../lib/invitations/budgets";
+import { toActor } from "../../../lib/invitations/templateStore";
+import { applyLanguagePreferences } from "../../../lib/invitations/languagePreferences";
+import { InsufficientCreditsError, releaseUnusedCredits } from "../../../lib/invitations/creditLedger";
+import { withPermission } from "../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../lib/auth/permissions";
+
+/**
+ * POST /api/invitations/send
+ * Stores the invitation, expands it into deliveries and sends them right away.
+ * A send over the school's approval threshold or budget is held instead and answered with
+ * 202 { status: 'pending_approval', approval }; a principal's approval sends it.
+ * Responds 402 when the school's available credits can't cover the deliveries.
+ */
+async function handler(req, res, caller) {
+  const { isValid, errors } = validateInvitationPayload(req.body);
+  if (!isValid) {
+    return res.status(400).json({ message: "Invalid invitation", errors });
+  }
+
+  let invitation;
+  try {
+    invitation = await createInvitation({
+      ...buildInvitation(await applyLanguagePreferences(req.body)),
+      // Budgets are per admin, so the sender comes from the signed-in caller rather than the payload
+      createdBy: toActor(caller.user),
+      status: "queued",
+    });
+    const queued = await queueWithinBudget(invitation);
+    if (queued.status === "pending_approval") {
+      return res.status(202).json({
+        invitationId: String(invitation._id),
+        status: queued.status,
+        approval: queued.approval,
+      });
+    }
+
+    const results = await processInvitation(invitation._id);
+    await releaseUnusedCredits(invitation._id);
+    return res.status(200).json(results);
+  } catch (error) {
+    if (error instanceof InsufficientCreditsError) {
+      await updateInvitation(invitation._id, { status: "insufficient_credits" });
+      return res.status(402).json({
+        message: error.message,
+        errors: { credits: error.message },
+        required: error.required,
+        available: error.available,
+      });
+    }
+    console.error("Error sending invitation:", error);
+    return res.status(500).json({ message: "Error sending invitation." });
+  }
+}
+
+export default withPermission({ POST: PERMISSIONS.invitationsSend }, handler);
@@ -0,0 +1,71 @@
+import { createInvitation, updateInvitation } from "../../../lib/invitations/invitationStore";
+import {
+  validateInvitationPayload,
+  buildInvitation,
+  processInvitation,
+} from "../../../lib/invitations/deliveryPipeline";
+import { queueWithinBudget } from "../../../lib/invitations/budgets";
+import { toActor } from "../../../lib/invitations/templateStore";
+import { applyLanguagePreferences } from "../../../lib/invitations/languagePreferences";
+import { InsufficientCreditsError, releaseUnusedCredits } from "../../../lib/invitations/creditLedger";
+import { withPermission } from "../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../lib/auth/permissions";
+
+/**
+ * POST /api/invitations/test
+ * Sends the invitation to a single test recipient. A test costs what a real send does, so it
+ * goes the same way as /api/invitations/send: it is stored (marked test), its credits are
+ * reserved and captured, and it counts towards the messaging budgets. Answers 202 when the
+ * budget holds it for approval and 402 when the school's credits can't cover it.
+ */
+async function handler(req, res, caller) {
+  const { testRecipient, ...invitationData } = req.body || {};
+  if (!testRecipient) {
+    return res.status(400).json({ message: "A test recipient is required." });
+  }
+
+  const payload = {
+    ...invitationData,
+    recipients: [{ id: "test", name: "Test recipient", ...testRecipient }],
+  };
+  const { isValid, errors } = validateInvitationPayload(payload);
+  if (!isValid) {
+    return res.status(400).json({ message: "Invalid invitation", errors });
+  }
+
+  let invitation;
+  try {
+    invitation = await createInvitation({
+      ...buildInvitation(await applyLanguagePreferences(payload)),
+      createdBy: toActor(caller.user),
+      test: true,
+      status: "queued",
+    });
+    const queued = await queueWithinBudget(invitation);
+    if (queued.status === "pending_approval") {
+      return res.status(202).json({
+        invitationId: String(invitation._id),
+        status: queued.status,
+        approval: queued.approval,
+      });
+    }
+
+    const results = await processInvitation(invitation._id);
+    await releaseUnusedCredits(invitation._id);
+    return res.status(200).json(results);
+  } catch (error) {
+    if (error instanceof InsufficientCreditsError) {
+      await updateInvitation(invitation._id, { status: "insufficient_credits" });
+      return res.status(402).json({
+        message: error.message,
+        errors: { credits: error.message },
+        required: error.required,
+        available: error.available,
+      });
+    }
+    console.error("Error sending test invitation:", error);
+    return res.status(500).json({ message: "Error sending test invitation." });
+  }
+}
+
+export default withPermission({ POST: PERMISSIONS.invitationsSend }, handler);
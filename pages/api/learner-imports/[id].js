@@ -0,0 +1,58 @@
+import { applyImport } from "../../../lib/learners/learnerImports";
+import { toActor } from "../../../lib/invitations/templateStore";
+import { isRailsAuthError } from "../../../lib/railsServerApi";
+import { withPermission } from "../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../lib/auth/permissions";
+
+/** School details BulkUpload has always sent with each learner */
+const SCHOOL_DETAILS = ["schoolName", "schoolEmail", "userEmail", "province"];
+
+const pickSchoolDetails = (school) => Object.fromEntries(
+  SCHOOL_DETAILS.map(key => [key, typeof school?.[key] === "string" ? school[key] : ""])
+);
+
+/**
+ * POST /api/learner-imports/[id] - Apply a previewed import { schoolId, school }
+ * school is { schoolName, schoolEmail, userEmail, province }, sent to the Rails bulk upload
+ * with the new learners. Returns { applied, summary, failed }; failed lists the rows of new
+ * learners the upload didn't add, [{ rowNumber, message }]. When the roster changed since
+ * the preview nothing is written and 409 returns the fresh plan to review.
+ */
+async function handler(req, res, caller) {
+  const { schoolId, school = {} } = req.body || {};
+  if (!schoolId) {
+    return res.status(400).json({ message: "schoolId is required." });
+  }
+
+  try {
+    const result = await applyImport({
+      schoolId,
+      importId: req.query.id,
+      school: pickSchoolDetails(school),
+      appliedBy: toActor(caller.user),
+    });
+    if (result.error === "not_found") {
+      return res.status(404).json({ message: "Import not found; it may have expired. Upload the file again." });
+    }
+    if (result.error === "already_applied") {
+      return res.status(409).json({ message: "This import has already been applied." });
+    }
+    if (result.stale) {
+      return res.status(409).json({
+        message: "Learners changed since the preview. Review the updated changes and apply again.",
+        stale: true,
+        summary: result.summary,
+        plan: result.plan,
+      });
+    }
+    return res.status(200).json(result);
+  } catch (error) {
+    if (isRailsAuthError(error)) {
+      return res.status(401).json({ message: "Your session has expired. Sign in again." });
+    }
+    console.error("Error applying learner import:", error);
+    return res.status(500).json({ message: "Error applying learner import." });
+  }
+}
+
+export default withPermission({ POST: PERMISSIONS.learnersImport }, handler);
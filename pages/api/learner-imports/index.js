@@ -0,0 +1,39 @@
+import { previewImport } from "../../../lib/learners/learnerImports";
+import { toActor } from "../../../lib/invitations/templateStore";
+import { isRailsAuthError } from "../../../lib/railsServerApi";
+import { withPermission } from "../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../lib/auth/permissions";
+
+/** Rows one upload may hold */
+const MAX_IMPORT_ROWS = 5000;
+
+/**
+ * POST /api/learner-imports - Preview an upload { schoolId, gradeId, rows }
+ * rows are [{ rowNumber, values }] as mapped in BulkUpload. Nothing is written to the
+ * roster: the response lists what each row would do, and the importId applies it.
+ */
+async function handler(req, res, caller) {
+  const { schoolId, gradeId = null, rows } = req.body || {};
+  if (!schoolId || !Array.isArray(rows) || rows.length === 0) {
+    return res.status(400).json({ message: "schoolId and rows are required." });
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json({ message: `An upload can hold at most ${MAX_IMPORT_ROWS} learners.` });
+  }
+  if (rows.some(row => !Number.isInteger(row?.rowNumber) || !row.values || typeof row.values !== "object")) {
+    return res.status(400).json({ message: "Each row needs a rowNumber and values." });
+  }
+
+  try {
+    const preview = await previewImport({ schoolId, gradeId, rows, createdBy: toActor(caller.user) });
+    return res.status(200).json(preview);
+  } catch (error) {
+    if (isRailsAuthError(error)) {
+      return res.status(401).json({ message: "Your session has expired. Sign in again." });
+    }
+    console.error("Error previewing learner import:", error);
+    return res.status(500).json({ message: "Error previewing learner import." });
+  }
+}
+
+export default withPermission({ POST: PERMISSIONS.learnersImport }, handler);
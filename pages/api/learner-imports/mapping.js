@@ -0,0 +1,36 @@
+import { getImportMapping, saveImportMapping } from "../../../lib/learners/importMappings";
+import { toActor } from "../../../lib/invitations/templateStore";
+import { withPermission } from "../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../lib/auth/permissions";
+
+/**
+ * GET /api/learner-imports/mapping?schoolId=... - The school's saved column mapping, or null
+ * PUT /api/learner-imports/mapping - Save it { schoolId, mapping } where mapping is { fieldKey: header }
+ */
+async function handler(req, res, caller) {
+  try {
+    if (req.method === "GET") {
+      if (!req.query.schoolId) {
+        return res.status(400).json({ message: "schoolId is required." });
+      }
+      const saved = await getImportMapping(req.query.schoolId);
+      return res.status(200).json(saved);
+    }
+
+    const { schoolId, mapping } = req.body || {};
+    if (!schoolId || !mapping || typeof mapping !== "object") {
+      return res.status(400).json({ message: "schoolId and mapping are required." });
+    }
+
+    const result = await saveImportMapping({ schoolId, mapping, updatedBy: toActor(caller.user) });
+    if (result.errors) {
+      return res.status(400).json({ message: "Incomplete mapping.", errors: result.errors });
+    }
+    return res.status(200).json(result.mapping);
+  } catch (error) {
+    console.error("Error managing learner import mapping:", error);
+    return res.status(500).json({ message: "Error managing learner import mapping." });
+  }
+}
+
+export default withPermission({ GET: PERMISSIONS.learnersImport, PUT: PERMISSIONS.learnersImport }, handler);
@@ -0,0 +1,27 @@
+import { listLearners } from "../../../lib/learners/learnerStore";
+import { isRailsAuthError } from "../../../lib/railsServerApi";
+import { withPermission } from "../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../lib/auth/permissions";
+
+/**
+ * GET /api/learners?schoolId=...&gradeId=... - A school's learners, optionally one grade's,
+ * by surname then first name
+ */
+async function handler(req, res) {
+  if (!req.query.schoolId) {
+    return res.status(400).json({ message: "schoolId is required." });
+  }
+
+  try {
+    const learners = await listLearners(req.query.schoolId, { gradeId: req.query.gradeId || null });
+    return res.status(200).json(learners);
+  } catch (error) {
+    if (isRailsAuthError(error)) {
+      return res.status(401).json({ message: "Your session has expired. Sign in again." });
+    }
+    console.error("Error fetching learners:", error);
+    return res.status(500).json({ message: "Error fetching learners." });
+  }
+}
+
+export default withPermission({ GET: PERMISSIONS.learnersView }, handler);
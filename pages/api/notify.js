@@ -1,34 +1,83 @@
-export default function handler(req, res) {
-    if (req.method === 'POST') {
-        const validationString = Object.keys(req.body)
-            .sort()
-            .map((key) => `${key}=${req.body[key]}`)
-            .join('&');
-
-        // Log the notification data for debugging
-        console.log('IPN Data:', req.body);
-
-        // Verify payment by sending the data back to PayFast
-        fetch('https://www.payfast.co.za/eng/query/validate', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-            body: validationString,
-        })
-            .then((response) => response.text())
-            .then((verification) => {
-                if (verification === 'VALID') {
-                    console.log('Payment is valid.');
-                    res.status(200).send('Payment validated');
-                } else {
-                    console.error('Invalid payment.');
-                    res.status(400).send('Invalid payment');
-                }
-            })
-            .catch((error) => {
-                console.error('Error verifying payment:', error);
-                res.status(500).send('Internal server error');
-            });
-    } else {
-        res.status(405).json({ error: 'Method not allowed' });
+import { readRawBody } from "../../lib/invitations/webhooks";
+import {
+  getPayFastConfig,
+  verifyItnSignature,
+  requestAddress,
+  isPayFastAddress,
+  confirmWithPayFast,
+  amountsMatch,
+} from "../../lib/payments/payfast";
+import {
+  findCreditOrder,
+  recordOrderNotification,
+  completeCreditOrder,
+  cancelCreditOrder,
+} from "../../lib/payments/creditOrders";
+
+export const config = { api: { bodyParser: false } };
+
+/**
+ * POST /api/notify
+ * PayFast Instant Transaction Notification. The signature is checked over the fields in the
+ * order PayFast posted them, so the body is read raw. A COMPLETE payment credits the
+ * order's school once, however often PayFast resends the notification.
+ * Rejected notifications get a 400 and are not retried by PayFast; a 500 asks it to retry.
+ */
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", ["POST"]);
+    return res.status(405).json({ message: "Method not allowed" });
+  }
+
+  const payfast = getPayFastConfig();
+
+  try {
+    const entries = [...new URLSearchParams(await readRawBody(req)).entries()];
+    const data = Object.fromEntries(entries);
+
+    if (!verifyItnSignature(entries, payfast.passphrase)) {
+      console.error("PayFast ITN rejected: signature mismatch", data.m_payment_id);
+      return res.status(400).json({ message: "Invalid signature." });
+    }
+
+    const address = requestAddress(req, payfast.trustProxy);
+    if (!(await isPayFastAddress(address, payfast))) {
+      console.error(`PayFast ITN rejected: ${address} is not a PayFast address`, data.m_payment_id);
+      return res.status(400).json({ message: "Unknown source." });
+    }
+
+    const order = await findCreditOrder(data.m_payment_id);
+    if (!order) {
+      console.error("PayFast ITN rejected: unknown order", data.m_payment_id);
+      return res.status(400).json({ message: "Unknown order." });
+    }
+
+    let reason = null;
+    if (data.merchant_id !== payfast.merchantId) {
+      reason = "Merchant ID does not match";
+    } else if (!amountsMatch(data.amount_gross, order.amount)) {
+      reason = `Amount ${data.amount_gross} does not match the order's ${order.amount}`;
+    } else if (!(await confirmWithPayFast(entries, payfast))) {
+      reason = "PayFast did not confirm the notification";
+    }
+
+    await recordOrderNotification(order, { data, verified: !reason, reason });
+    if (reason) {
+      console.error(`PayFast ITN rejected for order ${order._id}: ${reason}`);
+      return res.status(400).json({ message: reason });
+    }
+
+    if (data.payment_status === "COMPLETE") {
+      const credited = await completeCreditOrder(order, data.pf_payment_id);
+      return res.status(200).json({ status: "paid", credited });
+    }
+    if (data.payment_status === "CANCELLED") {
+      await cancelCreditOrder(order);
+      return res.status(200).json({ status: "cancelled" });
     }
+    return res.status(200).json({ status: order.status });
+  } catch (error) {
+    console.error("Error processing PayFast notification:", error);
+    return res.status(500).json({ message: "Error processing notification." });
+  }
 }
@@ -0,0 +1,73 @@
+import {
+  addOptOut,
+  listOptOuts,
+  removeAdminOptOut,
+  channelsForAddress,
+  normaliseAddress,
+  OPT_OUT_SOURCES,
+} from "../../../lib/invitations/optOuts";
+import { toActor } from "../../../lib/invitations/templateStore";
+import { validatePhoneNumber } from "../../../components/adminPage/GradesManagemet/services/invitation/phoneNumbers";
+import { withPermission } from "../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../lib/auth/permissions";
+
+/**
+ * GET    /api/opt-outs?schoolId=...     - A school's opt-outs; platform admins also get the
+ *   entries that apply to every school, which nobody can remove here
+ * POST   /api/opt-outs                  - Add a manual entry { schoolId, address, channel, reason }
+ *   The entry records the signed-in caller as the admin who added it.
+ * DELETE /api/opt-outs?id=...&schoolId= - Remove a manual entry
+ */
+async function handler(req, res, caller) {
+  try {
+    if (req.method === "GET") {
+      const { schoolId } = req.query;
+      if (!schoolId) {
+        return res.status(400).json({ message: "schoolId is required." });
+      }
+      const includeGlobal = caller.can(PERMISSIONS.optOutsViewGlobal);
+      return res.status(200).json(await listOptOuts(schoolId, { includeGlobal }));
+    }
+
+    if (req.method === "POST") {
+      const { schoolId, address, channel = "all", reason = null } = req.body || {};
+      if (!schoolId || typeof address !== "string" || !normaliseAddress(address)) {
+        return res.status(400).json({ message: "schoolId and a phone number or email address are required." });
+      }
+      if (!address.includes("@")) {
+        const { isValid, error } = validatePhoneNumber(address);
+        if (!isValid) {
+          return res.status(400).json({ message: error });
+        }
+      }
+
+      const allowed = channelsForAddress(address);
+      const channels = channel === "all" ? allowed : [channel];
+      if (channels.some(c => !allowed.includes(c))) {
+        return res.status(400).json({ message: `A ${address.includes("@") ? "email address" : "phone number"} can't opt out of ${channel}.` });
+      }
+
+      const createdBy = toActor(caller.user);
+      const entries = [];
+      for (const c of channels) {
+        entries.push(await addOptOut({ schoolId, channel: c, address, source: OPT_OUT_SOURCES.admin, reason, createdBy }));
+      }
+      return res.status(201).json(entries);
+    }
+
+    const { id, schoolId } = req.query;
+    const removed = await removeAdminOptOut(id, schoolId);
+    if (!removed) {
+      return res.status(404).json({ message: "Only manual entries can be removed; guardians opt back in themselves." });
+    }
+    return res.status(204).end();
+  } catch (error) {
+    console.error("Error managing opt-outs:", error);
+    return res.status(500).json({ message: "Error managing opt-outs." });
+  }
+}
+
+export default withPermission(
+  { GET: PERMISSIONS.invitationsView, POST: PERMISSIONS.invitationsManage, DELETE: PERMISSIONS.invitationsManage },
+  handler
+);
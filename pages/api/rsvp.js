@@ -0,0 +1,41 @@
+import { getRsvpForm, recordRsvp, verifyRsvpToken } from "../../lib/invitations/rsvps";
+
+/**
+ * GET  /api/rsvp?token=... - The invitation and questions behind an RSVP link, with any earlier answer
+ * POST /api/rsvp?token=... { answer, answers } - Record the guardian's answer
+ *   answer is yes, no or maybe; answers holds the invitation's questions by ID.
+ * Used by pages/rsvp.js; the signed token stands in for signing in.
+ */
+export default async function handler(req, res) {
+  if (!["GET", "POST"].includes(req.method)) {
+    res.setHeader("Allow", ["GET", "POST"]);
+    return res.status(405).json({ message: "Method not allowed" });
+  }
+
+  const contact = verifyRsvpToken(req.query.token);
+  if (!contact) {
+    return res.status(400).json({ message: "This RSVP link is invalid." });
+  }
+
+  try {
+    if (req.method === "GET") {
+      const form = await getRsvpForm(req.query.token);
+      return form
+        ? res.status(200).json(form)
+        : res.status(404).json({ message: "This invitation no longer takes RSVPs." });
+    }
+
+    const { answer, answers = {} } = req.body || {};
+    const result = await recordRsvp({ ...contact, response: { answer, answers }, source: "link" });
+    if (!result) {
+      return res.status(404).json({ message: "This invitation no longer takes RSVPs." });
+    }
+    if (result.errors) {
+      return res.status(400).json({ message: "Please check your answers.", errors: result.errors });
+    }
+    return res.status(200).json(result.response);
+  } catch (error) {
+    console.error("Error recording RSVP:", error);
+    return res.status(500).json({ message: "Error recording RSVP." });
+  }
+}
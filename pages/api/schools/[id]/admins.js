@@ -0,0 +1,50 @@
+import { resolveCaller } from "../../../../lib/auth/withPermission";
+import { fetchUserSchools } from "../../../../lib/fetchSchools";
+import { grantCreatorAdmin, validateSchoolAdmins, addSchoolAdmins } from "../../../../lib/auth/schoolAdmins";
+import { PERMISSIONS } from "../../../../lib/auth/permissions";
+
+/**
+ * POST /api/schools/[id]/admins - Make people admins of a school { admins }
+ *   admins is [{ name, email }]; people without an account get one and a verification email.
+ *   Someone who belongs to a school the caller doesn't is refused in their result, as the
+ *   Admin role would apply there too. Returns { results: [{ email, userId, created, error }] }.
+ *
+ * Open to the school's admins, and to the school's creator, who is made its first admin
+ * here; creating a school and calling this with an empty list is how a creator gets the
+ * Admin role. Not wrapped in withPermission for that reason: a new creator has no role yet.
+ */
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", ["POST"]);
+    return res.status(405).json({ message: "Method not allowed" });
+  }
+
+  const schoolId = req.query.id;
+  const { admins = [] } = req.body || {};
+  const { errors } = validateSchoolAdmins(admins);
+  if (errors.length > 0) {
+    return res.status(400).json({ message: "Invalid admins", errors });
+  }
+
+  try {
+    const caller = await resolveCaller(req, res);
+    if (!caller) {
+      return res.status(401).json({ message: "Sign in to continue." });
+    }
+
+    // Read memberships fresh: the school may have been created moments ago
+    const membership = (await fetchUserSchools(caller.user.sub)).find(school => school.id === String(schoolId));
+    const isCreator = membership?.createdBy === caller.user.sub;
+    if (!membership || (!isCreator && !caller.can(PERMISSIONS.adminsManage))) {
+      return res.status(403).json({ message: "You don't have access to this school." });
+    }
+
+    if (isCreator) {
+      await grantCreatorAdmin(caller.user);
+    }
+    return res.status(200).json({ results: await addSchoolAdmins({ schoolId, admins, caller }) });
+  } catch (error) {
+    console.error("Error adding school admins:", error);
+    return res.status(500).json({ message: "Error adding school admins." });
+  }
+}
@@ -1,17 +1,22 @@
 import nodemailer from "nodemailer";
+import { isOptedOut, buildUnsubscribeLinks } from "../../lib/invitations/optOuts";
+import { withPermission } from "../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../lib/auth/permissions";
 
-export default async function handler(req, res) {
-  if (req.method !== "POST") {
-    return res.status(405).json({ message: "Method not allowed" });
-  }
-
-  const { email, inviterName } = req.body;
+async function handler(req, res) {
+  const { email, inviterName, schoolId = null } = req.body;
 
   if (!email || !inviterName) {
     return res.status(400).json({ message: "Email and inviter name are required." });
   }
 
   try {
+    // Skip addresses that unsubscribed; without a school every school's list is checked
+    if (await isOptedOut({ schoolId, channel: "email", address: email })) {
+      return res.status(200).json({ message: "Recipient has unsubscribed. Invitation not sent.", skipped: true });
+    }
+    const unsubscribe = buildUnsubscribeLinks({ schoolId, address: email });
+
     // Configure nodemailer with ExitDNS SMTP details
     const transporter = nodemailer.createTransport({
       host: "relay.dnsexit.com", // Replace with ExitDNS SMTP host
@@ -33,6 +38,12 @@ export default async function handler(req, res) {
              <p>Click here to sign up: <a href="https://schoolheadoffice.co.za/">Join Now</a></p>`, // HTML version
     };
 
+    if (unsubscribe) {
+      mailOptions.text += `\n\nTo stop receiving these emails, unsubscribe here: ${unsubscribe.pageUrl}`;
+      mailOptions.html += `<p style="font-size:12px;color:#6b7280">Don't want these emails? <a href="${unsubscribe.pageUrl}">Unsubscribe</a></p>`;
+      mailOptions.headers = unsubscribe.headers;
+    }
+
     await transporter.sendMail(mailOptions);
 
     return res.status(200).json({ message: "Invitation sent successfully." });
@@ -41,3 +52,5 @@ export default async function handler(req, res) {
     return res.status(500).json({ message: "Error sending email." });
   }
 }
+
+export default withPermission({ POST: PERMISSIONS.invitationsSend }, handler);
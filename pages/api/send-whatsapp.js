@@ -1,31 +1,22 @@
-export default async function handler(req, res) {
-  // Set up logging
-  const log = {
-    request: {
-      method: req.method,
-      headers: req.headers,
-      body: req.body,
-      query: req.query,
-    },
-    response: null,
-    errors: [],
-    timings: {
-      start: new Date(),
-      end: null,
-      duration: null
-    }
-  };
+import { isOptedOut } from '../../lib/invitations/optOuts';
+import { loadTemplateForSend } from '../../lib/invitations/whatsappTemplates';
+import { buildTemplateComponents } from '../../components/adminPage/GradesManagemet/services/invitation/whatsappTemplateMapping';
+import { validatePhoneNumber } from '../../components/adminPage/GradesManagemet/services/invitation/phoneNumbers';
+import { createProvider } from '../../components/adminPage/GradesManagemet/components/adminPage/grades/Invitations/providers';
+import { withPermission } from '../../lib/auth/withPermission';
+import { PERMISSIONS } from '../../lib/auth/permissions';
 
-  try {
-    // Validate request method
-    if (req.method !== 'POST') {
-      log.errors.push({ code: 'INVALID_METHOD', message: 'Only POST requests allowed' });
-      return res.status(405).json({ 
-        error: 'Method not allowed',
-        details: log 
-      });
-    }
+/**
+ * POST /api/send-whatsapp - Send one WhatsApp template message, e.g. a test from settings
+ * Body: { phoneNumber, schoolId, templateName, language, variables }
+ * Without a templateName Meta's hello_world sample is sent. With one, its parameters are
+ * filled from the school's saved mapping using `variables` as the recipient's values.
+ * Failures answer { error, code }; request headers and the access token are never logged
+ * or returned.
+ */
 
+async function handler(req, res) {
+  try {
     // Validate required environment variables
     const requiredEnvVars = [
       'WHATSAPP_PHONE_NUMBER_ID',
@@ -34,117 +25,80 @@ export default async function handler(req, res) {
 
     const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
     if (missingVars.length > 0) {
-      log.errors.push({
-        code: 'MISSING_ENV_VARS',
-        message: 'Required environment variables not set',
-        missing: missingVars
-      });
-      return res.status(500).json({ 
-        error: 'Server configuration error',
-        details: log 
-      });
+      console.error('send-whatsapp: missing environment variables', missingVars);
+      return res.status(500).json({ error: 'Server configuration error', code: 'MISSING_ENV_VARS' });
     }
 
     // Validate and format phone number
     const { phoneNumber } = req.body;
     if (!phoneNumber) {
-      log.errors.push({ code: 'MISSING_PHONE_NUMBER', message: 'No phone number provided' });
-      return res.status(400).json({ 
-        error: 'Phone number is required',
-        details: log 
-      });
+      return res.status(400).json({ error: 'Phone number is required', code: 'MISSING_PHONE_NUMBER' });
     }
 
-    // Format phone number (remove all non-digit characters)
-    const formattedNumber = phoneNumber.replace(/\D/g, '');
-    
-    // Ensure South African numbers start with 27 and are 11 digits
-    if (formattedNumber.startsWith('27') && formattedNumber.length !== 11) {
-      log.errors.push({
-        code: 'INVALID_SA_NUMBER',
-        message: 'South African numbers must be 11 digits (including 27)'
-      });
-      return res.status(400).json({ 
-        error: 'Invalid phone number format',
-        details: log 
-      });
+    // Format phone number the way the Cloud API expects: country code and number, digits only
+    const { isValid, error, phone } = validatePhoneNumber(phoneNumber, { channel: 'whatsapp' });
+    if (!isValid) {
+      return res.status(400).json({ error, code: 'INVALID_PHONE_NUMBER' });
+    }
+    const formattedNumber = phone.digits;
+
+    // Never message a guardian who opted out (POPIA)
+    if (await isOptedOut({ schoolId: req.body.schoolId, channel: 'whatsapp', address: formattedNumber })) {
+      return res.status(200).json({ skipped: true, reason: 'opted_out' });
+    }
+
+    // Resolve the template and fill its parameters from the school's mapping
+    const { templateName = 'hello_world', language = 'en_US', variables = {} } = req.body;
+    let components = [];
+    if (req.body.templateName) {
+      try {
+        const { description, mapping } = await loadTemplateForSend(req.body.schoolId, { name: templateName, language });
+        components = buildTemplateComponents(description, mapping, variables);
+      } catch (error) {
+        return res.status(400).json({ error: error.message, code: 'INVALID_TEMPLATE' });
+      }
     }
 
     // Prepare WhatsApp API request
-    const whatsappUrl = `https://graph.facebook.com/v22.0/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`;
-    
+    const whatsappUrl = `${createProvider('whatsapp').baseUrl}/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`;
+
     const payload = {
       messaging_product: "whatsapp",
       to: formattedNumber,
       type: "template",
       template: {
-        name: "hello_world",
-        language: { code: "en_US" }
-      }
-    };
-
-    log.whatsappRequest = {
-      url: whatsappUrl,
-      payload,
-      headers: {
-        'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
-        'Content-Type': 'application/json'
+        name: templateName,
+        language: { code: language },
+        ...(components.length > 0 && { components })
       }
     };
 
     // Make request to WhatsApp API
     const apiResponse = await fetch(whatsappUrl, {
       method: 'POST',
-      headers: log.whatsappRequest.headers,
+      headers: {
+        'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
+        'Content-Type': 'application/json'
+      },
       body: JSON.stringify(payload)
     });
 
     const responseData = await apiResponse.json();
-    log.whatsappResponse = {
-      status: apiResponse.status,
-      data: responseData
-    };
 
     // Handle WhatsApp API errors
     if (!apiResponse.ok) {
-      log.errors.push({
-        code: 'WHATSAPP_API_ERROR',
-        message: responseData.error?.message || 'WhatsApp API error',
-        details: responseData
-      });
-      
-      return res.status(apiResponse.status).json({ 
+      console.error(`send-whatsapp: WhatsApp API answered ${apiResponse.status}`, responseData.error?.code, responseData.error?.message);
+      return res.status(apiResponse.status).json({
         error: responseData.error?.message || 'WhatsApp API error',
-        details: log 
+        code: 'WHATSAPP_API_ERROR'
       });
     }
 
-    // Successful response
-    log.timings.end = new Date();
-    log.timings.duration = log.timings.end - log.timings.start;
-    log.response = {
-      status: 200,
-      data: responseData
-    };
-
     return res.status(200).json(responseData);
   } catch (error) {
-    log.errors.push({
-      code: 'SERVER_ERROR',
-      message: error.message,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
-    
-    log.timings.end = new Date();
-    log.timings.duration = log.timings.end - log.timings.start;
-
-    console.error('❌ Server Error:', error);
-    return res.status(500).json({ 
-      error: 'Internal server error',
-      details: process.env.NODE_ENV === 'development' ? log : null 
-    });
-  } finally {
-    // Log complete request/response cycle
-    console.log('📝 WhatsApp API Request Log:', JSON.stringify(log, null, 2));
+    console.error('send-whatsapp: could not send the message', error.message);
+    return res.status(500).json({ error: 'Internal server error', code: 'SERVER_ERROR' });
   }
-}
\ No newline at end of file
+}
+
+export default withPermission({ POST: PERMISSIONS.invitationsSend }, handler);
@@ -0,0 +1,31 @@
+import { addOptOut, verifyUnsubscribeToken, OPT_OUT_SOURCES } from "../../lib/invitations/optOuts";
+
+/**
+ * POST /api/unsubscribe?token=...
+ * Records an email unsubscribe. Called by mail clients for RFC 8058 one-click unsubscribe
+ * (List-Unsubscribe-Post) and by the confirmation button on pages/unsubscribe.js.
+ */
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", ["POST"]);
+    return res.status(405).json({ message: "Method not allowed" });
+  }
+
+  const contact = verifyUnsubscribeToken(req.query.token || req.body?.token);
+  if (!contact) {
+    return res.status(400).json({ message: "This unsubscribe link is invalid." });
+  }
+
+  try {
+    await addOptOut({
+      schoolId: contact.schoolId,
+      channel: "email",
+      address: contact.address,
+      source: OPT_OUT_SOURCES.unsubscribeLink,
+    });
+    return res.status(200).json({ unsubscribed: true, address: contact.address });
+  } catch (error) {
+    console.error("Error recording unsubscribe:", error);
+    return res.status(500).json({ message: "Error recording unsubscribe." });
+  }
+}
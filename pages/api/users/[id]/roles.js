@@ -0,0 +1,60 @@
+import { fetchUserRoles } from "../../../../lib/fetchUserRoles";
+import { fetchUserSchools } from "../../../../lib/fetchSchools";
+import { grantRoles, schoolsOutsideCaller } from "../../../../lib/auth/schoolAdmins";
+import { withPermission } from "../../../../lib/auth/withPermission";
+import { PERMISSIONS, SCHOOL_ROLES } from "../../../../lib/auth/permissions";
+
+/**
+ * GET  /api/users/[id]/roles - A user's Auth0 role names { roles }
+ * POST /api/users/[id]/roles - Give a user roles { roles }, from SCHOOL_ROLES
+ *   Only roles the caller holds can be given. Returns { roles } - all of the user's roles.
+ *   Auth0 roles apply at every school the user belongs to, so a grant to someone who also
+ *   belongs to a school the caller doesn't is refused with 403.
+ *
+ * The user must belong to one of the caller's schools; [id] is their Auth0 user ID.
+ */
+async function handler(req, res, caller) {
+  const userId = req.query.id;
+
+  try {
+    const schools = await fetchUserSchools(userId);
+    if (!schools.some(school => caller.belongsTo(school.id))) {
+      return res.status(404).json({ message: "User not found." });
+    }
+
+    if (req.method === "GET") {
+      return res.status(200).json({ roles: await fetchUserRoles(userId) });
+    }
+
+    const { roles } = req.body || {};
+    if (!Array.isArray(roles) || roles.length === 0) {
+      return res.status(400).json({ message: "roles is required." });
+    }
+    const errors = roles
+      .filter(role => !SCHOOL_ROLES.includes(role) || !caller.roles.includes(role))
+      .map(role => `You can't give the ${role} role.`);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: "Invalid roles", errors });
+    }
+
+    const outside = await schoolsOutsideCaller(userId, roles, caller);
+    if (outside.length > 0) {
+      return res.status(403).json({
+        message: "This user also belongs to schools you don't run, where these roles would apply too.",
+        schools: outside.map(school => school.name || school.id),
+      });
+    }
+
+    return res.status(200).json({ roles: await grantRoles(userId, roles) });
+  } catch (error) {
+    const action = req.method === "GET" ? "fetching" : "updating";
+    console.error(`Error ${action} user roles:`, error);
+    return res.status(500).json({ message: `Error ${action} user roles.` });
+  }
+}
+
+export default withPermission(
+  { GET: PERMISSIONS.adminsManage, POST: PERMISSIONS.adminsManage },
+  handler,
+  { school: false }
+);
@@ -0,0 +1,31 @@
+import { resolveCaller } from "../../../lib/auth/withPermission";
+
+/**
+ * GET /api/users/me - The signed-in user's roles, permissions and schools
+ * Returns { user: { id, name, email }, roles, permissions, schools }; pages read roles
+ * here instead of calling the Auth0 Management API.
+ */
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", ["GET"]);
+    return res.status(405).json({ message: "Method not allowed" });
+  }
+
+  try {
+    const caller = await resolveCaller(req, res);
+    if (!caller) {
+      return res.status(401).json({ message: "Sign in to continue." });
+    }
+
+    const { user, roles, permissions, schools } = caller;
+    return res.status(200).json({
+      user: { id: user.sub, name: user.name || null, email: user.email || null },
+      roles,
+      permissions,
+      schools,
+    });
+  } catch (error) {
+    console.error("Error fetching the signed-in user:", error);
+    return res.status(500).json({ message: "Error fetching your roles." });
+  }
+}
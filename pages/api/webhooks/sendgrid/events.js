@@ -0,0 +1,52 @@
+import { applyDeliveryReceipt, readRawBody, verifySendGridSignature } from "../../../../lib/invitations/webhooks";
+
+export const config = { api: { bodyParser: false } };
+
+/**
+ * POST /api/webhooks/sendgrid/events
+ * SendGrid signed event webhook. SENDGRID_WEBHOOK_PUBLIC_KEY holds the verification key
+ * shown when signing is enabled in the SendGrid mail settings.
+ */
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", ["POST"]);
+    return res.status(405).json({ message: "Method not allowed" });
+  }
+
+  const publicKey = process.env.SENDGRID_WEBHOOK_PUBLIC_KEY;
+  if (!publicKey) {
+    return res.status(500).json({ message: "SendGrid webhook is not configured." });
+  }
+
+  try {
+    const raw = await readRawBody(req);
+    if (!verifySendGridSignature(req, raw, publicKey)) {
+      return res.status(401).json({ message: "Invalid or expired signature." });
+    }
+
+    let events;
+    try {
+      events = JSON.parse(raw);
+    } catch (error) {
+      return res.status(400).json({ message: "Malformed event payload." });
+    }
+
+    const results = [];
+    for (const event of Array.isArray(events) ? events : []) {
+      results.push(await applyDeliveryReceipt({
+        provider: "sendgrid",
+        // sg_message_id is the X-Message-Id returned on send plus a ".filter..." suffix
+        messageId: (event.sg_message_id || "").split(".")[0],
+        deliveryId: event.deliveryId,
+        rawStatus: event.event,
+        occurredAt: event.timestamp ? new Date(event.timestamp * 1000) : new Date(),
+        error: event.reason || event.response || null,
+      }));
+    }
+
+    return res.status(200).json({ processed: results.length, applied: results.filter(r => r.applied).length });
+  } catch (error) {
+    console.error("Error handling SendGrid events:", error);
+    return res.status(500).json({ message: "Error handling events." });
+  }
+}
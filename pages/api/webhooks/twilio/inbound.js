@@ -0,0 +1,52 @@
+import { readRawBody, verifyTwilioSignature } from "../../../../lib/invitations/webhooks";
+import { handleKeywordReply } from "../../../../lib/invitations/optOuts";
+import { handleRsvpReply } from "../../../../lib/invitations/rsvps";
+import { RSVP_ANSWERS } from "../../../../components/adminPage/GradesManagemet/services/invitation/rsvp";
+
+export const config = { api: { bodyParser: false } };
+
+const CONFIRMATIONS = {
+  stop: "You have been unsubscribed and will receive no further messages. Reply START to resubscribe.",
+  start: "You have been resubscribed to school messages. Reply STOP to unsubscribe.",
+};
+
+/**
+ * POST /api/webhooks/twilio/inbound
+ * Incoming SMS and WhatsApp messages on the Twilio sender. STOP and START replies update
+ * the opt-out registry; YES, NO and MAYBE answer the latest invitation asking for an RSVP.
+ * TWILIO_INBOUND_WEBHOOK_URL must match the URL configured in Twilio.
+ */
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", ["POST"]);
+    return res.status(405).json({ message: "Method not allowed" });
+  }
+
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!authToken) {
+    return res.status(500).json({ message: "Twilio webhook is not configured." });
+  }
+
+  try {
+    const params = Object.fromEntries(new URLSearchParams(await readRawBody(req)));
+    if (!verifyTwilioSignature(req, params, authToken, process.env.TWILIO_INBOUND_WEBHOOK_URL)) {
+      return res.status(401).json({ message: "Invalid signature." });
+    }
+
+    const from = params.From || "";
+    const reply = { channel: from.startsWith("whatsapp:") ? "whatsapp" : "sms", from, text: params.Body };
+    const keyword = await handleKeywordReply(reply);
+    const answer = keyword ? null : await handleRsvpReply(reply);
+
+    // Reply with TwiML so the guardian gets a confirmation
+    const confirmation = keyword
+      ? CONFIRMATIONS[keyword]
+      : answer && `Thank you, we have your RSVP: ${RSVP_ANSWERS[answer].label}. Reply again to change it.`;
+    const twiml = confirmation ? `<Message>${confirmation}</Message>` : "";
+    res.setHeader("Content-Type", "text/xml");
+    return res.status(200).send(`<?xml version="1.0" encoding="UTF-8"?><Response>${twiml}</Response>`);
+  } catch (error) {
+    console.error("Error handling Twilio inbound message:", error);
+    return res.status(500).json({ message: "Error handling inbound message." });
+  }
+}
@@ -0,0 +1,39 @@
+import { applyDeliveryReceipt, readRawBody, verifyTwilioSignature } from "../../../../lib/invitations/webhooks";
+
+export const config = { api: { bodyParser: false } };
+
+/**
+ * POST /api/webhooks/twilio/status
+ * Twilio message status callback (SMS and WhatsApp). Configure TWILIO_STATUS_CALLBACK_URL
+ * with this route's public URL; the same value is used to check X-Twilio-Signature.
+ */
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", ["POST"]);
+    return res.status(405).json({ message: "Method not allowed" });
+  }
+
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!authToken) {
+    return res.status(500).json({ message: "Twilio webhook is not configured." });
+  }
+
+  try {
+    const params = Object.fromEntries(new URLSearchParams(await readRawBody(req)));
+    if (!verifyTwilioSignature(req, params, authToken)) {
+      return res.status(401).json({ message: "Invalid signature." });
+    }
+
+    const result = await applyDeliveryReceipt({
+      provider: "twilio",
+      messageId: params.MessageSid,
+      rawStatus: params.MessageStatus,
+      error: params.ErrorCode ? `Twilio error ${params.ErrorCode}${params.ErrorMessage ? `: ${params.ErrorMessage}` : ""}` : null,
+    });
+
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error("Error handling Twilio status callback:", error);
+    return res.status(500).json({ message: "Error handling status callback." });
+  }
+}
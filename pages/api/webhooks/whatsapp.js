@@ -0,0 +1,112 @@
+import { applyDeliveryReceipt, readRawBody, safeEqual, verifyMetaSignature } from "../../../lib/invitations/webhooks";
+import { handleKeywordReply } from "../../../lib/invitations/optOuts";
+import { handleRsvpReply } from "../../../lib/invitations/rsvps";
+import { applyTemplateStatusUpdate } from "../../../lib/invitations/whatsappTemplates";
+
+export const config = { api: { bodyParser: false } };
+
+/**
+ * Pull status updates, incoming messages and template reviews out of a WhatsApp Cloud API webhook payload
+ * @param {Object} payload - Webhook body
+ * @returns {Object} { statuses, messages, templateUpdates }
+ */
+const extractChanges = (payload) => {
+  const statuses = [];
+  const messages = [];
+  const templateUpdates = [];
+  (payload.entry || []).forEach(entry => {
+    (entry.changes || []).forEach(change => {
+      if (change.field === "message_template_status_update") {
+        templateUpdates.push(change.value);
+        return;
+      }
+      statuses.push(...(change.value?.statuses || []));
+      messages.push(...(change.value?.messages || []));
+    });
+  });
+  return { statuses, messages, templateUpdates };
+};
+
+/**
+ * Text of an incoming message, including quick-reply button labels
+ * @param {Object} message - Cloud API message object
+ * @returns {string} Message text
+ */
+const messageText = (message) => {
+  return message.text?.body || message.button?.text || message.interactive?.button_reply?.title || "";
+};
+
+/**
+ * GET  /api/webhooks/whatsapp - Meta subscription check (hub.challenge) using WHATSAPP_VERIFY_TOKEN
+ * POST /api/webhooks/whatsapp - WhatsApp Cloud API notifications (message statuses, incoming
+ *                               replies and template reviews), signed with WHATSAPP_APP_SECRET
+ */
+export default async function handler(req, res) {
+  if (req.method === "GET") {
+    const verifyToken = process.env.WHATSAPP_VERIFY_TOKEN;
+    if (verifyToken && req.query["hub.mode"] === "subscribe" && safeEqual(req.query["hub.verify_token"], verifyToken)) {
+      return res.status(200).send(req.query["hub.challenge"]);
+    }
+    return res.status(403).json({ message: "Verification failed." });
+  }
+
+  if (req.method !== "POST") {
+    res.setHeader("Allow", ["GET", "POST"]);
+    return res.status(405).json({ message: "Method not allowed" });
+  }
+
+  const appSecret = process.env.WHATSAPP_APP_SECRET;
+  if (!appSecret) {
+    return res.status(500).json({ message: "WhatsApp webhook is not configured." });
+  }
+
+  try {
+    const raw = await readRawBody(req);
+    if (!verifyMetaSignature(req, raw, appSecret)) {
+      return res.status(401).json({ message: "Invalid signature." });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(raw);
+    } catch (error) {
+      return res.status(400).json({ message: "Malformed notification." });
+    }
+
+    const { statuses, messages, templateUpdates } = extractChanges(payload);
+    const results = [];
+    for (const status of statuses) {
+      const failure = status.errors?.[0];
+      results.push(await applyDeliveryReceipt({
+        provider: "whatsapp",
+        messageId: status.id,
+        deliveryId: status.biz_opaque_callback_data || null,
+        rawStatus: status.status,
+        occurredAt: status.timestamp ? new Date(Number(status.timestamp) * 1000) : new Date(),
+        error: failure ? `${failure.code}: ${failure.error_data?.details || failure.title}` : null,
+      }));
+    }
+
+    // STOP and START replies update the opt-out registry; anything else may be an RSVP
+    for (const message of messages) {
+      const reply = { channel: "whatsapp", from: message.from, text: messageText(message) };
+      if (!await handleKeywordReply(reply)) {
+        await handleRsvpReply(reply);
+      }
+    }
+
+    // Meta's review outcome, so a template becomes sendable without waiting for a sync
+    for (const update of templateUpdates) {
+      await applyTemplateStatusUpdate({
+        name: update.message_template_name,
+        language: update.message_template_language,
+        status: update.event,
+      });
+    }
+
+    return res.status(200).json({ processed: results.length, applied: results.filter(r => r.applied).length });
+  } catch (error) {
+    console.error("Error handling WhatsApp notification:", error);
+    return res.status(500).json({ message: "Error handling notification." });
+  }
+}
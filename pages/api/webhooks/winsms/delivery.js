@@ -0,0 +1,65 @@
+import { applyDeliveryReceipt, readRawBody, safeEqual } from "../../../../lib/invitations/webhooks";
+
+export const config = { api: { bodyParser: false } };
+
+/**
+ * Parse a WinSMS delivery report body: JSON (a single report, an array, or
+ * { deliveryReports: [...] }) or form-encoded fields for one report
+ * @param {import('http').IncomingMessage} req - Incoming request
+ * @param {string} raw - Raw body
+ * @returns {Array} Delivery reports
+ */
+const parseReports = (req, raw) => {
+  if ((req.headers["content-type"] || "").includes("application/x-www-form-urlencoded")) {
+    return [Object.fromEntries(new URLSearchParams(raw))];
+  }
+  const body = JSON.parse(raw || "[]");
+  if (Array.isArray(body)) return body;
+  return Array.isArray(body.deliveryReports) ? body.deliveryReports : [body];
+};
+
+/**
+ * POST /api/webhooks/winsms/delivery?token=...
+ * WinSMS delivery report callback. WinSMS does not sign its callbacks, so the report URL
+ * configured in the WinSMS portal carries WINSMS_WEBHOOK_SECRET as the token parameter.
+ */
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", ["POST"]);
+    return res.status(405).json({ message: "Method not allowed" });
+  }
+
+  const secret = process.env.WINSMS_WEBHOOK_SECRET;
+  if (!secret) {
+    return res.status(500).json({ message: "WinSMS webhook is not configured." });
+  }
+  if (!safeEqual(req.query.token, secret)) {
+    return res.status(401).json({ message: "Invalid token." });
+  }
+
+  try {
+    let reports;
+    try {
+      reports = parseReports(req, await readRawBody(req));
+    } catch (error) {
+      return res.status(400).json({ message: "Malformed delivery report." });
+    }
+
+    const results = [];
+    for (const report of reports) {
+      results.push(await applyDeliveryReceipt({
+        provider: "winsms",
+        messageId: report.apiMessageId,
+        deliveryId: report.clientMessageId,
+        rawStatus: report.status,
+        occurredAt: report.statusTime ? new Date(report.statusTime) : new Date(),
+        error: report.errorMessage || null,
+      }));
+    }
+
+    return res.status(200).json({ processed: results.length, applied: results.filter(r => r.applied).length });
+  } catch (error) {
+    console.error("Error handling WinSMS delivery report:", error);
+    return res.status(500).json({ message: "Error handling delivery report." });
+  }
+}
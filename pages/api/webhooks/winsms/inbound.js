@@ -0,0 +1,69 @@
+import { readRawBody, safeEqual } from "../../../../lib/invitations/webhooks";
+import { handleKeywordReply } from "../../../../lib/invitations/optOuts";
+import { handleRsvpReply } from "../../../../lib/invitations/rsvps";
+
+export const config = { api: { bodyParser: false } };
+
+/**
+ * Parse WinSMS inbound messages: JSON (a single message, an array, or
+ * { incomingMessages: [...] }) or form-encoded fields for one message
+ * @param {import('http').IncomingMessage} req - Incoming request
+ * @param {string} raw - Raw body
+ * @returns {Array} Inbound messages
+ */
+const parseMessages = (req, raw) => {
+  if ((req.headers["content-type"] || "").includes("application/x-www-form-urlencoded")) {
+    return [Object.fromEntries(new URLSearchParams(raw))];
+  }
+  const body = JSON.parse(raw || "[]");
+  if (Array.isArray(body)) return body;
+  return Array.isArray(body.incomingMessages) ? body.incomingMessages : [body];
+};
+
+/**
+ * POST /api/webhooks/winsms/inbound?token=...
+ * Replies to the WinSMS short code or long number. STOP and START update the opt-out
+ * registry; YES, NO and MAYBE answer the latest invitation asking for an RSVP. Secured
+ * with WINSMS_WEBHOOK_SECRET like the delivery report callback.
+ */
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", ["POST"]);
+    return res.status(405).json({ message: "Method not allowed" });
+  }
+
+  const secret = process.env.WINSMS_WEBHOOK_SECRET;
+  if (!secret) {
+    return res.status(500).json({ message: "WinSMS webhook is not configured." });
+  }
+  if (!safeEqual(req.query.token, secret)) {
+    return res.status(401).json({ message: "Invalid token." });
+  }
+
+  try {
+    let messages;
+    try {
+      messages = parseMessages(req, await readRawBody(req));
+    } catch (error) {
+      return res.status(400).json({ message: "Malformed inbound message." });
+    }
+
+    const keywords = [];
+    let rsvps = 0;
+    for (const message of messages) {
+      const reply = {
+        channel: "sms",
+        from: message.mobileNumber || message.msisdn,
+        text: message.message || message.text,
+      };
+      const keyword = await handleKeywordReply(reply);
+      keywords.push(keyword);
+      if (!keyword && await handleRsvpReply(reply)) rsvps += 1;
+    }
+
+    return res.status(200).json({ processed: keywords.length, optOuts: keywords.filter(k => k === "stop").length, rsvps });
+  } catch (error) {
+    console.error("Error handling WinSMS inbound message:", error);
+    return res.status(500).json({ message: "Error handling inbound message." });
+  }
+}
@@ -0,0 +1,54 @@
+import { createProvider } from "../../../../components/adminPage/GradesManagemet/components/adminPage/grades/Invitations/providers";
+import { listWhatsAppTemplates, syncWhatsAppTemplates } from "../../../../lib/invitations/whatsappTemplates";
+import { withPermission } from "../../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../../lib/auth/permissions";
+
+/**
+ * GET    /api/whatsapp/templates[?approved=true] - Templates synced from the WhatsApp Business account
+ * POST   /api/whatsapp/templates - Submit a template to Meta for review { name, language, category, components }
+ * DELETE /api/whatsapp/templates?name=... - Delete a template at Meta, in every language
+ * Changes are made at Meta and then re-synced, so the local copy always matches the account.
+ * The account is shared by every school, so requests name no school, and only platform
+ * admins (PLATFORM_ROLES) may add or delete templates every school depends on.
+ */
+async function handler(req, res) {
+  try {
+    if (req.method === "GET") {
+      const templates = await listWhatsAppTemplates({ approvedOnly: req.query.approved === "true" });
+      return res.status(200).json(templates);
+    }
+
+    const whatsapp = createProvider("whatsapp");
+    if (req.method === "POST") {
+      const { name, language, category, components } = req.body || {};
+      if (!/^[a-z0-9_]+$/.test(name || "") || !language || !category || !Array.isArray(components)) {
+        return res.status(400).json({
+          message: "A lowercase name (letters, numbers and underscores), language, category and components are required.",
+        });
+      }
+      const created = await whatsapp.createTemplate({ name, language, category, components });
+      await syncWhatsAppTemplates(whatsapp);
+      return res.status(201).json(created);
+    }
+
+    if (!req.query.name) {
+      return res.status(400).json({ message: "name is required." });
+    }
+    await whatsapp.deleteTemplate(req.query.name);
+    await syncWhatsAppTemplates(whatsapp);
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    console.error("Error managing WhatsApp templates:", error);
+    // Errors from Meta carry its status; pass its explanation on, e.g. a rejected template body
+    if (error.status !== undefined) {
+      return res.status(502).json({ message: `WhatsApp rejected the request: ${error.message}` });
+    }
+    return res.status(500).json({ message: "Error managing WhatsApp templates." });
+  }
+}
+
+export default withPermission(
+  { GET: PERMISSIONS.invitationsView, POST: PERMISSIONS.whatsappTemplatesManage, DELETE: PERMISSIONS.whatsappTemplatesManage },
+  handler,
+  { school: false }
+);
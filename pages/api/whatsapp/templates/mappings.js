@@ -0,0 +1,44 @@
+import { listTemplateMappings, saveTemplateMapping } from "../../../../lib/invitations/whatsappTemplates";
+import { toActor } from "../../../../lib/invitations/templateStore";
+import { withPermission } from "../../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../../lib/auth/permissions";
+
+/**
+ * GET /api/whatsapp/templates/mappings?schoolId=... - A school's parameter mappings
+ * PUT /api/whatsapp/templates/mappings - Save a mapping { schoolId, name, language, header, body }
+ *     where header is { parameters, mediaUrl } and body is { parameters }
+ */
+async function handler(req, res, caller) {
+  try {
+    if (req.method === "GET") {
+      if (!req.query.schoolId) {
+        return res.status(400).json({ message: "schoolId is required." });
+      }
+      const mappings = await listTemplateMappings(req.query.schoolId);
+      return res.status(200).json(mappings);
+    }
+
+    const { schoolId, name, language, header, body } = req.body || {};
+    if (!schoolId || !name || !language) {
+      return res.status(400).json({ message: "schoolId, name and language are required." });
+    }
+
+    const { mapping, errors } = await saveTemplateMapping({
+      schoolId,
+      name,
+      language,
+      header,
+      body,
+      updatedBy: toActor(caller.user),
+    });
+    if (errors) {
+      return res.status(400).json({ message: "Incomplete mapping.", errors });
+    }
+    return res.status(200).json(mapping);
+  } catch (error) {
+    console.error("Error managing WhatsApp template mappings:", error);
+    return res.status(500).json({ message: "Error managing WhatsApp template mappings." });
+  }
+}
+
+export default withPermission({ GET: PERMISSIONS.invitationsView, PUT: PERMISSIONS.invitationsManage }, handler);
@@ -0,0 +1,19 @@
+import { syncWhatsAppTemplates } from "../../../../lib/invitations/whatsappTemplates";
+import { withPermission } from "../../../../lib/auth/withPermission";
+import { PERMISSIONS } from "../../../../lib/auth/permissions";
+
+/**
+ * POST /api/whatsapp/templates/sync - Refresh the local copy of the WhatsApp Business
+ * account's templates and their review status from Meta. The account is shared by every school.
+ */
+async function handler(req, res) {
+  try {
+    const result = await syncWhatsAppTemplates();
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error("Error syncing WhatsApp templates:", error);
+    return res.status(502).json({ message: `Could not sync templates from WhatsApp: ${error.message}` });
+  }
+}
+
+export default withPermission({ POST: PERMISSIONS.invitationsManage }, handler, { school: false });
@@ -6,6 +6,8 @@ import DesktopHome from '../components/FrontPageComponents/DesktopHome';
 import MobileHome from '../components/FrontPageComponents/MobileHome';
 import LoadingSpinner from '../components/spinners/LoadingSpinner';
 import clientPromise from '../lib/mongodb';
+import useUserRoles from '../hooks/useUserRoles';
+import { ensureUserRecord } from '../components/adminPage/services/userService';
 
 
 const Home = ({ schools }) => {
@@ -18,10 +20,10 @@ const Home = ({ schools }) => {
     dropdownOpen: false,
     userData: null,
     error: null,
-    userRoles: [],
   });
 
-  const { isMobile, chatOpen, dropdownOpen, error, userRoles, userData } = state;
+  const { isMobile, chatOpen, dropdownOpen, error, userData } = state;
+  const { roles: userRoles, loading: rolesLoading } = useUserRoles();
 
   useEffect(() => {
     const handleResize = () => {
@@ -32,77 +34,19 @@ const Home = ({ schools }) => {
     return () => window.removeEventListener('resize', handleResize);
   }, []);
 
-  const fetchUserRoles = async (accessToken, userId) => {
-    const rolesUrl = `https://dev-t0o26rre86m7t8lo.us.auth0.com/api/v2/users/${userId}/roles`;
-    const response = await fetch(rolesUrl, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${accessToken}`,
-      },
-    });
-
-    if (!response.ok) throw new Error('Failed to fetch user roles');
-    const rolesData = await response.json();
-    return rolesData.map(role => role.name);
-  };
-
   useEffect(() => {
     const fetchData = async () => {
-      if (!user) return;
+      if (!user || rolesLoading) return;
       try {
-        const response = await fetch('/api/getAccessToken', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-        });
-        if (!response.ok) throw new Error('Failed to fetch access token');
-
-        const { accessToken } = await response.json();
-        const userId = encodeURIComponent(user.sub);
-
-        const roles = await fetchUserRoles(accessToken, userId);
-        setState((prev) => ({ ...prev, userRoles: roles }));
-
-        const checkUserUrl = `http://localhost:4000/api/v1/users/${userId}`;
-        const postUserUrl = `http://localhost:4000/api/v1/users/`;
-
-        const userResponse = await fetch(checkUserUrl, {
-          headers: { Authorization: `Bearer ${accessToken}` },
-        });
-
-        if (userResponse.status === 404) {
-          const userPayload = {
-            auth0_id: user.sub,
-            name: user.name,
-            email: user.email,
-            roles: roles.length > 0 ? roles : ['default_role'],
-          };
-
-          const createResponse = await fetch(postUserUrl, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              Authorization: `Bearer ${accessToken}`,
-            },
-            body: JSON.stringify(userPayload),
-          });
-
-          if (!createResponse.ok) throw new Error('Failed to create user');
-          const createdUser = await createResponse.json();
-          setState((prev) => ({ ...prev, userData: createdUser }));
-        } else if (userResponse.ok) {
-          const existingUser = await userResponse.json();
-          setState((prev) => ({ ...prev, userData: existingUser }));
-        } else {
-          throw new Error('Failed to fetch user data');
-        }
+        const userData = await ensureUserRecord(user, userRoles);
+        setState((prev) => ({ ...prev, userData }));
       } catch (err) {
         setState((prev) => ({ ...prev, error: err.message }));
       }
     };
 
     fetchData();
-  }, [user]);
+  }, [user, rolesLoading]);
 
   if (isLoading) return <LoadingSpinner />;
   if (error) return <div>Error: {error}</div>;
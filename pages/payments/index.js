@@ -2,6 +2,9 @@ import { useState, useEffect } from 'react';
 import FrontPageLayout from '../../components/Layouts/FrontPageLayout';
 import FrontPageLayoutMobileView from '../../components/Layouts/FrontPageLayoutMobile/FrontPageLayoutMobileView';
 import { useUser } from '@auth0/nextjs-auth0/client';
+import useUserRoles from '../../hooks/useUserRoles';
+import { ensureUserRecord } from '../../components/adminPage/services/userService';
+import { appApi } from '../../components/adminPage/services/api';
 
 export default function PricingPage() {
   const [isMobile, setIsMobile] = useState(false);
@@ -17,7 +20,8 @@ export default function PricingPage() {
   });
   const [isLoading, setIsLoading] = useState(false);
   const [message, setMessage] = useState('');
-  const { chatOpen, dropdownOpen, error, userRoles, userData } = state;
+  const { chatOpen, dropdownOpen, error, userData } = state;
+  const { roles: userRoles, loading: rolesLoading } = useUserRoles();
 
   // Function to detect screen size
   useEffect(() => {
@@ -33,77 +37,19 @@ export default function PricingPage() {
     };
   }, []);
 
-  const fetchUserRoles = async (accessToken, userId) => {
-    const rolesUrl = `https://dev-t0o26rre86m7t8lo.us.auth0.com/api/v2/users/${userId}/roles`;
-    const response = await fetch(rolesUrl, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${accessToken}`,
-      },
-    });
-
-    if (!response.ok) throw new Error('Failed to fetch user roles');
-    const rolesData = await response.json();
-    return rolesData.map(role => role.name);
-  };
-
   useEffect(() => {
     const fetchData = async () => {
-      if (!user) return;
+      if (!user || rolesLoading) return;
       try {
-        const response = await fetch('/api/getAccessToken', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-        });
-        if (!response.ok) throw new Error('Failed to fetch access token');
-
-        const { accessToken } = await response.json();
-        const userId = encodeURIComponent(user.sub);
-
-        const roles = await fetchUserRoles(accessToken, userId);
-        setState((prev) => ({ ...prev, userRoles: roles }));
-
-        const checkUserUrl = `http://localhost:4000/api/v1/users/${userId}`;
-        const postUserUrl = `http://localhost:4000/api/v1/users/`;
-
-        const userResponse = await fetch(checkUserUrl, {
-          headers: { Authorization: `Bearer ${accessToken}` },
-        });
-
-        if (userResponse.status === 404) {
-          const userPayload = {
-            auth0_id: user.sub,
-            name: user.name,
-            email: user.email,
-            roles: roles.length > 0 ? roles : ['default_role'],
-          };
-
-          const createResponse = await fetch(postUserUrl, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              Authorization: `Bearer ${accessToken}`,
-            },
-            body: JSON.stringify(userPayload),
-          });
-
-          if (!createResponse.ok) throw new Error('Failed to create user');
-          const createdUser = await createResponse.json();
-          setState((prev) => ({ ...prev, userData: createdUser }));
-        } else if (userResponse.ok) {
-          const existingUser = await userResponse.json();
-          setState((prev) => ({ ...prev, userData: existingUser }));
-        } else {
-          throw new Error('Failed to fetch user data');
-        }
+        const userData = await ensureUserRecord(user, userRoles);
+        setState((prev) => ({ ...prev, userData }));
       } catch (err) {
         setState((prev) => ({ ...prev, error: err.message }));
       }
     };
 
     fetchData();
-  }, [user]);
+  }, [user, rolesLoading]);
 
   if (isLoading) return <LoadingSpinner />;
   if (error) return <div>Error: {error}</div>;
@@ -135,19 +81,13 @@ export default function PricingPage() {
   const handleChoosePlan = async (plan) => {
     setSelectedPlan(plan);
 
-    const response = await fetch('/api/create-payment', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        plan_name: plan.name,
-        amount: calculatePrice(plan.price),
-        recurring: true,
-        trial_period: '3 months',
-      }),
-    });
-
-    const data = await response.json();
-    if (data.paymentUrl) {
+    const data = await appApi.post('create-payment', {
+      plan_name: plan.name,
+      amount: calculatePrice(plan.price),
+      recurring: true,
+      trial_period: '3 months',
+    }).catch(() => null);
+    if (data?.paymentUrl) {
       window.location.href = data.paymentUrl;
     } else {
       alert('Failed to process payment.');
@@ -1,78 +1,21 @@
 import { useState, useEffect } from "react";
 import { withPageAuthRequired, useUser } from "@auth0/nextjs-auth0/client";
 import Layout from "../components/layout";
+import { ensureUserRecord } from "../components/adminPage/services/userService";
 
 const ProfileCard = () => {
   const [data, setData] = useState(null);
   const [error, setError] = useState(null);
   const { user } = useUser();
 
-  const getAccessToken = async () => {
+  const checkAndSaveUser = async () => {
     try {
-      const response = await fetch('/api/getAccessToken', {
-        method: 'POST',
-      });
-
-      if (!response.ok) {
-        throw new Error('Failed to fetch access token');
-      }
-
-      const data = await response.json();
-      return data.accessToken;
-    } catch (error) {
-      console.error(error);
-      throw error;
-    }
-  };
-
-  const checkAndSaveUser = async (token) => {
-    try {
-      const userId = encodeURIComponent(user.sub); // Auth0's unique user ID
-      const checkUserUrl = `http://localhost:4000/api/v1/users/${userId}`;
-      const postUserUrl = `http://localhost:4000/api/v1/users/`;
-      // Check if user exists
-      const response = await fetch(checkUserUrl, {
-        headers: {
-          Authorization: `Bearer ${token}`,
-        },
-      });
-  
-      if (response.status === 404) {
-        // User does not exist; create the user
-        const userPayload = {
-          auth0_id: user.sub, // Pass Auth0 'sub' as the unique identifier
-          name: user.name,
-          email: user.email,
-          roles: ["default_role"], // Assign default roles
-        };
-  
-        const createResponse = await fetch(postUserUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bearer ${token}`,
-          },
-          body: JSON.stringify(userPayload),
-        });
-  
-        if (!createResponse.ok) {
-          throw new Error('Failed to create user in the database');
-        }
-  
-        const createdUser = await createResponse.json();
-        setData(createdUser);
-      } else if (response.ok) {
-        // User exists; fetch user data
-        const existingUser = await response.json();
-        setData(existingUser);
-      } else {
-        throw new Error('Failed to fetch user data');
-      }
+      // Creates the user's record, with the default role, on their first visit
+      setData(await ensureUserRecord(user));
     } catch (error) {
       setError(error.message);
     }
   };
-  
 
   useEffect(() => {
     if (user) {
@@ -80,8 +23,7 @@ const ProfileCard = () => {
 
       const fetchData = async () => {
         try {
-          const token = await getAccessToken();
-          await checkAndSaveUser(token);
+          await checkAndSaveUser();
         } catch (err) {
           setError(err.message);
         }
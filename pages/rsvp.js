@@ -0,0 +1,145 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import { appApi } from '../components/adminPage/services/api';
+import { RSVP_ANSWERS, MAX_ATTENDEES } from '../components/adminPage/GradesManagemet/services/invitation/rsvp';
+
+/**
+ * Landing page for the RSVP link in invitations.
+ * The buttons in invitation emails open it with their answer already chosen; nothing is
+ * recorded until the guardian presses Send, so link scanners don't answer for anyone.
+ */
+export default function Rsvp() {
+  const router = useRouter();
+  const { token, answer: linkAnswer } = router.query;
+  const [form, setForm] = useState(null);
+  const [answer, setAnswer] = useState('');
+  const [answers, setAnswers] = useState({});
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState('loading');
+
+  useEffect(() => {
+    if (!router.isReady) return;
+    appApi.get('rsvp', { query: { token: String(token || '') } })
+      .then(data => {
+        setForm(data);
+        setAnswer(data.response?.answer || (RSVP_ANSWERS[String(linkAnswer)] ? String(linkAnswer) : ''));
+        setAnswers(data.response?.answers || {});
+        setStatus('idle');
+      })
+      .catch(() => setStatus('invalid'));
+  }, [router.isReady, token, linkAnswer]);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setStatus('working');
+    try {
+      await appApi.post('rsvp', { answer, answers }, { query: { token: String(token) } });
+      setErrors({});
+      setStatus('done');
+    } catch (error) {
+      setErrors(error.errors || {});
+      setStatus(error.errors ? 'idle' : 'error');
+    }
+  };
+
+  const inputClass = 'mt-1 block w-full border border-gray-300 rounded-md px-3 py-2 text-sm';
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 px-4">
+      <div className="max-w-md w-full bg-white shadow rounded-lg p-6">
+        {status === 'loading' && <p className="text-sm text-gray-600 text-center">Loading your invitation...</p>}
+
+        {status === 'invalid' && (
+          <p className="text-sm text-red-600 text-center">This RSVP link is invalid or the invitation no longer takes answers.</p>
+        )}
+
+        {status === 'done' && (
+          <div className="text-center">
+            <h1 className="text-xl font-semibold text-gray-900 mb-2">Thank you</h1>
+            <p className="text-sm text-gray-600">
+              We have your answer: {RSVP_ANSWERS[answer].label.toLowerCase()}. You can use the same link to change it.
+            </p>
+          </div>
+        )}
+
+        {form && !['loading', 'invalid', 'done'].includes(status) && (
+          <form onSubmit={handleSubmit}>
+            {form.schoolName && <p className="text-xs text-gray-500 uppercase tracking-wide">{form.schoolName}</p>}
+            <h1 className="text-xl font-semibold text-gray-900 mb-1">{form.subject || 'Invitation'}</h1>
+            <p className="text-sm text-gray-600 mb-4">
+              {form.recipientName}{form.learners.length > 0 && `, parent of ${form.learners.join(', ')}`}
+            </p>
+
+            <fieldset className="mb-4">
+              <legend className="text-sm font-medium text-gray-700 mb-2">Will you attend?</legend>
+              <div className="grid grid-cols-3 gap-2">
+                {Object.entries(RSVP_ANSWERS).map(([value, { label }]) => (
+                  <button
+                    key={value}
+                    type="button"
+                    onClick={() => setAnswer(value)}
+                    className={`px-3 py-2 text-sm rounded-md border ${
+                      answer === value ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              {errors.answer && <p className="mt-1 text-xs text-red-600">{errors.answer}</p>}
+            </fieldset>
+
+            {answer && answer !== 'no' && form.questions.map(question => (
+              <div key={question.id} className="mb-4">
+                <label htmlFor={question.id} className="block text-sm font-medium text-gray-700">
+                  {question.label}{question.required && ' *'}
+                </label>
+                {question.type === 'choice' ? (
+                  <select
+                    id={question.id}
+                    value={answers[question.id] || ''}
+                    onChange={(e) => setAnswers(prev => ({ ...prev, [question.id]: e.target.value }))}
+                    className={inputClass}
+                  >
+                    <option value="">Choose...</option>
+                    {question.options.map(option => <option key={option} value={option}>{option}</option>)}
+                  </select>
+                ) : question.type === 'number' ? (
+                  <input
+                    id={question.id}
+                    type="number"
+                    min="0"
+                    max={question.id === 'attendees' ? MAX_ATTENDEES : undefined}
+                    value={answers[question.id] ?? ''}
+                    onChange={(e) => setAnswers(prev => ({ ...prev, [question.id]: e.target.value }))}
+                    className={inputClass}
+                  />
+                ) : (
+                  <textarea
+                    id={question.id}
+                    rows={2}
+                    value={answers[question.id] || ''}
+                    onChange={(e) => setAnswers(prev => ({ ...prev, [question.id]: e.target.value }))}
+                    className={inputClass}
+                  />
+                )}
+                {errors[question.id] && <p className="mt-1 text-xs text-red-600">{errors[question.id]}</p>}
+              </div>
+            ))}
+
+            <button
+              type="submit"
+              disabled={!answer || status === 'working'}
+              className="w-full px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {status === 'working' ? 'Sending...' : form.response ? 'Change my answer' : 'Send'}
+            </button>
+            {status === 'error' && (
+              <p className="mt-3 text-sm text-red-600 text-center">Your answer couldn&apos;t be sent. Please try again.</p>
+            )}
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,44 +1,47 @@
 import { useEffect, useState } from 'react';
+import { appApi } from '../components/adminPage/services/api';
+
+const POLL_INTERVAL_MS = 3000;
+const MAX_POLLS = 20;
 
 export default function SuccessPage() {
     const [isLoading, setIsLoading] = useState(true);
     const [message, setMessage] = useState('');
 
     useEffect(() => {
-        // Get the query parameters from the URL (payment data or transaction ID)
-        const params = new URLSearchParams(window.location.search);
-        const transactionId = params.get('transaction_id'); // Assuming you pass transaction ID from PayFast
+        // PayFast returns here with our order ID; the credits are added when its ITN arrives
+        const orderId = new URLSearchParams(window.location.search).get('order');
+        if (!orderId) {
+            setMessage('No payment data found.');
+            setIsLoading(false);
+            return undefined;
+        }
 
-        // Send payment confirmation to the backend
-        const confirmPayment = async () => {
+        let polls = 0;
+        let timer;
+        const checkOrder = async () => {
             try {
-                const response = await fetch(`/api/transactions/${transactionId}/process-payment`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ status: 'completed' })  // You can send additional data if needed
-                });
-                const data = await response.json();
-                if (response.ok) {
-                    setMessage('Payment successfully processed!');
+                const order = await appApi.get(`credits/orders/${encodeURIComponent(orderId)}`);
+                if (order.status === 'paid') {
+                    setMessage(`Payment received. ${order.credits} credits have been added to your school.`);
+                } else if (order.status === 'cancelled') {
+                    setMessage('The payment was cancelled.');
+                } else if (++polls < MAX_POLLS) {
+                    timer = setTimeout(checkOrder, POLL_INTERVAL_MS);
+                    return;
                 } else {
-                    setMessage('There was an issue processing your payment.');
+                    setMessage('We are still waiting for PayFast to confirm your payment. Your credits will appear once it does.');
                 }
             } catch (error) {
-                setMessage('Error confirming payment.');
-            } finally {
-                setIsLoading(false);
+                setMessage(error.status ? error.message || 'There was an issue processing your payment.' : 'Error confirming payment.');
             }
+            setIsLoading(false);
         };
 
-        if (transactionId) {
-            confirmPayment();
-        } else {
-            setMessage('No transaction data found.');
-            setIsLoading(false);
-        }
+        checkOrder();
+        return () => clearTimeout(timer);
     }, []);
 
-    if (isLoading) return <div>Loading...</div>;
+    if (isLoading) return <div>Confirming your payment...</div>;
     return <div>{message}</div>;
 }
-
@@ -0,0 +1,54 @@
+import { useState } from 'react';
+import { useRouter } from 'next/router';
+import { appApi } from '../components/adminPage/services/api';
+
+/**
+ * Landing page for the unsubscribe link in invitation emails.
+ * Unsubscribing takes a button press so link scanners that open the URL don't unsubscribe anyone.
+ */
+export default function Unsubscribe() {
+  const router = useRouter();
+  const { token } = router.query;
+  const [status, setStatus] = useState('idle');
+  const [address, setAddress] = useState('');
+
+  const handleUnsubscribe = async () => {
+    setStatus('working');
+    try {
+      const data = await appApi.post('unsubscribe', undefined, { query: { token: String(token) } });
+      setAddress(data.address);
+      setStatus('done');
+    } catch (error) {
+      setStatus('error');
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 px-4">
+      <div className="max-w-md w-full bg-white shadow rounded-lg p-6 text-center">
+        <h1 className="text-xl font-semibold text-gray-900 mb-2">Unsubscribe from school emails</h1>
+        {status === 'done' ? (
+          <p className="text-sm text-gray-600">
+            {address} will no longer receive emails from this school.
+          </p>
+        ) : (
+          <>
+            <p className="text-sm text-gray-600 mb-4">
+              You will stop receiving invitations and notices from this school by email.
+            </p>
+            <button
+              onClick={handleUnsubscribe}
+              disabled={!token || status === 'working'}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {status === 'working' ? 'Unsubscribing...' : 'Unsubscribe'}
+            </button>
+            {status === 'error' && (
+              <p className="mt-3 text-sm text-red-600">This unsubscribe link is invalid or has expired.</p>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
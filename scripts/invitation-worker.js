@@ -0,0 +1,69 @@
+/**
+ * Invitation worker process
+ *
+ * Polls the MongoDB job queue and sends scheduled invitations when they fall due.
+ * Run alongside the Next.js server:
+ *
+ *   npm run worker
+ *
+ * Environment is read from .env / .env.local the same way `next` does.
+ * INVITATION_WORKER_POLL_MS overrides the poll interval (default 15000).
+ */
+
+import { loadEnvConfig } from '@next/env';
+
+loadEnvConfig(process.cwd());
+
+const main = async () => {
+  // Imported after the environment is loaded: lib/mongodb.js reads MONGODB_URI on import
+  const { ensureJobIndexes } = await import('../lib/invitations/jobQueue');
+  const { ensureDeliveryIndexes } = await import('../lib/invitations/invitationStore');
+  const { ensureOptOutIndexes } = await import('../lib/invitations/optOuts');
+  const { ensureTemplateIndexes } = await import('../lib/invitations/templateStore');
+  const { ensureWhatsAppTemplateIndexes } = await import('../lib/invitations/whatsappTemplates');
+  const { ensureLanguageIndexes } = await import('../lib/invitations/languagePreferences');
+  const { ensureCreditIndexes } = await import('../lib/invitations/creditLedger');
+  const { ensureCreditOrderIndexes } = await import('../lib/payments/creditOrders');
+  const { ensureBudgetIndexes } = await import('../lib/invitations/budgets');
+  const { ensureImportMappingIndexes } = await import('../lib/learners/importMappings');
+  const { ensureLearnerImportIndexes } = await import('../lib/learners/learnerImports');
+  const { ensureGuardianIndexes } = await import('../lib/learners/guardianStore');
+  const { ensureSegmentIndexes } = await import('../lib/invitations/segmentStore');
+  const { ensureRsvpIndexes } = await import('../lib/invitations/rsvps');
+  const { ensureAccessRequestIndexes } = await import('../lib/auth/accessRequests');
+  const { runWorker } = await import('../lib/invitations/invitationWorker');
+
+  let stopping = false;
+  const stop = () => {
+    console.log('InvitationWorker: shutting down after the current job');
+    stopping = true;
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  await ensureJobIndexes();
+  await ensureDeliveryIndexes();
+  await ensureOptOutIndexes();
+  await ensureTemplateIndexes();
+  await ensureWhatsAppTemplateIndexes();
+  await ensureLanguageIndexes();
+  await ensureCreditIndexes();
+  await ensureCreditOrderIndexes();
+  await ensureBudgetIndexes();
+  await ensureImportMappingIndexes();
+  await ensureLearnerImportIndexes();
+  await ensureGuardianIndexes();
+  await ensureSegmentIndexes();
+  await ensureRsvpIndexes();
+  await ensureAccessRequestIndexes();
+  await runWorker({
+    pollIntervalMs: Number(process.env.INVITATION_WORKER_POLL_MS) || 15000,
+    shouldStop: () => stopping
+  });
+  process.exit(0);
+};
+
+main().catch((error) => {
+  console.error('InvitationWorker: fatal error', error);
+  process.exit(1);
+});
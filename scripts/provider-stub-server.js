@@ -0,0 +1,567 @@
+/**
+ * Messaging provider stub server
+ *
+ * Mimics the parts of the Twilio, WinSMS, SendGrid and WhatsApp Cloud APIs the providers in
+ * Invitations/providers call, and PayFast's checkout, so invitations can be sent and
+ * credits bought in development and CI without vendor accounts:
+ *
+ *   npm run stub:providers
+ *   MESSAGING_PROVIDER_BASE_URL=http://localhost:4010 npm run dev
+ *
+ * Vendors are mounted under /twilio/2010-04-01, /winsms/api/rest/v1, /sendgrid/v3,
+ * /whatsapp/v22.0 and /payfast. The WhatsApp business account starts with a few sample templates.
+ * Any phone number or email local part ending in "0000" is rejected, to exercise failure paths.
+ * GET /__messages lists everything received; DELETE /__messages clears it.
+ *
+ * Twilio messages sent with a StatusCallback get signed 'sent' and 'delivered' callbacks
+ * (plus 'read' for WhatsApp) a moment later, like the real API, so receipts can be tested locally.
+ * WhatsApp Cloud messages do the same when WHATSAPP_STUB_WEBHOOK_URL is set, signed with
+ * WHATSAPP_APP_SECRET, e.g. http://localhost:3000/api/webhooks/whatsapp.
+ *
+ * PayFast checkouts (PAYFAST_SANDBOX=true PAYFAST_BASE_URL=http://localhost:4010/payfast) are
+ * paid at once: the stub posts a signed COMPLETE ITN to notify_url and redirects to return_url.
+ * A buyer email whose local part ends in "0000" cancels instead. The signature uses
+ * PAYFAST_PASSPHRASE, or the PayFast sandbox passphrase when unset.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+
+const PORT = Number(process.env.PROVIDER_STUB_PORT) || 4010;
+const FAILING_SUFFIX = '0000';
+
+const messages = [];
+let winsmsCredits = 10000;
+const payfastNotifications = [];
+const PAYFAST_PASSPHRASE = process.env.PAYFAST_PASSPHRASE || (process.env.PAYFAST_MERCHANT_ID ? '' : 'jt7NOE43FZPn');
+
+const whatsappTemplates = [
+  {
+    id: '1000000000000001',
+    name: 'hello_world',
+    language: 'en_US',
+    status: 'APPROVED',
+    category: 'UTILITY',
+    components: [
+      { type: 'HEADER', format: 'TEXT', text: 'Hello World' },
+      { type: 'BODY', text: 'Welcome and congratulations!! This message demonstrates your ability to send a WhatsApp message notification from the Cloud API.' },
+      { type: 'FOOTER', text: 'WhatsApp Business Platform sample message' }
+    ]
+  },
+  {
+    id: '1000000000000002',
+    name: 'parent_invitation',
+    language: 'en',
+    status: 'APPROVED',
+    category: 'UTILITY',
+    components: [
+      { type: 'HEADER', format: 'IMAGE' },
+      { type: 'BODY', text: 'Dear {{1}}, you are invited to {{2}}. Please reply to let us know if you can attend.' },
+      { type: 'FOOTER', text: 'Reply STOP to opt out' }
+    ]
+  },
+  {
+    id: '1000000000000003',
+    name: 'fee_reminder',
+    language: 'en',
+    status: 'PENDING',
+    category: 'UTILITY',
+    components: [
+      { type: 'HEADER', format: 'TEXT', text: '{{1}} fees' },
+      { type: 'BODY', text: 'Hi {{1}}, the outstanding balance for {{2}} is R{{3}}.' }
+    ]
+  }
+];
+
+const newId = (prefix) => `${prefix}${crypto.randomBytes(16).toString('hex')}`;
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => resolve(raw));
+  req.on('error', reject);
+});
+
+const parseBody = (req, raw) => {
+  if (!raw) return {};
+  if ((req.headers['content-type'] || '').includes('application/x-www-form-urlencoded')) {
+    return Object.fromEntries(new URLSearchParams(raw));
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return null;
+  }
+};
+
+const send = (res, status, body, headers = {}) => {
+  const payload = body === undefined ? '' : JSON.stringify(body);
+  res.writeHead(status, {
+    ...(payload && { 'Content-Type': 'application/json' }),
+    ...headers
+  });
+  res.end(payload);
+};
+
+const segmentCount = (text = '') => (text.length <= 160 ? 1 : Math.ceil(text.length / 153));
+
+/**
+ * POST a Twilio status callback signed the way Twilio signs them
+ */
+const postTwilioCallback = async (url, authToken, params) => {
+  const data = Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], url);
+  const signature = crypto.createHmac('sha1', authToken).update(data, 'utf8').digest('base64');
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'X-Twilio-Signature': signature },
+      body: new URLSearchParams(params).toString()
+    });
+    console.log(`ProviderStub: status callback ${params.MessageStatus} for ${params.MessageSid} -> ${response.status}`);
+  } catch (error) {
+    console.log(`ProviderStub: status callback to ${url} failed: ${error.message}`);
+  }
+};
+
+/**
+ * Walk a Twilio message through its statuses, calling back after each step
+ */
+const scheduleTwilioCallbacks = (message, callbackUrl, authToken) => {
+  const steps = message.to.startsWith('whatsapp:') ? ['sent', 'delivered', 'read'] : ['sent', 'delivered'];
+  steps.forEach((status, index) => {
+    setTimeout(() => {
+      message.status = status;
+      postTwilioCallback(callbackUrl, authToken, {
+        AccountSid: message.account_sid,
+        MessageSid: message.sid,
+        MessageStatus: status,
+        To: message.to,
+        From: message.from || '',
+        ApiVersion: '2010-04-01'
+      });
+    }, 1000 * (index + 1));
+  });
+};
+
+/**
+ * Twilio: POST /Accounts/{AccountSid}/Messages.json
+ */
+const twilioCreateMessage = (req, res, body, accountSid) => {
+  if (!(req.headers.authorization || '').startsWith('Basic ')) {
+    return send(res, 401, { code: 20003, message: 'Authenticate', more_info: 'https://www.twilio.com/docs/errors/20003', status: 401 });
+  }
+
+  const to = body.To || '';
+  if (!/^(whatsapp:)?\+\d{8,15}$/.test(to) || to.endsWith(FAILING_SUFFIX)) {
+    return send(res, 400, {
+      code: 21211,
+      message: `The 'To' number ${to} is not a valid phone number.`,
+      more_info: 'https://www.twilio.com/docs/errors/21211',
+      status: 400
+    });
+  }
+
+  const message = {
+    sid: newId('SM'),
+    account_sid: accountSid,
+    to,
+    from: body.From,
+    body: body.Body,
+    status: 'queued',
+    num_segments: String(segmentCount(body.Body)),
+    price: null,
+    price_unit: 'USD',
+    api_version: '2010-04-01',
+    date_created: new Date().toUTCString()
+  };
+  const stored = { vendor: 'twilio', statusCallback: body.StatusCallback || null, ...message };
+  messages.push(stored);
+  if (stored.statusCallback) {
+    const [, authToken = ''] = Buffer.from(req.headers.authorization.slice(6), 'base64').toString().split(':');
+    scheduleTwilioCallbacks(stored, stored.statusCallback, authToken);
+  }
+  return send(res, 201, message);
+};
+
+/**
+ * POST a WhatsApp Cloud API status notification signed the way Meta signs them
+ */
+const postWhatsAppStatus = async (message, status) => {
+  const payload = JSON.stringify({
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: 'stub-waba',
+      changes: [{
+        field: 'messages',
+        value: {
+          messaging_product: 'whatsapp',
+          statuses: [{
+            id: message.id,
+            status,
+            timestamp: String(Math.floor(Date.now() / 1000)),
+            recipient_id: message.to,
+            ...(message.bizOpaqueCallbackData && { biz_opaque_callback_data: message.bizOpaqueCallbackData })
+          }]
+        }
+      }]
+    }]
+  });
+  const signature = crypto.createHmac('sha256', process.env.WHATSAPP_APP_SECRET || '').update(payload, 'utf8').digest('hex');
+  try {
+    const response = await fetch(process.env.WHATSAPP_STUB_WEBHOOK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Hub-Signature-256': `sha256=${signature}` },
+      body: payload
+    });
+    console.log(`ProviderStub: WhatsApp status ${status} for ${message.id} -> ${response.status}`);
+  } catch (error) {
+    console.log(`ProviderStub: WhatsApp status webhook failed: ${error.message}`);
+  }
+};
+
+const graphError = (res, status, message, code = 100) => {
+  return send(res, status, { error: { message, type: 'OAuthException', code, fbtrace_id: newId('A') } });
+};
+
+/**
+ * WhatsApp Cloud: POST /{phone-number-id}/messages
+ * Template messages are checked against the sample templates, including parameter counts.
+ */
+const whatsappSendMessage = (req, res, body) => {
+  if (!(req.headers.authorization || '').startsWith('Bearer ')) {
+    return graphError(res, 401, 'Invalid OAuth access token.', 190);
+  }
+
+  const to = String(body.to || '');
+  if (!/^\d{8,15}$/.test(to) || to.endsWith(FAILING_SUFFIX)) {
+    return graphError(res, 400, `(#131030) Recipient phone number ${to} not in allowed list`, 131030);
+  }
+
+  if (body.type === 'template') {
+    const template = whatsappTemplates.find(t => t.name === body.template?.name && t.language === body.template?.language?.code);
+    if (!template || template.status !== 'APPROVED') {
+      return graphError(res, 404, `(#132001) Template name does not exist in the translation`, 132001);
+    }
+    for (const component of template.components) {
+      const expected = component.format && component.format !== 'TEXT'
+        ? 1
+        : (String(component.text || '').match(/\{\{\d+\}\}/g) || []).length;
+      if (component.type === 'FOOTER' || expected === 0) continue;
+      const sent = (body.template.components || []).find(c => c.type === component.type.toLowerCase());
+      if ((sent?.parameters || []).length !== expected) {
+        return graphError(res, 400, `(#132000) Number of parameters does not match the expected number of params`, 132000);
+      }
+    }
+  } else if (body.type === 'text' && !body.text?.body) {
+    return graphError(res, 400, '(#100) The parameter text[\'body\'] is required.');
+  }
+
+  const message = {
+    vendor: 'whatsapp',
+    id: `wamid.${Buffer.from(newId('')).toString('base64url')}`,
+    to,
+    type: body.type,
+    template: body.template || null,
+    text: body.text?.body || null,
+    bizOpaqueCallbackData: body.biz_opaque_callback_data || null,
+    status: 'accepted'
+  };
+  messages.push(message);
+
+  if (process.env.WHATSAPP_STUB_WEBHOOK_URL) {
+    ['sent', 'delivered', 'read'].forEach((status, index) => {
+      setTimeout(() => {
+        message.status = status;
+        postWhatsAppStatus(message, status);
+      }, 1000 * (index + 1));
+    });
+  }
+
+  return send(res, 200, {
+    messaging_product: 'whatsapp',
+    contacts: [{ input: to, wa_id: to }],
+    messages: [{ id: message.id, message_status: 'accepted' }]
+  });
+};
+
+/**
+ * WhatsApp Business Management: /{waba-id}/message_templates
+ */
+const whatsappTemplatesRoute = (req, res, body, query) => {
+  if (!(req.headers.authorization || '').startsWith('Bearer ')) {
+    return graphError(res, 401, 'Invalid OAuth access token.', 190);
+  }
+
+  if (req.method === 'GET') {
+    return send(res, 200, { data: whatsappTemplates, paging: { cursors: { before: 'MAZDZD', after: 'MjQZD' } } });
+  }
+  if (req.method === 'POST') {
+    if (!/^[a-z0-9_]+$/.test(body.name || '') || !body.language || !body.category || !Array.isArray(body.components)) {
+      return graphError(res, 400, 'Invalid parameter');
+    }
+    if (whatsappTemplates.some(t => t.name === body.name && t.language === body.language)) {
+      return graphError(res, 400, `Message template "${body.name}" already exists in ${body.language}`, 2388024);
+    }
+    // New templates are approved straight away so they can be used while testing
+    const template = { id: String(Date.now()), status: 'APPROVED', ...body };
+    whatsappTemplates.push(template);
+    return send(res, 200, { id: template.id, status: template.status, category: template.category });
+  }
+  if (req.method === 'DELETE') {
+    const name = query.get('name');
+    const before = whatsappTemplates.length;
+    for (let i = whatsappTemplates.length - 1; i >= 0; i--) {
+      if (whatsappTemplates[i].name === name) whatsappTemplates.splice(i, 1);
+    }
+    if (whatsappTemplates.length === before) {
+      return graphError(res, 404, `Message template "${name}" not found`);
+    }
+    return send(res, 200, { success: true });
+  }
+  return graphError(res, 405, 'Unsupported request');
+};
+
+/**
+ * WinSMS: POST /sms/outgoing/send
+ */
+const winsmsSend = (req, res, body) => {
+  if (!req.headers.authorization) {
+    return send(res, 401, { errorMessage: 'Invalid or missing API key' });
+  }
+  if (!body || !body.message || !Array.isArray(body.recipients)) {
+    return send(res, 400, { errorMessage: 'message and recipients are required' });
+  }
+
+  const creditCost = segmentCount(body.message);
+  const recipients = body.recipients.map(({ mobileNumber = '', clientMessageId = null }) => {
+    const valid = /^\d{11}$/.test(mobileNumber) && !mobileNumber.endsWith(FAILING_SUFFIX);
+    if (!valid) {
+      return { mobileNumber, accepted: false, creditCost: 0, apiMessageId: null, acceptError: 'Invalid mobile number', clientMessageId };
+    }
+
+    const apiMessageId = Math.floor(Date.now() / 1000) * 1000 + messages.length;
+    winsmsCredits -= creditCost;
+    messages.push({ vendor: 'winsms', apiMessageId, mobileNumber, message: body.message, status: 'DELIVRD', clientMessageId });
+    return { mobileNumber, accepted: true, creditCost, apiMessageId, acceptError: null, clientMessageId };
+  });
+
+  return send(res, 200, {
+    timeStamp: new Date().toISOString(),
+    version: '1.0',
+    creditCost: recipients.reduce((sum, r) => sum + r.creditCost, 0),
+    newCreditBalance: winsmsCredits,
+    recipients
+  });
+};
+
+/**
+ * WinSMS: POST /sms/outgoing/status
+ */
+const winsmsStatus = (req, res, body) => {
+  const ids = (body && body.apiMessageIds) || [];
+  const statuses = ids.map(apiMessageId => {
+    const message = messages.find(m => m.vendor === 'winsms' && m.apiMessageId === apiMessageId);
+    return { apiMessageId, status: message ? message.status : 'UNKNOWN', statusTime: new Date().toISOString() };
+  });
+  return send(res, 200, { statuses });
+};
+
+/**
+ * SendGrid: POST /mail/send
+ */
+const sendgridMailSend = (req, res, body) => {
+  if (!(req.headers.authorization || '').startsWith('Bearer ')) {
+    return send(res, 401, { errors: [{ message: 'The provided authorization grant is invalid, expired, or revoked', field: null, help: null }] });
+  }
+
+  const to = body?.personalizations?.[0]?.to?.[0]?.email;
+  const errors = [];
+  if (!to) errors.push({ message: 'The to array is required for all personalization objects.', field: 'personalizations.0.to', help: null });
+  if (!body?.from?.email) errors.push({ message: 'The from object must be provided for every email send.', field: 'from', help: null });
+  if (!body?.template_id && !(body?.content && body.content.length)) {
+    errors.push({ message: 'Unless a valid template_id is provided, the content parameter is required.', field: 'content', help: null });
+  }
+  if (to && to.split('@')[0].endsWith(FAILING_SUFFIX)) {
+    errors.push({ message: 'Does not contain a valid address.', field: 'personalizations.0.to.0.email', help: null });
+  }
+  if (errors.length > 0) {
+    return send(res, 400, { errors });
+  }
+
+  const msgId = crypto.randomBytes(11).toString('base64url');
+  messages.push({ vendor: 'sendgrid', msg_id: msgId, to, subject: body.subject, template_id: body.template_id || null, custom_args: body.custom_args || {}, status: 'delivered', createdAt: new Date().toISOString() });
+  return send(res, 202, undefined, { 'X-Message-Id': msgId });
+};
+
+/**
+ * SendGrid: GET /messages/{msg_id}
+ */
+const sendgridMessage = (req, res, msgId) => {
+  const message = messages.find(m => m.vendor === 'sendgrid' && m.msg_id === msgId);
+  if (!message) {
+    return send(res, 404, { errors: [{ message: 'Not found', field: null, help: null }] });
+  }
+  return send(res, 200, {
+    msg_id: message.msg_id,
+    to_email: message.to,
+    subject: message.subject,
+    status: message.status,
+    last_event_time: message.createdAt,
+    events: [
+      { event_name: 'processed', processed: message.createdAt },
+      { event_name: 'delivered', processed: message.createdAt }
+    ]
+  });
+};
+
+/**
+ * SendGrid: GET /stats
+ */
+const sendgridStats = (req, res, query) => {
+  const sent = messages.filter(m => m.vendor === 'sendgrid').length;
+  return send(res, 200, [{
+    date: query.get('start_date'),
+    stats: [{ metrics: { requests: sent, delivered: sent, unique_opens: 0, unique_clicks: 0, bounces: 0, unsubscribes: 0 } }]
+  }]);
+};
+
+/**
+ * PayFast: encode and sign a parameter string the way PayFast does
+ */
+const payfastEncode = (value) => encodeURIComponent(String(value ?? '').trim())
+  .replace(/%20/g, '+')
+  .replace(/[!'()*~]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const payfastParamString = (entries, skipEmpty) => entries
+  .filter(([name, value]) => name !== 'signature' && !(skipEmpty && String(value ?? '').trim() === ''))
+  .map(([name, value]) => `${name}=${payfastEncode(value)}`)
+  .join('&');
+
+const payfastSign = (paramString) => {
+  const salted = PAYFAST_PASSPHRASE ? `${paramString}&passphrase=${payfastEncode(PAYFAST_PASSPHRASE)}` : paramString;
+  return crypto.createHash('md5').update(salted).digest('hex');
+};
+
+/**
+ * PayFast: GET or POST /eng/process
+ */
+const payfastProcess = async (req, res, entries) => {
+  const fields = Object.fromEntries(entries);
+  if (fields.signature !== payfastSign(payfastParamString(entries, true))) {
+    return send(res, 400, { message: 'Generated signature does not match submitted signature.' });
+  }
+
+  const cancelled = String(fields.email_address || '').split('@')[0].endsWith(FAILING_SUFFIX);
+  const amount = Number(fields.amount);
+  const fee = Math.round(amount * 3.5) / 100;
+  const itn = [
+    ['m_payment_id', fields.m_payment_id || ''],
+    ['pf_payment_id', String(1000000 + payfastNotifications.length)],
+    ['payment_status', cancelled ? 'CANCELLED' : 'COMPLETE'],
+    ['item_name', fields.item_name || ''],
+    ['item_description', fields.item_description || ''],
+    ['amount_gross', amount.toFixed(2)],
+    ['amount_fee', (-fee).toFixed(2)],
+    ['amount_net', (amount - fee).toFixed(2)],
+    ...[1, 2, 3, 4, 5].map(i => [`custom_str${i}`, fields[`custom_str${i}`] || '']),
+    ...[1, 2, 3, 4, 5].map(i => [`custom_int${i}`, fields[`custom_int${i}`] || '']),
+    ['name_first', fields.name_first || ''],
+    ['name_last', fields.name_last || ''],
+    ['email_address', fields.email_address || ''],
+    ['merchant_id', fields.merchant_id]
+  ];
+  const paramString = payfastParamString(itn, false);
+  payfastNotifications.push(paramString);
+  messages.push({ vendor: 'payfast', m_payment_id: fields.m_payment_id, amount: fields.amount, status: itn[2][1] });
+
+  if (fields.notify_url) {
+    setTimeout(async () => {
+      try {
+        const response = await fetch(fields.notify_url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          body: `${paramString}&signature=${payfastSign(paramString)}`
+        });
+        console.log(`ProviderStub: PayFast ITN for ${fields.m_payment_id} -> ${response.status}`);
+      } catch (error) {
+        console.log(`ProviderStub: PayFast ITN to ${fields.notify_url} failed: ${error.message}`);
+      }
+    }, 500);
+  }
+
+  const location = cancelled ? fields.cancel_url : fields.return_url;
+  return location ? send(res, 302, undefined, { Location: location }) : send(res, 200, { status: itn[2][1] });
+};
+
+/**
+ * PayFast: POST /eng/query/validate
+ */
+const payfastValidate = (req, res, raw) => {
+  const entries = [...new URLSearchParams(raw).entries()];
+  const valid = payfastNotifications.includes(payfastParamString(entries, false));
+  res.writeHead(200, { 'Content-Type': 'text/plain' });
+  res.end(valid ? 'VALID' : 'INVALID');
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const raw = await readBody(req);
+  const body = parseBody(req, raw);
+  const { pathname } = url;
+  let match;
+
+  console.log(`ProviderStub: ${req.method} ${pathname}`);
+
+  if (pathname === '/__messages') {
+    if (req.method === 'DELETE') {
+      messages.length = 0;
+      return send(res, 204);
+    }
+    return send(res, 200, messages);
+  }
+
+  if (pathname === '/payfast/eng/process') {
+    return payfastProcess(req, res, [...(req.method === 'POST' ? new URLSearchParams(raw) : url.searchParams).entries()]);
+  }
+  if (req.method === 'POST' && pathname === '/payfast/eng/query/validate') {
+    return payfastValidate(req, res, raw);
+  }
+
+  if (body === null) {
+    return send(res, 400, { message: 'Malformed request body' });
+  }
+
+  if (req.method === 'POST' && (match = pathname.match(/^\/twilio\/2010-04-01\/Accounts\/([^/]+)\/Messages\.json$/))) {
+    return twilioCreateMessage(req, res, body, match[1]);
+  }
+  if (req.method === 'POST' && pathname === '/winsms/api/rest/v1/sms/outgoing/send') {
+    return winsmsSend(req, res, body);
+  }
+  if (req.method === 'POST' && pathname === '/winsms/api/rest/v1/sms/outgoing/status') {
+    return winsmsStatus(req, res, body);
+  }
+  if (req.method === 'GET' && pathname === '/winsms/api/rest/v1/credits/balance') {
+    return send(res, 200, { creditBalance: winsmsCredits });
+  }
+  if (req.method === 'POST' && pathname === '/sendgrid/v3/mail/send') {
+    return sendgridMailSend(req, res, body);
+  }
+  if (req.method === 'GET' && (match = pathname.match(/^\/sendgrid\/v3\/messages\/([^/]+)$/))) {
+    return sendgridMessage(req, res, decodeURIComponent(match[1]));
+  }
+  if (req.method === 'GET' && pathname === '/sendgrid/v3/stats') {
+    return sendgridStats(req, res, url.searchParams);
+  }
+  if (pathname.match(/^\/whatsapp\/v22\.0\/[^/]+\/message_templates$/)) {
+    return whatsappTemplatesRoute(req, res, body, url.searchParams);
+  }
+  if (req.method === 'POST' && pathname.match(/^\/whatsapp\/v22\.0\/[^/]+\/messages$/)) {
+    return whatsappSendMessage(req, res, body);
+  }
+
+  return send(res, 404, { message: `No stub for ${req.method} ${pathname}` });
+});
+
+server.listen(PORT, () => {
+  console.log(`ProviderStub: listening on http://localhost:${PORT}`);
+});